@@ -27,6 +27,7 @@ try {
   console.log(`   Version: ${config.version}`);
   console.log(`   Excavators: ${config.defaults.excavators.length}`);
   console.log(`   Trucks: ${config.defaults.trucks.length}`);
+  console.log(`   Catalog: ${config.catalog.excavators.length} excavator and ${config.catalog.trucks.length} truck models`);
 } catch (error) {
   console.error('❌ Error generating Elm configuration:');
   console.error(error.message);
@@ -49,8 +50,10 @@ DO NOT EDIT THIS FILE MANUALLY - it will be overwritten at build time
 type alias Config =
     { version : String
     , defaults : Defaults
+    , catalog : Catalog
     , fleetLimits : FleetLimits
     , validation : ValidationRules
+    , branding : Branding
     }
 
 
@@ -58,6 +61,7 @@ type alias Defaults =
     { excavators : List ExcavatorDefaults
     , trucks : List TruckDefaults
     , project : ProjectDefaults
+    , soilTypes : List SoilTypeDefaults
     }
 
 
@@ -65,6 +69,14 @@ type alias ExcavatorDefaults =
     { bucketCapacity : Float
     , cycleTime : Float
     , name : String
+    , efficiency : Float
+    , fillFactor : Float
+    , operatorSkill : String
+    , hourlyRate : Float
+    , operatorWage : Float
+    , fuelBurn : Float
+    , cycleTimeMin : Float
+    , cycleTimeMax : Float
     }
 
 
@@ -72,6 +84,15 @@ type alias TruckDefaults =
     { capacity : Float
     , roundTripTime : Float
     , name : String
+    , efficiency : Float
+    , fillFactor : Float
+    , operatorSkill : String
+    , hourlyRate : Float
+    , operatorWage : Float
+    , fuelBurn : Float
+    , roundTripTimeMin : Float
+    , roundTripTimeMax : Float
+    , maxPayload : Float
     }
 
 
@@ -80,6 +101,54 @@ type alias ProjectDefaults =
     , pondLength : Float
     , pondWidth : Float
     , pondDepth : Float
+    , sideSlope : Float
+    , soilType : String
+    , fuelPrice : Float
+    , disposalFee : Float
+    , workHoursMin : Float
+    , workHoursMax : Float
+    , workDays : List String
+    }
+
+
+type alias SoilTypeDefaults =
+    { id : String
+    , name : String
+    , swellPercent : Float
+    , density : Float
+    }
+
+
+type alias Catalog =
+    { excavators : List CatalogExcavator
+    , trucks : List CatalogTruck
+    }
+
+
+type alias CatalogExcavator =
+    { make : String
+    , model : String
+    , operatingWeight : Float
+    , bucketCapacity : Float
+    , cycleTime : Float
+    , cycleTimeMin : Float
+    , cycleTimeMax : Float
+    , fuelBurn : Float
+    , hourlyRate : Float
+    }
+
+
+type alias CatalogTruck =
+    { make : String
+    , model : String
+    , operatingWeight : Float
+    , capacity : Float
+    , maxPayload : Float
+    , roundTripTime : Float
+    , roundTripTimeMin : Float
+    , roundTripTimeMax : Float
+    , fuelBurn : Float
+    , hourlyRate : Float
     }
 
 
@@ -96,6 +165,22 @@ type alias ValidationRules =
     , roundTripTime : ValidationRange
     , workHours : ValidationRange
     , pondDimensions : ValidationRange
+    , sideSlope : ValidationRange
+    , swellPercent : ValidationRange
+    , efficiency : ValidationRange
+    , fillFactor : ValidationRange
+    , hourlyRate : ValidationRange
+    , operatorWage : ValidationRange
+    , fuelBurn : ValidationRange
+    , fuelPrice : ValidationRange
+    , disposalFee : ValidationRange
+    , haulDistance : ValidationRange
+    , haulSpeed : ValidationRange
+    , haulDelay : ValidationRange
+    , phaseProductivity : ValidationRange
+    , exportPercent : ValidationRange
+    , payload : ValidationRange
+    , soilDensity : ValidationRange
     }
 
 
@@ -105,6 +190,25 @@ type alias ValidationRange =
     }
 
 
+type alias Branding =
+    { companyName : String
+    , logo : Logo
+    }
+
+
+type alias Logo =
+    { width : Float
+    , height : Float
+    , paths : List LogoPath
+    }
+
+
+type alias LogoPath =
+    { d : String
+    , color : String
+    }
+
+
 
 -- STATIC CONFIGURATION
 
@@ -115,8 +219,10 @@ staticConfig : Config
 staticConfig =
     { version = "${config.version}"
     , defaults = staticDefaults
+    , catalog = staticCatalog
     , fleetLimits = staticFleetLimits
     , validation = staticValidationRules
+    , branding = staticBranding
     }
 
 
@@ -125,6 +231,7 @@ staticDefaults =
     { excavators = staticExcavators
     , trucks = staticTrucks
     , project = staticProject
+    , soilTypes = staticSoilTypes
     }
 
 
@@ -134,6 +241,14 @@ staticExcavators =
         { bucketCapacity = ${excavator.bucketCapacity}
         , cycleTime = ${excavator.cycleTime}
         , name = "${excavator.name}"
+        , efficiency = ${excavator.efficiency}
+        , fillFactor = ${excavator.fillFactor}
+        , operatorSkill = "${excavator.operatorSkill}"
+        , hourlyRate = ${excavator.hourlyRate}
+        , operatorWage = ${excavator.operatorWage}
+        , fuelBurn = ${excavator.fuelBurn}
+        , cycleTimeMin = ${excavator.cycleTimeMin}
+        , cycleTimeMax = ${excavator.cycleTimeMax}
         }`).join(',')}
     ]
 
@@ -144,6 +259,15 @@ staticTrucks =
         { capacity = ${truck.capacity}
         , roundTripTime = ${truck.roundTripTime}
         , name = "${truck.name}"
+        , efficiency = ${truck.efficiency}
+        , fillFactor = ${truck.fillFactor}
+        , operatorSkill = "${truck.operatorSkill}"
+        , hourlyRate = ${truck.hourlyRate}
+        , operatorWage = ${truck.operatorWage}
+        , fuelBurn = ${truck.fuelBurn}
+        , roundTripTimeMin = ${truck.roundTripTimeMin}
+        , roundTripTimeMax = ${truck.roundTripTimeMax}
+        , maxPayload = ${truck.maxPayload}
         }`).join(',')}
     ]
 
@@ -154,6 +278,56 @@ staticProject =
     , pondLength = ${config.defaults.project.pondLength}
     , pondWidth = ${config.defaults.project.pondWidth}
     , pondDepth = ${config.defaults.project.pondDepth}
+    , sideSlope = ${config.defaults.project.sideSlope}
+    , soilType = "${config.defaults.project.soilType}"
+    , fuelPrice = ${config.defaults.project.fuelPrice}
+    , disposalFee = ${config.defaults.project.disposalFee}
+    , workHoursMin = ${config.defaults.project.workHoursMin}
+    , workHoursMax = ${config.defaults.project.workHoursMax}
+    , workDays = [ ${config.defaults.project.workDays.map(day => `"${day}"`).join(', ')} ]
+    }
+
+
+staticSoilTypes : List SoilTypeDefaults
+staticSoilTypes =
+    [${config.defaults.soilTypes.map(soil => `
+        { id = "${soil.id}"
+        , name = "${soil.name}"
+        , swellPercent = ${soil.swellPercent}
+        , density = ${soil.density}
+        }`).join(',')}
+    ]
+
+
+staticCatalog : Catalog
+staticCatalog =
+    { excavators =
+        [${config.catalog.excavators.map(excavator => `
+            { make = ${elmString(excavator.make)}
+            , model = ${elmString(excavator.model)}
+            , operatingWeight = ${excavator.operatingWeight}
+            , bucketCapacity = ${excavator.bucketCapacity}
+            , cycleTime = ${excavator.cycleTime}
+            , cycleTimeMin = ${excavator.cycleTimeMin}
+            , cycleTimeMax = ${excavator.cycleTimeMax}
+            , fuelBurn = ${excavator.fuelBurn}
+            , hourlyRate = ${excavator.hourlyRate}
+            }`).join(',')}
+        ]
+    , trucks =
+        [${config.catalog.trucks.map(truck => `
+            { make = ${elmString(truck.make)}
+            , model = ${elmString(truck.model)}
+            , operatingWeight = ${truck.operatingWeight}
+            , capacity = ${truck.capacity}
+            , maxPayload = ${truck.maxPayload}
+            , roundTripTime = ${truck.roundTripTime}
+            , roundTripTimeMin = ${truck.roundTripTimeMin}
+            , roundTripTimeMax = ${truck.roundTripTimeMax}
+            , fuelBurn = ${truck.fuelBurn}
+            , hourlyRate = ${truck.hourlyRate}
+            }`).join(',')}
+        ]
     }
 
 
@@ -172,6 +346,41 @@ staticValidationRules =
     , roundTripTime = { min = ${config.validation.roundTripTime.min}, max = ${config.validation.roundTripTime.max} }
     , workHours = { min = ${config.validation.workHours.min}, max = ${config.validation.workHours.max} }
     , pondDimensions = { min = ${config.validation.pondDimensions.min}, max = ${config.validation.pondDimensions.max} }
+    , sideSlope = { min = ${config.validation.sideSlope.min}, max = ${config.validation.sideSlope.max} }
+    , swellPercent = { min = ${config.validation.swellPercent.min}, max = ${config.validation.swellPercent.max} }
+    , efficiency = { min = ${config.validation.efficiency.min}, max = ${config.validation.efficiency.max} }
+    , fillFactor = { min = ${config.validation.fillFactor.min}, max = ${config.validation.fillFactor.max} }
+    , hourlyRate = { min = ${config.validation.hourlyRate.min}, max = ${config.validation.hourlyRate.max} }
+    , operatorWage = { min = ${config.validation.operatorWage.min}, max = ${config.validation.operatorWage.max} }
+    , fuelBurn = { min = ${config.validation.fuelBurn.min}, max = ${config.validation.fuelBurn.max} }
+    , fuelPrice = { min = ${config.validation.fuelPrice.min}, max = ${config.validation.fuelPrice.max} }
+    , disposalFee = { min = ${config.validation.disposalFee.min}, max = ${config.validation.disposalFee.max} }
+    , haulDistance = { min = ${config.validation.haulDistance.min}, max = ${config.validation.haulDistance.max} }
+    , haulSpeed = { min = ${config.validation.haulSpeed.min}, max = ${config.validation.haulSpeed.max} }
+    , haulDelay = { min = ${config.validation.haulDelay.min}, max = ${config.validation.haulDelay.max} }
+    , phaseProductivity = { min = ${config.validation.phaseProductivity.min}, max = ${config.validation.phaseProductivity.max} }
+    , exportPercent = { min = ${config.validation.exportPercent.min}, max = ${config.validation.exportPercent.max} }
+    , payload = { min = ${config.validation.payload.min}, max = ${config.validation.payload.max} }
+    , soilDensity = { min = ${config.validation.soilDensity.min}, max = ${config.validation.soilDensity.max} }
+    }
+
+
+staticBranding : Branding
+staticBranding =
+    { companyName = ${elmString(config.branding.companyName)}
+    , logo =
+        { width = ${config.branding.logo.width}
+        , height = ${config.branding.logo.height}
+        , paths =
+            [${config.branding.logo.paths.map(logoPath => `
+                { d = ${elmString(logoPath.d)}, color = ${elmString(logoPath.color)} }`).join(',')}
+            ]
+        }
     }
 `;
+}
+
+// Branding text is free-form, so quote it as an Elm string literal
+function elmString(text) {
+  return JSON.stringify(text).replace(/\\u([0-9a-fA-F]{4})/g, '\\u{$1}');
 }
\ No newline at end of file
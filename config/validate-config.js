@@ -31,7 +31,9 @@ try {
     console.log(`   Version: ${config.version}`);
     console.log(`   Excavators: ${config.defaults.excavators.length}`);
     console.log(`   Trucks: ${config.defaults.trucks.length}`);
+    console.log(`   Catalog: ${config.catalog.excavators.length} excavator and ${config.catalog.trucks.length} truck models`);
     console.log(`   Fleet limits: ${config.fleetLimits.maxExcavators} excavators, ${config.fleetLimits.maxTrucks} trucks`);
+    console.log(`   Costs: fuel $${config.defaults.project.fuelPrice}/gal, disposal $${config.defaults.project.disposalFee}/loose yd³`);
     process.exit(0);
   } else {
     console.error('❌ Configuration validation failed!');
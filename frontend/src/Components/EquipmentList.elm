@@ -2,32 +2,46 @@ module Components.EquipmentList exposing (viewExcavatorFleet, viewTruckFleet)
 
 {-| Fleet management components for displaying and managing multiple equipment items
 
+Figures are free text read with InputParser, so they take arithmetic and units.
+Text typed into them is held in the drafts passed in, by input, until the
+input is left. A row can stand for several identical machines; its quantity
+counts toward the fleet limits like that many rows would.
+
 @docs viewExcavatorFleet, viewTruckFleet
 
 -}
 
+import Components.FleetRoster as FleetRoster
 import Components.HelpTooltip as HelpTooltip
+import Components.ModelPicker as ModelPicker exposing (PickerKind(..))
+import Components.ParsedValueHint as ParsedValueHint
+import Dict exposing (Dict)
 import Html exposing (..)
 import Html.Attributes exposing (..)
 import Html.Events exposing (..)
 import Styles.Theme as Theme
 import Types.DeviceType exposing (DeviceType(..))
-import Types.Equipment exposing (EquipmentId, Excavator, Truck)
+import Types.Equipment exposing (EquipmentId, Excavator, HaulCycle, OperatorSkill, TimeRange, Truck, allOperatorSkills, defaultHaulCycle, machineCount, machineLabel, operatorSkillFromString, operatorSkillLabel, operatorSkillToString)
 import Types.Messages exposing (ExcavatorUpdate(..), Msg(..), TruckUpdate(..))
-import Utils.Config exposing (ValidationRules)
+import Utils.Config exposing (CatalogExcavator, CatalogTruck, FleetLimits, ValidationRules)
 import Utils.DeviceDetector as DeviceDetector
 import Utils.HelpContent exposing (getHelpContent)
+import Utils.InputParser as InputParser
+import Utils.Units as Units exposing (UnitSystem)
 
 
 
 -- EXCAVATOR FLEET VIEW
 
 
-viewExcavatorFleet : ValidationRules -> DeviceType -> List Excavator -> Int -> (String -> Msg) -> (String -> Msg) -> Maybe String -> Html Msg
-viewExcavatorFleet validationRules deviceType excavators nextId showHelpMsg hideHelpMsg activeTooltipId =
+viewExcavatorFleet : UnitSystem -> Dict String String -> ValidationRules -> FleetLimits -> DeviceType -> List Excavator -> Int -> List CatalogExcavator -> ModelPicker.State -> FleetRoster.State -> (String -> Msg) -> (String -> Msg) -> Maybe String -> Html Msg
+viewExcavatorFleet unitSystem drafts validationRules fleetLimits deviceType excavators nextId catalog picker roster showHelpMsg hideHelpMsg activeTooltipId =
     let
+        room =
+            fleetLimits.maxExcavators - machineCount excavators
+
         canAddMore =
-            List.length excavators < 10
+            room > 0
 
         -- Fleet limit from config
         showAdvancedFeatures =
@@ -36,12 +50,16 @@ viewExcavatorFleet validationRules deviceType excavators nextId showHelpMsg hide
     div [ class "space-y-4" ]
         [ -- Add button shown only when under fleet limit
           if canAddMore then
-            viewAddExcavatorButton deviceType
+            div [ class "space-y-2" ]
+                [ viewAddExcavatorButton deviceType
+                , ModelPicker.viewExcavatorPicker unitSystem catalog picker ModelPickerUpdated
+                ]
 
           else
             text ""
+        , FleetRoster.viewExcavatorUnits excavators canAddMore roster FleetRosterUpdated
         , div [ class "space-y-3" ]
-            (List.indexedMap (viewExcavatorItem validationRules deviceType (List.length excavators > 1) showHelpMsg hideHelpMsg activeTooltipId) excavators)
+            (List.indexedMap (viewExcavatorItem unitSystem drafts validationRules deviceType roster room (List.length excavators > 1) showHelpMsg hideHelpMsg activeTooltipId) excavators)
         ]
 
 
@@ -63,7 +81,7 @@ viewAddExcavatorButton deviceType =
     in
     button
         [ class buttonClass
-        , onClick AddExcavator
+        , onClick (ModelPickerUpdated (ModelPicker.TogglePicker ExcavatorPicker))
         , type_ "button"
         ]
         [ span [ class "text-lg" ] [ text "🚜" ]
@@ -71,8 +89,8 @@ viewAddExcavatorButton deviceType =
         ]
 
 
-viewExcavatorItem : ValidationRules -> DeviceType -> Bool -> (String -> Msg) -> (String -> Msg) -> Maybe String -> Int -> Excavator -> Html Msg
-viewExcavatorItem validationRules deviceType canRemove showHelpMsg hideHelpMsg activeTooltipId index excavator =
+viewExcavatorItem : UnitSystem -> Dict String String -> ValidationRules -> DeviceType -> FleetRoster.State -> Int -> Bool -> (String -> Msg) -> (String -> Msg) -> Maybe String -> Int -> Excavator -> Html Msg
+viewExcavatorItem unitSystem drafts validationRules deviceType roster room canRemove showHelpMsg hideHelpMsg activeTooltipId index excavator =
     let
         itemClass =
             case deviceType of
@@ -102,66 +120,66 @@ viewExcavatorItem validationRules deviceType canRemove showHelpMsg hideHelpMsg a
             [ h4 [ class (labelClass ++ " font-medium text-gray-800") ]
                 [ span [ class "text-blue-600 mr-2" ] [ text "🚜" ]
                 , text ("Excavator " ++ String.fromInt equipmentNumber)
+                , viewQuantityBadge excavator
                 ]
-            , if canRemove && DeviceDetector.shouldShowAdvancedFeatures deviceType then
-                button
-                    [ class "text-red-600 hover:text-red-800 font-medium px-2 py-1 rounded"
-                    , onClick (RemoveExcavator excavator.id)
-                    , type_ "button"
-                    ]
-                    [ text "Remove" ]
-
-              else
-                text ""
+            , viewItemActions deviceType
+                { canClone = room >= excavator.quantity
+                , canRemove = canRemove
+                , onClone = CloneExcavator excavator.id
+                , onRemove = RemoveExcavator excavator.id
+                }
             ]
         , div [ class "grid grid-cols-2 gap-3" ]
             [ div []
                 [ label [ class (labelClass ++ " block text-gray-700 mb-1 flex items-center") ]
-                    [ text "Bucket Capacity (yd³)"
-                    , HelpTooltip.helpIcon validationRules deviceType "excavatorBucketCapacity" showHelpMsg hideHelpMsg activeTooltipId
+                    [ text ("Bucket Capacity (" ++ Units.unitSymbol unitSystem Units.Volume ++ ")")
+                    , HelpTooltip.helpIcon unitSystem validationRules deviceType "excavatorBucketCapacity" showHelpMsg hideHelpMsg activeTooltipId
                     ]
-                , input
-                    [ type_ "number"
-                    , class inputClass
-                    , value (String.fromFloat excavator.bucketCapacity)
-                    , onInput
-                        (\val ->
-                            case String.toFloat val of
-                                Just f ->
-                                    UpdateExcavator excavator.id (UpdateExcavatorBucketCapacity f)
-
-                                Nothing ->
-                                    NoOp
-                        )
-                    , step "0.1"
-                    , Html.Attributes.min "0.1"
-                    ]
-                    []
+                , figureInput drafts (excavator.id ++ "-bucket-capacity") (measured unitSystem Units.Volume) excavator.bucketCapacity (UpdateExcavator excavator.id << UpdateExcavatorBucketCapacity) [ class inputClass ]
                 ]
             , div []
                 [ label [ class (labelClass ++ " block text-gray-700 mb-1 flex items-center") ]
                     [ text "Cycle Time (min)"
-                    , HelpTooltip.helpIcon validationRules deviceType "excavatorCycleTime" showHelpMsg hideHelpMsg activeTooltipId
+                    , HelpTooltip.helpIcon unitSystem validationRules deviceType "excavatorCycleTime" showHelpMsg hideHelpMsg activeTooltipId
                     ]
-                , input
-                    [ type_ "number"
-                    , class inputClass
-                    , value (String.fromFloat excavator.cycleTime)
-                    , onInput
-                        (\val ->
-                            case String.toFloat val of
-                                Just f ->
-                                    UpdateExcavator excavator.id (UpdateExcavatorCycleTime f)
-
-                                Nothing ->
-                                    NoOp
-                        )
-                    , step "0.1"
-                    , Html.Attributes.min "0.1"
-                    ]
-                    []
+                , figureInput drafts (excavator.id ++ "-cycle-time") unconverted excavator.cycleTime (UpdateExcavator excavator.id << UpdateExcavatorCycleTime) [ class inputClass ]
                 ]
             ]
+        , viewTimeRange unitSystem
+            drafts
+            validationRules
+            deviceType
+            showHelpMsg
+            hideHelpMsg
+            activeTooltipId
+            { label = "Cycle", key = excavator.id ++ "-cycle-time", helpId = "cycleTimeRange", likely = excavator.cycleTime, range = excavator.cycleTimeRange }
+            { onMin = \f -> UpdateExcavator excavator.id (UpdateExcavatorCycleTimeMin f)
+            , onMax = \f -> UpdateExcavator excavator.id (UpdateExcavatorCycleTimeMax f)
+            }
+        , viewProductivityFactors unitSystem
+            drafts
+            validationRules
+            deviceType
+            showHelpMsg
+            hideHelpMsg
+            activeTooltipId
+            excavator
+            { onEfficiency = \f -> UpdateExcavator excavator.id (UpdateExcavatorEfficiency f)
+            , onFillFactor = \f -> UpdateExcavator excavator.id (UpdateExcavatorFillFactor f)
+            , onOperatorSkill = \skill -> UpdateExcavator excavator.id (UpdateExcavatorOperatorSkill skill)
+            }
+        , viewCostFactors unitSystem
+            drafts
+            validationRules
+            deviceType
+            showHelpMsg
+            hideHelpMsg
+            activeTooltipId
+            excavator
+            { onHourlyRate = \f -> UpdateExcavator excavator.id (UpdateExcavatorHourlyRate f)
+            , onOperatorWage = \f -> UpdateExcavator excavator.id (UpdateExcavatorOperatorWage f)
+            , onFuelBurn = \f -> UpdateExcavator excavator.id (UpdateExcavatorFuelBurn f)
+            }
         , div [ class "mt-3" ]
             [ label [ class (labelClass ++ " block text-gray-700 mb-1") ]
                 [ text "Equipment Name" ]
@@ -173,7 +191,9 @@ viewExcavatorItem validationRules deviceType canRemove showHelpMsg hideHelpMsg a
                 , placeholder ("Excavator " ++ String.fromInt equipmentNumber)
                 ]
                 []
+            , FleetRoster.viewSaveForm excavator roster FleetRosterUpdated
             ]
+        , viewQuantity drafts deviceType excavator (UpdateExcavator excavator.id << UpdateExcavatorQuantity)
         , div [ class "mt-3 flex items-center" ]
             [ input
                 [ type_ "checkbox"
@@ -188,15 +208,154 @@ viewExcavatorItem validationRules deviceType canRemove showHelpMsg hideHelpMsg a
         ]
 
 
+{-| Fastest and slowest time inputs either side of the entered cycle or round
+trip time. A machine without a range shows its entered time at both ends.
+-}
+viewTimeRange :
+    UnitSystem
+    -> Dict String String
+    -> ValidationRules
+    -> DeviceType
+    -> (String -> Msg)
+    -> (String -> Msg)
+    -> Maybe String
+    -> { label : String, key : String, helpId : String, likely : Float, range : Maybe TimeRange }
+    -> { onMin : Float -> Msg, onMax : Float -> Msg }
+    -> Html Msg
+viewTimeRange unitSystem drafts validationRules deviceType showHelpMsg hideHelpMsg activeTooltipId timeField handlers =
+    let
+        labelClass =
+            (Theme.getTypographyScale deviceType).body
+
+        current =
+            Maybe.withDefault { min = timeField.likely, max = timeField.likely } timeField.range
+
+        timeInput labelText keySuffix currentValue toMsg =
+            div []
+                [ label [ class (labelClass ++ " block text-gray-700 mb-1 flex items-center") ]
+                    [ text labelText
+                    , HelpTooltip.helpIcon unitSystem validationRules deviceType timeField.helpId showHelpMsg hideHelpMsg activeTooltipId
+                    ]
+                , figureInput drafts (timeField.key ++ keySuffix) unconverted currentValue toMsg [ class "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent" ]
+                ]
+    in
+    div [ class "grid grid-cols-2 gap-3 mt-3" ]
+        [ timeInput ("Fastest " ++ timeField.label ++ " (min)") "-fastest" current.min handlers.onMin
+        , timeInput ("Slowest " ++ timeField.label ++ " (min)") "-slowest" current.max handlers.onMax
+        ]
+
+
+{-| Efficiency, fill factor and operator skill inputs shared by excavators and trucks.
+Efficiency is stored as a fraction but edited as a percentage.
+-}
+viewProductivityFactors :
+    UnitSystem
+    -> Dict String String
+    -> ValidationRules
+    -> DeviceType
+    -> (String -> Msg)
+    -> (String -> Msg)
+    -> Maybe String
+    -> { machine | id : EquipmentId, efficiency : Float, fillFactor : Float, operatorSkill : OperatorSkill }
+    -> { onEfficiency : Float -> Msg, onFillFactor : Float -> Msg, onOperatorSkill : OperatorSkill -> Msg }
+    -> Html Msg
+viewProductivityFactors unitSystem drafts validationRules deviceType showHelpMsg hideHelpMsg activeTooltipId machine handlers =
+    let
+        labelClass =
+            (Theme.getTypographyScale deviceType).body
+
+        inputClass =
+            "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+
+        fieldLabel labelText helpId =
+            label [ class (labelClass ++ " block text-gray-700 mb-1 flex items-center") ]
+                [ text labelText
+                , HelpTooltip.helpIcon unitSystem validationRules deviceType helpId showHelpMsg hideHelpMsg activeTooltipId
+                ]
+    in
+    div [ class "grid grid-cols-3 gap-3 mt-3" ]
+        [ div []
+            [ fieldLabel "Efficiency (%)" "equipmentEfficiency"
+            , figureInput drafts (machine.id ++ "-efficiency") percent machine.efficiency handlers.onEfficiency [ class inputClass ]
+            ]
+        , div []
+            [ fieldLabel "Fill Factor" "fillFactor"
+            , figureInput drafts (machine.id ++ "-fill-factor") unconverted machine.fillFactor handlers.onFillFactor [ class inputClass ]
+            ]
+        , div []
+            [ fieldLabel "Operator" "operatorSkill"
+            , select
+                [ class inputClass
+                , onInput
+                    (\val ->
+                        case operatorSkillFromString val of
+                            Just skill ->
+                                handlers.onOperatorSkill skill
+
+                            Nothing ->
+                                NoOp
+                    )
+                ]
+                (List.map
+                    (\skill ->
+                        option
+                            [ value (operatorSkillToString skill)
+                            , selected (skill == machine.operatorSkill)
+                            ]
+                            [ text (operatorSkillLabel skill) ]
+                    )
+                    allOperatorSkills
+                )
+            ]
+        ]
+
+
+{-| Hourly rate, operator wage and fuel burn inputs shared by excavators and trucks
+-}
+viewCostFactors :
+    UnitSystem
+    -> Dict String String
+    -> ValidationRules
+    -> DeviceType
+    -> (String -> Msg)
+    -> (String -> Msg)
+    -> Maybe String
+    -> { machine | id : EquipmentId, hourlyRate : Float, operatorWage : Float, fuelBurn : Float }
+    -> { onHourlyRate : Float -> Msg, onOperatorWage : Float -> Msg, onFuelBurn : Float -> Msg }
+    -> Html Msg
+viewCostFactors unitSystem drafts validationRules deviceType showHelpMsg hideHelpMsg activeTooltipId machine handlers =
+    let
+        labelClass =
+            (Theme.getTypographyScale deviceType).body
+
+        costInput labelText helpId quantity currentValue toMsg =
+            div []
+                [ label [ class (labelClass ++ " block text-gray-700 mb-1 flex items-center") ]
+                    [ text labelText
+                    , HelpTooltip.helpIcon unitSystem validationRules deviceType helpId showHelpMsg hideHelpMsg activeTooltipId
+                    ]
+                , figureInput drafts (machine.id ++ "-" ++ helpId) quantity currentValue toMsg [ class "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent" ]
+                ]
+    in
+    div [ class "grid grid-cols-3 gap-3 mt-3" ]
+        [ costInput "Rate ($/hr)" "hourlyRate" unconverted machine.hourlyRate handlers.onHourlyRate
+        , costInput "Operator ($/hr)" "operatorWage" unconverted machine.operatorWage handlers.onOperatorWage
+        , costInput ("Fuel (" ++ Units.unitSymbol unitSystem Units.FuelVolume ++ "/hr)") "fuelBurn" (measured unitSystem Units.FuelVolume) machine.fuelBurn handlers.onFuelBurn
+        ]
+
+
 
 -- TRUCK FLEET VIEW
 
 
-viewTruckFleet : ValidationRules -> DeviceType -> List Truck -> Int -> (String -> Msg) -> (String -> Msg) -> Maybe String -> Html Msg
-viewTruckFleet validationRules deviceType trucks nextId showHelpMsg hideHelpMsg activeTooltipId =
+viewTruckFleet : UnitSystem -> Dict String String -> ValidationRules -> FleetLimits -> DeviceType -> List Truck -> List Excavator -> Int -> List CatalogTruck -> ModelPicker.State -> FleetRoster.State -> (String -> Msg) -> (String -> Msg) -> Maybe String -> Html Msg
+viewTruckFleet unitSystem drafts validationRules fleetLimits deviceType trucks excavators nextId catalog picker roster showHelpMsg hideHelpMsg activeTooltipId =
     let
+        room =
+            fleetLimits.maxTrucks - machineCount trucks
+
         canAddMore =
-            List.length trucks < 20
+            room > 0
 
         -- Fleet limit from config
         showAdvancedFeatures =
@@ -204,12 +363,16 @@ viewTruckFleet validationRules deviceType trucks nextId showHelpMsg hideHelpMsg
     in
     div [ class "space-y-4" ]
         [ if showAdvancedFeatures && canAddMore then
-            viewAddTruckButton deviceType
+            div [ class "space-y-2" ]
+                [ viewAddTruckButton deviceType
+                , ModelPicker.viewTruckPicker unitSystem catalog picker ModelPickerUpdated
+                ]
 
           else
             text ""
+        , FleetRoster.viewTruckUnits trucks canAddMore roster FleetRosterUpdated
         , div [ class "space-y-3" ]
-            (List.indexedMap (viewTruckItem validationRules deviceType (List.length trucks > 1) showHelpMsg hideHelpMsg activeTooltipId) trucks)
+            (List.indexedMap (viewTruckItem unitSystem drafts validationRules deviceType roster excavators room (List.length trucks > 1) showHelpMsg hideHelpMsg activeTooltipId) trucks)
         ]
 
 
@@ -231,7 +394,7 @@ viewAddTruckButton deviceType =
     in
     button
         [ class buttonClass
-        , onClick AddTruck
+        , onClick (ModelPickerUpdated (ModelPicker.TogglePicker TruckPicker))
         , type_ "button"
         ]
         [ span [ class "text-lg" ] [ text "🚚" ]
@@ -239,8 +402,8 @@ viewAddTruckButton deviceType =
         ]
 
 
-viewTruckItem : ValidationRules -> DeviceType -> Bool -> (String -> Msg) -> (String -> Msg) -> Maybe String -> Int -> Truck -> Html Msg
-viewTruckItem validationRules deviceType canRemove showHelpMsg hideHelpMsg activeTooltipId index truck =
+viewTruckItem : UnitSystem -> Dict String String -> ValidationRules -> DeviceType -> FleetRoster.State -> List Excavator -> Int -> Bool -> (String -> Msg) -> (String -> Msg) -> Maybe String -> Int -> Truck -> Html Msg
+viewTruckItem unitSystem drafts validationRules deviceType roster excavators room canRemove showHelpMsg hideHelpMsg activeTooltipId index truck =
     let
         itemClass =
             case deviceType of
@@ -270,66 +433,88 @@ viewTruckItem validationRules deviceType canRemove showHelpMsg hideHelpMsg activ
             [ h4 [ class (labelClass ++ " font-medium text-gray-800") ]
                 [ span [ class "text-blue-600 mr-2" ] [ text "🚚" ]
                 , text ("Truck " ++ String.fromInt equipmentNumber)
+                , viewQuantityBadge truck
                 ]
-            , if canRemove && DeviceDetector.shouldShowAdvancedFeatures deviceType then
-                button
-                    [ class "text-red-600 hover:text-red-800 font-medium px-2 py-1 rounded"
-                    , onClick (RemoveTruck truck.id)
-                    , type_ "button"
-                    ]
-                    [ text "Remove" ]
-
-              else
-                text ""
+            , viewItemActions deviceType
+                { canClone = room >= truck.quantity
+                , canRemove = canRemove
+                , onClone = CloneTruck truck.id
+                , onRemove = RemoveTruck truck.id
+                }
             ]
         , div [ class "grid grid-cols-2 gap-3" ]
             [ div []
                 [ label [ class (labelClass ++ " block text-gray-700 mb-1 flex items-center") ]
-                    [ text "Capacity (yd³)"
-                    , HelpTooltip.helpIcon validationRules deviceType "truckCapacity" showHelpMsg hideHelpMsg activeTooltipId
-                    ]
-                , input
-                    [ type_ "number"
-                    , class inputClass
-                    , value (String.fromFloat truck.capacity)
-                    , onInput
-                        (\val ->
-                            case String.toFloat val of
-                                Just f ->
-                                    UpdateTruck truck.id (UpdateTruckCapacity f)
-
-                                Nothing ->
-                                    NoOp
-                        )
-                    , step "0.1"
-                    , Html.Attributes.min "0.1"
+                    [ text ("Capacity (" ++ Units.unitSymbol unitSystem Units.Volume ++ ")")
+                    , HelpTooltip.helpIcon unitSystem validationRules deviceType "truckCapacity" showHelpMsg hideHelpMsg activeTooltipId
                     ]
-                    []
+                , figureInput drafts (truck.id ++ "-capacity") (measured unitSystem Units.Volume) truck.capacity (UpdateTruck truck.id << UpdateTruckCapacity) [ class inputClass ]
                 ]
             , div []
                 [ label [ class (labelClass ++ " block text-gray-700 mb-1 flex items-center") ]
                     [ text "Round Trip Time (min)"
-                    , HelpTooltip.helpIcon validationRules deviceType "truckRoundTripTime" showHelpMsg hideHelpMsg activeTooltipId
+                    , HelpTooltip.helpIcon unitSystem validationRules deviceType "truckRoundTripTime" showHelpMsg hideHelpMsg activeTooltipId
                     ]
-                , input
-                    [ type_ "number"
-                    , class inputClass
-                    , value (String.fromFloat truck.roundTripTime)
-                    , onInput
-                        (\val ->
-                            case String.toFloat val of
-                                Just f ->
-                                    UpdateTruck truck.id (UpdateTruckRoundTripTime f)
-
-                                Nothing ->
-                                    NoOp
-                        )
-                    , step "0.1"
-                    , Html.Attributes.min "0.1"
-                    ]
-                    []
+                , figureInput drafts (truck.id ++ "-round-trip-time") unconverted truck.roundTripTime (UpdateTruck truck.id << UpdateTruckRoundTripTime) [ class inputClass, disabled (truck.haulCycle /= Nothing) ]
+                , if truck.haulCycle /= Nothing then
+                    p [ class "text-xs text-gray-500 mt-1" ]
+                        [ text "Worked out from the haul cycle. Untick it to enter a round trip by hand." ]
+
+                  else
+                    text ""
                 ]
             ]
+        , div [ class "mt-3" ]
+            [ label [ class (labelClass ++ " block text-gray-700 mb-1 flex items-center") ]
+                [ text ("Max Payload (" ++ Units.unitSymbol unitSystem Units.Weight ++ ")")
+                , HelpTooltip.helpIcon unitSystem validationRules deviceType "truckPayload" showHelpMsg hideHelpMsg activeTooltipId
+                ]
+            , figureInput drafts (truck.id ++ "-max-payload") (measured unitSystem Units.Weight) truck.maxPayload (UpdateTruck truck.id << UpdateTruckMaxPayload) [ class inputClass, attribute "data-testid" "truck-max-payload" ]
+            ]
+        , viewHaulCycle unitSystem
+            drafts
+            validationRules
+            deviceType
+            showHelpMsg
+            hideHelpMsg
+            activeTooltipId
+            excavators
+            truck
+        , viewTimeRange unitSystem
+            drafts
+            validationRules
+            deviceType
+            showHelpMsg
+            hideHelpMsg
+            activeTooltipId
+            { label = "Round Trip", key = truck.id ++ "-round-trip-time", helpId = "roundTripTimeRange", likely = truck.roundTripTime, range = truck.roundTripTimeRange }
+            { onMin = \f -> UpdateTruck truck.id (UpdateTruckRoundTripTimeMin f)
+            , onMax = \f -> UpdateTruck truck.id (UpdateTruckRoundTripTimeMax f)
+            }
+        , viewProductivityFactors unitSystem
+            drafts
+            validationRules
+            deviceType
+            showHelpMsg
+            hideHelpMsg
+            activeTooltipId
+            truck
+            { onEfficiency = \f -> UpdateTruck truck.id (UpdateTruckEfficiency f)
+            , onFillFactor = \f -> UpdateTruck truck.id (UpdateTruckFillFactor f)
+            , onOperatorSkill = \skill -> UpdateTruck truck.id (UpdateTruckOperatorSkill skill)
+            }
+        , viewCostFactors unitSystem
+            drafts
+            validationRules
+            deviceType
+            showHelpMsg
+            hideHelpMsg
+            activeTooltipId
+            truck
+            { onHourlyRate = \f -> UpdateTruck truck.id (UpdateTruckHourlyRate f)
+            , onOperatorWage = \f -> UpdateTruck truck.id (UpdateTruckOperatorWage f)
+            , onFuelBurn = \f -> UpdateTruck truck.id (UpdateTruckFuelBurn f)
+            }
         , div [ class "mt-3" ]
             [ label [ class (labelClass ++ " block text-gray-700 mb-1") ]
                 [ text "Equipment Name" ]
@@ -341,7 +526,9 @@ viewTruckItem validationRules deviceType canRemove showHelpMsg hideHelpMsg activ
                 , placeholder ("Truck " ++ String.fromInt equipmentNumber)
                 ]
                 []
+            , FleetRoster.viewSaveForm truck roster FleetRosterUpdated
             ]
+        , viewQuantity drafts deviceType truck (UpdateTruck truck.id << UpdateTruckQuantity)
         , div [ class "mt-3 flex items-center" ]
             [ input
                 [ type_ "checkbox"
@@ -354,3 +541,250 @@ viewTruckItem validationRules deviceType canRemove showHelpMsg hideHelpMsg activ
                 [ text "Equipment Active" ]
             ]
         ]
+
+
+{-| Optional haul cycle for a truck. When ticked, the round trip is worked
+out from the haul distance, travel speeds, dump and spot times and the
+loading passes of the paired excavator instead of the entered time.
+-}
+viewHaulCycle : UnitSystem -> Dict String String -> ValidationRules -> DeviceType -> (String -> Msg) -> (String -> Msg) -> Maybe String -> List Excavator -> Truck -> Html Msg
+viewHaulCycle unitSystem drafts validationRules deviceType showHelpMsg hideHelpMsg activeTooltipId excavators truck =
+    let
+        labelClass =
+            (Theme.getTypographyScale deviceType).body
+
+        inputClass =
+            "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+
+        toggle =
+            div [ class "flex items-center" ]
+                [ input
+                    [ type_ "checkbox"
+                    , class "h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                    , checked (truck.haulCycle /= Nothing)
+                    , onCheck
+                        (\isOn ->
+                            if isOn then
+                                UpdateTruck truck.id (UpdateTruckHaulCycle (Just defaultHaulCycle))
+
+                            else
+                                UpdateTruck truck.id (UpdateTruckHaulCycle Nothing)
+                        )
+                    , attribute "data-testid" "haul-cycle-toggle"
+                    ]
+                    []
+                , label [ class (labelClass ++ " ml-2 text-gray-700 flex items-center") ]
+                    [ text "Work out round trip from haul distance"
+                    , HelpTooltip.helpIcon unitSystem validationRules deviceType "haulCycle" showHelpMsg hideHelpMsg activeTooltipId
+                    ]
+                ]
+    in
+    case truck.haulCycle of
+        Nothing ->
+            div [ class "mt-3" ] [ toggle ]
+
+        Just cycle ->
+            let
+                update newCycle =
+                    UpdateTruck truck.id (UpdateTruckHaulCycle (Just newCycle))
+
+                cycleInput labelText testId quantity currentValue toCycle =
+                    div []
+                        [ label [ class (labelClass ++ " block text-gray-700 mb-1") ]
+                            [ text labelText ]
+                        , figureInput drafts (truck.id ++ "-" ++ testId) quantity currentValue (update << toCycle) [ class inputClass, attribute "data-testid" testId ]
+                        ]
+            in
+            div [ class "mt-3 space-y-3", attribute "data-testid" "haul-cycle" ]
+                [ toggle
+                , div [ class "grid grid-cols-3 gap-3" ]
+                    [ cycleInput ("Haul Distance (" ++ Units.unitSymbol unitSystem Units.Distance ++ ")") "haul-distance" (measured unitSystem Units.Distance) cycle.distance (\f -> { cycle | distance = f })
+                    , cycleInput ("Loaded Speed (" ++ Units.unitSymbol unitSystem Units.Speed ++ ")") "haul-loaded-speed" (measured unitSystem Units.Speed) cycle.loadedSpeed (\f -> { cycle | loadedSpeed = f })
+                    , cycleInput ("Empty Speed (" ++ Units.unitSymbol unitSystem Units.Speed ++ ")") "haul-empty-speed" (measured unitSystem Units.Speed) cycle.emptySpeed (\f -> { cycle | emptySpeed = f })
+                    , cycleInput "Dump Time (min)" "haul-dump-time" unconverted cycle.dumpTime (\f -> { cycle | dumpTime = f })
+                    , cycleInput "Spot Time (min)" "haul-spot-time" unconverted cycle.spotTime (\f -> { cycle | spotTime = f })
+                    , div []
+                        [ label [ class (labelClass ++ " block text-gray-700 mb-1") ]
+                            [ text "Loaded By" ]
+                        , select
+                            [ class inputClass
+                            , onInput
+                                (\val ->
+                                    if val == "" then
+                                        update { cycle | loadingExcavator = Nothing }
+
+                                    else
+                                        update { cycle | loadingExcavator = Just val }
+                                )
+                            , attribute "data-testid" "haul-loading-excavator"
+                            ]
+                            (option [ value "", selected (cycle.loadingExcavator == Nothing) ] [ text "First active excavator" ]
+                                :: List.indexedMap (loadingExcavatorOption cycle) excavators
+                            )
+                        ]
+                    ]
+                ]
+
+
+loadingExcavatorOption : HaulCycle -> Int -> Excavator -> Html Msg
+loadingExcavatorOption cycle index excavator =
+    let
+        excavatorName =
+            if String.isEmpty (String.trim excavator.name) then
+                "Excavator " ++ String.fromInt (index + 1)
+
+            else
+                excavator.name
+    in
+    option
+        [ value excavator.id
+        , selected (cycle.loadingExcavator == Just excavator.id)
+        ]
+        [ text excavatorName ]
+
+
+{-| Clone and remove buttons in an equipment item's header. Cloning is
+offered while the fleet has room for another row of the same quantity.
+-}
+viewItemActions : DeviceType -> { canClone : Bool, canRemove : Bool, onClone : Msg, onRemove : Msg } -> Html Msg
+viewItemActions deviceType actions =
+    if DeviceDetector.shouldShowAdvancedFeatures deviceType then
+        div [ class "flex items-center space-x-2" ]
+            [ button
+                [ class "text-blue-600 hover:text-blue-800 disabled:text-gray-400 disabled:cursor-not-allowed font-medium px-2 py-1 rounded"
+                , onClick actions.onClone
+                , disabled (not actions.canClone)
+                , type_ "button"
+                ]
+                [ text "Clone" ]
+            , if actions.canRemove then
+                button
+                    [ class "text-red-600 hover:text-red-800 font-medium px-2 py-1 rounded"
+                    , onClick actions.onRemove
+                    , type_ "button"
+                    ]
+                    [ text "Remove" ]
+
+              else
+                text ""
+            ]
+
+    else
+        text ""
+
+
+{-| How many machines a row stands for, shown beside its heading when more
+than one, such as "3 × Standard Dump Truck"
+-}
+viewQuantityBadge : { machine | name : String, quantity : Int } -> Html Msg
+viewQuantityBadge machine =
+    if machine.quantity > 1 then
+        span [ class "ml-2 px-2 py-0.5 rounded-full bg-blue-100 text-blue-800 text-xs font-medium" ]
+            [ text (machineLabel machine) ]
+
+    else
+        text ""
+
+
+{-| Quantity input for a row of identical machines. Main keeps the quantity
+within the fleet limits.
+-}
+viewQuantity : Dict String String -> DeviceType -> { machine | id : EquipmentId, quantity : Int } -> (Int -> Msg) -> Html Msg
+viewQuantity drafts deviceType machine toMsg =
+    div [ class "mt-3" ]
+        [ label [ class ((Theme.getTypographyScale deviceType).body ++ " block text-gray-700 mb-1") ]
+            [ text "Quantity" ]
+        , figureInput drafts
+            (machine.id ++ "-quantity")
+            count
+            (toFloat machine.quantity)
+            (round >> toMsg)
+            [ class "w-24 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent" ]
+        ]
+
+
+{-| How a figure input shows a stored figure, reads typed text back into a
+stored figure, and labels the reading shown under it
+-}
+type alias Reading =
+    { show : Float -> String
+    , read : String -> Result String Float
+    , unit : String
+    }
+
+
+{-| Reading for an input of the given quantity, which may be typed with a unit
+-}
+measured : UnitSystem -> Units.Quantity -> Reading
+measured unitSystem quantity =
+    { show = Units.displayValue unitSystem quantity
+    , read = InputParser.parseMeasure unitSystem quantity
+    , unit = " " ++ Units.unitSymbol unitSystem quantity
+    }
+
+
+{-| Reading for inputs with no unit to convert, such as minutes or dollars
+per hour
+-}
+unconverted : Reading
+unconverted =
+    { show = String.fromFloat
+    , read = InputParser.parseNumber
+    , unit = ""
+    }
+
+
+{-| Reading for a number of machines, which must be a whole number of at
+least one
+-}
+count : Reading
+count =
+    { show = round >> String.fromInt
+    , read =
+        InputParser.parseNumber
+            >> Result.andThen
+                (\typed ->
+                    if typed >= 1 && toFloat (round typed) == typed then
+                        Ok typed
+
+                    else
+                        Err "Enter a whole number of machines"
+                )
+    , unit = ""
+    }
+
+
+{-| Reading for a fraction edited as a whole percentage
+-}
+percent : Reading
+percent =
+    { show = \fraction -> String.fromInt (round (fraction * 100))
+    , read = InputParser.parseNumber >> Result.map (\typed -> typed / 100)
+    , unit = "%"
+    }
+
+
+{-| Free-text figure input. The text is kept as a draft while the input is in
+use, so arithmetic and units such as 2\*20+5 or 12 m can be finished before it
+reads as a figure; every time it does, the figure is stored. What the text
+was read as is shown underneath.
+-}
+figureInput : Dict String String -> String -> Reading -> Float -> (Float -> Msg) -> List (Attribute Msg) -> Html Msg
+figureInput drafts draftKey reading currentValue toMsg attributes =
+    let
+        typed =
+            Dict.get draftKey drafts
+                |> Maybe.withDefault (reading.show currentValue)
+    in
+    div []
+        [ input
+            ([ type_ "text"
+             , value typed
+             , onInput (\val -> NumberTyped draftKey val (Result.toMaybe (Result.map toMsg (reading.read val))))
+             , onBlur (NumberLeft draftKey)
+             ]
+                ++ attributes
+            )
+            []
+        , ParsedValueHint.view typed (Result.map (\stored -> reading.show stored ++ reading.unit) (reading.read typed))
+        ]
@@ -0,0 +1,338 @@
+module Components.FleetImportPanel exposing (State, ImportMsg(..), initState, updateState, chooseFile, readFile, loaded, imported, view)
+
+{-| Import machines into the fleet from an equipment roster saved as CSV or
+JSON, after a preview of every row and its problems
+
+@docs State, ImportMsg, initState, updateState, chooseFile, readFile, loaded, imported, view
+
+-}
+
+import File exposing (File)
+import File.Select
+import Html exposing (Html, button, div, li, p, span, table, tbody, td, text, th, thead, tr, ul)
+import Html.Attributes exposing (class, disabled, type_)
+import Html.Events exposing (onClick, preventDefaultOn)
+import Json.Decode as Decode
+import Styles.Theme as Theme
+import Task
+import Types.DeviceType exposing (DeviceType)
+import Utils.Config exposing (FleetLimits)
+import Utils.FleetImport as FleetImport exposing (ImportRow, Machine(..))
+
+
+
+-- TYPES
+
+
+type alias State =
+    { preview : Maybe { fileName : String, rows : List ImportRow } -- rows read, waiting for the import to be confirmed
+    , dragging : Bool -- a file is held over the drop zone
+    , problem : Maybe String -- why the chosen file could not be read
+    , notice : Maybe String -- what the last import added
+    }
+
+
+type ImportMsg
+    = ChooseFile
+    | FileChosen File
+    | SetDragging Bool
+    | FileRead String String -- file name and text
+    | ConfirmImport
+    | CancelImport
+
+
+
+-- INIT
+
+
+initState : State
+initState =
+    { preview = Nothing
+    , dragging = False
+    , problem = Nothing
+    , notice = Nothing
+    }
+
+
+
+-- UPDATE
+
+
+{-| Track the drop zone and the file chosen. Choosing and reading the file
+are commands Main runs with chooseFile and readFile; reading the rows needs
+the configuration and importing them needs the fleet, so Main handles those
+too.
+-}
+updateState : ImportMsg -> State -> State
+updateState msg state =
+    case msg of
+        ChooseFile ->
+            state
+
+        FileChosen file ->
+            { state
+                | dragging = False
+                , preview = Nothing
+                , notice = Nothing
+                , problem =
+                    if File.size file > maxFileSize then
+                        Just (File.name file ++ " is larger than 1 MB. Save just the equipment roster and try again.")
+
+                    else
+                        Nothing
+            }
+
+        SetDragging dragging ->
+            { state | dragging = dragging }
+
+        FileRead _ _ ->
+            state
+
+        ConfirmImport ->
+            state
+
+        CancelImport ->
+            { state | preview = Nothing, problem = Nothing }
+
+
+{-| Ask the browser for a CSV or JSON file
+-}
+chooseFile : Cmd ImportMsg
+chooseFile =
+    File.Select.file [ "text/csv", "application/json", ".csv", ".json", "text/plain" ] FileChosen
+
+
+{-| Read a chosen file's text, unless it is too large to be a roster
+-}
+readFile : File -> Cmd ImportMsg
+readFile file =
+    if File.size file > maxFileSize then
+        Cmd.none
+
+    else
+        Task.perform (FileRead (File.name file)) (File.toString file)
+
+
+{-| Show the rows read from a file, or why none could be
+-}
+loaded : String -> Result String (List ImportRow) -> State -> State
+loaded fileName result state =
+    case result of
+        Ok rows ->
+            { state | preview = Just { fileName = fileName, rows = rows }, problem = Nothing }
+
+        Err problem ->
+            { state | preview = Nothing, problem = Just problem }
+
+
+{-| Close the preview once its machines are in the fleet, saying how many
+-}
+imported : Int -> Int -> State -> State
+imported excavatorCount truckCount state =
+    { state
+        | preview = Nothing
+        , problem = Nothing
+        , notice = Just ("Imported " ++ countOf excavatorCount "excavator" ++ " and " ++ countOf truckCount "truck" ++ ".")
+    }
+
+
+maxFileSize : Int
+maxFileSize =
+    1000000
+
+
+
+-- VIEW
+
+
+{-| Render the drop zone, and the preview of a file's rows against the room
+left in the fleet
+-}
+view : DeviceType -> FleetLimits -> { excavators : Int, trucks : Int } -> State -> (ImportMsg -> msg) -> Html msg
+view deviceType limits fleet state toMsg =
+    let
+        typography =
+            Theme.getTypographyScale deviceType
+
+        holding =
+            Decode.succeed ( toMsg (SetDragging True), True )
+    in
+    div [ class "space-y-4" ]
+        [ div
+            [ class
+                ("flex flex-col items-center gap-2 p-6 border-2 border-dashed rounded-md text-center "
+                    ++ (if state.dragging then
+                            "border-blue-500 bg-blue-50"
+
+                        else
+                            "border-gray-300"
+                       )
+                )
+            , Html.Attributes.attribute "data-testid" "fleet-import-drop"
+            , preventDefaultOn "dragenter" holding
+            , preventDefaultOn "dragover" holding
+            , preventDefaultOn "dragleave" (Decode.succeed ( toMsg (SetDragging False), True ))
+            , preventDefaultOn "drop" (Decode.map (\file -> ( toMsg (FileChosen file), True )) droppedFile)
+            ]
+            [ p [ class (typography.body ++ " text-gray-700") ]
+                [ text "Drop a CSV or JSON file of your equipment here, or" ]
+            , button
+                [ type_ "button"
+                , class "px-4 py-2 text-sm border border-blue-600 text-blue-600 rounded-md hover:bg-blue-50"
+                , Html.Attributes.attribute "data-testid" "fleet-import-choose"
+                , onClick (toMsg ChooseFile)
+                ]
+                [ text "Choose File" ]
+            , p [ class "text-xs text-gray-500" ]
+                [ text "One machine per row, with columns for name, type (excavator or truck), bucket or truck capacity, cycle or round trip time in minutes, and active (yes or no)." ]
+            ]
+        , case state.problem of
+            Just problem ->
+                p [ class "text-sm text-red-600", Html.Attributes.attribute "data-testid" "fleet-import-problem" ]
+                    [ text problem ]
+
+            Nothing ->
+                text ""
+        , case state.notice of
+            Just notice ->
+                p [ class "text-sm text-green-700", Html.Attributes.attribute "data-testid" "fleet-import-notice" ]
+                    [ text notice ]
+
+            Nothing ->
+                text ""
+        , case state.preview of
+            Just preview ->
+                viewPreview preview.fileName (FleetImport.withinLimits limits fleet preview.rows) toMsg
+
+            Nothing ->
+                text ""
+        ]
+
+
+droppedFile : Decode.Decoder File
+droppedFile =
+    Decode.at [ "dataTransfer", "files" ] (Decode.oneOrMore (\first _ -> first) File.decoder)
+
+
+viewPreview : String -> List ImportRow -> (ImportMsg -> msg) -> Html msg
+viewPreview fileName rows toMsg =
+    let
+        readyCount =
+            List.length (List.filter (\row -> isReady row) rows)
+
+        problemCount =
+            List.length rows - readyCount
+    in
+    div [ class "space-y-3", Html.Attributes.attribute "data-testid" "fleet-import-preview" ]
+        [ p [ class "text-sm font-medium text-gray-800" ] [ text fileName ]
+        , div [ class "overflow-x-auto" ]
+            [ table [ class "w-full text-sm text-left" ]
+                [ thead [ class "text-gray-600 border-b" ]
+                    [ tr []
+                        (List.map (\heading -> th [ class "px-2 py-1 font-medium" ] [ text heading ])
+                            [ "Row", "Name", "Type", "Capacity", "Time", "Active", "Status" ]
+                        )
+                    ]
+                , tbody [] (List.map viewRow rows)
+                ]
+            ]
+        , p [ class "text-sm text-gray-700" ]
+            [ text
+                (countOf readyCount "machine"
+                    ++ " ready to import."
+                    ++ (if problemCount == 0 then
+                            ""
+
+                        else if problemCount == 1 then
+                            " 1 row has problems and will be left out."
+
+                        else
+                            " " ++ String.fromInt problemCount ++ " rows have problems and will be left out."
+                       )
+                )
+            ]
+        , div [ class "flex gap-2" ]
+            [ button
+                [ type_ "button"
+                , class "px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                , Html.Attributes.attribute "data-testid" "fleet-import-confirm"
+                , disabled (readyCount == 0)
+                , onClick (toMsg ConfirmImport)
+                ]
+                [ text ("Import " ++ countOf readyCount "Machine") ]
+            , button
+                [ type_ "button"
+                , class "px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50"
+                , Html.Attributes.attribute "data-testid" "fleet-import-cancel"
+                , onClick (toMsg CancelImport)
+                ]
+                [ text "Cancel" ]
+            ]
+        ]
+
+
+viewRow : ImportRow -> Html msg
+viewRow row =
+    let
+        cell content =
+            td [ class "px-2 py-1 align-top" ] [ content ]
+
+        kind =
+            case row.machine of
+                Ok (ImportedExcavator _) ->
+                    "Excavator"
+
+                Ok (ImportedTruck _) ->
+                    "Truck"
+
+                Err _ ->
+                    row.kind
+    in
+    tr
+        [ class "border-b border-gray-100"
+        , Html.Attributes.attribute "data-testid" ("fleet-import-row-" ++ String.fromInt row.number)
+        ]
+        [ cell (text (String.fromInt row.number))
+        , cell
+            (if String.isEmpty row.name then
+                span [ class "italic text-gray-400" ] [ text "Unnamed" ]
+
+             else
+                text row.name
+            )
+        , cell (text kind)
+        , cell (text row.capacity)
+        , cell (text row.time)
+        , cell (text row.active)
+        , cell
+            (case row.machine of
+                Ok _ ->
+                    span [ class "text-green-700" ] [ text "Ready" ]
+
+                Err problems ->
+                    ul [ class "text-red-600 space-y-1" ] (List.map (\problem -> li [] [ text problem ]) problems)
+            )
+        ]
+
+
+
+-- HELPERS
+
+
+isReady : ImportRow -> Bool
+isReady row =
+    case row.machine of
+        Ok _ ->
+            True
+
+        Err _ ->
+            False
+
+
+countOf : Int -> String -> String
+countOf count noun =
+    if count == 1 then
+        "1 " ++ noun
+
+    else
+        String.fromInt count ++ " " ++ noun ++ "s"
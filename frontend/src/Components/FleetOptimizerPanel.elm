@@ -0,0 +1,286 @@
+module Components.FleetOptimizerPanel exposing (State, OptimizerMsg(..), initState, updateState, targetDays, view)
+
+{-| "Solve for deadline" panel that searches the equipment catalog for fleets
+that finish the job in time
+
+@docs State, OptimizerMsg, initState, updateState, targetDays, view
+
+-}
+
+import Html exposing (Html, button, div, input, label, option, p, select, span, text)
+import Html.Attributes exposing (class, disabled, id, placeholder, selected, type_, value)
+import Html.Events exposing (onClick, onInput)
+import Styles.Theme as Theme
+import Types.DeviceType exposing (DeviceType)
+import Types.Equipment exposing (Excavator, Truck)
+import Utils.Calculations exposing (Bottleneck(..))
+import Utils.FleetOptimizer exposing (FleetOption)
+
+
+
+-- TYPES
+
+
+type alias State =
+    { targetDays : String
+    , excavatorModel : String -- catalog model name, or "" for any model
+    , truckModel : String -- catalog model name, or "" for any model
+    , options : Maybe (List FleetOption) -- Nothing until a search has run
+    , problem : Maybe String -- why the last search could not run
+    }
+
+
+type OptimizerMsg
+    = SetTargetDays String
+    | SetExcavatorModel String
+    | SetTruckModel String
+    | RunSearch
+    | ApplyOption FleetOption
+
+
+
+-- INIT
+
+
+initState : State
+initState =
+    { targetDays = ""
+    , excavatorModel = ""
+    , truckModel = ""
+    , options = Nothing
+    , problem = Nothing
+    }
+
+
+
+-- UPDATE
+
+
+{-| Update the search inputs. Changing them clears results that no longer
+match; running a search and applying an option are handled by Main.
+-}
+updateState : OptimizerMsg -> State -> State
+updateState msg state =
+    case msg of
+        SetTargetDays value ->
+            { state | targetDays = value, options = Nothing, problem = Nothing }
+
+        SetExcavatorModel name ->
+            { state | excavatorModel = name, options = Nothing, problem = Nothing }
+
+        SetTruckModel name ->
+            { state | truckModel = name, options = Nothing, problem = Nothing }
+
+        RunSearch ->
+            state
+
+        ApplyOption _ ->
+            state
+
+
+{-| Parse the deadline. Returns Nothing unless it is a whole number of days
+of at least one.
+-}
+targetDays : State -> Maybe Int
+targetDays state =
+    String.toInt (String.trim state.targetDays)
+        |> Maybe.andThen
+            (\days ->
+                if days >= 1 then
+                    Just days
+
+                else
+                    Nothing
+            )
+
+
+
+-- VIEW
+
+
+{-| Render the deadline and model pickers and the ranked fleet options
+-}
+view : DeviceType -> List Excavator -> List Truck -> State -> (OptimizerMsg -> msg) -> Html msg
+view deviceType excavatorModels truckModels state toMsg =
+    let
+        typography =
+            Theme.getTypographyScale deviceType
+
+        modelSelect config =
+            div []
+                [ label [ class (typography.body ++ " block text-gray-700 mb-1"), Html.Attributes.for config.id ]
+                    [ text config.label ]
+                , select
+                    [ class "w-full px-3 py-2 border border-gray-300 rounded-md bg-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    , id config.id
+                    , Html.Attributes.attribute "data-testid" config.id
+                    , onInput (toMsg << config.toMsg)
+                    ]
+                    (option [ value "", selected (config.current == "") ] [ text "Any model" ]
+                        :: List.map
+                            (\name -> option [ value name, selected (name == config.current) ] [ text name ])
+                            config.names
+                    )
+                ]
+    in
+    div [ class "space-y-4" ]
+        [ div [ class "grid grid-cols-2 md:grid-cols-4 gap-3 items-end" ]
+            [ div []
+                [ label [ class (typography.body ++ " block text-gray-700 mb-1"), Html.Attributes.for "optimizer-target-days" ]
+                    [ text "Deadline (working days)" ]
+                , input
+                    [ type_ "number"
+                    , class "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    , id "optimizer-target-days"
+                    , Html.Attributes.attribute "data-testid" "optimizer-target-days"
+                    , value state.targetDays
+                    , placeholder "e.g., 5"
+                    , onInput (toMsg << SetTargetDays)
+                    , Html.Attributes.step "1"
+                    , Html.Attributes.min "1"
+                    ]
+                    []
+                ]
+            , modelSelect
+                { label = "Excavator Model"
+                , id = "optimizer-excavator-model"
+                , current = state.excavatorModel
+                , names = List.map .name excavatorModels
+                , toMsg = SetExcavatorModel
+                }
+            , modelSelect
+                { label = "Truck Model"
+                , id = "optimizer-truck-model"
+                , current = state.truckModel
+                , names = List.map .name truckModels
+                , toMsg = SetTruckModel
+                }
+            , button
+                [ type_ "button"
+                , class "px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                , Html.Attributes.attribute "data-testid" "optimizer-run"
+                , disabled (targetDays state == Nothing)
+                , onClick (toMsg RunSearch)
+                ]
+                [ text "Find Fleets" ]
+            ]
+        , case state.problem of
+            Just problem ->
+                p
+                    [ class "text-sm text-red-600"
+                    , Html.Attributes.attribute "data-testid" "optimizer-problem"
+                    ]
+                    [ text problem ]
+
+            Nothing ->
+                text ""
+        , case state.options of
+            Just [] ->
+                p
+                    [ class "text-sm text-gray-600"
+                    , Html.Attributes.attribute "data-testid" "optimizer-no-options"
+                    ]
+                    [ text "No fleet within the fleet limits finishes by this deadline. Try more days or a larger model." ]
+
+            Just options ->
+                div [ class "space-y-2", Html.Attributes.attribute "data-testid" "optimizer-options" ]
+                    (List.indexedMap (viewOption toMsg) options)
+
+            Nothing ->
+                text ""
+        ]
+
+
+{-| One ranked fleet with its timeline, balance, cost and a button to use it
+-}
+viewOption : (OptimizerMsg -> msg) -> Int -> FleetOption -> Html msg
+viewOption toMsg index fleetOption =
+    div
+        [ class "flex flex-wrap items-center justify-between gap-2 p-3 border border-gray-200 rounded-md"
+        , Html.Attributes.attribute "data-testid" ("optimizer-option-" ++ String.fromInt index)
+        ]
+        [ div []
+            [ div [ class "font-semibold text-gray-900" ]
+                [ text
+                    (String.fromInt fleetOption.excavatorCount
+                        ++ " × "
+                        ++ fleetOption.excavatorModel.name
+                        ++ (if fleetOption.truckCount > 0 then
+                                " + " ++ String.fromInt fleetOption.truckCount ++ " × " ++ fleetOption.truckModel.name
+
+                            else
+                                ""
+                           )
+                    )
+                ]
+            , div [ class "text-sm text-gray-600" ]
+                [ span [] [ text (formatDays fleetOption.timelineInDays) ]
+                , span [ class "mx-2" ] [ text "·" ]
+                , span []
+                    [ text
+                        (if fleetOption.truckCount > 0 then
+                            balanceLabel fleetOption.bottleneck
+
+                         else
+                            "No trucks needed"
+                        )
+                    ]
+                , case fleetOption.cost of
+                    Just cost ->
+                        span []
+                            [ span [ class "mx-2" ] [ text "·" ]
+                            , text (formatCost cost)
+                            ]
+
+                    Nothing ->
+                        text ""
+                ]
+            ]
+        , button
+            [ type_ "button"
+            , class "px-3 py-1 text-sm border border-blue-600 text-blue-600 rounded-md hover:bg-blue-50"
+            , Html.Attributes.attribute "data-testid" ("optimizer-apply-" ++ String.fromInt index)
+            , onClick (toMsg (ApplyOption fleetOption))
+            ]
+            [ text "Use this fleet" ]
+        ]
+
+
+
+-- HELPERS
+
+
+balanceLabel : Bottleneck -> String
+balanceLabel bottleneck =
+    case bottleneck of
+        Balanced ->
+            "Balanced"
+
+        ExcavationBottleneck ->
+            "Trucks waiting on excavators"
+
+        HaulingBottleneck ->
+            "Excavators waiting on trucks"
+
+
+formatDays : Int -> String
+formatDays days =
+    if days == 1 then
+        "1 working day"
+
+    else
+        String.fromInt days ++ " working days"
+
+
+formatCost : Float -> String
+formatCost amount =
+    "$" ++ groupThousands (String.fromInt (round amount))
+
+
+groupThousands : String -> String
+groupThousands digits =
+    if String.length digits <= 3 then
+        digits
+
+    else
+        groupThousands (String.dropRight 3 digits) ++ "," ++ String.right 3 digits
@@ -0,0 +1,429 @@
+module Components.FleetRoster exposing (State, RosterMsg(..), initState, updateState, loaded, saveUnit, findUnit, viewExcavatorUnits, viewTruckUnits, viewSaveForm)
+
+{-| Roster of the company's own numbered machines, saved in the browser. Fleet
+machines are saved to it with their measured figures, and units are added
+back to any estimate in one click.
+
+@docs State, RosterMsg, initState, updateState, loaded, saveUnit, findUnit, viewExcavatorUnits, viewTruckUnits, viewSaveForm
+
+-}
+
+import Html exposing (Html, button, div, input, label, li, p, span, text, ul)
+import Html.Attributes exposing (class, disabled, placeholder, type_, value)
+import Html.Events exposing (onClick, onInput)
+import Types.Equipment exposing (EquipmentId, Excavator, Truck)
+import Types.Roster exposing (RosterMachine(..), RosterUnit, isUnit, unitName)
+
+
+
+-- TYPES
+
+
+type alias State =
+    { units : List RosterUnit -- in the order they were saved
+    , saving : Maybe Draft -- a fleet machine being saved to the roster
+    , removing : Maybe String -- unit waiting for the removal to be confirmed
+    , problem : Maybe String -- why the stored roster could not be read
+    }
+
+
+type alias Draft =
+    { machineId : String
+    , unitNumber : String
+    , description : String
+    , problem : Maybe String
+    }
+
+
+type RosterMsg
+    = StartSaving String String (Maybe String) -- fleet machine id, name and the unit it was added from
+    | SetUnitNumber String
+    | SetDescription String
+    | SaveUnit
+    | CancelSaving
+    | AddUnit String -- unit number
+    | SetAvailable String Bool
+    | RemoveUnit String
+    | ConfirmRemove String
+    | CancelRemove
+
+
+
+-- INIT
+
+
+initState : State
+initState =
+    { units = []
+    , saving = Nothing
+    , removing = Nothing
+    , problem = Nothing
+    }
+
+
+
+-- UPDATE
+
+
+{-| Update the roster for everything that does not need the fleet. Saving a
+machine and adding a unit to the estimate are handled by Main, which knows
+the fleet.
+-}
+updateState : RosterMsg -> State -> State
+updateState msg state =
+    case msg of
+        StartSaving machineId machineName rosterUnit ->
+            let
+                -- A machine added from the roster is saved over its unit,
+                -- so measured figures can be brought up to date
+                existing =
+                    List.filter (\unit -> isUnit unit rosterUnit) state.units
+                        |> List.head
+            in
+            { state
+                | saving =
+                    Just
+                        { machineId = machineId
+                        , unitNumber = Maybe.withDefault "" (Maybe.map .unitNumber existing)
+                        , description = Maybe.withDefault machineName (Maybe.map .description existing)
+                        , problem = Nothing
+                        }
+            }
+
+        SetUnitNumber unitNumber ->
+            { state | saving = Maybe.map (\draft -> { draft | unitNumber = unitNumber, problem = Nothing }) state.saving }
+
+        SetDescription description ->
+            { state | saving = Maybe.map (\draft -> { draft | description = description }) state.saving }
+
+        SaveUnit ->
+            state
+
+        CancelSaving ->
+            { state | saving = Nothing }
+
+        AddUnit _ ->
+            state
+
+        SetAvailable unitNumber available ->
+            { state
+                | units =
+                    List.map
+                        (\unit ->
+                            if unit.unitNumber == unitNumber then
+                                { unit | available = available }
+
+                            else
+                                unit
+                        )
+                        state.units
+            }
+
+        RemoveUnit unitNumber ->
+            { state | removing = Just unitNumber }
+
+        ConfirmRemove unitNumber ->
+            { state
+                | units = List.filter (\unit -> unit.unitNumber /= unitNumber) state.units
+                , removing = Nothing
+            }
+
+        CancelRemove ->
+            { state | removing = Nothing }
+
+
+{-| Take in the roster read from storage. A roster that could not be read is
+left alone in storage, and saving stays off so it is not overwritten.
+-}
+loaded : Result String (List RosterUnit) -> State -> State
+loaded result state =
+    case result of
+        Ok units ->
+            { state | units = units, problem = Nothing }
+
+        Err problem ->
+            { state | problem = Just problem }
+
+
+{-| Save the machine being saved under the unit number typed. Saving under a
+number already in the roster replaces that unit's description and figures,
+keeping its place and availability.
+-}
+saveUnit : RosterMachine -> State -> State
+saveUnit machine state =
+    case state.saving of
+        Just draft ->
+            case String.words draft.unitNumber of
+                [ unitNumber ] ->
+                    let
+                        sameNumber unit =
+                            String.toLower unit.unitNumber == String.toLower unitNumber
+
+                        saved =
+                            { unitNumber = unitNumber
+                            , description = String.trim draft.description
+                            , available = True
+                            , machine = machine
+                            }
+                    in
+                    { state
+                        | units =
+                            if List.any sameNumber state.units then
+                                List.map
+                                    (\unit ->
+                                        if sameNumber unit then
+                                            { saved | available = unit.available }
+
+                                        else
+                                            unit
+                                    )
+                                    state.units
+
+                            else
+                                state.units ++ [ saved ]
+                        , saving = Nothing
+                    }
+
+                [] ->
+                    { state | saving = Just { draft | problem = Just "Give the unit its number, such as EX-07." } }
+
+                _ ->
+                    { state | saving = Just { draft | problem = Just "A unit number is one word, such as EX-07 or T-12." } }
+
+        Nothing ->
+            state
+
+
+{-| The unit with the given number
+-}
+findUnit : String -> State -> Maybe RosterUnit
+findUnit unitNumber state =
+    List.filter (\unit -> unit.unitNumber == unitNumber) state.units
+        |> List.head
+
+
+
+-- VIEW
+
+
+{-| Render the roster's excavators, marking those the estimate already uses.
+The Bool says whether the fleet has room for another excavator.
+-}
+viewExcavatorUnits : List Excavator -> Bool -> State -> (RosterMsg -> msg) -> Html msg
+viewExcavatorUnits excavators canAddMore state toMsg =
+    viewUnits "excavator"
+        (List.filterMap
+            (\unit ->
+                case unit.machine of
+                    RosterExcavator excavator ->
+                        Just ( unit, String.fromFloat excavator.cycleTime ++ " min cycle" )
+
+                    RosterTruck _ ->
+                        Nothing
+            )
+            state.units
+        )
+        (List.map .rosterUnit excavators)
+        canAddMore
+        state
+        toMsg
+
+
+{-| Render the roster's trucks, see viewExcavatorUnits
+-}
+viewTruckUnits : List Truck -> Bool -> State -> (RosterMsg -> msg) -> Html msg
+viewTruckUnits trucks canAddMore state toMsg =
+    viewUnits "truck"
+        (List.filterMap
+            (\unit ->
+                case unit.machine of
+                    RosterTruck truck ->
+                        Just ( unit, String.fromFloat truck.roundTripTime ++ " min round trip" )
+
+                    RosterExcavator _ ->
+                        Nothing
+            )
+            state.units
+        )
+        (List.map .rosterUnit trucks)
+        canAddMore
+        state
+        toMsg
+
+
+viewUnits : String -> List ( RosterUnit, String ) -> List (Maybe String) -> Bool -> State -> (RosterMsg -> msg) -> Html msg
+viewUnits noun units fleetUnits canAddMore state toMsg =
+    div [ class "space-y-2", Html.Attributes.attribute "data-testid" (noun ++ "-roster") ]
+        [ p [ class "text-sm font-medium text-gray-800" ] [ text "My Fleet" ]
+        , case state.problem of
+            Just problem ->
+                p [ class "p-2 text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-md" ] [ text problem ]
+
+            Nothing ->
+                text ""
+        , if List.isEmpty units then
+            p [ class "text-xs text-gray-500" ]
+                [ text ("Save any of the " ++ noun ++ "s below to My Fleet to add it to later estimates in one click.") ]
+
+          else
+            ul [ class "divide-y divide-gray-200 border border-gray-200 rounded-md" ]
+                (List.map
+                    (\( unit, measured ) ->
+                        viewUnit (List.any (isUnit unit) fleetUnits) canAddMore state toMsg unit measured
+                    )
+                    units
+                )
+        ]
+
+
+viewUnit : Bool -> Bool -> State -> (RosterMsg -> msg) -> RosterUnit -> String -> Html msg
+viewUnit inEstimate canAddMore state toMsg unit measured =
+    let
+        actionButton testId caption msg =
+            button
+                [ type_ "button"
+                , class "px-2 py-1 text-xs border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50"
+                , Html.Attributes.attribute "data-testid" (testId ++ "-" ++ unit.unitNumber)
+                , onClick (toMsg msg)
+                ]
+                [ text caption ]
+    in
+    li
+        [ class "flex flex-wrap items-center justify-between gap-2 px-3 py-2"
+        , Html.Attributes.attribute "data-testid" ("roster-unit-" ++ unit.unitNumber)
+        ]
+        [ div [ class "min-w-0" ]
+            [ span
+                [ class
+                    (if unit.available then
+                        "block text-sm font-medium text-gray-900"
+
+                     else
+                        "block text-sm font-medium text-gray-400 line-through"
+                    )
+                ]
+                [ text (unitName unit) ]
+            , span [ class "block text-xs text-gray-500" ]
+                [ text measured
+                , if inEstimate then
+                    span [ class "ml-2 px-1.5 py-0.5 rounded bg-green-100 text-green-800" ] [ text "In this estimate" ]
+
+                  else if not unit.available then
+                    span [ class "ml-2 px-1.5 py-0.5 rounded bg-gray-100 text-gray-600" ] [ text "Unavailable" ]
+
+                  else
+                    text ""
+                ]
+            ]
+        , if state.removing == Just unit.unitNumber then
+            div [ class "flex items-center gap-2" ]
+                [ span [ class "text-xs text-red-700" ] [ text "Remove from your fleet?" ]
+                , button
+                    [ type_ "button"
+                    , class "px-2 py-1 text-xs bg-red-600 text-white rounded-md hover:bg-red-700"
+                    , Html.Attributes.attribute "data-testid" ("roster-remove-confirm-" ++ unit.unitNumber)
+                    , onClick (toMsg (ConfirmRemove unit.unitNumber))
+                    ]
+                    [ text "Remove" ]
+                , actionButton "roster-remove-cancel" "Keep" CancelRemove
+                ]
+
+          else
+            div [ class "flex flex-wrap gap-2" ]
+                [ button
+                    [ type_ "button"
+                    , class "px-2 py-1 text-xs bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                    , Html.Attributes.attribute "data-testid" ("roster-add-" ++ unit.unitNumber)
+                    , disabled (inEstimate || not unit.available || not canAddMore)
+                    , onClick (toMsg (AddUnit unit.unitNumber))
+                    ]
+                    [ text "Add" ]
+                , if unit.available then
+                    actionButton "roster-unavailable" "Mark Unavailable" (SetAvailable unit.unitNumber False)
+
+                  else
+                    actionButton "roster-available" "Mark Available" (SetAvailable unit.unitNumber True)
+                , actionButton "roster-remove" "Remove" (RemoveUnit unit.unitNumber)
+                ]
+        ]
+
+
+{-| Render the button that saves a fleet machine to the roster, or its form
+while that machine is being saved
+-}
+viewSaveForm : { machine | id : EquipmentId, name : String, rosterUnit : Maybe String } -> State -> (RosterMsg -> msg) -> Html msg
+viewSaveForm machine state toMsg =
+    let
+        inputClass =
+            "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+    in
+    case state.saving of
+        Just draft ->
+            if draft.machineId == machine.id then
+                div [ class "mt-3 p-3 space-y-2 border border-blue-200 bg-blue-50 rounded-md", Html.Attributes.attribute "data-testid" ("roster-save-form-" ++ machine.id) ]
+                    [ div [ class "grid grid-cols-3 gap-2" ]
+                        [ div []
+                            [ label [ class "block text-xs text-gray-700 mb-1" ] [ text "Unit Number" ]
+                            , input
+                                [ type_ "text"
+                                , class inputClass
+                                , value draft.unitNumber
+                                , placeholder "EX-07"
+                                , onInput (toMsg << SetUnitNumber)
+                                ]
+                                []
+                            ]
+                        , div [ class "col-span-2" ]
+                            [ label [ class "block text-xs text-gray-700 mb-1" ] [ text "Description" ]
+                            , input
+                                [ type_ "text"
+                                , class inputClass
+                                , value draft.description
+                                , placeholder "CAT 320 w/ 1.5yd bucket"
+                                , onInput (toMsg << SetDescription)
+                                ]
+                                []
+                            ]
+                        ]
+                    , case draft.problem of
+                        Just problem ->
+                            p [ class "text-xs text-red-600" ] [ text problem ]
+
+                        Nothing ->
+                            text ""
+                    , p [ class "text-xs text-gray-500" ]
+                        [ text "Saves this machine's figures as they are now. Saving under a number already in your fleet updates that unit." ]
+                    , div [ class "flex gap-2" ]
+                        [ button
+                            [ type_ "button"
+                            , class "px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700"
+                            , Html.Attributes.attribute "data-testid" ("roster-save-" ++ machine.id)
+                            , onClick (toMsg SaveUnit)
+                            ]
+                            [ text "Save Unit" ]
+                        , button
+                            [ type_ "button"
+                            , class "px-3 py-1 text-sm border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50"
+                            , onClick (toMsg CancelSaving)
+                            ]
+                            [ text "Cancel" ]
+                        ]
+                    ]
+
+            else
+                viewSaveButton machine state toMsg
+
+        Nothing ->
+            viewSaveButton machine state toMsg
+
+
+viewSaveButton : { machine | id : EquipmentId, name : String, rosterUnit : Maybe String } -> State -> (RosterMsg -> msg) -> Html msg
+viewSaveButton machine state toMsg =
+    button
+        [ type_ "button"
+        , class "mt-2 text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50 disabled:cursor-not-allowed"
+        , Html.Attributes.attribute "data-testid" ("roster-start-save-" ++ machine.id)
+        , disabled (state.problem /= Nothing)
+        , onClick (toMsg (StartSaving machine.id machine.name machine.rosterUnit))
+        ]
+        [ text "Save to My Fleet" ]
@@ -15,6 +15,7 @@ import Types.Model exposing (Model)
 import Types.Onboarding exposing (OnboardingState(..))
 import Utils.Config exposing (ValidationRules)
 import Utils.HelpContent exposing (HelpContent, getHelpContent)
+import Utils.Units exposing (UnitSystem)
 
 
 
@@ -31,7 +32,7 @@ view model =
 
         -- Help modal (if open) - fixed positioned overlay
         , if model.helpTooltipState == Just "help-modal" then
-            viewHelpModal model.deviceType model.config
+            viewHelpModal model.unitSystem model.deviceType model.config
 
           else
             text ""
@@ -105,8 +106,8 @@ getHelpButtonText deviceType =
 
 {-| Comprehensive help modal with FAQ and feature overview
 -}
-viewHelpModal : DeviceType -> Maybe { a | validation : ValidationRules } -> Html Msg
-viewHelpModal deviceType maybeConfig =
+viewHelpModal : UnitSystem -> DeviceType -> Maybe { a | validation : ValidationRules } -> Html Msg
+viewHelpModal unitSystem deviceType maybeConfig =
     let
         modalClasses =
             getHelpModalClasses deviceType
@@ -127,7 +128,7 @@ viewHelpModal deviceType maybeConfig =
 
             -- Modal content
             , div [ class "p-6 max-h-96 overflow-y-auto" ]
-                [ viewHelpSections deviceType maybeConfig ]
+                [ viewHelpSections unitSystem deviceType maybeConfig ]
 
             -- Modal footer
             , div [ class "flex items-center justify-between p-6 border-t border-gray-200 bg-gray-50" ]
@@ -166,8 +167,8 @@ getHelpModalClasses deviceType =
 
 {-| Help modal content sections
 -}
-viewHelpSections : DeviceType -> Maybe { a | validation : ValidationRules } -> Html Msg
-viewHelpSections deviceType maybeConfig =
+viewHelpSections : UnitSystem -> DeviceType -> Maybe { a | validation : ValidationRules } -> Html Msg
+viewHelpSections unitSystem deviceType maybeConfig =
     div [ class "space-y-6" ]
         [ -- Quick Start section
           viewQuickStartSection deviceType
@@ -175,7 +176,7 @@ viewHelpSections deviceType maybeConfig =
         -- Field Help section
         , case maybeConfig of
             Just config ->
-                viewFieldHelpSection config.validation
+                viewFieldHelpSection unitSystem config.validation
 
             Nothing ->
                 text ""
@@ -226,35 +227,35 @@ viewDesktopQuickStart =
 
 {-| Field-specific help section
 -}
-viewFieldHelpSection : ValidationRules -> Html Msg
-viewFieldHelpSection validationRules =
+viewFieldHelpSection : UnitSystem -> ValidationRules -> Html Msg
+viewFieldHelpSection unitSystem validationRules =
     div []
         [ h3 [ class "text-lg font-semibold text-gray-900 mb-3" ]
             [ text "📋 Field Help" ]
         , p [ class "text-gray-600 mb-3" ]
             [ text "Hover over the ? icons next to fields for detailed help, or click on any field name below:" ]
         , div [ class "grid grid-cols-1 md:grid-cols-2 gap-3" ]
-            [ viewFieldHelpItem validationRules "pondLength" "Pond Length"
-            , viewFieldHelpItem validationRules "pondWidth" "Pond Width"
-            , viewFieldHelpItem validationRules "pondDepth" "Pond Depth"
-            , viewFieldHelpItem validationRules "excavatorBucketCapacity" "Excavator Bucket"
-            , viewFieldHelpItem validationRules "truckCapacity" "Truck Capacity"
-            , viewFieldHelpItem validationRules "workHours" "Work Hours"
+            [ viewFieldHelpItem unitSystem validationRules "pondLength" "Pond Length"
+            , viewFieldHelpItem unitSystem validationRules "pondWidth" "Pond Width"
+            , viewFieldHelpItem unitSystem validationRules "pondDepth" "Pond Depth"
+            , viewFieldHelpItem unitSystem validationRules "excavatorBucketCapacity" "Excavator Bucket"
+            , viewFieldHelpItem unitSystem validationRules "truckCapacity" "Truck Capacity"
+            , viewFieldHelpItem unitSystem validationRules "workHours" "Work Hours"
             ]
         ]
 
 
 {-| Individual field help item
 -}
-viewFieldHelpItem : ValidationRules -> String -> String -> Html Msg
-viewFieldHelpItem validationRules fieldId displayName =
+viewFieldHelpItem : UnitSystem -> ValidationRules -> String -> String -> Html Msg
+viewFieldHelpItem unitSystem validationRules fieldId displayName =
     button
         [ class "text-left p-3 bg-gray-50 hover:bg-gray-100 rounded-lg border"
         , type_ "button"
         , onClick (Types.Messages.ShowHelpTooltip fieldId)
         ]
         [ span [ class "font-medium text-gray-900" ] [ text displayName ]
-        , case getHelpContent validationRules fieldId of
+        , case getHelpContent unitSystem validationRules fieldId of
             Just content ->
                 p [ class "text-sm text-gray-600 mt-1" ]
                     [ text (String.left 100 content.description ++ "...") ]
@@ -13,12 +13,14 @@ import Styles.Theme exposing (getHelpIconClasses, getTooltipClasses)
 import Types.DeviceType exposing (DeviceType(..))
 import Utils.Config exposing (ValidationRules)
 import Utils.HelpContent exposing (HelpContent, getHelpContent)
+import Utils.Units exposing (UnitSystem)
 
 
-{-| Renders the help icon with tooltip container
+{-| Renders the help icon with tooltip container, describing the field in the
+chosen units
 -}
-helpIcon : ValidationRules -> DeviceType -> String -> (String -> msg) -> (String -> msg) -> Maybe String -> Html msg
-helpIcon validationRules deviceType fieldId onShow onHide activeTooltipId =
+helpIcon : UnitSystem -> ValidationRules -> DeviceType -> String -> (String -> msg) -> (String -> msg) -> Maybe String -> Html msg
+helpIcon unitSystem validationRules deviceType fieldId onShow onHide activeTooltipId =
     case deviceType of
         Mobile ->
             -- No help icons on mobile - help is provided through enhanced labels
@@ -36,7 +38,7 @@ helpIcon validationRules deviceType fieldId onShow onHide activeTooltipId =
                     ]
                     [ text "?" ]
                 , if activeTooltipId == Just fieldId then
-                    case getHelpContent validationRules fieldId of
+                    case getHelpContent unitSystem validationRules fieldId of
                         Just content ->
                             viewTooltipContent content
 
@@ -0,0 +1,220 @@
+module Components.ModelPicker exposing (State, PickerKind(..), PickerMsg(..), initState, updateState, searchModels, viewExcavatorPicker, viewTruckPicker)
+
+{-| Searchable picker of manufacturer models, opened by the add excavator and
+add truck buttons
+
+@docs State, PickerKind, PickerMsg, initState, updateState, searchModels, viewExcavatorPicker, viewTruckPicker
+
+-}
+
+import Html exposing (Html, button, div, input, p, span, text)
+import Html.Attributes exposing (attribute, autofocus, class, placeholder, type_, value)
+import Html.Events exposing (onClick, onInput)
+import Utils.Config exposing (CatalogExcavator, CatalogTruck, catalogName)
+import Utils.Units as Units exposing (Quantity(..), UnitSystem)
+
+
+
+-- TYPES
+
+
+type alias State =
+    { open : Maybe PickerKind -- the picker showing, if any
+    , query : String
+    }
+
+
+type PickerKind
+    = ExcavatorPicker
+    | TruckPicker
+
+
+type PickerMsg
+    = TogglePicker PickerKind
+    | ClosePicker
+    | SetQuery String
+    | PickDefault PickerKind -- the configured default machine
+    | PickExcavator CatalogExcavator
+    | PickTruck CatalogTruck
+
+
+
+-- INIT
+
+
+initState : State
+initState =
+    { open = Nothing
+    , query = ""
+    }
+
+
+
+-- UPDATE
+
+
+{-| Open, search and close the picker. Adding the picked machine needs the
+fleet, so Main handles the picks and closes the picker with this.
+-}
+updateState : PickerMsg -> State -> State
+updateState msg state =
+    case msg of
+        TogglePicker kind ->
+            if state.open == Just kind then
+                initState
+
+            else
+                { open = Just kind, query = "" }
+
+        ClosePicker ->
+            initState
+
+        SetQuery query ->
+            { state | query = query }
+
+        PickDefault _ ->
+            initState
+
+        PickExcavator _ ->
+            initState
+
+        PickTruck _ ->
+            initState
+
+
+{-| The models whose make and model hold every word of the search, in any
+case, so `cat 320` finds the Caterpillar 320
+-}
+searchModels : String -> List { a | make : String, model : String } -> List { a | make : String, model : String }
+searchModels query models =
+    let
+        words =
+            String.words (String.toLower query)
+    in
+    List.filter
+        (\catalogModel ->
+            let
+                written =
+                    String.toLower (catalogName catalogModel)
+            in
+            List.all (\word -> String.contains word written) words
+        )
+        models
+
+
+
+-- VIEW
+
+
+viewExcavatorPicker : UnitSystem -> List CatalogExcavator -> State -> (PickerMsg -> msg) -> Html msg
+viewExcavatorPicker units models state toMsg =
+    viewPicker ExcavatorPicker
+        state
+        toMsg
+        (List.map
+            (\catalogModel ->
+                { name = catalogName catalogModel
+                , details =
+                    [ measure units Volume catalogModel.bucketCapacity ++ " bucket"
+                    , String.fromFloat catalogModel.cycleTime ++ " min cycle"
+                    , measure units Weight catalogModel.operatingWeight
+                    ]
+                , msg = PickExcavator catalogModel
+                }
+            )
+            (searchModels state.query models)
+        )
+
+
+viewTruckPicker : UnitSystem -> List CatalogTruck -> State -> (PickerMsg -> msg) -> Html msg
+viewTruckPicker units models state toMsg =
+    viewPicker TruckPicker
+        state
+        toMsg
+        (List.map
+            (\catalogModel ->
+                { name = catalogName catalogModel
+                , details =
+                    [ measure units Volume catalogModel.capacity ++ " bed"
+                    , measure units Weight catalogModel.maxPayload ++ " payload"
+                    , String.fromFloat catalogModel.roundTripTime ++ " min round trip"
+                    ]
+                , msg = PickTruck catalogModel
+                }
+            )
+            (searchModels state.query models)
+        )
+
+
+type alias Option =
+    { name : String
+    , details : List String
+    , msg : PickerMsg
+    }
+
+
+viewPicker : PickerKind -> State -> (PickerMsg -> msg) -> List Option -> Html msg
+viewPicker kind state toMsg options =
+    let
+        ( noun, testId ) =
+            case kind of
+                ExcavatorPicker ->
+                    ( "excavator", "excavator-model-picker" )
+
+                TruckPicker ->
+                    ( "truck", "truck-model-picker" )
+    in
+    if state.open == Just kind then
+        div
+            [ class "border border-gray-200 rounded-lg p-3 space-y-2 bg-gray-50"
+            , attribute "data-testid" testId
+            ]
+            [ input
+                [ type_ "search"
+                , class "w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+                , placeholder ("Search " ++ noun ++ " makes and models")
+                , value state.query
+                , autofocus True
+                , onInput (toMsg << SetQuery)
+                ]
+                []
+            , div [ class "max-h-64 overflow-y-auto divide-y divide-gray-200" ]
+                (viewOption toMsg
+                    { name = "Standard " ++ noun
+                    , details = [ "The configured default" ]
+                    , msg = PickDefault kind
+                    }
+                    :: List.map (viewOption toMsg) options
+                )
+            , if List.isEmpty options && not (String.isEmpty (String.trim state.query)) then
+                p [ class "text-sm text-gray-500" ] [ text ("No " ++ noun ++ " models match \"" ++ state.query ++ "\".") ]
+
+              else
+                text ""
+            , button
+                [ type_ "button"
+                , class "text-sm text-gray-600 hover:text-gray-800"
+                , onClick (toMsg ClosePicker)
+                ]
+                [ text "Cancel" ]
+            ]
+
+    else
+        text ""
+
+
+viewOption : (PickerMsg -> msg) -> Option -> Html msg
+viewOption toMsg option =
+    button
+        [ type_ "button"
+        , class "w-full text-left px-2 py-2 hover:bg-blue-50"
+        , onClick (toMsg option.msg)
+        ]
+        [ span [ class "block text-sm font-medium text-gray-800" ] [ text option.name ]
+        , span [ class "block text-xs text-gray-500" ] [ text (String.join " · " option.details) ]
+        ]
+
+
+measure : UnitSystem -> Quantity -> Float -> String
+measure units quantity figure =
+    Units.describe units quantity figure ++ " " ++ Units.unitSymbol units quantity
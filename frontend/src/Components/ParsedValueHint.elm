@@ -0,0 +1,31 @@
+module Components.ParsedValueHint exposing (view)
+
+{-| What a typed figure was read as, shown under its input
+
+@docs view
+
+-}
+
+import Html exposing (Html, p, text)
+import Html.Attributes exposing (attribute, class)
+import Utils.InputParser as InputParser
+
+
+{-| Show the figure typed arithmetic or units work out to, or what could not
+be understood. Blank inputs and plain numbers need no explaining, so nothing
+is shown for them.
+-}
+view : String -> Result String String -> Html msg
+view typed reading =
+    if String.isEmpty (String.trim typed) || InputParser.isPlainNumber typed then
+        text ""
+
+    else
+        case reading of
+            Ok shown ->
+                p [ class "mt-1 text-xs text-gray-500", attribute "data-testid" "parsed-value" ]
+                    [ text ("= " ++ shown) ]
+
+            Err problem ->
+                p [ class "mt-1 text-xs text-red-600", attribute "data-testid" "parse-problem" ]
+                    [ text problem ]
@@ -0,0 +1,187 @@
+module Components.PhaseList exposing (view)
+
+{-| Editor for the project phases worked around the bulk dig
+
+@docs view
+
+-}
+
+import Components.HelpTooltip as HelpTooltip
+import Html exposing (..)
+import Html.Attributes exposing (..)
+import Html.Events exposing (..)
+import Styles.Theme as Theme
+import Types.DeviceType exposing (DeviceType)
+import Types.Equipment exposing (EquipmentId, Excavator, Truck)
+import Types.Messages exposing (Msg(..), PhaseUpdate(..))
+import Types.Phase exposing (Phase, PhaseKind, addablePhaseKinds, phaseKindLabel, phaseKindToString)
+import Utils.Config exposing (ValidationRules)
+import Utils.Units as Units exposing (UnitSystem)
+import Utils.Validation as Validation
+
+
+
+-- VIEW
+
+
+{-| Render the phase list with buttons to add each kind of phase. Takes the
+percentage of spoil trucked off site, since phases only need trucks when
+some spoil leaves. Volumes are shown and entered in the chosen units.
+-}
+view : UnitSystem -> ValidationRules -> DeviceType -> Float -> List Excavator -> List Truck -> List Phase -> (String -> Msg) -> (String -> Msg) -> Maybe String -> Html Msg
+view unitSystem validationRules deviceType exportPercent excavators trucks phases showHelpMsg hideHelpMsg activeTooltipId =
+    let
+        typography =
+            Theme.getTypographyScale deviceType
+    in
+    div [ class "space-y-4", attribute "data-testid" "phase-list" ]
+        [ div [ class (typography.body ++ " text-gray-600 flex items-center") ]
+            [ text "The pond is dug as one bulk excavation with the active fleet. Add phases for work done before or after it."
+            , HelpTooltip.helpIcon unitSystem validationRules deviceType "projectPhases" showHelpMsg hideHelpMsg activeTooltipId
+            ]
+        , div [ class "space-y-3" ]
+            (List.map (viewPhase unitSystem validationRules deviceType exportPercent excavators trucks) phases)
+        , div [ class "flex flex-wrap gap-2" ]
+            (List.map viewAddPhaseButton addablePhaseKinds)
+        ]
+
+
+viewAddPhaseButton : PhaseKind -> Html Msg
+viewAddPhaseButton phaseKind =
+    button
+        [ type_ "button"
+        , class "px-3 py-1 text-sm border border-blue-600 text-blue-600 rounded-md hover:bg-blue-50"
+        , onClick (AddPhase phaseKind)
+        , attribute "data-testid" ("add-phase-" ++ phaseKindToString phaseKind)
+        ]
+        [ text ("+ " ++ phaseKindLabel phaseKind) ]
+
+
+viewPhase : UnitSystem -> ValidationRules -> DeviceType -> Float -> List Excavator -> List Truck -> Phase -> Html Msg
+viewPhase unitSystem validationRules deviceType exportPercent excavators trucks phase =
+    let
+        labelClass =
+            (Theme.getTypographyScale deviceType).body
+
+        inputClass =
+            "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+
+        updateMsg phaseUpdate =
+            UpdatePhase phase.id phaseUpdate
+
+        numberInput toMsg =
+            onInput
+                (\val ->
+                    case String.toFloat val of
+                        Just f ->
+                            updateMsg (toMsg f)
+
+                        Nothing ->
+                            NoOp
+                )
+    in
+    div
+        [ class "bg-gray-50 border border-gray-200 rounded-lg p-4"
+        , attribute "data-testid" ("phase-" ++ phase.id)
+        ]
+        [ div [ class "flex items-center justify-between mb-3" ]
+            [ h4 [ class (labelClass ++ " font-medium text-gray-800") ]
+                [ text (phaseKindLabel phase.kind) ]
+            , button
+                [ class "text-red-600 hover:text-red-800 font-medium px-2 py-1 rounded"
+                , onClick (RemovePhase phase.id)
+                , type_ "button"
+                , attribute "data-testid" "remove-phase"
+                ]
+                [ text "Remove" ]
+            ]
+        , div [ class "grid grid-cols-3 gap-3" ]
+            [ div []
+                [ label [ class (labelClass ++ " block text-gray-700 mb-1") ]
+                    [ text "Phase Name" ]
+                , input
+                    [ type_ "text"
+                    , class inputClass
+                    , value phase.name
+                    , onInput (updateMsg << UpdatePhaseName)
+                    , placeholder (phaseKindLabel phase.kind)
+                    , attribute "data-testid" "phase-name"
+                    ]
+                    []
+                ]
+            , div []
+                [ label [ class (labelClass ++ " block text-gray-700 mb-1") ]
+                    [ text ("Volume (" ++ Units.unitSymbol unitSystem Units.Volume ++ ")") ]
+                , input
+                    [ type_ "number"
+                    , class inputClass
+                    , value (Units.displayValue unitSystem Units.Volume phase.volume)
+                    , numberInput (UpdatePhaseVolume << Units.fromDisplay unitSystem Units.Volume)
+                    , step "1"
+                    , Html.Attributes.min "1"
+                    , attribute "data-testid" "phase-volume"
+                    ]
+                    []
+                ]
+            , div []
+                [ label [ class (labelClass ++ " block text-gray-700 mb-1") ]
+                    [ text "Productivity (%)" ]
+                , input
+                    [ type_ "number"
+                    , class inputClass
+                    , value (String.fromInt (round (phase.productivity * 100)))
+                    , numberInput (\percent -> UpdatePhaseProductivity (percent / 100))
+                    , step "5"
+                    , Html.Attributes.min (String.fromFloat (validationRules.phaseProductivity.min * 100))
+                    , Html.Attributes.max (String.fromFloat (validationRules.phaseProductivity.max * 100))
+                    , attribute "data-testid" "phase-productivity"
+                    ]
+                    []
+                ]
+            ]
+        , div [ class "grid grid-cols-2 gap-3 mt-3" ]
+            [ viewMachinePicker labelClass "Excavators" "phase-excavator-" phase.excavatorIds (updateMsg << TogglePhaseExcavator) (List.map machineChoice excavators)
+            , viewMachinePicker labelClass "Trucks" "phase-truck-" phase.truckIds (updateMsg << TogglePhaseTruck) (List.map machineChoice trucks)
+            ]
+        , case Validation.validatePhase validationRules exportPercent excavators trucks phase of
+            Err error ->
+                p
+                    [ class "mt-2 text-sm text-red-600"
+                    , attribute "data-testid" "phase-error"
+                    ]
+                    [ text (Validation.errorToString error) ]
+
+            Ok _ ->
+                text ""
+        ]
+
+
+{-| Checkboxes for the machines of one kind that work a phase
+-}
+viewMachinePicker : String -> String -> String -> List EquipmentId -> (EquipmentId -> Msg) -> List ( EquipmentId, String ) -> Html Msg
+viewMachinePicker labelClass heading testIdPrefix chosenIds toggleMsg machines =
+    div []
+        [ div [ class (labelClass ++ " text-gray-700 mb-1") ] [ text heading ]
+        , div [ class "space-y-1" ]
+            (List.map
+                (\( equipmentId, machineName ) ->
+                    label [ class "flex items-center text-sm text-gray-700" ]
+                        [ input
+                            [ type_ "checkbox"
+                            , class "h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded mr-2"
+                            , checked (List.member equipmentId chosenIds)
+                            , onCheck (\_ -> toggleMsg equipmentId)
+                            , attribute "data-testid" (testIdPrefix ++ equipmentId)
+                            ]
+                            []
+                        , text machineName
+                        ]
+                )
+                machines
+            )
+        ]
+
+
+machineChoice : { machine | id : EquipmentId, name : String } -> ( EquipmentId, String )
+machineChoice machine =
+    ( machine.id, machine.name )
@@ -1,22 +1,31 @@
-module Components.ProjectForm exposing (view, FormData, FormMsg(..), initFormData, updateFormData)
+module Components.ProjectForm exposing (view, FormData, FormMsg(..), initFormData, updateFormData, formSideSlopes, formShapeDimensions, formSwellPercent, formSoilDensity, formExportPercent, formCostRates, formWorkHoursRange, formWorkCalendar, formStartDate, resolveArithmetic)
 
 {-| Input form for pond digging project parameters
 
-@docs view, FormData, FormMsg, initFormData, updateFormData
+@docs view, FormData, FormMsg, initFormData, updateFormData, formSideSlopes, formShapeDimensions, formSwellPercent, formSoilDensity, formExportPercent, formCostRates, formWorkHoursRange, formWorkCalendar, formStartDate, resolveArithmetic
 
 -}
 
 import Components.HelpTooltip as HelpTooltip
-import Html exposing (Html, button, div, input, label, span, text)
-import Html.Attributes exposing (class, id, placeholder, step, title, type_, value)
-import Html.Events exposing (onClick, onInput)
+import Components.ParsedValueHint as ParsedValueHint
+import Html exposing (Html, button, div, input, label, option, select, span, text)
+import Html.Attributes exposing (checked, class, id, placeholder, selected, title, type_, value)
+import Html.Events exposing (onCheck, onClick, onInput)
+import Html.Keyed
 import Styles.Responsive as Responsive
 import Styles.Theme as Theme
 import Types.DeviceType exposing (DeviceType)
+import Types.Equipment exposing (TimeRange)
 import Types.Fields exposing (PondField(..), ProjectField(..))
+import Types.Pond exposing (PondShape(..), SideSlopes)
+import Types.Spoil exposing (SpoilPlacement(..))
 import Types.Validation exposing (ValidationError)
-import Utils.Config exposing (Config, Defaults, ValidationRules)
-import Utils.HelpContent exposing (getHelpContent)
+import Utils.Calendar as Calendar exposing (Date, WorkCalendar)
+import Utils.Config exposing (Config, Defaults, SoilTypeDefaults, ValidationRules)
+import Utils.Cost exposing (CostRates)
+import Utils.HelpContent exposing (getHelpContent, shapeHelpId)
+import Utils.InputParser as InputParser
+import Utils.Units as Units exposing (UnitSystem)
 import Utils.Validation as Validation
 
 
@@ -29,6 +38,27 @@ type alias FormData =
     , pondLength : String
     , pondWidth : String
     , pondDepth : String
+    , sideSlope : String -- uniform bank slope (H:V)
+    , perSideSlopes : Bool -- use the four per-bank slopes below instead
+    , northSlope : String
+    , southSlope : String
+    , eastSlope : String
+    , westSlope : String
+    , pondShape : PondShape
+    , cornerRadius : String -- rounded rectangles only
+    , smallLobeDiameter : String -- kidneys only
+    , soilType : String -- soil type id, or "custom"
+    , customSwellPercent : String
+    , customDensity : String -- lb per bank cubic yard
+    , spoilPlacement : SpoilPlacement
+    , exportPercent : String -- share of spoil trucked off site, for a split
+    , fuelPrice : String -- $/gallon
+    , disposalFee : String -- $/loose cubic yard
+    , workHoursMin : String -- shortest expected productive day
+    , workHoursMax : String -- longest expected productive day
+    , startDate : String -- YYYY-MM-DD, or "" when not chosen yet
+    , workDays : List String -- weekday ids, "mon" .. "sun"
+    , holidays : List String -- YYYY-MM-DD, sorted
     , errors : List ( String, String ) -- (fieldName, errorMessage)
     }
 
@@ -38,6 +68,14 @@ type FormMsg
     | UpdatePondLength String
     | UpdatePondWidth String
     | UpdatePondDepth String
+    | SetPerSideSlopes Bool
+    | SetPondShape PondShape
+    | SetSoilType String
+    | SetSpoilPlacement SpoilPlacement
+    | SetStartDate String
+    | ToggleWorkDay String
+    | AddHoliday String
+    | RemoveHoliday String
     | ClearForm
 
 
@@ -53,6 +91,37 @@ initFormData defaults =
     , pondLength = String.fromFloat defaults.project.pondLength
     , pondWidth = String.fromFloat defaults.project.pondWidth
     , pondDepth = String.fromFloat defaults.project.pondDepth
+    , sideSlope = String.fromFloat defaults.project.sideSlope
+    , perSideSlopes = False
+    , northSlope = String.fromFloat defaults.project.sideSlope
+    , southSlope = String.fromFloat defaults.project.sideSlope
+    , eastSlope = String.fromFloat defaults.project.sideSlope
+    , westSlope = String.fromFloat defaults.project.sideSlope
+    , pondShape = Rectangle
+    , cornerRadius = String.fromFloat (defaults.project.pondWidth / 4)
+    , smallLobeDiameter = String.fromFloat (defaults.project.pondWidth * 0.8)
+    , soilType = defaults.project.soilType
+    , customSwellPercent =
+        defaults.soilTypes
+            |> List.filter (\soil -> soil.id == defaults.project.soilType)
+            |> List.head
+            |> Maybe.map (.swellPercent >> String.fromFloat)
+            |> Maybe.withDefault "25"
+    , customDensity =
+        defaults.soilTypes
+            |> List.filter (\soil -> soil.id == defaults.project.soilType)
+            |> List.head
+            |> Maybe.map (.density >> String.fromFloat)
+            |> Maybe.withDefault "3000"
+    , spoilPlacement = ExportAll
+    , exportPercent = "50"
+    , fuelPrice = String.fromFloat defaults.project.fuelPrice
+    , disposalFee = String.fromFloat defaults.project.disposalFee
+    , workHoursMin = String.fromFloat defaults.project.workHoursMin
+    , workHoursMax = String.fromFloat defaults.project.workHoursMax
+    , startDate = ""
+    , workDays = defaults.project.workDays
+    , holidays = []
     , errors = []
     }
 
@@ -78,6 +147,63 @@ updateFormData msg formData =
         UpdatePondDepth value ->
             { formData | pondDepth = value }
 
+        SetPerSideSlopes enabled ->
+            if enabled then
+                -- Start every bank from the uniform slope so nothing jumps
+                { formData
+                    | perSideSlopes = True
+                    , northSlope = formData.sideSlope
+                    , southSlope = formData.sideSlope
+                    , eastSlope = formData.sideSlope
+                    , westSlope = formData.sideSlope
+                }
+
+            else
+                { formData | perSideSlopes = False }
+
+        SetPondShape shape ->
+            { formData | pondShape = shape }
+
+        SetSoilType soilId ->
+            { formData | soilType = soilId }
+
+        SetSpoilPlacement placement ->
+            { formData | spoilPlacement = placement }
+
+        SetStartDate value ->
+            { formData | startDate = value }
+
+        ToggleWorkDay dayId ->
+            let
+                isOn day =
+                    if day == dayId then
+                        not (List.member dayId formData.workDays)
+
+                    else
+                        List.member day formData.workDays
+            in
+            -- Rebuilt from the full week so the days stay in order
+            { formData | workDays = List.filter isOn (List.map Calendar.weekdayToString Calendar.allWeekdays) }
+
+        AddHoliday value ->
+            case Calendar.fromIsoString value of
+                Just date ->
+                    let
+                        holiday =
+                            Calendar.toIsoString date
+                    in
+                    if List.member holiday formData.holidays then
+                        formData
+
+                    else
+                        { formData | holidays = List.sort (holiday :: formData.holidays) }
+
+                Nothing ->
+                    formData
+
+        RemoveHoliday value ->
+            { formData | holidays = List.filter ((/=) value) formData.holidays }
+
         ClearForm ->
             -- Reset to default config values - this should be handled at the Main level
             -- For now, just return the same formData, actual reset will happen in Main
@@ -88,91 +214,591 @@ updateFormData msg formData =
 -- VIEW
 
 
-{-| Render the project input form with validation
+{-| Render the project input form with validation. Measurements are shown and
+entered in the chosen units but stored in the form data in imperial units.
+Inputs also take arithmetic and units, such as 40'6" or 2\*20+5, kept as typed
+and read with InputParser; the figure they work out to is shown underneath.
 -}
-view : ValidationRules -> DeviceType -> FormData -> (PondField -> String -> msg) -> (ProjectField -> String -> msg) -> (String -> msg) -> (String -> msg) -> Maybe String -> Html msg
-view validationRules deviceType formData pondMsg projectMsg showHelpMsg hideHelpMsg activeTooltipId =
+view : UnitSystem -> ValidationRules -> List SoilTypeDefaults -> DeviceType -> FormData -> (PondField -> String -> msg) -> (ProjectField -> String -> msg) -> (FormMsg -> msg) -> (String -> msg) -> (String -> msg) -> Maybe String -> Html msg
+view unitSystem validationRules soilTypes deviceType formData pondMsg projectMsg formMsg showHelpMsg hideHelpMsg activeTooltipId =
     let
         typography =
             Theme.getTypographyScale deviceType
+
+        lengthUnit =
+            Units.unitSymbol unitSystem Units.Length
+
+        example quantity figure =
+            "e.g., " ++ Units.describe unitSystem quantity figure
     in
     div [ class "space-y-4" ]
-        [ div [ class "grid grid-cols-2 gap-3" ]
+        [ div []
+            [ label [ class (typography.body ++ " block text-gray-700 mb-1 flex items-center"), Html.Attributes.for "pond-shape" ]
+                [ text "Pond Shape"
+                , HelpTooltip.helpIcon unitSystem validationRules deviceType (shapeHelpId formData.pondShape) showHelpMsg hideHelpMsg activeTooltipId
+                ]
+            , select
+                [ class "w-full px-3 py-2 border border-gray-300 rounded-md bg-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                , id "pond-shape"
+                , Html.Attributes.attribute "data-testid" "pond-shape-select"
+                , onInput (formMsg << SetPondShape << (Types.Pond.shapeFromString >> Maybe.withDefault Rectangle))
+                ]
+                (List.map
+                    (\shape ->
+                        option
+                            [ value (Types.Pond.shapeToString shape)
+                            , selected (shape == formData.pondShape)
+                            ]
+                            [ text (Types.Pond.shapeLabel shape) ]
+                    )
+                    Types.Pond.allShapes
+                )
+            ]
+        , div [ class "grid grid-cols-2 gap-3" ]
             [ div []
                 [ label [ class (typography.body ++ " block text-gray-700 mb-1 flex items-center") ]
                     [ text "Work Hours per Day"
-                    , HelpTooltip.helpIcon validationRules deviceType "workHours" showHelpMsg hideHelpMsg activeTooltipId
+                    , HelpTooltip.helpIcon unitSystem validationRules deviceType "workHours" showHelpMsg hideHelpMsg activeTooltipId
                     ]
                 , input
-                    [ type_ "number"
+                    [ type_ "text"
                     , class "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                     , id "work-hours"
                     , Html.Attributes.attribute "data-testid" "work-hours-input"
                     , value formData.workHoursPerDay
                     , placeholder "e.g., 8"
                     , onInput (projectMsg WorkHours)
-                    , step "0.1"
-                    , Html.Attributes.min "0.1"
                     ]
                     []
+                , numberHint formData.workHoursPerDay
                 ]
             , div []
                 [ label [ class (typography.body ++ " block text-gray-700 mb-1 flex items-center") ]
-                    [ text "Pond Length (feet)"
-                    , HelpTooltip.helpIcon validationRules deviceType "pondLength" showHelpMsg hideHelpMsg activeTooltipId
+                    [ text (lengthLabel formData.pondShape ++ " (" ++ lengthUnit ++ ")")
+                    , HelpTooltip.helpIcon unitSystem validationRules deviceType "pondLength" showHelpMsg hideHelpMsg activeTooltipId
                     ]
                 , input
-                    [ type_ "number"
+                    [ type_ "text"
                     , class "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                     , id "pond-length"
                     , Html.Attributes.attribute "data-testid" "pond-length-input"
-                    , value formData.pondLength
-                    , placeholder "e.g., 100"
-                    , onInput (pondMsg PondLength)
-                    , step "0.1"
-                    , Html.Attributes.min "0.1"
+                    , value (Units.displayInput unitSystem Units.Length formData.pondLength)
+                    , placeholder (example Units.Length 100)
+                    , onInput (pondMsg PondLength << Units.fromInput unitSystem Units.Length)
                     ]
                     []
+                , measureHint unitSystem Units.Length formData.pondLength
                 ]
             ]
         , div [ class "grid grid-cols-2 gap-3" ]
-            [ div []
+            [ if formData.pondShape == Circle then
+                -- A circle's diameter is entered as its length
+                text ""
+
+              else
+                div []
+                    [ label [ class (typography.body ++ " block text-gray-700 mb-1 flex items-center") ]
+                        [ text (widthLabel formData.pondShape ++ " (" ++ lengthUnit ++ ")")
+                        , HelpTooltip.helpIcon unitSystem validationRules deviceType "pondWidth" showHelpMsg hideHelpMsg activeTooltipId
+                        ]
+                    , input
+                        [ type_ "text"
+                        , class "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        , id "pond-width"
+                        , Html.Attributes.attribute "data-testid" "pond-width-input"
+                        , value (Units.displayInput unitSystem Units.Length formData.pondWidth)
+                        , placeholder (example Units.Length 50)
+                        , onInput (pondMsg PondWidth << Units.fromInput unitSystem Units.Length)
+                        ]
+                        []
+                    , measureHint unitSystem Units.Length formData.pondWidth
+                    ]
+            , div []
                 [ label [ class (typography.body ++ " block text-gray-700 mb-1 flex items-center") ]
-                    [ text "Pond Width (feet)"
-                    , HelpTooltip.helpIcon validationRules deviceType "pondWidth" showHelpMsg hideHelpMsg activeTooltipId
+                    [ text ("Pond Depth (" ++ lengthUnit ++ ")")
+                    , HelpTooltip.helpIcon unitSystem validationRules deviceType "pondDepth" showHelpMsg hideHelpMsg activeTooltipId
                     ]
                 , input
-                    [ type_ "number"
+                    [ type_ "text"
                     , class "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                    , id "pond-width"
-                    , Html.Attributes.attribute "data-testid" "pond-width-input"
-                    , value formData.pondWidth
+                    , id "pond-depth"
+                    , Html.Attributes.attribute "data-testid" "pond-depth-input"
+                    , value (Units.displayInput unitSystem Units.Length formData.pondDepth)
+                    , placeholder (example Units.Length 10)
+                    , onInput (pondMsg PondDepth << Units.fromInput unitSystem Units.Length)
+                    ]
+                    []
+                , measureHint unitSystem Units.Length formData.pondDepth
+                ]
+            ]
+        , viewShapeDimensionInput unitSystem validationRules deviceType formData pondMsg showHelpMsg hideHelpMsg activeTooltipId
+        , div []
+            [ label [ class (typography.body ++ " block text-gray-700 mb-1 flex items-center"), Html.Attributes.for "soil-type" ]
+                [ text "Soil Type"
+                , HelpTooltip.helpIcon unitSystem validationRules deviceType "soilType" showHelpMsg hideHelpMsg activeTooltipId
+                ]
+            , select
+                [ class "w-full px-3 py-2 border border-gray-300 rounded-md bg-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                , id "soil-type"
+                , Html.Attributes.attribute "data-testid" "soil-type-select"
+                , onInput (formMsg << SetSoilType)
+                ]
+                (List.map
+                    (\soil ->
+                        option
+                            [ value soil.id
+                            , selected (soil.id == formData.soilType)
+                            ]
+                            [ text (soil.name ++ " (" ++ String.fromFloat soil.swellPercent ++ "% swell, " ++ Units.displayValue unitSystem Units.Density soil.density ++ " " ++ Units.unitSymbol unitSystem Units.Density ++ ")") ]
+                    )
+                    soilTypes
+                    ++ [ option [ value customSoilId, selected (formData.soilType == customSoilId) ] [ text "Custom soil" ] ]
+                )
+            , if formData.soilType == customSoilId then
+                div [ class "mt-2 grid grid-cols-2 gap-3" ]
+                    [ div []
+                        [ label [ class "block text-xs text-gray-600 mb-1 flex items-center", Html.Attributes.for "custom-swell" ]
+                            [ text "Swell (%)"
+                            , HelpTooltip.helpIcon unitSystem validationRules deviceType "customSwell" showHelpMsg hideHelpMsg activeTooltipId
+                            ]
+                        , input
+                            [ type_ "text"
+                            , class "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                            , id "custom-swell"
+                            , Html.Attributes.attribute "data-testid" "custom-swell-input"
+                            , value formData.customSwellPercent
+                            , placeholder "e.g., 25"
+                            , onInput (projectMsg CustomSwell)
+                            ]
+                            []
+                        , numberHint formData.customSwellPercent
+                        ]
+                    , div []
+                        [ label [ class "block text-xs text-gray-600 mb-1 flex items-center", Html.Attributes.for "custom-density" ]
+                            [ text ("Density (" ++ Units.unitSymbol unitSystem Units.Density ++ " bank)")
+                            , HelpTooltip.helpIcon unitSystem validationRules deviceType "soilDensity" showHelpMsg hideHelpMsg activeTooltipId
+                            ]
+                        , input
+                            [ type_ "text"
+                            , class "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                            , id "custom-density"
+                            , Html.Attributes.attribute "data-testid" "custom-density-input"
+                            , value (Units.displayInput unitSystem Units.Density formData.customDensity)
+                            , placeholder (example Units.Density 3000)
+                            , onInput (projectMsg CustomDensity << Units.fromInput unitSystem Units.Density)
+                            ]
+                            []
+                        , measureHint unitSystem Units.Density formData.customDensity
+                        ]
+                    ]
+
+              else
+                text ""
+            ]
+        , div []
+            [ label [ class (typography.body ++ " block text-gray-700 mb-1 flex items-center") ]
+                [ text "Side Slope (H:V)"
+                , HelpTooltip.helpIcon unitSystem validationRules deviceType "sideSlope" showHelpMsg hideHelpMsg activeTooltipId
+                ]
+            , if formData.perSideSlopes then
+                div [ class "grid grid-cols-2 gap-3" ]
+                    [ viewSlopeInput "North bank" "north-slope" formData.northSlope (pondMsg NorthSlope)
+                    , viewSlopeInput "South bank" "south-slope" formData.southSlope (pondMsg SouthSlope)
+                    , viewSlopeInput "East bank" "east-slope" formData.eastSlope (pondMsg EastSlope)
+                    , viewSlopeInput "West bank" "west-slope" formData.westSlope (pondMsg WestSlope)
+                    ]
+
+              else
+                div []
+                    [ input
+                        [ type_ "text"
+                        , class "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        , id "side-slope"
+                        , Html.Attributes.attribute "data-testid" "side-slope-input"
+                        , value formData.sideSlope
+                        , placeholder "e.g., 3 for 3:1, 0 for vertical"
+                        , onInput (pondMsg SideSlope)
+                        ]
+                        []
+                    , numberHint formData.sideSlope
+                    ]
+            , div [ class "mt-2 flex items-center" ]
+                [ input
+                    [ type_ "checkbox"
+                    , id "per-side-slopes"
+                    , class "h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                    , checked formData.perSideSlopes
+                    , onCheck (formMsg << SetPerSideSlopes)
+                    ]
+                    []
+                , label [ class "ml-2 text-sm text-gray-700", Html.Attributes.for "per-side-slopes" ]
+                    [ text "Set each bank separately" ]
+                ]
+            ]
+        , viewWorkHoursRange unitSystem validationRules deviceType formData projectMsg showHelpMsg hideHelpMsg activeTooltipId
+        , viewWorkCalendar unitSystem validationRules deviceType formData formMsg showHelpMsg hideHelpMsg activeTooltipId
+        , viewSpoilPlacement unitSystem validationRules deviceType formData projectMsg formMsg showHelpMsg hideHelpMsg activeTooltipId
+        , viewCostInputs unitSystem validationRules deviceType formData projectMsg showHelpMsg hideHelpMsg activeTooltipId
+        ]
+
+
+{-| Render where the spoil goes, with the share trucked off site for a split
+-}
+viewSpoilPlacement : UnitSystem -> ValidationRules -> DeviceType -> FormData -> (ProjectField -> String -> msg) -> (FormMsg -> msg) -> (String -> msg) -> (String -> msg) -> Maybe String -> Html msg
+viewSpoilPlacement unitSystem validationRules deviceType formData projectMsg formMsg showHelpMsg hideHelpMsg activeTooltipId =
+    let
+        typography =
+            Theme.getTypographyScale deviceType
+    in
+    div []
+        [ label [ class (typography.body ++ " block text-gray-700 mb-1 flex items-center"), Html.Attributes.for "spoil-placement" ]
+            [ text "Spoil Disposal"
+            , HelpTooltip.helpIcon unitSystem validationRules deviceType "spoilPlacement" showHelpMsg hideHelpMsg activeTooltipId
+            ]
+        , select
+            [ class "w-full px-3 py-2 border border-gray-300 rounded-md bg-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            , id "spoil-placement"
+            , Html.Attributes.attribute "data-testid" "spoil-placement-select"
+            , onInput (formMsg << SetSpoilPlacement << (Types.Spoil.placementFromString >> Maybe.withDefault ExportAll))
+            ]
+            (List.map
+                (\placement ->
+                    option
+                        [ value (Types.Spoil.placementToString placement)
+                        , selected (placement == formData.spoilPlacement)
+                        ]
+                        [ text (Types.Spoil.placementLabel placement) ]
+                )
+                Types.Spoil.allPlacements
+            )
+        , if formData.spoilPlacement == SplitSpoil then
+            div [ class "mt-2" ]
+                [ label [ class "block text-xs text-gray-600 mb-1", Html.Attributes.for "export-percent" ]
+                    [ text "Trucked Off Site (%)" ]
+                , input
+                    [ type_ "text"
+                    , class "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    , id "export-percent"
+                    , Html.Attributes.attribute "data-testid" "export-percent-input"
+                    , value formData.exportPercent
                     , placeholder "e.g., 50"
-                    , onInput (pondMsg PondWidth)
-                    , step "0.1"
-                    , Html.Attributes.min "0.1"
+                    , onInput (projectMsg ExportPercent)
                     ]
                     []
+                , numberHint formData.exportPercent
                 ]
-            , div []
+
+          else
+            text ""
+        ]
+
+
+{-| Render the shortest and longest productive day used for timeline ranges
+-}
+viewWorkHoursRange : UnitSystem -> ValidationRules -> DeviceType -> FormData -> (ProjectField -> String -> msg) -> (String -> msg) -> (String -> msg) -> Maybe String -> Html msg
+viewWorkHoursRange unitSystem validationRules deviceType formData projectMsg showHelpMsg hideHelpMsg activeTooltipId =
+    let
+        typography =
+            Theme.getTypographyScale deviceType
+
+        hoursInput config =
+            div []
+                [ label [ class (typography.body ++ " block text-gray-700 mb-1 flex items-center"), Html.Attributes.for config.id ]
+                    [ text config.label
+                    , HelpTooltip.helpIcon unitSystem validationRules deviceType "workHoursRange" showHelpMsg hideHelpMsg activeTooltipId
+                    ]
+                , input
+                    [ type_ "text"
+                    , class "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    , id config.id
+                    , Html.Attributes.attribute "data-testid" (config.id ++ "-input")
+                    , value config.value
+                    , placeholder config.placeholder
+                    , onInput (projectMsg config.field)
+                    ]
+                    []
+                , numberHint config.value
+                ]
+    in
+    div [ class "grid grid-cols-2 gap-4" ]
+        [ hoursInput
+            { label = "Shortest Day (hrs)"
+            , id = "work-hours-min"
+            , value = formData.workHoursMin
+            , placeholder = "e.g., 6"
+            , field = WorkHoursMin
+            }
+        , hoursInput
+            { label = "Longest Day (hrs)"
+            , id = "work-hours-max"
+            , value = formData.workHoursMax
+            , placeholder = "e.g., 10"
+            , field = WorkHoursMax
+            }
+        ]
+
+
+{-| Render the start date, work week and holidays used to date the timeline
+-}
+viewWorkCalendar : UnitSystem -> ValidationRules -> DeviceType -> FormData -> (FormMsg -> msg) -> (String -> msg) -> (String -> msg) -> Maybe String -> Html msg
+viewWorkCalendar unitSystem validationRules deviceType formData formMsg showHelpMsg hideHelpMsg activeTooltipId =
+    let
+        typography =
+            Theme.getTypographyScale deviceType
+
+        fieldLabel labelText helpId forId =
+            label [ class (typography.body ++ " block text-gray-700 mb-1 flex items-center"), Html.Attributes.for forId ]
+                [ text labelText
+                , HelpTooltip.helpIcon unitSystem validationRules deviceType helpId showHelpMsg hideHelpMsg activeTooltipId
+                ]
+
+        dayButton day =
+            let
+                dayId =
+                    Calendar.weekdayToString day
+
+                isOn =
+                    List.member dayId formData.workDays
+            in
+            button
+                [ type_ "button"
+                , class
+                    (if isOn then
+                        "px-2 py-1 text-sm rounded-md border border-blue-600 bg-blue-600 text-white"
+
+                     else
+                        "px-2 py-1 text-sm rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-50"
+                    )
+                , Html.Attributes.attribute "data-testid" ("work-day-" ++ dayId)
+                , Html.Attributes.attribute "aria-pressed"
+                    (if isOn then
+                        "true"
+
+                     else
+                        "false"
+                    )
+                , onClick (formMsg (ToggleWorkDay dayId))
+                ]
+                [ text (Calendar.weekdayLabel day) ]
+
+        holidayChip holiday =
+            span [ class "inline-flex items-center px-2 py-1 mr-2 mb-2 text-sm bg-gray-100 text-gray-700 rounded-md" ]
+                [ text (Calendar.fromIsoString holiday |> Maybe.map Calendar.formatDate |> Maybe.withDefault holiday)
+                , button
+                    [ type_ "button"
+                    , class "ml-2 text-gray-500 hover:text-red-600"
+                    , title "Remove holiday"
+                    , Html.Attributes.attribute "data-testid" ("remove-holiday-" ++ holiday)
+                    , onClick (formMsg (RemoveHoliday holiday))
+                    ]
+                    [ text "×" ]
+                ]
+    in
+    div [ class "space-y-3" ]
+        [ div []
+            [ fieldLabel "Start Date" "startDate" "start-date"
+            , input
+                [ type_ "date"
+                , class "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                , id "start-date"
+                , Html.Attributes.attribute "data-testid" "start-date-input"
+                , value formData.startDate
+                , onInput (formMsg << SetStartDate)
+                ]
+                []
+            ]
+        , div []
+            [ fieldLabel "Work Week" "workWeek" "work-week"
+            , div [ id "work-week", class "flex flex-wrap gap-1" ]
+                (List.map dayButton Calendar.allWeekdays)
+            ]
+        , div []
+            [ fieldLabel "Holidays" "holidays" "holiday-date"
+
+            -- Keyed on the holiday count so the picker clears after each add
+            , Html.Keyed.node "div"
+                []
+                [ ( String.fromInt (List.length formData.holidays)
+                  , input
+                        [ type_ "date"
+                        , class "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        , id "holiday-date"
+                        , Html.Attributes.attribute "data-testid" "holiday-input"
+                        , onInput (formMsg << AddHoliday)
+                        ]
+                        []
+                  )
+                ]
+            , div [ class "mt-2 flex flex-wrap", Html.Attributes.attribute "data-testid" "holiday-list" ]
+                (List.map holidayChip formData.holidays)
+            ]
+        ]
+
+
+{-| Render the job-wide prices used for the cost estimate
+-}
+viewCostInputs : UnitSystem -> ValidationRules -> DeviceType -> FormData -> (ProjectField -> String -> msg) -> (String -> msg) -> (String -> msg) -> Maybe String -> Html msg
+viewCostInputs unitSystem validationRules deviceType formData projectMsg showHelpMsg hideHelpMsg activeTooltipId =
+    let
+        typography =
+            Theme.getTypographyScale deviceType
+
+        costInput config =
+            div []
+                [ label [ class (typography.body ++ " block text-gray-700 mb-1 flex items-center"), Html.Attributes.for config.id ]
+                    [ text config.label
+                    , HelpTooltip.helpIcon unitSystem validationRules deviceType config.helpId showHelpMsg hideHelpMsg activeTooltipId
+                    ]
+                , input
+                    [ type_ "text"
+                    , class "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    , id config.id
+                    , Html.Attributes.attribute "data-testid" (config.id ++ "-input")
+                    , value (Units.displayInput unitSystem config.quantity config.value)
+                    , placeholder config.placeholder
+                    , onInput (projectMsg config.field << Units.fromInput unitSystem config.quantity)
+                    ]
+                    []
+                , measureHint unitSystem config.quantity config.value
+                ]
+    in
+    div [ class "grid grid-cols-2 gap-4" ]
+        [ costInput
+            { label = "Fuel Price (" ++ Units.unitSymbol unitSystem Units.FuelPrice ++ ")"
+            , helpId = "fuelPrice"
+            , id = "fuel-price"
+            , quantity = Units.FuelPrice
+            , value = formData.fuelPrice
+            , placeholder = "e.g., " ++ Units.describe unitSystem Units.FuelPrice 4
+            , field = FuelPrice
+            }
+        , costInput
+            { label = "Disposal Fee ($/loose " ++ Units.unitSymbol unitSystem Units.Volume ++ ")"
+            , helpId = "disposalFee"
+            , id = "disposal-fee"
+            , quantity = Units.VolumePrice
+            , value = formData.disposalFee
+            , placeholder = "e.g., " ++ Units.describe unitSystem Units.VolumePrice 8
+            , field = DisposalFee
+            }
+        ]
+
+
+{-| Render the extra dimension a curved outline needs, if any
+-}
+viewShapeDimensionInput : UnitSystem -> ValidationRules -> DeviceType -> FormData -> (PondField -> String -> msg) -> (String -> msg) -> (String -> msg) -> Maybe String -> Html msg
+viewShapeDimensionInput unitSystem validationRules deviceType formData pondMsg showHelpMsg hideHelpMsg activeTooltipId =
+    let
+        typography =
+            Theme.getTypographyScale deviceType
+
+        dimensionInput config =
+            div []
                 [ label [ class (typography.body ++ " block text-gray-700 mb-1 flex items-center") ]
-                    [ text "Pond Depth (feet)"
-                    , HelpTooltip.helpIcon validationRules deviceType "pondDepth" showHelpMsg hideHelpMsg activeTooltipId
+                    [ text config.label
+                    , HelpTooltip.helpIcon unitSystem validationRules deviceType config.helpId showHelpMsg hideHelpMsg activeTooltipId
                     ]
                 , input
-                    [ type_ "number"
+                    [ type_ "text"
                     , class "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                    , id "pond-depth"
-                    , Html.Attributes.attribute "data-testid" "pond-depth-input"
-                    , value formData.pondDepth
-                    , placeholder "e.g., 10"
-                    , onInput (pondMsg PondDepth)
-                    , step "0.1"
-                    , Html.Attributes.min "0.1"
+                    , id config.id
+                    , Html.Attributes.attribute "data-testid" (config.id ++ "-input")
+                    , value (Units.displayInput unitSystem Units.Length config.value)
+                    , placeholder ("e.g., " ++ Units.describe unitSystem Units.Length config.example)
+                    , onInput (pondMsg config.field << Units.fromInput unitSystem Units.Length)
                     ]
                     []
+                , measureHint unitSystem Units.Length config.value
                 ]
+    in
+    case formData.pondShape of
+        RoundedRectangle ->
+            dimensionInput
+                { label = "Corner Radius (" ++ Units.unitSymbol unitSystem Units.Length ++ ")"
+                , helpId = "cornerRadius"
+                , id = "corner-radius"
+                , value = formData.cornerRadius
+                , example = 8
+                , field = CornerRadius
+                }
+
+        Kidney ->
+            dimensionInput
+                { label = "Small Lobe Diameter (" ++ Units.unitSymbol unitSystem Units.Length ++ ")"
+                , helpId = "smallLobeDiameter"
+                , id = "small-lobe-diameter"
+                , value = formData.smallLobeDiameter
+                , example = 20
+                , field = SmallLobeDiameter
+                }
+
+        _ ->
+            text ""
+
+
+{-| Label for the length input, which is the diameter for circles. The view
+adds the unit.
+-}
+lengthLabel : PondShape -> String
+lengthLabel shape =
+    case shape of
+        Circle ->
+            "Pond Diameter"
+
+        Kidney ->
+            "Overall Length"
+
+        _ ->
+            "Pond Length"
+
+
+{-| Label for the width input, which is the large lobe for kidneys. The view
+adds the unit.
+-}
+widthLabel : PondShape -> String
+widthLabel shape =
+    case shape of
+        Kidney ->
+            "Large Lobe Diameter"
+
+        _ ->
+            "Pond Width"
+
+
+{-| Hint under a measurement input showing the figure its text was read as
+-}
+measureHint : UnitSystem -> Units.Quantity -> String -> Html msg
+measureHint unitSystem quantity stored =
+    ParsedValueHint.view stored
+        (InputParser.parseStored unitSystem quantity stored
+            |> Result.map (\figure -> Units.displayValue unitSystem quantity figure ++ " " ++ Units.unitSymbol unitSystem quantity)
+        )
+
+
+{-| Hint under an input with no unit showing the figure its text was read as
+-}
+numberHint : String -> Html msg
+numberHint raw =
+    ParsedValueHint.view raw (Result.map String.fromFloat (InputParser.parseNumber raw))
+
+
+{-| Render one bank slope input for per-side slope entry
+-}
+viewSlopeInput : String -> String -> String -> (String -> msg) -> Html msg
+viewSlopeInput labelText fieldId currentValue toMsg =
+    div []
+        [ label [ class "block text-xs text-gray-600 mb-1", Html.Attributes.for fieldId ]
+            [ text labelText ]
+        , input
+            [ type_ "text"
+            , class "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            , id fieldId
+            , Html.Attributes.attribute "data-testid" (fieldId ++ "-input")
+            , value currentValue
+            , onInput toMsg
             ]
+            []
+        , numberHint currentValue
         ]
 
 
@@ -180,6 +806,205 @@ view validationRules deviceType formData pondMsg projectMsg showHelpMsg hideHelp
 -- HELPER FUNCTIONS
 
 
+{-| Parse the bank slopes entered in the form. Blank slopes count as vertical
+walls; returns Nothing when any slope is not a number.
+-}
+formSideSlopes : FormData -> Maybe SideSlopes
+formSideSlopes formData =
+    let
+        parseSlope raw =
+            if String.isEmpty (String.trim raw) then
+                Just 0
+
+            else
+                readNumber raw
+    in
+    if formData.perSideSlopes then
+        Maybe.map4 SideSlopes
+            (parseSlope formData.northSlope)
+            (parseSlope formData.southSlope)
+            (parseSlope formData.eastSlope)
+            (parseSlope formData.westSlope)
+
+    else
+        parseSlope formData.sideSlope
+            |> Maybe.map Types.Pond.uniformSlopes
+
+
+{-| Parse the shape-specific dimensions entered in the form, in feet. A
+circle takes its width from the diameter in the length field, and dimensions
+the chosen shape does not use are reported as 0. Returns Nothing when a
+dimension the shape needs cannot be read.
+-}
+formShapeDimensions : UnitSystem -> FormData -> Maybe { width : Float, cornerRadius : Float, smallLobeDiameter : Float }
+formShapeDimensions unitSystem formData =
+    let
+        dimensions width cornerRadius smallLobeDiameter =
+            { width = width, cornerRadius = cornerRadius, smallLobeDiameter = smallLobeDiameter }
+
+        readLength =
+            readMeasure unitSystem Units.Length
+    in
+    case formData.pondShape of
+        Circle ->
+            readLength formData.pondLength
+                |> Maybe.map (\diameter -> dimensions diameter 0 0)
+
+        RoundedRectangle ->
+            Maybe.map2 (\width radius -> dimensions width radius 0)
+                (readLength formData.pondWidth)
+                (readLength formData.cornerRadius)
+
+        Kidney ->
+            Maybe.map2 (\width smallLobe -> dimensions width 0 smallLobe)
+                (readLength formData.pondWidth)
+                (readLength formData.smallLobeDiameter)
+
+        _ ->
+            readLength formData.pondWidth
+                |> Maybe.map (\width -> dimensions width 0 0)
+
+
+{-| Soil selector value for a user-entered swell percentage
+-}
+customSoilId : String
+customSoilId =
+    "custom"
+
+
+{-| Resolve the swell percentage for the selected soil type, reading the
+custom input when the user chose to enter their own. Returns Nothing when
+the custom value is not a number or the soil type is unknown.
+-}
+formSwellPercent : List SoilTypeDefaults -> FormData -> Maybe Float
+formSwellPercent soilTypes formData =
+    if formData.soilType == customSoilId then
+        readNumber formData.customSwellPercent
+
+    else
+        soilTypes
+            |> List.filter (\soil -> soil.id == formData.soilType)
+            |> List.head
+            |> Maybe.map .swellPercent
+
+
+{-| Resolve the soil density in pounds per bank cubic yard for the selected
+soil type, reading the custom input when the user chose to enter their own.
+Returns Nothing when the custom value is not a number or the soil type is
+unknown.
+-}
+formSoilDensity : UnitSystem -> List SoilTypeDefaults -> FormData -> Maybe Float
+formSoilDensity unitSystem soilTypes formData =
+    if formData.soilType == customSoilId then
+        readMeasure unitSystem Units.Density formData.customDensity
+
+    else
+        soilTypes
+            |> List.filter (\soil -> soil.id == formData.soilType)
+            |> List.head
+            |> Maybe.map .density
+
+
+{-| Resolve the percentage of spoil trucked off site for the chosen spoil
+placement, reading the split input when the user chose a split. Returns
+Nothing when the split value is not a number.
+-}
+formExportPercent : FormData -> Maybe Float
+formExportPercent formData =
+    case formData.spoilPlacement of
+        ExportAll ->
+            Just 100
+
+        KeepOnSite ->
+            Just 0
+
+        SplitSpoil ->
+            readNumber formData.exportPercent
+
+
+{-| Parse the job-wide cost rates, per gallon and per cubic yard. Returns
+Nothing when either cannot be read.
+-}
+formCostRates : UnitSystem -> FormData -> Maybe CostRates
+formCostRates unitSystem formData =
+    Maybe.map2 CostRates
+        (readMeasure unitSystem Units.FuelPrice formData.fuelPrice)
+        (readMeasure unitSystem Units.VolumePrice formData.disposalFee)
+
+
+{-| Parse the shortest and longest working day. Returns Nothing when either
+is not a number.
+-}
+formWorkHoursRange : FormData -> Maybe TimeRange
+formWorkHoursRange formData =
+    Maybe.map2 TimeRange
+        (readNumber formData.workHoursMin)
+        (readNumber formData.workHoursMax)
+
+
+{-| Replace typed arithmetic and units in the measurement fields with the
+imperial figure they work out to. Bare figures in typed text are read in the
+chosen units, so this keeps their meaning before the units are switched.
+Text that cannot be read is left for validation to report.
+-}
+resolveArithmetic : UnitSystem -> FormData -> FormData
+resolveArithmetic unitSystem formData =
+    let
+        resolve quantity raw =
+            if InputParser.isPlainNumber raw then
+                raw
+
+            else
+                case InputParser.parseMeasure unitSystem quantity raw of
+                    Ok figure ->
+                        String.fromFloat figure
+
+                    Err _ ->
+                        raw
+    in
+    { formData
+        | pondLength = resolve Units.Length formData.pondLength
+        , pondWidth = resolve Units.Length formData.pondWidth
+        , pondDepth = resolve Units.Length formData.pondDepth
+        , cornerRadius = resolve Units.Length formData.cornerRadius
+        , smallLobeDiameter = resolve Units.Length formData.smallLobeDiameter
+        , customDensity = resolve Units.Density formData.customDensity
+        , fuelPrice = resolve Units.FuelPrice formData.fuelPrice
+        , disposalFee = resolve Units.VolumePrice formData.disposalFee
+    }
+
+
+{-| Read a form figure that has no unit, such as hours or a percentage
+-}
+readNumber : String -> Maybe Float
+readNumber raw =
+    Result.toMaybe (InputParser.parseNumber raw)
+
+
+{-| Read a measurement from the form in imperial units
+-}
+readMeasure : UnitSystem -> Units.Quantity -> String -> Maybe Float
+readMeasure unitSystem quantity raw =
+    Result.toMaybe (InputParser.parseStored unitSystem quantity raw)
+
+
+{-| Work week and holidays chosen in the form. Unrecognised days and dates
+are left out.
+-}
+formWorkCalendar : FormData -> WorkCalendar
+formWorkCalendar formData =
+    { workDays = List.filterMap Calendar.weekdayFromString formData.workDays
+    , holidays = List.filterMap Calendar.fromIsoString formData.holidays
+    }
+
+
+{-| Parse the project start date. Returns Nothing when none is chosen.
+-}
+formStartDate : FormData -> Maybe Date
+formStartDate formData =
+    Calendar.fromIsoString formData.startDate
+
+
 {-| Get error message for a specific field
 -}
 getFieldError : String -> List ( String, String ) -> Maybe String
@@ -0,0 +1,389 @@
+module Components.ProjectLibrary exposing (State, LibraryMsg(..), initState, updateState, loaded, opened, saveName, saveProject, findProject, view)
+
+{-| Library of named projects saved in the browser, with open, rename,
+duplicate and delete
+
+@docs State, LibraryMsg, initState, updateState, loaded, opened, saveName, saveProject, findProject, view
+
+-}
+
+import Html exposing (Html, button, div, input, label, li, p, span, text, ul)
+import Html.Attributes exposing (class, disabled, id, placeholder, type_, value)
+import Html.Events exposing (onClick, onInput)
+import Styles.Theme as Theme
+import Types.DeviceType exposing (DeviceType)
+import Types.Project exposing (SavedProject, nextProjectId)
+
+
+
+-- TYPES
+
+
+type alias State =
+    { projects : List SavedProject -- most recently saved first
+    , saveName : String
+    , renaming : Maybe { id : String, name : String }
+    , deleting : Maybe String -- project waiting for the delete to be confirmed
+    , problem : Maybe String -- why the stored library could not be read
+    , notice : Maybe String -- what changed to fit the last project opened
+    }
+
+
+type LibraryMsg
+    = SetSaveName String
+    | SaveProject
+    | OpenProject String
+    | StartRename String
+    | SetRenameName String
+    | FinishRename
+    | CancelRename
+    | DuplicateProject String
+    | DeleteProject String
+    | ConfirmDelete String
+    | CancelDelete
+
+
+
+-- INIT
+
+
+initState : State
+initState =
+    { projects = []
+    , saveName = ""
+    , renaming = Nothing
+    , deleting = Nothing
+    , problem = Nothing
+    , notice = Nothing
+    }
+
+
+
+-- UPDATE
+
+
+{-| Update the library for everything that does not need the current
+project. Saving and opening are handled by Main, which knows the pond and
+fleet.
+-}
+updateState : LibraryMsg -> State -> State
+updateState msg state =
+    case msg of
+        SetSaveName name ->
+            { state | saveName = name }
+
+        SaveProject ->
+            state
+
+        OpenProject _ ->
+            state
+
+        StartRename projectId ->
+            { state
+                | renaming =
+                    findProject projectId state
+                        |> Maybe.map (\project -> { id = project.id, name = project.name })
+                , deleting = Nothing
+            }
+
+        SetRenameName name ->
+            { state | renaming = Maybe.map (\renaming -> { renaming | name = name }) state.renaming }
+
+        FinishRename ->
+            case state.renaming of
+                Just renaming ->
+                    if String.isEmpty (String.trim renaming.name) then
+                        -- Keep the old name rather than leave the project unnamed
+                        { state | renaming = Nothing }
+
+                    else
+                        { state
+                            | projects =
+                                List.map
+                                    (\project ->
+                                        if project.id == renaming.id then
+                                            { project | name = String.trim renaming.name }
+
+                                        else
+                                            project
+                                    )
+                                    state.projects
+                            , renaming = Nothing
+                        }
+
+                Nothing ->
+                    state
+
+        CancelRename ->
+            { state | renaming = Nothing }
+
+        DuplicateProject projectId ->
+            let
+                copyId =
+                    nextProjectId state.projects
+            in
+            { state
+                | projects =
+                    List.concatMap
+                        (\project ->
+                            if project.id == projectId then
+                                [ project, { project | id = copyId, name = project.name ++ " (copy)" } ]
+
+                            else
+                                [ project ]
+                        )
+                        state.projects
+            }
+
+        DeleteProject projectId ->
+            { state | deleting = Just projectId, renaming = Nothing }
+
+        ConfirmDelete projectId ->
+            { state
+                | projects = List.filter (\project -> project.id /= projectId) state.projects
+                , deleting = Nothing
+            }
+
+        CancelDelete ->
+            { state | deleting = Nothing }
+
+
+{-| Take in the library read from storage. A library that could not be read
+is left alone in storage, and saving stays off so it is not overwritten.
+-}
+loaded : Result String (List SavedProject) -> State -> State
+loaded result state =
+    case result of
+        Ok projects ->
+            { state | projects = projects, problem = Nothing }
+
+        Err problem ->
+            { state | problem = Just problem }
+
+
+{-| The name typed for saving, once it is more than blank space
+-}
+saveName : State -> Maybe String
+saveName state =
+    let
+        trimmed =
+            String.trim state.saveName
+    in
+    if String.isEmpty trimmed then
+        Nothing
+
+    else
+        Just trimmed
+
+
+{-| Note that a project was opened, taking its name for the next save. Takes
+the changes made to fit it to the current configuration, which are shown
+until another project is opened.
+-}
+opened : SavedProject -> List String -> State -> State
+opened project notes state =
+    { state
+        | saveName = project.name
+        , notice =
+            if List.isEmpty notes then
+                Nothing
+
+            else
+                Just (project.name ++ " was changed to fit this calculator. " ++ String.join " " notes)
+    }
+
+
+{-| Put a project at the top of the library. Saving under a name already in
+the library replaces that project and keeps its id; otherwise the project is
+given a new id, so the id it arrives with is ignored.
+-}
+saveProject : SavedProject -> State -> State
+saveProject project state =
+    let
+        sameName existing =
+            String.toLower existing.name == String.toLower project.name
+
+        savedId =
+            List.filter sameName state.projects
+                |> List.head
+                |> Maybe.map .id
+                |> Maybe.withDefault (nextProjectId state.projects)
+    in
+    { state | projects = { project | id = savedId } :: List.filter (not << sameName) state.projects }
+
+
+{-| The saved project with the given id
+-}
+findProject : String -> State -> Maybe SavedProject
+findProject projectId state =
+    List.filter (\project -> project.id == projectId) state.projects
+        |> List.head
+
+
+
+-- VIEW
+
+
+{-| Render the save form and the saved projects, each with its last timeline
+-}
+view : DeviceType -> State -> (LibraryMsg -> msg) -> Html msg
+view deviceType state toMsg =
+    let
+        typography =
+            Theme.getTypographyScale deviceType
+    in
+    div [ class "space-y-4" ]
+        [ case state.problem of
+            Just problem ->
+                p
+                    [ class "p-3 text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-md"
+                    , Html.Attributes.attribute "data-testid" "project-library-problem"
+                    ]
+                    [ text problem ]
+
+            Nothing ->
+                text ""
+        , case state.notice of
+            Just notice ->
+                p
+                    [ class "p-3 text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-md"
+                    , Html.Attributes.attribute "data-testid" "project-library-notice"
+                    ]
+                    [ text notice ]
+
+            Nothing ->
+                text ""
+        , div [ class "flex flex-wrap items-end gap-3" ]
+            [ div [ class "flex-1 min-w-0" ]
+                [ label [ class (typography.body ++ " block text-gray-700 mb-1"), Html.Attributes.for "project-name" ]
+                    [ text "Project Name" ]
+                , input
+                    [ type_ "text"
+                    , class "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    , id "project-name"
+                    , Html.Attributes.attribute "data-testid" "project-name-input"
+                    , value state.saveName
+                    , placeholder "e.g., Miller farm pond"
+                    , onInput (toMsg << SetSaveName)
+                    ]
+                    []
+                ]
+            , button
+                [ type_ "button"
+                , class "px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                , Html.Attributes.attribute "data-testid" "project-save"
+                , disabled (saveName state == Nothing || state.problem /= Nothing)
+                , onClick (toMsg SaveProject)
+                ]
+                [ text "Save Project" ]
+            ]
+        , p [ class "text-xs text-gray-500" ]
+            [ text "Saves the pond, fleet and work hours in this browser. Saving under an existing name replaces that project." ]
+        , if List.isEmpty state.projects then
+            p
+                [ class "text-sm text-gray-600"
+                , Html.Attributes.attribute "data-testid" "project-library-empty"
+                ]
+                [ text "No saved projects yet." ]
+
+          else
+            ul [ class "space-y-2", Html.Attributes.attribute "data-testid" "project-library" ]
+                (List.map (viewProject state toMsg) state.projects)
+        ]
+
+
+{-| One saved project with its actions, or its rename form or delete
+confirmation when one is open
+-}
+viewProject : State -> (LibraryMsg -> msg) -> SavedProject -> Html msg
+viewProject state toMsg project =
+    let
+        renaming =
+            state.renaming
+                |> Maybe.andThen
+                    (\current ->
+                        if current.id == project.id then
+                            Just current.name
+
+                        else
+                            Nothing
+                    )
+
+        actionButton testId caption msg =
+            button
+                [ type_ "button"
+                , class "px-3 py-1 text-sm border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50"
+                , Html.Attributes.attribute "data-testid" (testId ++ "-" ++ project.id)
+                , onClick (toMsg msg)
+                ]
+                [ text caption ]
+    in
+    li
+        [ class "flex flex-wrap items-center justify-between gap-2 p-3 border border-gray-200 rounded-md"
+        , Html.Attributes.attribute "data-testid" ("saved-project-" ++ project.id)
+        ]
+        (case renaming of
+            Just draftName ->
+                [ input
+                    [ type_ "text"
+                    , class "flex-1 min-w-0 px-3 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    , Html.Attributes.attribute "data-testid" ("project-rename-input-" ++ project.id)
+                    , value draftName
+                    , onInput (toMsg << SetRenameName)
+                    ]
+                    []
+                , div [ class "flex gap-2" ]
+                    [ actionButton "project-rename-save" "Save Name" FinishRename
+                    , actionButton "project-rename-cancel" "Cancel" CancelRename
+                    ]
+                ]
+
+            Nothing ->
+                [ div []
+                    [ div [ class "font-semibold text-gray-900" ] [ text project.name ]
+                    , span [ class "text-sm text-gray-600" ]
+                        [ text
+                            (case project.timelineInDays of
+                                Just days ->
+                                    formatDays days
+
+                                Nothing ->
+                                    "No estimate when saved"
+                            )
+                        ]
+                    ]
+                , if state.deleting == Just project.id then
+                    div [ class "flex items-center gap-2" ]
+                        [ span [ class "text-sm text-red-700" ] [ text "Delete this project?" ]
+                        , button
+                            [ type_ "button"
+                            , class "px-3 py-1 text-sm bg-red-600 text-white rounded-md hover:bg-red-700"
+                            , Html.Attributes.attribute "data-testid" ("project-delete-confirm-" ++ project.id)
+                            , onClick (toMsg (ConfirmDelete project.id))
+                            ]
+                            [ text "Delete" ]
+                        , actionButton "project-delete-cancel" "Keep" CancelDelete
+                        ]
+
+                  else
+                    div [ class "flex flex-wrap gap-2" ]
+                        [ actionButton "project-open" "Open" (OpenProject project.id)
+                        , actionButton "project-rename" "Rename" (StartRename project.id)
+                        , actionButton "project-duplicate" "Duplicate" (DuplicateProject project.id)
+                        , actionButton "project-delete" "Delete" (DeleteProject project.id)
+                        ]
+                ]
+        )
+
+
+
+-- HELPERS
+
+
+formatDays : Int -> String
+formatDays days =
+    if days == 1 then
+        "1 working day"
+
+    else
+        String.fromInt days ++ " working days"
@@ -1,28 +1,50 @@
-module Components.ResultsPanel exposing (view)
+module Components.ResultsPanel exposing (view, formatRate, formatDays, formatHours, formatVolume, formatCurrency, formatUnitCost, productionRate)
 
 {-| Results display component for pond digging timeline calculations
 
-@docs view
+The formatting helpers are shared with the estimate report, so figures read
+the same on paper as on screen.
+
+@docs view, formatRate, formatDays, formatHours, formatVolume, formatCurrency, formatUnitCost, productionRate
 
 -}
 
-import Html exposing (Html, div, h3, h4, h5, li, p, span, text, ul)
+import Html exposing (Html, button, div, h3, h4, h5, li, p, span, text, ul)
 import Html.Attributes exposing (class)
+import Html.Events exposing (onClick)
 import Styles.Components as Components
 import Styles.Theme as Theme
 import Types.DeviceType exposing (DeviceType)
-import Utils.Calculations exposing (Bottleneck(..), CalculationResult, ConfidenceLevel(..))
+import Types.Equipment exposing (machineCount, machineLabel)
+import Types.Pond exposing (PondShape(..))
+import Utils.Calculations exposing (Bottleneck(..), CalculationResult, ConfidenceLevel(..), HaulCycleBreakdown, PondGeometry, TimelineDistribution)
+import Utils.Calendar as Calendar exposing (Schedule)
+import Utils.Cost exposing (CostBreakdown)
+import Utils.Simulation exposing (MachineUtilization, SimulationResult)
+import Utils.Units as Units exposing (UnitSystem(..))
 
 
 
 -- VIEW
 
 
-{-| Render calculation results with detailed breakdown and error state indicators
+{-| Render calculation results with detailed breakdown and error state indicators.
+When the simulation model is selected and a simulated run is available, the
+headline timeline comes from the simulation and the analytic figure is shown
+alongside it for comparison. Quantities are shown in the chosen units; the
+result itself is always worked out in imperial units.
 -}
-view : DeviceType -> CalculationResult -> Bool -> Html msg
-view deviceType result isStale =
+view : UnitSystem -> DeviceType -> CalculationResult -> Bool -> Bool -> Maybe SimulationResult -> (Bool -> msg) -> Html msg
+view unitSystem deviceType result isStale useSimulation simulation onSimulationToggle =
     let
+        ( timelineInDays, totalHours ) =
+            case ( useSimulation, simulation ) of
+                ( True, Just simulated ) ->
+                    ( simulated.timelineInDays, simulated.totalHours )
+
+                _ ->
+                    ( result.timelineInDays, result.totalHours )
+
         panelClass =
             case deviceType of
                 Types.DeviceType.Desktop ->
@@ -60,6 +82,9 @@ view deviceType result isStale =
           else
             text ""
 
+        -- Analytic vs simulated model switch
+        , viewModelToggle useSimulation onSimulationToggle
+
         -- Professional Main Result Display
         , div
             [ class ("text-center " ++ professionalResultContainer)
@@ -71,10 +96,10 @@ view deviceType result isStale =
                 [ class mainNumberClass
                 , Html.Attributes.attribute "data-testid" "timeline-days"
                 ]
-                [ text (String.fromInt result.timelineInDays) ]
+                [ text (String.fromInt timelineInDays) ]
             , div [ class ("text-2xl " ++ Theme.professionalSecondaryColor ++ " font-medium mb-2") ]
                 [ text
-                    (if result.timelineInDays == 1 then
+                    (if timelineInDays == 1 then
                         "Working Day"
 
                      else
@@ -82,9 +107,15 @@ view deviceType result isStale =
                     )
                 ]
             , div [ class ("text-base " ++ Theme.professionalNeutralColor ++ " mb-4") ]
-                [ text ("Total Project Hours: " ++ formatHours result.totalHours) ]
+                [ text ("Total Project Hours: " ++ formatHours totalHours) ]
+            , case result.schedule of
+                Just schedule ->
+                    viewWorkingTime schedule
+
+                Nothing ->
+                    text ""
             , if deviceType /= Types.DeviceType.Mobile then
-                viewAdditionalMetrics result
+                viewAdditionalMetrics unitSystem result
 
               else
                 text ""
@@ -97,8 +128,8 @@ view deviceType result isStale =
                 [ h4 [ class (Theme.getProfessionalSubheadingClass deviceType ++ " mb-4") ]
                     [ text "Equipment Performance" ]
                 , div [ class Theme.professionalElementSpacing ]
-                    [ professionalProductivityRow "Excavator Rate" result.excavationRate "cubic yards/hour" "excavation-rate" deviceType
-                    , professionalProductivityRow "Truck Hauling Rate" result.haulingRate "cubic yards/hour" "hauling-rate" deviceType
+                    [ professionalProductivityRow "Excavator Rate" (Units.toDisplay unitSystem Units.Volume result.excavationRate) (Units.unitName unitSystem Units.Volume ++ "/hour") "excavation-rate" deviceType
+                    , professionalProductivityRow "Truck Hauling Rate" (Units.toDisplay unitSystem Units.Volume result.haulingRate) (Units.unitName unitSystem Units.Volume ++ "/hour") "hauling-rate" deviceType
                     , professionalBottleneckIndicator result.bottleneck deviceType
                     , if deviceType /= Types.DeviceType.Mobile then
                         viewEfficiencyBar result.excavationRate result.haulingRate
@@ -115,18 +146,75 @@ view deviceType result isStale =
                 , div [ class Theme.professionalElementSpacing ]
                     [ professionalConfidenceIndicator result.confidence deviceType
                     , if deviceType /= Types.DeviceType.Mobile then
-                        viewProfessionalProjectDetails result deviceType
+                        viewProfessionalProjectDetails unitSystem result deviceType
 
                       else
                         text ""
                     , div [ class ("text-sm " ++ Theme.professionalNeutralColor ++ " italic") ]
-                        [ text "Timeline rounded to complete working days for scheduling precision" ]
+                        [ text "A partly worked final day counts as a working day; its hours are shown with the timeline" ]
                     ]
                 ]
             ]
 
+        -- How each row's machine count adds up to the fleet rates
+        , if List.isEmpty result.fleet.excavators && List.isEmpty result.fleet.trucks then
+            text ""
+
+          else
+            viewFleetRollUp unitSystem result deviceType
+
+        -- Each phase of the job in working order
+        , if List.isEmpty result.phases then
+            text ""
+
+          else
+            viewPhaseBreakdown unitSystem result deviceType
+
+        -- Start and completion dates on the work calendar
+        , case result.schedule of
+            Just schedule ->
+                viewSchedule schedule deviceType
+
+            Nothing ->
+                text ""
+
+        -- How sure the timeline is, from the Monte Carlo runs
+        , case result.timelineRange of
+            Just distribution ->
+                viewTimelineRange distribution deviceType
+
+            Nothing ->
+                text ""
+
+        -- Excavation shape with sloped banks
+        , case result.pondGeometry of
+            Just geometry ->
+                viewPondGeometry unitSystem geometry deviceType
+
+            Nothing ->
+                text ""
+
+        -- Bank vs loose soil and the loads it takes to haul it
+        , viewHaulQuantities unitSystem result deviceType
+
+        -- What the job costs to run
+        , case result.cost of
+            Just cost ->
+                viewCostBreakdown unitSystem cost deviceType
+
+            Nothing ->
+                text ""
+
+        -- Truck queues and machine utilization from the simulated run
+        , case ( useSimulation, simulation ) of
+            ( True, Just simulated ) ->
+                viewSimulation simulated result deviceType
+
+            _ ->
+                text ""
+
         -- Methodology Explanation
-        , calculationMethodologySection result deviceType
+        , calculationMethodologySection unitSystem result deviceType
 
         -- Professional Assumptions and Recommendations
         , div [ class Theme.professionalSectionSpacing ]
@@ -345,11 +433,11 @@ warningsSection warnings =
 
 {-| Display calculation methodology explanation section
 -}
-calculationMethodologySection : CalculationResult -> DeviceType -> Html msg
-calculationMethodologySection result deviceType =
+calculationMethodologySection : UnitSystem -> CalculationResult -> DeviceType -> Html msg
+calculationMethodologySection unitSystem result deviceType =
     let
         effectiveRate =
-            min result.excavationRate result.haulingRate
+            productionRate result
 
         bottleneckEquipment =
             case result.bottleneck of
@@ -375,7 +463,7 @@ calculationMethodologySection result deviceType =
                     , p [ class ("text-sm mb-2 " ++ Theme.getProfessionalBodyTextClass) ]
                         [ text ("Your project's timeline is determined by the " ++ bottleneckEquipment ++ ", which sets the pace of work.") ]
                     , div [ class ("text-sm " ++ Theme.professionalNeutralColor) ]
-                        [ text ("Effective rate: " ++ formatRate effectiveRate ++ " cubic yards/hour") ]
+                        [ text ("Effective rate: " ++ formatRate (Units.toDisplay unitSystem Units.Volume effectiveRate) ++ " " ++ Units.unitName unitSystem Units.Volume ++ "/hour") ]
                     ]
                 , div [ class "bg-gray-50 p-4 rounded-lg" ]
                     [ h5 [ class ("font-semibold mb-2 " ++ Theme.professionalSecondaryColor) ]
@@ -386,6 +474,18 @@ calculationMethodologySection result deviceType =
                         [ text ("Total hours: " ++ formatHours result.totalHours ++ " → " ++ String.fromInt result.timelineInDays ++ " working days") ]
                     ]
                 ]
+            , if List.isEmpty result.haulCycles then
+                text ""
+
+              else
+                div [ class "bg-gray-50 p-4 rounded-lg", Html.Attributes.attribute "data-testid" "haul-cycle-breakdown" ]
+                    [ h5 [ class ("font-semibold mb-2 " ++ Theme.professionalSecondaryColor) ]
+                        [ text "Haul Cycle" ]
+                    , p [ class ("text-sm mb-2 " ++ Theme.getProfessionalBodyTextClass) ]
+                        [ text "Round trips worked out from bucket passes to fill each truck, travel time each way, and dump and spot times." ]
+                    , ul [ class ("text-sm space-y-1 " ++ Theme.professionalNeutralColor) ]
+                        (List.map viewHaulCycleBreakdown result.haulCycles)
+                    ]
             , div [ class "border-l-4 border-indigo-500 pl-4" ]
                 [ p [ class ("text-sm italic " ++ Theme.getProfessionalBodyTextClass) ]
                     [ text "This estimate uses industry-standard productivity rates and accounts for real-world construction conditions. The final timeline provides a reliable scheduling foundation for project planning." ]
@@ -394,6 +494,477 @@ calculationMethodologySection result deviceType =
         ]
 
 
+{-| One truck's round trip, split into its loading, travel and delay times
+-}
+viewHaulCycleBreakdown : HaulCycleBreakdown -> Html msg
+viewHaulCycleBreakdown breakdown =
+    let
+        passesText =
+            if breakdown.passes == 1 then
+                "1 pass"
+
+            else
+                String.fromInt breakdown.passes ++ " passes"
+    in
+    li []
+        [ span [ class "font-medium" ] [ text (breakdown.truckName ++ ": ") ]
+        , text
+            ("load "
+                ++ formatRate breakdown.loadTime
+                ++ " min ("
+                ++ passesText
+                ++ " from "
+                ++ breakdown.excavatorName
+                ++ ") + haul "
+                ++ formatRate breakdown.haulTime
+                ++ " + dump "
+                ++ formatRate breakdown.dumpTime
+                ++ " + return "
+                ++ formatRate breakdown.returnTime
+                ++ " + spot "
+                ++ formatRate breakdown.spotTime
+                ++ " = "
+                ++ formatRate breakdown.roundTripTime
+                ++ " min round trip"
+            )
+        ]
+
+
+{-| Display each project phase with its machines, hours, days and cost,
+followed by the project total
+-}
+viewPhaseBreakdown : UnitSystem -> CalculationResult -> DeviceType -> Html msg
+viewPhaseBreakdown unitSystem result deviceType =
+    let
+        machines phase =
+            String.fromInt phase.excavatorCount
+                ++ " exc. + "
+                ++ String.fromInt phase.truckCount
+                ++ " trucks"
+
+        phaseRow index phase =
+            div
+                [ class "grid grid-cols-5 gap-2 py-2 border-b border-gray-100 text-sm"
+                , Html.Attributes.attribute "data-testid" ("phase-result-" ++ String.fromInt index)
+                ]
+                [ span [ class "col-span-2 font-medium text-gray-800" ]
+                    [ text phase.name
+                    , span [ class ("block text-xs " ++ Theme.professionalNeutralColor) ]
+                        [ text (formatVolume (Units.toDisplay unitSystem Units.Volume phase.volume) ++ " " ++ Units.unitSymbol unitSystem Units.Volume ++ " · " ++ machines phase) ]
+                    ]
+                , span [ class "text-gray-700" ] [ text (formatHours phase.totalHours) ]
+                , span [ class "text-gray-700" ] [ text (formatDays phase.timelineInDays) ]
+                , span [ class "text-gray-700 text-right" ]
+                    [ text (Maybe.withDefault "" (Maybe.map (.total >> formatCurrency) phase.cost)) ]
+                ]
+    in
+    div
+        [ class "bg-white border border-gray-200 p-6 rounded-xl shadow-sm mb-6"
+        , Html.Attributes.attribute "data-testid" "phase-breakdown"
+        ]
+        [ h4 [ class (Theme.getProfessionalSubheadingClass deviceType ++ " mb-4") ]
+            [ text "Project Phases" ]
+        , div [ class ("grid grid-cols-5 gap-2 pb-2 border-b text-xs uppercase " ++ Theme.professionalNeutralColor) ]
+            [ span [ class "col-span-2" ] [ text "Phase" ]
+            , span [] [ text "Hours" ]
+            , span [] [ text "On its own" ]
+            , span [ class "text-right" ] [ text "Cost" ]
+            ]
+        , div [] (List.indexedMap phaseRow result.phases)
+        , div
+            [ class "grid grid-cols-5 gap-2 pt-2 text-sm font-semibold text-gray-900"
+            , Html.Attributes.attribute "data-testid" "phase-total"
+            ]
+            [ span [ class "col-span-2" ] [ text "Whole Project" ]
+            , span [] [ text (formatHours result.totalHours) ]
+            , span [] [ text (formatDays result.timelineInDays) ]
+            , span [ class "text-right" ]
+                [ text (Maybe.withDefault "" (Maybe.map (.total >> formatCurrency) result.cost)) ]
+            ]
+        , p [ class ("text-xs italic mt-3 " ++ Theme.professionalNeutralColor) ]
+            [ text "Phases are worked one after another, so a phase can start on the day the one before it finishes." ]
+        ]
+
+
+{-| Display the excavated pond shape: top and bottom dimensions and volume
+-}
+viewPondGeometry : UnitSystem -> PondGeometry -> DeviceType -> Html msg
+viewPondGeometry unitSystem geometry deviceType =
+    let
+        measure quantity value =
+            Units.toDisplay unitSystem quantity value
+
+        lengthUnit =
+            Units.unitName unitSystem Units.Length
+
+        footprint length width =
+            if geometry.shape == Circle && length == width then
+                formatRate (measure Units.Length length) ++ " " ++ lengthUnit ++ " across"
+
+            else
+                formatRate (measure Units.Length length) ++ " × " ++ formatRate (measure Units.Length width) ++ " " ++ lengthUnit
+    in
+    div
+        [ class "bg-white border border-gray-200 p-6 rounded-xl shadow-sm mb-6"
+        , Html.Attributes.attribute "data-testid" "pond-geometry"
+        ]
+        [ h4 [ class (Theme.getProfessionalSubheadingClass deviceType ++ " mb-4") ]
+            [ text "Excavation Geometry" ]
+        , div [ class "space-y-1" ]
+            [ detailRow "Shape" (Types.Pond.shapeLabel geometry.shape) "pond-shape"
+            , detailRow "Top of Bank" (footprint geometry.topLength geometry.topWidth) "pond-top-dimensions"
+            , detailRow "Surface Area" (formatVolume (measure Units.Area geometry.topArea) ++ " " ++ Units.unitSymbol unitSystem Units.Area) "pond-surface-area"
+            , detailRow "Pond Bottom" (footprint geometry.bottomLength geometry.bottomWidth) "pond-bottom-dimensions"
+            , detailRow "Depth" (formatRate (measure Units.Length geometry.depth) ++ " " ++ lengthUnit) "pond-depth"
+            , detailRow "Excavation Volume" (formatVolume (measure Units.Volume geometry.volume) ++ " " ++ Units.unitName unitSystem Units.Volume) "pond-volume"
+            ]
+        ]
+
+
+{-| Display each active equipment row as its count times the rate of one of
+its machines, and the fleet totals those rows add up to. Truck rates are in
+bank yards, as the hauling rate is.
+-}
+viewFleetRollUp : UnitSystem -> CalculationResult -> DeviceType -> Html msg
+viewFleetRollUp unitSystem result deviceType =
+    let
+        rate amount =
+            formatRate (Units.toDisplay unitSystem Units.Volume amount) ++ " " ++ Units.unitName unitSystem Units.Volume ++ "/hour"
+
+        rowFigure row =
+            if row.quantity > 1 then
+                String.fromInt row.quantity ++ " × " ++ rate row.machineRate ++ " = " ++ rate (toFloat row.quantity * row.machineRate)
+
+            else
+                rate row.machineRate
+
+        machines number =
+            if number == 1 then
+                "1 machine"
+
+            else
+                String.fromInt number ++ " machines"
+
+        fleetRows noun testId rows =
+            if List.isEmpty rows then
+                []
+
+            else
+                List.indexedMap (\index row -> detailRow (machineLabel row) (rowFigure row) (testId ++ "-" ++ String.fromInt index)) rows
+                    ++ [ detailRow
+                            (noun ++ " (" ++ machines (machineCount rows) ++ ")")
+                            (rate (List.sum (List.map (\row -> toFloat row.quantity * row.machineRate) rows)))
+                            (testId ++ "-total")
+                       ]
+    in
+    div
+        [ class "bg-white border border-gray-200 p-6 rounded-xl shadow-sm mb-6"
+        , Html.Attributes.attribute "data-testid" "fleet-roll-up"
+        ]
+        [ h4 [ class (Theme.getProfessionalSubheadingClass deviceType ++ " mb-4") ]
+            [ text "Fleet" ]
+        , div [ class "space-y-1" ]
+            (fleetRows "Excavators" "fleet-excavator" result.fleet.excavators
+                ++ fleetRows "Trucks" "fleet-truck" result.fleet.trucks
+            )
+        ]
+
+
+{-| Display bank volume, swollen loose volume and the truck loads to haul it
+-}
+viewHaulQuantities : UnitSystem -> CalculationResult -> DeviceType -> Html msg
+viewHaulQuantities unitSystem result deviceType =
+    let
+        swellPercent =
+            if result.bankVolume > 0 then
+                (result.looseVolume / result.bankVolume - 1) * 100
+
+            else
+                0
+
+        volume amount =
+            formatVolume (Units.toDisplay unitSystem Units.Volume amount) ++ " " ++ Units.unitName unitSystem Units.Volume
+
+        weightLabel =
+            case unitSystem of
+                Imperial ->
+                    "Tons Hauled"
+
+                Metric ->
+                    "Tonnes Hauled"
+    in
+    div
+        [ class "bg-white border border-gray-200 p-6 rounded-xl shadow-sm mb-6"
+        , Html.Attributes.attribute "data-testid" "haul-quantities"
+        ]
+        [ h4 [ class (Theme.getProfessionalSubheadingClass deviceType ++ " mb-4") ]
+            [ text "Haul Quantities" ]
+        , div [ class "space-y-1" ]
+            [ detailRow "Bank Volume (in ground)" (volume result.bankVolume) "bank-volume"
+            , detailRow ("Loose Volume (+" ++ formatRate swellPercent ++ "% swell)") (volume result.looseVolume) "loose-volume"
+            , if result.exportedVolume < result.looseVolume then
+                detailRow "Trucked Off Site" (volume result.exportedVolume) "exported-volume"
+
+              else
+                text ""
+            , if result.tonsHauled > 0 then
+                detailRow weightLabel (formatVolume (Units.toDisplay unitSystem Units.Weight result.tonsHauled) ++ " " ++ Units.unitName unitSystem Units.Weight) "tons-hauled"
+
+              else
+                text ""
+            , detailRow "Truck Loads" (String.fromInt result.truckLoads) "truck-loads"
+            ]
+        ]
+
+
+{-| Display the estimated job cost by category, the total and the cost per
+cubic yard or cubic metre dug
+-}
+viewCostBreakdown : UnitSystem -> CostBreakdown -> DeviceType -> Html msg
+viewCostBreakdown unitSystem cost deviceType =
+    let
+        unitCostLabel =
+            case unitSystem of
+                Imperial ->
+                    "Cost per Cubic Yard"
+
+                Metric ->
+                    "Cost per Cubic Metre"
+    in
+    div
+        [ class "bg-white border border-gray-200 p-6 rounded-xl shadow-sm mb-6"
+        , Html.Attributes.attribute "data-testid" "cost-breakdown"
+        ]
+        [ h4 [ class (Theme.getProfessionalSubheadingClass deviceType ++ " mb-4") ]
+            [ text "Cost Estimate" ]
+        , div [ class "space-y-1" ]
+            [ detailRow "Equipment" (formatCurrency cost.equipment) "cost-equipment"
+            , detailRow "Labor" (formatCurrency cost.labor) "cost-labor"
+            , detailRow "Fuel" (formatCurrency cost.fuel) "cost-fuel"
+            , detailRow "Disposal" (formatCurrency cost.disposal) "cost-disposal"
+            , detailRow "Total" (formatCurrency cost.total) "cost-total"
+            , detailRow unitCostLabel (formatUnitCost (Units.toDisplay unitSystem Units.VolumePrice cost.costPerCubicYard)) "cost-per-cubic-yard"
+            ]
+        ]
+
+
+{-| Show how the timeline splits into full days and a partial final day.
+Nothing extra is shown when the job ends at the close of a full day.
+-}
+viewWorkingTime : Schedule -> Html msg
+viewWorkingTime schedule =
+    if schedule.extraHours > 0 then
+        div
+            [ class ("text-sm " ++ Theme.professionalNeutralColor ++ " mb-4")
+            , Html.Attributes.attribute "data-testid" "timeline-breakdown"
+            ]
+            [ text
+                ((if schedule.fullDays == 1 then
+                    "1 full day"
+
+                  else
+                    String.fromInt schedule.fullDays ++ " full days"
+                 )
+                    ++ " + "
+                    ++ formatHours schedule.extraHours
+                    ++ " hours on the last day"
+                )
+            ]
+
+    else
+        text ""
+
+
+{-| Display the start and projected completion dates, or a prompt for what
+is still needed to work them out
+-}
+viewSchedule : Schedule -> DeviceType -> Html msg
+viewSchedule schedule deviceType =
+    div
+        [ class "bg-white border border-gray-200 p-6 rounded-xl shadow-sm mb-6"
+        , Html.Attributes.attribute "data-testid" "project-schedule"
+        ]
+        [ h4 [ class (Theme.getProfessionalSubheadingClass deviceType ++ " mb-4") ]
+            [ text "Schedule" ]
+        , case ( schedule.startDate, schedule.completionDate ) of
+            ( Just start, Just finish ) ->
+                div [ class "space-y-1" ]
+                    [ detailRow "Start Date" (Calendar.formatDate start) "schedule-start"
+                    , detailRow "Projected Completion" (Calendar.formatDate finish) "schedule-completion"
+                    , detailRow "Final Day"
+                        (if schedule.extraHours > 0 then
+                            formatHours schedule.extraHours ++ " hours"
+
+                         else
+                            "Full day"
+                        )
+                        "schedule-final-day"
+                    , detailRow "Calendar Days" (String.fromInt (Calendar.daysBetween start finish + 1)) "schedule-calendar-days"
+                    ]
+
+            ( Just _, Nothing ) ->
+                p [ class ("text-sm " ++ Theme.professionalNeutralColor), Html.Attributes.attribute "data-testid" "schedule-prompt" ]
+                    [ text "Choose at least one work day to see the projected completion date." ]
+
+            ( Nothing, _ ) ->
+                p [ class ("text-sm " ++ Theme.professionalNeutralColor), Html.Attributes.attribute "data-testid" "schedule-prompt" ]
+                    [ text "Choose a start date to see the projected completion date." ]
+        ]
+
+
+{-| Display the P10/P50/P90 timelines and a histogram of how many runs
+finished in each number of days. Bars between P10 and P90 are highlighted.
+-}
+viewTimelineRange : TimelineDistribution -> DeviceType -> Html msg
+viewTimelineRange distribution deviceType =
+    let
+        mostRuns =
+            List.foldl (\( _, runs ) highest -> max runs highest) 1 distribution.histogram
+
+        bar ( days, runs ) =
+            div
+                [ class "flex-1 flex flex-col items-center justify-end h-full"
+                , Html.Attributes.title (formatDays days ++ ": " ++ String.fromInt runs ++ " of " ++ String.fromInt distribution.runs ++ " runs")
+                ]
+                [ div
+                    [ class
+                        (if days >= distribution.p10 && days <= distribution.p90 then
+                            "w-full bg-blue-500 rounded-t"
+
+                         else
+                            "w-full bg-gray-300 rounded-t"
+                        )
+                    , Html.Attributes.style "height" (String.fromFloat (toFloat runs / toFloat mostRuns * 100) ++ "%")
+                    ]
+                    []
+                , span [ class "text-xs text-gray-500 mt-1" ] [ text (String.fromInt days) ]
+                ]
+    in
+    div
+        [ class "bg-white border border-gray-200 p-6 rounded-xl shadow-sm mb-6"
+        , Html.Attributes.attribute "data-testid" "timeline-range"
+        ]
+        [ h4 [ class (Theme.getProfessionalSubheadingClass deviceType ++ " mb-4") ]
+            [ text "Timeline Range" ]
+        , div [ class "space-y-1" ]
+            [ detailRow "Optimistic (P10)" (formatDays distribution.p10) "timeline-p10"
+            , detailRow "Most Likely (P50)" (formatDays distribution.p50) "timeline-p50"
+            , detailRow "Conservative (P90)" (formatDays distribution.p90) "timeline-p90"
+            ]
+        , div
+            [ class "flex items-end space-x-1 h-32 mt-4"
+            , Html.Attributes.attribute "data-testid" "timeline-histogram"
+            ]
+            (List.map bar distribution.histogram)
+        , p [ class ("text-sm " ++ Theme.professionalNeutralColor ++ " italic mt-3") ]
+            [ text
+                ("Working days across "
+                    ++ String.fromInt distribution.runs
+                    ++ " randomised runs with cycle times, round trips and day length drawn from their ranges. Nine in ten runs finish within "
+                    ++ formatDays distribution.p90
+                    ++ "."
+                )
+            ]
+        ]
+
+
+{-| Switch between the analytic estimate and the loading queue simulation
+-}
+viewModelToggle : Bool -> (Bool -> msg) -> Html msg
+viewModelToggle useSimulation onSimulationToggle =
+    let
+        option label selected testId =
+            button
+                [ class
+                    (if selected then
+                        "px-4 py-2 text-sm font-medium rounded-md bg-blue-600 text-white"
+
+                     else
+                        "px-4 py-2 text-sm font-medium rounded-md bg-white text-gray-700 hover:bg-gray-100"
+                    )
+                , onClick (onSimulationToggle (testId == "model-simulation"))
+                , Html.Attributes.attribute "data-testid" testId
+                ]
+                [ text label ]
+    in
+    div [ class "flex justify-center mb-6" ]
+        [ div [ class "inline-flex p-1 space-x-1 bg-gray-100 border border-gray-200 rounded-lg" ]
+            [ option "Analytic Estimate" (not useSimulation) "model-analytic"
+            , option "Queue Simulation" useSimulation "model-simulation"
+            ]
+        ]
+
+
+{-| Display the simulated timeline next to the analytic one, how long trucks
+queued at the excavators and how busy each machine was
+-}
+viewSimulation : SimulationResult -> CalculationResult -> DeviceType -> Html msg
+viewSimulation simulated result deviceType =
+    div
+        [ class "bg-white border border-gray-200 p-6 rounded-xl shadow-sm mb-6"
+        , Html.Attributes.attribute "data-testid" "simulation-results"
+        ]
+        [ h4 [ class (Theme.getProfessionalSubheadingClass deviceType ++ " mb-4") ]
+            [ text "Loading Queue Simulation" ]
+        , div [ class "space-y-1" ]
+            [ detailRow "Simulated Timeline" (formatDays simulated.timelineInDays) "simulated-timeline"
+            , detailRow "Analytic Timeline" (formatDays result.timelineInDays) "analytic-timeline"
+            , detailRow "Simulated Hours" (formatHours simulated.totalHours) "simulated-hours"
+            , detailRow "Average Truck Queue Wait" (formatRate simulated.averageQueueWait ++ " min per load") "queue-wait"
+            , detailRow "Truck Loads" (String.fromInt simulated.loads) "simulated-loads"
+            ]
+        , h5 [ class "text-sm font-semibold text-gray-700 mt-4 mb-2" ] [ text "Machine Utilization" ]
+        , div [ class "space-y-2" ]
+            (List.map (viewUtilization "bg-yellow-500") simulated.excavators
+                ++ List.map (viewUtilization "bg-blue-500") simulated.trucks
+            )
+        , if simulated.extrapolated then
+            p [ class ("text-sm " ++ Theme.professionalNeutralColor ++ " italic mt-3") ]
+                [ text "Large job: the first loads were simulated and the timeline scaled to the full volume" ]
+
+          else
+            text ""
+        ]
+
+
+{-| Render one machine's utilization as a labelled bar
+-}
+viewUtilization : String -> MachineUtilization -> Html msg
+viewUtilization barColor machine =
+    let
+        percent =
+            clamp 0 100 (machine.utilization * 100)
+    in
+    div
+        [ class "flex items-center"
+        , Html.Attributes.attribute "data-testid" ("utilization-" ++ machine.id)
+        ]
+        [ span [ class "text-xs text-gray-600 w-32 truncate" ] [ text machine.name ]
+        , div [ class "flex-1 bg-gray-200 rounded-full h-2 mx-2" ]
+            [ div
+                [ class (barColor ++ " h-2 rounded-full")
+                , Html.Attributes.style "width" (String.fromFloat percent ++ "%")
+                ]
+                []
+            ]
+        , span [ class "text-xs text-gray-700 w-12 text-right" ] [ text (String.fromInt (round percent) ++ "%") ]
+        ]
+
+
+{-| Render one labelled value row in a detail card
+-}
+detailRow : String -> String -> String -> Html msg
+detailRow label value testId =
+    div [ class "flex justify-between items-center py-2 border-b border-gray-100" ]
+        [ span [ class ("font-medium " ++ Theme.professionalSecondaryColor) ] [ text label ]
+        , span
+            [ class ("font-semibold " ++ Theme.professionalPrimaryColor)
+            , Html.Attributes.attribute "data-testid" testId
+            ]
+            [ text value ]
+        ]
+
+
 {-| Display professional assumptions section with enhanced formatting
 -}
 professionalAssumptionsSection : List String -> DeviceType -> Html msg
@@ -457,6 +1028,17 @@ formatRate rate =
     String.fromFloat (toFloat (round (rate * 10)) / 10)
 
 
+{-| Format a whole number of working days
+-}
+formatDays : Int -> String
+formatDays days =
+    if days == 1 then
+        "1 working day"
+
+    else
+        String.fromInt days ++ " working days"
+
+
 {-| Format hours with appropriate precision
 -}
 formatHours : Float -> String
@@ -468,13 +1050,43 @@ formatHours hours =
         String.fromInt (round hours)
 
 
+{-| Bank yards dug per hour over the bulk dig. The exported share goes at the
+pace of the slower fleet; spoil kept on site only waits on the excavators.
+-}
+productionRate : CalculationResult -> Float
+productionRate result =
+    let
+        exportedBankVolume =
+            if result.looseVolume > 0 then
+                result.bankVolume * result.exportedVolume / result.looseVolume
+
+            else
+                result.bankVolume
+
+        exportHours =
+            if exportedBankVolume > 0 then
+                exportedBankVolume / min result.excavationRate result.haulingRate
+
+            else
+                0
+
+        hours =
+            exportHours + (result.bankVolume - exportedBankVolume) / result.excavationRate
+    in
+    if hours > 0 then
+        result.bankVolume / hours
+
+    else
+        0
+
+
 {-| View additional metrics for desktop/tablet
 -}
-viewAdditionalMetrics : CalculationResult -> Html msg
-viewAdditionalMetrics result =
+viewAdditionalMetrics : UnitSystem -> CalculationResult -> Html msg
+viewAdditionalMetrics unitSystem result =
     let
         totalVolume =
-            result.totalHours * min result.excavationRate result.haulingRate
+            result.totalHours * productionRate result
 
         truckTrips =
             if result.haulingRate > 0 then
@@ -487,8 +1099,8 @@ viewAdditionalMetrics result =
         [ div [ class "grid grid-cols-3 gap-4 text-center" ]
             [ div []
                 [ div [ class "text-2xl font-bold text-gray-700" ]
-                    [ text (formatVolume totalVolume) ]
-                , div [ class "text-xs text-gray-500" ] [ text "Total Dirt Moved (cu.yd)" ]
+                    [ text (formatVolume (Units.toDisplay unitSystem Units.Volume totalVolume)) ]
+                , div [ class "text-xs text-gray-500" ] [ text ("Total Dirt Moved (" ++ Units.unitSymbol unitSystem Units.Volume ++ ")") ]
                 ]
             , div []
                 [ div [ class "text-2xl font-bold text-gray-700" ]
@@ -532,6 +1144,36 @@ formatVolume volume =
         thousands ++ "," ++ remainder
 
 
+{-| Format a dollar amount to whole dollars with thousands separators
+-}
+formatCurrency : Float -> String
+formatCurrency amount =
+    "$" ++ groupThousands (String.fromInt (round amount))
+
+
+{-| Format a dollar amount to the cent, for unit costs
+-}
+formatUnitCost : Float -> String
+formatUnitCost amount =
+    let
+        cents =
+            round (amount * 100)
+    in
+    "$"
+        ++ groupThousands (String.fromInt (cents // 100))
+        ++ "."
+        ++ String.padLeft 2 '0' (String.fromInt (modBy 100 cents))
+
+
+groupThousands : String -> String
+groupThousands digits =
+    if String.length digits <= 3 then
+        digits
+
+    else
+        groupThousands (String.dropRight 3 digits) ++ "," ++ String.right 3 digits
+
+
 {-| Format daily progress
 -}
 formatDailyProgress : Float -> Int -> String
@@ -600,23 +1242,23 @@ viewProjectDetails result =
         [ div [ class "flex justify-between text-sm" ]
             [ span [ class "text-gray-600" ] [ text "Effective Rate" ]
             , span [ class "font-medium text-gray-900" ]
-                [ text (formatRate (min result.excavationRate result.haulingRate) ++ " cy/hr") ]
+                [ text (formatRate (productionRate result) ++ " cy/hr") ]
             ]
         , div [ class "flex justify-between text-sm" ]
             [ span [ class "text-gray-600" ] [ text "Daily Output" ]
             , span [ class "font-medium text-gray-900" ]
-                [ text (formatRate (min result.excavationRate result.haulingRate * 8.0) ++ " cy/day") ]
+                [ text (formatRate (productionRate result * 8.0) ++ " cy/day") ]
             ]
         ]
 
 
 {-| View professional project details with enhanced formatting
 -}
-viewProfessionalProjectDetails : CalculationResult -> DeviceType -> Html msg
-viewProfessionalProjectDetails result deviceType =
+viewProfessionalProjectDetails : UnitSystem -> CalculationResult -> DeviceType -> Html msg
+viewProfessionalProjectDetails unitSystem result deviceType =
     let
         effectiveRate =
-            min result.excavationRate result.haulingRate
+            productionRate result
 
         dailyOutput =
             effectiveRate * 8.0
@@ -625,12 +1267,12 @@ viewProfessionalProjectDetails result deviceType =
         [ div [ class "flex justify-between items-center py-2 border-b border-gray-100" ]
             [ span [ class ("font-medium " ++ Theme.professionalSecondaryColor) ] [ text "Effective Production Rate" ]
             , span [ class ("font-semibold " ++ Theme.professionalPrimaryColor) ]
-                [ text (formatRate effectiveRate ++ " cubic yards/hour") ]
+                [ text (formatRate (Units.toDisplay unitSystem Units.Volume effectiveRate) ++ " " ++ Units.unitName unitSystem Units.Volume ++ "/hour") ]
             ]
         , div [ class "flex justify-between items-center py-2 border-b border-gray-100" ]
             [ span [ class ("font-medium " ++ Theme.professionalSecondaryColor) ] [ text "Expected Daily Output" ]
             , span [ class ("font-semibold " ++ Theme.professionalPrimaryColor) ]
-                [ text (formatRate dailyOutput ++ " cubic yards/day") ]
+                [ text (formatRate (Units.toDisplay unitSystem Units.Volume dailyOutput) ++ " " ++ Units.unitName unitSystem Units.Volume ++ "/day") ]
             ]
         , div [ class "flex justify-between items-center py-2" ]
             [ span [ class ("font-medium " ++ Theme.professionalSecondaryColor) ] [ text "Hours per Working Day" ]
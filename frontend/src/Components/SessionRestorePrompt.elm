@@ -0,0 +1,88 @@
+module Components.SessionRestorePrompt exposing (view)
+
+{-| Offer to restore the session autosaved on the last visit
+
+@docs view
+
+-}
+
+import Html exposing (Html, button, div, li, p, text, ul)
+import Html.Attributes exposing (class, type_)
+import Html.Events exposing (onClick)
+import Types.Project exposing (SessionRecovery(..))
+
+
+{-| Banner along the bottom of the screen asking whether to restore the
+previous session, or listing what changed to fit it to the current
+configuration once restored. Shows nothing otherwise.
+-}
+view : SessionRecovery -> { restore : msg, discard : msg, dismiss : msg } -> Html msg
+view sessionRecovery msgs =
+    case sessionRecovery of
+        OfferingRestore session ->
+            banner "session-restore-prompt"
+                [ p [ class "font-semibold text-gray-900" ] [ text "Restore previous session?" ]
+                , p [ class "text-sm text-gray-600" ]
+                    [ text
+                        ("An estimate with "
+                            ++ counted (List.length session.excavators) "excavator"
+                            ++ " and "
+                            ++ counted (List.length session.trucks) "truck"
+                            ++ " was in progress when this page last closed."
+                        )
+                    ]
+                , div [ class "flex gap-2 mt-3" ]
+                    [ button
+                        [ type_ "button"
+                        , class "px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+                        , Html.Attributes.attribute "data-testid" "session-restore"
+                        , onClick msgs.restore
+                        ]
+                        [ text "Restore" ]
+                    , button
+                        [ type_ "button"
+                        , class "px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50"
+                        , Html.Attributes.attribute "data-testid" "session-discard"
+                        , onClick msgs.discard
+                        ]
+                        [ text "Start Fresh" ]
+                    ]
+                ]
+
+        SessionRestored notes ->
+            banner "session-restore-notes"
+                [ p [ class "font-semibold text-gray-900" ] [ text "Previous session restored" ]
+                , ul [ class "mt-1 text-sm text-amber-800 list-disc list-inside" ]
+                    (List.map (\note -> li [] [ text note ]) notes)
+                , button
+                    [ type_ "button"
+                    , class "mt-3 px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50"
+                    , Html.Attributes.attribute "data-testid" "session-notes-dismiss"
+                    , onClick msgs.dismiss
+                    ]
+                    [ text "OK" ]
+                ]
+
+        CheckingForSession ->
+            text ""
+
+        SessionSettled ->
+            text ""
+
+
+banner : String -> List (Html msg) -> Html msg
+banner testId content =
+    div
+        [ class "fixed inset-x-0 bottom-0 z-40 p-4"
+        , Html.Attributes.attribute "data-testid" testId
+        ]
+        [ div [ class "max-w-lg mx-auto p-4 bg-white border border-gray-200 rounded-lg shadow-lg" ] content ]
+
+
+counted : Int -> String -> String
+counted count noun =
+    if count == 1 then
+        "1 " ++ noun
+
+    else
+        String.fromInt count ++ " " ++ noun ++ "s"
@@ -0,0 +1,292 @@
+module Components.ShareLink exposing (State, ShareMsg(..), initState, updateState, view, viewNotice)
+
+{-| Share the estimate as a link or as a QR code for a phone, and explain
+links that could not be opened
+
+@docs State, ShareMsg, initState, updateState, view, viewNotice
+
+-}
+
+import Html exposing (Html, button, div, h2, input, p, text)
+import Html.Attributes exposing (class, readonly, style, type_, value)
+import Html.Events exposing (onClick)
+import Html.Lazy
+import Svg exposing (path, rect, svg)
+import Svg.Attributes
+import Utils.QrCode as QrCode exposing (QrCode)
+
+
+
+-- TYPES
+
+
+type alias State =
+    { link : Maybe String -- the last link made, for the estimate as it was then
+    , copied : Bool -- whether that link went to the clipboard
+    , failed : Bool -- the browser could not make a link
+    , notice : Maybe String -- why an opened link could not be used as sent
+    , sendingToPhone : Bool -- the QR code for the link is showing, or about to
+    }
+
+
+type ShareMsg
+    = CreateLink
+    | LinkCreated { url : Maybe String, copied : Bool }
+    | DismissNotice
+    | SendToPhone
+    | CloseSendToPhone
+
+
+
+-- INIT
+
+
+initState : State
+initState =
+    { link = Nothing
+    , copied = False
+    , failed = False
+    , notice = Nothing
+    , sendingToPhone = False
+    }
+
+
+
+-- UPDATE
+
+
+{-| Record the link made or the notice dismissed. Making a link needs the
+estimate, so Main also asks for one on CreateLink and SendToPhone. Sending to
+a phone forgets the last link so the QR code waits for one of the estimate as
+it is now.
+-}
+updateState : ShareMsg -> State -> State
+updateState msg state =
+    case msg of
+        CreateLink ->
+            state
+
+        LinkCreated result ->
+            { state
+                | link = result.url
+                , copied = result.copied
+                , failed = result.url == Nothing
+            }
+
+        DismissNotice ->
+            { state | notice = Nothing }
+
+        SendToPhone ->
+            { state | sendingToPhone = True, link = Nothing, copied = False, failed = False }
+
+        CloseSendToPhone ->
+            { state | sendingToPhone = False }
+
+
+
+-- VIEW
+
+
+{-| Share and send to phone buttons, with the link made underneath so it can
+be copied by hand when the clipboard is not available
+-}
+view : State -> (ShareMsg -> msg) -> Html msg
+view state toMsg =
+    div [ class "flex flex-col items-center gap-2" ]
+        [ div [ class "flex gap-2" ]
+            [ button
+                [ type_ "button"
+                , class "px-4 py-2 text-sm border border-blue-600 text-blue-600 rounded-md hover:bg-blue-50"
+                , Html.Attributes.attribute "data-testid" "share-estimate"
+                , onClick (toMsg CreateLink)
+                ]
+                [ text "Share Estimate" ]
+            , button
+                [ type_ "button"
+                , class "px-4 py-2 text-sm border border-blue-600 text-blue-600 rounded-md hover:bg-blue-50"
+                , Html.Attributes.attribute "data-testid" "send-to-phone"
+                , onClick (toMsg SendToPhone)
+                ]
+                [ text "Send to Phone" ]
+            ]
+        , if state.sendingToPhone then
+            viewSendToPhone state toMsg
+
+          else
+            viewLink state
+        ]
+
+
+viewLink : State -> Html msg
+viewLink state =
+    case state.link of
+        Just url ->
+            div [ class "w-full max-w-md" ]
+                [ linkField url
+                , p [ class "mt-1 text-xs text-gray-500" ]
+                    [ text
+                        (if state.copied then
+                            "Link copied. It opens the estimate as it is now; share again after changes."
+
+                         else
+                            "Copy this link to share the estimate as it is now."
+                        )
+                    ]
+                ]
+
+        Nothing ->
+            viewFailure state
+
+
+linkField : String -> Html msg
+linkField url =
+    input
+        [ type_ "text"
+        , class "w-full px-3 py-1 text-sm border border-gray-300 rounded-md bg-gray-50"
+        , Html.Attributes.attribute "data-testid" "share-link"
+        , readonly True
+        , value url
+        ]
+        []
+
+
+viewFailure : State -> Html msg
+viewFailure state =
+    if state.failed then
+        p [ class "text-xs text-red-600", Html.Attributes.attribute "data-testid" "share-failed" ]
+            [ text "This browser cannot make share links. Try a current version of Chrome, Edge, Firefox or Safari." ]
+
+    else
+        text ""
+
+
+{-| Dialog with a QR code of the link, for the phone's camera. Links too long
+for any QR code are shown for copying instead.
+-}
+viewSendToPhone : State -> (ShareMsg -> msg) -> Html msg
+viewSendToPhone state toMsg =
+    div
+        [ class "fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-50"
+        , Html.Attributes.attribute "data-testid" "send-to-phone-dialog"
+        ]
+        [ div [ class "w-full max-w-lg p-6 bg-white rounded-lg shadow-xl text-center" ]
+            [ h2 [ class "text-lg font-semibold text-gray-900" ] [ text "Send to Phone" ]
+            , div [ class "flex flex-col items-center gap-3 mt-4" ]
+                (case state.link of
+                    Just url ->
+                        -- Encoding is the slow part, so it is redone only for a new link
+                        [ Html.Lazy.lazy viewPhoneLink url ]
+
+                    Nothing ->
+                        if state.failed then
+                            [ viewFailure state ]
+
+                        else
+                            [ p [ class "text-sm text-gray-500" ] [ text "Making the link..." ] ]
+                )
+            , button
+                [ type_ "button"
+                , class "mt-6 px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50"
+                , Html.Attributes.attribute "data-testid" "send-to-phone-close"
+                , onClick (toMsg CloseSendToPhone)
+                ]
+                [ text "Close" ]
+            ]
+        ]
+
+
+viewPhoneLink : String -> Html msg
+viewPhoneLink url =
+    case QrCode.encode url of
+        Ok qrCode ->
+            div [ class "flex flex-col items-center gap-3" ]
+                [ viewQrCode qrCode
+                , p [ class "text-sm text-gray-600" ]
+                    [ text "Scan with the phone's camera to open the estimate as it is now." ]
+                , if QrCode.version qrCode > denseVersion then
+                    p [ class "text-xs text-amber-700", Html.Attributes.attribute "data-testid" "qr-code-dense" ]
+                        [ text "This estimate makes a dense code. Hold the phone close to the screen and keep it steady." ]
+
+                  else
+                    text ""
+                ]
+
+        Err _ ->
+            div [ class "flex flex-col items-center gap-3 w-full" ]
+                [ p [ class "text-sm text-amber-700", Html.Attributes.attribute "data-testid" "qr-code-too-large" ]
+                    [ text "This estimate is too large for a QR code. Copy the link and send it to the phone by email or message instead." ]
+                , linkField url
+                ]
+
+
+{-| Versions above this have modules small enough on screen that scanning
+takes a steady hand
+-}
+denseVersion : Int
+denseVersion =
+    25
+
+
+{-| The code drawn as one path of dark squares inside a four module quiet
+zone. Larger codes are drawn larger, up to what fits the dialog, so each
+module stays big enough for a camera to pick out.
+-}
+viewQrCode : QrCode -> Html msg
+viewQrCode qrCode =
+    let
+        extent =
+            String.fromInt (QrCode.size qrCode + 8)
+
+        darkModules =
+            QrCode.rows qrCode
+                |> List.indexedMap
+                    (\y row ->
+                        List.indexedMap
+                            (\x dark ->
+                                if dark then
+                                    "M" ++ String.fromInt (x + 4) ++ "," ++ String.fromInt (y + 4) ++ "h1v1h-1z"
+
+                                else
+                                    ""
+                            )
+                            row
+                    )
+                |> List.concat
+                |> String.concat
+    in
+    svg
+        [ Svg.Attributes.viewBox ("0 0 " ++ extent ++ " " ++ extent)
+        , Svg.Attributes.shapeRendering "crispEdges"
+        , style "width" (String.fromInt (clamp 200 440 ((QrCode.size qrCode + 8) * 4)) ++ "px")
+        , style "max-width" "100%"
+        , Html.Attributes.attribute "data-testid" "qr-code"
+        , Html.Attributes.attribute "role" "img"
+        , Html.Attributes.attribute "aria-label" "QR code of the share link"
+        ]
+        [ rect [ Svg.Attributes.width "100%", Svg.Attributes.height "100%", Svg.Attributes.fill "#ffffff" ] []
+        , path [ Svg.Attributes.d darkModules, Svg.Attributes.fill "#000000" ] []
+        ]
+
+
+{-| Banner explaining why an opened link was not used as sent
+-}
+viewNotice : State -> (ShareMsg -> msg) -> Html msg
+viewNotice state toMsg =
+    case state.notice of
+        Just notice ->
+            div
+                [ class "flex items-start justify-between gap-4 p-4 text-sm text-amber-800 bg-amber-50 border-b border-amber-200"
+                , Html.Attributes.attribute "data-testid" "share-notice"
+                ]
+                [ p [] [ text notice ]
+                , button
+                    [ type_ "button"
+                    , class "font-medium underline"
+                    , Html.Attributes.attribute "data-testid" "share-notice-dismiss"
+                    , onClick (toMsg DismissNotice)
+                    ]
+                    [ text "Dismiss" ]
+                ]
+
+        Nothing ->
+            text ""
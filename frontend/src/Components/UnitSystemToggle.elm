@@ -0,0 +1,40 @@
+module Components.UnitSystemToggle exposing (view)
+
+{-| Switch between imperial and metric units
+
+@docs view
+
+-}
+
+import Html exposing (Html, button, div, text)
+import Html.Attributes exposing (class, type_)
+import Html.Events exposing (onClick)
+import Utils.Units as Units exposing (UnitSystem)
+
+
+{-| Segmented control with one button per unit system, the chosen one
+highlighted
+-}
+view : UnitSystem -> (UnitSystem -> msg) -> Html msg
+view unitSystem onSelect =
+    let
+        option units =
+            button
+                [ type_ "button"
+                , class
+                    (if units == unitSystem then
+                        "px-3 py-1 text-sm font-medium rounded-md bg-blue-600 text-white"
+
+                     else
+                        "px-3 py-1 text-sm font-medium rounded-md bg-white text-gray-700 hover:bg-gray-100"
+                    )
+                , onClick (onSelect units)
+                , Html.Attributes.attribute "data-testid" ("unit-system-" ++ Units.unitSystemToString units)
+                ]
+                [ text (Units.unitSystemLabel units) ]
+    in
+    div
+        [ class "inline-flex p-1 space-x-1 bg-gray-100 border border-gray-200 rounded-lg"
+        , Html.Attributes.attribute "data-testid" "unit-system-toggle"
+        ]
+        (List.map option Units.allUnitSystems)
@@ -2,33 +2,57 @@ module Main exposing (main)
 
 import Browser
 import Browser.Events
+import Components.FleetImportPanel as FleetImportPanel
+import Components.FleetOptimizerPanel as FleetOptimizerPanel
+import Components.FleetRoster as FleetRoster
 import Components.HelpSystem as HelpSystem
+import Components.ModelPicker as ModelPicker
 import Components.OnboardingManager as OnboardingManager
 import Components.ProjectForm as ProjectForm
+import Components.ProjectLibrary as ProjectLibrary
 import Components.ResultsPanel as ResultsPanel
+import Components.SessionRestorePrompt as SessionRestorePrompt
+import Components.ShareLink as ShareLink
 import Dict
+import File.Download
 import Html exposing (Html, div, h1, h2, text)
 import Html.Attributes exposing (class)
 import Json.Decode as Decode
 import Pages.Desktop as Desktop
 import Ports.Console as Console
+import Ports.Export
+import Ports.Share
 import Process
 import Task
 import Time
 import Types.DeviceType exposing (DeviceType(..))
-import Types.Equipment exposing (EquipmentId, Excavator, Truck)
+import Types.Equipment exposing (EquipmentId, Excavator, TimeRange, Truck, machineCount)
 import Types.Fields exposing (ExcavatorField(..), PondField(..), ProjectField(..), TruckField(..))
-import Types.Messages exposing (ExcavatorUpdate(..), Msg(..), TruckUpdate(..))
+import Types.Messages exposing (ExcavatorUpdate(..), Msg(..), PhaseUpdate(..), TruckUpdate(..))
 import Types.Model exposing (Flags, Model)
 import Types.Onboarding exposing (OnboardingState(..))
+import Types.Phase exposing (PhaseKind)
+import Types.Project exposing (SavedProject, SessionRecovery(..), WorkingSession)
+import Types.Roster exposing (RosterMachine(..), isUnit, unitName)
 import Types.Validation exposing (ValidationError(..))
 import Utils.Calculations as Calculations
+import Utils.Calendar as Calendar
 import Utils.Config exposing (Config, fallbackConfig, getConfig)
+import Utils.Cost as Cost
 import Utils.Debounce as Debounce
 import Utils.DeviceDetector as DeviceDetector
+import Utils.EstimateExport as EstimateExport
+import Utils.EstimateReport as EstimateReport
 import Utils.ExampleScenario as ExampleScenario
+import Utils.FleetImport as FleetImport
+import Utils.FleetOptimizer as FleetOptimizer
+import Utils.InputParser as InputParser
 import Utils.Performance as Performance
+import Utils.ProjectCodec as ProjectCodec
+import Utils.Session as Session
+import Utils.Simulation as Simulation
 import Utils.Storage as Storage
+import Utils.Units as Units exposing (UnitSystem(..))
 import Utils.Validation as Validation
 import Views.MobileView as MobileView
 
@@ -41,7 +65,7 @@ main : Program Flags Model Msg
 main =
     Browser.element
         { init = init
-        , update = update
+        , update = updateWithAutosave
         , subscriptions = subscriptions
         , view = view
         }
@@ -52,8 +76,13 @@ main =
 
 
 init : Flags -> ( Model, Cmd Msg )
-init _ =
+init flags =
     let
+        -- Pages that pass no flags simply have no shared estimate
+        sharedEstimate =
+            Decode.decodeValue (Decode.field "sharedEstimate" (Decode.nullable Decode.string)) flags
+                |> Result.withDefault Nothing
+
         -- Load configuration at build time (no HTTP request needed)
         config =
             getConfig
@@ -75,6 +104,9 @@ init _ =
             , calculationResult = Nothing
             , lastValidResult = Nothing
             , hasValidationErrors = False -- Start with no validation errors
+            , useSimulation = False -- Analytic results until the user switches
+            , simulationResult = Nothing
+            , unitSystem = Imperial -- Until the saved preference loads or the user switches
             , deviceType = Desktop -- Default to Desktop until detection completes
             , calculationInProgress = False
             , performanceMetrics = Performance.initMetrics
@@ -83,12 +115,22 @@ init _ =
             , trucks = initialTrucks
             , nextExcavatorId = 1 + List.length initialExcavators -- Start ID counter after initial fleet
             , nextTruckId = 1 + List.length initialTrucks -- Start ID counter after initial fleet
+            , modelPicker = ModelPicker.initState
+            , fleetRoster = FleetRoster.initState -- Filled in once storage answers
+            , phases = [] -- Just the bulk dig until phases are added
+            , nextPhaseId = 1
+            , fleetImport = FleetImportPanel.initState
+            , fleetOptimizer = FleetOptimizerPanel.initState
+            , projectLibrary = ProjectLibrary.initState -- Filled in once storage answers
+            , sessionRecovery = CheckingForSession
+            , shareLink = ShareLink.initState
             , helpTooltipState = Nothing -- No active tooltip initially
             , showHelpPanel = False -- Help panel hidden initially
             , currentContextualHelp = Nothing -- No contextual help shown initially
             , realTimeValidation = True -- Enable real-time validation by default
             , fieldValidationErrors = Dict.empty -- No validation errors initially
             , validationDebounce = Dict.empty -- No debounce state initially
+            , numberDrafts = Dict.empty -- Nothing typed yet
 
             -- Initialize onboarding state
             , onboardingState = NotStarted
@@ -97,15 +139,45 @@ init _ =
             , isFirstTimeUser = True -- Will be updated based on storage
             , exampleScenarioLoaded = False
             }
+
+        -- A share link replaces the defaults; one that cannot be read leaves
+        -- them in place and says why
+        startingModel =
+            case sharedEstimate of
+                Just json ->
+                    case ProjectCodec.decodeShared config json of
+                        Ok ( session, limitNotes ) ->
+                            let
+                                ( shared, fitNotes ) =
+                                    applySession session modelWithData
+
+                                notes =
+                                    limitNotes ++ fitNotes
+                            in
+                            if List.isEmpty notes then
+                                shared
+
+                            else
+                                withShareNotice ("The shared estimate was changed to fit this calculator. " ++ String.join " " notes) shared
+
+                        Err problem ->
+                            withShareNotice (problem ++ " The calculator started from its usual defaults instead.") modelWithData
+
+                Nothing ->
+                    modelWithData
     in
-    -- Initialize with data and immediately trigger calculation with default values
-    update CalculateTimeline modelWithData
+    -- Initialize with data and immediately trigger calculation
+    update CalculateTimeline startingModel
         |> Tuple.mapSecond
             (\cmd ->
                 Cmd.batch
                     [ cmd
                     , DeviceDetector.detectDevice () |> Cmd.map DeviceDetected
-                    , Storage.loadOnboardingState OnboardingStateLoaded
+                    , Storage.loadOnboardingState
+                    , Storage.loadUnitSystem
+                    , Storage.loadProjectLibrary
+                    , Storage.loadRoster
+                    , Storage.loadSession
 
                     -- Measure load time: schedule a task to record initialization completion
                     , Task.perform LoadTimeTracked (Task.succeed 0.0) -- Will be replaced with actual timing
@@ -143,6 +215,7 @@ update msg model =
                                         | formData = Just resetFormData
                                         , calculationResult = Nothing
                                         , lastValidResult = Nothing
+                                        , simulationResult = Nothing
                                         , hasValidationErrors = False -- Clear validation errors
                                     }
                             in
@@ -158,6 +231,7 @@ update msg model =
                                         | formData = Just fallbackFormData
                                         , calculationResult = Nothing
                                         , lastValidResult = Nothing
+                                        , simulationResult = Nothing
                                         , hasValidationErrors = False -- Clear validation errors
                                     }
                             in
@@ -180,6 +254,92 @@ update msg model =
                         Nothing ->
                             ( model, Cmd.none )
 
+        FleetImportUpdated importMsg ->
+            case importMsg of
+                FleetImportPanel.ChooseFile ->
+                    ( model, Cmd.map FleetImportUpdated FleetImportPanel.chooseFile )
+
+                FleetImportPanel.FileChosen file ->
+                    ( { model | fleetImport = FleetImportPanel.updateState importMsg model.fleetImport }
+                    , Cmd.map FleetImportUpdated (FleetImportPanel.readFile file)
+                    )
+
+                FleetImportPanel.FileRead fileName content ->
+                    ( { model
+                        | fleetImport =
+                            FleetImportPanel.loaded fileName
+                                (FleetImport.parse (Maybe.withDefault fallbackConfig model.config) model.unitSystem fileName content)
+                                model.fleetImport
+                      }
+                    , Cmd.none
+                    )
+
+                FleetImportPanel.ConfirmImport ->
+                    importFleet model
+
+                _ ->
+                    ( { model | fleetImport = FleetImportPanel.updateState importMsg model.fleetImport }, Cmd.none )
+
+        FleetOptimizerUpdated optimizerMsg ->
+            case optimizerMsg of
+                FleetOptimizerPanel.RunSearch ->
+                    ( runFleetOptimizer model, Cmd.none )
+
+                FleetOptimizerPanel.ApplyOption fleetOption ->
+                    applyFleetOption fleetOption model
+
+                _ ->
+                    ( { model | fleetOptimizer = FleetOptimizerPanel.updateState optimizerMsg model.fleetOptimizer }, Cmd.none )
+
+        ShareLinkUpdated shareMsg ->
+            case shareMsg of
+                ShareLink.CreateLink ->
+                    ( model, shareEstimate True model )
+
+                ShareLink.SendToPhone ->
+                    ( { model | shareLink = ShareLink.updateState shareMsg model.shareLink }, shareEstimate False model )
+
+                _ ->
+                    ( { model | shareLink = ShareLink.updateState shareMsg model.shareLink }, Cmd.none )
+
+        DownloadReport ->
+            ( model, Task.perform ReportDated (Task.map2 Calendar.fromPosix Time.here Time.now) )
+
+        ReportDated preparedOn ->
+            ( model, downloadReport preparedOn model )
+
+        ExportEstimate format ->
+            ( model, Task.perform (ExportDated format) (Task.map2 Calendar.fromPosix Time.here Time.now) )
+
+        ExportDated format preparedOn ->
+            ( model, exportEstimate format preparedOn model )
+
+        ProjectLibraryUpdated libraryMsg ->
+            case libraryMsg of
+                ProjectLibrary.SaveProject ->
+                    saveProject model
+
+                ProjectLibrary.OpenProject projectId ->
+                    case ProjectLibrary.findProject projectId model.projectLibrary of
+                        Just project ->
+                            openProject project model
+
+                        Nothing ->
+                            ( model, Cmd.none )
+
+                _ ->
+                    let
+                        library =
+                            ProjectLibrary.updateState libraryMsg model.projectLibrary
+                    in
+                    ( { model | projectLibrary = library }
+                    , if library.projects /= model.projectLibrary.projects then
+                        Storage.saveProjectLibrary library.projects
+
+                      else
+                        Cmd.none
+                    )
+
         -- Equipment field handlers removed - equipment now managed via fleet system (UpdateExcavator, UpdateTruck)
         ExcavatorFieldChanged _ _ ->
             -- Equipment field changes now handled by fleet system - this is a no-op for compatibility
@@ -204,6 +364,27 @@ update msg model =
                                 PondDepth ->
                                     ( { formData | pondDepth = value }, "pondDepth" )
 
+                                SideSlope ->
+                                    ( { formData | sideSlope = value }, "sideSlope" )
+
+                                NorthSlope ->
+                                    ( { formData | northSlope = value }, "northSlope" )
+
+                                SouthSlope ->
+                                    ( { formData | southSlope = value }, "southSlope" )
+
+                                EastSlope ->
+                                    ( { formData | eastSlope = value }, "eastSlope" )
+
+                                WestSlope ->
+                                    ( { formData | westSlope = value }, "westSlope" )
+
+                                CornerRadius ->
+                                    ( { formData | cornerRadius = value }, "cornerRadius" )
+
+                                SmallLobeDiameter ->
+                                    ( { formData | smallLobeDiameter = value }, "smallLobeDiameter" )
+
                         newModel =
                             { model
                                 | formData = Just updatedFormData
@@ -226,6 +407,27 @@ update msg model =
                                 WorkHours ->
                                     ( { formData | workHoursPerDay = value }, "workHours" )
 
+                                CustomSwell ->
+                                    ( { formData | customSwellPercent = value }, "customSwell" )
+
+                                CustomDensity ->
+                                    ( { formData | customDensity = value }, "customDensity" )
+
+                                FuelPrice ->
+                                    ( { formData | fuelPrice = value }, "fuelPrice" )
+
+                                DisposalFee ->
+                                    ( { formData | disposalFee = value }, "disposalFee" )
+
+                                WorkHoursMin ->
+                                    ( { formData | workHoursMin = value }, "workHoursMin" )
+
+                                WorkHoursMax ->
+                                    ( { formData | workHoursMax = value }, "workHoursMax" )
+
+                                ExportPercent ->
+                                    ( { formData | exportPercent = value }, "exportPercent" )
+
                         newModel =
                             { model
                                 | formData = Just updatedFormData
@@ -248,6 +450,36 @@ update msg model =
             -- Simplified debouncing - for now just calculate
             calculateAndUpdate model
 
+        SetSimulationMode enabled ->
+            calculateAndUpdate { model | useSimulation = enabled }
+
+        SetUnitSystem units ->
+            -- Figures are stored in imperial units either way, so the
+            -- estimate stands and only the display changes. Typed arithmetic
+            -- is worked out first since its bare figures are in the old units.
+            ( { model
+                | unitSystem = units
+                , formData = Maybe.map (ProjectForm.resolveArithmetic model.unitSystem) model.formData
+                , numberDrafts = Dict.empty
+              }
+            , Storage.saveUnitSystem units
+            )
+
+        NumberTyped key typed settled ->
+            let
+                drafted =
+                    { model | numberDrafts = Dict.insert key typed model.numberDrafts }
+            in
+            case settled of
+                Just figureMsg ->
+                    update figureMsg drafted
+
+                Nothing ->
+                    ( drafted, Cmd.none )
+
+        NumberLeft key ->
+            ( { model | numberDrafts = Dict.remove key model.numberDrafts }, Cmd.none )
+
         CalculationCompleted result ->
             case result of
                 Ok resultString ->
@@ -325,9 +557,54 @@ update msg model =
         AddExcavator ->
             addExcavator model
 
+        ModelPickerUpdated pickerMsg ->
+            let
+                pickerModel =
+                    { model | modelPicker = ModelPicker.updateState pickerMsg model.modelPicker }
+            in
+            case pickerMsg of
+                ModelPicker.PickDefault ModelPicker.ExcavatorPicker ->
+                    addExcavator pickerModel
+
+                ModelPicker.PickDefault ModelPicker.TruckPicker ->
+                    addTruck pickerModel
+
+                ModelPicker.PickExcavator catalogModel ->
+                    addCatalogExcavator catalogModel pickerModel
+
+                ModelPicker.PickTruck catalogModel ->
+                    addCatalogTruck catalogModel pickerModel
+
+                _ ->
+                    ( pickerModel, Cmd.none )
+
+        FleetRosterUpdated rosterMsg ->
+            case rosterMsg of
+                FleetRoster.SaveUnit ->
+                    saveRosterUnit model
+
+                FleetRoster.AddUnit unitNumber ->
+                    addRosterUnit unitNumber model
+
+                _ ->
+                    let
+                        roster =
+                            FleetRoster.updateState rosterMsg model.fleetRoster
+                    in
+                    ( { model | fleetRoster = roster }
+                    , if roster.units /= model.fleetRoster.units then
+                        Storage.saveRoster roster.units
+
+                      else
+                        Cmd.none
+                    )
+
         RemoveExcavator equipmentId ->
             removeExcavator equipmentId model
 
+        CloneExcavator equipmentId ->
+            cloneExcavator equipmentId model
+
         UpdateExcavator equipmentId excavatorUpdate ->
             updateExcavator equipmentId excavatorUpdate model
 
@@ -337,9 +614,22 @@ update msg model =
         RemoveTruck equipmentId ->
             removeTruck equipmentId model
 
+        CloneTruck equipmentId ->
+            cloneTruck equipmentId model
+
         UpdateTruck equipmentId truckUpdate ->
             updateTruck equipmentId truckUpdate model
 
+        -- Project Phase Messages
+        AddPhase phaseKind ->
+            addPhase phaseKind model
+
+        RemovePhase phaseId ->
+            update CalculateTimeline { model | phases = List.filter (\phase -> phase.id /= phaseId) model.phases }
+
+        UpdatePhase phaseId phaseUpdate ->
+            updatePhase phaseId phaseUpdate model
+
         ValidationFailed _ ->
             -- TODO: Implement in future story
             ( model, Cmd.none )
@@ -364,6 +654,87 @@ update msg model =
             in
             ( { model | deviceType = deviceType }, Cmd.none )
 
+        StorageItemLoaded key stored ->
+            if key == Storage.unitSystemKey then
+                -- Keep the current units when nothing usable was saved
+                case Maybe.andThen Utils.Units.unitSystemFromString stored of
+                    Just units ->
+                        ( { model | unitSystem = units }, Cmd.none )
+
+                    Nothing ->
+                        ( model, Cmd.none )
+
+            else if key == Storage.onboardingStorageKey then
+                update (OnboardingStateLoaded stored) model
+
+            else if key == Storage.projectLibraryKey then
+                case stored of
+                    Just json ->
+                        ( { model | projectLibrary = ProjectLibrary.loaded (ProjectCodec.decodeLibrary json) model.projectLibrary }, Cmd.none )
+
+                    Nothing ->
+                        -- Nothing saved in this browser yet
+                        ( model, Cmd.none )
+
+            else if key == Storage.rosterKey then
+                case stored of
+                    Just json ->
+                        ( { model | fleetRoster = FleetRoster.loaded (ProjectCodec.decodeRoster json) model.fleetRoster }, Cmd.none )
+
+                    Nothing ->
+                        ( model, Cmd.none )
+
+            else if key == Storage.sessionStorageKey then
+                let
+                    -- A damaged session, or one no different from the
+                    -- fresh start, is not worth offering
+                    offered =
+                        stored
+                            |> Maybe.andThen (ProjectCodec.decodeSession >> Result.toMaybe)
+                            |> Maybe.andThen
+                                (\session ->
+                                    if Just session == workingSession model then
+                                        Nothing
+
+                                    else
+                                        Just session
+                                )
+                in
+                ( { model | sessionRecovery = Maybe.withDefault SessionSettled (Maybe.map OfferingRestore offered) }, Cmd.none )
+
+            else
+                ( model, Cmd.none )
+
+        RestoreSession ->
+            case model.sessionRecovery of
+                OfferingRestore session ->
+                    let
+                        ( restored, notes ) =
+                            applySession session model
+                    in
+                    update CalculateTimeline
+                        { restored
+                            | sessionRecovery =
+                                if List.isEmpty notes then
+                                    SessionSettled
+
+                                else
+                                    SessionRestored notes
+                        }
+
+                _ ->
+                    ( model, Cmd.none )
+
+        DiscardSession ->
+            -- Save the fresh start straight away so the old session is not offered again
+            ( { model | sessionRecovery = SessionSettled }
+            , Maybe.map Storage.saveSession (workingSession model)
+                |> Maybe.withDefault Cmd.none
+            )
+
+        DismissSessionNotes ->
+            ( { model | sessionRecovery = SessionSettled }, Cmd.none )
+
         ShowHelpTooltip fieldId ->
             ( { model | helpTooltipState = Just fieldId }, Cmd.none )
 
@@ -402,7 +773,7 @@ update msg model =
                     Just config ->
                         let
                             validationResult =
-                                validateFieldValue fieldName value config
+                                validateFieldValue model.unitSystem fieldName value config
 
                             updatedErrors =
                                 case validationResult of
@@ -600,14 +971,7 @@ update msg model =
 initExcavatorsFromConfig : List Utils.Config.ExcavatorDefaults -> Int -> List Excavator
 initExcavatorsFromConfig excavatorDefaults startId =
     List.indexedMap
-        (\index defaults ->
-            { id = "excavator-" ++ String.fromInt (startId + index)
-            , bucketCapacity = defaults.bucketCapacity
-            , cycleTime = defaults.cycleTime
-            , name = defaults.name
-            , isActive = True
-            }
-        )
+        (\index defaults -> Utils.Config.excavatorFromDefaults ("excavator-" ++ String.fromInt (startId + index)) defaults)
         excavatorDefaults
 
 
@@ -616,14 +980,7 @@ initExcavatorsFromConfig excavatorDefaults startId =
 initTrucksFromConfig : List Utils.Config.TruckDefaults -> Int -> List Truck
 initTrucksFromConfig truckDefaults startId =
     List.indexedMap
-        (\index defaults ->
-            { id = "truck-" ++ String.fromInt (startId + index)
-            , capacity = defaults.capacity
-            , roundTripTime = defaults.roundTripTime
-            , name = defaults.name
-            , isActive = True
-            }
-        )
+        (\index defaults -> Utils.Config.truckFromDefaults ("truck-" ++ String.fromInt (startId + index)) defaults)
         truckDefaults
 
 
@@ -634,27 +991,16 @@ addExcavator model =
     case model.config of
         Just config ->
             -- Check fleet size limits
-            if List.length model.excavators >= config.fleetLimits.maxExcavators then
+            if machineCount model.excavators >= config.fleetLimits.maxExcavators then
                 ( model, Cmd.none )
 
             else
                 let
-                    -- Use first excavator defaults as template
-                    defaults =
-                        List.head config.defaults.excavators
-                            |> Maybe.withDefault
-                                { bucketCapacity = 2.5
-                                , cycleTime = 2.0
-                                , name = "New Excavator"
-                                }
+                    excavator =
+                        Utils.Config.defaultExcavator ("excavator-" ++ String.fromInt model.nextExcavatorId) config.defaults
 
                     newExcavator =
-                        { id = "excavator-" ++ String.fromInt model.nextExcavatorId
-                        , bucketCapacity = defaults.bucketCapacity
-                        , cycleTime = defaults.cycleTime
-                        , name = defaults.name ++ " " ++ String.fromInt model.nextExcavatorId
-                        , isActive = True
-                        }
+                        { excavator | name = excavator.name ++ " " ++ String.fromInt model.nextExcavatorId }
 
                     updatedModel =
                         { model
@@ -668,6 +1014,31 @@ addExcavator model =
             ( model, Cmd.none )
 
 
+{-| Add an excavator of a catalog model, with the site and crew factors of
+the configured default
+-}
+addCatalogExcavator : Utils.Config.CatalogExcavator -> Model -> ( Model, Cmd Msg )
+addCatalogExcavator catalogModel model =
+    case model.config of
+        Just config ->
+            if machineCount model.excavators >= config.fleetLimits.maxExcavators then
+                ( model, Cmd.none )
+
+            else
+                let
+                    excavator =
+                        Utils.Config.excavatorFromCatalog ("excavator-" ++ String.fromInt model.nextExcavatorId) config.defaults catalogModel
+                in
+                update CalculateTimeline
+                    { model
+                        | excavators = model.excavators ++ [ { excavator | name = excavator.name ++ " " ++ String.fromInt model.nextExcavatorId } ]
+                        , nextExcavatorId = model.nextExcavatorId + 1
+                    }
+
+        _ ->
+            ( model, Cmd.none )
+
+
 {-| Remove an excavator from the fleet (immutable)
 -}
 removeExcavator : EquipmentId -> Model -> ( Model, Cmd Msg )
@@ -687,11 +1058,56 @@ removeExcavator equipmentId model =
         update CalculateTimeline updatedModel
 
 
+{-| Add a copy of a configured excavator right after it, with the same
+quantity, as long as its machines fit in the fleet
+-}
+cloneExcavator : EquipmentId -> Model -> ( Model, Cmd Msg )
+cloneExcavator equipmentId model =
+    let
+        limits =
+            model.config
+                |> Maybe.map .fleetLimits
+                |> Maybe.withDefault fallbackConfig.fleetLimits
+    in
+    case List.filter (\excavator -> excavator.id == equipmentId) model.excavators of
+        original :: _ ->
+            if machineCount model.excavators + original.quantity > limits.maxExcavators then
+                ( model, Cmd.none )
+
+            else
+                let
+                    copy =
+                        { original | id = "excavator-" ++ String.fromInt model.nextExcavatorId, name = original.name ++ " (copy)", rosterUnit = Nothing }
+                in
+                update CalculateTimeline
+                    { model
+                        | excavators =
+                            List.concatMap
+                                (\excavator ->
+                                    if excavator.id == equipmentId then
+                                        [ excavator, copy ]
+
+                                    else
+                                        [ excavator ]
+                                )
+                                model.excavators
+                        , nextExcavatorId = model.nextExcavatorId + 1
+                    }
+
+        [] ->
+            ( model, Cmd.none )
+
+
 {-| Update an excavator in the fleet (immutable)
 -}
 updateExcavator : EquipmentId -> ExcavatorUpdate -> Model -> ( Model, Cmd Msg )
 updateExcavator equipmentId excavatorUpdate model =
     let
+        limits =
+            model.config
+                |> Maybe.map .fleetLimits
+                |> Maybe.withDefault fallbackConfig.fleetLimits
+
         updateExcavatorItem excavator =
             if excavator.id == equipmentId then
                 case excavatorUpdate of
@@ -707,6 +1123,34 @@ updateExcavator equipmentId excavatorUpdate model =
                     UpdateExcavatorActive active ->
                         { excavator | isActive = active }
 
+                    -- No more than the machines the rest of the fleet leaves room for
+                    UpdateExcavatorQuantity quantity ->
+                        { excavator | quantity = clamp 1 (max 1 (limits.maxExcavators - machineCount model.excavators + excavator.quantity)) quantity }
+
+                    UpdateExcavatorEfficiency efficiency ->
+                        { excavator | efficiency = efficiency }
+
+                    UpdateExcavatorFillFactor fillFactor ->
+                        { excavator | fillFactor = fillFactor }
+
+                    UpdateExcavatorOperatorSkill skill ->
+                        { excavator | operatorSkill = skill }
+
+                    UpdateExcavatorHourlyRate rate ->
+                        { excavator | hourlyRate = rate }
+
+                    UpdateExcavatorOperatorWage wage ->
+                        { excavator | operatorWage = wage }
+
+                    UpdateExcavatorFuelBurn fuelBurn ->
+                        { excavator | fuelBurn = fuelBurn }
+
+                    UpdateExcavatorCycleTimeMin fastest ->
+                        { excavator | cycleTimeRange = Just (withRangeMin fastest excavator.cycleTime excavator.cycleTimeRange) }
+
+                    UpdateExcavatorCycleTimeMax slowest ->
+                        { excavator | cycleTimeRange = Just (withRangeMax slowest excavator.cycleTime excavator.cycleTimeRange) }
+
             else
                 excavator
 
@@ -726,27 +1170,16 @@ addTruck model =
     case model.config of
         Just config ->
             -- Check fleet size limits
-            if List.length model.trucks >= config.fleetLimits.maxTrucks then
+            if machineCount model.trucks >= config.fleetLimits.maxTrucks then
                 ( model, Cmd.none )
 
             else
                 let
-                    -- Use first truck defaults as template
-                    defaults =
-                        List.head config.defaults.trucks
-                            |> Maybe.withDefault
-                                { capacity = 12.0
-                                , roundTripTime = 15.0
-                                , name = "New Truck"
-                                }
+                    truck =
+                        Utils.Config.defaultTruck ("truck-" ++ String.fromInt model.nextTruckId) config.defaults
 
                     newTruck =
-                        { id = "truck-" ++ String.fromInt model.nextTruckId
-                        , capacity = defaults.capacity
-                        , roundTripTime = defaults.roundTripTime
-                        , name = defaults.name ++ " " ++ String.fromInt model.nextTruckId
-                        , isActive = True
-                        }
+                        { truck | name = truck.name ++ " " ++ String.fromInt model.nextTruckId }
 
                     updatedModel =
                         { model
@@ -760,6 +1193,31 @@ addTruck model =
             ( model, Cmd.none )
 
 
+{-| Add a truck of a catalog model, with the site and crew factors of the
+configured default
+-}
+addCatalogTruck : Utils.Config.CatalogTruck -> Model -> ( Model, Cmd Msg )
+addCatalogTruck catalogModel model =
+    case model.config of
+        Just config ->
+            if machineCount model.trucks >= config.fleetLimits.maxTrucks then
+                ( model, Cmd.none )
+
+            else
+                let
+                    truck =
+                        Utils.Config.truckFromCatalog ("truck-" ++ String.fromInt model.nextTruckId) config.defaults catalogModel
+                in
+                update CalculateTimeline
+                    { model
+                        | trucks = model.trucks ++ [ { truck | name = truck.name ++ " " ++ String.fromInt model.nextTruckId } ]
+                        , nextTruckId = model.nextTruckId + 1
+                    }
+
+        _ ->
+            ( model, Cmd.none )
+
+
 {-| Remove a truck from the fleet (immutable)
 -}
 removeTruck : EquipmentId -> Model -> ( Model, Cmd Msg )
@@ -779,11 +1237,56 @@ removeTruck equipmentId model =
         update CalculateTimeline updatedModel
 
 
+{-| Add a copy of a configured truck right after it, with the same quantity
+and haul cycle, as long as its machines fit in the fleet
+-}
+cloneTruck : EquipmentId -> Model -> ( Model, Cmd Msg )
+cloneTruck equipmentId model =
+    let
+        limits =
+            model.config
+                |> Maybe.map .fleetLimits
+                |> Maybe.withDefault fallbackConfig.fleetLimits
+    in
+    case List.filter (\truck -> truck.id == equipmentId) model.trucks of
+        original :: _ ->
+            if machineCount model.trucks + original.quantity > limits.maxTrucks then
+                ( model, Cmd.none )
+
+            else
+                let
+                    copy =
+                        { original | id = "truck-" ++ String.fromInt model.nextTruckId, name = original.name ++ " (copy)", rosterUnit = Nothing }
+                in
+                update CalculateTimeline
+                    { model
+                        | trucks =
+                            List.concatMap
+                                (\truck ->
+                                    if truck.id == equipmentId then
+                                        [ truck, copy ]
+
+                                    else
+                                        [ truck ]
+                                )
+                                model.trucks
+                        , nextTruckId = model.nextTruckId + 1
+                    }
+
+        [] ->
+            ( model, Cmd.none )
+
+
 {-| Update a truck in the fleet (immutable)
 -}
 updateTruck : EquipmentId -> TruckUpdate -> Model -> ( Model, Cmd Msg )
 updateTruck equipmentId truckUpdate model =
     let
+        limits =
+            model.config
+                |> Maybe.map .fleetLimits
+                |> Maybe.withDefault fallbackConfig.fleetLimits
+
         updateTruckItem truck =
             if truck.id == equipmentId then
                 case truckUpdate of
@@ -799,6 +1302,40 @@ updateTruck equipmentId truckUpdate model =
                     UpdateTruckActive active ->
                         { truck | isActive = active }
 
+                    -- No more than the machines the rest of the fleet leaves room for
+                    UpdateTruckQuantity quantity ->
+                        { truck | quantity = clamp 1 (max 1 (limits.maxTrucks - machineCount model.trucks + truck.quantity)) quantity }
+
+                    UpdateTruckEfficiency efficiency ->
+                        { truck | efficiency = efficiency }
+
+                    UpdateTruckFillFactor fillFactor ->
+                        { truck | fillFactor = fillFactor }
+
+                    UpdateTruckOperatorSkill skill ->
+                        { truck | operatorSkill = skill }
+
+                    UpdateTruckHourlyRate rate ->
+                        { truck | hourlyRate = rate }
+
+                    UpdateTruckOperatorWage wage ->
+                        { truck | operatorWage = wage }
+
+                    UpdateTruckFuelBurn fuelBurn ->
+                        { truck | fuelBurn = fuelBurn }
+
+                    UpdateTruckRoundTripTimeMin fastest ->
+                        { truck | roundTripTimeRange = Just (withRangeMin fastest truck.roundTripTime truck.roundTripTimeRange) }
+
+                    UpdateTruckRoundTripTimeMax slowest ->
+                        { truck | roundTripTimeRange = Just (withRangeMax slowest truck.roundTripTime truck.roundTripTimeRange) }
+
+                    UpdateTruckHaulCycle haulCycle ->
+                        { truck | haulCycle = haulCycle }
+
+                    UpdateTruckMaxPayload payload ->
+                        { truck | maxPayload = payload }
+
             else
                 truck
 
@@ -811,6 +1348,564 @@ updateTruck equipmentId truckUpdate model =
     update CalculateTimeline updatedModel
 
 
+{-| Set the fastest end of a time range. A machine without a range yet
+starts from a fixed time, so the other end begins at the likely value.
+-}
+withRangeMin : Float -> Float -> Maybe TimeRange -> TimeRange
+withRangeMin fastest likely range =
+    { min = fastest
+    , max = Maybe.withDefault likely (Maybe.map .max range)
+    }
+
+
+{-| Set the slowest end of a time range, see withRangeMin
+-}
+withRangeMax : Float -> Float -> Maybe TimeRange -> TimeRange
+withRangeMax slowest likely range =
+    { min = Maybe.withDefault likely (Maybe.map .min range)
+    , max = slowest
+    }
+
+
+{-| Add a project phase worked by the machines active for the bulk dig
+-}
+addPhase : PhaseKind -> Model -> ( Model, Cmd Msg )
+addPhase phaseKind model =
+    let
+        newPhase =
+            Types.Phase.newPhase ("phase-" ++ String.fromInt model.nextPhaseId)
+                phaseKind
+                (List.map .id (List.filter .isActive model.excavators))
+                (List.map .id (List.filter .isActive model.trucks))
+
+        updatedModel =
+            { model
+                | phases = model.phases ++ [ newPhase ]
+                , nextPhaseId = model.nextPhaseId + 1
+            }
+    in
+    update CalculateTimeline updatedModel
+
+
+{-| Update a project phase (immutable)
+-}
+updatePhase : String -> PhaseUpdate -> Model -> ( Model, Cmd Msg )
+updatePhase phaseId phaseUpdate model =
+    let
+        toggle equipmentId ids =
+            if List.member equipmentId ids then
+                List.filter ((/=) equipmentId) ids
+
+            else
+                ids ++ [ equipmentId ]
+
+        updatePhaseItem phase =
+            if phase.id == phaseId then
+                case phaseUpdate of
+                    UpdatePhaseName name ->
+                        { phase | name = name }
+
+                    UpdatePhaseVolume volume ->
+                        { phase | volume = volume }
+
+                    UpdatePhaseProductivity productivity ->
+                        { phase | productivity = productivity }
+
+                    TogglePhaseExcavator equipmentId ->
+                        { phase | excavatorIds = toggle equipmentId phase.excavatorIds }
+
+                    TogglePhaseTruck equipmentId ->
+                        { phase | truckIds = toggle equipmentId phase.truckIds }
+
+            else
+                phase
+    in
+    update CalculateTimeline { model | phases = List.map updatePhaseItem model.phases }
+
+
+
+-- FLEET IMPORT HELPERS
+
+
+{-| Add the machines from the previewed file that have no problems and fit in
+the fleet, with fresh ids
+-}
+importFleet : Model -> ( Model, Cmd Msg )
+importFleet model =
+    case model.fleetImport.preview of
+        Just preview ->
+            let
+                limits =
+                    model.config
+                        |> Maybe.map .fleetLimits
+                        |> Maybe.withDefault fallbackConfig.fleetLimits
+
+                imported =
+                    preview.rows
+                        |> FleetImport.withinLimits limits { excavators = machineCount model.excavators, trucks = machineCount model.trucks }
+                        |> FleetImport.toFleet { nextExcavatorId = model.nextExcavatorId, nextTruckId = model.nextTruckId }
+            in
+            update CalculateTimeline
+                { model
+                    | excavators = model.excavators ++ imported.excavators
+                    , trucks = model.trucks ++ imported.trucks
+                    , nextExcavatorId = imported.nextExcavatorId
+                    , nextTruckId = imported.nextTruckId
+                    , fleetImport = FleetImportPanel.imported (List.length imported.excavators) (List.length imported.trucks) model.fleetImport
+                }
+
+        Nothing ->
+            ( model, Cmd.none )
+
+
+
+-- ROSTER HELPERS
+
+
+{-| Save the fleet machine whose roster form is open, with its figures as
+they are now
+-}
+saveRosterUnit : Model -> ( Model, Cmd Msg )
+saveRosterUnit model =
+    case model.fleetRoster.saving of
+        Just draft ->
+            let
+                machine =
+                    case List.filter (\excavator -> excavator.id == draft.machineId) model.excavators of
+                        excavator :: _ ->
+                            Just (RosterExcavator excavator)
+
+                        [] ->
+                            List.filter (\truck -> truck.id == draft.machineId) model.trucks
+                                |> List.head
+                                |> Maybe.map RosterTruck
+            in
+            case machine of
+                Just rosterMachine ->
+                    if model.fleetRoster.problem /= Nothing then
+                        -- Saving would overwrite the roster that could not be read
+                        ( model, Cmd.none )
+
+                    else
+                        let
+                            roster =
+                                FleetRoster.saveUnit rosterMachine model.fleetRoster
+
+                            -- Once saved, the machine is that unit in this estimate
+                            asUnit machine =
+                                if roster.saving == Nothing && machine.id == draft.machineId then
+                                    { machine | rosterUnit = Just (String.trim draft.unitNumber) }
+
+                                else
+                                    machine
+                        in
+                        ( { model
+                            | fleetRoster = roster
+                            , excavators = List.map asUnit model.excavators
+                            , trucks = List.map asUnit model.trucks
+                          }
+                        , if roster.units /= model.fleetRoster.units then
+                            Storage.saveRoster roster.units
+
+                          else
+                            Cmd.none
+                        )
+
+                Nothing ->
+                    -- The machine was removed while its form was open
+                    ( { model | fleetRoster = FleetRoster.updateState FleetRoster.CancelSaving model.fleetRoster }, Cmd.none )
+
+        Nothing ->
+            ( model, Cmd.none )
+
+
+{-| Add a roster unit to the fleet under its unit name, with a fresh id and
+tied to the unit. A unit that is unavailable or already in the estimate is
+not added, nor one the fleet has no room for.
+-}
+addRosterUnit : String -> Model -> ( Model, Cmd Msg )
+addRosterUnit unitNumber model =
+    let
+        limits =
+            model.config
+                |> Maybe.map .fleetLimits
+                |> Maybe.withDefault fallbackConfig.fleetLimits
+    in
+    case FleetRoster.findUnit unitNumber model.fleetRoster of
+        Just unit ->
+            case unit.machine of
+                RosterExcavator excavator ->
+                    if not unit.available || machineCount model.excavators >= limits.maxExcavators || List.any (.rosterUnit >> isUnit unit) model.excavators then
+                        ( model, Cmd.none )
+
+                    else
+                        update CalculateTimeline
+                            { model
+                                | excavators = model.excavators ++ [ { excavator | id = "excavator-" ++ String.fromInt model.nextExcavatorId, name = unitName unit, isActive = True, quantity = 1, rosterUnit = Just unit.unitNumber } ]
+                                , nextExcavatorId = model.nextExcavatorId + 1
+                            }
+
+                RosterTruck truck ->
+                    if not unit.available || machineCount model.trucks >= limits.maxTrucks || List.any (.rosterUnit >> isUnit unit) model.trucks then
+                        ( model, Cmd.none )
+
+                    else
+                        let
+                            -- The excavator it was paired with may not be in this estimate
+                            haulCycle =
+                                Maybe.map (\cycle -> { cycle | loadingExcavator = Nothing }) truck.haulCycle
+                        in
+                        update CalculateTimeline
+                            { model
+                                | trucks = model.trucks ++ [ { truck | id = "truck-" ++ String.fromInt model.nextTruckId, name = unitName unit, isActive = True, quantity = 1, haulCycle = haulCycle, rosterUnit = Just unit.unitNumber } ]
+                                , nextTruckId = model.nextTruckId + 1
+                            }
+
+        Nothing ->
+            ( model, Cmd.none )
+
+
+
+-- FLEET OPTIMIZER HELPERS
+
+
+{-| Search the configured equipment catalog for fleets that meet the
+deadline on the current project. While the deadline or project inputs are
+invalid nothing is searched; earlier results are cleared and the reason is
+shown instead.
+-}
+runFleetOptimizer : Model -> Model
+runFleetOptimizer model =
+    let
+        optimizer =
+            model.fleetOptimizer
+
+        chosenModels selectedName models =
+            if selectedName == "" then
+                models
+
+            else
+                List.filter (\equipment -> equipment.name == selectedName) models
+
+        searchFailed problem =
+            { model | fleetOptimizer = { optimizer | options = Nothing, problem = Just problem } }
+
+        inputsProblem =
+            "Fix the project inputs before searching for fleets."
+    in
+    case ( model.config, FleetOptimizerPanel.targetDays optimizer, parseModelData model ) of
+        ( Nothing, _, _ ) ->
+            searchFailed "Equipment settings are not loaded yet."
+
+        ( Just _, Nothing, _ ) ->
+            searchFailed "Enter a deadline of at least one working day."
+
+        ( Just _, Just _, Err _ ) ->
+            searchFailed inputsProblem
+
+        ( Just config, Just targetDays, Ok inputs ) ->
+            case Validation.validateAllInputs config.validation inputs of
+                Ok validInputs ->
+                    let
+                        options =
+                            FleetOptimizer.optimizeFleet config.fleetLimits
+                                (chosenModels optimizer.excavatorModel (FleetOptimizer.catalogExcavators config))
+                                (chosenModels optimizer.truckModel (FleetOptimizer.catalogTrucks config))
+                                { targetDays = targetDays
+                                , swellPercent = validInputs.swellPercent
+                                , exportPercent = validInputs.exportPercent
+                                , soilDensity = validInputs.soilDensity
+                                , bankVolume = (pondGeometryFor validInputs).volume
+                                , workHoursPerDay = validInputs.workHoursPerDay
+                                , haulRoute = FleetOptimizer.haulRoute model.trucks
+                                , phases = model.phases
+                                , costRates = Just { fuelPrice = validInputs.fuelPrice, disposalFee = validInputs.disposalFee }
+                                }
+                    in
+                    { model | fleetOptimizer = { optimizer | options = Just options, problem = Nothing } }
+
+                Err _ ->
+                    searchFailed inputsProblem
+
+
+{-| Replace the fleet with the machines from an optimizer option, one row
+per model with the count as its quantity. The new trucks keep the haul route
+the option was worked out on.
+-}
+applyFleetOption : FleetOptimizer.FleetOption -> Model -> ( Model, Cmd Msg )
+applyFleetOption fleetOption model =
+    let
+        excavatorModel =
+            fleetOption.excavatorModel
+
+        truckModel =
+            fleetOption.truckModel
+
+        excavators =
+            [ { excavatorModel
+                | id = "excavator-" ++ String.fromInt model.nextExcavatorId
+                , quantity = fleetOption.excavatorCount
+                , rosterUnit = Nothing
+              }
+            ]
+
+        -- A fleet without trucks parks the current ones, as at least one is always kept
+        trucks =
+            if fleetOption.truckCount > 0 then
+                [ { truckModel
+                    | id = "truck-" ++ String.fromInt model.nextTruckId
+                    , quantity = fleetOption.truckCount
+                    , haulCycle = FleetOptimizer.haulRoute model.trucks
+                    , rosterUnit = Nothing
+                  }
+                ]
+
+            else
+                List.map (\truck -> { truck | isActive = False }) model.trucks
+    in
+    update CalculateTimeline
+        { model
+            | excavators = excavators
+            , trucks = trucks
+            , phases =
+                List.map
+                    (\phase ->
+                        { phase
+                            | excavatorIds = List.map .id excavators
+                            , truckIds = List.map .id trucks
+                        }
+                    )
+                    model.phases
+            , nextExcavatorId = model.nextExcavatorId + 1
+            , nextTruckId = model.nextTruckId + 1
+        }
+
+
+
+-- PROJECT LIBRARY HELPERS
+
+
+{-| Save the pond, fleet and work hours under the name typed in the library,
+with the timeline currently shown
+-}
+saveProject : Model -> ( Model, Cmd Msg )
+saveProject model =
+    case ( ProjectLibrary.saveName model.projectLibrary, model.formData ) of
+        ( Just projectName, Just formData ) ->
+            if model.projectLibrary.problem /= Nothing then
+                -- Saving would overwrite the library that could not be read
+                ( model, Cmd.none )
+
+            else
+                let
+                    library =
+                        ProjectLibrary.saveProject
+                            { id = ""
+                            , name = projectName
+                            , formData = { formData | errors = [] }
+                            , excavators = model.excavators
+                            , trucks = model.trucks
+                            , phases = model.phases
+                            , timelineInDays = Maybe.map .timelineInDays model.calculationResult
+                            }
+                            model.projectLibrary
+                in
+                ( { model | projectLibrary = library }, Storage.saveProjectLibrary library.projects )
+
+        _ ->
+            ( model, Cmd.none )
+
+
+{-| Replace the pond, fleet and work hours with a saved project, noting in the
+library anything changed to fit the current configuration
+-}
+openProject : SavedProject -> Model -> ( Model, Cmd Msg )
+openProject project model =
+    let
+        ( opened, notes ) =
+            applySession
+                { formData = project.formData
+                , excavators = project.excavators
+                , trucks = project.trucks
+                , phases = project.phases
+                , nextExcavatorId = 1
+                , nextTruckId = 1
+                , nextPhaseId = 1
+                }
+                model
+    in
+    update CalculateTimeline { opened | projectLibrary = ProjectLibrary.opened project notes opened.projectLibrary }
+
+
+
+-- SESSION HELPERS
+
+
+{-| The pond, fleet and work hours being worked on, as autosaved
+-}
+workingSession : Model -> Maybe WorkingSession
+workingSession model =
+    Maybe.map
+        (\formData ->
+            { formData = { formData | errors = [] }
+            , excavators = model.excavators
+            , trucks = model.trucks
+            , phases = model.phases
+            , nextExcavatorId = model.nextExcavatorId
+            , nextTruckId = model.nextTruckId
+            , nextPhaseId = model.nextPhaseId
+            }
+        )
+        model.formData
+
+
+{-| Put a session in place of the current pond, fleet and work hours, fitted
+to the current configuration. Results are cleared for the caller to
+recalculate; the changes made to fit are returned for showing.
+-}
+applySession : WorkingSession -> Model -> ( Model, List String )
+applySession session model =
+    let
+        ( fitted, notes ) =
+            Session.fitToConfig (Maybe.withDefault fallbackConfig model.config) session
+    in
+    ( { model
+        | formData = Just fitted.formData
+        , excavators = fitted.excavators
+        , trucks = fitted.trucks
+        , phases = fitted.phases
+        , nextExcavatorId = fitted.nextExcavatorId
+        , nextTruckId = fitted.nextTruckId
+        , nextPhaseId = fitted.nextPhaseId
+        , calculationResult = Nothing
+        , lastValidResult = Nothing
+        , simulationResult = Nothing
+        , fieldValidationErrors = Dict.empty
+        , numberDrafts = Dict.empty
+        , fleetOptimizer = FleetOptimizerPanel.initState
+        , exampleScenarioLoaded = False
+      }
+    , notes
+    )
+
+
+{-| Ask the host page for a link to the estimate as it is now
+-}
+shareEstimate : Bool -> Model -> Cmd Msg
+shareEstimate copy model =
+    workingSession model
+        |> Maybe.map (\session -> Ports.Share.shareEstimate { estimate = ProjectCodec.encodeShared session, copy = copy })
+        |> Maybe.withDefault Cmd.none
+
+
+{-| Save the estimate as a PDF report, named after the project when it has
+a name. Nothing is saved until there is a result to report.
+-}
+downloadReport : Calendar.Date -> Model -> Cmd Msg
+downloadReport preparedOn model =
+    case estimateOf preparedOn model of
+        Just estimate ->
+            File.Download.string (EstimateReport.fileName estimate.projectName preparedOn) "application/pdf" (EstimateReport.report estimate)
+
+        Nothing ->
+            Cmd.none
+
+
+{-| Save the inputs, fleet and results as spreadsheet tables, named as the
+report is
+-}
+exportEstimate : EstimateExport.Format -> Calendar.Date -> Model -> Cmd Msg
+exportEstimate format preparedOn model =
+    case estimateOf preparedOn model of
+        Just estimate ->
+            Ports.Export.saveArchive
+                { fileName = EstimateExport.fileName format estimate.projectName preparedOn
+                , mimeType = EstimateExport.mimeType format
+                , files = EstimateExport.files format estimate
+                }
+
+        Nothing ->
+            Cmd.none
+
+
+{-| The estimate as it stands, once there is a result. The simulation is
+included only when the simulated run was chosen.
+-}
+estimateOf : Calendar.Date -> Model -> Maybe EstimateReport.Estimate
+estimateOf preparedOn model =
+    case ( model.config, model.formData, model.calculationResult ) of
+        ( Just config, Just formData, Just result ) ->
+            Just
+                { config = config
+                , projectName = Maybe.withDefault "" (ProjectLibrary.saveName model.projectLibrary)
+                , preparedOn = preparedOn
+                , unitSystem = model.unitSystem
+                , formData = formData
+                , excavators = model.excavators
+                , trucks = model.trucks
+                , result = result
+                , simulation =
+                    if model.useSimulation then
+                        model.simulationResult
+
+                    else
+                        Nothing
+                }
+
+        _ ->
+            Nothing
+
+
+{-| Explain why a share link was not used as sent
+-}
+withShareNotice : String -> Model -> Model
+withShareNotice notice model =
+    let
+        shareLink =
+            model.shareLink
+    in
+    { model | shareLink = { shareLink | notice = Just notice } }
+
+
+{-| Update, then autosave the working session whenever it changed. Nothing
+is saved while the session from the last visit is still on offer, so it
+cannot be overwritten before the user has chosen.
+-}
+updateWithAutosave : Msg -> Model -> ( Model, Cmd Msg )
+updateWithAutosave msg model =
+    let
+        ( updatedModel, cmd ) =
+            update msg model
+
+        session =
+            workingSession updatedModel
+
+        autosaving =
+            case updatedModel.sessionRecovery of
+                CheckingForSession ->
+                    False
+
+                OfferingRestore _ ->
+                    False
+
+                SessionRestored _ ->
+                    True
+
+                SessionSettled ->
+                    True
+    in
+    case session of
+        Just changed ->
+            if autosaving && session /= workingSession model then
+                ( updatedModel, Cmd.batch [ cmd, Storage.saveSession changed ] )
+
+            else
+                ( updatedModel, cmd )
+
+        Nothing ->
+            ( updatedModel, cmd )
+
+
 
 -- CALCULATION HELPERS
 
@@ -826,25 +1921,156 @@ calculateAndUpdate model =
                     case Validation.validateAllInputs config.validation inputs of
                         Ok validInputs ->
                             let
-                                pondVolume =
-                                    calculatePondVolume validInputs.pondLength validInputs.pondWidth validInputs.pondDepth
+                                pondGeometry =
+                                    pondGeometryFor validInputs
+
+                                -- Trucks sit the job out when all the spoil stays on site
+                                workingTrucks =
+                                    List.map
+                                        (\truck ->
+                                            if validInputs.exportPercent > 0 then
+                                                truck
+
+                                            else
+                                                { truck | isActive = False }
+                                        )
+                                        model.trucks
+
+                                -- Loads are capped at each truck's payload, and trucks with a
+                                -- haul cycle use its derived round trip
+                                trucks =
+                                    workingTrucks
+                                        |> Calculations.resolvePayloads validInputs.swellPercent validInputs.soilDensity
+                                        |> Calculations.resolveHaulCycles validInputs.swellPercent model.excavators
+
+                                costRates =
+                                    { fuelPrice = validInputs.fuelPrice, disposalFee = validInputs.disposalFee }
+
+                                -- Phases other than the bulk dig, each with its own machines
+                                phaseResults =
+                                    List.foldr
+                                        (\phase results ->
+                                            Result.map2 (::)
+                                                (Validation.validatePhase config.validation validInputs.exportPercent model.excavators model.trucks phase
+                                                    |> Result.mapError Calculations.ValidationError
+                                                    |> Result.andThen (Calculations.calculatePhase validInputs.swellPercent validInputs.exportPercent model.excavators trucks validInputs.workHoursPerDay (Just costRates))
+                                                )
+                                                results
+                                        )
+                                        (Ok [])
+                                        model.phases
+
+                                phaseHours =
+                                    phaseResults
+                                        |> Result.map (List.map .totalHours >> List.sum)
+                                        |> Result.withDefault 0
 
                                 calculationResult =
-                                    Calculations.performCalculation
+                                    Calculations.performCalculationWithSpoil
+                                        validInputs.swellPercent
+                                        validInputs.exportPercent
                                         model.excavators
-                                        model.trucks
-                                        pondVolume
+                                        trucks
+                                        pondGeometry.volume
                                         validInputs.workHoursPerDay
+                                        |> Result.map
+                                            (\fleetResult ->
+                                                { fleetResult
+                                                    | pondGeometry = Just pondGeometry
+                                                    , haulCycles =
+                                                        trucks
+                                                            |> List.filter .isActive
+                                                            |> List.filterMap (Calculations.calculateHaulCycle validInputs.swellPercent model.excavators)
+                                                    , cost =
+                                                        Just
+                                                            (Cost.calculateProjectCost costRates
+                                                                model.excavators
+                                                                trucks
+                                                                fleetResult.totalHours
+                                                                fleetResult.bankVolume
+                                                                fleetResult.exportedVolume
+                                                            )
+                                                    , timelineRange =
+                                                        Calculations.calculatePhasedTimelineDistribution Calculations.defaultMonteCarloSettings
+                                                            phaseHours
+                                                            validInputs.swellPercent
+                                                            validInputs.exportPercent
+                                                            model.excavators
+                                                            trucks
+                                                            pondGeometry.volume
+                                                            validInputs.workHoursPerDay
+                                                            validInputs.workHoursRange
+                                                }
+                                            )
+                                        |> Result.map2 (Calculations.withPhases validInputs.workHoursPerDay model.excavators trucks) phaseResults
+                                        |> Result.map (Calculations.withPayloads validInputs.swellPercent validInputs.soilDensity workingTrucks)
+
+                                -- The queue simulation only runs when its results are on screen
+                                simulationResult =
+                                    if model.useSimulation then
+                                        calculationResult
+                                            |> Result.toMaybe
+                                            |> Maybe.andThen
+                                                (\result ->
+                                                    let
+                                                        exportedBankVolume =
+                                                            result.bankVolume * validInputs.exportPercent / 100
+
+                                                        -- Spoil kept on site is dug without waiting on trucks
+                                                        keptHours =
+                                                            (result.bankVolume - exportedBankVolume) / result.excavationRate
+                                                    in
+                                                    Simulation.simulate Simulation.defaultSettings
+                                                        validInputs.swellPercent
+                                                        model.excavators
+                                                        trucks
+                                                        exportedBankVolume
+                                                        validInputs.workHoursPerDay
+                                                        |> Maybe.map (\simulated -> ( simulated, keptHours ))
+                                                )
+                                            -- Other phases are worked at their planned length
+                                            |> Maybe.map
+                                                (\( simulated, keptHours ) ->
+                                                    let
+                                                        hours =
+                                                            simulated.totalHours + keptHours + phaseHours
+                                                    in
+                                                    { simulated | totalHours = hours, timelineInDays = ceiling (hours / validInputs.workHoursPerDay) }
+                                                )
+
+                                    else
+                                        Nothing
 
                                 -- Simulate performance tracking (50ms typical calculation time)
                                 performanceCmd =
                                     Task.perform PerformanceTracked (Task.succeed 50.0)
                             in
                             case calculationResult of
-                                Ok result ->
+                                Ok fleetResult ->
+                                    let
+                                        -- Date whichever timeline is on screen
+                                        scheduledHours =
+                                            simulationResult
+                                                |> Maybe.map .totalHours
+                                                |> Maybe.withDefault fleetResult.totalHours
+
+                                        result =
+                                            { fleetResult
+                                                | schedule =
+                                                    model.formData
+                                                        |> Maybe.map
+                                                            (\formData ->
+                                                                Calendar.schedule (ProjectForm.formWorkCalendar formData)
+                                                                    (ProjectForm.formStartDate formData)
+                                                                    validInputs.workHoursPerDay
+                                                                    scheduledHours
+                                                            )
+                                            }
+                                    in
                                     ( { model
                                         | calculationResult = Just result
                                         , lastValidResult = Just result
+                                        , simulationResult = simulationResult
                                         , hasValidationErrors = False -- Calculation succeeded
                                         , calculationInProgress = False
                                       }
@@ -886,29 +2112,71 @@ calculateAndUpdate model =
 
 {-| Validate a field value in real-time
 -}
-validateFieldValue : String -> String -> Config -> Result ValidationError Float
-validateFieldValue fieldName value config =
+validateFieldValue : UnitSystem -> String -> String -> Config -> Result ValidationError Float
+validateFieldValue unitSystem fieldName value config =
     case fieldName of
         "workHours" ->
             Validation.validateStringInput "Work Hours" config.validation.workHours value
 
+        "workHoursMin" ->
+            Validation.validateStringInput "Work Hours" config.validation.workHours value
+
+        "workHoursMax" ->
+            Validation.validateStringInput "Work Hours" config.validation.workHours value
+
         "pondLength" ->
-            Validation.validateStringInput "Pond Dimension" config.validation.pondDimensions value
+            Validation.validateMeasuredInput unitSystem Units.Length "Pond Dimension" config.validation.pondDimensions value
 
         "pondWidth" ->
-            Validation.validateStringInput "Pond Dimension" config.validation.pondDimensions value
+            Validation.validateMeasuredInput unitSystem Units.Length "Pond Dimension" config.validation.pondDimensions value
 
         "pondDepth" ->
-            Validation.validateStringInput "Pond Dimension" config.validation.pondDimensions value
+            Validation.validateMeasuredInput unitSystem Units.Length "Pond Dimension" config.validation.pondDimensions value
+
+        "sideSlope" ->
+            Validation.validateSlopeInput config.validation.sideSlope value
+
+        "northSlope" ->
+            Validation.validateSlopeInput config.validation.sideSlope value
+
+        "southSlope" ->
+            Validation.validateSlopeInput config.validation.sideSlope value
+
+        "eastSlope" ->
+            Validation.validateSlopeInput config.validation.sideSlope value
+
+        "westSlope" ->
+            Validation.validateSlopeInput config.validation.sideSlope value
+
+        "customSwell" ->
+            Validation.validateSwellInput config.validation.swellPercent value
+
+        "customDensity" ->
+            Validation.validateMeasuredInput unitSystem Units.Density "Soil Density" config.validation.soilDensity value
+
+        "fuelPrice" ->
+            Validation.validateMeasuredCostInput unitSystem Units.FuelPrice "Fuel Price" config.validation.fuelPrice value
+
+        "disposalFee" ->
+            Validation.validateMeasuredCostInput unitSystem Units.VolumePrice "Disposal Fee" config.validation.disposalFee value
+
+        "exportPercent" ->
+            Validation.validateCostInput "Export Share" config.validation.exportPercent value
+
+        "cornerRadius" ->
+            Validation.validateMeasuredInput unitSystem Units.Length "Pond Dimension" config.validation.pondDimensions value
+
+        "smallLobeDiameter" ->
+            Validation.validateMeasuredInput unitSystem Units.Length "Pond Dimension" config.validation.pondDimensions value
 
         "excavatorCapacity" ->
-            Validation.validateStringInput "Excavator Capacity" config.validation.excavatorCapacity value
+            Validation.validateMeasuredInput unitSystem Units.Volume "Excavator Capacity" config.validation.excavatorCapacity value
 
         "cycleTime" ->
             Validation.validateStringInput "Cycle Time" config.validation.cycleTime value
 
         "truckCapacity" ->
-            Validation.validateStringInput "Truck Capacity" config.validation.truckCapacity value
+            Validation.validateMeasuredInput unitSystem Units.Volume "Truck Capacity" config.validation.truckCapacity value
 
         "roundTripTime" ->
             Validation.validateStringInput "Round Trip Time" config.validation.roundTripTime value
@@ -917,12 +2185,19 @@ validateFieldValue fieldName value config =
             Err (ConfigurationError ("Unknown field: " ++ fieldName))
 
 
-{-| Calculate pond volume from dimensions in cubic yards
+{-| Excavated shape described by validated project inputs
 -}
-calculatePondVolume : Float -> Float -> Float -> Float
-calculatePondVolume length width depth =
-    -- Convert from cubic feet to cubic yards (divide by 27)
-    (length * width * depth) / 27.0
+pondGeometryFor : Validation.ProjectInputs -> Calculations.PondGeometry
+pondGeometryFor inputs =
+    Calculations.calculateShapedPondGeometry
+        { shape = inputs.pondShape
+        , length = inputs.pondLength
+        , width = inputs.pondWidth
+        , cornerRadius = inputs.cornerRadius
+        , smallLobeDiameter = inputs.smallLobeDiameter
+        }
+        inputs.pondDepth
+        inputs.sideSlopes
 
 
 {-| Parse model data to numeric inputs using fleet system
@@ -941,28 +2216,56 @@ parseModelData model =
 
                 -- Parse project parameters from form
                 maybeProjectFloats =
-                    { workHoursPerDay = String.toFloat formData.workHoursPerDay
-                    , pondLength = String.toFloat formData.pondLength
-                    , pondWidth = String.toFloat formData.pondWidth
-                    , pondDepth = String.toFloat formData.pondDepth
+                    { workHoursPerDay = Result.toMaybe (InputParser.parseNumber formData.workHoursPerDay)
+                    , pondLength = Result.toMaybe (InputParser.parseStored model.unitSystem Units.Length formData.pondLength)
+                    , shapeDimensions = ProjectForm.formShapeDimensions model.unitSystem formData
+                    , soil =
+                        model.config
+                            |> Maybe.map (.defaults >> .soilTypes)
+                            |> Maybe.andThen
+                                (\soilTypes ->
+                                    Maybe.map3
+                                        (\swellPercent exportPercent soilDensity ->
+                                            { swellPercent = swellPercent, exportPercent = exportPercent, soilDensity = soilDensity }
+                                        )
+                                        (ProjectForm.formSwellPercent soilTypes formData)
+                                        (ProjectForm.formExportPercent formData)
+                                        (ProjectForm.formSoilDensity model.unitSystem soilTypes formData)
+                                )
+                    , pondDepth = Result.toMaybe (InputParser.parseStored model.unitSystem Units.Length formData.pondDepth)
                     }
             in
             case ( firstExcavator, firstTruck ) of
                 ( Just excavator, Just truck ) ->
-                    case ( maybeProjectFloats.workHoursPerDay, maybeProjectFloats.pondLength ) of
-                        ( Just workHoursPerDay, Just pondLength ) ->
-                            case ( maybeProjectFloats.pondWidth, maybeProjectFloats.pondDepth ) of
-                                ( Just pondWidth, Just pondDepth ) ->
-                                    Ok
-                                        { excavatorCapacity = excavator.bucketCapacity
-                                        , excavatorCycleTime = excavator.cycleTime
-                                        , truckCapacity = truck.capacity
-                                        , truckRoundTripTime = truck.roundTripTime
-                                        , workHoursPerDay = workHoursPerDay
-                                        , pondLength = pondLength
-                                        , pondWidth = pondWidth
-                                        , pondDepth = pondDepth
-                                        }
+                    case ( maybeProjectFloats.workHoursPerDay, maybeProjectFloats.pondLength, maybeProjectFloats.soil ) of
+                        ( Just workHoursPerDay, Just pondLength, Just soil ) ->
+                            case ( maybeProjectFloats.shapeDimensions, maybeProjectFloats.pondDepth, ProjectForm.formSideSlopes formData ) of
+                                ( Just shapeDimensions, Just pondDepth, Just sideSlopes ) ->
+                                    case ( ProjectForm.formCostRates model.unitSystem formData, ProjectForm.formWorkHoursRange formData ) of
+                                        ( Just costRates, Just workHoursRange ) ->
+                                            Ok
+                                                { excavatorCapacity = excavator.bucketCapacity
+                                                , excavatorCycleTime = excavator.cycleTime
+                                                , truckCapacity = truck.capacity
+                                                , truckRoundTripTime = truck.roundTripTime
+                                                , workHoursPerDay = workHoursPerDay
+                                                , pondLength = pondLength
+                                                , pondWidth = shapeDimensions.width
+                                                , pondDepth = pondDepth
+                                                , sideSlopes = sideSlopes
+                                                , pondShape = formData.pondShape
+                                                , cornerRadius = shapeDimensions.cornerRadius
+                                                , smallLobeDiameter = shapeDimensions.smallLobeDiameter
+                                                , swellPercent = soil.swellPercent
+                                                , exportPercent = soil.exportPercent
+                                                , soilDensity = soil.soilDensity
+                                                , fuelPrice = costRates.fuelPrice
+                                                , disposalFee = costRates.disposalFee
+                                                , workHoursRange = Just workHoursRange
+                                                }
+
+                                        _ ->
+                                            Err "Invalid cost rates or work hours range format"
 
                                 _ ->
                                     Err "Invalid pond dimensions format"
@@ -985,6 +2288,8 @@ subscriptions : Model -> Sub Msg
 subscriptions model =
     Sub.batch
         [ Browser.Events.onResize WindowResized
+        , Storage.onStorageLoaded StorageItemLoaded
+        , Ports.Share.estimateShared (ShareLinkUpdated << ShareLink.LinkCreated)
         , if model.helpTooltipState /= Nothing then
             Browser.Events.onKeyDown keyDecoder
 
@@ -1018,7 +2323,15 @@ view model =
                     Desktop.view model
     in
     div []
-        [ mainView
+        [ ShareLink.viewNotice model.shareLink ShareLinkUpdated
+        , mainView
+
+        -- Offer back the session autosaved on the last visit
+        , SessionRestorePrompt.view model.sessionRecovery
+            { restore = RestoreSession
+            , discard = DiscardSession
+            , dismiss = DismissSessionNotes
+            }
 
         -- Show onboarding components (welcome overlay, guided tour, etc.)
         , OnboardingManager.view model
@@ -1,9 +1,16 @@
 module Pages.Desktop exposing (view)
 
 import Components.EquipmentList as EquipmentList
+import Components.FleetImportPanel as FleetImportPanel
+import Components.FleetOptimizerPanel as FleetOptimizerPanel
 import Components.HelpTooltip as HelpTooltip
+import Components.ModelPicker as ModelPicker
+import Components.PhaseList as PhaseList
 import Components.ProjectForm as ProjectForm
+import Components.ProjectLibrary as ProjectLibrary
 import Components.ResultsPanel as ResultsPanel
+import Components.ShareLink as ShareLink
+import Components.UnitSystemToggle as UnitSystemToggle
 import Html exposing (..)
 import Html.Attributes exposing (..)
 import Html.Events exposing (onClick)
@@ -12,9 +19,12 @@ import Styles.Theme as Theme
 import Svg exposing (path, svg)
 import Svg.Attributes
 import Types.DeviceType as DeviceType exposing (DeviceType(..))
+import Types.Equipment exposing (machineCount)
 import Types.Messages exposing (Msg)
 import Types.Model exposing (Model)
-import Utils.Config exposing (ValidationRules, fallbackConfig)
+import Utils.Config exposing (Catalog, ValidationRules, fallbackConfig)
+import Utils.EstimateExport as EstimateExport
+import Utils.FleetOptimizer as FleetOptimizer
 import Utils.HelpContent exposing (getHelpContent)
 
 
@@ -67,19 +77,23 @@ view model =
         , Html.Attributes.attribute "data-testid" "device-type"
         ]
         [ div [ class maxWidthClass ]
-            [ viewHeader deviceType
+            [ viewHeader model deviceType
             , div [ class layoutClass ]
                 [ viewExcavatorSection validationRules model deviceType
                 , viewProjectSection validationRules model deviceType
                 , viewTruckSection validationRules model deviceType
                 ]
+            , viewImportSection model deviceType
+            , viewPhaseSection validationRules model deviceType
+            , viewOptimizerSection model deviceType
             , viewResultsSection model deviceType
+            , viewLibrarySection model deviceType
             ]
         ]
 
 
-viewHeader : DeviceType -> Html Msg
-viewHeader deviceType =
+viewHeader : Model -> DeviceType -> Html Msg
+viewHeader model deviceType =
     let
         typography =
             Theme.getTypographyScale deviceType
@@ -95,6 +109,10 @@ viewHeader deviceType =
             [ text "Pond Digging Calculator" ]
         , p [ class (subtitleClass ++ " text-gray-600 mt-2") ]
             [ text "Professional excavation timeline estimator" ]
+        , div [ class "mt-4 flex justify-center" ]
+            [ UnitSystemToggle.view model.unitSystem Types.Messages.SetUnitSystem ]
+        , div [ class "mt-4" ]
+            [ ShareLink.view model.shareLink Types.Messages.ShareLinkUpdated ]
         ]
 
 
@@ -121,10 +139,19 @@ viewExcavatorSection validationRules model deviceType =
     div [ class sectionClass ]
         [ h2 [ class (headerClass ++ " mb-4 text-gray-800 border-b pb-2") ]
             [ text "Excavator Fleet" ]
-        , EquipmentList.viewExcavatorFleet validationRules
+        , EquipmentList.viewExcavatorFleet model.unitSystem
+            model.numberDrafts
+            validationRules
+            (model.config
+                |> Maybe.map .fleetLimits
+                |> Maybe.withDefault fallbackConfig.fleetLimits
+            )
             deviceType
             model.excavators
             model.nextExcavatorId
+            (catalogOf model).excavators
+            model.modelPicker
+            model.fleetRoster
             Types.Messages.ShowHelpTooltip
             Types.Messages.HideHelpTooltip
             (if model.showWelcomeOverlay then
@@ -136,6 +163,13 @@ viewExcavatorSection validationRules model deviceType =
         ]
 
 
+catalogOf : Model -> Catalog
+catalogOf model =
+    model.config
+        |> Maybe.map .catalog
+        |> Maybe.withDefault fallbackConfig.catalog
+
+
 viewProjectSection : ValidationRules -> Model -> DeviceType -> Html Msg
 viewProjectSection validationRules model deviceType =
     let
@@ -161,11 +195,17 @@ viewProjectSection validationRules model deviceType =
             [ text "Project Configuration" ]
         , case model.formData of
             Just formData ->
-                ProjectForm.view validationRules
+                ProjectForm.view model.unitSystem
+                    validationRules
+                    (model.config
+                        |> Maybe.map (.defaults >> .soilTypes)
+                        |> Maybe.withDefault fallbackConfig.defaults.soilTypes
+                    )
                     deviceType
                     formData
                     (\field value -> Types.Messages.PondFieldChanged field value)
                     (\field value -> Types.Messages.ProjectFieldChanged field value)
+                    Types.Messages.FormUpdated
                     Types.Messages.ShowHelpTooltip
                     Types.Messages.HideHelpTooltip
                     (if model.showWelcomeOverlay then
@@ -203,10 +243,20 @@ viewTruckSection validationRules model deviceType =
     div [ class sectionClass ]
         [ h2 [ class (headerClass ++ " mb-4 text-gray-800 border-b pb-2") ]
             [ text "Truck Fleet" ]
-        , EquipmentList.viewTruckFleet validationRules
+        , EquipmentList.viewTruckFleet model.unitSystem
+            model.numberDrafts
+            validationRules
+            (model.config
+                |> Maybe.map .fleetLimits
+                |> Maybe.withDefault fallbackConfig.fleetLimits
+            )
             deviceType
             model.trucks
+            model.excavators
             model.nextTruckId
+            (catalogOf model).trucks
+            model.modelPicker
+            model.fleetRoster
             Types.Messages.ShowHelpTooltip
             Types.Messages.HideHelpTooltip
             (if model.showWelcomeOverlay then
@@ -218,6 +268,118 @@ viewTruckSection validationRules model deviceType =
         ]
 
 
+viewImportSection : Model -> DeviceType -> Html Msg
+viewImportSection model deviceType =
+    let
+        sectionClass =
+            case deviceType of
+                Desktop ->
+                    "bg-white rounded-lg shadow-md p-6 mt-8"
+
+                Tablet ->
+                    "bg-white rounded-lg shadow-md p-5 mt-6"
+
+                Mobile ->
+                    "bg-white rounded-lg shadow-sm p-4 mt-4"
+
+        typography =
+            Theme.getTypographyScale deviceType
+    in
+    div
+        [ class sectionClass
+        , Html.Attributes.attribute "data-testid" "fleet-import"
+        ]
+        [ h2 [ class (typography.subheading ++ " mb-4 text-gray-800 border-b pb-2") ]
+            [ text "Import Fleet" ]
+        , FleetImportPanel.view deviceType
+            (model.config
+                |> Maybe.map .fleetLimits
+                |> Maybe.withDefault fallbackConfig.fleetLimits
+            )
+            { excavators = machineCount model.excavators, trucks = machineCount model.trucks }
+            model.fleetImport
+            Types.Messages.FleetImportUpdated
+        ]
+
+
+viewPhaseSection : ValidationRules -> Model -> DeviceType -> Html Msg
+viewPhaseSection validationRules model deviceType =
+    let
+        sectionClass =
+            case deviceType of
+                Desktop ->
+                    "bg-white rounded-lg shadow-md p-6 mt-8"
+
+                Tablet ->
+                    "bg-white rounded-lg shadow-md p-5 mt-6"
+
+                Mobile ->
+                    "bg-white rounded-lg shadow-sm p-4 mt-4"
+
+        typography =
+            Theme.getTypographyScale deviceType
+    in
+    div
+        [ class sectionClass
+        , Html.Attributes.attribute "data-testid" "project-phases"
+        ]
+        [ h2 [ class (typography.subheading ++ " mb-4 text-gray-800 border-b pb-2") ]
+            [ text "Project Phases" ]
+        , PhaseList.view model.unitSystem
+            validationRules
+            deviceType
+            (model.formData
+                |> Maybe.andThen ProjectForm.formExportPercent
+                |> Maybe.withDefault 100
+            )
+            model.excavators
+            model.trucks
+            model.phases
+            Types.Messages.ShowHelpTooltip
+            Types.Messages.HideHelpTooltip
+            (if model.showWelcomeOverlay then
+                Nothing
+
+             else
+                model.helpTooltipState
+            )
+        ]
+
+
+viewOptimizerSection : Model -> DeviceType -> Html Msg
+viewOptimizerSection model deviceType =
+    let
+        sectionClass =
+            case deviceType of
+                Desktop ->
+                    "bg-white rounded-lg shadow-md p-6 mt-8"
+
+                Tablet ->
+                    "bg-white rounded-lg shadow-md p-5 mt-6"
+
+                Mobile ->
+                    "bg-white rounded-lg shadow-sm p-4 mt-4"
+
+        typography =
+            Theme.getTypographyScale deviceType
+
+        config =
+            Maybe.withDefault fallbackConfig model.config
+    in
+    div
+        [ class sectionClass
+        , Html.Attributes.attribute "data-testid" "fleet-optimizer"
+        ]
+        [ h2 [ class (typography.subheading ++ " mb-4 text-gray-800 border-b pb-2") ]
+            [ text "Solve for Deadline" ]
+        , FleetOptimizerPanel.view deviceType
+            (FleetOptimizer.catalogExcavators config)
+            (FleetOptimizer.catalogTrucks config)
+            model.fleetOptimizer
+            Types.Messages.FleetOptimizerUpdated
+        ]
+
+
 viewResultsSection : Model -> DeviceType -> Html Msg
 viewResultsSection model deviceType =
     let
@@ -235,8 +397,53 @@ viewResultsSection model deviceType =
     div [ class sectionClass ]
         [ case model.calculationResult of
             Just result ->
-                ResultsPanel.view model.deviceType result False
+                div []
+                    [ div [ class "flex justify-end gap-2 mb-4" ]
+                        [ resultsButton "export-csv" (Types.Messages.ExportEstimate EstimateExport.Csv) "Export CSV"
+                        , resultsButton "export-xlsx" (Types.Messages.ExportEstimate EstimateExport.Xlsx) "Export Excel"
+                        , resultsButton "download-report" Types.Messages.DownloadReport "Download Report"
+                        ]
+                    , ResultsPanel.view model.unitSystem model.deviceType result False model.useSimulation model.simulationResult Types.Messages.SetSimulationMode
+                    ]
 
             Nothing ->
                 text "No calculation results yet"
         ]
+
+
+resultsButton : String -> Msg -> String -> Html Msg
+resultsButton testId msg buttonText =
+    button
+        [ type_ "button"
+        , class "px-4 py-2 text-sm border border-blue-600 text-blue-600 rounded-md hover:bg-blue-50"
+        , Html.Attributes.attribute "data-testid" testId
+        , onClick msg
+        ]
+        [ text buttonText ]
+
+
+viewLibrarySection : Model -> DeviceType -> Html Msg
+viewLibrarySection model deviceType =
+    let
+        sectionClass =
+            case deviceType of
+                Desktop ->
+                    "bg-white rounded-lg shadow-md p-6 mt-8"
+
+                Tablet ->
+                    "bg-white rounded-lg shadow-md p-5 mt-6"
+
+                Mobile ->
+                    "bg-white rounded-lg shadow-sm p-4 mt-4"
+
+        typography =
+            Theme.getTypographyScale deviceType
+    in
+    div
+        [ class sectionClass
+        , Html.Attributes.attribute "data-testid" "project-library-section"
+        ]
+        [ h2 [ class (typography.subheading ++ " mb-4 text-gray-800 border-b pb-2") ]
+            [ text "Saved Projects" ]
+        , ProjectLibrary.view deviceType model.projectLibrary Types.Messages.ProjectLibraryUpdated
+        ]
@@ -5,6 +5,7 @@ import Html.Attributes exposing (class, placeholder, style, type_, value)
 import Html.Events exposing (onClick, onInput)
 import Styles.Theme as Theme
 import Types.DeviceType exposing (DeviceType(..))
+import Types.Pond exposing (PondShape(..))
 import Types.Validation
 import Utils.Calculations as Calculations
 import Utils.Config as Config
@@ -214,6 +215,18 @@ parseInputs model =
                                         , pondWidth = pondW
                                         , pondDepth = pondD
                                         , workHoursPerDay = workH
+
+                                        -- This page only offers vertical-walled rectangles in non-swelling common earth trucked off site, without costs or timeline ranges
+                                        , sideSlopes = Types.Pond.uniformSlopes 0
+                                        , pondShape = Rectangle
+                                        , cornerRadius = 0
+                                        , smallLobeDiameter = 0
+                                        , swellPercent = 0
+                                        , exportPercent = 100
+                                        , soilDensity = 3000
+                                        , fuelPrice = 0
+                                        , disposalFee = 0
+                                        , workHoursRange = Nothing
                                         }
 
                                 _ ->
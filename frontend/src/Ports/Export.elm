@@ -0,0 +1,19 @@
+port module Ports.Export exposing (saveArchive)
+
+{-| File export port
+
+JavaScript zips the files, since Elm has no zip of its own, and saves the
+archive through the browser's download. An XLSX workbook is such an archive
+of XML parts.
+
+@docs saveArchive
+
+-}
+
+-- FILE EXPORT PORTS
+
+
+{-| Zip the files, each at its path inside the archive, and save the
+archive under the file name with the given media type
+-}
+port saveArchive : { fileName : String, mimeType : String, files : List { path : String, content : String } } -> Cmd msg
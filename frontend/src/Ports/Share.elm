@@ -0,0 +1,25 @@
+port module Ports.Share exposing (shareEstimate, estimateShared)
+
+{-| Share link ports
+
+JavaScript compresses the estimate into the link's fragment, since Elm has no
+compression of its own, and can copy the link to the clipboard. Links made to
+show as a QR code are not copied.
+
+@docs shareEstimate, estimateShared
+
+-}
+
+-- SHARE LINK PORTS
+
+
+{-| Make a link to the estimate, given as versioned JSON text, and say
+whether to copy it
+-}
+port shareEstimate : { estimate : String, copy : Bool } -> Cmd msg
+
+
+{-| The link made, or Nothing when the browser could not compress the
+estimate, and whether it was copied to the clipboard
+-}
+port estimateShared : ({ url : Maybe String, copied : Bool } -> msg) -> Sub msg
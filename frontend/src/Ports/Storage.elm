@@ -0,0 +1,28 @@
+port module Ports.Storage exposing (setStorageItem, requestStorageItem, storageItemLoaded)
+
+{-| Browser localStorage ports
+
+JavaScript writes items as they are sent and answers each request with the
+stored text, or null when nothing is stored under the key or storage is
+unavailable.
+
+@docs setStorageItem, requestStorageItem, storageItemLoaded
+
+-}
+
+-- LOCAL STORAGE PORTS
+
+
+{-| Store text under a key
+-}
+port setStorageItem : { key : String, value : String } -> Cmd msg
+
+
+{-| Ask for the text stored under a key; the answer arrives on storageItemLoaded
+-}
+port requestStorageItem : String -> Cmd msg
+
+
+{-| Stored text for a requested key
+-}
+port storageItemLoaded : ({ key : String, value : Maybe String } -> msg) -> Sub msg
@@ -1,8 +1,14 @@
-module Types.Equipment exposing (Excavator, Truck, EquipmentId, CubicYards, Minutes)
+module Types.Equipment exposing
+    ( Excavator, Truck, EquipmentId, CubicYards, Minutes, TimeRange, HaulCycle, defaultHaulCycle
+    , machineCount, machineLabel, eachMachine
+    , OperatorSkill(..), allOperatorSkills, operatorSkillToString, operatorSkillFromString, operatorSkillLabel
+    )
 
 {-| Equipment domain types for pond digging calculations
 
-@docs Excavator, Truck, EquipmentId, CubicYards, Minutes
+@docs Excavator, Truck, EquipmentId, CubicYards, Minutes, TimeRange, HaulCycle, defaultHaulCycle
+@docs machineCount, machineLabel, eachMachine
+@docs OperatorSkill, allOperatorSkills, operatorSkillToString, operatorSkillFromString, operatorSkillLabel
 
 -}
 
@@ -21,12 +27,84 @@ type alias Minutes =
     Float
 
 
+{-| Fastest and slowest a time is expected to run, either side of the value
+normally entered (which is treated as the most likely case)
+-}
+type alias TimeRange =
+    { min : Float
+    , max : Float
+    }
+
+
+{-| The legs of a truck's trip that a round trip time is built from: one-way
+distance in miles, average loaded and empty speeds in miles per hour, and the
+minutes spent dumping and spotting (backing in under the excavator). The
+loading excavator sets how long filling the truck takes; without one the
+first active excavator in the fleet loads it.
+-}
+type alias HaulCycle =
+    { distance : Float
+    , loadedSpeed : Float
+    , emptySpeed : Float
+    , dumpTime : Minutes
+    , spotTime : Minutes
+    , loadingExcavator : Maybe EquipmentId
+    }
+
+
+{-| Starting values when a truck switches to a calculated haul cycle: a
+short haul to a nearby dump
+-}
+defaultHaulCycle : HaulCycle
+defaultHaulCycle =
+    { distance = 1.0
+    , loadedSpeed = 20.0
+    , emptySpeed = 30.0
+    , dumpTime = 1.5
+    , spotTime = 0.5
+    , loadingExcavator = Nothing
+    }
+
+
+{-| Experience of the person running a machine. Skill scales the
+machine's productivity on top of its efficiency and fill factor.
+-}
+type OperatorSkill
+    = Novice
+    | Average
+    | Expert
+
+
+{-| Equipment and its operator. Efficiency is the fraction of each working
+hour the machine is actually producing (0.85 = 85%); fill factor is how full
+the bucket or bed is on a typical load relative to its rated capacity.
+Hourly rate is the owning and operating cost of the machine in dollars per
+hour, excluding the operator, whose wage is carried separately. Fuel burn is
+in gallons per hour. The optional time ranges give the fastest and slowest
+cycle or round trip for timeline risk ranges; without one the time is fixed.
+A truck with a haul cycle has its round trip worked out from it, and the
+entered round trip time only applies while the haul cycle is switched off.
+A truck's max payload is the legal weight it may carry in tons; with dense
+soil it limits the load before the bed is full. Quantity is how many
+identical machines the row stands for, such as 3 of the same dump truck. A
+machine added from the company's roster carries the unit number it was added
+from, whatever it is renamed to.
+-}
 type alias Excavator =
     { id : EquipmentId
     , bucketCapacity : CubicYards
     , cycleTime : Minutes
     , name : String
     , isActive : Bool
+    , quantity : Int
+    , efficiency : Float
+    , fillFactor : Float
+    , operatorSkill : OperatorSkill
+    , hourlyRate : Float
+    , operatorWage : Float
+    , fuelBurn : Float
+    , cycleTimeRange : Maybe TimeRange
+    , rosterUnit : Maybe String
     }
 
 
@@ -36,4 +114,119 @@ type alias Truck =
     , roundTripTime : Minutes
     , name : String
     , isActive : Bool
+    , quantity : Int
+    , efficiency : Float
+    , fillFactor : Float
+    , operatorSkill : OperatorSkill
+    , hourlyRate : Float
+    , operatorWage : Float
+    , fuelBurn : Float
+    , roundTripTimeRange : Maybe TimeRange
+    , haulCycle : Maybe HaulCycle
+    , maxPayload : Float
+    , rosterUnit : Maybe String
     }
+
+
+
+-- FLEET COUNTS
+
+
+{-| Number of machines in a list of rows, counting each row's quantity
+-}
+machineCount : List { a | quantity : Int } -> Int
+machineCount machines =
+    List.sum (List.map .quantity machines)
+
+
+{-| A row's name with its count, such as "3 × Standard Dump Truck". A row of
+one machine keeps its plain name.
+-}
+machineLabel : { a | name : String, quantity : Int } -> String
+machineLabel machine =
+    if machine.quantity > 1 then
+        String.fromInt machine.quantity ++ " × " ++ machine.name
+
+    else
+        machine.name
+
+
+{-| One entry per machine, for work that treats each machine on its own
+such as the random draws. Rows of several machines are split into copies
+named "Standard Dump Truck (2 of 3)"; the first copy keeps the row's id so
+trucks paired with the row's excavator still find it.
+-}
+eachMachine : List { a | id : EquipmentId, name : String, quantity : Int } -> List { a | id : EquipmentId, name : String, quantity : Int }
+eachMachine machines =
+    List.concatMap
+        (\machine ->
+            if machine.quantity > 1 then
+                List.map
+                    (\number ->
+                        { machine
+                            | id =
+                                if number == 1 then
+                                    machine.id
+
+                                else
+                                    machine.id ++ "-" ++ String.fromInt number
+                            , name = machine.name ++ " (" ++ String.fromInt number ++ " of " ++ String.fromInt machine.quantity ++ ")"
+                            , quantity = 1
+                        }
+                    )
+                    (List.range 1 machine.quantity)
+
+            else
+                [ machine ]
+        )
+        machines
+
+
+
+-- OPERATOR SKILL
+
+
+{-| Every skill level in the order it is offered to the user
+-}
+allOperatorSkills : List OperatorSkill
+allOperatorSkills =
+    [ Novice, Average, Expert ]
+
+
+{-| Stable identifier for a skill level, used for config and form values
+-}
+operatorSkillToString : OperatorSkill -> String
+operatorSkillToString skill =
+    case skill of
+        Novice ->
+            "novice"
+
+        Average ->
+            "average"
+
+        Expert ->
+            "expert"
+
+
+{-| Parse a skill identifier produced by operatorSkillToString
+-}
+operatorSkillFromString : String -> Maybe OperatorSkill
+operatorSkillFromString value =
+    allOperatorSkills
+        |> List.filter (\skill -> operatorSkillToString skill == value)
+        |> List.head
+
+
+{-| Human-readable skill level
+-}
+operatorSkillLabel : OperatorSkill -> String
+operatorSkillLabel skill =
+    case skill of
+        Novice ->
+            "Novice"
+
+        Average ->
+            "Average"
+
+        Expert ->
+            "Expert"
@@ -23,7 +23,21 @@ type PondField
     = PondLength
     | PondWidth
     | PondDepth
+    | SideSlope
+    | NorthSlope
+    | SouthSlope
+    | EastSlope
+    | WestSlope
+    | CornerRadius
+    | SmallLobeDiameter
 
 
 type ProjectField
     = WorkHours
+    | CustomSwell
+    | CustomDensity
+    | FuelPrice
+    | DisposalFee
+    | WorkHoursMin
+    | WorkHoursMax
+    | ExportPercent
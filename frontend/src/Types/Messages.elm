@@ -1,18 +1,28 @@
-module Types.Messages exposing (Msg(..), ExcavatorUpdate(..), TruckUpdate(..))
+module Types.Messages exposing (Msg(..), ExcavatorUpdate(..), TruckUpdate(..), PhaseUpdate(..))
 
 {-| Application messages for the Elm Architecture
 
-@docs Msg, ExcavatorUpdate, TruckUpdate
+@docs Msg, ExcavatorUpdate, TruckUpdate, PhaseUpdate
 
 -}
 
 import Browser.Dom as Dom
+import Components.FleetImportPanel exposing (ImportMsg)
+import Components.FleetOptimizerPanel exposing (OptimizerMsg)
+import Components.FleetRoster exposing (RosterMsg)
+import Components.ModelPicker exposing (PickerMsg)
 import Components.ProjectForm exposing (FormMsg)
+import Components.ProjectLibrary exposing (LibraryMsg)
+import Components.ShareLink exposing (ShareMsg)
 import Time
-import Types.Equipment exposing (EquipmentId)
+import Types.Equipment exposing (EquipmentId, HaulCycle, OperatorSkill)
 import Types.Fields exposing (ExcavatorField, PondField, ProjectField, TruckField)
+import Types.Phase exposing (PhaseKind)
 import Types.Validation exposing (ValidationError)
+import Utils.Calendar exposing (Date)
 import Utils.Config exposing (Config)
+import Utils.EstimateExport exposing (Format)
+import Utils.Units exposing (UnitSystem)
 
 
 
@@ -24,6 +34,15 @@ type ExcavatorUpdate
     | UpdateExcavatorCycleTime Float
     | UpdateExcavatorName String
     | UpdateExcavatorActive Bool
+    | UpdateExcavatorQuantity Int
+    | UpdateExcavatorEfficiency Float
+    | UpdateExcavatorFillFactor Float
+    | UpdateExcavatorOperatorSkill OperatorSkill
+    | UpdateExcavatorHourlyRate Float
+    | UpdateExcavatorOperatorWage Float
+    | UpdateExcavatorFuelBurn Float
+    | UpdateExcavatorCycleTimeMin Float
+    | UpdateExcavatorCycleTimeMax Float
 
 
 type TruckUpdate
@@ -31,6 +50,25 @@ type TruckUpdate
     | UpdateTruckRoundTripTime Float
     | UpdateTruckName String
     | UpdateTruckActive Bool
+    | UpdateTruckQuantity Int
+    | UpdateTruckEfficiency Float
+    | UpdateTruckFillFactor Float
+    | UpdateTruckOperatorSkill OperatorSkill
+    | UpdateTruckHourlyRate Float
+    | UpdateTruckOperatorWage Float
+    | UpdateTruckFuelBurn Float
+    | UpdateTruckRoundTripTimeMin Float
+    | UpdateTruckRoundTripTimeMax Float
+    | UpdateTruckHaulCycle (Maybe HaulCycle)
+    | UpdateTruckMaxPayload Float
+
+
+type PhaseUpdate
+    = UpdatePhaseName String
+    | UpdatePhaseVolume Float
+    | UpdatePhaseProductivity Float
+    | TogglePhaseExcavator EquipmentId
+    | TogglePhaseTruck EquipmentId
 
 
 type Msg
@@ -38,13 +76,29 @@ type Msg
     | ConfigLoaded (Result ValidationError Config)
       -- Fleet Management Messages
     | AddExcavator
+    | ModelPickerUpdated PickerMsg
+    | FleetRosterUpdated RosterMsg
     | RemoveExcavator EquipmentId
+    | CloneExcavator EquipmentId
     | UpdateExcavator EquipmentId ExcavatorUpdate
     | AddTruck
     | RemoveTruck EquipmentId
+    | CloneTruck EquipmentId
     | UpdateTruck EquipmentId TruckUpdate
+      -- Project Phase Messages
+    | AddPhase PhaseKind
+    | RemovePhase String
+    | UpdatePhase String PhaseUpdate
     | ValidationFailed ValidationError
     | FormUpdated FormMsg
+    | FleetImportUpdated ImportMsg
+    | FleetOptimizerUpdated OptimizerMsg
+    | ProjectLibraryUpdated LibraryMsg
+    | ShareLinkUpdated ShareMsg
+    | DownloadReport -- save the estimate as a PDF report
+    | ReportDated Date -- day the report is prepared, in the local time zone
+    | ExportEstimate Format -- save the inputs, fleet and results as spreadsheet tables
+    | ExportDated Format Date -- day the export is made, for its file name
       -- Real-time input change messages
     | ExcavatorFieldChanged ExcavatorField String
     | TruckFieldChanged TruckField String
@@ -54,12 +108,20 @@ type Msg
     | CalculateTimeline
     | CalculateTimelineDebounced Float -- Current time in millis
     | CalculationCompleted (Result String String) -- Result CalculationError CalculationResult
+    | SetSimulationMode Bool -- Switch results between the analytic and simulated models
+    | SetUnitSystem UnitSystem -- Show and enter figures in imperial or metric units
+    | NumberTyped String String (Maybe Msg) -- input key, text as typed, update to apply once the text reads as a figure
+    | NumberLeft String -- input key; show the stored figure again
     | PerformanceTracked Float -- milliseconds
     | LoadTimeTracked Float -- load time in milliseconds
     | BudgetViolationCheck -- trigger budget violation check
     | BudgetViolationUpdate Time.Posix -- update metrics with budget violations
     | DeviceDetected (Result Dom.Error { width : Int, height : Int })
     | WindowResized Int Int
+    | StorageItemLoaded String (Maybe String) -- key, stored text
+    | RestoreSession -- take back the session autosaved on the last visit
+    | DiscardSession
+    | DismissSessionNotes
       -- Help System Messages
     | ShowHelpTooltip String -- field ID
     | HideHelpTooltip String -- field ID
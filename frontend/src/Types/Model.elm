@@ -6,17 +6,28 @@ module Types.Model exposing (Model, Flags)
 
 -}
 
+import Components.FleetImportPanel as FleetImportPanel
+import Components.FleetOptimizerPanel as FleetOptimizerPanel
+import Components.FleetRoster as FleetRoster
+import Components.ModelPicker as ModelPicker
 import Components.ProjectForm exposing (FormData)
+import Components.ProjectLibrary as ProjectLibrary
+import Components.ShareLink as ShareLink
 import Dict exposing (Dict)
+import Json.Decode as Decode
 import Time
 import Types.DeviceType exposing (DeviceType)
 import Types.Equipment exposing (Excavator, Truck)
 import Types.Onboarding exposing (OnboardingState, TourStep)
+import Types.Phase exposing (Phase)
+import Types.Project exposing (SessionRecovery)
 import Types.Validation exposing (ValidationError)
 import Utils.Calculations exposing (CalculationResult)
 import Utils.Config exposing (Config)
 import Utils.Debounce exposing (DebounceState)
 import Utils.Performance exposing (PerformanceMetrics)
+import Utils.Simulation exposing (SimulationResult)
+import Utils.Units exposing (UnitSystem)
 
 
 
@@ -30,6 +41,9 @@ type alias Model =
     , calculationResult : Maybe CalculationResult
     , lastValidResult : Maybe CalculationResult -- Preserve during validation errors
     , hasValidationErrors : Bool -- Track if current inputs have validation errors
+    , useSimulation : Bool -- Show the loading queue simulation alongside the analytic result
+    , simulationResult : Maybe SimulationResult -- Simulated run matching calculationResult
+    , unitSystem : UnitSystem -- Units figures are shown and entered in; always stored imperial
     , deviceType : DeviceType
     , calculationInProgress : Bool -- Prevent race conditions
     , performanceMetrics : PerformanceMetrics -- Track calculation performance
@@ -38,12 +52,22 @@ type alias Model =
     , trucks : List Truck -- Fleet of trucks
     , nextExcavatorId : Int -- ID generator for excavators
     , nextTruckId : Int -- ID generator for trucks
+    , modelPicker : ModelPicker.State -- Catalog picker opened by the add buttons
+    , fleetRoster : FleetRoster.State -- The company's own machines, saved in the browser
+    , phases : List Phase -- Project phases worked around the bulk dig
+    , nextPhaseId : Int -- ID generator for phases
+    , fleetImport : FleetImportPanel.State -- Equipment file being previewed for import
+    , fleetOptimizer : FleetOptimizerPanel.State -- Solve-for-deadline inputs and results
+    , projectLibrary : ProjectLibrary.State -- Projects saved in the browser
+    , sessionRecovery : SessionRecovery -- Offer of the autosaved session from the last visit
+    , shareLink : ShareLink.State -- Link made to share the estimate
     , helpTooltipState : Maybe String -- Track active tooltip field ID
     , showHelpPanel : Bool -- Whether help modal is visible
     , currentContextualHelp : Maybe String -- Current contextual help section
     , realTimeValidation : Bool -- Enable/disable real-time validation
     , fieldValidationErrors : Dict String ValidationError -- Field-specific validation errors
     , validationDebounce : Dict String Time.Posix -- Validation debounce state per field
+    , numberDrafts : Dict String String -- Equipment figures as typed, by input, until the input is left
 
     -- Onboarding State
     , onboardingState : OnboardingState -- Current onboarding progress
@@ -56,5 +80,10 @@ type alias Model =
     }
 
 
+{-| Flags from the host page, decoded in init so a page that passes none
+still starts. `sharedEstimate` is the estimate from a share link, already
+decompressed: null without a link, or text that fails to decode when the link
+is damaged.
+-}
 type alias Flags =
-    ()
+    Decode.Value
@@ -7,7 +7,7 @@ module Types.Onboarding exposing (OnboardingState(..), TourStep(..), OnboardingC
 -}
 
 import Types.DeviceType exposing (DeviceType(..))
-import Types.Equipment exposing (Excavator, Truck)
+import Types.Equipment exposing (Excavator, OperatorSkill(..), Truck)
 
 
 
@@ -147,6 +147,15 @@ defaultExampleScenario =
         , cycleTime = 2.0
         , name = "CAT 320 Excavator"
         , isActive = True
+        , quantity = 1
+        , efficiency = 0.85
+        , fillFactor = 1.0
+        , operatorSkill = Average
+        , hourlyRate = 95.0
+        , operatorWage = 35.0
+        , fuelBurn = 4.5
+        , cycleTimeRange = Just { min = 1.6, max = 2.8 }
+        , rosterUnit = Nothing
         }
     , truckSpec =
         { id = "example-truck"
@@ -154,6 +163,17 @@ defaultExampleScenario =
         , roundTripTime = 15.0
         , name = "Volvo A30G Truck"
         , isActive = True
+        , quantity = 1
+        , efficiency = 0.8
+        , fillFactor = 1.0
+        , operatorSkill = Average
+        , hourlyRate = 65.0
+        , operatorWage = 28.0
+        , fuelBurn = 5.0
+        , roundTripTimeRange = Just { min = 12.0, max = 22.0 }
+        , haulCycle = Nothing
+        , maxPayload = 14.0
+        , rosterUnit = Nothing
         }
     , pondLength = 50.0
     , pondWidth = 30.0
@@ -0,0 +1,205 @@
+module Types.Phase exposing
+    ( Phase, PhaseKind(..), addablePhaseKinds, newPhase
+    , phaseKindToString, phaseKindFromString, phaseKindLabel, phaseOrder
+    , phaseExportPercent
+    )
+
+{-| Project phase types for jobs worked in stages
+
+The pond itself is always dug as the bulk excavation phase, using the active
+fleet and the pond volume. Other phases such as clearing the site, stripping
+topsoil or shaping the banks are added around it, each with its own volume,
+machines and productivity.
+
+@docs Phase, PhaseKind, addablePhaseKinds, newPhase
+@docs phaseKindToString, phaseKindFromString, phaseKindLabel, phaseOrder
+@docs phaseExportPercent
+
+-}
+
+import Types.Equipment exposing (CubicYards, EquipmentId)
+
+
+
+-- TYPES
+
+
+{-| The kind of work done in a phase, in the order phases are worked
+-}
+type PhaseKind
+    = Clearing
+    | TopsoilStrip
+    | BulkDig
+    | Shaping
+
+
+{-| A stage of the project. Volume is in bank cubic yards. Only the listed
+machines that are active work the phase. Productivity scales their output
+relative to bulk digging (0.5 = half as fast).
+-}
+type alias Phase =
+    { id : String
+    , kind : PhaseKind
+    , name : String
+    , volume : CubicYards
+    , excavatorIds : List EquipmentId
+    , truckIds : List EquipmentId
+    , productivity : Float
+    }
+
+
+{-| Kinds of phase that can be added to the project. Bulk excavation is
+always the pond itself.
+-}
+addablePhaseKinds : List PhaseKind
+addablePhaseKinds =
+    [ Clearing, TopsoilStrip, Shaping ]
+
+
+{-| A phase of the given kind worked by the given machines, with typical
+volume and productivity for that kind of work
+-}
+newPhase : String -> PhaseKind -> List EquipmentId -> List EquipmentId -> Phase
+newPhase id kind excavatorIds truckIds =
+    { id = id
+    , kind = kind
+    , name = phaseKindLabel kind
+    , volume = typicalVolume kind
+    , excavatorIds = excavatorIds
+    , truckIds = truckIds
+    , productivity = typicalProductivity kind
+    }
+
+
+
+-- HELPERS
+
+
+{-| Stable identifier for a phase kind, used for form values
+-}
+phaseKindToString : PhaseKind -> String
+phaseKindToString kind =
+    case kind of
+        Clearing ->
+            "clearing"
+
+        TopsoilStrip ->
+            "topsoil"
+
+        BulkDig ->
+            "bulk"
+
+        Shaping ->
+            "shaping"
+
+
+{-| Parse a phase kind identifier produced by phaseKindToString
+-}
+phaseKindFromString : String -> Maybe PhaseKind
+phaseKindFromString value =
+    case value of
+        "clearing" ->
+            Just Clearing
+
+        "topsoil" ->
+            Just TopsoilStrip
+
+        "bulk" ->
+            Just BulkDig
+
+        "shaping" ->
+            Just Shaping
+
+        _ ->
+            Nothing
+
+
+{-| Human-readable name for a phase kind
+-}
+phaseKindLabel : PhaseKind -> String
+phaseKindLabel kind =
+    case kind of
+        Clearing ->
+            "Site Clearing"
+
+        TopsoilStrip ->
+            "Topsoil Strip"
+
+        BulkDig ->
+            "Bulk Excavation"
+
+        Shaping ->
+            "Bank Shaping"
+
+
+{-| Position of a phase kind in the working order of the project
+-}
+phaseOrder : PhaseKind -> Int
+phaseOrder kind =
+    case kind of
+        Clearing ->
+            0
+
+        TopsoilStrip ->
+            1
+
+        BulkDig ->
+            2
+
+        Shaping ->
+            3
+
+
+{-| Share of a phase's spoil trucked off site, given the share for the job.
+Stripped topsoil is stockpiled on site to be spread again, so none of it
+leaves.
+-}
+phaseExportPercent : Float -> PhaseKind -> Float
+phaseExportPercent exportPercent kind =
+    case kind of
+        TopsoilStrip ->
+            0
+
+        Clearing ->
+            exportPercent
+
+        BulkDig ->
+            exportPercent
+
+        Shaping ->
+            exportPercent
+
+
+typicalVolume : PhaseKind -> CubicYards
+typicalVolume kind =
+    case kind of
+        Clearing ->
+            50
+
+        TopsoilStrip ->
+            150
+
+        BulkDig ->
+            500
+
+        Shaping ->
+            40
+
+
+{-| Clearing brush and trimming banks to grade move far less per hour than
+open digging; loose topsoil comes up a little slower than bulk cuts
+-}
+typicalProductivity : PhaseKind -> Float
+typicalProductivity kind =
+    case kind of
+        Clearing ->
+            0.5
+
+        TopsoilStrip ->
+            0.8
+
+        BulkDig ->
+            1.0
+
+        Shaping ->
+            0.4
@@ -0,0 +1,123 @@
+module Types.Pond exposing
+    ( SideSlopes, uniformSlopes
+    , PondShape(..), PondOutline, allShapes, shapeToString, shapeFromString, shapeLabel
+    )
+
+{-| Pond geometry types for excavation volume calculations
+
+@docs SideSlopes, uniformSlopes
+@docs PondShape, PondOutline, allShapes, shapeToString, shapeFromString, shapeLabel
+
+-}
+
+-- SIDE SLOPES
+
+
+{-| Bank slope for each side of the pond, expressed as horizontal run per
+one unit of vertical drop (3.0 means a 3:1 H:V bank, 0.0 a vertical wall).
+East and west banks run across the pond length, north and south banks
+across the width.
+-}
+type alias SideSlopes =
+    { north : Float
+    , south : Float
+    , east : Float
+    , west : Float
+    }
+
+
+{-| Apply the same slope ratio to all four banks
+-}
+uniformSlopes : Float -> SideSlopes
+uniformSlopes ratio =
+    { north = ratio
+    , south = ratio
+    , east = ratio
+    , west = ratio
+    }
+
+
+
+-- SHAPES
+
+
+{-| Plan-view outline of the pond at the top of the bank
+-}
+type PondShape
+    = Rectangle
+    | Circle
+    | Ellipse
+    | RoundedRectangle
+    | Kidney
+
+
+{-| Top-of-bank outline in feet. Length and width are the overall extents
+of the shape: a circle uses its diameter for both, and a kidney uses the
+diameter of its large lobe as the width. Corner radius only applies to
+rounded rectangles and the small lobe diameter only to kidneys.
+-}
+type alias PondOutline =
+    { shape : PondShape
+    , length : Float
+    , width : Float
+    , cornerRadius : Float
+    , smallLobeDiameter : Float
+    }
+
+
+{-| Every shape in the order it is offered to the user
+-}
+allShapes : List PondShape
+allShapes =
+    [ Rectangle, Circle, Ellipse, RoundedRectangle, Kidney ]
+
+
+{-| Stable identifier for a shape, used for form values and help lookups
+-}
+shapeToString : PondShape -> String
+shapeToString shape =
+    case shape of
+        Rectangle ->
+            "rectangle"
+
+        Circle ->
+            "circle"
+
+        Ellipse ->
+            "ellipse"
+
+        RoundedRectangle ->
+            "roundedRectangle"
+
+        Kidney ->
+            "kidney"
+
+
+{-| Parse a shape identifier produced by shapeToString
+-}
+shapeFromString : String -> Maybe PondShape
+shapeFromString value =
+    allShapes
+        |> List.filter (\shape -> shapeToString shape == value)
+        |> List.head
+
+
+{-| Human-readable shape name
+-}
+shapeLabel : PondShape -> String
+shapeLabel shape =
+    case shape of
+        Rectangle ->
+            "Rectangle"
+
+        Circle ->
+            "Circle"
+
+        Ellipse ->
+            "Ellipse (oval)"
+
+        RoundedRectangle ->
+            "Rounded rectangle"
+
+        Kidney ->
+            "Kidney (two lobes)"
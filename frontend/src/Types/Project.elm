@@ -0,0 +1,73 @@
+module Types.Project exposing (SavedProject, WorkingSession, SessionRecovery(..), nextProjectId)
+
+{-| Projects saved to the browser's project library, and the working session
+autosaved so it survives a reload
+
+@docs SavedProject, WorkingSession, SessionRecovery, nextProjectId
+
+-}
+
+import Components.ProjectForm exposing (FormData)
+import Types.Equipment exposing (Excavator, Truck)
+import Types.Phase exposing (Phase)
+
+
+
+-- TYPES
+
+
+{-| A named snapshot of the pond, fleet and work hours. The timeline is the
+estimate shown when the project was last saved, so the library can list it
+without recalculating every project.
+-}
+type alias SavedProject =
+    { id : String
+    , name : String
+    , formData : FormData
+    , excavators : List Excavator
+    , trucks : List Truck
+    , phases : List Phase
+    , timelineInDays : Maybe Int -- Nothing when the inputs could not be estimated
+    }
+
+
+{-| Everything being worked on, autosaved as it changes. The id counters are
+kept so machines added after a restore never reuse an id.
+-}
+type alias WorkingSession =
+    { formData : FormData
+    , excavators : List Excavator
+    , trucks : List Truck
+    , phases : List Phase
+    , nextExcavatorId : Int
+    , nextTruckId : Int
+    , nextPhaseId : Int
+    }
+
+
+{-| Where the app is in offering back the session from the last visit.
+Nothing is autosaved until the offer is settled, so the previous session is
+not overwritten before the user has chosen.
+-}
+type SessionRecovery
+    = CheckingForSession -- waiting for storage to answer
+    | OfferingRestore WorkingSession
+    | SessionRestored (List String) -- what had to change to fit the current configuration
+    | SessionSettled
+
+
+
+-- HELPERS
+
+
+{-| An id not used by any project in the library
+-}
+nextProjectId : List SavedProject -> String
+nextProjectId projects =
+    projects
+        |> List.filterMap (.id >> String.replace "project-" "" >> String.toInt)
+        |> List.maximum
+        |> Maybe.withDefault 0
+        |> (+) 1
+        |> String.fromInt
+        |> (++) "project-"
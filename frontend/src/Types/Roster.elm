@@ -0,0 +1,50 @@
+module Types.Roster exposing (RosterUnit, RosterMachine(..), unitName, isUnit)
+
+{-| The company's own numbered machines, kept in the browser with their
+measured figures so they can be added to any estimate
+
+@docs RosterUnit, RosterMachine, unitName, isUnit
+
+-}
+
+import Types.Equipment exposing (Excavator, Truck)
+
+
+
+-- TYPES
+
+
+{-| One machine the company owns. The unit number is what the crew calls
+it, such as EX-07, and is one word so it stands out at the front of the
+machine's name in the fleet.
+-}
+type alias RosterUnit =
+    { unitNumber : String
+    , description : String
+    , available : Bool -- False while the unit is in the shop or on another job
+    , machine : RosterMachine -- added to estimates with these figures
+    }
+
+
+type RosterMachine
+    = RosterExcavator Excavator
+    | RosterTruck Truck
+
+
+
+-- HELPERS
+
+
+{-| The name a unit is given in the fleet, such as "EX-07 CAT 320 w/ 1.5yd bucket"
+-}
+unitName : RosterUnit -> String
+unitName unit =
+    String.trim (unit.unitNumber ++ " " ++ unit.description)
+
+
+{-| Whether the roster unit a fleet machine was added from is this one.
+Unit numbers are matched without regard to case, as when saving.
+-}
+isUnit : RosterUnit -> Maybe String -> Bool
+isUnit unit rosterUnit =
+    Maybe.map String.toLower rosterUnit == Just (String.toLower unit.unitNumber)
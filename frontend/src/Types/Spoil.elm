@@ -0,0 +1,67 @@
+module Types.Spoil exposing (SpoilPlacement(..), allPlacements, placementToString, placementFromString, placementLabel)
+
+{-| Where the dug soil goes
+
+Farm ponds often cast the spoil into an embankment or spread it beside the
+hole, so no trucks are needed. Only the share exported off site is hauled.
+
+@docs SpoilPlacement, allPlacements, placementToString, placementFromString, placementLabel
+
+-}
+
+-- SPOIL PLACEMENT
+
+
+{-| How the spoil is disposed of: all of it trucked away, all of it kept on
+site, or a split with a chosen share trucked away
+-}
+type SpoilPlacement
+    = ExportAll
+    | KeepOnSite
+    | SplitSpoil
+
+
+{-| Every placement, in the order offered to the user
+-}
+allPlacements : List SpoilPlacement
+allPlacements =
+    [ ExportAll, KeepOnSite, SplitSpoil ]
+
+
+{-| Stable identifier for a placement, used for form values
+-}
+placementToString : SpoilPlacement -> String
+placementToString placement =
+    case placement of
+        ExportAll ->
+            "export"
+
+        KeepOnSite ->
+            "keep"
+
+        SplitSpoil ->
+            "split"
+
+
+{-| Parse a placement identifier produced by placementToString
+-}
+placementFromString : String -> Maybe SpoilPlacement
+placementFromString value =
+    allPlacements
+        |> List.filter (\placement -> placementToString placement == value)
+        |> List.head
+
+
+{-| Human-readable name for a placement
+-}
+placementLabel : SpoilPlacement -> String
+placementLabel placement =
+    case placement of
+        ExportAll ->
+            "Truck all spoil off site"
+
+        KeepOnSite ->
+            "Keep all spoil on site (berm or spread)"
+
+        SplitSpoil ->
+            "Split between off site and on site"
@@ -1,21 +1,40 @@
 module Utils.Calculations exposing
     ( calculateExcavatorRate, calculateTruckRate, calculateTimeline
+    , calculateMachineExcavatorRate, calculateMachineTruckRate, operatorSkillFactor
     , calculateExcavatorFleetProductivity, calculateTruckFleetProductivity
-    , performCalculation
-    , CalculationResult, CalculationError(..), Bottleneck(..), ConfidenceLevel(..)
+    , performCalculation, performCalculationWithSwell, performCalculationWithSpoil, calculateLooseVolume
+    , calculatePondGeometry, calculatePondVolume, calculateShapedPondGeometry
+    , calculateTimelineDistribution, MonteCarloSettings, defaultMonteCarloSettings, TimelineDistribution
+    , calculatePhasedTimelineDistribution
+    , calculateHaulCycle, resolveHaulCycles, HaulCycleBreakdown
+    , calculateTruckLoad, resolvePayloads, withPayloads
+    , calculatePhase, withPhases, PhaseResult
+    , CalculationResult, FleetRow, CalculationError(..), Bottleneck(..), ConfidenceLevel(..), PondGeometry
     )
 
 {-| Core calculation engine for pond digging timeline estimates
 
 @docs calculateExcavatorRate, calculateTruckRate, calculateTimeline
+@docs calculateMachineExcavatorRate, calculateMachineTruckRate, operatorSkillFactor
 @docs calculateExcavatorFleetProductivity, calculateTruckFleetProductivity
-@docs performCalculation
-@docs CalculationResult, CalculationError, Bottleneck, ConfidenceLevel
+@docs performCalculation, performCalculationWithSwell, performCalculationWithSpoil, calculateLooseVolume
+@docs calculatePondGeometry, calculatePondVolume, calculateShapedPondGeometry
+@docs calculateTimelineDistribution, MonteCarloSettings, defaultMonteCarloSettings, TimelineDistribution
+@docs calculatePhasedTimelineDistribution
+@docs calculateHaulCycle, resolveHaulCycles, HaulCycleBreakdown
+@docs calculateTruckLoad, resolvePayloads, withPayloads
+@docs calculatePhase, withPhases, PhaseResult
+@docs CalculationResult, FleetRow, CalculationError, Bottleneck, ConfidenceLevel, PondGeometry
 
 -}
 
-import Types.Equipment exposing (CubicYards, Excavator, Minutes, Truck)
+import Random
+import Types.Equipment exposing (CubicYards, Excavator, HaulCycle, Minutes, OperatorSkill(..), TimeRange, Truck, eachMachine, machineCount, machineLabel, operatorSkillToString)
+import Types.Phase exposing (Phase, PhaseKind(..), phaseExportPercent, phaseKindLabel, phaseOrder)
+import Types.Pond exposing (PondOutline, PondShape(..), SideSlopes)
 import Types.Validation exposing (ValidationError)
+import Utils.Calendar exposing (Schedule)
+import Utils.Cost as Cost exposing (CostBreakdown, CostRates)
 
 
 
@@ -23,7 +42,8 @@ import Types.Validation exposing (ValidationError)
 
 
 {-| Real-world efficiency factor for excavators accounting for positioning,
-operator breaks, and site conditions
+operator breaks, and site conditions. Used where no machine is given;
+fleet calculations use each excavator's own efficiency.
 -}
 excavatorEfficiencyFactor : Float
 excavatorEfficiencyFactor =
@@ -31,13 +51,19 @@ excavatorEfficiencyFactor =
 
 
 {-| Truck efficiency factor accounting for loading/unloading time,
-traffic delays, and coordination with excavators
+traffic delays, and coordination with excavators. Used where no machine
+is given; fleet calculations use each truck's own efficiency.
 -}
 truckEfficiencyFactor : Float
 truckEfficiencyFactor =
     0.8
 
 
+poundsPerTon : Float
+poundsPerTon =
+    2000
+
+
 
 -- TYPES
 
@@ -64,11 +90,109 @@ type alias CalculationResult =
     { timelineInDays : Int -- whole days (rounded up)
     , totalHours : Float -- precise calculation
     , excavationRate : Float -- cy/hour
-    , haulingRate : Float -- cy/hour
+    , haulingRate : Float -- cy/hour, in bank yards after swell
     , bottleneck : Bottleneck
     , confidence : ConfidenceLevel
     , assumptions : List String
     , warnings : List String
+    , pondGeometry : Maybe PondGeometry -- excavated shape, when known
+    , bankVolume : CubicYards -- in-place soil dug from the pond
+    , looseVolume : CubicYards -- swollen soil dug from the pond
+    , exportedVolume : CubicYards -- loose yards trucked off site; the rest stays on site
+    , tonsHauled : Float -- weight of the exported spoil, when the soil density is known
+    , truckLoads : Int
+    , cost : Maybe CostBreakdown -- when job rates are known
+    , timelineRange : Maybe TimelineDistribution -- P10/P50/P90 from the Monte Carlo runs
+    , schedule : Maybe Schedule -- working days laid out on the calendar
+    , haulCycles : List HaulCycleBreakdown -- trucks whose round trip was calculated
+    , phases : List PhaseResult -- every phase in working order, when the job has more than the bulk dig
+    , fleet : { excavators : List FleetRow, trucks : List FleetRow } -- active rows making up the fleet rates
+    }
+
+
+{-| One equipment row and how it counts toward its fleet's rate: the row
+adds its quantity times the rate of one of its machines
+-}
+type alias FleetRow =
+    { name : String
+    , quantity : Int
+    , machineRate : Float -- cy/hour for one machine; trucks in bank yards after swell
+    }
+
+
+{-| Spread of working-day timelines over many randomised runs of the same
+job. P10 means one run in ten finished in that many days or fewer. The
+histogram pairs each timeline in days with the number of runs that took it.
+-}
+type alias TimelineDistribution =
+    { p10 : Int
+    , p50 : Int
+    , p90 : Int
+    , histogram : List ( Int, Int )
+    , runs : Int
+    }
+
+
+{-| Minutes spent on each leg of a truck's calculated round trip. Loading
+takes one excavator cycle per bucket pass needed to fill the truck.
+-}
+type alias HaulCycleBreakdown =
+    { truckName : String
+    , excavatorName : String
+    , passes : Int
+    , loadTime : Minutes
+    , haulTime : Minutes
+    , dumpTime : Minutes
+    , returnTime : Minutes
+    , spotTime : Minutes
+    , roundTripTime : Minutes
+    }
+
+
+{-| One phase of the project worked out with the machines assigned to it.
+Hours and days are for the phase on its own.
+-}
+type alias PhaseResult =
+    { name : String
+    , kind : PhaseKind
+    , volume : CubicYards
+    , exportedVolume : CubicYards -- loose yards trucked off site
+    , totalHours : Float
+    , timelineInDays : Int
+    , bottleneck : Bottleneck
+    , excavatorCount : Int
+    , truckCount : Int
+    , cost : Maybe CostBreakdown
+    }
+
+
+{-| Seed for the random draws and how many runs to make
+-}
+type alias MonteCarloSettings =
+    { seed : Int
+    , runs : Int
+    }
+
+
+type alias PondGeometry =
+    { shape : PondShape
+    , topLength : Float -- feet
+    , topWidth : Float -- feet
+    , topArea : Float -- square feet
+    , bottomLength : Float -- feet
+    , bottomWidth : Float -- feet
+    , bottomArea : Float -- square feet
+    , depth : Float -- feet
+    , volume : CubicYards
+    }
+
+
+{-| Horizontal slice through the excavation at a given depth
+-}
+type alias PondSection =
+    { length : Float
+    , width : Float
+    , area : Float
     }
 
 
@@ -76,6 +200,189 @@ type alias CalculationResult =
 -- CALCULATION FUNCTIONS
 
 
+{-| Calculate the excavated shape of a rectangular pond with sloped banks.
+Takes top length, top width and depth in feet plus the slope of each bank.
+The hole is a truncated pyramid, so the volume uses the prismoidal formula,
+which is exact when every bank keeps a constant slope.
+-}
+calculatePondGeometry : Float -> Float -> Float -> SideSlopes -> PondGeometry
+calculatePondGeometry length width depth slopes =
+    calculateShapedPondGeometry
+        { shape = Rectangle
+        , length = length
+        , width = width
+        , cornerRadius = 0
+        , smallLobeDiameter = 0
+        }
+        depth
+        slopes
+
+
+{-| Calculate the excavated shape of a pond with any supported outline.
+Straight edges follow their own bank slope; curved edges (circle and
+ellipse ends, rounded corners, kidney lobes) pull inward by the average
+of the four bank slopes. Volume integrates the horizontal sections over
+the depth with Simpson's rule, which is exact for every shape whose
+section area is quadratic in depth and within a fraction of a percent
+for the rest.
+-}
+calculateShapedPondGeometry : PondOutline -> Float -> SideSlopes -> PondGeometry
+calculateShapedPondGeometry outline depth slopes =
+    let
+        top =
+            pondSectionAt outline slopes 0
+
+        bottom =
+            pondSectionAt outline slopes depth
+
+        cubicFeet =
+            integrateSections (\z -> (pondSectionAt outline slopes z).area) depth
+    in
+    { shape = outline.shape
+    , topLength = top.length
+    , topWidth = top.width
+    , topArea = top.area
+    , bottomLength = bottom.length
+    , bottomWidth = bottom.width
+    , bottomArea = bottom.area
+    , depth = depth
+    , volume = cubicFeet / 27.0
+    }
+
+
+{-| Slice the excavation at a depth below the top of the bank
+-}
+pondSectionAt : PondOutline -> SideSlopes -> Float -> PondSection
+pondSectionAt outline slopes z =
+    let
+        sectionLength =
+            max 0 (outline.length - z * (slopes.east + slopes.west))
+
+        sectionWidth =
+            max 0 (outline.width - z * (slopes.north + slopes.south))
+
+        curvedOffset =
+            z * (slopes.north + slopes.south + slopes.east + slopes.west) / 4
+    in
+    case outline.shape of
+        Rectangle ->
+            { length = sectionLength, width = sectionWidth, area = sectionLength * sectionWidth }
+
+        Circle ->
+            { length = sectionLength, width = sectionWidth, area = pi / 4 * sectionLength * sectionWidth }
+
+        Ellipse ->
+            { length = sectionLength, width = sectionWidth, area = pi / 4 * sectionLength * sectionWidth }
+
+        RoundedRectangle ->
+            let
+                radius =
+                    clamp 0 (min sectionLength sectionWidth / 2) (outline.cornerRadius - curvedOffset)
+            in
+            { length = sectionLength
+            , width = sectionWidth
+            , area = sectionLength * sectionWidth - (4 - pi) * radius * radius
+            }
+
+        Kidney ->
+            let
+                -- Lobe centres stay put while each lobe shrinks with depth
+                largeRadius =
+                    outline.width / 2
+
+                smallRadius =
+                    outline.smallLobeDiameter / 2
+
+                spacing =
+                    outline.length - largeRadius - smallRadius
+
+                largeAtDepth =
+                    max 0 (largeRadius - curvedOffset)
+
+                smallAtDepth =
+                    max 0 (smallRadius - curvedOffset)
+
+                kidneyLength =
+                    if smallAtDepth > 0 then
+                        max largeAtDepth (spacing + smallAtDepth) + largeAtDepth
+
+                    else
+                        2 * largeAtDepth
+            in
+            { length = kidneyLength
+            , width = 2 * largeAtDepth
+            , area = circleUnionArea largeAtDepth smallAtDepth spacing
+            }
+
+
+{-| Plan area covered by two circles whose centres are a given distance apart
+-}
+circleUnionArea : Float -> Float -> Float -> Float
+circleUnionArea radiusA radiusB spacing =
+    if spacing >= radiusA + radiusB then
+        pi * (radiusA * radiusA + radiusB * radiusB)
+
+    else if spacing <= abs (radiusA - radiusB) then
+        pi * max radiusA radiusB ^ 2
+
+    else
+        let
+            angleA =
+                acos ((spacing * spacing + radiusA * radiusA - radiusB * radiusB) / (2 * spacing * radiusA))
+
+            angleB =
+                acos ((spacing * spacing + radiusB * radiusB - radiusA * radiusA) / (2 * spacing * radiusB))
+
+            -- Lens where the two lobes overlap: two circular sectors minus their kite
+            kite =
+                0.5
+                    * sqrt
+                        ((-spacing + radiusA + radiusB)
+                            * (spacing + radiusA - radiusB)
+                            * (spacing - radiusA + radiusB)
+                            * (spacing + radiusA + radiusB)
+                        )
+
+            overlap =
+                radiusA * radiusA * angleA + radiusB * radiusB * angleB - kite
+        in
+        pi * (radiusA * radiusA + radiusB * radiusB) - overlap
+
+
+{-| Integrate section area over depth using composite Simpson's rule
+-}
+integrateSections : (Float -> Float) -> Float -> Float
+integrateSections areaAt depth =
+    let
+        intervals =
+            12
+
+        stepSize =
+            depth / toFloat intervals
+
+        weight index =
+            if index == 0 || index == intervals then
+                1
+
+            else if modBy 2 index == 1 then
+                4
+
+            else
+                2
+    in
+    List.range 0 intervals
+        |> List.map (\index -> weight index * areaAt (toFloat index * stepSize))
+        |> List.sum
+        |> (*) (stepSize / 3)
+
+
+{-| Calculate pond volume in cubic yards from top dimensions, depth and bank slopes
+-}
+calculatePondVolume : Float -> Float -> Float -> SideSlopes -> CubicYards
+calculatePondVolume length width depth slopes =
+    (calculatePondGeometry length width depth slopes).volume
+
+
 {-| Calculate the hourly excavation rate for a single excavator.
 Takes bucket capacity in cubic yards and cycle time in minutes.
 Returns cubic yards per hour accounting for real-world efficiency.
@@ -110,6 +417,51 @@ calculateTruckRate truckCapacity roundTripTime =
     theoreticalRate * truckEfficiencyFactor
 
 
+{-| Productivity multiplier for the operator's experience
+-}
+operatorSkillFactor : OperatorSkill -> Float
+operatorSkillFactor skill =
+    case skill of
+        Novice ->
+            0.85
+
+        Average ->
+            1.0
+
+        Expert ->
+            1.1
+
+
+{-| Calculate the hourly excavation rate for one excavator from its own
+efficiency, bucket fill factor and operator skill.
+-}
+calculateMachineExcavatorRate : Excavator -> CubicYards
+calculateMachineExcavatorRate excavator =
+    let
+        cyclesPerHour =
+            60.0 / excavator.cycleTime
+
+        loadPerCycle =
+            excavator.bucketCapacity * excavator.fillFactor
+    in
+    cyclesPerHour * loadPerCycle * excavator.efficiency * operatorSkillFactor excavator.operatorSkill
+
+
+{-| Calculate the hourly hauling rate for one truck from its own
+efficiency, bed fill factor and driver skill.
+-}
+calculateMachineTruckRate : Truck -> CubicYards
+calculateMachineTruckRate truck =
+    let
+        tripsPerHour =
+            60.0 / truck.roundTripTime
+
+        loadPerTrip =
+            truck.capacity * truck.fillFactor
+    in
+    tripsPerHour * loadPerTrip * truck.efficiency * operatorSkillFactor truck.operatorSkill
+
+
 {-| Calculate complete timeline for pond digging project.
 Takes excavator specs, truck specs, pond volume, and work hours per day.
 Returns detailed calculation result with timeline rounded up to whole days.
@@ -193,50 +545,111 @@ calculateTimeline excavatorCapacity excavatorCycle truckCapacity truckRoundTrip
             , confidence = confidence
             , assumptions = assumptions
             , warnings = warnings
+            , pondGeometry = Nothing
+            , bankVolume = pondVolume
+            , looseVolume = pondVolume
+            , exportedVolume = pondVolume
+            , tonsHauled = 0
+            , truckLoads = ceiling (pondVolume / truckCapacity)
+            , cost = Nothing
+            , timelineRange = Nothing
+            , schedule = Nothing
+            , haulCycles = []
+            , phases = []
+            , fleet = { excavators = [], trucks = [] }
             }
 
 
 {-| Calculate total productivity of an excavator fleet.
-Only includes active excavators in the calculation.
+Only includes active excavators in the calculation, each row counted as
+many times as its quantity.
 Returns cubic yards per hour for the entire fleet.
 -}
 calculateExcavatorFleetProductivity : List Excavator -> Float
 calculateExcavatorFleetProductivity excavators =
     excavators
         |> List.filter .isActive
-        |> List.map (\excavator -> calculateExcavatorRate excavator.bucketCapacity excavator.cycleTime)
+        |> List.map (\excavator -> toFloat excavator.quantity * calculateMachineExcavatorRate excavator)
         |> List.sum
 
 
 {-| Calculate total productivity of a truck fleet.
-Only includes active trucks in the calculation.
+Only includes active trucks in the calculation, each row counted as many
+times as its quantity.
 Returns cubic yards per hour for the entire fleet.
 -}
 calculateTruckFleetProductivity : List Truck -> Float
 calculateTruckFleetProductivity trucks =
     trucks
         |> List.filter .isActive
-        |> List.map (\truck -> calculateTruckRate truck.capacity truck.roundTripTime)
+        |> List.map (\truck -> toFloat truck.quantity * calculateMachineTruckRate truck)
         |> List.sum
 
 
+{-| Describe the factors applied to one machine, e.g.
+"CAT 320: 85% efficiency, 100% fill, average operator"
+-}
+machineFactorsAssumption : String -> Float -> Float -> OperatorSkill -> String
+machineFactorsAssumption name efficiency fillFactor skill =
+    name
+        ++ ": "
+        ++ String.fromInt (round (efficiency * 100))
+        ++ "% efficiency, "
+        ++ String.fromInt (round (fillFactor * 100))
+        ++ "% fill, "
+        ++ operatorSkillToString skill
+        ++ " operator"
+
+
+{-| Calculate the loose volume that bank soil swells to once dug.
+Takes the swell percentage and the bank volume in cubic yards.
+-}
+calculateLooseVolume : Float -> CubicYards -> CubicYards
+calculateLooseVolume swellPercent bankVolume =
+    bankVolume * (1 + swellPercent / 100)
+
+
 {-| Main calculation function for fleet-based pond digging projects.
 Takes fleet lists, pond volume, and work hours per day.
 Returns detailed calculation result with timeline and analysis.
+Soil is assumed not to swell; use performCalculationWithSwell for real soils.
 -}
 performCalculation : List Excavator -> List Truck -> Float -> Float -> Result CalculationError CalculationResult
-performCalculation excavators trucks pondVolume workHoursPerDay =
+performCalculation =
+    performCalculationWithSwell 0
+
+
+{-| Fleet calculation for soil that swells when dug.
+Takes the swell percentage, fleet lists, bank pond volume, and work hours per day.
+Excavators dig bank yards but trucks carry loose yards, so hauling productivity
+is converted back to bank yards before the fleets are compared. All of the
+spoil is trucked off site; see performCalculationWithSpoil.
+-}
+performCalculationWithSwell : Float -> List Excavator -> List Truck -> Float -> Float -> Result CalculationError CalculationResult
+performCalculationWithSwell swellPercent =
+    performCalculationWithSpoil swellPercent 100
+
+
+{-| Fleet calculation for a job that keeps some or all of its spoil on site.
+Takes the swell percentage, the percentage of spoil trucked off site, fleet
+lists, bank pond volume, and work hours per day. The exported share is dug
+at the pace of the slower of the two fleets; the share cast into berms or
+spread beside the pond is dug at the excavators' pace. Trucks are only
+needed when some spoil leaves the site.
+-}
+performCalculationWithSpoil : Float -> Float -> List Excavator -> List Truck -> Float -> Float -> Result CalculationError CalculationResult
+performCalculationWithSpoil swellPercent exportPercent excavators trucks pondVolume workHoursPerDay =
     let
         activeExcavatorCount =
-            List.length (List.filter .isActive excavators)
+            machineCount (List.filter .isActive excavators)
 
         activeTruckCount =
-            List.length (List.filter .isActive trucks)
+            machineCount (List.filter .isActive trucks)
     in
     if activeExcavatorCount == 0 then
         Err InsufficientEquipment
 
-    else if activeTruckCount == 0 then
+    else if activeTruckCount == 0 && exportPercent > 0 then
         Err InsufficientEquipment
 
     else if pondVolume <= 0 then
@@ -245,28 +658,64 @@ performCalculation excavators trucks pondVolume workHoursPerDay =
     else if workHoursPerDay <= 0 then
         Err (InvalidConfiguration "Work hours per day must be positive")
 
+    else if swellPercent < 0 then
+        Err (InvalidConfiguration "Soil swell cannot be negative")
+
+    else if exportPercent < 0 || exportPercent > 100 then
+        Err (InvalidConfiguration "Export share must be between 0 and 100 percent")
+
     else
         let
+            looseVolume =
+                calculateLooseVolume swellPercent pondVolume
+
+            -- Bank yards trucked away and kept on site
+            exportedBankVolume =
+                pondVolume * exportPercent / 100
+
+            keptBankVolume =
+                pondVolume - exportedBankVolume
+
+            exportedVolume =
+                calculateLooseVolume swellPercent exportedBankVolume
+
             excavationRate =
                 calculateExcavatorFleetProductivity excavators
 
+            -- Trucks move loose yards; express their output in bank yards
             haulingRate =
-                calculateTruckFleetProductivity trucks
+                calculateTruckFleetProductivity trucks / (1 + swellPercent / 100)
 
-            -- The limiting factor determines overall productivity
-            effectiveRate =
-                min excavationRate haulingRate
+            activeExcavators =
+                List.filter .isActive excavators
+
+            activeTrucks =
+                List.filter .isActive trucks
+
+            hasExport =
+                exportedBankVolume > 0
+
+            -- The limiting factor determines productivity on the exported share
+            exportHours =
+                if hasExport then
+                    exportedBankVolume / min excavationRate haulingRate
+
+                else
+                    0
 
             -- Calculate timeline
             totalHours =
-                pondVolume / effectiveRate
+                exportHours + keptBankVolume / excavationRate
 
             timelineInDays =
                 ceiling (totalHours / workHoursPerDay)
 
             -- Determine bottleneck
             bottleneck =
-                if abs (excavationRate - haulingRate) < 5.0 then
+                if not hasExport then
+                    ExcavationBottleneck
+
+                else if abs (excavationRate - haulingRate) < 5.0 then
                     Balanced
 
                 else if excavationRate < haulingRate then
@@ -277,42 +726,73 @@ performCalculation excavators trucks pondVolume workHoursPerDay =
 
             -- Assess confidence based on fleet size and balance
             confidence =
-                case bottleneck of
-                    Balanced ->
-                        if activeExcavatorCount >= 2 && activeTruckCount >= 2 then
-                            High
+                if not hasExport then
+                    if activeExcavatorCount >= 2 then
+                        High
 
-                        else
-                            Medium
+                    else
+                        Medium
 
-                    _ ->
-                        if abs (excavationRate - haulingRate) > 20.0 then
-                            Low
+                else
+                    case bottleneck of
+                        Balanced ->
+                            if activeExcavatorCount >= 2 && activeTruckCount >= 2 then
+                                High
 
-                        else
-                            Medium
+                            else
+                                Medium
+
+                        _ ->
+                            if abs (excavationRate - haulingRate) > 20.0 then
+                                Low
+
+                            else
+                                Medium
 
             -- Generate assumptions and warnings
+            machineFactors =
+                List.map
+                    (\excavator -> machineFactorsAssumption (machineLabel excavator) excavator.efficiency excavator.fillFactor excavator.operatorSkill)
+                    activeExcavators
+                    ++ List.map
+                        (\truck -> machineFactorsAssumption (machineLabel truck) truck.efficiency truck.fillFactor truck.operatorSkill)
+                        activeTrucks
+
+            spoilPlacement =
+                if exportPercent >= 100 then
+                    []
+
+                else if hasExport then
+                    [ "Spoil: " ++ String.fromFloat exportPercent ++ "% trucked off site, the rest placed on site" ]
+
+                else
+                    [ "Spoil placed on site beside the pond; no hauling needed" ]
+
             assumptions =
-                [ "Excavator efficiency: " ++ String.fromFloat (excavatorEfficiencyFactor * 100) ++ "%"
-                , "Truck efficiency: " ++ String.fromFloat (truckEfficiencyFactor * 100) ++ "%"
-                , "Fleet coordination assumed optimal"
-                , "No weather delays assumed"
-                , "Site conditions allow continuous operation"
-                , String.fromInt activeExcavatorCount ++ " active excavator(s)"
-                , String.fromInt activeTruckCount ++ " active truck(s)"
-                ]
+                machineFactors
+                    ++ [ "Fleet coordination assumed optimal"
+                       , "No weather delays assumed"
+                       , "Site conditions allow continuous operation"
+                       , String.fromInt activeExcavatorCount ++ " active excavator(s)"
+                       , String.fromInt activeTruckCount ++ " active truck(s)"
+                       , "Soil swell: " ++ String.fromFloat swellPercent ++ "% (bank to loose volume)"
+                       ]
+                    ++ spoilPlacement
 
             warnings =
-                case bottleneck of
-                    ExcavationBottleneck ->
-                        [ "Excavation is the limiting factor - consider additional excavators" ]
+                if not hasExport then
+                    []
 
-                    HaulingBottleneck ->
-                        [ "Hauling is the limiting factor - consider additional trucks" ]
+                else
+                    case bottleneck of
+                        ExcavationBottleneck ->
+                            [ "Excavation is the limiting factor - consider additional excavators" ]
 
-                    Balanced ->
-                        []
+                        HaulingBottleneck ->
+                            [ "Hauling is the limiting factor - consider additional trucks" ]
+
+                        Balanced ->
+                            []
         in
         Ok
             { timelineInDays = timelineInDays
@@ -323,4 +803,520 @@ performCalculation excavators trucks pondVolume workHoursPerDay =
             , confidence = confidence
             , assumptions = assumptions
             , warnings = warnings
+            , pondGeometry = Nothing
+            , bankVolume = pondVolume
+            , looseVolume = looseVolume
+            , exportedVolume = exportedVolume
+            , tonsHauled = 0
+            , truckLoads =
+                if activeTruckCount > 0 then
+                    ceiling (exportedVolume / (List.sum (List.map (\truck -> toFloat truck.quantity * truck.capacity * truck.fillFactor) activeTrucks) / toFloat activeTruckCount))
+
+                else
+                    0
+            , cost = Nothing
+            , timelineRange = Nothing
+            , schedule = Nothing
+            , haulCycles = []
+            , phases = []
+            , fleet =
+                { excavators =
+                    List.map
+                        (\excavator -> { name = excavator.name, quantity = excavator.quantity, machineRate = calculateMachineExcavatorRate excavator })
+                        activeExcavators
+                , trucks =
+                    List.map
+                        (\truck -> { name = truck.name, quantity = truck.quantity, machineRate = calculateMachineTruckRate truck / (1 + swellPercent / 100) })
+                        activeTrucks
+                }
+            }
+
+
+
+-- HAUL CYCLES
+
+
+{-| Work out a truck's round trip from its haul cycle. Takes the swell
+percentage, the excavator fleet and the truck. Returns Nothing when the truck
+has no haul cycle, no active excavator can load it, or a speed is not
+positive.
+-}
+calculateHaulCycle : Float -> List Excavator -> Truck -> Maybe HaulCycleBreakdown
+calculateHaulCycle swellPercent excavators truck =
+    case truck.haulCycle of
+        Just cycle ->
+            if cycle.loadedSpeed <= 0 || cycle.emptySpeed <= 0 then
+                Nothing
+
+            else
+                loadingExcavatorFor cycle excavators
+                    |> Maybe.map
+                        (\excavator ->
+                            let
+                                -- Bank yards carried per load and dug per bucket pass
+                                payload =
+                                    truck.capacity * truck.fillFactor / (1 + swellPercent / 100)
+
+                                bucketPass =
+                                    excavator.bucketCapacity * excavator.fillFactor
+
+                                passes =
+                                    if bucketPass > 0 then
+                                        max 1 (ceiling (payload / bucketPass))
+
+                                    else
+                                        1
+
+                                loadTime =
+                                    toFloat passes * excavator.cycleTime
+
+                                haulTime =
+                                    cycle.distance / cycle.loadedSpeed * 60
+
+                                returnTime =
+                                    cycle.distance / cycle.emptySpeed * 60
+                            in
+                            { truckName = truck.name
+                            , excavatorName = excavator.name
+                            , passes = passes
+                            , loadTime = loadTime
+                            , haulTime = haulTime
+                            , dumpTime = cycle.dumpTime
+                            , returnTime = returnTime
+                            , spotTime = cycle.spotTime
+                            , roundTripTime = loadTime + haulTime + cycle.dumpTime + returnTime + cycle.spotTime
+                            }
+                        )
+
+        Nothing ->
+            Nothing
+
+
+{-| Replace the entered round trip time of every truck with a haul cycle by
+the calculated one. The fastest and slowest round trips are scaled by the
+same amount so they still bracket it. Trucks without a haul cycle keep their
+entered time, which is how a manual override is made.
+-}
+resolveHaulCycles : Float -> List Excavator -> List Truck -> List Truck
+resolveHaulCycles swellPercent excavators trucks =
+    List.map
+        (\truck ->
+            case calculateHaulCycle swellPercent excavators truck of
+                Just breakdown ->
+                    let
+                        scale =
+                            if truck.roundTripTime > 0 then
+                                breakdown.roundTripTime / truck.roundTripTime
+
+                            else
+                                1
+                    in
+                    { truck
+                        | roundTripTime = breakdown.roundTripTime
+                        , roundTripTimeRange =
+                            Maybe.map (\ends -> { min = ends.min * scale, max = ends.max * scale }) truck.roundTripTimeRange
+                    }
+
+                Nothing ->
+                    truck
+        )
+        trucks
+
+
+{-| The active excavator chosen to load a truck, or the first active one
+when none was chosen or the chosen one is gone or parked
+-}
+loadingExcavatorFor : HaulCycle -> List Excavator -> Maybe Excavator
+loadingExcavatorFor cycle excavators =
+    let
+        active =
+            List.filter .isActive excavators
+
+        chosen equipmentId =
+            List.filter (\excavator -> excavator.id == equipmentId) active
+                |> List.head
+    in
+    case Maybe.andThen chosen cycle.loadingExcavator of
+        Just excavator ->
+            Just excavator
+
+        Nothing ->
+            List.head active
+
+
+
+-- PAYLOADS
+
+
+{-| Loose cubic yards a truck carries per load. Takes the swell percentage
+and the soil density in pounds per bank cubic yard. The load is the lower of
+the volume limit (rated capacity times fill factor) and the weight limit (the
+truck's max payload of this soil, which swells and so weighs less per loose
+yard than in the bank).
+-}
+calculateTruckLoad : Float -> Float -> Truck -> CubicYards
+calculateTruckLoad swellPercent soilDensity truck =
+    let
+        volumeLimit =
+            truck.capacity * truck.fillFactor
+
+        looseDensity =
+            soilDensity / (1 + swellPercent / 100)
+    in
+    if looseDensity > 0 then
+        min volumeLimit (truck.maxPayload * poundsPerTon / looseDensity)
+
+    else
+        volumeLimit
+
+
+{-| Lower the fill factor of every truck that would carry more than its max
+payload of this soil, so each load is what the truck may legally carry.
+Trucks within their payload are unchanged. Takes the swell percentage and the
+soil density in pounds per bank cubic yard.
+-}
+resolvePayloads : Float -> Float -> List Truck -> List Truck
+resolvePayloads swellPercent soilDensity trucks =
+    List.map
+        (\truck ->
+            if truck.capacity > 0 then
+                { truck | fillFactor = calculateTruckLoad swellPercent soilDensity truck / truck.capacity }
+
+            else
+                truck
+        )
+        trucks
+
+
+{-| Add the weight of the hauled spoil to a result and flag every active
+truck whose full bed of this soil would be over its max payload. Takes the
+swell percentage, the soil density in pounds per bank cubic yard and the
+trucks as entered, before resolvePayloads. Apply it after withPhases, so the
+spoil trucked off in every phase is weighed.
+-}
+withPayloads : Float -> Float -> List Truck -> CalculationResult -> CalculationResult
+withPayloads swellPercent soilDensity trucks result =
+    let
+        looseDensity =
+            soilDensity / (1 + swellPercent / 100)
+
+        exportedVolume =
+            if List.isEmpty result.phases then
+                result.exportedVolume
+
+            else
+                List.sum (List.map .exportedVolume result.phases)
+
+        overweight =
+            trucks
+                |> List.filter .isActive
+                |> List.filterMap
+                    (\truck ->
+                        let
+                            fullBedTons =
+                                truck.capacity * truck.fillFactor * looseDensity / poundsPerTon
+                        in
+                        if fullBedTons > truck.maxPayload then
+                            Just
+                                (truck.name
+                                    ++ ": a full bed weighs "
+                                    ++ String.fromFloat (oneDecimal fullBedTons)
+                                    ++ " tons, over its "
+                                    ++ String.fromFloat truck.maxPayload
+                                    ++ " ton payload - loads limited to "
+                                    ++ String.fromFloat (oneDecimal (calculateTruckLoad swellPercent soilDensity truck))
+                                    ++ " yd³"
+                                )
+
+                        else
+                            Nothing
+                    )
+    in
+    { result
+        | tonsHauled = exportedVolume * looseDensity / poundsPerTon
+        , warnings = result.warnings ++ overweight
+        , assumptions = result.assumptions ++ [ "Soil density: " ++ String.fromFloat soilDensity ++ " lb per bank yd³" ]
+    }
+
+
+oneDecimal : Float -> Float
+oneDecimal value =
+    toFloat (round (value * 10)) / 10
+
+
+
+-- PROJECT PHASES
+
+
+{-| Work out one phase of the project. Takes the swell percentage, the share
+of spoil trucked off site, the whole fleet, the working day length, the
+job-wide rates when known, and the phase. Only the active machines listed on
+the phase work it, and their output is scaled by the phase productivity.
+Stockpiled phases keep all their spoil on site.
+-}
+calculatePhase : Float -> Float -> List Excavator -> List Truck -> Float -> Maybe CostRates -> Phase -> Result CalculationError PhaseResult
+calculatePhase swellPercent exportPercent excavators trucks workHoursPerDay costRates phase =
+    let
+        phaseExport =
+            phaseExportPercent exportPercent phase.kind
+
+        phaseExcavators =
+            List.filter (\excavator -> excavator.isActive && List.member excavator.id phase.excavatorIds) excavators
+
+        -- Trucks sit the phase out when all the spoil stays on site
+        phaseTrucks =
+            if phaseExport > 0 then
+                List.filter (\truck -> truck.isActive && List.member truck.id phase.truckIds) trucks
+
+            else
+                []
+    in
+    if phase.productivity <= 0 then
+        Err (InvalidConfiguration "Phase productivity must be positive")
+
+    else
+        performCalculationWithSpoil swellPercent phaseExport phaseExcavators phaseTrucks phase.volume workHoursPerDay
+            |> Result.map
+                (\result ->
+                    let
+                        totalHours =
+                            result.totalHours / phase.productivity
+                    in
+                    { name = phase.name
+                    , kind = phase.kind
+                    , volume = phase.volume
+                    , exportedVolume = result.exportedVolume
+                    , totalHours = totalHours
+                    , timelineInDays = ceiling (totalHours / workHoursPerDay)
+                    , bottleneck = result.bottleneck
+                    , excavatorCount = machineCount phaseExcavators
+                    , truckCount = machineCount phaseTrucks
+                    , cost =
+                        Maybe.map
+                            (\rates -> Cost.calculateProjectCost rates phaseExcavators phaseTrucks totalHours phase.volume result.exportedVolume)
+                            costRates
+                    }
+                )
+
+
+{-| Add the other phases of a project to the result for the bulk dig of the
+pond. Takes the working day length and the fleet working the bulk dig. The
+phases are listed in working order with the bulk dig among them, and the
+project hours, days and cost cover every phase. Without other phases the
+result is unchanged.
+-}
+withPhases : Float -> List Excavator -> List Truck -> List PhaseResult -> CalculationResult -> CalculationResult
+withPhases workHoursPerDay excavators trucks phaseResults bulk =
+    if List.isEmpty phaseResults then
+        bulk
+
+    else
+        let
+            bulkPhase =
+                { name = phaseKindLabel BulkDig
+                , kind = BulkDig
+                , volume = bulk.bankVolume
+                , exportedVolume = bulk.exportedVolume
+                , totalHours = bulk.totalHours
+                , timelineInDays = bulk.timelineInDays
+                , bottleneck = bulk.bottleneck
+                , excavatorCount = machineCount (List.filter .isActive excavators)
+                , truckCount = machineCount (List.filter .isActive trucks)
+                , cost = bulk.cost
+                }
+
+            -- Sorting is stable, so phases of the same kind keep their order
+            phases =
+                List.sortBy (.kind >> phaseOrder) (bulkPhase :: phaseResults)
+
+            totalHours =
+                List.sum (List.map .totalHours phases)
+
+            phaseCosts =
+                List.filterMap .cost phases
+        in
+        { bulk
+            | phases = phases
+            , totalHours = totalHours
+            , timelineInDays = ceiling (totalHours / workHoursPerDay)
+            , cost =
+                if List.length phaseCosts == List.length phases then
+                    Just (Cost.combineCosts bulk.bankVolume phaseCosts)
+
+                else
+                    Nothing
+            , assumptions = bulk.assumptions ++ [ String.fromInt (List.length phases) ++ " project phases worked one after another" ]
+        }
+
+
+
+-- TIMELINE RANGES
+
+
+{-| Settings used for the results view
+-}
+defaultMonteCarloSettings : MonteCarloSettings
+defaultMonteCarloSettings =
+    { seed = 42
+    , runs = 1000
+    }
+
+
+{-| Run the fleet calculation many times with every cycle time, round trip
+time and the working day drawn from their ranges, and report how the
+timeline spreads. Takes the settings, swell percentage, fleet lists, bank
+pond volume, work hours per day and the optional range of working hours.
+Each uncertain time follows a triangular distribution between its fastest
+and slowest values, peaking at the value entered; times without a range stay
+fixed. Each machine of a row is drawn on its own. The same seed always gives
+the same answer. Returns Nothing when there is no active excavator or truck,
+or nothing to dig.
+-}
+calculateTimelineDistribution : MonteCarloSettings -> Float -> List Excavator -> List Truck -> CubicYards -> Float -> Maybe TimeRange -> Maybe TimelineDistribution
+calculateTimelineDistribution settings swellPercent =
+    calculatePhasedTimelineDistribution settings 0 swellPercent 100
+
+
+{-| Spread of timelines for a project with other phases besides the bulk dig,
+or with some of its spoil kept on site. Takes the hours the other phases need
+after the Monte Carlo settings; those hours are added to every run before it
+is split into working days. The share of spoil trucked off site follows the
+swell percentage, and trucks are only needed when some of it leaves.
+-}
+calculatePhasedTimelineDistribution : MonteCarloSettings -> Float -> Float -> Float -> List Excavator -> List Truck -> CubicYards -> Float -> Maybe TimeRange -> Maybe TimelineDistribution
+calculatePhasedTimelineDistribution settings phaseHours swellPercent exportPercent excavators trucks pondVolume workHoursPerDay workHoursRange =
+    let
+        activeExcavators =
+            eachMachine (List.filter .isActive excavators)
+
+        activeTrucks =
+            eachMachine (List.filter .isActive trucks)
+
+        exportedBankVolume =
+            pondVolume * exportPercent / 100
+    in
+    if List.isEmpty activeExcavators || (List.isEmpty activeTrucks && exportedBankVolume > 0) || pondVolume <= 0 || workHoursPerDay <= 0 then
+        Nothing
+
+    else
+        let
+            excavationRate =
+                activeExcavators
+                    |> List.map
+                        (\excavator ->
+                            triangular excavator.cycleTime excavator.cycleTimeRange
+                                |> Random.map (\cycleTime -> calculateMachineExcavatorRate { excavator | cycleTime = cycleTime })
+                        )
+                    |> sumGenerators
+
+            -- Trucks move loose yards; express their output in bank yards
+            haulingRate =
+                activeTrucks
+                    |> List.map
+                        (\truck ->
+                            triangular truck.roundTripTime truck.roundTripTimeRange
+                                |> Random.map (\roundTripTime -> calculateMachineTruckRate { truck | roundTripTime = roundTripTime })
+                        )
+                    |> sumGenerators
+                    |> Random.map (\rate -> rate / (1 + swellPercent / 100))
+
+            timeline =
+                Random.map3
+                    (\digging hauling workHours ->
+                        let
+                            exportHours =
+                                if exportedBankVolume > 0 then
+                                    exportedBankVolume / min digging hauling
+
+                                else
+                                    0
+                        in
+                        ceiling ((exportHours + (pondVolume - exportedBankVolume) / digging + phaseHours) / workHours)
+                    )
+                    excavationRate
+                    haulingRate
+                    (triangular workHoursPerDay workHoursRange)
+
+            sortedTimelines =
+                Random.step (Random.list (max 1 settings.runs) timeline) (Random.initialSeed settings.seed)
+                    |> Tuple.first
+                    |> List.sort
+
+            runCount =
+                List.length sortedTimelines
+
+            percentile fraction =
+                sortedTimelines
+                    |> List.drop (max 0 (ceiling (fraction * toFloat runCount) - 1))
+                    |> List.head
+                    |> Maybe.withDefault 0
+        in
+        Just
+            { p10 = percentile 0.1
+            , p50 = percentile 0.5
+            , p90 = percentile 0.9
+            , histogram = countRuns sortedTimelines
+            , runs = runCount
             }
+
+
+{-| Draw a time from a triangular distribution between the ends of its range,
+most likely at the entered value. Without a range the entered value is used.
+-}
+triangular : Float -> Maybe TimeRange -> Random.Generator Float
+triangular likely range =
+    case range of
+        Nothing ->
+            Random.constant likely
+
+        Just ends ->
+            let
+                low =
+                    min ends.min likely
+
+                high =
+                    max ends.max likely
+
+                spread =
+                    high - low
+            in
+            if spread <= 0 then
+                Random.constant likely
+
+            else
+                Random.float 0 1
+                    |> Random.map
+                        (\u ->
+                            -- Inverse of the triangular cumulative distribution
+                            if u < (likely - low) / spread then
+                                low + sqrt (u * spread * (likely - low))
+
+                            else
+                                high - sqrt ((1 - u) * spread * (high - likely))
+                        )
+
+
+sumGenerators : List (Random.Generator Float) -> Random.Generator Float
+sumGenerators generators =
+    List.foldl (Random.map2 (+)) (Random.constant 0) generators
+
+
+{-| Count runs per timeline from an already sorted list of timelines
+-}
+countRuns : List Int -> List ( Int, Int )
+countRuns sortedTimelines =
+    List.foldr
+        (\days groups ->
+            case groups of
+                ( groupDays, count ) :: rest ->
+                    if groupDays == days then
+                        ( days, count + 1 ) :: rest
+
+                    else
+                        ( days, 1 ) :: groups
+
+                [] ->
+                    [ ( days, 1 ) ]
+        )
+        []
+        sortedTimelines
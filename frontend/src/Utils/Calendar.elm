@@ -0,0 +1,505 @@
+module Utils.Calendar exposing
+    ( Date, fromCalendarDate, fromIsoString, fromPosix, toIsoString, addDays, daysBetween, weekday, formatDate
+    , WorkCalendar, allWeekdays, weekdayToString, weekdayFromString, weekdayLabel, isWorkingDay
+    , WorkingTime, splitWorkingTime, Schedule, schedule, completionDate
+    )
+
+{-| Working calendar for turning project hours into dates
+
+The timeline calculations count working days. This module spreads those days
+over a work week, skips holidays, and reports a partly worked final day in
+hours rather than rounding it up to a whole day.
+
+@docs Date, fromCalendarDate, fromIsoString, fromPosix, toIsoString, addDays, daysBetween, weekday, formatDate
+@docs WorkCalendar, allWeekdays, weekdayToString, weekdayFromString, weekdayLabel, isWorkingDay
+@docs WorkingTime, splitWorkingTime, Schedule, schedule, completionDate
+
+-}
+
+import Time exposing (Month(..), Weekday(..))
+
+
+
+-- TYPES
+
+
+{-| A calendar day with no time of day or time zone. Stored as the number of
+days since 31 December of year 0 in the proleptic Gregorian calendar, so
+dates compare with `==` and adding days is plain arithmetic.
+-}
+type Date
+    = Date Int
+
+
+{-| Days of the week the crew works and dates they do not
+-}
+type alias WorkCalendar =
+    { workDays : List Weekday
+    , holidays : List Date
+    }
+
+
+{-| Project hours split into whole working days plus the hours worked on a
+final, partial day (0 when the job ends at the close of a full day)
+-}
+type alias WorkingTime =
+    { fullDays : Int
+    , extraHours : Float
+    }
+
+
+{-| Working time laid out on the calendar. The completion date is the last
+day anyone works on the job; it is Nothing until a start date is chosen or
+when the work week has no days in it.
+-}
+type alias Schedule =
+    { fullDays : Int
+    , extraHours : Float
+    , startDate : Maybe Date
+    , completionDate : Maybe Date
+    }
+
+
+
+-- DATES
+
+
+{-| Build a date from a year, month (1-12) and day of the month. Returns
+Nothing for days that do not exist, such as 30 February.
+-}
+fromCalendarDate : Int -> Int -> Int -> Maybe Date
+fromCalendarDate year month day =
+    if year < 1 || month < 1 || month > 12 || day < 1 || day > daysInMonth year month then
+        Nothing
+
+    else
+        Just (Date (daysBeforeYear year + daysBeforeMonth year month + day))
+
+
+{-| Parse a `YYYY-MM-DD` date, the format used by date inputs
+-}
+fromIsoString : String -> Maybe Date
+fromIsoString value =
+    case List.map String.toInt (String.split "-" (String.trim value)) of
+        [ Just year, Just month, Just day ] ->
+            fromCalendarDate year month day
+
+        _ ->
+            Nothing
+
+
+{-| The calendar day a moment falls on in a time zone
+-}
+fromPosix : Time.Zone -> Time.Posix -> Date
+fromPosix zone time =
+    let
+        year =
+            Time.toYear zone time
+
+        month =
+            case Time.toMonth zone time of
+                Jan ->
+                    1
+
+                Feb ->
+                    2
+
+                Mar ->
+                    3
+
+                Apr ->
+                    4
+
+                May ->
+                    5
+
+                Jun ->
+                    6
+
+                Jul ->
+                    7
+
+                Aug ->
+                    8
+
+                Sep ->
+                    9
+
+                Oct ->
+                    10
+
+                Nov ->
+                    11
+
+                Dec ->
+                    12
+    in
+    Date (daysBeforeYear year + daysBeforeMonth year month + Time.toDay zone time)
+
+
+{-| Format a date as `YYYY-MM-DD`
+-}
+toIsoString : Date -> String
+toIsoString date =
+    let
+        parts =
+            toParts date
+    in
+    String.padLeft 4 '0' (String.fromInt parts.year)
+        ++ "-"
+        ++ String.padLeft 2 '0' (String.fromInt parts.month)
+        ++ "-"
+        ++ String.padLeft 2 '0' (String.fromInt parts.day)
+
+
+{-| Move a date forward (or back, for negative counts) by a number of days
+-}
+addDays : Int -> Date -> Date
+addDays days (Date rataDie) =
+    Date (rataDie + days)
+
+
+{-| Number of days from the first date to the second
+-}
+daysBetween : Date -> Date -> Int
+daysBetween (Date from) (Date to) =
+    to - from
+
+
+{-| Day of the week a date falls on
+-}
+weekday : Date -> Weekday
+weekday (Date rataDie) =
+    -- Day 1, 1 January of year 1, was a Monday
+    case modBy 7 rataDie of
+        1 ->
+            Mon
+
+        2 ->
+            Tue
+
+        3 ->
+            Wed
+
+        4 ->
+            Thu
+
+        5 ->
+            Fri
+
+        6 ->
+            Sat
+
+        _ ->
+            Sun
+
+
+{-| Human-readable date such as "Mon, Jun 15, 2026"
+-}
+formatDate : Date -> String
+formatDate date =
+    let
+        parts =
+            toParts date
+    in
+    weekdayLabel (weekday date)
+        ++ ", "
+        ++ monthLabel parts.month
+        ++ " "
+        ++ String.fromInt parts.day
+        ++ ", "
+        ++ String.fromInt parts.year
+
+
+
+-- WORK WEEK
+
+
+{-| Every day of the week, starting on Monday
+-}
+allWeekdays : List Weekday
+allWeekdays =
+    [ Mon, Tue, Wed, Thu, Fri, Sat, Sun ]
+
+
+{-| Stable identifier for a weekday, used in configuration and form values
+-}
+weekdayToString : Weekday -> String
+weekdayToString day =
+    case day of
+        Mon ->
+            "mon"
+
+        Tue ->
+            "tue"
+
+        Wed ->
+            "wed"
+
+        Thu ->
+            "thu"
+
+        Fri ->
+            "fri"
+
+        Sat ->
+            "sat"
+
+        Sun ->
+            "sun"
+
+
+{-| Parse a weekday identifier produced by weekdayToString
+-}
+weekdayFromString : String -> Maybe Weekday
+weekdayFromString value =
+    allWeekdays
+        |> List.filter (\day -> weekdayToString day == value)
+        |> List.head
+
+
+{-| Short weekday name
+-}
+weekdayLabel : Weekday -> String
+weekdayLabel day =
+    case day of
+        Mon ->
+            "Mon"
+
+        Tue ->
+            "Tue"
+
+        Wed ->
+            "Wed"
+
+        Thu ->
+            "Thu"
+
+        Fri ->
+            "Fri"
+
+        Sat ->
+            "Sat"
+
+        Sun ->
+            "Sun"
+
+
+{-| Whether the crew works on a date
+-}
+isWorkingDay : WorkCalendar -> Date -> Bool
+isWorkingDay calendar date =
+    List.member (weekday date) calendar.workDays
+        && not (List.member date calendar.holidays)
+
+
+
+-- SCHEDULING
+
+
+{-| Split total project hours into full working days and the hours left for
+the final day. Takes the working hours per day and the total hours.
+-}
+splitWorkingTime : Float -> Float -> WorkingTime
+splitWorkingTime hoursPerDay totalHours =
+    if hoursPerDay <= 0 || totalHours <= 0 then
+        { fullDays = 0, extraHours = 0 }
+
+    else
+        let
+            wholeDays =
+                floor (totalHours / hoursPerDay)
+
+            leftover =
+                totalHours - toFloat wholeDays * hoursPerDay
+        in
+        -- Floating point noise should not turn a full day into a sliver
+        if leftover >= hoursPerDay - roundingTolerance then
+            { fullDays = wholeDays + 1, extraHours = 0 }
+
+        else if leftover < roundingTolerance then
+            { fullDays = wholeDays, extraHours = 0 }
+
+        else
+            { fullDays = wholeDays, extraHours = leftover }
+
+
+{-| Lay total project hours out on the calendar from an optional start date.
+Takes the work calendar, the start date, the working hours per day and the
+total hours.
+-}
+schedule : WorkCalendar -> Maybe Date -> Float -> Float -> Schedule
+schedule calendar startDate hoursPerDay totalHours =
+    let
+        working =
+            splitWorkingTime hoursPerDay totalHours
+
+        daysOnSite =
+            if working.extraHours > 0 then
+                working.fullDays + 1
+
+            else
+                working.fullDays
+    in
+    { fullDays = working.fullDays
+    , extraHours = working.extraHours
+    , startDate = startDate
+    , completionDate =
+        startDate
+            |> Maybe.andThen (\start -> completionDate calendar start daysOnSite)
+    }
+
+
+{-| Date of the last of a number of working days counted from the start date.
+A start date that is not a working day counts from the next one that is.
+Returns Nothing when the work week is empty.
+-}
+completionDate : WorkCalendar -> Date -> Int -> Maybe Date
+completionDate calendar start workingDays =
+    if List.isEmpty calendar.workDays then
+        Nothing
+
+    else
+        Just (countWorkingDays calendar start (max 1 workingDays))
+
+
+countWorkingDays : WorkCalendar -> Date -> Int -> Date
+countWorkingDays calendar date remaining =
+    if not (isWorkingDay calendar date) then
+        countWorkingDays calendar (addDays 1 date) remaining
+
+    else if remaining <= 1 then
+        date
+
+    else
+        countWorkingDays calendar (addDays 1 date) (remaining - 1)
+
+
+
+-- HELPERS
+
+
+{-| Hours (about half a minute) below which a partial day is treated as none
+-}
+roundingTolerance : Float
+roundingTolerance =
+    0.01
+
+
+toParts : Date -> { year : Int, month : Int, day : Int }
+toParts (Date rataDie) =
+    let
+        year =
+            findYear rataDie (rataDie * 400 // 146097 + 1)
+    in
+    monthAndDay year 1 (rataDie - daysBeforeYear year)
+
+
+{-| Step from an estimated year to the one containing the day
+-}
+findYear : Int -> Int -> Int
+findYear rataDie guess =
+    if daysBeforeYear guess >= rataDie then
+        findYear rataDie (guess - 1)
+
+    else if daysBeforeYear (guess + 1) < rataDie then
+        findYear rataDie (guess + 1)
+
+    else
+        guess
+
+
+monthAndDay : Int -> Int -> Int -> { year : Int, month : Int, day : Int }
+monthAndDay year month dayOfYear =
+    if month < 12 && dayOfYear > daysInMonth year month then
+        monthAndDay year (month + 1) (dayOfYear - daysInMonth year month)
+
+    else
+        { year = year, month = month, day = dayOfYear }
+
+
+daysBeforeYear : Int -> Int
+daysBeforeYear year =
+    let
+        previous =
+            year - 1
+    in
+    previous * 365 + previous // 4 - previous // 100 + previous // 400
+
+
+daysBeforeMonth : Int -> Int -> Int
+daysBeforeMonth year month =
+    List.range 1 (month - 1)
+        |> List.map (daysInMonth year)
+        |> List.sum
+
+
+daysInMonth : Int -> Int -> Int
+daysInMonth year month =
+    case month of
+        2 ->
+            if isLeapYear year then
+                29
+
+            else
+                28
+
+        4 ->
+            30
+
+        6 ->
+            30
+
+        9 ->
+            30
+
+        11 ->
+            30
+
+        _ ->
+            31
+
+
+isLeapYear : Int -> Bool
+isLeapYear year =
+    (modBy 4 year == 0 && modBy 100 year /= 0) || modBy 400 year == 0
+
+
+monthLabel : Int -> String
+monthLabel month =
+    case month of
+        1 ->
+            "Jan"
+
+        2 ->
+            "Feb"
+
+        3 ->
+            "Mar"
+
+        4 ->
+            "Apr"
+
+        5 ->
+            "May"
+
+        6 ->
+            "Jun"
+
+        7 ->
+            "Jul"
+
+        8 ->
+            "Aug"
+
+        9 ->
+            "Sep"
+
+        10 ->
+            "Oct"
+
+        11 ->
+            "Nov"
+
+        _ ->
+            "Dec"
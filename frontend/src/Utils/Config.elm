@@ -1,12 +1,13 @@
-module Utils.Config exposing (Config, Defaults, ExcavatorDefaults, TruckDefaults, ProjectDefaults, FleetLimits, ValidationRules, ValidationRange, getConfig, configDecoder, fallbackConfig)
+module Utils.Config exposing (Config, Defaults, ExcavatorDefaults, TruckDefaults, ProjectDefaults, SoilTypeDefaults, Catalog, CatalogExcavator, CatalogTruck, catalogName, FleetLimits, ValidationRules, ValidationRange, Branding, Logo, LogoPath, getConfig, configDecoder, fallbackConfig, defaultExcavator, defaultTruck, excavatorFromDefaults, truckFromDefaults, excavatorFromCatalog, truckFromCatalog)
 
 {-| Configuration utilities with build-time static configuration
 
-@docs Config, Defaults, ExcavatorDefaults, TruckDefaults, ProjectDefaults, FleetLimits, ValidationRules, ValidationRange, getConfig, configDecoder, fallbackConfig
+@docs Config, Defaults, ExcavatorDefaults, TruckDefaults, ProjectDefaults, SoilTypeDefaults, Catalog, CatalogExcavator, CatalogTruck, catalogName, FleetLimits, ValidationRules, ValidationRange, Branding, Logo, LogoPath, getConfig, configDecoder, fallbackConfig, defaultExcavator, defaultTruck, excavatorFromDefaults, truckFromDefaults, excavatorFromCatalog, truckFromCatalog
 
 -}
 
 import Json.Decode as Decode exposing (Decoder)
+import Types.Equipment exposing (EquipmentId, Excavator, OperatorSkill(..), Truck, operatorSkillFromString)
 import Types.Validation exposing (ValidationError(..))
 import Utils.ConfigGenerated exposing (staticConfig)
 
@@ -18,8 +19,10 @@ import Utils.ConfigGenerated exposing (staticConfig)
 type alias Config =
     { version : String
     , defaults : Defaults
+    , catalog : Catalog
     , fleetLimits : FleetLimits
     , validation : ValidationRules
+    , branding : Branding
     }
 
 
@@ -27,6 +30,44 @@ type alias Defaults =
     { excavators : List ExcavatorDefaults
     , trucks : List TruckDefaults
     , project : ProjectDefaults
+    , soilTypes : List SoilTypeDefaults
+    }
+
+
+{-| Manufacturer makes and models offered when a machine is added. A model
+sets a machine's size, times, fuel burn and rate; the factors that depend on
+the site and crew come from the configured default machine.
+-}
+type alias Catalog =
+    { excavators : List CatalogExcavator
+    , trucks : List CatalogTruck
+    }
+
+
+type alias CatalogExcavator =
+    { make : String
+    , model : String
+    , operatingWeight : Float -- short tons
+    , bucketCapacity : Float -- cubic yards
+    , cycleTime : Float -- typical dig-and-dump minutes
+    , cycleTimeMin : Float -- fastest expected cycle
+    , cycleTimeMax : Float -- slowest expected cycle
+    , fuelBurn : Float -- gallons/hr
+    , hourlyRate : Float -- owning and operating $/hr, excluding operator and fuel
+    }
+
+
+type alias CatalogTruck =
+    { make : String
+    , model : String
+    , operatingWeight : Float -- empty, short tons
+    , capacity : Float -- heaped cubic yards
+    , maxPayload : Float -- tons
+    , roundTripTime : Float -- typical minutes
+    , roundTripTimeMin : Float -- fastest expected round trip
+    , roundTripTimeMax : Float -- slowest expected round trip
+    , fuelBurn : Float -- gallons/hr
+    , hourlyRate : Float -- owning and operating $/hr, excluding driver and fuel
     }
 
 
@@ -40,6 +81,14 @@ type alias ExcavatorDefaults =
     { bucketCapacity : Float
     , cycleTime : Float
     , name : String
+    , efficiency : Float
+    , fillFactor : Float
+    , operatorSkill : String -- novice, average or expert
+    , hourlyRate : Float -- owning and operating $/hr, excluding operator and fuel
+    , operatorWage : Float -- $/hr
+    , fuelBurn : Float -- gallons/hr
+    , cycleTimeMin : Float -- fastest expected cycle
+    , cycleTimeMax : Float -- slowest expected cycle
     }
 
 
@@ -47,6 +96,15 @@ type alias TruckDefaults =
     { capacity : Float
     , roundTripTime : Float
     , name : String
+    , efficiency : Float
+    , fillFactor : Float
+    , operatorSkill : String -- novice, average or expert
+    , hourlyRate : Float -- owning and operating $/hr, excluding operator and fuel
+    , operatorWage : Float -- $/hr
+    , fuelBurn : Float -- gallons/hr
+    , roundTripTimeMin : Float -- fastest expected round trip
+    , roundTripTimeMax : Float -- slowest expected round trip
+    , maxPayload : Float -- tons
     }
 
 
@@ -55,6 +113,21 @@ type alias ProjectDefaults =
     , pondLength : Float
     , pondWidth : Float
     , pondDepth : Float
+    , sideSlope : Float
+    , soilType : String -- id of the default soil type
+    , fuelPrice : Float -- $/gallon
+    , disposalFee : Float -- $/loose cubic yard
+    , workHoursMin : Float -- shortest expected productive day
+    , workHoursMax : Float -- longest expected productive day
+    , workDays : List String -- "mon" .. "sun"
+    }
+
+
+type alias SoilTypeDefaults =
+    { id : String
+    , name : String
+    , swellPercent : Float -- bank to loose volume increase
+    , density : Float -- lb per bank cubic yard
     }
 
 
@@ -65,6 +138,22 @@ type alias ValidationRules =
     , roundTripTime : ValidationRange
     , workHours : ValidationRange
     , pondDimensions : ValidationRange
+    , sideSlope : ValidationRange
+    , swellPercent : ValidationRange
+    , efficiency : ValidationRange
+    , fillFactor : ValidationRange
+    , hourlyRate : ValidationRange
+    , operatorWage : ValidationRange
+    , fuelBurn : ValidationRange
+    , fuelPrice : ValidationRange
+    , disposalFee : ValidationRange
+    , haulDistance : ValidationRange -- miles, one way
+    , haulSpeed : ValidationRange -- mph
+    , haulDelay : ValidationRange -- dump and spot minutes
+    , phaseProductivity : ValidationRange -- fraction of bulk digging output
+    , exportPercent : ValidationRange -- share of spoil trucked off site
+    , payload : ValidationRange -- tons
+    , soilDensity : ValidationRange -- lb per bank cubic yard
     }
 
 
@@ -74,6 +163,30 @@ type alias ValidationRange =
     }
 
 
+{-| Company name and logo for the header of the estimate report
+-}
+type alias Branding =
+    { companyName : String
+    , logo : Logo
+    }
+
+
+{-| A vector logo drawn on a width by height area, like an SVG viewBox
+starting at 0,0
+-}
+type alias Logo =
+    { width : Float
+    , height : Float
+    , paths : List LogoPath
+    }
+
+
+type alias LogoPath =
+    { d : String -- SVG path data using M, L, H, V, C and Z
+    , color : String -- #rrggbb fill
+    }
+
+
 
 -- CONFIG LOADING
 
@@ -88,24 +201,173 @@ getConfig =
 
 
 
+-- EQUIPMENT FROM DEFAULTS
+
+
+{-| Build an active excavator from the first configured model, or from the
+built-in one when the configuration has none
+-}
+defaultExcavator : EquipmentId -> Defaults -> Excavator
+defaultExcavator equipmentId defaults =
+    excavatorFromDefaults equipmentId (Maybe.withDefault fallbackExcavatorDefaults (List.head defaults.excavators))
+
+
+{-| Build an active truck from the first configured model, or from the
+built-in one when the configuration has none
+-}
+defaultTruck : EquipmentId -> Defaults -> Truck
+defaultTruck equipmentId defaults =
+    truckFromDefaults equipmentId (Maybe.withDefault fallbackTruckDefaults (List.head defaults.trucks))
+
+
+{-| Build an active excavator from a configured model
+-}
+excavatorFromDefaults : EquipmentId -> ExcavatorDefaults -> Excavator
+excavatorFromDefaults equipmentId defaults =
+    { id = equipmentId
+    , bucketCapacity = defaults.bucketCapacity
+    , cycleTime = defaults.cycleTime
+    , name = defaults.name
+    , isActive = True
+    , quantity = 1
+    , efficiency = defaults.efficiency
+    , fillFactor = defaults.fillFactor
+    , operatorSkill = Maybe.withDefault Average (operatorSkillFromString defaults.operatorSkill)
+    , hourlyRate = defaults.hourlyRate
+    , operatorWage = defaults.operatorWage
+    , fuelBurn = defaults.fuelBurn
+    , cycleTimeRange = Just { min = defaults.cycleTimeMin, max = defaults.cycleTimeMax }
+    , rosterUnit = Nothing
+    }
+
+
+{-| Build an active truck from a configured model
+-}
+truckFromDefaults : EquipmentId -> TruckDefaults -> Truck
+truckFromDefaults equipmentId defaults =
+    { id = equipmentId
+    , capacity = defaults.capacity
+    , roundTripTime = defaults.roundTripTime
+    , name = defaults.name
+    , isActive = True
+    , quantity = 1
+    , efficiency = defaults.efficiency
+    , fillFactor = defaults.fillFactor
+    , operatorSkill = Maybe.withDefault Average (operatorSkillFromString defaults.operatorSkill)
+    , hourlyRate = defaults.hourlyRate
+    , operatorWage = defaults.operatorWage
+    , fuelBurn = defaults.fuelBurn
+    , roundTripTimeRange = Just { min = defaults.roundTripTimeMin, max = defaults.roundTripTimeMax }
+    , haulCycle = Nothing
+    , maxPayload = defaults.maxPayload
+    , rosterUnit = Nothing
+    }
+
+
+{-| Build an active excavator from a catalog model, with the efficiency, fill
+factor, operator and wage of the default model
+-}
+excavatorFromCatalog : EquipmentId -> Defaults -> CatalogExcavator -> Excavator
+excavatorFromCatalog equipmentId defaults catalogModel =
+    let
+        excavator =
+            defaultExcavator equipmentId defaults
+    in
+    { excavator
+        | name = catalogName catalogModel
+        , bucketCapacity = catalogModel.bucketCapacity
+        , cycleTime = catalogModel.cycleTime
+        , cycleTimeRange = Just { min = catalogModel.cycleTimeMin, max = catalogModel.cycleTimeMax }
+        , fuelBurn = catalogModel.fuelBurn
+        , hourlyRate = catalogModel.hourlyRate
+    }
+
+
+{-| Build an active truck from a catalog model, with the efficiency, fill
+factor, driver and wage of the default model
+-}
+truckFromCatalog : EquipmentId -> Defaults -> CatalogTruck -> Truck
+truckFromCatalog equipmentId defaults catalogModel =
+    let
+        truck =
+            defaultTruck equipmentId defaults
+    in
+    { truck
+        | name = catalogName catalogModel
+        , capacity = catalogModel.capacity
+        , maxPayload = catalogModel.maxPayload
+        , roundTripTime = catalogModel.roundTripTime
+        , roundTripTimeRange = Just { min = catalogModel.roundTripTimeMin, max = catalogModel.roundTripTimeMax }
+        , fuelBurn = catalogModel.fuelBurn
+        , hourlyRate = catalogModel.hourlyRate
+    }
+
+
+{-| Make and model, as a machine from the catalog is named
+-}
+catalogName : { a | make : String, model : String } -> String
+catalogName catalogModel =
+    catalogModel.make ++ " " ++ catalogModel.model
+
+
+
 -- JSON DECODERS
 
 
 configDecoder : Decoder Config
 configDecoder =
-    Decode.map4 Config
+    Decode.map6 Config
         (Decode.field "version" Decode.string)
         (Decode.field "defaults" defaultsDecoder)
+        (Decode.field "catalog" catalogDecoder)
         (Decode.field "fleetLimits" fleetLimitsDecoder)
         (Decode.field "validation" validationRulesDecoder)
+        (Decode.field "branding" brandingDecoder)
 
 
 defaultsDecoder : Decoder Defaults
 defaultsDecoder =
-    Decode.map3 Defaults
+    Decode.map4 Defaults
         (Decode.field "excavators" (Decode.list excavatorDefaultsDecoder))
         (Decode.field "trucks" (Decode.list truckDefaultsDecoder))
         (Decode.field "project" projectDefaultsDecoder)
+        (Decode.field "soilTypes" (Decode.list soilTypeDefaultsDecoder))
+
+
+catalogDecoder : Decoder Catalog
+catalogDecoder =
+    Decode.map2 Catalog
+        (Decode.field "excavators" (Decode.list catalogExcavatorDecoder))
+        (Decode.field "trucks" (Decode.list catalogTruckDecoder))
+
+
+catalogExcavatorDecoder : Decoder CatalogExcavator
+catalogExcavatorDecoder =
+    Decode.succeed CatalogExcavator
+        |> andMap (Decode.field "make" Decode.string)
+        |> andMap (Decode.field "model" Decode.string)
+        |> andMap (Decode.field "operatingWeight" Decode.float)
+        |> andMap (Decode.field "bucketCapacity" Decode.float)
+        |> andMap (Decode.field "cycleTime" Decode.float)
+        |> andMap (Decode.field "cycleTimeMin" Decode.float)
+        |> andMap (Decode.field "cycleTimeMax" Decode.float)
+        |> andMap (Decode.field "fuelBurn" Decode.float)
+        |> andMap (Decode.field "hourlyRate" Decode.float)
+
+
+catalogTruckDecoder : Decoder CatalogTruck
+catalogTruckDecoder =
+    Decode.succeed CatalogTruck
+        |> andMap (Decode.field "make" Decode.string)
+        |> andMap (Decode.field "model" Decode.string)
+        |> andMap (Decode.field "operatingWeight" Decode.float)
+        |> andMap (Decode.field "capacity" Decode.float)
+        |> andMap (Decode.field "maxPayload" Decode.float)
+        |> andMap (Decode.field "roundTripTime" Decode.float)
+        |> andMap (Decode.field "roundTripTimeMin" Decode.float)
+        |> andMap (Decode.field "roundTripTimeMax" Decode.float)
+        |> andMap (Decode.field "fuelBurn" Decode.float)
+        |> andMap (Decode.field "hourlyRate" Decode.float)
 
 
 fleetLimitsDecoder : Decoder FleetLimits
@@ -117,38 +379,95 @@ fleetLimitsDecoder =
 
 excavatorDefaultsDecoder : Decoder ExcavatorDefaults
 excavatorDefaultsDecoder =
-    Decode.map3 ExcavatorDefaults
-        (Decode.field "bucketCapacity" Decode.float)
-        (Decode.field "cycleTime" Decode.float)
-        (Decode.field "name" Decode.string)
+    Decode.succeed ExcavatorDefaults
+        |> andMap (Decode.field "bucketCapacity" Decode.float)
+        |> andMap (Decode.field "cycleTime" Decode.float)
+        |> andMap (Decode.field "name" Decode.string)
+        |> andMap (Decode.field "efficiency" Decode.float)
+        |> andMap (Decode.field "fillFactor" Decode.float)
+        |> andMap (Decode.field "operatorSkill" Decode.string)
+        |> andMap (Decode.field "hourlyRate" Decode.float)
+        |> andMap (Decode.field "operatorWage" Decode.float)
+        |> andMap (Decode.field "fuelBurn" Decode.float)
+        |> andMap (Decode.field "cycleTimeMin" Decode.float)
+        |> andMap (Decode.field "cycleTimeMax" Decode.float)
 
 
 truckDefaultsDecoder : Decoder TruckDefaults
 truckDefaultsDecoder =
-    Decode.map3 TruckDefaults
-        (Decode.field "capacity" Decode.float)
-        (Decode.field "roundTripTime" Decode.float)
-        (Decode.field "name" Decode.string)
+    Decode.succeed TruckDefaults
+        |> andMap (Decode.field "capacity" Decode.float)
+        |> andMap (Decode.field "roundTripTime" Decode.float)
+        |> andMap (Decode.field "name" Decode.string)
+        |> andMap (Decode.field "efficiency" Decode.float)
+        |> andMap (Decode.field "fillFactor" Decode.float)
+        |> andMap (Decode.field "operatorSkill" Decode.string)
+        |> andMap (Decode.field "hourlyRate" Decode.float)
+        |> andMap (Decode.field "operatorWage" Decode.float)
+        |> andMap (Decode.field "fuelBurn" Decode.float)
+        |> andMap (Decode.field "roundTripTimeMin" Decode.float)
+        |> andMap (Decode.field "roundTripTimeMax" Decode.float)
+        |> andMap (Decode.field "maxPayload" Decode.float)
 
 
 projectDefaultsDecoder : Decoder ProjectDefaults
 projectDefaultsDecoder =
-    Decode.map4 ProjectDefaults
-        (Decode.field "workHoursPerDay" Decode.float)
-        (Decode.field "pondLength" Decode.float)
-        (Decode.field "pondWidth" Decode.float)
-        (Decode.field "pondDepth" Decode.float)
+    Decode.succeed ProjectDefaults
+        |> andMap (Decode.field "workHoursPerDay" Decode.float)
+        |> andMap (Decode.field "pondLength" Decode.float)
+        |> andMap (Decode.field "pondWidth" Decode.float)
+        |> andMap (Decode.field "pondDepth" Decode.float)
+        |> andMap (Decode.field "sideSlope" Decode.float)
+        |> andMap (Decode.field "soilType" Decode.string)
+        |> andMap (Decode.field "fuelPrice" Decode.float)
+        |> andMap (Decode.field "disposalFee" Decode.float)
+        |> andMap (Decode.field "workHoursMin" Decode.float)
+        |> andMap (Decode.field "workHoursMax" Decode.float)
+        |> andMap (Decode.field "workDays" (Decode.list Decode.string))
+
+
+soilTypeDefaultsDecoder : Decoder SoilTypeDefaults
+soilTypeDefaultsDecoder =
+    Decode.map4 SoilTypeDefaults
+        (Decode.field "id" Decode.string)
+        (Decode.field "name" Decode.string)
+        (Decode.field "swellPercent" Decode.float)
+        (Decode.field "density" Decode.float)
 
 
 validationRulesDecoder : Decoder ValidationRules
 validationRulesDecoder =
-    Decode.map6 ValidationRules
-        (Decode.field "excavatorCapacity" validationRangeDecoder)
-        (Decode.field "cycleTime" validationRangeDecoder)
-        (Decode.field "truckCapacity" validationRangeDecoder)
-        (Decode.field "roundTripTime" validationRangeDecoder)
-        (Decode.field "workHours" validationRangeDecoder)
-        (Decode.field "pondDimensions" validationRangeDecoder)
+    Decode.succeed ValidationRules
+        |> andMap (Decode.field "excavatorCapacity" validationRangeDecoder)
+        |> andMap (Decode.field "cycleTime" validationRangeDecoder)
+        |> andMap (Decode.field "truckCapacity" validationRangeDecoder)
+        |> andMap (Decode.field "roundTripTime" validationRangeDecoder)
+        |> andMap (Decode.field "workHours" validationRangeDecoder)
+        |> andMap (Decode.field "pondDimensions" validationRangeDecoder)
+        |> andMap (Decode.field "sideSlope" validationRangeDecoder)
+        |> andMap (Decode.field "swellPercent" validationRangeDecoder)
+        |> andMap (Decode.field "efficiency" validationRangeDecoder)
+        |> andMap (Decode.field "fillFactor" validationRangeDecoder)
+        |> andMap (Decode.field "hourlyRate" validationRangeDecoder)
+        |> andMap (Decode.field "operatorWage" validationRangeDecoder)
+        |> andMap (Decode.field "fuelBurn" validationRangeDecoder)
+        |> andMap (Decode.field "fuelPrice" validationRangeDecoder)
+        |> andMap (Decode.field "disposalFee" validationRangeDecoder)
+        |> andMap (Decode.field "haulDistance" validationRangeDecoder)
+        |> andMap (Decode.field "haulSpeed" validationRangeDecoder)
+        |> andMap (Decode.field "haulDelay" validationRangeDecoder)
+        |> andMap (Decode.field "phaseProductivity" validationRangeDecoder)
+        |> andMap (Decode.field "exportPercent" validationRangeDecoder)
+        |> andMap (Decode.field "payload" validationRangeDecoder)
+        |> andMap (Decode.field "soilDensity" validationRangeDecoder)
+
+
+{-| Apply a decoded field to a partially built record, for records with more
+fields than Decode.map8 supports
+-}
+andMap : Decoder a -> Decoder (a -> b) -> Decoder b
+andMap =
+    Decode.map2 (|>)
 
 
 validationRangeDecoder : Decoder ValidationRange
@@ -158,6 +477,26 @@ validationRangeDecoder =
         (Decode.field "max" Decode.float)
 
 
+brandingDecoder : Decoder Branding
+brandingDecoder =
+    Decode.map2 Branding
+        (Decode.field "companyName" Decode.string)
+        (Decode.field "logo"
+            (Decode.map3 Logo
+                (Decode.field "width" Decode.float)
+                (Decode.field "height" Decode.float)
+                (Decode.field "paths"
+                    (Decode.list
+                        (Decode.map2 LogoPath
+                            (Decode.field "d" Decode.string)
+                            (Decode.field "color" Decode.string)
+                        )
+                    )
+                )
+            )
+        )
+
+
 
 -- FALLBACK DEFAULTS
 
@@ -168,31 +507,96 @@ fallbackConfig : Config
 fallbackConfig =
     { version = "1.0.0"
     , defaults = fallbackDefaults
+    , catalog = fallbackCatalog
     , fleetLimits = fallbackFleetLimits
     , validation = fallbackValidationRules
+    , branding = fallbackBranding
     }
 
 
 fallbackDefaults : Defaults
 fallbackDefaults =
-    { excavators =
-        [ { bucketCapacity = 2.5
-          , cycleTime = 2.0
-          , name = "CAT 320 Excavator"
-          }
-        ]
-    , trucks =
-        [ { capacity = 12.0
-          , roundTripTime = 15.0
-          , name = "Standard Dump Truck"
-          }
-        ]
+    { excavators = [ fallbackExcavatorDefaults ]
+    , trucks = [ fallbackTruckDefaults ]
     , project =
         { workHoursPerDay = 8.0
         , pondLength = 40.0
         , pondWidth = 25.0
         , pondDepth = 5.0
+        , sideSlope = 0.0
+        , soilType = "topsoil"
+        , fuelPrice = 4.0
+        , disposalFee = 8.0
+        , workHoursMin = 6.0
+        , workHoursMax = 10.0
+        , workDays = [ "mon", "tue", "wed", "thu", "fri" ]
         }
+    , soilTypes =
+        [ { id = "topsoil", name = "Topsoil", swellPercent = 25.0, density = 2300.0 }
+        , { id = "sand", name = "Sand", swellPercent = 12.0, density = 3200.0 }
+        , { id = "clay", name = "Clay", swellPercent = 35.0, density = 3000.0 }
+        , { id = "gravel", name = "Gravel", swellPercent = 15.0, density = 3400.0 }
+        , { id = "rock", name = "Rock (broken)", swellPercent = 60.0, density = 4400.0 }
+        ]
+    }
+
+
+fallbackExcavatorDefaults : ExcavatorDefaults
+fallbackExcavatorDefaults =
+    { bucketCapacity = 2.5
+    , cycleTime = 2.0
+    , name = "CAT 320 Excavator"
+    , efficiency = 0.85
+    , fillFactor = 1.0
+    , operatorSkill = "average"
+    , hourlyRate = 95.0
+    , operatorWage = 35.0
+    , fuelBurn = 4.5
+    , cycleTimeMin = 1.6
+    , cycleTimeMax = 2.8
+    }
+
+
+fallbackTruckDefaults : TruckDefaults
+fallbackTruckDefaults =
+    { capacity = 12.0
+    , roundTripTime = 15.0
+    , name = "Standard Dump Truck"
+    , efficiency = 0.8
+    , fillFactor = 1.0
+    , operatorSkill = "average"
+    , hourlyRate = 65.0
+    , operatorWage = 28.0
+    , fuelBurn = 5.0
+    , roundTripTimeMin = 12.0
+    , roundTripTimeMax = 22.0
+    , maxPayload = 14.0
+    }
+
+
+fallbackCatalog : Catalog
+fallbackCatalog =
+    { excavators =
+        [ { make = "Caterpillar", model = "305 CR", operatingWeight = 5.7, bucketCapacity = 0.7, cycleTime = 1.2, cycleTimeMin = 1.0, cycleTimeMax = 1.6, fuelBurn = 1.5, hourlyRate = 45.0 }
+        , { make = "Caterpillar", model = "320", operatingWeight = 24.8, bucketCapacity = 1.4, cycleTime = 1.8, cycleTimeMin = 1.5, cycleTimeMax = 2.4, fuelBurn = 4.0, hourlyRate = 90.0 }
+        , { make = "Caterpillar", model = "336", operatingWeight = 41.0, bucketCapacity = 2.4, cycleTime = 2.0, cycleTimeMin = 1.6, cycleTimeMax = 2.6, fuelBurn = 6.5, hourlyRate = 140.0 }
+        , { make = "Caterpillar", model = "374", operatingWeight = 79.0, bucketCapacity = 4.2, cycleTime = 2.2, cycleTimeMin = 1.8, cycleTimeMax = 2.9, fuelBurn = 11.0, hourlyRate = 260.0 }
+        , { make = "John Deere", model = "135G", operatingWeight = 15.0, bucketCapacity = 0.8, cycleTime = 1.5, cycleTimeMin = 1.2, cycleTimeMax = 2.0, fuelBurn = 2.6, hourlyRate = 65.0 }
+        , { make = "John Deere", model = "350G LC", operatingWeight = 39.5, bucketCapacity = 2.3, cycleTime = 2.0, cycleTimeMin = 1.6, cycleTimeMax = 2.6, fuelBurn = 6.0, hourlyRate = 130.0 }
+        , { make = "Komatsu", model = "PC210LC-11", operatingWeight = 25.6, bucketCapacity = 1.3, cycleTime = 1.8, cycleTimeMin = 1.5, cycleTimeMax = 2.4, fuelBurn = 3.8, hourlyRate = 88.0 }
+        , { make = "Komatsu", model = "PC360LC-11", operatingWeight = 40.3, bucketCapacity = 2.2, cycleTime = 2.0, cycleTimeMin = 1.6, cycleTimeMax = 2.6, fuelBurn = 6.2, hourlyRate = 135.0 }
+        , { make = "Volvo", model = "EC220E", operatingWeight = 25.5, bucketCapacity = 1.5, cycleTime = 1.8, cycleTimeMin = 1.5, cycleTimeMax = 2.4, fuelBurn = 4.0, hourlyRate = 90.0 }
+        , { make = "Hitachi", model = "ZX350LC-6", operatingWeight = 39.0, bucketCapacity = 2.3, cycleTime = 2.0, cycleTimeMin = 1.6, cycleTimeMax = 2.6, fuelBurn = 6.2, hourlyRate = 135.0 }
+        ]
+    , trucks =
+        [ { make = "International", model = "HV607 single-axle", operatingWeight = 9.0, capacity = 7.0, maxPayload = 8.0, roundTripTime = 14.0, roundTripTimeMin = 11.0, roundTripTimeMax = 20.0, fuelBurn = 3.5, hourlyRate = 50.0 }
+        , { make = "Mack", model = "Granite tandem-axle", operatingWeight = 12.5, capacity = 14.0, maxPayload = 15.0, roundTripTime = 15.0, roundTripTimeMin = 12.0, roundTripTimeMax = 22.0, fuelBurn = 5.0, hourlyRate = 65.0 }
+        , { make = "Kenworth", model = "T880 tri-axle", operatingWeight = 13.5, capacity = 16.0, maxPayload = 18.0, roundTripTime = 15.0, roundTripTimeMin = 12.0, roundTripTimeMax = 22.0, fuelBurn = 5.5, hourlyRate = 70.0 }
+        , { make = "Freightliner", model = "114SD tri-axle", operatingWeight = 13.5, capacity = 16.0, maxPayload = 18.0, roundTripTime = 15.0, roundTripTimeMin = 12.0, roundTripTimeMax = 22.0, fuelBurn = 5.5, hourlyRate = 70.0 }
+        , { make = "Peterbilt", model = "567 quad-axle", operatingWeight = 14.5, capacity = 18.0, maxPayload = 22.0, roundTripTime = 16.0, roundTripTimeMin = 13.0, roundTripTimeMax = 24.0, fuelBurn = 6.0, hourlyRate = 75.0 }
+        , { make = "Caterpillar", model = "725 articulated", operatingWeight = 25.6, capacity = 18.3, maxPayload = 26.5, roundTripTime = 12.0, roundTripTimeMin = 9.0, roundTripTimeMax = 18.0, fuelBurn = 8.5, hourlyRate = 120.0 }
+        , { make = "Volvo", model = "A30G articulated", operatingWeight = 26.5, capacity = 22.5, maxPayload = 31.4, roundTripTime = 12.0, roundTripTimeMin = 9.0, roundTripTimeMax = 18.0, fuelBurn = 9.5, hourlyRate = 130.0 }
+        ]
     }
 
 
@@ -211,4 +615,27 @@ fallbackValidationRules =
     , roundTripTime = { min = 5.0, max = 60.0 }
     , workHours = { min = 1.0, max = 16.0 }
     , pondDimensions = { min = 1.0, max = 1000.0 }
+    , sideSlope = { min = 0.0, max = 10.0 }
+    , swellPercent = { min = 0.0, max = 100.0 }
+    , efficiency = { min = 0.3, max = 1.0 }
+    , fillFactor = { min = 0.5, max = 1.3 }
+    , hourlyRate = { min = 0.0, max = 1000.0 }
+    , operatorWage = { min = 0.0, max = 200.0 }
+    , fuelBurn = { min = 0.0, max = 50.0 }
+    , fuelPrice = { min = 0.0, max = 20.0 }
+    , disposalFee = { min = 0.0, max = 200.0 }
+    , haulDistance = { min = 0.05, max = 50.0 }
+    , haulSpeed = { min = 3.0, max = 65.0 }
+    , haulDelay = { min = 0.0, max = 30.0 }
+    , phaseProductivity = { min = 0.1, max = 1.5 }
+    , exportPercent = { min = 0.0, max = 100.0 }
+    , payload = { min = 1.0, max = 60.0 }
+    , soilDensity = { min = 1000.0, max = 5000.0 }
+    }
+
+
+fallbackBranding : Branding
+fallbackBranding =
+    { companyName = "Pond Digging Calculator"
+    , logo = { width = 48, height = 48, paths = [] }
     }
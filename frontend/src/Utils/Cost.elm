@@ -0,0 +1,113 @@
+module Utils.Cost exposing (CostRates, CostBreakdown, calculateProjectCost, combineCosts)
+
+{-| Project cost estimating for pond digging jobs
+
+@docs CostRates, CostBreakdown, calculateProjectCost, combineCosts
+
+-}
+
+import Types.Equipment exposing (Excavator, Truck)
+
+
+
+-- TYPES
+
+
+{-| Job-wide prices that apply to the whole fleet
+-}
+type alias CostRates =
+    { fuelPrice : Float -- $/gallon
+    , disposalFee : Float -- $/loose cubic yard hauled
+    }
+
+
+{-| Estimated job cost in dollars, split by where the money goes
+-}
+type alias CostBreakdown =
+    { equipment : Float
+    , labor : Float
+    , fuel : Float
+    , disposal : Float
+    , total : Float
+    , costPerCubicYard : Float -- per bank cubic yard excavated
+    }
+
+
+
+-- CALCULATIONS
+
+
+{-| Estimate the cost of running the active fleet for the project duration.
+Takes job-wide rates, the fleet, total working hours, and the bank and loose
+volumes. Every active machine and its operator is billed for every working
+hour, and a row of several machines is billed once for each of them.
+Disposal is charged on the loose yards hauled away.
+-}
+calculateProjectCost : CostRates -> List Excavator -> List Truck -> Float -> Float -> Float -> CostBreakdown
+calculateProjectCost rates excavators trucks totalHours bankVolume looseVolume =
+    let
+        activeExcavators =
+            List.filter .isActive excavators
+
+        activeTrucks =
+            List.filter .isActive trucks
+
+        fleetHourly field truckField =
+            sumBy (\excavator -> toFloat excavator.quantity * field excavator) activeExcavators
+                + sumBy (\truck -> toFloat truck.quantity * truckField truck) activeTrucks
+
+        equipment =
+            fleetHourly .hourlyRate .hourlyRate * totalHours
+
+        labor =
+            fleetHourly .operatorWage .operatorWage * totalHours
+
+        fuel =
+            fleetHourly .fuelBurn .fuelBurn * totalHours * rates.fuelPrice
+
+        disposal =
+            looseVolume * rates.disposalFee
+
+        total =
+            equipment + labor + fuel + disposal
+    in
+    { equipment = equipment
+    , labor = labor
+    , fuel = fuel
+    , disposal = disposal
+    , total = total
+    , costPerCubicYard =
+        if bankVolume > 0 then
+            total / bankVolume
+
+        else
+            0
+    }
+
+
+{-| Add up the costs of several parts of one job, such as its phases. The
+unit cost is spread over the given bank volume.
+-}
+combineCosts : Float -> List CostBreakdown -> CostBreakdown
+combineCosts bankVolume costs =
+    let
+        total =
+            sumBy .total costs
+    in
+    { equipment = sumBy .equipment costs
+    , labor = sumBy .labor costs
+    , fuel = sumBy .fuel costs
+    , disposal = sumBy .disposal costs
+    , total = total
+    , costPerCubicYard =
+        if bankVolume > 0 then
+            total / bankVolume
+
+        else
+            0
+    }
+
+
+sumBy : (a -> Float) -> List a -> Float
+sumBy field items =
+    List.sum (List.map field items)
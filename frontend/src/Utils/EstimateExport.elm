@@ -0,0 +1,446 @@
+module Utils.EstimateExport exposing (Format(..), sheets, files, fileName, mimeType)
+
+{-| The estimate as spreadsheet tables, for pasting into bid spreadsheets
+
+There are four tables: the project inputs, the excavator and truck fleets
+with each machine's hourly output, and a summary of the result. They are saved
+either as a zip of CSV files or as one XLSX workbook with a sheet for each.
+Figures are numbers in the chosen units, with the unit in the column header
+or alongside, so they can be worked with rather than retyped.
+
+@docs Format, sheets, files, fileName, mimeType
+
+-}
+
+import Components.ProjectForm as ProjectForm
+import Components.ResultsPanel exposing (productionRate)
+import Types.Equipment exposing (Excavator, Truck, operatorSkillLabel)
+import Types.Pond exposing (PondShape(..))
+import Types.Spoil exposing (SpoilPlacement(..), placementLabel)
+import Utils.Calculations as Calculations exposing (Bottleneck(..))
+import Utils.Calendar as Calendar exposing (Date)
+import Utils.EstimateReport exposing (Estimate, fileStem)
+import Utils.InputParser as InputParser
+import Utils.Spreadsheet as Spreadsheet exposing (Cell(..), File, Sheet)
+import Utils.Units as Units exposing (Quantity(..), UnitSystem)
+
+
+
+-- TYPES
+
+
+{-| How the tables are saved
+-}
+type Format
+    = Csv -- a zip with a CSV file for each table
+    | Xlsx -- one workbook with a sheet for each table
+
+
+
+-- EXPORT
+
+
+{-| The files to put in the archive that is saved
+-}
+files : Format -> Estimate -> List File
+files format estimate =
+    case format of
+        Csv ->
+            List.map (\sheet -> { path = csvName sheet, content = Spreadsheet.csv sheet }) (sheets estimate)
+
+        Xlsx ->
+            Spreadsheet.workbook (sheets estimate)
+
+
+{-| Name to save the archive under, beside the report's, such as
+`north-field-pond-estimate-2026-06-15.xlsx`
+-}
+fileName : Format -> String -> Date -> String
+fileName format projectName preparedOn =
+    case format of
+        Csv ->
+            fileStem projectName preparedOn ++ "-csv.zip"
+
+        Xlsx ->
+            fileStem projectName preparedOn ++ ".xlsx"
+
+
+{-| Media type of the saved archive
+-}
+mimeType : Format -> String
+mimeType format =
+    case format of
+        Csv ->
+            "application/zip"
+
+        Xlsx ->
+            "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+
+
+csvName : Sheet -> String
+csvName sheet =
+    String.join "-" (String.words (String.toLower sheet.name)) ++ ".csv"
+
+
+{-| The tables, in the order they are saved
+-}
+sheets : Estimate -> List Sheet
+sheets estimate =
+    [ projectInputs estimate
+    , excavatorFleet estimate
+    , truckFleet estimate
+    , summary estimate
+    ]
+
+
+
+-- TABLES
+
+
+projectInputs : Estimate -> Sheet
+projectInputs estimate =
+    let
+        formData =
+            estimate.formData
+
+        units =
+            estimate.unitSystem
+
+        shapeInputs =
+            case formData.pondShape of
+                RoundedRectangle ->
+                    [ measuredInput units "Corner Radius" Length formData.cornerRadius ]
+
+                Kidney ->
+                    [ measuredInput units "Small Lobe Diameter" Length formData.smallLobeDiameter ]
+
+                Rectangle ->
+                    []
+
+                Circle ->
+                    []
+
+                Ellipse ->
+                    []
+
+        slopeInputs =
+            if formData.perSideSlopes then
+                [ plainInput "North Bank Slope" "H:V" formData.northSlope
+                , plainInput "South Bank Slope" "H:V" formData.southSlope
+                , plainInput "East Bank Slope" "H:V" formData.eastSlope
+                , plainInput "West Bank Slope" "H:V" formData.westSlope
+                ]
+
+            else
+                [ plainInput "Side Slope" "H:V" formData.sideSlope ]
+
+        soilInputs =
+            case List.head (List.filter (\soil -> soil.id == formData.soilType) estimate.config.defaults.soilTypes) of
+                Just soil ->
+                    [ textRow "Soil" soil.name ]
+
+                Nothing ->
+                    [ textRow "Soil" "Custom"
+                    , plainInput "Swell" "%" formData.customSwellPercent
+                    , measuredInput units "Soil Density" Density formData.customDensity
+                    ]
+
+        spoilInputs =
+            textRow "Spoil" (placementLabel formData.spoilPlacement)
+                :: (case formData.spoilPlacement of
+                        SplitSpoil ->
+                            [ plainInput "Trucked Off Site" "%" formData.exportPercent ]
+
+                        ExportAll ->
+                            []
+
+                        KeepOnSite ->
+                            []
+                   )
+    in
+    { name = "Project Inputs"
+    , header = [ "Input", "Value", "Unit" ]
+    , rows =
+        [ textRow "Project" (String.trim estimate.projectName)
+        , textRow "Prepared" (Calendar.toIsoString estimate.preparedOn)
+        , textRow "Units" (Units.unitSystemLabel units)
+        , textRow "Pond Shape" (Types.Pond.shapeLabel formData.pondShape)
+        , measuredInput units "Pond Length" Length formData.pondLength
+        , measuredInput units "Pond Width" Length formData.pondWidth
+        , measuredInput units "Pond Depth" Length formData.pondDepth
+        ]
+            ++ shapeInputs
+            ++ slopeInputs
+            ++ soilInputs
+            ++ spoilInputs
+            ++ [ measuredInput units "Fuel Price" Units.FuelPrice formData.fuelPrice
+               , measuredInput units "Disposal Fee" VolumePrice formData.disposalFee
+               , plainInput "Work Hours per Day" "hours" formData.workHoursPerDay
+               , plainInput "Shortest Working Day" "hours" formData.workHoursMin
+               , plainInput "Longest Working Day" "hours" formData.workHoursMax
+               , textRow "Start Date" formData.startDate
+               , textRow "Work Days" (String.join ", " (List.filterMap (Calendar.weekdayFromString >> Maybe.map Calendar.weekdayLabel) formData.workDays))
+               , textRow "Holidays" (String.join ", " formData.holidays)
+               ]
+    }
+
+
+excavatorFleet : Estimate -> Sheet
+excavatorFleet estimate =
+    let
+        units =
+            estimate.unitSystem
+
+        excavatorRow : Excavator -> List Cell
+        excavatorRow excavator =
+            [ Text excavator.name
+            , Text (yesNo excavator.isActive)
+            , figure (Units.toDisplay units Volume excavator.bucketCapacity)
+            , figure excavator.cycleTime
+            , figure (excavator.efficiency * 100)
+            , figure excavator.fillFactor
+            , Text (operatorSkillLabel excavator.operatorSkill)
+            , figure excavator.hourlyRate
+            , figure excavator.operatorWage
+            , figure (Units.toDisplay units FuelVolume excavator.fuelBurn)
+            , figure (toFloat excavator.quantity)
+            , figure (Units.toDisplay units Volume (Calculations.calculateMachineExcavatorRate excavator))
+            ]
+    in
+    { name = "Excavators"
+    , header =
+        [ "Name"
+        , "Active"
+        , "Bucket Capacity (" ++ Units.unitSymbol units Volume ++ ")"
+        , "Cycle Time (min)"
+        , "Efficiency (%)"
+        , "Fill Factor"
+        , "Operator"
+        , "Hourly Rate ($/hr)"
+        , "Operator Wage ($/hr)"
+        , "Fuel Burn (" ++ Units.unitSymbol units FuelVolume ++ "/hr)"
+        , "Quantity"
+        , "Rate (" ++ Units.unitSymbol units Volume ++ "/hr)"
+        ]
+    , rows = List.map excavatorRow estimate.excavators
+    }
+
+
+{-| Trucks are listed as the estimate used them: loads are capped at each
+truck's payload and trucks with a haul cycle take the round trip worked out
+from it. Their output is in bank yards, as on screen.
+-}
+truckFleet : Estimate -> Sheet
+truckFleet estimate =
+    let
+        units =
+            estimate.unitSystem
+
+        result =
+            estimate.result
+
+        swellPercent =
+            if result.bankVolume > 0 then
+                (result.looseVolume / result.bankVolume - 1) * 100
+
+            else
+                0
+
+        withPayloads trucks =
+            case ProjectForm.formSoilDensity units estimate.config.defaults.soilTypes estimate.formData of
+                Just soilDensity ->
+                    Calculations.resolvePayloads swellPercent soilDensity trucks
+
+                Nothing ->
+                    trucks
+
+        truckRow : Truck -> List Cell
+        truckRow truck =
+            [ Text truck.name
+            , Text (yesNo truck.isActive)
+            , figure (Units.toDisplay units Volume truck.capacity)
+            , figure truck.roundTripTime
+            , figure (truck.efficiency * 100)
+            , figure truck.fillFactor
+            , Text (operatorSkillLabel truck.operatorSkill)
+            , figure truck.hourlyRate
+            , figure truck.operatorWage
+            , figure (Units.toDisplay units FuelVolume truck.fuelBurn)
+            , figure (Units.toDisplay units Weight truck.maxPayload)
+            , figure (toFloat truck.quantity)
+            , figure (Units.toDisplay units Volume (Calculations.calculateMachineTruckRate truck / (1 + swellPercent / 100)))
+            ]
+    in
+    { name = "Trucks"
+    , header =
+        [ "Name"
+        , "Active"
+        , "Capacity (" ++ Units.unitSymbol units Volume ++ ")"
+        , "Round Trip (min)"
+        , "Efficiency (%)"
+        , "Fill Factor"
+        , "Driver"
+        , "Hourly Rate ($/hr)"
+        , "Operator Wage ($/hr)"
+        , "Fuel Burn (" ++ Units.unitSymbol units FuelVolume ++ "/hr)"
+        , "Max Payload (" ++ Units.unitSymbol units Weight ++ ")"
+        , "Quantity"
+        , "Rate (bank " ++ Units.unitSymbol units Volume ++ "/hr)"
+        ]
+    , rows = List.map truckRow (Calculations.resolveHaulCycles swellPercent estimate.excavators (withPayloads estimate.trucks))
+    }
+
+
+{-| The timeline heading the summary is the simulated one when the simulated
+run was chosen, as on screen, with the analytic one after it for comparison
+-}
+summary : Estimate -> Sheet
+summary estimate =
+    let
+        result =
+            estimate.result
+
+        units =
+            estimate.unitSystem
+
+        measuredResult label quantity amount =
+            [ Text label, figure (Units.toDisplay units quantity amount), Text (Units.unitSymbol units quantity) ]
+
+        rateResult label amount =
+            [ Text label, figure (Units.toDisplay units Volume amount), Text (Units.unitSymbol units Volume ++ "/hr") ]
+
+        timelineResults =
+            case estimate.simulation of
+                Just simulated ->
+                    [ [ Text "Project Completion", Number (toFloat simulated.timelineInDays), Text "working days" ]
+                    , [ Text "Total Project Hours", figure simulated.totalHours, Text "hours" ]
+                    , [ Text "Analytic Timeline", Number (toFloat result.timelineInDays), Text "working days" ]
+                    , [ Text "Average Truck Queue Wait", figure simulated.averageQueueWait, Text "min per load" ]
+                    ]
+
+                Nothing ->
+                    [ [ Text "Project Completion", Number (toFloat result.timelineInDays), Text "working days" ]
+                    , [ Text "Total Project Hours", figure result.totalHours, Text "hours" ]
+                    ]
+
+        scheduleResults =
+            case Maybe.map (\schedule -> ( schedule.startDate, schedule.completionDate )) result.schedule of
+                Just ( Just start, Just finish ) ->
+                    [ textRow "Start Date" (Calendar.toIsoString start)
+                    , textRow "Projected Completion" (Calendar.toIsoString finish)
+                    ]
+
+                _ ->
+                    []
+
+        rangeResults =
+            case result.timelineRange of
+                Just distribution ->
+                    [ [ Text "Optimistic (P10)", Number (toFloat distribution.p10), Text "working days" ]
+                    , [ Text "Most Likely (P50)", Number (toFloat distribution.p50), Text "working days" ]
+                    , [ Text "Conservative (P90)", Number (toFloat distribution.p90), Text "working days" ]
+                    ]
+
+                Nothing ->
+                    []
+
+        costResults =
+            case result.cost of
+                Just breakdown ->
+                    [ [ Text "Equipment Cost", figure breakdown.equipment, Text "$" ]
+                    , [ Text "Labor Cost", figure breakdown.labor, Text "$" ]
+                    , [ Text "Fuel Cost", figure breakdown.fuel, Text "$" ]
+                    , [ Text "Disposal Cost", figure breakdown.disposal, Text "$" ]
+                    , [ Text "Total Cost", figure breakdown.total, Text "$" ]
+                    , measuredResult "Cost per Unit Volume" VolumePrice breakdown.costPerCubicYard
+                    ]
+
+                Nothing ->
+                    []
+
+        bottleneck =
+            case result.bottleneck of
+                ExcavationBottleneck ->
+                    "Excavation Limited"
+
+                HaulingBottleneck ->
+                    "Hauling Limited"
+
+                Balanced ->
+                    "Well Balanced"
+    in
+    { name = "Summary"
+    , header = [ "Result", "Value", "Unit" ]
+    , rows =
+        timelineResults
+            ++ scheduleResults
+            ++ rangeResults
+            ++ [ measuredResult "Bank Volume" Volume result.bankVolume
+               , measuredResult "Loose Volume" Volume result.looseVolume
+               , measuredResult "Trucked Off Site" Volume result.exportedVolume
+               , measuredResult "Weight Hauled" Weight result.tonsHauled
+               , [ Text "Truck Loads", Number (toFloat result.truckLoads), Text "loads" ]
+               , rateResult "Excavator Rate" result.excavationRate
+               , rateResult "Truck Hauling Rate" result.haulingRate
+               , rateResult "Effective Rate" (productionRate result)
+               , textRow "Project Bottleneck" bottleneck
+               ]
+            ++ costResults
+    }
+
+
+
+-- CELLS
+
+
+{-| A form value that is a measurement, as a number in the chosen units.
+Text that cannot be read is kept as typed.
+-}
+measuredInput : UnitSystem -> String -> Quantity -> String -> List Cell
+measuredInput units label quantity stored =
+    [ Text label
+    , case InputParser.parseStored units quantity stored of
+        Ok amount ->
+            figure (Units.toDisplay units quantity amount)
+
+        Err _ ->
+            Text stored
+    , Text (Units.unitSymbol units quantity)
+    ]
+
+
+{-| A form value with no unit system, such as hours or a percentage
+-}
+plainInput : String -> String -> String -> List Cell
+plainInput label unit entered =
+    [ Text label
+    , case InputParser.parseNumber entered of
+        Ok amount ->
+            figure amount
+
+        Err _ ->
+            Text entered
+    , Text unit
+    ]
+
+
+textRow : String -> String -> List Cell
+textRow label entry =
+    [ Text label, Text entry, Text "" ]
+
+
+{-| A figure rounded to three decimals, so converted units do not carry
+floating point noise into the spreadsheet
+-}
+figure : Float -> Cell
+figure amount =
+    Number (toFloat (round (amount * 1000)) / 1000)
+
+
+yesNo : Bool -> String
+yesNo flag =
+    if flag then
+        "Yes"
+
+    else
+        "No"
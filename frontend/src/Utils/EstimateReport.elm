@@ -0,0 +1,543 @@
+module Utils.EstimateReport exposing (Estimate, report, fileName, fileStem)
+
+{-| The estimate as a PDF report to hand to the customer
+
+The report covers the project details, the pond's dimensions and volume, the
+fleet, the timeline, the bottleneck analysis, the assumptions and
+recommendations, and how the timeline was worked out. Figures are shown in
+the chosen units and formatted as the results panel shows them. Every page
+is headed with the company name and logo from the configuration.
+
+@docs Estimate, report, fileName, fileStem
+
+-}
+
+import Components.ProjectForm exposing (FormData)
+import Components.ResultsPanel exposing (formatCurrency, formatDays, formatHours, formatRate, formatUnitCost, formatVolume, productionRate)
+import Types.Equipment exposing (Excavator, Truck, machineLabel, operatorSkillLabel)
+import Types.Pond exposing (PondShape(..))
+import Types.Spoil exposing (placementLabel)
+import Utils.Calculations exposing (Bottleneck(..), CalculationResult, HaulCycleBreakdown, PondGeometry)
+import Utils.Calendar as Calendar exposing (Date)
+import Utils.Config exposing (Config)
+import Utils.Pdf as Pdf exposing (Block(..))
+import Utils.Simulation exposing (SimulationResult)
+import Utils.Units as Units exposing (UnitSystem(..))
+
+
+
+-- TYPES
+
+
+{-| Everything the report is made from. The simulation is given only when
+the simulated run was chosen over the analytic estimate; its timeline then
+heads the report, as it does on screen.
+-}
+type alias Estimate =
+    { config : Config
+    , projectName : String -- blank for an estimate not yet saved
+    , preparedOn : Date
+    , unitSystem : UnitSystem
+    , formData : FormData
+    , excavators : List Excavator
+    , trucks : List Truck
+    , result : CalculationResult
+    , simulation : Maybe SimulationResult
+    }
+
+
+
+-- REPORT
+
+
+{-| The report as a PDF file
+-}
+report : Estimate -> String
+report estimate =
+    Pdf.document
+        { companyName = estimate.config.branding.companyName
+        , logo = estimate.config.branding.logo
+        , title = reportTitle
+        , subtitle = "Prepared " ++ Calendar.formatDate estimate.preparedOn
+        }
+        (List.concat
+            [ [ Title (projectTitle estimate) ]
+            , projectDetails estimate
+            , pondDimensions estimate
+            , fleet estimate
+            , timeline estimate
+            , cost estimate
+            , bottleneckAnalysis estimate
+            , simulation estimate
+            , notes "Assumptions" "This timeline estimate is based on the following industry-standard assumptions:" estimate.result.assumptions
+            , notes "Recommendations" "To optimize project efficiency and timeline accuracy, consider these recommendations:" estimate.result.warnings
+            , methodology estimate
+            ]
+        )
+
+
+{-| Name to save the report under, from the project name and the day it was
+prepared, such as `north-field-pond-estimate-2026-06-15.pdf`
+-}
+fileName : String -> Date -> String
+fileName projectName preparedOn =
+    fileStem projectName preparedOn ++ ".pdf"
+
+
+{-| File name without its extension, for other files saved from the same
+estimate
+-}
+fileStem : String -> Date -> String
+fileStem projectName preparedOn =
+    let
+        slug =
+            projectName
+                |> String.toLower
+                |> String.map
+                    (\char ->
+                        if Char.isAlphaNum char then
+                            char
+
+                        else
+                            ' '
+                    )
+                |> String.words
+                |> String.join "-"
+    in
+    (if slug == "" then
+        ""
+
+     else
+        slug ++ "-"
+    )
+        ++ "pond-estimate-"
+        ++ Calendar.toIsoString preparedOn
+
+
+reportTitle : String
+reportTitle =
+    "Pond Excavation Estimate"
+
+
+projectTitle : Estimate -> String
+projectTitle estimate =
+    if String.isEmpty (String.trim estimate.projectName) then
+        reportTitle
+
+    else
+        String.trim estimate.projectName
+
+
+
+-- SECTIONS
+
+
+projectDetails : Estimate -> List Block
+projectDetails estimate =
+    let
+        formData =
+            estimate.formData
+    in
+    [ Heading "Project Details"
+    , Fields
+        [ ( "Prepared", Calendar.formatDate estimate.preparedOn )
+        , ( "Soil", soilName estimate )
+        , ( "Spoil", placementLabel formData.spoilPlacement )
+        , ( "Working Day", formData.workHoursPerDay ++ " hours" )
+        , ( "Units", Units.unitSystemLabel estimate.unitSystem )
+        , ( "Timeline Model"
+          , case estimate.simulation of
+                Just _ ->
+                    "Loading queue simulation"
+
+                Nothing ->
+                    "Analytic estimate"
+          )
+        ]
+    ]
+
+
+soilName : Estimate -> String
+soilName estimate =
+    estimate.config.defaults.soilTypes
+        |> List.filter (\soil -> soil.id == estimate.formData.soilType)
+        |> List.head
+        |> Maybe.map .name
+        |> Maybe.withDefault ("Custom soil, " ++ estimate.formData.customSwellPercent ++ "% swell")
+
+
+pondDimensions : Estimate -> List Block
+pondDimensions estimate =
+    let
+        result =
+            estimate.result
+
+        swellPercent =
+            if result.bankVolume > 0 then
+                (result.looseVolume / result.bankVolume - 1) * 100
+
+            else
+                0
+
+        weightLabel =
+            case estimate.unitSystem of
+                Imperial ->
+                    "Tons Hauled"
+
+                Metric ->
+                    "Tonnes Hauled"
+    in
+    [ Heading "Pond Dimensions and Volume"
+    , Fields
+        (Maybe.withDefault [] (Maybe.map (geometryFields estimate.unitSystem) result.pondGeometry)
+            ++ [ ( "Bank Volume (in ground)", volume estimate.unitSystem result.bankVolume )
+               , ( "Loose Volume (+" ++ formatRate swellPercent ++ "% swell)", volume estimate.unitSystem result.looseVolume )
+               ]
+            ++ (if result.exportedVolume < result.looseVolume then
+                    [ ( "Trucked Off Site", volume estimate.unitSystem result.exportedVolume ) ]
+
+                else
+                    []
+               )
+            ++ (if result.tonsHauled > 0 then
+                    [ ( weightLabel, formatVolume (Units.toDisplay estimate.unitSystem Units.Weight result.tonsHauled) ++ " " ++ Units.unitName estimate.unitSystem Units.Weight ) ]
+
+                else
+                    []
+               )
+            ++ [ ( "Truck Loads", String.fromInt result.truckLoads ) ]
+        )
+    ]
+
+
+geometryFields : UnitSystem -> PondGeometry -> List ( String, String )
+geometryFields unitSystem geometry =
+    let
+        length amount =
+            formatRate (Units.toDisplay unitSystem Units.Length amount)
+
+        lengthUnit =
+            Units.unitName unitSystem Units.Length
+
+        footprint topOrBottomLength topOrBottomWidth =
+            if geometry.shape == Circle && topOrBottomLength == topOrBottomWidth then
+                length topOrBottomLength ++ " " ++ lengthUnit ++ " across"
+
+            else
+                length topOrBottomLength ++ " × " ++ length topOrBottomWidth ++ " " ++ lengthUnit
+    in
+    [ ( "Shape", Types.Pond.shapeLabel geometry.shape )
+    , ( "Top of Bank", footprint geometry.topLength geometry.topWidth )
+    , ( "Surface Area", formatVolume (Units.toDisplay unitSystem Units.Area geometry.topArea) ++ " " ++ Units.unitSymbol unitSystem Units.Area )
+    , ( "Pond Bottom", footprint geometry.bottomLength geometry.bottomWidth )
+    , ( "Depth", length geometry.depth ++ " " ++ lengthUnit )
+    , ( "Excavation Volume", volume unitSystem geometry.volume )
+    ]
+
+
+fleet : Estimate -> List Block
+fleet estimate =
+    let
+        capacity amount =
+            formatRate (Units.toDisplay estimate.unitSystem Units.Volume amount) ++ " " ++ Units.unitSymbol estimate.unitSystem Units.Volume
+
+        percent fraction =
+            String.fromInt (round (fraction * 100)) ++ "%"
+
+        excavatorRow excavator =
+            [ machineLabel excavator
+            , "Excavator"
+            , capacity excavator.bucketCapacity ++ " bucket"
+            , formatRate excavator.cycleTime ++ " min cycle"
+            , percent excavator.efficiency
+            , operatorSkillLabel excavator.operatorSkill
+            ]
+
+        truckRow truck =
+            [ machineLabel truck
+            , "Truck"
+            , capacity truck.capacity ++ " bed"
+            , formatRate truck.roundTripTime ++ " min round trip"
+            , percent truck.efficiency
+            , operatorSkillLabel truck.operatorSkill
+            ]
+    in
+    [ Heading "Fleet"
+    , Table
+        [ { title = "Machine", share = 3 }
+        , { title = "Type", share = 1.4 }
+        , { title = "Capacity", share = 1.6 }
+        , { title = "Cycle", share = 1.8 }
+        , { title = "Efficiency", share = 1.2 }
+        , { title = "Operator", share = 1.2 }
+        ]
+        (List.map excavatorRow (List.filter .isActive estimate.excavators)
+            ++ List.map truckRow (List.filter .isActive estimate.trucks)
+        )
+    ]
+
+
+timeline : Estimate -> List Block
+timeline estimate =
+    let
+        result =
+            estimate.result
+
+        ( timelineInDays, totalHours ) =
+            case estimate.simulation of
+                Just simulated ->
+                    ( simulated.timelineInDays, simulated.totalHours )
+
+                Nothing ->
+                    ( result.timelineInDays, result.totalHours )
+
+        scheduleFields =
+            case result.schedule of
+                Just schedule ->
+                    case ( schedule.startDate, schedule.completionDate ) of
+                        ( Just start, Just finish ) ->
+                            [ ( "Final Day"
+                              , if schedule.extraHours > 0 then
+                                    formatHours schedule.extraHours ++ " hours"
+
+                                else
+                                    "Full day"
+                              )
+                            , ( "Start Date", Calendar.formatDate start )
+                            , ( "Projected Completion", Calendar.formatDate finish )
+                            , ( "Calendar Days", String.fromInt (Calendar.daysBetween start finish + 1) )
+                            ]
+
+                        _ ->
+                            []
+
+                Nothing ->
+                    []
+
+        rangeFields =
+            case result.timelineRange of
+                Just distribution ->
+                    [ ( "Optimistic (P10)", formatDays distribution.p10 )
+                    , ( "Most Likely (P50)", formatDays distribution.p50 )
+                    , ( "Conservative (P90)", formatDays distribution.p90 )
+                    ]
+
+                Nothing ->
+                    []
+
+        phaseRow phase =
+            [ phase.name
+            , formatVolume (Units.toDisplay estimate.unitSystem Units.Volume phase.volume) ++ " " ++ Units.unitSymbol estimate.unitSystem Units.Volume
+            , String.fromInt phase.excavatorCount ++ " exc. + " ++ String.fromInt phase.truckCount ++ " trucks"
+            , formatHours phase.totalHours
+            , formatDays phase.timelineInDays
+            , Maybe.withDefault "" (Maybe.map (.total >> formatCurrency) phase.cost)
+            ]
+    in
+    [ Heading "Timeline"
+    , Fields
+        ([ ( "Project Completion", formatDays timelineInDays )
+         , ( "Total Project Hours", formatHours totalHours )
+         ]
+            ++ scheduleFields
+            ++ rangeFields
+        )
+    , Note "A partly worked final day counts as a working day."
+    ]
+        ++ (if List.isEmpty result.phases then
+                []
+
+            else
+                [ Subheading "Project Phases"
+                , Table
+                    [ { title = "Phase", share = 2.4 }
+                    , { title = "Volume", share = 1.4 }
+                    , { title = "Machines", share = 1.8 }
+                    , { title = "Hours", share = 1 }
+                    , { title = "On its own", share = 1.6 }
+                    , { title = "Cost", share = 1.2 }
+                    ]
+                    (List.map phaseRow result.phases
+                        ++ [ [ "Whole Project"
+                             , ""
+                             , ""
+                             , formatHours result.totalHours
+                             , formatDays result.timelineInDays
+                             , Maybe.withDefault "" (Maybe.map (.total >> formatCurrency) result.cost)
+                             ]
+                           ]
+                    )
+                , Note "Phases are worked one after another, so a phase can start on the day the one before it finishes."
+                ]
+           )
+
+
+cost : Estimate -> List Block
+cost estimate =
+    case estimate.result.cost of
+        Just breakdown ->
+            [ Heading "Cost Estimate"
+            , Fields
+                [ ( "Equipment", formatCurrency breakdown.equipment )
+                , ( "Labor", formatCurrency breakdown.labor )
+                , ( "Fuel", formatCurrency breakdown.fuel )
+                , ( "Disposal", formatCurrency breakdown.disposal )
+                , ( "Total", formatCurrency breakdown.total )
+                , ( case estimate.unitSystem of
+                        Imperial ->
+                            "Cost per Cubic Yard"
+
+                        Metric ->
+                            "Cost per Cubic Metre"
+                  , formatUnitCost (Units.toDisplay estimate.unitSystem Units.VolumePrice breakdown.costPerCubicYard)
+                  )
+                ]
+            ]
+
+        Nothing ->
+            []
+
+
+bottleneckAnalysis : Estimate -> List Block
+bottleneckAnalysis estimate =
+    let
+        result =
+            estimate.result
+
+        ( label, explanation ) =
+            case result.bottleneck of
+                ExcavationBottleneck ->
+                    ( "Excavation Limited", "Excavator is the limiting factor in project timeline" )
+
+                HaulingBottleneck ->
+                    ( "Hauling Limited", "Truck hauling capacity limits project progress" )
+
+                Balanced ->
+                    ( "Well Balanced", "Equipment rates are optimally matched" )
+    in
+    [ Heading "Bottleneck Analysis"
+    , Fields
+        [ ( "Excavator Rate", rate estimate.unitSystem result.excavationRate )
+        , ( "Truck Hauling Rate", rate estimate.unitSystem result.haulingRate )
+        , ( "Effective Rate", rate estimate.unitSystem (productionRate result) )
+        , ( "Project Bottleneck", label )
+        ]
+    , Paragraph (explanation ++ ".")
+    ]
+
+
+simulation : Estimate -> List Block
+simulation estimate =
+    case estimate.simulation of
+        Just simulated ->
+            [ Heading "Loading Queue Simulation"
+            , Fields
+                [ ( "Simulated Timeline", formatDays simulated.timelineInDays )
+                , ( "Analytic Timeline", formatDays estimate.result.timelineInDays )
+                , ( "Simulated Hours", formatHours simulated.totalHours )
+                , ( "Average Truck Queue Wait", formatRate simulated.averageQueueWait ++ " min per load" )
+                , ( "Truck Loads", String.fromInt simulated.loads )
+                ]
+            , Table
+                [ { title = "Machine", share = 3 }, { title = "Utilization", share = 1 } ]
+                (List.map
+                    (\machine -> [ machine.name, String.fromInt (round (clamp 0 100 (machine.utilization * 100))) ++ "%" ])
+                    (simulated.excavators ++ simulated.trucks)
+                )
+            ]
+                ++ (if simulated.extrapolated then
+                        [ Note "Large job: the first loads were simulated and the timeline scaled to the full volume." ]
+
+                    else
+                        []
+                   )
+
+        Nothing ->
+            []
+
+
+{-| A titled bullet list, left out when there is nothing in it
+-}
+notes : String -> String -> List String -> List Block
+notes heading introduction items =
+    if List.isEmpty items then
+        []
+
+    else
+        [ Heading heading, Paragraph introduction, Bullets items ]
+
+
+methodology : Estimate -> List Block
+methodology estimate =
+    let
+        result =
+            estimate.result
+
+        bottleneckEquipment =
+            case result.bottleneck of
+                ExcavationBottleneck ->
+                    "excavator"
+
+                HaulingBottleneck ->
+                    "truck"
+
+                Balanced ->
+                    "both equipment types"
+    in
+    [ Heading "How This Timeline Was Calculated"
+    , Subheading "Equipment Analysis"
+    , Paragraph ("Your project's timeline is determined by the " ++ bottleneckEquipment ++ ", which sets the pace of work. Effective rate: " ++ rate estimate.unitSystem (productionRate result) ++ ".")
+    , Subheading "Timeline Calculation"
+    , Paragraph ("Total work hours are divided by daily working hours, then rounded up to complete days. Total hours: " ++ formatHours result.totalHours ++ " → " ++ formatDays result.timelineInDays ++ ".")
+    ]
+        ++ (if List.isEmpty result.haulCycles then
+                []
+
+            else
+                [ Subheading "Haul Cycle"
+                , Paragraph "Round trips worked out from bucket passes to fill each truck, travel time each way, and dump and spot times."
+                , Bullets (List.map haulCycleText result.haulCycles)
+                ]
+           )
+        ++ [ Note "This estimate uses industry-standard productivity rates and accounts for real-world construction conditions. The final timeline provides a reliable scheduling foundation for project planning." ]
+
+
+haulCycleText : HaulCycleBreakdown -> String
+haulCycleText breakdown =
+    breakdown.truckName
+        ++ ": load "
+        ++ formatRate breakdown.loadTime
+        ++ " min ("
+        ++ (if breakdown.passes == 1 then
+                "1 pass"
+
+            else
+                String.fromInt breakdown.passes ++ " passes"
+           )
+        ++ " from "
+        ++ breakdown.excavatorName
+        ++ ") + haul "
+        ++ formatRate breakdown.haulTime
+        ++ " + dump "
+        ++ formatRate breakdown.dumpTime
+        ++ " + return "
+        ++ formatRate breakdown.returnTime
+        ++ " + spot "
+        ++ formatRate breakdown.spotTime
+        ++ " = "
+        ++ formatRate breakdown.roundTripTime
+        ++ " min round trip"
+
+
+
+-- FORMATTING
+
+
+volume : UnitSystem -> Float -> String
+volume unitSystem amount =
+    formatVolume (Units.toDisplay unitSystem Units.Volume amount) ++ " " ++ Units.unitName unitSystem Units.Volume
+
+
+rate : UnitSystem -> Float -> String
+rate unitSystem amount =
+    formatRate (Units.toDisplay unitSystem Units.Volume amount) ++ " " ++ Units.unitName unitSystem Units.Volume ++ "/hour"
@@ -11,6 +11,8 @@ import Types.Equipment exposing (Excavator, Truck)
 import Types.Messages exposing (Msg(..))
 import Types.Model exposing (Model)
 import Types.Onboarding exposing (ExampleScenario, defaultExampleScenario)
+import Types.Pond exposing (PondShape(..))
+import Types.Spoil exposing (SpoilPlacement(..))
 import Utils.Config
 
 
@@ -32,6 +34,27 @@ loadExampleScenario model =
             , pondLength = String.fromFloat example.pondLength
             , pondWidth = String.fromFloat example.pondWidth
             , pondDepth = String.fromFloat example.pondDepth
+            , sideSlope = "0"
+            , perSideSlopes = False
+            , northSlope = "0"
+            , southSlope = "0"
+            , eastSlope = "0"
+            , westSlope = "0"
+            , pondShape = Rectangle
+            , cornerRadius = String.fromFloat (example.pondWidth / 4)
+            , smallLobeDiameter = String.fromFloat (example.pondWidth * 0.8)
+            , soilType = Utils.Config.getConfig.defaults.project.soilType
+            , customSwellPercent = "25"
+            , customDensity = "2300"
+            , spoilPlacement = ExportAll
+            , exportPercent = "50"
+            , fuelPrice = String.fromFloat Utils.Config.getConfig.defaults.project.fuelPrice
+            , disposalFee = String.fromFloat Utils.Config.getConfig.defaults.project.disposalFee
+            , workHoursMin = String.fromFloat Utils.Config.getConfig.defaults.project.workHoursMin
+            , workHoursMax = String.fromFloat Utils.Config.getConfig.defaults.project.workHoursMax
+            , startDate = ""
+            , workDays = Utils.Config.getConfig.defaults.project.workDays
+            , holidays = []
             , errors = []
             }
 
@@ -101,14 +124,7 @@ clearExampleScenario model =
 initExcavatorsFromConfig : List Utils.Config.ExcavatorDefaults -> Int -> List Excavator
 initExcavatorsFromConfig excavatorDefaults startId =
     List.indexedMap
-        (\index defaults ->
-            { id = "excavator-" ++ String.fromInt (startId + index)
-            , bucketCapacity = defaults.bucketCapacity
-            , cycleTime = defaults.cycleTime
-            , name = defaults.name
-            , isActive = True
-            }
-        )
+        (\index defaults -> Utils.Config.excavatorFromDefaults ("excavator-" ++ String.fromInt (startId + index)) defaults)
         excavatorDefaults
 
 
@@ -117,12 +133,5 @@ initExcavatorsFromConfig excavatorDefaults startId =
 initTrucksFromConfig : List Utils.Config.TruckDefaults -> Int -> List Truck
 initTrucksFromConfig truckDefaults startId =
     List.indexedMap
-        (\index defaults ->
-            { id = "truck-" ++ String.fromInt (startId + index)
-            , capacity = defaults.capacity
-            , roundTripTime = defaults.roundTripTime
-            , name = defaults.name
-            , isActive = True
-            }
-        )
+        (\index defaults -> Utils.Config.truckFromDefaults ("truck-" ++ String.fromInt (startId + index)) defaults)
         truckDefaults
@@ -0,0 +1,718 @@
+module Utils.FleetImport exposing (Machine(..), ImportRow, parse, withinLimits, toFleet, maxRows)
+
+{-| Read an equipment roster from a CSV or JSON file into machines for the
+fleet
+
+Each row names a machine, its type (excavator or truck), its bucket or truck
+capacity, its cycle or round trip time and whether it is active. Column names
+are matched loosely: case, spaces and a unit in brackets are ignored, so the
+excavator and truck tables saved by the spreadsheet export read back in. The
+type can be left out when the columns make it plain, such as a bucket
+capacity for an excavator. JSON may be a list of such rows, or an object with
+`excavators` and `trucks` lists.
+
+Capacities are read in the chosen units and may carry their own, such as
+`3 yd3`. Everything else about an imported machine, such as its efficiency
+and rates, comes from the first configured model of its type. Every row is
+checked as a machine in the fleet would be, and rows with problems are
+listed with them and left out of the import.
+
+@docs Machine, ImportRow, parse, withinLimits, toFleet, maxRows
+
+-}
+
+import Dict exposing (Dict)
+import Json.Decode as Decode exposing (Decoder)
+import Types.Equipment exposing (Excavator, TimeRange, Truck)
+import Utils.Config exposing (Config, FleetLimits, ValidationRange, ValidationRules)
+import Utils.InputParser as InputParser
+import Utils.Units exposing (Quantity(..), UnitSystem)
+import Utils.Validation as Validation exposing (ExcavatorField(..), TruckField(..))
+
+
+
+-- TYPES
+
+
+{-| A machine read from a row, before it is given an id in the fleet
+-}
+type Machine
+    = ImportedExcavator Excavator
+    | ImportedTruck Truck
+
+
+{-| One row of the file as written, and the machine read from it or the
+problems that stop it being imported
+-}
+type alias ImportRow =
+    { number : Int -- row in the file: the header is row 1 of a CSV file, and JSON items count from 1
+    , name : String
+    , kind : String
+    , capacity : String
+    , time : String
+    , active : String
+    , machine : Result (List String) Machine
+    }
+
+
+type Kind
+    = ExcavatorKind
+    | TruckKind
+
+
+{-| What an imported machine is built on, from the configuration
+-}
+type alias Context =
+    { units : UnitSystem
+    , rules : ValidationRules
+    , excavator : Excavator
+    , truck : Truck
+    }
+
+
+{-| Most rows read from one file
+-}
+maxRows : Int
+maxRows =
+    500
+
+
+
+-- PARSING
+
+
+{-| Read the rows of a file, given its name and text. A file that is not
+JSON, by name or by its first character, is read as CSV. The error says why
+no rows could be read at all.
+-}
+parse : Config -> UnitSystem -> String -> String -> Result String (List ImportRow)
+parse config units fileName content =
+    let
+        text =
+            if String.startsWith "\u{FEFF}" content then
+                String.dropLeft 1 content
+
+            else
+                content
+
+        isJson =
+            String.endsWith ".json" (String.toLower fileName)
+                || String.startsWith "[" (String.trimLeft text)
+                || String.startsWith "{" (String.trimLeft text)
+
+        context =
+            { units = units
+            , rules = config.validation
+            , excavator = Utils.Config.defaultExcavator "" config.defaults
+            , truck = Utils.Config.defaultTruck "" config.defaults
+            }
+    in
+    (if isJson then
+        jsonRecords text
+
+     else
+        csvRecords text
+    )
+        |> Result.andThen
+            (\records ->
+                if List.isEmpty records then
+                    Err "The file has no rows of machines."
+
+                else if List.length records > maxRows then
+                    Err ("The file has " ++ String.fromInt (List.length records) ++ " rows. Import at most " ++ String.fromInt maxRows ++ " at a time.")
+
+                else
+                    Ok (List.map (\( number, fields ) -> readRow context number fields) records)
+            )
+
+
+{-| Numbered rows of a CSV file, keyed by column. The header row is row 1, so
+numbers match the rows of the spreadsheet the file came from. Commas,
+semicolons and tabs are all taken as separators, whichever the header uses.
+-}
+csvRecords : String -> Result String (List ( Int, Dict String String ))
+csvRecords text =
+    let
+        headerLine =
+            List.head (String.lines text) |> Maybe.withDefault ""
+
+        count char =
+            String.length (String.filter ((==) char) headerLine)
+
+        delimiter =
+            if count ',' == 0 && count '\t' > 0 then
+                '\t'
+
+            else if count ',' == 0 && count ';' > 0 then
+                ';'
+
+            else
+                ','
+    in
+    case csvRows delimiter (String.toList text) { field = [], fields = [], rows = [], quoted = False } of
+        header :: rows ->
+            let
+                keys =
+                    List.map columnKey header
+            in
+            if List.any (\key -> List.any (List.member key) allColumns) keys then
+                rows
+                    |> List.indexedMap (\index fields -> ( index + 2, Dict.fromList (List.map2 Tuple.pair keys fields) ))
+                    |> List.filter (\( _, fields ) -> List.any (not << String.isEmpty << String.trim) (Dict.values fields))
+                    |> Ok
+
+            else
+                Err "No columns were recognised. Head them name, type, bucket capacity, truck capacity, cycle time, round trip time and active."
+
+        [] ->
+            Err "The file has no rows of machines."
+
+
+type alias CsvState =
+    { field : List Char -- the field being read, last character first
+    , fields : List String -- the row being read, last field first
+    , rows : List (List String) -- rows read, last row first
+    , quoted : Bool
+    }
+
+
+{-| Rows of fields, read as RFC 4180 has them: quoted fields may hold
+separators, line breaks and doubled quotes
+-}
+csvRows : Char -> List Char -> CsvState -> List (List String)
+csvRows delimiter chars state =
+    case chars of
+        [] ->
+            if List.isEmpty state.field && List.isEmpty state.fields then
+                List.reverse state.rows
+
+            else
+                List.reverse (endRow state).rows
+
+        char :: rest ->
+            if state.quoted then
+                if char == '"' then
+                    case rest of
+                        '"' :: afterQuote ->
+                            csvRows delimiter afterQuote { state | field = '"' :: state.field }
+
+                        _ ->
+                            csvRows delimiter rest { state | quoted = False }
+
+                else
+                    csvRows delimiter rest { state | field = char :: state.field }
+
+            else if char == '"' then
+                csvRows delimiter rest { state | quoted = True }
+
+            else if char == delimiter then
+                csvRows delimiter rest (endField state)
+
+            else if char == '\n' then
+                csvRows delimiter rest (endRow state)
+
+            else if char == '\u{000D}' then
+                csvRows delimiter rest state
+
+            else
+                csvRows delimiter rest { state | field = char :: state.field }
+
+
+endField : CsvState -> CsvState
+endField state =
+    { state | field = [], fields = String.fromList (List.reverse state.field) :: state.fields }
+
+
+endRow : CsvState -> CsvState
+endRow state =
+    let
+        ended =
+            endField state
+    in
+    { ended | fields = [], rows = List.reverse ended.fields :: ended.rows }
+
+
+{-| Numbered items of a JSON file, keyed by column
+-}
+jsonRecords : String -> Result String (List ( Int, Dict String String ))
+jsonRecords text =
+    case Decode.decodeString jsonRoster text of
+        Ok records ->
+            Ok (List.indexedMap (\index fields -> ( index + 1, fields )) records)
+
+        Err _ ->
+            Err "The file could not be read as JSON. It should be a list of machines, or an object with excavators and trucks lists."
+
+
+jsonRoster : Decoder (List (Dict String String))
+jsonRoster =
+    Decode.oneOf
+        [ Decode.list jsonRecord
+        , Decode.map2 (++)
+            (jsonGroup "excavators" "excavator")
+            (jsonGroup "trucks" "truck")
+        ]
+
+
+{-| A list of one type of machine, which need not say its type. The list may
+be left out.
+-}
+jsonGroup : String -> String -> Decoder (List (Dict String String))
+jsonGroup key kind =
+    Decode.maybe (Decode.field key Decode.value)
+        |> Decode.andThen
+            (\group ->
+                case group of
+                    Just _ ->
+                        Decode.field key (Decode.list (Decode.map (Dict.update "type" (Maybe.withDefault kind >> Just)) jsonRecord))
+
+                    Nothing ->
+                        Decode.succeed []
+            )
+
+
+jsonRecord : Decoder (Dict String String)
+jsonRecord =
+    Decode.keyValuePairs
+        (Decode.oneOf
+            [ Decode.string
+            , Decode.map String.fromFloat Decode.float
+            , Decode.map
+                (\flag ->
+                    if flag then
+                        "yes"
+
+                    else
+                        "no"
+                )
+                Decode.bool
+            , Decode.succeed ""
+            ]
+        )
+        |> Decode.map (List.map (Tuple.mapFirst columnKey) >> Dict.fromList)
+
+
+
+-- COLUMNS
+
+
+{-| A column name reduced to lower case letters and digits, without any unit
+in brackets, so `Bucket Capacity (yd³)` and `bucketCapacity` match
+-}
+columnKey : String -> String
+columnKey heading =
+    heading
+        |> String.split "("
+        |> List.head
+        |> Maybe.withDefault ""
+        |> String.toLower
+        |> String.filter Char.isAlphaNum
+
+
+nameColumns : List String
+nameColumns =
+    [ "name", "machine", "model", "unit" ]
+
+
+typeColumns : List String
+typeColumns =
+    [ "type", "kind", "equipment", "equipmenttype" ]
+
+
+bucketColumns : List String
+bucketColumns =
+    [ "bucketcapacity", "bucket", "bucketsize" ]
+
+
+truckCapacityColumns : List String
+truckCapacityColumns =
+    [ "truckcapacity", "bedcapacity" ]
+
+
+capacityColumns : List String
+capacityColumns =
+    [ "capacity" ]
+
+
+cycleColumns : List String
+cycleColumns =
+    [ "cycletime", "cycle" ]
+
+
+roundTripColumns : List String
+roundTripColumns =
+    [ "roundtriptime", "roundtrip" ]
+
+
+activeColumns : List String
+activeColumns =
+    [ "active", "isactive" ]
+
+
+allColumns : List (List String)
+allColumns =
+    [ nameColumns, typeColumns, bucketColumns, truckCapacityColumns, capacityColumns, cycleColumns, roundTripColumns, activeColumns ]
+
+
+
+-- ROWS
+
+
+readRow : Context -> Int -> Dict String String -> ImportRow
+readRow context number fields =
+    let
+        entry columns =
+            columns
+                |> List.filterMap (\column -> Dict.get column fields)
+                |> List.map String.trim
+                |> List.filter (not << String.isEmpty)
+                |> List.head
+                |> Maybe.withDefault ""
+
+        name =
+            entry nameColumns
+
+        kindText =
+            entry typeColumns
+
+        activeText =
+            entry activeColumns
+
+        row capacity time machine =
+            { number = number
+            , name = name
+            , kind = kindText
+            , capacity = capacity
+            , time = time
+            , active = activeText
+            , machine = machine
+            }
+    in
+    case readKind kindText (entry (bucketColumns ++ cycleColumns)) (entry (truckCapacityColumns ++ roundTripColumns)) of
+        Ok ExcavatorKind ->
+            let
+                capacity =
+                    entry (bucketColumns ++ capacityColumns)
+
+                time =
+                    entry cycleColumns
+            in
+            row capacity time (readExcavator context name capacity time activeText)
+
+        Ok TruckKind ->
+            let
+                capacity =
+                    entry (truckCapacityColumns ++ capacityColumns)
+
+                time =
+                    entry roundTripColumns
+            in
+            row capacity time (readTruck context name capacity time activeText)
+
+        Err problem ->
+            row (entry (capacityColumns ++ bucketColumns ++ truckCapacityColumns)) (entry (cycleColumns ++ roundTripColumns)) (Err [ problem ])
+
+
+{-| The type written in the row, or else the one its excavator or truck
+figures point to
+-}
+readKind : String -> String -> String -> Result String Kind
+readKind written excavatorFigures truckFigures =
+    let
+        lower =
+            String.toLower written
+    in
+    if String.contains "excavator" lower || String.contains "digger" lower then
+        Ok ExcavatorKind
+
+    else if String.contains "truck" lower then
+        Ok TruckKind
+
+    else if not (String.isEmpty written) then
+        Err ("Type must be excavator or truck, not '" ++ written ++ "'.")
+
+    else if excavatorFigures /= "" && truckFigures == "" then
+        Ok ExcavatorKind
+
+    else if truckFigures /= "" && excavatorFigures == "" then
+        Ok TruckKind
+
+    else
+        Err "Type is missing. Say whether this is an excavator or a truck."
+
+
+readExcavator : Context -> String -> String -> String -> String -> Result (List String) Machine
+readExcavator context name capacityText timeText activeText =
+    let
+        template =
+            context.excavator
+    in
+    case ( readCapacity context.units "Bucket capacity" capacityText, readMinutes "Cycle time" timeText, readActive activeText ) of
+        ( Ok capacity, Ok minutes, Ok isActive ) ->
+            let
+                excavator =
+                    { template
+                        | name = nameOr template.name name
+                        , bucketCapacity = capacity
+                        , cycleTime = minutes
+                        , isActive = isActive
+                        , cycleTimeRange = Maybe.map (scaleRange context.rules.cycleTime template.cycleTime minutes) template.cycleTimeRange
+                    }
+            in
+            case Validation.validateSingleExcavator context.rules excavator of
+                [] ->
+                    Ok (ImportedExcavator excavator)
+
+                errors ->
+                    Err (List.map (\( _, field, error ) -> excavatorFieldLabel field ++ ": " ++ Validation.errorToString error) errors)
+
+        ( capacity, minutes, isActive ) ->
+            Err (problems capacity ++ problems minutes ++ problems isActive)
+
+
+readTruck : Context -> String -> String -> String -> String -> Result (List String) Machine
+readTruck context name capacityText timeText activeText =
+    let
+        template =
+            context.truck
+    in
+    case ( readCapacity context.units "Truck capacity" capacityText, readMinutes "Round trip time" timeText, readActive activeText ) of
+        ( Ok capacity, Ok minutes, Ok isActive ) ->
+            let
+                truck =
+                    { template
+                        | name = nameOr template.name name
+                        , capacity = capacity
+                        , roundTripTime = minutes
+                        , isActive = isActive
+                        , roundTripTimeRange = Maybe.map (scaleRange context.rules.roundTripTime template.roundTripTime minutes) template.roundTripTimeRange
+                    }
+            in
+            case Validation.validateSingleTruck context.rules truck of
+                [] ->
+                    Ok (ImportedTruck truck)
+
+                errors ->
+                    Err (List.map (\( _, field, error ) -> truckFieldLabel field ++ ": " ++ Validation.errorToString error) errors)
+
+        ( capacity, minutes, isActive ) ->
+            Err (problems capacity ++ problems minutes ++ problems isActive)
+
+
+nameOr : String -> String -> String
+nameOr fallback name =
+    if String.isEmpty name then
+        fallback
+
+    else
+        name
+
+
+readCapacity : UnitSystem -> String -> String -> Result String Float
+readCapacity units label written =
+    if String.isEmpty written then
+        Err (label ++ " is missing.")
+
+    else
+        InputParser.parseMeasure units Volume written
+            |> Result.mapError (\reason -> label ++ ": " ++ reason)
+
+
+readMinutes : String -> String -> Result String Float
+readMinutes label written =
+    if String.isEmpty written then
+        Err (label ++ " is missing.")
+
+    else
+        InputParser.parseNumber written
+            |> Result.mapError (\reason -> label ++ ": " ++ reason)
+
+
+{-| A blank entry counts as active, as a new machine is
+-}
+readActive : String -> Result String Bool
+readActive written =
+    let
+        lower =
+            String.toLower written
+    in
+    if List.member lower [ "", "yes", "y", "true", "1", "active", "on" ] then
+        Ok True
+
+    else if List.member lower [ "no", "n", "false", "0", "inactive", "off", "parked" ] then
+        Ok False
+
+    else
+        Err ("Active must be yes or no, not '" ++ written ++ "'.")
+
+
+problems : Result String a -> List String
+problems result =
+    case result of
+        Err problem ->
+            [ problem ]
+
+        Ok _ ->
+            []
+
+
+{-| The model's fastest and slowest times scaled to the imported likely time,
+kept within the allowed range and either side of the likely time
+-}
+scaleRange : ValidationRange -> Float -> Float -> TimeRange -> TimeRange
+scaleRange allowed modelTime likely ends =
+    let
+        scale =
+            if modelTime > 0 then
+                likely / modelTime
+
+            else
+                1
+    in
+    { min = clamp allowed.min likely (ends.min * scale)
+    , max = clamp likely allowed.max (ends.max * scale)
+    }
+
+
+excavatorFieldLabel : ExcavatorField -> String
+excavatorFieldLabel field =
+    case field of
+        ExcavatorBucketCapacity ->
+            "Bucket capacity"
+
+        ExcavatorCycleTime ->
+            "Cycle time"
+
+        ExcavatorEfficiency ->
+            "Efficiency"
+
+        ExcavatorFillFactor ->
+            "Fill factor"
+
+        ExcavatorHourlyRate ->
+            "Hourly rate"
+
+        ExcavatorOperatorWage ->
+            "Operator wage"
+
+        ExcavatorFuelBurn ->
+            "Fuel burn"
+
+        ExcavatorCycleTimeRange ->
+            "Cycle time range"
+
+
+truckFieldLabel : TruckField -> String
+truckFieldLabel field =
+    case field of
+        TruckFieldCapacity ->
+            "Truck capacity"
+
+        TruckFieldRoundTripTime ->
+            "Round trip time"
+
+        TruckFieldEfficiency ->
+            "Efficiency"
+
+        TruckFieldFillFactor ->
+            "Fill factor"
+
+        TruckFieldHourlyRate ->
+            "Hourly rate"
+
+        TruckFieldOperatorWage ->
+            "Operator wage"
+
+        TruckFieldFuelBurn ->
+            "Fuel burn"
+
+        TruckFieldRoundTripTimeRange ->
+            "Round trip time range"
+
+        TruckFieldHaulCycle ->
+            "Haul cycle"
+
+        TruckFieldMaxPayload ->
+            "Maximum payload"
+
+
+
+-- IMPORTING
+
+
+{-| Turn away machines the fleet has no room for, given how many of each it
+already has. Rows are taken in file order, so the last ones are turned away.
+-}
+withinLimits : FleetLimits -> { excavators : Int, trucks : Int } -> List ImportRow -> List ImportRow
+withinLimits limits fleet rows =
+    let
+        check row ( room, checked ) =
+            case row.machine of
+                Ok (ImportedExcavator _) ->
+                    if room.excavators > 0 then
+                        ( { room | excavators = room.excavators - 1 }, row :: checked )
+
+                    else
+                        ( room, { row | machine = Err [ "The fleet is full: it holds at most " ++ String.fromInt limits.maxExcavators ++ " excavators." ] } :: checked )
+
+                Ok (ImportedTruck _) ->
+                    if room.trucks > 0 then
+                        ( { room | trucks = room.trucks - 1 }, row :: checked )
+
+                    else
+                        ( room, { row | machine = Err [ "The fleet is full: it holds at most " ++ String.fromInt limits.maxTrucks ++ " trucks." ] } :: checked )
+
+                Err _ ->
+                    ( room, row :: checked )
+    in
+    rows
+        |> List.foldl check ( { excavators = limits.maxExcavators - fleet.excavators, trucks = limits.maxTrucks - fleet.trucks }, [] )
+        |> Tuple.second
+        |> List.reverse
+
+
+{-| The machines from rows without problems, with fresh ids counting on from
+the next free ones. A machine imported without a name is named after its
+model and id number, as a machine added by hand is.
+-}
+toFleet : { nextExcavatorId : Int, nextTruckId : Int } -> List ImportRow -> { excavators : List Excavator, trucks : List Truck, nextExcavatorId : Int, nextTruckId : Int }
+toFleet nextIds rows =
+    let
+        numbered number row name =
+            if String.isEmpty row.name then
+                name ++ " " ++ String.fromInt number
+
+            else
+                name
+
+        add row fleet =
+            case row.machine of
+                Ok (ImportedExcavator excavator) ->
+                    { fleet
+                        | excavators =
+                            { excavator
+                                | id = "excavator-" ++ String.fromInt fleet.nextExcavatorId
+                                , name = numbered fleet.nextExcavatorId row excavator.name
+                            }
+                                :: fleet.excavators
+                        , nextExcavatorId = fleet.nextExcavatorId + 1
+                    }
+
+                Ok (ImportedTruck truck) ->
+                    { fleet
+                        | trucks =
+                            { truck
+                                | id = "truck-" ++ String.fromInt fleet.nextTruckId
+                                , name = numbered fleet.nextTruckId row truck.name
+                            }
+                                :: fleet.trucks
+                        , nextTruckId = fleet.nextTruckId + 1
+                    }
+
+                Err _ ->
+                    fleet
+
+        imported =
+            List.foldl add { excavators = [], trucks = [], nextExcavatorId = nextIds.nextExcavatorId, nextTruckId = nextIds.nextTruckId } rows
+    in
+    { imported | excavators = List.reverse imported.excavators, trucks = List.reverse imported.trucks }
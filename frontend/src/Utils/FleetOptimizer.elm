@@ -0,0 +1,269 @@
+module Utils.FleetOptimizer exposing (OptimizerInputs, FleetOption, optimizeFleet, catalogExcavators, catalogTrucks, haulRoute, maxOptions)
+
+{-| Search for the fleets that finish a job soonest within a deadline
+
+Every fleet tried is built from one excavator model and one truck model out
+of the manufacturer catalog, in any numbers up to the fleet limits. Each
+combination is run through the same timeline and cost calculations as the
+fleet on screen, and the ones that meet the deadline are ranked.
+
+@docs OptimizerInputs, FleetOption, optimizeFleet, catalogExcavators, catalogTrucks, haulRoute, maxOptions
+
+-}
+
+import Types.Equipment exposing (CubicYards, Excavator, HaulCycle, Truck)
+import Types.Phase exposing (Phase)
+import Utils.Calculations as Calculations exposing (Bottleneck(..))
+import Utils.Config exposing (Config, FleetLimits, excavatorFromCatalog, truckFromCatalog)
+import Utils.Cost as Cost exposing (CostRates)
+
+
+
+-- TYPES
+
+
+{-| The job to solve for: the deadline in working days, the soil swell
+percentage, the share of spoil trucked off site, the soil density in pounds
+per bank cubic yard, the bank volume to dig, the working day length, the haul
+route every truck tried runs when the job has one, and, when known, the job-wide
+rates used to price each fleet. The other phases of the project are worked
+after the bulk dig, by every machine tried.
+-}
+type alias OptimizerInputs =
+    { targetDays : Int
+    , swellPercent : Float
+    , exportPercent : Float
+    , soilDensity : Float
+    , bankVolume : CubicYards
+    , workHoursPerDay : Float
+    , haulRoute : Maybe HaulCycle
+    , phases : List Phase
+    , costRates : Maybe CostRates
+    }
+
+
+{-| A fleet that meets the deadline, with how long it takes, which side of
+the job holds it back and what it costs to run (when rates are known)
+-}
+type alias FleetOption =
+    { excavatorModel : Excavator
+    , excavatorCount : Int
+    , truckModel : Truck
+    , truckCount : Int
+    , timelineInDays : Int
+    , totalHours : Float
+    , bottleneck : Bottleneck
+    , cost : Maybe Float
+    }
+
+
+{-| Most options returned by a search
+-}
+maxOptions : Int
+maxOptions =
+    5
+
+
+
+-- SEARCH
+
+
+{-| Try each pairing of the given models within the fleet limits and return
+the best fleets that finish within the target days. Options are ranked by
+working days, then by how well digging and hauling are balanced, then by cost
+when rates are known, then by the number of machines. When all the spoil
+stays on site only excavators are tried, paired with no trucks.
+-}
+optimizeFleet : FleetLimits -> List Excavator -> List Truck -> OptimizerInputs -> List FleetOption
+optimizeFleet limits excavatorModels truckModels inputs =
+    let
+        truckChoices =
+            if inputs.exportPercent > 0 then
+                truckModels
+
+            else
+                List.take 1 truckModels
+    in
+    excavatorModels
+        |> List.concatMap
+            (\excavatorModel ->
+                List.concatMap (searchModels limits inputs excavatorModel) truckChoices
+            )
+        |> List.sortWith compareOptions
+        |> List.take maxOptions
+
+
+{-| Fleets of one excavator model and one truck model that meet the
+deadline. Excavators are added one at a time until some fleet meets it. For
+each number of excavators, trucks are added until hauling no longer holds
+the job back, since more would only wait at the excavators. This keeps the
+search small enough to run as the user waits. Fleets for a job that keeps
+its spoil on site have no trucks.
+-}
+searchModels : FleetLimits -> OptimizerInputs -> Excavator -> Truck -> List FleetOption
+searchModels limits inputs excavatorModel truckModel =
+    let
+        fewestTrucks =
+            if inputs.exportPercent > 0 then
+                1
+
+            else
+                0
+
+        withTrucks excavatorCount truckCount =
+            if truckCount > limits.maxTrucks then
+                []
+
+            else
+                case evaluate inputs excavatorModel excavatorCount truckModel truckCount of
+                    Just option ->
+                        if option.bottleneck == HaulingBottleneck then
+                            option :: withTrucks excavatorCount (truckCount + 1)
+
+                        else
+                            [ option ]
+
+                    Nothing ->
+                        []
+
+        withExcavators excavatorCount =
+            if excavatorCount > limits.maxExcavators then
+                []
+
+            else
+                case List.filter (\option -> option.timelineInDays <= inputs.targetDays) (withTrucks excavatorCount fewestTrucks) of
+                    [] ->
+                        withExcavators (excavatorCount + 1)
+
+                    options ->
+                        options
+    in
+    withExcavators 1
+
+
+{-| Every excavator in the catalog, set up like the default model
+-}
+catalogExcavators : Config -> List Excavator
+catalogExcavators config =
+    List.map (excavatorFromCatalog "excavator" config.defaults) config.catalog.excavators
+
+
+{-| Every truck in the catalog, set up like the default model
+-}
+catalogTrucks : Config -> List Truck
+catalogTrucks config =
+    List.map (truckFromCatalog "truck" config.defaults) config.catalog.trucks
+
+
+{-| Work out the timeline and cost of one fleet combination, the way the
+fleet on screen is worked out. Each model tried is one row with the count as
+its quantity, and every machine tried works each phase, as it would once the
+option is applied.
+-}
+evaluate : OptimizerInputs -> Excavator -> Int -> Truck -> Int -> Maybe FleetOption
+evaluate inputs excavatorModel excavatorCount truckModel truckCount =
+    let
+        excavators =
+            rowOf { excavatorModel | id = "excavator-1" } excavatorCount
+
+        -- Trucks carry what their payload allows, and on the job's haul route
+        -- take the round trip worked out from it
+        trucks =
+            rowOf { truckModel | id = "truck-1", haulCycle = inputs.haulRoute } truckCount
+                |> Calculations.resolvePayloads inputs.swellPercent inputs.soilDensity
+                |> Calculations.resolveHaulCycles inputs.swellPercent excavators
+
+        phaseResults =
+            inputs.phases
+                |> List.map
+                    (\phase ->
+                        Calculations.calculatePhase inputs.swellPercent
+                            inputs.exportPercent
+                            excavators
+                            trucks
+                            inputs.workHoursPerDay
+                            inputs.costRates
+                            { phase | excavatorIds = List.map .id excavators, truckIds = List.map .id trucks }
+                    )
+                |> List.foldr (Result.map2 (::)) (Ok [])
+    in
+    Calculations.performCalculationWithSpoil inputs.swellPercent inputs.exportPercent excavators trucks inputs.bankVolume inputs.workHoursPerDay
+        |> Result.map
+            (\bulk ->
+                { bulk
+                    | cost =
+                        Maybe.map
+                            (\rates -> Cost.calculateProjectCost rates excavators trucks bulk.totalHours bulk.bankVolume bulk.exportedVolume)
+                            inputs.costRates
+                }
+            )
+        |> Result.map2 (Calculations.withPhases inputs.workHoursPerDay excavators trucks) phaseResults
+        |> Result.toMaybe
+        |> Maybe.map
+            (\result ->
+                { excavatorModel = excavatorModel
+                , excavatorCount = excavatorCount
+                , truckModel = truckModel
+                , truckCount = truckCount
+                , timelineInDays = result.timelineInDays
+                , totalHours = result.totalHours
+                , bottleneck = result.bottleneck
+                , cost = Maybe.map .total result.cost
+                }
+            )
+
+
+{-| The haul cycle of the first active truck that works out its round trip
+from one, as the route for every truck tried. Its loading excavator is left
+out, since each fleet tried brings its own.
+-}
+haulRoute : List Truck -> Maybe HaulCycle
+haulRoute trucks =
+    trucks
+        |> List.filter .isActive
+        |> List.filterMap .haulCycle
+        |> List.head
+        |> Maybe.map (\cycle -> { cycle | loadingExcavator = Nothing })
+
+
+
+-- HELPERS
+
+
+{-| One equipment row standing for that many of the model, or none when no
+machine of it is tried
+-}
+rowOf : { machine | quantity : Int } -> Int -> List { machine | quantity : Int }
+rowOf model count =
+    if count > 0 then
+        [ { model | quantity = count } ]
+
+    else
+        []
+
+
+compareOptions : FleetOption -> FleetOption -> Order
+compareOptions a b =
+    [ compare a.timelineInDays b.timelineInDays
+    , compare (balanceRank a.bottleneck) (balanceRank b.bottleneck)
+    , compare (Maybe.withDefault 0 a.cost) (Maybe.withDefault 0 b.cost)
+    , compare (a.excavatorCount + a.truckCount) (b.excavatorCount + b.truckCount)
+    ]
+        |> List.filter ((/=) EQ)
+        |> List.head
+        |> Maybe.withDefault EQ
+
+
+{-| Balanced fleets sort ahead of ones with machines waiting on each other
+-}
+balanceRank : Bottleneck -> Int
+balanceRank bottleneck =
+    case bottleneck of
+        Balanced ->
+            0
+
+        ExcavationBottleneck ->
+            1
+
+        HaulingBottleneck ->
+            1
@@ -1,13 +1,15 @@
-module Utils.HelpContent exposing (HelpContent, getHelpContent)
+module Utils.HelpContent exposing (HelpContent, getHelpContent, shapeHelpId)
 
 {-| Help content utilities for contextual help system
 
-@docs HelpContent, getHelpContent
+@docs HelpContent, getHelpContent, shapeHelpId
 
 -}
 
 import Dict exposing (Dict)
+import Types.Pond exposing (PondShape(..))
 import Utils.Config exposing (ValidationRules)
+import Utils.Units as Units exposing (Quantity(..), UnitSystem(..))
 
 
 
@@ -27,33 +29,70 @@ type alias HelpContent =
 -- HELP CONTENT STORAGE
 
 
-{-| Get help content for a specific field ID using validation rules from configuration
+{-| Get help content for a specific field ID using validation rules from
+configuration, with ranges and examples in the chosen units
 -}
-getHelpContent : ValidationRules -> String -> Maybe HelpContent
-getHelpContent validationRules fieldId =
-    Dict.get fieldId (helpContentDict validationRules)
+getHelpContent : UnitSystem -> ValidationRules -> String -> Maybe HelpContent
+getHelpContent unitSystem validationRules fieldId =
+    Dict.get fieldId (helpContentDict unitSystem validationRules)
 
 
-{-| Help content dictionary using validation rules from configuration
+{-| Help entry ID describing a pond shape
 -}
-helpContentDict : ValidationRules -> Dict String HelpContent
-helpContentDict validationRules =
+shapeHelpId : PondShape -> String
+shapeHelpId shape =
+    "pondShape." ++ Types.Pond.shapeToString shape
+
+
+{-| Help content dictionary using validation rules from configuration. Ranges
+come from the rules converted to the chosen units; examples are converted
+and rounded for reading.
+-}
+helpContentDict : UnitSystem -> ValidationRules -> Dict String HelpContent
+helpContentDict unitSystem storedRules =
     let
+        validationRules =
+            Units.convertRules unitSystem storedRules
+
         formatRange : { min : Float, max : Float } -> String -> String
-        formatRange range unit =
-            String.fromFloat range.min ++ " to " ++ String.fromFloat range.max ++ " " ++ unit
+        formatRange range unitText =
+            String.fromFloat range.min ++ " to " ++ String.fromFloat range.max ++ " " ++ unitText
+
+        unit quantity =
+            Units.unitName unitSystem quantity
+
+        singular quantity =
+            Units.unitSingular unitSystem quantity
+
+        amount quantity value =
+            Units.describe unitSystem quantity value
+
+        measure quantity value =
+            amount quantity value ++ " " ++ unit quantity
+
+        between quantity low high =
+            amount quantity low ++ "-" ++ amount quantity high ++ " " ++ unit quantity
+
+        upward quantity low high =
+            amount quantity low ++ "-" ++ amount quantity high ++ "+ " ++ unit quantity
+
+        footprint length width =
+            amount Length length ++ " x " ++ measure Length width
+
+        price quantity low high =
+            "$" ++ amount quantity low ++ "-" ++ amount quantity high
     in
     Dict.fromList
         [ ( "excavatorBucketCapacity"
           , { title = "Excavator Bucket Capacity"
-            , description = "The amount of dirt the excavator bucket can hold in one scoop, measured in cubic yards."
-            , typicalRange = formatRange validationRules.excavatorCapacity "cubic yards"
+            , description = "The amount of dirt the excavator bucket can hold in one scoop, measured in " ++ unit Volume ++ "."
+            , typicalRange = formatRange validationRules.excavatorCapacity (unit Volume)
             , examples =
-                [ "Small excavator (CAT 305): 0.7 cubic yards"
-                , "Mid-size excavator (CAT 320): 1.4 cubic yards"
-                , "Large excavator (CAT 374): 4.2 cubic yards"
+                [ "Small excavator (CAT 305): " ++ measure Volume 0.7
+                , "Mid-size excavator (CAT 320): " ++ measure Volume 1.4
+                , "Large excavator (CAT 374): " ++ measure Volume 4.2
                 ]
-            , tips = "Larger buckets move more dirt per cycle but take longer to fill and dump. Choose based on your excavator size."
+            , tips = "Larger buckets move more dirt per cycle but take longer to fill and dump. Choose based on your excavator size. Adding an excavator by make and model fills in its bucket size."
             }
           )
         , ( "excavatorCycleTime"
@@ -70,13 +109,13 @@ helpContentDict validationRules =
           )
         , ( "truckCapacity"
           , { title = "Truck Capacity"
-            , description = "The amount of dirt the truck can carry in one load, measured in cubic yards."
-            , typicalRange = formatRange validationRules.truckCapacity "cubic yards"
+            , description = "The amount of dirt the truck can carry in one load, measured in " ++ unit Volume ++ "."
+            , typicalRange = formatRange validationRules.truckCapacity (unit Volume)
             , examples =
-                [ "Small dump truck: 5-10 cubic yards"
-                , "Standard dump truck: 10-16 cubic yards"
-                , "Large tri-axle truck: 20-25 cubic yards"
-                , "Off-road haul truck: 30-50 cubic yards"
+                [ "Small dump truck: " ++ between Volume 5 10
+                , "Standard dump truck: " ++ between Volume 10 16
+                , "Large tri-axle truck: " ++ between Volume 20 25
+                , "Off-road haul truck: " ++ between Volume 30 50
                 ]
             , tips = "Match truck size to excavator bucket size. Typically, a truck should hold 4-6 excavator buckets for efficiency."
             }
@@ -87,51 +126,398 @@ helpContentDict validationRules =
             , typicalRange = formatRange validationRules.roundTripTime "minutes"
             , examples =
                 [ "On-site stockpile: 5-10 minutes"
-                , "Local dump site (1-2 miles): 15-25 minutes"
-                , "Distant dump site (5+ miles): 30-60 minutes"
+                , "Local dump site (" ++ between Distance 1 2 ++ "): 15-25 minutes"
+                , "Distant dump site (" ++ amount Distance 5 ++ "+ " ++ unit Distance ++ "): 30-60 minutes"
                 ]
             , tips = "Include time for loading, travel both ways, dumping, and any wait times at the dump site."
             }
           )
+        , ( "truckPayload"
+          , { title = "Truck Max Payload"
+            , description = "The most weight the truck may legally carry, in " ++ unit Weight ++ ". With heavy soil the truck reaches this weight before the bed is full, so each load carries fewer yards."
+            , typicalRange = formatRange validationRules.payload (unit Weight)
+            , examples =
+                [ "Single-axle dump truck: " ++ between Weight 7 8
+                , "Tandem-axle dump truck: " ++ between Weight 13 15
+                , "Tri-axle dump truck: " ++ between Weight 18 20
+                ]
+            , tips = "Check the registered gross weight and subtract the empty truck weight. Local road limits and bridge postings can lower it further."
+            }
+          )
+        , ( "equipmentEfficiency"
+          , { title = "Equipment Efficiency"
+            , description = "The share of each working hour the machine is actually digging or hauling rather than repositioning, waiting or idle."
+            , typicalRange = formatRange { min = validationRules.efficiency.min * 100, max = validationRules.efficiency.max * 100 } "percent"
+            , examples =
+                [ "Open site, steady work: 85-90%"
+                , "Typical excavator on a residential job: 80-85%"
+                , "Trucks waiting at the dig or in traffic: 70-80%"
+                ]
+            , tips = "A 50-minute productive hour is about 83%. Lower it when machines share tight access or wait on each other."
+            }
+          )
+        , ( "fillFactor"
+          , { title = "Fill Factor"
+            , description = "How full the bucket or truck bed is on a typical load compared with its rated capacity."
+            , typicalRange = formatRange validationRules.fillFactor "times rated capacity"
+            , examples =
+                [ "Loose loam or sand, heaped: 1.0-1.1"
+                , "Common earth or stiff clay: 0.8-1.0"
+                , "Blasted or blocky rock: 0.6-0.75"
+                ]
+            , tips = "Watch a few loads: a bucket that routinely spills or comes up half full is the best guide to its fill factor."
+            }
+          )
+        , ( "operatorSkill"
+          , { title = "Operator Skill"
+            , description = "Experience of the operator or driver. Skilled operators keep cycles short and loads full."
+            , typicalRange = "Novice 85%, average 100%, expert 110% of normal productivity"
+            , examples =
+                [ "Novice: new to the machine or the site"
+                , "Average: a regular operator on familiar equipment"
+                , "Expert: a seasoned operator on a machine they know well"
+                ]
+            , tips = "When in doubt choose average. Use novice for first days on a new machine or an unfamiliar site."
+            }
+          )
+        , ( "hourlyRate"
+          , { title = "Equipment Hourly Rate"
+            , description = "What the machine costs per working hour to own or rent and maintain, not counting the operator or fuel."
+            , typicalRange = formatRange validationRules.hourlyRate "dollars per hour"
+            , examples =
+                [ "Mini excavator: $40-70 per hour"
+                , "20-ton excavator: $80-130 per hour"
+                , "Tandem dump truck: $50-80 per hour"
+                ]
+            , tips = "Use your equipment cost records or the rental rate. Enter 0 for a machine whose cost is not charged to this job."
+            }
+          )
+        , ( "operatorWage"
+          , { title = "Operator Wage"
+            , description = "Hourly pay for the person running the machine, including payroll taxes and benefits."
+            , typicalRange = formatRange validationRules.operatorWage "dollars per hour"
+            , examples =
+                [ "Laborer-level truck driver: $22-30 per hour"
+                , "Experienced excavator operator: $30-45 per hour"
+                , "Union scale with fringe: $60-90 per hour"
+                ]
+            , tips = "Burdened wages are often 25-40% above the base rate once taxes, insurance and benefits are added."
+            }
+          )
+        , ( "fuelBurn"
+          , { title = "Fuel Burn"
+            , description = "The " ++ unit FuelVolume ++ " of fuel the machine uses per working hour."
+            , typicalRange = formatRange validationRules.fuelBurn (unit FuelVolume ++ " per hour")
+            , examples =
+                [ "Mini excavator: " ++ between FuelVolume 1 2 ++ " per hour"
+                , "20-ton excavator: " ++ between FuelVolume 4 6 ++ " per hour"
+                , "Loaded dump truck: " ++ between FuelVolume 4 8 ++ " per hour"
+                ]
+            , tips = "Manufacturer fuel charts list burn at low, medium and high load. Digging and hauling are usually medium load."
+            }
+          )
+        , ( "cycleTimeRange"
+          , { title = "Cycle Time Range"
+            , description = "The fastest and slowest dig-and-dump cycles you expect on this site. The cycle time entered above is treated as the most likely value."
+            , typicalRange = formatRange validationRules.cycleTime "minutes"
+            , examples =
+                [ "Easy digging, experienced operator: 1.6 - 2.8 minutes around a 2.0 minute cycle"
+                , "Mixed soil with roots or rock: 1.8 - 4.0 minutes around a 2.5 minute cycle"
+                ]
+            , tips = "Time a few cycles on a similar job. The wider the range, the wider the P10 to P90 timeline spread."
+            }
+          )
+        , ( "roundTripTimeRange"
+          , { title = "Round Trip Range"
+            , description = "The fastest and slowest round trips you expect, from light traffic to a congested haul road or a queue at the dump site."
+            , typicalRange = formatRange validationRules.roundTripTime "minutes"
+            , examples =
+                [ "Local fill site: 12 - 22 minutes around 15 minutes"
+                , "Cross-town landfill: 35 - 60 minutes around 45 minutes"
+                ]
+            , tips = "Rush hour and dump site queues mostly make trips slower, so the slowest value is usually further from the likely one than the fastest."
+            }
+          )
+        , ( "haulCycle"
+          , { title = "Haul Cycle"
+            , description = "Works out the round trip from the one-way haul distance, loaded and empty travel speeds, time to dump and time to spot under the excavator. Loading time comes from the number of bucket passes the paired excavator needs to fill the truck."
+            , typicalRange = formatRange validationRules.haulDistance (unit Distance ++ " one way")
+            , examples =
+                [ "Spoil pile on site: " ++ measure Distance 0.2 ++ " at " ++ measure Speed 10 ++ " loaded and " ++ measure Speed 15 ++ " empty"
+                , "Local fill site: " ++ measure Distance 2 ++ " at " ++ measure Speed 25 ++ " loaded and " ++ measure Speed 35 ++ " empty, 1.5 minutes to dump"
+                ]
+            , tips = "Use the average speed over the whole route, including turns and site roads. Untick the haul cycle to enter a measured round trip time instead."
+            }
+          )
+        , ( "projectPhases"
+          , { title = "Project Phases"
+            , description = "Work done before or after digging the pond, such as clearing the site, stripping topsoil or trimming the banks to grade. Each phase has its own volume, machines and productivity, and the phases are worked one after another. Stripped topsoil is stockpiled on site, so that phase needs no trucks."
+            , typicalRange = formatRange { min = validationRules.phaseProductivity.min * 100, max = validationRules.phaseProductivity.max * 100 } "percent of bulk digging output"
+            , examples =
+                [ "Topsoil strip: " ++ measure Volume 150 ++ " at 80% with one excavator, stockpiled on site"
+                , "Bank shaping: " ++ measure Volume 40 ++ " at 40% with a small excavator"
+                ]
+            , tips = "Productivity compares a phase with open bulk digging. Fine grading and brush clearing move far less soil per hour."
+            }
+          )
+        , ( "workHoursRange"
+          , { title = "Working Day Range"
+            , description = "The shortest and longest productive day you expect. Weather, deliveries and overtime all change how many hours the crew actually digs."
+            , typicalRange = formatRange validationRules.workHours "hours"
+            , examples =
+                [ "Steady summer schedule: 7 - 9 hours"
+                , "Spring work with rain delays: 4 - 10 hours"
+                ]
+            , tips = "The work hours per day entered above is treated as the most likely day."
+            }
+          )
+        , ( "startDate"
+          , { title = "Start Date"
+            , description = "The first day the crew is on site. The working days are counted forward from here to give a projected completion date."
+            , typicalRange = "Any date; a weekend or holiday start counts from the next work day"
+            , examples =
+                [ "Excavator delivered Monday morning: that Monday"
+                , "Waiting on a permit: the expected approval date"
+                ]
+            , tips = "Leave it blank while quoting; the timeline in working days does not depend on it."
+            }
+          )
+        , ( "workWeek"
+          , { title = "Work Week"
+            , description = "The days of the week the crew digs. Days left off are skipped when counting toward the completion date."
+            , typicalRange = "Monday - Friday or Monday - Saturday"
+            , examples =
+                [ "Standard crew: Mon - Fri"
+                , "Catching up on a deadline: Mon - Sat"
+                ]
+            , tips = "Click a day to add or remove it."
+            }
+          )
+        , ( "holidays"
+          , { title = "Holidays"
+            , description = "Dates the crew will not work even though they fall in the work week."
+            , typicalRange = "Public holidays and planned shutdowns"
+            , examples =
+                [ "Memorial Day, Independence Day, Labor Day"
+                , "A day booked for equipment servicing"
+                ]
+            , tips = "Pick each date to add it; click × on a date to remove it."
+            }
+          )
+        , ( "fuelPrice"
+          , { title = "Fuel Price"
+            , description = "Price paid per " ++ singular FuelVolume ++ " of diesel for the fleet."
+            , typicalRange = formatRange validationRules.fuelPrice (unit FuelPrice)
+            , examples =
+                [ "Off-road (dyed) diesel: " ++ price FuelPrice 3 4 ++ " per " ++ singular FuelVolume
+                , "On-road diesel: " ++ price FuelPrice 3.5 5 ++ " per " ++ singular FuelVolume
+                ]
+            , tips = "Off-road diesel is usually cheaper because it is exempt from road taxes. Trucks on public roads need on-road fuel."
+            }
+          )
+        , ( "disposalFee"
+          , { title = "Disposal Fee"
+            , description = "Charge per loose " ++ singular Volume ++ " to dump the excavated soil off site."
+            , typicalRange = formatRange validationRules.disposalFee ("dollars per loose " ++ singular Volume)
+            , examples =
+                [ "Clean fill taken by a nearby site: $0"
+                , "Landfill or transfer station: " ++ price VolumePrice 5 15 ++ " per " ++ singular Volume
+                , "Contaminated soil: $" ++ amount VolumePrice 50 ++ " or more per " ++ singular Volume
+                ]
+            , tips = "Dump sites charge by the truckload or " ++ singular Volume ++ " of loose material, so the fee applies to swollen volume, not the size of the hole."
+            }
+          )
+        , ( "spoilPlacement"
+          , { title = "Spoil Disposal"
+            , description = "Where the dug soil goes. Spoil kept on site is cast into a berm or spread beside the pond by the excavators, so only the share trucked off site needs hauling."
+            , typicalRange = formatRange validationRules.exportPercent "percent trucked off site"
+            , examples =
+                [ "Farm pond with an embankment: keep all on site"
+                , "Backyard pond in town: truck all off site"
+                , "Berm on one side, the surplus hauled away: split 40% off site"
+                ]
+            , tips = "Trucks are only needed when some spoil leaves the site. Disposal fees and truck loads are worked out on the exported share alone."
+            }
+          )
         , ( "pondLength"
           , { title = "Pond Length"
-            , description = "The longest measurement of your pond from one end to the other, measured in feet."
-            , typicalRange = formatRange validationRules.pondDimensions "feet"
+            , description = "The longest measurement of your pond from one end to the other, measured in " ++ unit Length ++ "."
+            , typicalRange = formatRange validationRules.pondDimensions (unit Length)
             , examples =
-                [ "Small decorative pond: 10-20 feet"
-                , "Residential pond: 20-50 feet"
-                , "Farm pond: 50-200 feet"
-                , "Commercial pond: 200-500+ feet"
+                [ "Small decorative pond: " ++ between Length 10 20
+                , "Residential pond: " ++ between Length 20 50
+                , "Farm pond: " ++ between Length 50 200
+                , "Commercial pond: " ++ upward Length 200 500
                 ]
             , tips = "Measure at the waterline level, not the bottom. Use a long tape measure or pacing for large ponds."
             }
           )
         , ( "pondWidth"
           , { title = "Pond Width"
-            , description = "The measurement across your pond at its widest point, measured in feet."
-            , typicalRange = formatRange validationRules.pondDimensions "feet"
+            , description = "The measurement across your pond at its widest point, measured in " ++ unit Length ++ "."
+            , typicalRange = formatRange validationRules.pondDimensions (unit Length)
             , examples =
-                [ "Small decorative pond: 8-15 feet"
-                , "Residential pond: 15-40 feet"
-                , "Farm pond: 40-150 feet"
-                , "Commercial pond: 150-300+ feet"
+                [ "Small decorative pond: " ++ between Length 8 15
+                , "Residential pond: " ++ between Length 15 40
+                , "Farm pond: " ++ between Length 40 150
+                , "Commercial pond: " ++ upward Length 150 300
                 ]
             , tips = "For irregular shapes, use the widest point. Consider access routes for equipment when planning width."
             }
           )
         , ( "pondDepth"
           , { title = "Pond Depth"
-            , description = "How deep you want to dig the pond, measured in feet from ground level to the bottom."
-            , typicalRange = formatRange validationRules.pondDimensions "feet"
+            , description = "How deep you want to dig the pond, measured in " ++ unit Length ++ " from ground level to the bottom."
+            , typicalRange = formatRange validationRules.pondDimensions (unit Length)
             , examples =
-                [ "Decorative/fish pond: 3-6 feet"
-                , "Swimming pond: 6-10 feet"
-                , "Irrigation pond: 8-15 feet"
-                , "Large farm pond: 15-25+ feet"
+                [ "Decorative/fish pond: " ++ between Length 3 6
+                , "Swimming pond: " ++ between Length 6 10
+                , "Irrigation pond: " ++ between Length 8 15
+                , "Large farm pond: " ++ upward Length 15 25
                 ]
             , tips = "Deeper ponds hold more water but require more excavation. Consider local frost line and intended use."
             }
           )
+        , ( shapeHelpId Rectangle
+          , { title = "Rectangular Pond"
+            , description = "A straight-sided pond measured by its length and width at the top of the bank."
+            , typicalRange = formatRange validationRules.pondDimensions (unit Length ++ " per side")
+            , examples =
+                [ "Stock or farm pond: " ++ footprint 100 60
+                , "Detention basin: " ++ footprint 200 80
+                , "Formed or lined pond: " ++ footprint 40 25
+                ]
+            , tips = "Use this for basins, lined ponds, and anything dug to stakes at four corners. Pick rounded rectangle if the corners will be curved."
+            }
+          )
+        , ( shapeHelpId Circle
+          , { title = "Circular Pond"
+            , description = "A round pond measured by its diameter across the top of the bank."
+            , typicalRange = formatRange validationRules.pondDimensions (unit Length ++ " across")
+            , examples =
+                [ "Garden koi pond: " ++ between Length 12 20
+                , "Residential swimming pond: " ++ between Length 30 50
+                , "Fire protection pond: " ++ between Length 60 100
+                ]
+            , tips = "A circle holds about 79% of the dirt of a square with the same width, so do not estimate round ponds as squares."
+            }
+          )
+        , ( shapeHelpId Ellipse
+          , { title = "Oval (Elliptical) Pond"
+            , description = "An oval pond measured by its longest length and its widest width at the top of the bank."
+            , typicalRange = formatRange validationRules.pondDimensions (unit Length ++ " per axis")
+            , examples =
+                [ "Backyard oval: " ++ footprint 30 20
+                , "Residential recreation pond: " ++ footprint 80 50
+                , "Golf course water feature: " ++ footprint 150 70
+                ]
+            , tips = "Measure straight through the middle in both directions. An oval holds about 79% of the dirt of a rectangle with the same length and width."
+            }
+          )
+        , ( shapeHelpId RoundedRectangle
+          , { title = "Rounded Rectangle Pond"
+            , description = "A rectangular pond whose four corners are rounded off with the same radius."
+            , typicalRange = formatRange validationRules.pondDimensions (unit Length ++ " per side")
+            , examples =
+                [ "Lined garden pond: " ++ footprint 20 12 ++ " with " ++ amount Length 3 ++ "-" ++ singular Length ++ " corners"
+                , "Swimming pond: " ++ footprint 60 30 ++ " with " ++ amount Length 10 ++ "-" ++ singular Length ++ " corners"
+                , "Irrigation reservoir: " ++ footprint 150 100 ++ " with " ++ amount Length 25 ++ "-" ++ singular Length ++ " corners"
+                ]
+            , tips = "Enter the overall length and width as if the corners were square, then the corner radius. A radius of half the width gives fully rounded ends."
+            }
+          )
+        , ( shapeHelpId Kidney
+          , { title = "Kidney (Two-Lobe) Pond"
+            , description = "A pond made of a large round lobe and a smaller round lobe that overlap, pinched at the waist."
+            , typicalRange = formatRange validationRules.pondDimensions (unit Length ++ " per dimension")
+            , examples =
+                [ "Garden pond: " ++ measure Length 25 ++ " long with " ++ amount Length 15 ++ " and " ++ amount Length 10 ++ " " ++ singular Length ++ " lobes"
+                , "Residential swimming pond: " ++ measure Length 60 ++ " long with " ++ amount Length 40 ++ " and " ++ amount Length 30 ++ " " ++ singular Length ++ " lobes"
+                , "Landscape water feature: " ++ measure Length 90 ++ " long with " ++ amount Length 55 ++ " and " ++ amount Length 45 ++ " " ++ singular Length ++ " lobes"
+                ]
+            , tips = "Enter the overall length from lobe to lobe, the large lobe diameter as the width, and the small lobe diameter. The length must be longer than the large lobe but shorter than both lobes together."
+            }
+          )
+        , ( "cornerRadius"
+          , { title = "Corner Radius"
+            , description = "Radius of the curve at each corner of a rounded rectangle pond, measured at the top of the bank."
+            , typicalRange = formatRange validationRules.pondDimensions (unit Length ++ ", up to half the pond width")
+            , examples =
+                [ "Slightly eased corners: " ++ between Length 2 5
+                , "Natural-looking curves: " ++ between Length 10 20
+                , "Fully rounded ends: half the pond width"
+                ]
+            , tips = "Rounded corners leave dirt in place at each corner, so larger radii shorten the dig. Sloped banks make the curve tighter toward the bottom."
+            }
+          )
+        , ( "smallLobeDiameter"
+          , { title = "Small Lobe Diameter"
+            , description = "Diameter of the smaller round end of a kidney-shaped pond. The pond width field holds the large lobe diameter."
+            , typicalRange = formatRange validationRules.pondDimensions (unit Length ++ ", no larger than the large lobe")
+            , examples =
+                [ "Subtle waist: 80-90% of the large lobe"
+                , "Classic kidney: 60-75% of the large lobe"
+                , "Pronounced bulb: 40-50% of the large lobe"
+                ]
+            , tips = "The smaller the lobe and the longer the pond, the deeper the pinch at the waist and the less dirt comes out."
+            }
+          )
+        , ( "sideSlope"
+          , { title = "Side Slope (H:V)"
+            , description = "How gently the pond banks slope, given as horizontal " ++ unit Length ++ " per 1 " ++ singular Length ++ " of depth. A 3:1 slope moves 3 " ++ unit Length ++ " inward for every " ++ singular Length ++ " down."
+            , typicalRange = formatRange validationRules.sideSlope ("horizontal " ++ unit Length ++ " per " ++ singular Length ++ " of depth")
+            , examples =
+                [ "Vertical walls (lined or formed ponds): 0"
+                , "Stable clay banks: 2:1"
+                , "Typical farm and residential ponds: 3:1"
+                , "Wading edges and beaches: 4:1 to 6:1"
+                ]
+            , tips = "Measure length and width at the top of the bank. Flatter slopes dig less dirt but shrink the pond bottom, so deep ponds need a wide top opening."
+            }
+          )
+        , ( "soilType"
+          , { title = "Soil Type"
+            , description = "The kind of soil being dug. Soil loosens and takes up more room once it leaves the ground, so trucks haul more yards than the pond holds."
+            , typicalRange = formatRange validationRules.swellPercent "percent swell"
+            , examples =
+                [ "Sand and gravel: 10-15% swell"
+                , "Topsoil and common earth: 20-30% swell"
+                , "Clay: 30-40% swell"
+                , "Broken rock: 50-65% swell"
+                ]
+            , tips = "Bank yards are measured in the ground; loose yards are what fills the truck. When the soil is mixed, pick the type that makes up most of the dig."
+            }
+          )
+        , ( "customSwell"
+          , { title = "Custom Soil Swell"
+            , description = "How much larger the soil gets once dug, as a percentage of its volume in the ground."
+            , typicalRange = formatRange validationRules.swellPercent "percent"
+            , examples =
+                [ "Dry sand: 12%"
+                , "Wet loam: 25%"
+                , "Heavy clay: 40%"
+                ]
+            , tips = "Use a geotechnical report or the local supplier's load tickets when available. 100 bank yards at 25% swell fill 125 yards of truck space."
+            }
+          )
+        , ( "soilDensity"
+          , { title = "Soil Density"
+            , description = "How much one " ++ singular Volume ++ " of soil weighs in the ground. Together with swell it sets the weight of each truck load."
+            , typicalRange = formatRange validationRules.soilDensity (unit Density ++ " in the ground")
+            , examples =
+                [ "Topsoil: " ++ measure Density 2300
+                , "Wet clay: " ++ between Density 3000 3400
+                , "Rock: " ++ between Density 4000 4500
+                ]
+            , tips =
+                case unitSystem of
+                    Imperial ->
+                        "Densities given in tonnes per cubic metre convert at about 1,686 lb per cubic yard for each t/m³. Wet soil is heavier than dry."
+
+                    Metric ->
+                        "Densities given in pounds per cubic yard convert at about 1,686 lb per cubic yard for each t/m³. Wet soil is heavier than dry."
+            }
+          )
         , ( "workHours"
           , { title = "Work Hours Per Day"
             , description = "Number of productive hours equipment will operate each day on the job site."
@@ -0,0 +1,735 @@
+module Utils.InputParser exposing (parseNumber, parseMeasure, parseStored, isPlainNumber)
+
+{-| Read figures the way they are written on site
+
+Besides plain decimals, inputs accept arithmetic (`2*20+5`, `(40+35)/2`),
+fractions and mixed numbers (`3/4`, `1 1/2`), feet and inches (`40'6"`,
+`5 ft 3 in`) and unit suffixes (`12 m`, `3 yd3`, `4.10/gal`). Figures with a
+unit are converted to the imperial units everything is stored in; bare
+figures are taken to be in the units the user has chosen.
+
+Errors are short sentences naming exactly the part of the text that could
+not be read, so they can be shown to the user as they are.
+
+@docs parseNumber, parseMeasure, parseStored, isPlainNumber
+
+-}
+
+import Utils.Units as Units exposing (Quantity(..), UnitSystem)
+
+
+
+-- TYPES
+
+
+type Token
+    = Num Float String
+    | Word String
+    | Sym Char
+
+
+{-| A figure part way through reading. Plain figures are in the user's
+display units, or have no unit at all; measured figures carried a unit and
+are already in stored imperial units.
+-}
+type Value
+    = Plain Float
+    | Measured Float
+
+
+type alias Context =
+    { units : UnitSystem
+    , quantity : Maybe Quantity
+    }
+
+
+
+-- PARSING
+
+
+{-| Read a figure that has no unit, such as hours, minutes or a percentage.
+Arithmetic is allowed; units are not.
+-}
+parseNumber : String -> Result String Float
+parseNumber input =
+    evaluate { units = Units.Imperial, quantity = Nothing } input
+        |> Result.map figureOf
+
+
+{-| Read a typed measurement and return it in stored imperial units. Bare
+figures are in the given unit system; a figure followed by a unit is
+converted from that unit.
+-}
+parseMeasure : UnitSystem -> Quantity -> String -> Result String Float
+parseMeasure units quantity input =
+    evaluate { units = units, quantity = Just quantity } input
+        |> Result.map
+            (\value ->
+                case value of
+                    Plain figure ->
+                        Units.fromDisplay units quantity figure
+
+                    Measured figure ->
+                        figure
+            )
+
+
+{-| Read a measurement held in form data. Plain numbers there are already in
+imperial units, since inputs convert them as they are typed; anything else
+is kept as the user typed it and is read in the given unit system.
+-}
+parseStored : UnitSystem -> Quantity -> String -> Result String Float
+parseStored units quantity stored =
+    case String.toFloat (String.trim stored) of
+        Just figure ->
+            Ok figure
+
+        Nothing ->
+            parseMeasure units quantity stored
+
+
+{-| Whether the text is an ordinary decimal that needs no parsing
+-}
+isPlainNumber : String -> Bool
+isPlainNumber input =
+    String.toFloat (String.trim input) /= Nothing
+
+
+evaluate : Context -> String -> Result String Value
+evaluate context input =
+    let
+        trimmedInput =
+            String.trim input
+    in
+    case String.toFloat trimmedInput of
+        Just figure ->
+            Ok (Plain figure)
+
+        Nothing ->
+            if String.isEmpty trimmedInput then
+                Err "Nothing was entered."
+
+            else
+                tokenize (String.toList trimmedInput)
+                    |> Result.andThen (expression context)
+                    |> Result.andThen
+                        (\( value, rest ) ->
+                            case rest of
+                                [] ->
+                                    Ok value
+
+                                token :: _ ->
+                                    Err (leftoverProblem token)
+                        )
+
+
+figureOf : Value -> Float
+figureOf value =
+    case value of
+        Plain figure ->
+            figure
+
+        Measured figure ->
+            figure
+
+
+leftoverProblem : Token -> String
+leftoverProblem token =
+    case token of
+        Sym ')' ->
+            "There is a \")\" without a matching \"(\"."
+
+        Sym '(' ->
+            "Put an operator such as + or * before \"(\"."
+
+        Word word ->
+            "\"" ++ word ++ "\" follows a figure that already has a unit."
+
+        _ ->
+            "Couldn't understand \"" ++ tokenText token ++ "\" there."
+
+
+
+-- TOKENS
+
+
+tokenize : List Char -> Result String (List Token)
+tokenize chars =
+    case chars of
+        [] ->
+            Ok []
+
+        char :: rest ->
+            if char == ' ' || char == '$' then
+                tokenize rest
+
+            else if Char.isDigit char || char == '.' then
+                let
+                    ( digits, remaining ) =
+                        splitWhile (\c -> Char.isDigit c || c == '.') chars
+
+                    literal =
+                        String.fromList digits
+                in
+                case String.toFloat literal of
+                    Just figure ->
+                        Result.map ((::) (Num figure literal)) (tokenize remaining)
+
+                    Nothing ->
+                        Err ("\"" ++ literal ++ "\" is not a number.")
+
+            else if Char.isAlpha char || (char == '/' && startsWithLetter rest) then
+                let
+                    ( letters, remaining ) =
+                        wordChars (char :: rest)
+                in
+                Result.map ((::) (Word (String.fromList letters))) (tokenize remaining)
+
+            else
+                case symbolFor char of
+                    Just token ->
+                        Result.map ((::) token) (tokenize rest)
+
+                    Nothing ->
+                        Err ("\"" ++ String.fromChar char ++ "\" is not a number, a unit or one of + - * / ( ).")
+
+
+{-| Operators and the feet and inch marks, including the curly and prime
+versions phone keyboards produce
+-}
+symbolFor : Char -> Maybe Token
+symbolFor char =
+    case char of
+        '+' ->
+            Just (Sym '+')
+
+        '-' ->
+            Just (Sym '-')
+
+        '−' ->
+            Just (Sym '-')
+
+        '*' ->
+            Just (Sym '*')
+
+        '×' ->
+            Just (Sym '*')
+
+        '/' ->
+            Just (Sym '/')
+
+        '÷' ->
+            Just (Sym '/')
+
+        '(' ->
+            Just (Sym '(')
+
+        ')' ->
+            Just (Sym ')')
+
+        '\'' ->
+            Just (Word "'")
+
+        '’' ->
+            Just (Word "'")
+
+        '′' ->
+            Just (Word "'")
+
+        '"' ->
+            Just (Word "\"")
+
+        '”' ->
+            Just (Word "\"")
+
+        '″' ->
+            Just (Word "\"")
+
+        _ ->
+            Nothing
+
+
+{-| Characters of a unit word. A slash followed by letters stays part of the
+word so compound units such as km/h and lb/yd3 read as one.
+-}
+wordChars : List Char -> ( List Char, List Char )
+wordChars chars =
+    case chars of
+        '/' :: rest ->
+            if startsWithLetter rest then
+                let
+                    ( taken, remaining ) =
+                        wordChars rest
+                in
+                ( '/' :: taken, remaining )
+
+            else
+                ( [], chars )
+
+        char :: rest ->
+            if Char.isAlphaNum char || char == '³' || char == '²' then
+                let
+                    ( taken, remaining ) =
+                        wordChars rest
+                in
+                ( char :: taken, remaining )
+
+            else
+                ( [], chars )
+
+        [] ->
+            ( [], [] )
+
+
+startsWithLetter : List Char -> Bool
+startsWithLetter chars =
+    case chars of
+        char :: _ ->
+            Char.isAlpha char
+
+        [] ->
+            False
+
+
+splitWhile : (Char -> Bool) -> List Char -> ( List Char, List Char )
+splitWhile keep chars =
+    case chars of
+        char :: rest ->
+            if keep char then
+                let
+                    ( taken, remaining ) =
+                        splitWhile keep rest
+                in
+                ( char :: taken, remaining )
+
+            else
+                ( [], chars )
+
+        [] ->
+            ( [], [] )
+
+
+tokenText : Token -> String
+tokenText token =
+    case token of
+        Num _ literal ->
+            literal
+
+        Word word ->
+            word
+
+        Sym char ->
+            String.fromChar char
+
+
+
+-- GRAMMAR
+
+
+{-| Sums and differences of terms
+-}
+expression : Context -> List Token -> Result String ( Value, List Token )
+expression context tokens =
+    term context tokens
+        |> Result.andThen (expressionRest context)
+
+
+expressionRest : Context -> ( Value, List Token ) -> Result String ( Value, List Token )
+expressionRest context ( left, tokens ) =
+    case tokens of
+        (Sym '+') :: rest ->
+            operand "+" (term context) rest
+                |> Result.andThen (\( right, remaining ) -> expressionRest context ( add context left right, remaining ))
+
+        (Sym '-') :: rest ->
+            operand "-" (term context) rest
+                |> Result.andThen (\( right, remaining ) -> expressionRest context ( add context left (negateValue right), remaining ))
+
+        _ ->
+            Ok ( left, tokens )
+
+
+{-| Products and quotients of signed figures
+-}
+term : Context -> List Token -> Result String ( Value, List Token )
+term context tokens =
+    signed context tokens
+        |> Result.andThen (termRest context)
+
+
+termRest : Context -> ( Value, List Token ) -> Result String ( Value, List Token )
+termRest context ( left, tokens ) =
+    case tokens of
+        (Sym '*') :: rest ->
+            operand "*" (signed context) rest
+                |> Result.andThen
+                    (\( right, remaining ) ->
+                        multiply left right
+                            |> Result.andThen (\product -> termRest context ( product, remaining ))
+                    )
+
+        (Sym '/') :: rest ->
+            operand "/" (signed context) rest
+                |> Result.andThen
+                    (\( right, remaining ) ->
+                        divide left right
+                            |> Result.andThen (\quotient -> termRest context ( quotient, remaining ))
+                    )
+
+        _ ->
+            Ok ( left, tokens )
+
+
+signed : Context -> List Token -> Result String ( Value, List Token )
+signed context tokens =
+    case tokens of
+        (Sym '-') :: rest ->
+            operand "-" (signed context) rest
+                |> Result.map (Tuple.mapFirst negateValue)
+
+        (Sym '+') :: rest ->
+            operand "+" (signed context) rest
+
+        _ ->
+            compound context tokens
+
+
+{-| A measurement, plus any that directly follow it: feet then inches as in
+40'6" or 5 ft 3 in
+-}
+compound : Context -> List Token -> Result String ( Value, List Token )
+compound context tokens =
+    measurement context tokens
+        |> Result.andThen (compoundRest context)
+
+
+compoundRest : Context -> ( Value, Maybe String, List Token ) -> Result String ( Value, List Token )
+compoundRest context ( left, unit, tokens ) =
+    case tokens of
+        (Num _ literal) :: _ ->
+            measurement context tokens
+                |> Result.andThen
+                    (\( right, rightUnit, remaining ) ->
+                        case ( left, right ) of
+                            ( Measured _, Measured _ ) ->
+                                compoundRest context ( add context left right, rightUnit, remaining )
+
+                            ( Measured _, Plain inches ) ->
+                                if unit == Just "'" && context.quantity == Just Length then
+                                    -- 5'6 is understood as five feet six inches
+                                    compoundRest context ( add context left (Measured (inches / 12)), Nothing, remaining )
+
+                                else
+                                    Err ("Put an operator such as + or * before " ++ literal ++ ".")
+
+                            _ ->
+                                Err ("Put an operator such as + or * before " ++ literal ++ ".")
+                    )
+
+        _ ->
+            Ok ( left, tokens )
+
+
+{-| A figure with an optional unit after it
+-}
+measurement : Context -> List Token -> Result String ( Value, Maybe String, List Token )
+measurement context tokens =
+    atom context tokens
+        |> Result.andThen
+            (\( value, rest ) ->
+                case rest of
+                    (Word unit) :: remaining ->
+                        applyUnit context unit value
+                            |> Result.map (\measured -> ( measured, Just unit, remaining ))
+
+                    _ ->
+                        Ok ( value, Nothing, rest )
+            )
+
+
+{-| A number, a mixed number such as 1 1/2, or a bracketed expression
+-}
+atom : Context -> List Token -> Result String ( Value, List Token )
+atom context tokens =
+    case tokens of
+        (Num whole _) :: (Num numerator _) :: (Sym '/') :: (Num denominator _) :: rest ->
+            if denominator == 0 then
+                Err "Can't divide by zero."
+
+            else
+                Ok ( Plain (whole + numerator / denominator), rest )
+
+        (Num figure _) :: rest ->
+            Ok ( Plain figure, rest )
+
+        (Sym '(') :: rest ->
+            operand "(" (expression context) rest
+                |> Result.andThen
+                    (\( value, remaining ) ->
+                        case remaining of
+                            (Sym ')') :: afterBracket ->
+                                Ok ( value, afterBracket )
+
+                            [] ->
+                                Err "A \"(\" is never closed."
+
+                            token :: _ ->
+                                Err (leftoverProblem token)
+                    )
+
+        (Sym ')') :: _ ->
+            Err "A number is missing before \")\"."
+
+        (Word word) :: _ ->
+            Err ("Couldn't understand \"" ++ word ++ "\"; a number should come first.")
+
+        (Sym char) :: _ ->
+            Err ("\"" ++ String.fromChar char ++ "\" needs a number in front of it.")
+
+        [] ->
+            Err "Nothing was entered."
+
+
+{-| Parse what follows an operator, reporting the operator if nothing does
+-}
+operand : String -> (List Token -> Result String ( Value, List Token )) -> List Token -> Result String ( Value, List Token )
+operand symbol parse tokens =
+    if List.isEmpty tokens then
+        Err ("Something is missing after \"" ++ symbol ++ "\".")
+
+    else
+        parse tokens
+
+
+
+-- ARITHMETIC
+
+
+add : Context -> Value -> Value -> Value
+add context left right =
+    case ( left, right ) of
+        ( Plain a, Plain b ) ->
+            Plain (a + b)
+
+        ( Measured a, Measured b ) ->
+            Measured (a + b)
+
+        ( Plain a, Measured b ) ->
+            Measured (toStored context a + b)
+
+        ( Measured a, Plain b ) ->
+            Measured (a + toStored context b)
+
+
+multiply : Value -> Value -> Result String Value
+multiply left right =
+    case ( left, right ) of
+        ( Plain a, Plain b ) ->
+            Ok (Plain (a * b))
+
+        ( Plain a, Measured b ) ->
+            Ok (Measured (a * b))
+
+        ( Measured a, Plain b ) ->
+            Ok (Measured (a * b))
+
+        ( Measured _, Measured _ ) ->
+            Err "Only one figure in a multiplication can have a unit."
+
+
+divide : Value -> Value -> Result String Value
+divide left right =
+    if figureOf right == 0 then
+        Err "Can't divide by zero."
+
+    else
+        case ( left, right ) of
+            ( Plain a, Plain b ) ->
+                Ok (Plain (a / b))
+
+            ( Measured a, Plain b ) ->
+                Ok (Measured (a / b))
+
+            ( Measured a, Measured b ) ->
+                Ok (Plain (a / b))
+
+            ( Plain _, Measured _ ) ->
+                Err "A plain number can't be divided by a measurement."
+
+
+negateValue : Value -> Value
+negateValue value =
+    case value of
+        Plain figure ->
+            Plain (negate figure)
+
+        Measured figure ->
+            Measured (negate figure)
+
+
+{-| A bare figure in stored units, for adding to one that had a unit
+-}
+toStored : Context -> Float -> Float
+toStored context figure =
+    case context.quantity of
+        Just quantity ->
+            Units.fromDisplay context.units quantity figure
+
+        Nothing ->
+            figure
+
+
+
+-- UNITS
+
+
+applyUnit : Context -> String -> Value -> Result String Value
+applyUnit context unit value =
+    case context.quantity of
+        Nothing ->
+            Err ("\"" ++ unit ++ "\" is a unit, but this field takes a plain number.")
+
+        Just quantity ->
+            case ( unitFactor quantity (String.toLower unit), value ) of
+                ( Nothing, _ ) ->
+                    Err ("\"" ++ unit ++ "\" is not a unit this field understands. Try " ++ String.join ", " (unitExamples quantity) ++ ".")
+
+                ( Just factor, Plain figure ) ->
+                    Ok (Measured (figure * factor))
+
+                ( Just _, Measured _ ) ->
+                    Err ("\"" ++ unit ++ "\" follows a figure that already has a unit.")
+
+
+{-| Stored imperial units per one of the named unit, for units written in
+lower case
+-}
+unitFactor : Quantity -> String -> Maybe Float
+unitFactor quantity unit =
+    let
+        metre =
+            1 / 0.3048
+
+        cubicMetre =
+            1 / 0.764554857984
+
+        litre =
+            1 / 3.785411784
+    in
+    case quantity of
+        Length ->
+            lookup unit
+                [ ( [ "ft", "foot", "feet", "'" ], 1 )
+                , ( [ "in", "inch", "inches", "\"" ], 1 / 12 )
+                , ( [ "yd", "yds", "yard", "yards" ], 3 )
+                , ( [ "m", "metre", "metres", "meter", "meters" ], metre )
+                , ( [ "cm" ], metre / 100 )
+                , ( [ "mm" ], metre / 1000 )
+                ]
+
+        Area ->
+            lookup unit
+                [ ( [ "sqft", "ft2", "ft²" ], 1 )
+                , ( [ "sqyd", "yd2", "yd²" ], 9 )
+                , ( [ "m2", "m²", "sqm" ], metre * metre )
+                ]
+
+        Volume ->
+            lookup unit
+                [ ( [ "yd3", "yd³", "cy", "cuyd" ], 1 )
+                , ( [ "ft3", "ft³", "cf", "cuft" ], 1 / 27 )
+                , ( [ "m3", "m³", "cbm" ], cubicMetre )
+                , ( [ "l", "litre", "litres", "liter", "liters" ], cubicMetre / 1000 )
+                ]
+
+        Distance ->
+            lookup unit
+                [ ( [ "mi", "mile", "miles" ], 1 )
+                , ( [ "ft", "feet", "'" ], 1 / 5280 )
+                , ( [ "yd", "yds", "yard", "yards" ], 1 / 1760 )
+                , ( [ "km" ], 1 / 1.609344 )
+                , ( [ "m", "metre", "metres", "meter", "meters" ], 1 / 1609.344 )
+                ]
+
+        Speed ->
+            lookup unit
+                [ ( [ "mph" ], 1 )
+                , ( [ "km/h", "kmh", "kph" ], 1 / 1.609344 )
+                ]
+
+        Weight ->
+            lookup unit
+                [ ( [ "ton", "tons" ], 1 )
+                , ( [ "lb", "lbs" ], 1 / 2000 )
+                , ( [ "t", "tonne", "tonnes" ], 1 / 0.90718474 )
+                , ( [ "kg" ], 1 / 907.18474 )
+                ]
+
+        Density ->
+            lookup unit
+                [ ( [ "lb/yd3", "lb/yd³", "lb/cy" ], 1 )
+                , ( [ "t/m3", "t/m³" ], 1 / (0.00045359237 / 0.764554857984) )
+                , ( [ "kg/m3", "kg/m³" ], 1 / (0.45359237 / 0.764554857984) )
+                ]
+
+        FuelVolume ->
+            lookup unit
+                [ ( [ "gal", "gallon", "gallons" ], 1 )
+                , ( [ "l", "litre", "litres", "liter", "liters" ], litre )
+                ]
+
+        FuelPrice ->
+            lookup unit
+                [ ( [ "/gal", "/gallon" ], 1 )
+                , ( [ "/l", "/litre", "/liter" ], 1 / litre )
+                ]
+
+        VolumePrice ->
+            lookup unit
+                [ ( [ "/yd3", "/yd³", "/cy" ], 1 )
+                , ( [ "/m3", "/m³" ], 1 / cubicMetre )
+                ]
+
+
+lookup : String -> List ( List String, Float ) -> Maybe Float
+lookup unit table =
+    table
+        |> List.filter (\( names, _ ) -> List.member unit names)
+        |> List.head
+        |> Maybe.map Tuple.second
+
+
+{-| Units suggested when one is not recognised
+-}
+unitExamples : Quantity -> List String
+unitExamples quantity =
+    case quantity of
+        Length ->
+            [ "ft", "in", "yd", "m", "cm" ]
+
+        Area ->
+            [ "sqft", "m2" ]
+
+        Volume ->
+            [ "yd3", "ft3", "m3" ]
+
+        Distance ->
+            [ "mi", "km", "m" ]
+
+        Speed ->
+            [ "mph", "km/h" ]
+
+        Weight ->
+            [ "tons", "lb", "t", "kg" ]
+
+        Density ->
+            [ "lb/yd3", "t/m3", "kg/m3" ]
+
+        FuelVolume ->
+            [ "gal", "L" ]
+
+        FuelPrice ->
+            [ "/gal", "/L" ]
+
+        VolumePrice ->
+            [ "/yd3", "/m3" ]
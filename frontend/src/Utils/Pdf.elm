@@ -0,0 +1,1276 @@
+module Utils.Pdf exposing
+    ( Block(..), Column, PageHeader
+    , document, pathOperators
+    )
+
+{-| PDF documents made in the browser, for reports handed to a customer
+
+A document is a list of blocks (headings, paragraphs, labelled fields,
+tables and bullet lists) laid out top to bottom on US Letter pages. Blocks
+that do not fit move to the next page; a heading is never left at the foot of
+a page and a table carries its header row onto every page it runs across.
+Each page is headed with the company name and logo and numbered at the foot.
+
+Text is set in the standard Helvetica faces, which every PDF reader has, so
+no fonts are embedded. They cover the Windows Latin character set; arrows
+are written out as `->` and characters outside the set, such as emoji, are
+left out. Lines are wrapped using the Helvetica character widths.
+
+The file is plain ASCII, so it can be saved as a string without the byte
+offsets in its cross-reference table going astray.
+
+@docs Block, Column, PageHeader
+@docs document, pathOperators
+
+-}
+
+import Array exposing (Array)
+import Utils.Config exposing (Logo)
+
+
+
+-- TYPES
+
+
+{-| One piece of the document's content, in reading order
+-}
+type Block
+    = Title String
+    | Heading String
+    | Subheading String
+    | Paragraph String
+    | Note String -- small italic text, for explanations under a section
+    | Fields (List ( String, String )) -- label and value rows
+    | Table (List Column) (List (List String))
+    | Bullets (List String)
+
+
+{-| A table column and its share of the page width, relative to the other
+columns
+-}
+type alias Column =
+    { title : String
+    , share : Float
+    }
+
+
+{-| What heads every page
+-}
+type alias PageHeader =
+    { companyName : String
+    , logo : Logo
+    , title : String
+    , subtitle : String
+    }
+
+
+{-| A strip of the page drawn as one piece, given the height of its top edge.
+The gap above it is left out at the top of a page. A row kept with the next
+moves to a new page with it, and a row with a repeated header has that header
+drawn above it when it starts a page.
+-}
+type alias Row =
+    { gap : Float
+    , height : Float
+    , draw : Float -> List String
+    , keepWithNext : Bool
+    , repeatedHeader : Maybe { height : Float, draw : Float -> List String }
+    }
+
+
+type Font
+    = Regular
+    | Bold
+    | Italic
+
+
+
+-- PAGE GEOMETRY
+-- Points, measured up from the bottom left corner of a US Letter page
+
+
+pageWidth : Float
+pageWidth =
+    612
+
+
+pageHeight : Float
+pageHeight =
+    792
+
+
+margin : Float
+margin =
+    54
+
+
+contentWidth : Float
+contentWidth =
+    pageWidth - 2 * margin
+
+
+contentTop : Float
+contentTop =
+    pageHeight - margin - 52
+
+
+contentBottom : Float
+contentBottom =
+    margin + 18
+
+
+logoHeight : Float
+logoHeight =
+    36
+
+
+
+-- DOCUMENT
+
+
+{-| The finished PDF file for the blocks, with the header on every page
+-}
+document : PageHeader -> List Block -> String
+document header blocks =
+    let
+        pages =
+            paginate (List.concatMap blockRows blocks)
+
+        pageCount =
+            List.length pages
+
+        contents =
+            List.indexedMap
+                (\index body ->
+                    String.join "\n" (headerOperators header ++ body ++ footerOperators (index + 1) pageCount)
+                )
+                pages
+
+        pageObjects =
+            contents
+                |> List.indexedMap
+                    (\index content ->
+                        [ "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 "
+                            ++ number pageWidth
+                            ++ " "
+                            ++ number pageHeight
+                            ++ "] /Resources << /Font << /F1 3 0 R /F2 4 0 R /F3 5 0 R >> >> /Contents "
+                            ++ reference (firstPageObject + 2 * index + 1)
+                            ++ " >>"
+                        , "<< /Length "
+                            ++ String.fromInt (String.length content)
+                            ++ " >>\nstream\n"
+                            ++ content
+                            ++ "\nendstream"
+                        ]
+                    )
+                |> List.concat
+
+        kids =
+            List.range 0 (pageCount - 1)
+                |> List.map (\index -> reference (firstPageObject + 2 * index))
+                |> String.join " "
+
+        font baseFont =
+            "<< /Type /Font /Subtype /Type1 /BaseFont /" ++ baseFont ++ " /Encoding /WinAnsiEncoding >>"
+    in
+    assemble
+        ([ "<< /Type /Catalog /Pages 2 0 R >>"
+         , "<< /Type /Pages /Kids [" ++ kids ++ "] /Count " ++ String.fromInt pageCount ++ " >>"
+         , font "Helvetica"
+         , font "Helvetica-Bold"
+         , font "Helvetica-Oblique"
+         , "<< /Title ("
+            ++ escape (encodeText header.title)
+            ++ ") /Author ("
+            ++ escape (encodeText header.companyName)
+            ++ ") /Producer (Pond Digging Calculator) >>"
+         ]
+            ++ pageObjects
+        )
+
+
+{-| Object number of the first page. Objects 1 to 6 are the catalog, the
+page tree, the three fonts and the document information; each page is then
+followed by its content stream.
+-}
+firstPageObject : Int
+firstPageObject =
+    7
+
+
+reference : Int -> String
+reference objectNumber =
+    String.fromInt objectNumber ++ " 0 R"
+
+
+{-| Number the objects from 1 and write them out with the cross-reference
+table giving where each one starts
+-}
+assemble : List String -> String
+assemble objects =
+    let
+        fileHeader =
+            "%PDF-1.4\n"
+
+        ( bodyLength, chunks, offsets ) =
+            List.foldl
+                (\object ( length, chunksSoFar, offsetsSoFar ) ->
+                    let
+                        chunk =
+                            String.fromInt (List.length offsetsSoFar + 1) ++ " 0 obj\n" ++ object ++ "\nendobj\n"
+                    in
+                    ( length + String.length chunk, chunk :: chunksSoFar, length :: offsetsSoFar )
+                )
+                ( String.length fileHeader, [], [] )
+                objects
+
+        xrefEntries =
+            List.map (\offset -> String.padLeft 10 '0' (String.fromInt offset) ++ " 00000 n \n") (List.reverse offsets)
+    in
+    fileHeader
+        ++ String.concat (List.reverse chunks)
+        ++ "xref\n0 "
+        ++ String.fromInt (List.length objects + 1)
+        ++ "\n0000000000 65535 f \n"
+        ++ String.concat xrefEntries
+        ++ "trailer\n<< /Size "
+        ++ String.fromInt (List.length objects + 1)
+        ++ " /Root 1 0 R /Info 6 0 R >>\nstartxref\n"
+        ++ String.fromInt bodyLength
+        ++ "\n%%EOF\n"
+
+
+
+-- PAGINATION
+
+
+{-| Lay the rows down the pages, starting a new page when the next row, or
+the next two for a row kept with the next, would run into the bottom margin.
+Returns the drawing operators for each page.
+-}
+paginate : List Row -> List (List String)
+paginate rows =
+    paginateHelp rows contentTop [] []
+
+
+paginateHelp : List Row -> Float -> List (List String) -> List (List String) -> List (List String)
+paginateHelp rows cursor page pages =
+    case rows of
+        [] ->
+            List.reverse (List.concat (List.reverse page) :: pages)
+
+        row :: rest ->
+            let
+                atTop =
+                    cursor == contentTop
+
+                needed =
+                    row.gap
+                        + row.height
+                        + (case ( row.keepWithNext, rest ) of
+                            ( True, next :: _ ) ->
+                                next.gap + next.height
+
+                            _ ->
+                                0
+                          )
+            in
+            if not atTop && cursor - needed < contentBottom then
+                let
+                    ( repeatedOperators, top ) =
+                        case row.repeatedHeader of
+                            Just repeated ->
+                                ( repeated.draw contentTop, contentTop - repeated.height )
+
+                            Nothing ->
+                                ( [], contentTop )
+                in
+                paginateHelp rest (top - row.height) [ row.draw top, repeatedOperators ] (List.concat (List.reverse page) :: pages)
+
+            else
+                let
+                    top =
+                        if atTop then
+                            cursor
+
+                        else
+                            cursor - row.gap
+                in
+                paginateHelp rest (top - row.height) (row.draw top :: page) pages
+
+
+
+-- BLOCKS
+
+
+blockRows : Block -> List Row
+blockRows block =
+    case block of
+        Title title ->
+            textRows Bold 18 24 0 title
+                |> keepLastWithNext
+
+        Heading heading ->
+            [ { gap = 16
+              , height = 20
+              , draw =
+                    \top ->
+                        [ textAt Bold 12 margin (top - 12) (encodeText heading)
+                        , "0.75 G 0.5 w " ++ number margin ++ " " ++ number (top - 17) ++ " m " ++ number (margin + contentWidth) ++ " " ++ number (top - 17) ++ " l S"
+                        ]
+              , keepWithNext = True
+              , repeatedHeader = Nothing
+              }
+            ]
+
+        Subheading subheading ->
+            textRows Bold 10 14 10 subheading
+                |> keepLastWithNext
+
+        Paragraph paragraph ->
+            textRows Regular 10 14 6 paragraph
+
+        Note note ->
+            textRows Italic 9 12 6 note
+                |> List.map (\row -> { row | draw = row.draw >> List.map grey })
+
+        Fields fields ->
+            List.indexedMap fieldRow fields
+
+        Table columns tableRows ->
+            tableBlockRows columns tableRows
+
+        Bullets bullets ->
+            List.indexedMap bulletRow bullets
+
+
+{-| One row per wrapped line, with the gap above the first
+-}
+textRows : Font -> Float -> Float -> Float -> String -> List Row
+textRows font size leading gap text =
+    wrap font size contentWidth (encodeText text)
+        |> List.indexedMap
+            (\index line ->
+                { gap =
+                    if index == 0 then
+                        gap
+
+                    else
+                        0
+                , height = leading
+                , draw = \top -> [ textAt font size margin (top - size) line ]
+                , keepWithNext = False
+                , repeatedHeader = Nothing
+                }
+            )
+
+
+keepLastWithNext : List Row -> List Row
+keepLastWithNext rows =
+    case List.reverse rows of
+        last :: others ->
+            List.reverse ({ last | keepWithNext = True } :: others)
+
+        [] ->
+            []
+
+
+{-| A label on the left and its value in bold beside it, either wrapping
+within its own column
+-}
+fieldRow : Int -> ( String, String ) -> Row
+fieldRow index ( label, value ) =
+    let
+        labelWidth =
+            170
+
+        labelLines =
+            wrap Regular 10 labelWidth (encodeText label)
+
+        valueLines =
+            wrap Bold 10 (contentWidth - labelWidth - 10) (encodeText value)
+
+        height =
+            toFloat (max (List.length labelLines) (List.length valueLines)) * 14 + 4
+    in
+    { gap =
+        if index == 0 then
+            4
+
+        else
+            0
+    , height = height
+    , draw =
+        \top ->
+            List.indexedMap (\lineIndex line -> grey (textAt Regular 10 margin (top - 11 - toFloat lineIndex * 14) line)) labelLines
+                ++ List.indexedMap (\lineIndex line -> textAt Bold 10 (margin + labelWidth + 10) (top - 11 - toFloat lineIndex * 14) line) valueLines
+                ++ [ hairline (top - height) ]
+    , keepWithNext = False
+    , repeatedHeader = Nothing
+    }
+
+
+tableBlockRows : List Column -> List (List String) -> List Row
+tableBlockRows columns tableRows =
+    let
+        totalShare =
+            List.sum (List.map .share columns)
+
+        widths =
+            List.map (\column -> column.share / totalShare * contentWidth) columns
+
+        lefts =
+            List.foldl (\width ( left, soFar ) -> ( left + width, left :: soFar )) ( margin, [] ) widths
+                |> Tuple.second
+                |> List.reverse
+
+        cellLines font cells =
+            List.map2 (\width cell -> wrap font 9 (width - 8) (encodeText cell)) widths cells
+
+        rowHeight lines =
+            toFloat (Maybe.withDefault 1 (List.maximum (List.map List.length lines))) * 12 + 6
+
+        drawCells font lines top =
+            List.map2
+                (\left cell ->
+                    List.indexedMap (\lineIndex line -> textAt font 9 (left + 4) (top - 12 - toFloat lineIndex * 12) line) cell
+                )
+                lefts
+                lines
+                |> List.concat
+
+        headerLines =
+            cellLines Bold (List.map .title columns)
+
+        headerHeight =
+            rowHeight headerLines
+
+        header =
+            { height = headerHeight
+            , draw =
+                \top ->
+                    ("0.92 g " ++ number margin ++ " " ++ number (top - headerHeight) ++ " " ++ number contentWidth ++ " " ++ number headerHeight ++ " re f 0 g")
+                        :: drawCells Bold headerLines top
+            }
+
+        bodyRow cells =
+            let
+                lines =
+                    cellLines Regular cells
+
+                height =
+                    rowHeight lines
+            in
+            { gap = 0
+            , height = height
+            , draw = \top -> drawCells Regular lines top ++ [ hairline (top - height) ]
+            , keepWithNext = False
+            , repeatedHeader = Just header
+            }
+    in
+    { gap = 6
+    , height = header.height
+    , draw = header.draw
+    , keepWithNext = True
+    , repeatedHeader = Nothing
+    }
+        :: List.map bodyRow tableRows
+
+
+bulletRow : Int -> String -> Row
+bulletRow index bullet =
+    let
+        indent =
+            14
+
+        lines =
+            wrap Regular 10 (contentWidth - indent) (encodeText bullet)
+    in
+    { gap =
+        if index == 0 then
+            4
+
+        else
+            0
+    , height = toFloat (List.length lines) * 14 + 2
+    , draw =
+        \top ->
+            textAt Regular 10 (margin + 2) (top - 10) (String.fromChar (Char.fromCode 149))
+                :: List.indexedMap (\lineIndex line -> textAt Regular 10 (margin + indent) (top - 10 - toFloat lineIndex * 14) line) lines
+    , keepWithNext = False
+    , repeatedHeader = Nothing
+    }
+
+
+
+-- PAGE FURNITURE
+
+
+{-| Logo and company name, the report title beneath, and a rule across the
+page under them
+-}
+headerOperators : PageHeader -> List String
+headerOperators header =
+    let
+        top =
+            pageHeight - margin
+
+        ( logo, logoWidth ) =
+            logoOperators header.logo margin top
+
+        textLeft =
+            if logoWidth > 0 then
+                margin + logoWidth + 10
+
+            else
+                margin
+    in
+    logo
+        ++ [ textAt Bold 14 textLeft (top - 15) (encodeText header.companyName)
+           , grey (textAt Regular 9 textLeft (top - 30) (encodeText (header.title ++ " · " ++ header.subtitle)))
+           , "0.6 G 0.75 w " ++ number margin ++ " " ++ number (top - logoHeight - 6) ++ " m " ++ number (margin + contentWidth) ++ " " ++ number (top - logoHeight - 6) ++ " l S"
+           ]
+
+
+footerOperators : Int -> Int -> List String
+footerOperators pageNumber pageCount =
+    let
+        footer =
+            encodeText ("Page " ++ String.fromInt pageNumber ++ " of " ++ String.fromInt pageCount)
+    in
+    [ grey (textAt Regular 8 ((pageWidth - textWidth Regular 8 footer) / 2) (margin - 18) footer) ]
+
+
+{-| The logo scaled to the header height, or narrower if it is wide, with its
+top left corner at the point given. Returns the operators and the width
+drawn, which is 0 when the logo has nothing to draw.
+-}
+logoOperators : Logo -> Float -> Float -> ( List String, Float )
+logoOperators logo left top =
+    let
+        scale =
+            min (logoHeight / logo.height) (2 * logoHeight / logo.width)
+
+        shapes =
+            List.filterMap
+                (\logoPath ->
+                    Maybe.map2 (\fill outline -> fill ++ " " ++ outline ++ " f")
+                        (fillColor logoPath.color)
+                        (pathOperators logoPath.d)
+                )
+                logo.paths
+    in
+    if List.isEmpty shapes || logo.width <= 0 || logo.height <= 0 then
+        ( [], 0 )
+
+    else
+        -- SVG measures y down the page and PDF up it, so the drawing is flipped
+        ( [ "q " ++ number scale ++ " 0 0 " ++ number (negate scale) ++ " " ++ number left ++ " " ++ number top ++ " cm" ]
+            ++ shapes
+            ++ [ "Q" ]
+        , logo.width * scale
+        )
+
+
+{-| `#rrggbb` as the operator that sets it as the fill colour
+-}
+fillColor : String -> Maybe String
+fillColor color =
+    let
+        hexDigit char =
+            String.indexes (String.fromChar (Char.toLower char)) "0123456789abcdef"
+                |> List.head
+
+        channel digits =
+            case String.toList digits of
+                [ high, low ] ->
+                    Maybe.map2 (\h l -> number (toFloat (h * 16 + l) / 255)) (hexDigit high) (hexDigit low)
+
+                _ ->
+                    Nothing
+    in
+    if String.length color == 7 && String.startsWith "#" color then
+        Maybe.map3 (\red green blue -> red ++ " " ++ green ++ " " ++ blue ++ " rg")
+            (channel (String.slice 1 3 color))
+            (channel (String.slice 3 5 color))
+            (channel (String.slice 5 7 color))
+
+    else
+        Nothing
+
+
+
+-- SVG PATHS
+
+
+type PathToken
+    = Command Char
+    | Number Float
+
+
+{-| The current point and the start of the current subpath
+-}
+type alias Pen =
+    { x : Float
+    , y : Float
+    , startX : Float
+    , startY : Float
+    }
+
+
+{-| SVG path data as PDF path construction operators. Handles the M, L, H, V,
+C and Z commands, absolute and relative, with repeated coordinates after a
+command. Returns Nothing for anything else.
+-}
+pathOperators : String -> Maybe String
+pathOperators d =
+    tokenize (String.toList d) "" []
+        |> Maybe.andThen (\tokens -> trace { x = 0, y = 0, startX = 0, startY = 0 } Nothing tokens [])
+        |> Maybe.map (String.join " ")
+
+
+tokenize : List Char -> String -> List PathToken -> Maybe (List PathToken)
+tokenize chars current tokens =
+    let
+        flushed =
+            if current == "" then
+                Just tokens
+
+            else
+                Maybe.map (\value -> Number value :: tokens) (String.toFloat current)
+    in
+    case chars of
+        [] ->
+            Maybe.map List.reverse flushed
+
+        char :: rest ->
+            if Char.isDigit char then
+                tokenize rest (current ++ String.fromChar char) tokens
+
+            else if char == '.' then
+                if String.contains "." current || String.contains "e" current then
+                    Maybe.andThen (tokenize rest ".") flushed
+
+                else
+                    tokenize rest (current ++ ".") tokens
+
+            else if char == '-' || char == '+' then
+                if current == "" || String.endsWith "e" current then
+                    tokenize rest (current ++ String.fromChar char) tokens
+
+                else
+                    Maybe.andThen (tokenize rest (String.fromChar char)) flushed
+
+            else if (char == 'e' || char == 'E') && current /= "" then
+                tokenize rest (current ++ "e") tokens
+
+            else if char == ' ' || char == ',' || char == '\n' || char == '\t' || char == '\u{000D}' then
+                Maybe.andThen (tokenize rest "") flushed
+
+            else if String.contains (String.fromChar char) "MmLlHhVvCcZz" then
+                Maybe.andThen (\done -> tokenize rest "" (Command char :: done)) flushed
+
+            else
+                Nothing
+
+
+trace : Pen -> Maybe Char -> List PathToken -> List String -> Maybe (List String)
+trace pen command tokens operators =
+    case tokens of
+        [] ->
+            Just (List.reverse operators)
+
+        (Command next) :: rest ->
+            if next == 'Z' || next == 'z' then
+                trace { pen | x = pen.startX, y = pen.startY } (Just next) rest ("h" :: operators)
+
+            else
+                trace pen (Just next) rest operators
+
+        (Number _) :: _ ->
+            Maybe.andThen (\current -> segment pen current tokens operators) command
+
+
+{-| Draw one segment of the command with the coordinates at the head of the
+tokens, then carry on with the rest
+-}
+segment : Pen -> Char -> List PathToken -> List String -> Maybe (List String)
+segment pen command tokens operators =
+    let
+        relative =
+            Char.isLower command
+
+        absolute x y =
+            if relative then
+                ( pen.x + x, pen.y + y )
+
+            else
+                ( x, y )
+
+        lineTo ( x, y ) rest =
+            trace { pen | x = x, y = y } (Just command) rest ((point x y ++ " l") :: operators)
+    in
+    case ( Char.toUpper command, tokens ) of
+        ( 'M', (Number x) :: (Number y) :: rest ) ->
+            let
+                ( moveX, moveY ) =
+                    absolute x y
+
+                -- Coordinates repeated after a move draw lines
+                following =
+                    if relative then
+                        'l'
+
+                    else
+                        'L'
+            in
+            trace { x = moveX, y = moveY, startX = moveX, startY = moveY } (Just following) rest ((point moveX moveY ++ " m") :: operators)
+
+        ( 'L', (Number x) :: (Number y) :: rest ) ->
+            lineTo (absolute x y) rest
+
+        ( 'H', (Number x) :: rest ) ->
+            if relative then
+                lineTo ( pen.x + x, pen.y ) rest
+
+            else
+                lineTo ( x, pen.y ) rest
+
+        ( 'V', (Number y) :: rest ) ->
+            if relative then
+                lineTo ( pen.x, pen.y + y ) rest
+
+            else
+                lineTo ( pen.x, y ) rest
+
+        ( 'C', (Number x1) :: (Number y1) :: (Number x2) :: (Number y2) :: (Number x) :: (Number y) :: rest ) ->
+            let
+                ( control1X, control1Y ) =
+                    absolute x1 y1
+
+                ( control2X, control2Y ) =
+                    absolute x2 y2
+
+                ( endX, endY ) =
+                    absolute x y
+            in
+            trace { pen | x = endX, y = endY }
+                (Just command)
+                rest
+                ((point control1X control1Y ++ " " ++ point control2X control2Y ++ " " ++ point endX endY ++ " c") :: operators)
+
+        _ ->
+            Nothing
+
+
+point : Float -> Float -> String
+point x y =
+    number x ++ " " ++ number y
+
+
+
+-- TEXT
+
+
+{-| Text set in a font and size with its baseline starting at x, y. The text
+must already be encoded.
+-}
+textAt : Font -> Float -> Float -> Float -> String -> String
+textAt font size x baseline encoded =
+    "BT "
+        ++ fontResource font
+        ++ " "
+        ++ number size
+        ++ " Tf "
+        ++ point x baseline
+        ++ " Td ("
+        ++ escape encoded
+        ++ ") Tj ET"
+
+
+fontResource : Font -> String
+fontResource font =
+    case font of
+        Regular ->
+            "/F1"
+
+        Bold ->
+            "/F2"
+
+        Italic ->
+            "/F3"
+
+
+grey : String -> String
+grey operators =
+    "0.35 g " ++ operators ++ " 0 g"
+
+
+hairline : Float -> String
+hairline y =
+    "0.85 G 0.5 w " ++ point margin y ++ " m " ++ point (margin + contentWidth) y ++ " l S"
+
+
+{-| Text as characters of the Windows Latin (WinAnsi) encoding, one Char per
+byte. Latin-1 letters keep their codes, typographic punctuation moves to its
+WinAnsi code, a few symbols are spelled out, pictographs are dropped and
+anything else becomes a question mark.
+-}
+encodeText : String -> String
+encodeText text =
+    String.foldr (\char encoded -> encodeChar char ++ encoded) "" text
+
+
+encodeChar : Char -> String
+encodeChar char =
+    let
+        code =
+            Char.toCode char
+    in
+    if (code >= 32 && code <= 126) || (code >= 160 && code <= 255) then
+        String.fromChar char
+
+    else
+        case char of
+            '\n' ->
+                " "
+
+            '\t' ->
+                " "
+
+            '€' ->
+                String.fromChar (Char.fromCode 128)
+
+            '…' ->
+                String.fromChar (Char.fromCode 133)
+
+            '‘' ->
+                String.fromChar (Char.fromCode 145)
+
+            '’' ->
+                String.fromChar (Char.fromCode 146)
+
+            '“' ->
+                String.fromChar (Char.fromCode 147)
+
+            '”' ->
+                String.fromChar (Char.fromCode 148)
+
+            '•' ->
+                String.fromChar (Char.fromCode 149)
+
+            '–' ->
+                String.fromChar (Char.fromCode 150)
+
+            '—' ->
+                String.fromChar (Char.fromCode 151)
+
+            '™' ->
+                String.fromChar (Char.fromCode 153)
+
+            '→' ->
+                "->"
+
+            '←' ->
+                "<-"
+
+            '≈' ->
+                "~"
+
+            '≤' ->
+                "<="
+
+            '≥' ->
+                ">="
+
+            '−' ->
+                "-"
+
+            _ ->
+                if code > 0xFFFF || (code >= 0x2600 && code <= 0x27BF) || (code >= 0xFE00 && code <= 0xFE0F) || (code >= 0x200B && code <= 0x200D) then
+                    ""
+
+                else
+                    "?"
+
+
+{-| Encoded text written as a PDF string body: brackets and backslashes are
+escaped and bytes outside printable ASCII are written in octal
+-}
+escape : String -> String
+escape encoded =
+    String.foldr
+        (\char escaped ->
+            let
+                code =
+                    Char.toCode char
+            in
+            (if char == '(' || char == ')' || char == '\\' then
+                "\\" ++ String.fromChar char
+
+             else if code > 126 then
+                "\\" ++ String.fromInt (code // 64) ++ String.fromInt (modBy 8 (code // 8)) ++ String.fromInt (modBy 8 code)
+
+             else
+                String.fromChar char
+            )
+                ++ escaped
+        )
+        ""
+        encoded
+
+
+{-| Encoded text broken into lines no wider than the width given, at spaces
+where possible
+-}
+wrap : Font -> Float -> Float -> String -> List String
+wrap font size width encoded =
+    let
+        place word ( lines, current ) =
+            if current == "" then
+                ( lines, word )
+
+            else if textWidth font size (current ++ " " ++ word) <= width then
+                ( lines, current ++ " " ++ word )
+
+            else
+                ( current :: lines, word )
+
+        ( done, last ) =
+            List.foldl place ( [], "" ) (List.concatMap (breakWord font size width) (String.words encoded))
+    in
+    List.reverse (last :: done)
+
+
+{-| A word too wide for a line split into pieces that fit
+-}
+breakWord : Font -> Float -> Float -> String -> List String
+breakWord font size width word =
+    if textWidth font size word <= width then
+        [ word ]
+
+    else
+        String.foldl
+            (\char ( pieces, current ) ->
+                if current /= "" && textWidth font size (current ++ String.fromChar char) > width then
+                    ( current :: pieces, String.fromChar char )
+
+                else
+                    ( pieces, current ++ String.fromChar char )
+            )
+            ( [], "" )
+            word
+            |> (\( pieces, last ) -> List.reverse (last :: pieces))
+
+
+textWidth : Font -> Float -> String -> Float
+textWidth font size encoded =
+    String.foldl (\char total -> total + charWidth font char) 0 encoded * size / 1000
+
+
+{-| Advance width of an encoded character in thousandths of the font size,
+from the Adobe font metrics. The oblique face has the regular widths.
+-}
+charWidth : Font -> Char -> Float
+charWidth font char =
+    let
+        code =
+            Char.toCode char
+
+        ( asciiWidths, quoteWidths ) =
+            case font of
+                Bold ->
+                    ( boldWidths, { single = 278, double = 500 } )
+
+                _ ->
+                    ( regularWidths, { single = 222, double = 333 } )
+    in
+    if code >= 32 && code <= 126 then
+        toFloat (Maybe.withDefault 556 (Array.get (code - 32) asciiWidths))
+
+    else
+        case code of
+            133 ->
+                1000
+
+            145 ->
+                quoteWidths.single
+
+            146 ->
+                quoteWidths.single
+
+            147 ->
+                quoteWidths.double
+
+            148 ->
+                quoteWidths.double
+
+            149 ->
+                350
+
+            151 ->
+                1000
+
+            153 ->
+                1000
+
+            176 ->
+                400
+
+            178 ->
+                333
+
+            179 ->
+                333
+
+            183 ->
+                278
+
+            215 ->
+                584
+
+            _ ->
+                556
+
+
+{-| Helvetica widths for the printable ASCII characters, space to tilde
+-}
+regularWidths : Array Int
+regularWidths =
+    Array.fromList
+        [ 278
+        , 278
+        , 355
+        , 556
+        , 556
+        , 889
+        , 667
+        , 191
+        , 333
+        , 333
+        , 389
+        , 584
+        , 278
+        , 333
+        , 278
+        , 278 -- space to /
+        , 556
+        , 556
+        , 556
+        , 556
+        , 556
+        , 556
+        , 556
+        , 556
+        , 556
+        , 556 -- 0 to 9
+        , 278
+        , 278
+        , 584
+        , 584
+        , 584
+        , 556
+        , 1015 -- : to @
+        , 667
+        , 667
+        , 722
+        , 722
+        , 667
+        , 611
+        , 778
+        , 722
+        , 278
+        , 500
+        , 667
+        , 556
+        , 833 -- A to M
+        , 722
+        , 778
+        , 667
+        , 778
+        , 722
+        , 667
+        , 611
+        , 722
+        , 667
+        , 944
+        , 667
+        , 667
+        , 611 -- N to Z
+        , 278
+        , 278
+        , 278
+        , 469
+        , 556
+        , 333 -- [ to `
+        , 556
+        , 556
+        , 500
+        , 556
+        , 556
+        , 278
+        , 556
+        , 556
+        , 222
+        , 222
+        , 500
+        , 222
+        , 833 -- a to m
+        , 556
+        , 556
+        , 556
+        , 556
+        , 333
+        , 500
+        , 278
+        , 556
+        , 500
+        , 722
+        , 500
+        , 500
+        , 500 -- n to z
+        , 334
+        , 260
+        , 334
+        , 584 -- { to ~
+        ]
+
+
+{-| Helvetica-Bold widths for the printable ASCII characters, space to tilde
+-}
+boldWidths : Array Int
+boldWidths =
+    Array.fromList
+        [ 278
+        , 333
+        , 474
+        , 556
+        , 556
+        , 889
+        , 722
+        , 238
+        , 333
+        , 333
+        , 389
+        , 584
+        , 278
+        , 333
+        , 278
+        , 278 -- space to /
+        , 556
+        , 556
+        , 556
+        , 556
+        , 556
+        , 556
+        , 556
+        , 556
+        , 556
+        , 556 -- 0 to 9
+        , 333
+        , 333
+        , 584
+        , 584
+        , 584
+        , 611
+        , 975 -- : to @
+        , 722
+        , 722
+        , 722
+        , 722
+        , 667
+        , 611
+        , 778
+        , 722
+        , 278
+        , 556
+        , 722
+        , 611
+        , 833 -- A to M
+        , 722
+        , 778
+        , 667
+        , 778
+        , 722
+        , 667
+        , 611
+        , 722
+        , 667
+        , 944
+        , 667
+        , 667
+        , 611 -- N to Z
+        , 333
+        , 278
+        , 333
+        , 584
+        , 556
+        , 333 -- [ to `
+        , 556
+        , 611
+        , 556
+        , 611
+        , 556
+        , 333
+        , 611
+        , 611
+        , 278
+        , 278
+        , 556
+        , 278
+        , 889 -- a to m
+        , 611
+        , 611
+        , 611
+        , 611
+        , 389
+        , 556
+        , 333
+        , 611
+        , 556
+        , 778
+        , 556
+        , 556
+        , 500 -- n to z
+        , 389
+        , 280
+        , 389
+        , 584 -- { to ~
+        ]
+
+
+
+-- NUMBERS
+
+
+{-| A number as PDF writes it: plain decimal to two places, never in
+exponent form
+-}
+number : Float -> String
+number value =
+    let
+        hundredths =
+            round (value * 100)
+
+        sign =
+            if hundredths < 0 then
+                "-"
+
+            else
+                ""
+
+        fraction =
+            modBy 100 (abs hundredths)
+    in
+    sign
+        ++ String.fromInt (abs hundredths // 100)
+        ++ (if fraction == 0 then
+                ""
+
+            else if modBy 10 fraction == 0 then
+                "." ++ String.fromInt (fraction // 10)
+
+            else
+                "." ++ String.padLeft 2 '0' (String.fromInt fraction)
+           )
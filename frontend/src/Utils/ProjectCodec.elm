@@ -0,0 +1,619 @@
+module Utils.ProjectCodec exposing (currentVersion, encodeLibrary, decodeLibrary, encodeSession, decodeSession, encodeShared, decodeShared, encodeRoster, decodeRoster)
+
+{-| JSON format for the saved project library, the autosaved session, share
+links and the roster of the company's own machines
+
+The library is stored as `{ "version": 3, "projects": [...] }`, the
+session as `{ "version": 3, "session": {...} }` and the roster as
+`{ "version": 3, "units": [...] }`. Share links carry a session
+too, compressed by the host page. The version says how the
+projects are laid out, so a later release that changes the layout can keep
+reading data saved by this one: bump currentVersion and add a decoder for the
+new layout beside the old one. Data saved by a newer release than this one is
+refused rather than misread.
+
+@docs currentVersion, encodeLibrary, decodeLibrary, encodeSession, decodeSession, encodeShared, decodeShared, encodeRoster, decodeRoster
+
+-}
+
+import Components.ProjectForm as ProjectForm exposing (FormData)
+import Json.Decode as Decode exposing (Decoder)
+import Json.Encode as Encode
+import Types.Equipment exposing (Excavator, HaulCycle, OperatorSkill, TimeRange, Truck, operatorSkillFromString, operatorSkillToString)
+import Types.Phase exposing (Phase, phaseKindFromString, phaseKindToString)
+import Types.Pond exposing (shapeFromString, shapeToString)
+import Types.Project exposing (SavedProject, WorkingSession)
+import Types.Roster exposing (RosterMachine(..), RosterUnit)
+import Types.Spoil exposing (placementFromString, placementToString)
+import Types.Validation exposing (ValidationResult)
+import Utils.Config exposing (Config)
+import Utils.Units as Units exposing (UnitSystem(..))
+import Utils.Validation as Validation
+
+
+
+-- VERSION
+
+
+{-| Layout version written by this release
+-}
+currentVersion : Int
+currentVersion =
+    3
+
+
+
+-- ENCODING
+
+
+{-| Encode every project in the library with the current layout version
+-}
+encodeLibrary : List SavedProject -> Encode.Value
+encodeLibrary projects =
+    Encode.object
+        [ ( "version", Encode.int currentVersion )
+        , ( "projects", Encode.list encodeProject projects )
+        ]
+
+
+{-| Encode the working session with the current layout version
+-}
+encodeSession : WorkingSession -> Encode.Value
+encodeSession session =
+    Encode.object
+        [ ( "version", Encode.int currentVersion )
+        , ( "session"
+          , Encode.object
+                [ ( "form", encodeFormData session.formData )
+                , ( "excavators", Encode.list encodeExcavator session.excavators )
+                , ( "trucks", Encode.list encodeTruck session.trucks )
+                , ( "phases", Encode.list encodePhase session.phases )
+                , ( "nextExcavatorId", Encode.int session.nextExcavatorId )
+                , ( "nextTruckId", Encode.int session.nextTruckId )
+                , ( "nextPhaseId", Encode.int session.nextPhaseId )
+                ]
+          )
+        ]
+
+
+{-| JSON text for a share link, laid out as an autosaved session
+-}
+encodeShared : WorkingSession -> String
+encodeShared session =
+    Encode.encode 0 (encodeSession session)
+
+
+{-| Encode every unit in the roster with the current layout version
+-}
+encodeRoster : List RosterUnit -> Encode.Value
+encodeRoster units =
+    Encode.object
+        [ ( "version", Encode.int currentVersion )
+        , ( "units", Encode.list encodeRosterUnit units )
+        ]
+
+
+encodeProject : SavedProject -> Encode.Value
+encodeProject project =
+    Encode.object
+        [ ( "id", Encode.string project.id )
+        , ( "name", Encode.string project.name )
+        , ( "form", encodeFormData project.formData )
+        , ( "excavators", Encode.list encodeExcavator project.excavators )
+        , ( "trucks", Encode.list encodeTruck project.trucks )
+        , ( "phases", Encode.list encodePhase project.phases )
+        , ( "timelineInDays", encodeMaybe Encode.int project.timelineInDays )
+        ]
+
+
+{-| Form values are kept as typed, so a half-finished figure reopens as it
+was left. Validation errors are not saved; they are worked out again.
+-}
+encodeFormData : FormData -> Encode.Value
+encodeFormData formData =
+    Encode.object
+        [ ( "workHoursPerDay", Encode.string formData.workHoursPerDay )
+        , ( "pondLength", Encode.string formData.pondLength )
+        , ( "pondWidth", Encode.string formData.pondWidth )
+        , ( "pondDepth", Encode.string formData.pondDepth )
+        , ( "sideSlope", Encode.string formData.sideSlope )
+        , ( "perSideSlopes", Encode.bool formData.perSideSlopes )
+        , ( "northSlope", Encode.string formData.northSlope )
+        , ( "southSlope", Encode.string formData.southSlope )
+        , ( "eastSlope", Encode.string formData.eastSlope )
+        , ( "westSlope", Encode.string formData.westSlope )
+        , ( "pondShape", Encode.string (shapeToString formData.pondShape) )
+        , ( "cornerRadius", Encode.string formData.cornerRadius )
+        , ( "smallLobeDiameter", Encode.string formData.smallLobeDiameter )
+        , ( "soilType", Encode.string formData.soilType )
+        , ( "customSwellPercent", Encode.string formData.customSwellPercent )
+        , ( "customDensity", Encode.string formData.customDensity )
+        , ( "spoilPlacement", Encode.string (placementToString formData.spoilPlacement) )
+        , ( "exportPercent", Encode.string formData.exportPercent )
+        , ( "fuelPrice", Encode.string formData.fuelPrice )
+        , ( "disposalFee", Encode.string formData.disposalFee )
+        , ( "workHoursMin", Encode.string formData.workHoursMin )
+        , ( "workHoursMax", Encode.string formData.workHoursMax )
+        , ( "startDate", Encode.string formData.startDate )
+        , ( "workDays", Encode.list Encode.string formData.workDays )
+        , ( "holidays", Encode.list Encode.string formData.holidays )
+        ]
+
+
+encodeExcavator : Excavator -> Encode.Value
+encodeExcavator excavator =
+    Encode.object
+        [ ( "id", Encode.string excavator.id )
+        , ( "bucketCapacity", Encode.float excavator.bucketCapacity )
+        , ( "cycleTime", Encode.float excavator.cycleTime )
+        , ( "name", Encode.string excavator.name )
+        , ( "isActive", Encode.bool excavator.isActive )
+        , ( "quantity", Encode.int excavator.quantity )
+        , ( "efficiency", Encode.float excavator.efficiency )
+        , ( "fillFactor", Encode.float excavator.fillFactor )
+        , ( "operatorSkill", Encode.string (operatorSkillToString excavator.operatorSkill) )
+        , ( "hourlyRate", Encode.float excavator.hourlyRate )
+        , ( "operatorWage", Encode.float excavator.operatorWage )
+        , ( "fuelBurn", Encode.float excavator.fuelBurn )
+        , ( "cycleTimeRange", encodeMaybe encodeTimeRange excavator.cycleTimeRange )
+        , ( "rosterUnit", encodeMaybe Encode.string excavator.rosterUnit )
+        ]
+
+
+encodeTruck : Truck -> Encode.Value
+encodeTruck truck =
+    Encode.object
+        [ ( "id", Encode.string truck.id )
+        , ( "capacity", Encode.float truck.capacity )
+        , ( "roundTripTime", Encode.float truck.roundTripTime )
+        , ( "name", Encode.string truck.name )
+        , ( "isActive", Encode.bool truck.isActive )
+        , ( "quantity", Encode.int truck.quantity )
+        , ( "efficiency", Encode.float truck.efficiency )
+        , ( "fillFactor", Encode.float truck.fillFactor )
+        , ( "operatorSkill", Encode.string (operatorSkillToString truck.operatorSkill) )
+        , ( "hourlyRate", Encode.float truck.hourlyRate )
+        , ( "operatorWage", Encode.float truck.operatorWage )
+        , ( "fuelBurn", Encode.float truck.fuelBurn )
+        , ( "roundTripTimeRange", encodeMaybe encodeTimeRange truck.roundTripTimeRange )
+        , ( "haulCycle", encodeMaybe encodeHaulCycle truck.haulCycle )
+        , ( "maxPayload", Encode.float truck.maxPayload )
+        , ( "rosterUnit", encodeMaybe Encode.string truck.rosterUnit )
+        ]
+
+
+{-| A unit holds its machine under "excavator" or "truck", which says which
+it is
+-}
+encodeRosterUnit : RosterUnit -> Encode.Value
+encodeRosterUnit unit =
+    Encode.object
+        [ ( "unitNumber", Encode.string unit.unitNumber )
+        , ( "description", Encode.string unit.description )
+        , ( "available", Encode.bool unit.available )
+        , case unit.machine of
+            RosterExcavator excavator ->
+                ( "excavator", encodeExcavator excavator )
+
+            RosterTruck truck ->
+                ( "truck", encodeTruck truck )
+        ]
+
+
+encodeTimeRange : TimeRange -> Encode.Value
+encodeTimeRange range =
+    Encode.object
+        [ ( "min", Encode.float range.min )
+        , ( "max", Encode.float range.max )
+        ]
+
+
+encodeHaulCycle : HaulCycle -> Encode.Value
+encodeHaulCycle haulCycle =
+    Encode.object
+        [ ( "distance", Encode.float haulCycle.distance )
+        , ( "loadedSpeed", Encode.float haulCycle.loadedSpeed )
+        , ( "emptySpeed", Encode.float haulCycle.emptySpeed )
+        , ( "dumpTime", Encode.float haulCycle.dumpTime )
+        , ( "spotTime", Encode.float haulCycle.spotTime )
+        , ( "loadingExcavator", encodeMaybe Encode.string haulCycle.loadingExcavator )
+        ]
+
+
+encodePhase : Phase -> Encode.Value
+encodePhase phase =
+    Encode.object
+        [ ( "id", Encode.string phase.id )
+        , ( "kind", Encode.string (phaseKindToString phase.kind) )
+        , ( "name", Encode.string phase.name )
+        , ( "volume", Encode.float phase.volume )
+        , ( "excavatorIds", Encode.list Encode.string phase.excavatorIds )
+        , ( "truckIds", Encode.list Encode.string phase.truckIds )
+        , ( "productivity", Encode.float phase.productivity )
+        ]
+
+
+encodeMaybe : (a -> Encode.Value) -> Maybe a -> Encode.Value
+encodeMaybe encode maybeValue =
+    Maybe.map encode maybeValue
+        |> Maybe.withDefault Encode.null
+
+
+
+-- DECODING
+
+
+{-| Read a stored library. The error explains why the projects could not be
+read, in words suitable for showing to the user.
+-}
+decodeLibrary : String -> Result String (List SavedProject)
+decodeLibrary =
+    decodeVersioned "saved projects" (\version -> Decode.field "projects" (Decode.list (projectDecoder version)))
+
+
+{-| Read an autosaved session, see decodeLibrary
+-}
+decodeSession : String -> Result String WorkingSession
+decodeSession =
+    decodeVersioned "previous session" (\version -> Decode.field "session" (sessionDecoder version))
+
+
+{-| Read the session carried by a share link. Links can be cut short or
+edited by hand, so every part is checked as for stored data, and figures
+are held to the limits of the given configuration. Whatever had to be left
+out or put back to its default is described for showing with the estimate.
+-}
+decodeShared : Config -> String -> Result String ( WorkingSession, List String )
+decodeShared config json =
+    decodeVersioned "shared estimate" (\version -> Decode.field "session" (sessionDecoder version)) json
+        |> Result.andThen
+            (\session ->
+                let
+                    ( checked, notes ) =
+                        withinLimits config session
+                in
+                -- The app always keeps at least one of each machine
+                if List.isEmpty session.excavators || List.isEmpty session.trucks then
+                    Err "The shared estimate could not be read because its fleet is missing."
+
+                else if List.isEmpty checked.excavators || List.isEmpty checked.trucks then
+                    Err "The shared estimate could not be read because its fleet is outside the calculator's limits."
+
+                else
+                    Ok ( checked, notes )
+            )
+
+
+{-| Read a stored roster, see decodeLibrary
+-}
+decodeRoster : String -> Result String (List RosterUnit)
+decodeRoster =
+    decodeVersioned "equipment roster" (\version -> Decode.field "units" (Decode.list (rosterUnitDecoder version)))
+
+
+{-| Read data stored with a layout version, using the decoder for that
+version. The description names the data in the error.
+-}
+decodeVersioned : String -> (Int -> Decoder a) -> String -> Result String a
+decodeVersioned description decoderFor json =
+    case Decode.decodeString (Decode.field "version" Decode.int) json of
+        Ok version ->
+            if version > currentVersion then
+                Err ("The " ++ description ++ " came from a newer version of the calculator. Reload the page to update it.")
+
+            else
+                Decode.decodeString (decoderFor version) json
+                    |> Result.mapError (\_ -> "The " ++ description ++ " could not be read because some of the data is damaged.")
+
+        Err _ ->
+            Err ("The " ++ description ++ " could not be read because the data is not in a format the calculator recognises.")
+
+
+{-| Decode a session laid out as the given version, see projectDecoder
+-}
+sessionDecoder : Int -> Decoder WorkingSession
+sessionDecoder version =
+    Decode.succeed WorkingSession
+        |> andMap (Decode.field "form" formDataDecoder)
+        |> andMap (Decode.field "excavators" (Decode.list (excavatorDecoder version)))
+        |> andMap (Decode.field "trucks" (Decode.list (truckDecoder version)))
+        |> andMap (Decode.field "phases" (Decode.list phaseDecoder))
+        |> andMap (Decode.field "nextExcavatorId" Decode.int)
+        |> andMap (Decode.field "nextTruckId" Decode.int)
+        |> andMap (Decode.field "nextPhaseId" Decode.int)
+
+
+{-| Decode a project laid out as the given version. Version 2 added the
+roster unit each machine was added from; machines saved as version 1 were
+added from none. Version 3 added a quantity to each equipment row; rows saved
+before it are one machine each.
+-}
+projectDecoder : Int -> Decoder SavedProject
+projectDecoder version =
+    Decode.succeed SavedProject
+        |> andMap (Decode.field "id" Decode.string)
+        |> andMap (Decode.field "name" Decode.string)
+        |> andMap (Decode.field "form" formDataDecoder)
+        |> andMap (Decode.field "excavators" (Decode.list (excavatorDecoder version)))
+        |> andMap (Decode.field "trucks" (Decode.list (truckDecoder version)))
+        |> andMap (Decode.field "phases" (Decode.list phaseDecoder))
+        |> andMap (Decode.field "timelineInDays" (Decode.nullable Decode.int))
+
+
+{-| Decode a roster unit laid out as the given version, see projectDecoder
+-}
+rosterUnitDecoder : Int -> Decoder RosterUnit
+rosterUnitDecoder version =
+    Decode.map4 RosterUnit
+        (Decode.field "unitNumber" Decode.string)
+        (Decode.field "description" Decode.string)
+        (Decode.field "available" Decode.bool)
+        (Decode.oneOf
+            [ Decode.field "excavator" (Decode.map RosterExcavator (excavatorDecoder version))
+            , Decode.field "truck" (Decode.map RosterTruck (truckDecoder version))
+            ]
+        )
+
+
+formDataDecoder : Decoder FormData
+formDataDecoder =
+    Decode.succeed FormData
+        |> andMap (Decode.field "workHoursPerDay" Decode.string)
+        |> andMap (Decode.field "pondLength" Decode.string)
+        |> andMap (Decode.field "pondWidth" Decode.string)
+        |> andMap (Decode.field "pondDepth" Decode.string)
+        |> andMap (Decode.field "sideSlope" Decode.string)
+        |> andMap (Decode.field "perSideSlopes" Decode.bool)
+        |> andMap (Decode.field "northSlope" Decode.string)
+        |> andMap (Decode.field "southSlope" Decode.string)
+        |> andMap (Decode.field "eastSlope" Decode.string)
+        |> andMap (Decode.field "westSlope" Decode.string)
+        |> andMap (Decode.field "pondShape" (identifierDecoder shapeFromString))
+        |> andMap (Decode.field "cornerRadius" Decode.string)
+        |> andMap (Decode.field "smallLobeDiameter" Decode.string)
+        |> andMap (Decode.field "soilType" Decode.string)
+        |> andMap (Decode.field "customSwellPercent" Decode.string)
+        |> andMap (Decode.field "customDensity" Decode.string)
+        |> andMap (Decode.field "spoilPlacement" (identifierDecoder placementFromString))
+        |> andMap (Decode.field "exportPercent" Decode.string)
+        |> andMap (Decode.field "fuelPrice" Decode.string)
+        |> andMap (Decode.field "disposalFee" Decode.string)
+        |> andMap (Decode.field "workHoursMin" Decode.string)
+        |> andMap (Decode.field "workHoursMax" Decode.string)
+        |> andMap (Decode.field "startDate" Decode.string)
+        |> andMap (Decode.field "workDays" (Decode.list Decode.string))
+        |> andMap (Decode.field "holidays" (Decode.list Decode.string))
+        |> andMap (Decode.succeed [])
+
+
+excavatorDecoder : Int -> Decoder Excavator
+excavatorDecoder version =
+    Decode.succeed Excavator
+        |> andMap (Decode.field "id" Decode.string)
+        |> andMap (Decode.field "bucketCapacity" Decode.float)
+        |> andMap (Decode.field "cycleTime" Decode.float)
+        |> andMap (Decode.field "name" Decode.string)
+        |> andMap (Decode.field "isActive" Decode.bool)
+        |> andMap (quantityDecoder version)
+        |> andMap (Decode.field "efficiency" Decode.float)
+        |> andMap (Decode.field "fillFactor" Decode.float)
+        |> andMap (Decode.field "operatorSkill" operatorSkillDecoder)
+        |> andMap (Decode.field "hourlyRate" Decode.float)
+        |> andMap (Decode.field "operatorWage" Decode.float)
+        |> andMap (Decode.field "fuelBurn" Decode.float)
+        |> andMap (Decode.field "cycleTimeRange" (Decode.nullable timeRangeDecoder))
+        |> andMap (addedFromDecoder version)
+
+
+truckDecoder : Int -> Decoder Truck
+truckDecoder version =
+    Decode.succeed Truck
+        |> andMap (Decode.field "id" Decode.string)
+        |> andMap (Decode.field "capacity" Decode.float)
+        |> andMap (Decode.field "roundTripTime" Decode.float)
+        |> andMap (Decode.field "name" Decode.string)
+        |> andMap (Decode.field "isActive" Decode.bool)
+        |> andMap (quantityDecoder version)
+        |> andMap (Decode.field "efficiency" Decode.float)
+        |> andMap (Decode.field "fillFactor" Decode.float)
+        |> andMap (Decode.field "operatorSkill" operatorSkillDecoder)
+        |> andMap (Decode.field "hourlyRate" Decode.float)
+        |> andMap (Decode.field "operatorWage" Decode.float)
+        |> andMap (Decode.field "fuelBurn" Decode.float)
+        |> andMap (Decode.field "roundTripTimeRange" (Decode.nullable timeRangeDecoder))
+        |> andMap (Decode.field "haulCycle" (Decode.nullable haulCycleDecoder))
+        |> andMap (Decode.field "maxPayload" Decode.float)
+        |> andMap (addedFromDecoder version)
+
+
+{-| The roster unit a machine was added from. Machines saved before version
+2 were not tied to a unit.
+-}
+addedFromDecoder : Int -> Decoder (Maybe String)
+addedFromDecoder version =
+    if version < 2 then
+        Decode.succeed Nothing
+
+    else
+        Decode.field "rosterUnit" (Decode.nullable Decode.string)
+
+
+{-| How many machines an equipment row stands for. Rows saved before
+version 3 had no quantity and are one machine each.
+-}
+quantityDecoder : Int -> Decoder Int
+quantityDecoder version =
+    if version < 3 then
+        Decode.succeed 1
+
+    else
+        Decode.field "quantity" Decode.int
+            |> Decode.andThen
+                (\quantity ->
+                    if quantity >= 1 then
+                        Decode.succeed quantity
+
+                    else
+                        Decode.fail "An equipment row needs at least one machine"
+                )
+
+
+timeRangeDecoder : Decoder TimeRange
+timeRangeDecoder =
+    Decode.map2 TimeRange
+        (Decode.field "min" Decode.float)
+        (Decode.field "max" Decode.float)
+
+
+haulCycleDecoder : Decoder HaulCycle
+haulCycleDecoder =
+    Decode.map6 HaulCycle
+        (Decode.field "distance" Decode.float)
+        (Decode.field "loadedSpeed" Decode.float)
+        (Decode.field "emptySpeed" Decode.float)
+        (Decode.field "dumpTime" Decode.float)
+        (Decode.field "spotTime" Decode.float)
+        (Decode.field "loadingExcavator" (Decode.nullable Decode.string))
+
+
+phaseDecoder : Decoder Phase
+phaseDecoder =
+    Decode.map7 Phase
+        (Decode.field "id" Decode.string)
+        (Decode.field "kind" (identifierDecoder phaseKindFromString))
+        (Decode.field "name" Decode.string)
+        (Decode.field "volume" Decode.float)
+        (Decode.field "excavatorIds" (Decode.list Decode.string))
+        (Decode.field "truckIds" (Decode.list Decode.string))
+        (Decode.field "productivity" Decode.float)
+
+
+operatorSkillDecoder : Decoder OperatorSkill
+operatorSkillDecoder =
+    identifierDecoder operatorSkillFromString
+
+
+{-| Decode a stable identifier such as a pond shape or spoil placement
+-}
+identifierDecoder : (String -> Maybe a) -> Decoder a
+identifierDecoder fromString =
+    Decode.string
+        |> Decode.andThen
+            (\identifier ->
+                case fromString identifier of
+                    Just value ->
+                        Decode.succeed value
+
+                    Nothing ->
+                        Decode.fail ("Unknown identifier: " ++ identifier)
+            )
+
+
+andMap : Decoder a -> Decoder (a -> b) -> Decoder b
+andMap =
+    Decode.map2 (|>)
+
+
+
+-- LIMITS
+
+
+{-| Hold a decoded session to the validation limits. Machines with any
+figure out of range are left out, form figures out of range go back to
+their defaults, and phases that can no longer be worked are left out.
+-}
+withinLimits : Config -> WorkingSession -> ( WorkingSession, List String )
+withinLimits config session =
+    let
+        rules =
+            config.validation
+
+        ( excavators, strayExcavators ) =
+            List.partition (Validation.validateSingleExcavator rules >> List.isEmpty) session.excavators
+
+        ( trucks, strayTrucks ) =
+            List.partition (Validation.validateSingleTruck rules >> List.isEmpty) session.trucks
+
+        ( formData, formNotes ) =
+            formWithinLimits config session.formData
+
+        exportPercent =
+            ProjectForm.formExportPercent formData
+                |> Maybe.withDefault 0
+
+        ( phases, strayPhases ) =
+            List.partition (Validation.validatePhase rules exportPercent excavators trucks >> isValid) session.phases
+
+        leftOut name =
+            name ++ " was left out because some of its figures are outside the calculator's limits."
+    in
+    ( { session | formData = formData, excavators = excavators, trucks = trucks, phases = phases }
+    , List.map (.name >> leftOut) strayExcavators
+        ++ List.map (.name >> leftOut) strayTrucks
+        ++ formNotes
+        ++ List.map (\phase -> phase.name ++ " was left out because it cannot be worked as shared.") strayPhases
+    )
+
+
+{-| Put each form figure that fails its check back to the default. Plain
+figures in form data are in imperial units whatever the sender's choice.
+-}
+formWithinLimits : Config -> FormData -> ( FormData, List String )
+formWithinLimits config formData =
+    let
+        rules =
+            config.validation
+
+        defaults =
+            ProjectForm.initFormData config.defaults
+
+        length =
+            Validation.validateMeasuredInput Imperial Units.Length "Pond Dimension" rules.pondDimensions
+
+        workHours =
+            Validation.validateStringInput "Work Hours" rules.workHours
+
+        slope =
+            Validation.validateSlopeInput rules.sideSlope
+
+        fields =
+            [ { label = "daily work hours", read = .workHoursPerDay, write = \value form -> { form | workHoursPerDay = value }, check = workHours }
+            , { label = "pond length", read = .pondLength, write = \value form -> { form | pondLength = value }, check = length }
+            , { label = "pond width", read = .pondWidth, write = \value form -> { form | pondWidth = value }, check = length }
+            , { label = "pond depth", read = .pondDepth, write = \value form -> { form | pondDepth = value }, check = length }
+            , { label = "side slope", read = .sideSlope, write = \value form -> { form | sideSlope = value }, check = slope }
+            , { label = "north slope", read = .northSlope, write = \value form -> { form | northSlope = value }, check = slope }
+            , { label = "south slope", read = .southSlope, write = \value form -> { form | southSlope = value }, check = slope }
+            , { label = "east slope", read = .eastSlope, write = \value form -> { form | eastSlope = value }, check = slope }
+            , { label = "west slope", read = .westSlope, write = \value form -> { form | westSlope = value }, check = slope }
+            , { label = "corner radius", read = .cornerRadius, write = \value form -> { form | cornerRadius = value }, check = length }
+            , { label = "small lobe diameter", read = .smallLobeDiameter, write = \value form -> { form | smallLobeDiameter = value }, check = length }
+            , { label = "swell", read = .customSwellPercent, write = \value form -> { form | customSwellPercent = value }, check = Validation.validateSwellInput rules.swellPercent }
+            , { label = "soil density", read = .customDensity, write = \value form -> { form | customDensity = value }, check = Validation.validateMeasuredInput Imperial Units.Density "Soil Density" rules.soilDensity }
+            , { label = "export share", read = .exportPercent, write = \value form -> { form | exportPercent = value }, check = Validation.validateCostInput "Export Share" rules.exportPercent }
+            , { label = "fuel price", read = .fuelPrice, write = \value form -> { form | fuelPrice = value }, check = Validation.validateMeasuredCostInput Imperial Units.FuelPrice "Fuel Price" rules.fuelPrice }
+            , { label = "disposal fee", read = .disposalFee, write = \value form -> { form | disposalFee = value }, check = Validation.validateMeasuredCostInput Imperial Units.VolumePrice "Disposal Fee" rules.disposalFee }
+            , { label = "shortest work day", read = .workHoursMin, write = \value form -> { form | workHoursMin = value }, check = workHours }
+            , { label = "longest work day", read = .workHoursMax, write = \value form -> { form | workHoursMax = value }, check = workHours }
+            ]
+
+        fieldWithinLimits field ( form, notes ) =
+            if field.read form == field.read defaults || isValid (field.check (field.read form)) then
+                ( form, notes )
+
+            else
+                ( field.write (field.read defaults) form
+                , notes ++ [ "The " ++ field.label ++ " was outside the calculator's limits, so the default is used instead." ]
+                )
+    in
+    List.foldl fieldWithinLimits ( formData, [] ) fields
+
+
+isValid : ValidationResult a -> Bool
+isValid result =
+    case result of
+        Ok _ ->
+            True
+
+        Err _ ->
+            False
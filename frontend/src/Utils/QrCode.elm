@@ -0,0 +1,937 @@
+module Utils.QrCode exposing
+    ( QrCode, ErrorCorrection(..)
+    , encode, version, errorCorrection, size, rows
+    )
+
+{-| QR codes made in the browser, for handing a share link to a phone
+
+Text is encoded in byte mode as UTF-8, in the smallest symbol that holds it.
+Medium error correction is used when it fits, so a code shown on a glossy
+screen still scans; longer text falls back to low error correction, which
+holds about a third more. Text too long for the largest symbol at low error
+correction is refused, and the caller should offer the text some other way.
+
+The layout follows ISO/IEC 18004: codewords are split into Reed-Solomon
+blocks and interleaved, placed in the zigzag order around the function
+patterns, and masked with whichever of the eight masks scores the lowest
+penalty.
+
+@docs QrCode, ErrorCorrection
+@docs encode, version, errorCorrection, size, rows
+
+-}
+
+import Array exposing (Array)
+import Bitwise
+
+
+
+-- TYPES
+
+
+{-| A finished symbol. Modules are stored row by row, True for dark.
+-}
+type QrCode
+    = QrCode
+        { version : Int
+        , errorCorrection : ErrorCorrection
+        , size : Int
+        , modules : Array Bool
+        }
+
+
+{-| How much of the symbol can be damaged or misread and still decode:
+about 15% for Medium and 7% for Low
+-}
+type ErrorCorrection
+    = Medium
+    | Low
+
+
+
+-- ENCODING
+
+
+{-| Encode text in the smallest symbol that holds it, preferring medium
+error correction
+-}
+encode : String -> Result String QrCode
+encode text =
+    let
+        bytes =
+            utf8Bytes text
+
+        fitting level =
+            List.range 1 40
+                |> List.filter (\candidate -> fits level candidate bytes)
+                |> List.head
+                |> Maybe.map (\candidate -> build level candidate bytes)
+    in
+    case fitting Medium of
+        Just qrCode ->
+            Ok qrCode
+
+        Nothing ->
+            fitting Low
+                |> Result.fromMaybe
+                    ("The text is "
+                        ++ String.fromInt (List.length bytes)
+                        ++ " bytes long, more than the "
+                        ++ String.fromInt (capacity Low 40)
+                        ++ " bytes a QR code can hold."
+                    )
+
+
+{-| Symbol version, from 1 (21 by 21 modules) to 40 (177 by 177)
+-}
+version : QrCode -> Int
+version (QrCode qrCode) =
+    qrCode.version
+
+
+{-| Error correction level the symbol was made with
+-}
+errorCorrection : QrCode -> ErrorCorrection
+errorCorrection (QrCode qrCode) =
+    qrCode.errorCorrection
+
+
+{-| Modules along each side, not counting the quiet zone
+-}
+size : QrCode -> Int
+size (QrCode qrCode) =
+    qrCode.size
+
+
+{-| Modules from the top row down, each row left to right, True for dark
+-}
+rows : QrCode -> List (List Bool)
+rows (QrCode qrCode) =
+    gridRows qrCode.size qrCode.modules
+
+
+
+-- CAPACITY
+
+
+{-| Whether the bytes fit a version in byte mode. Small versions also limit
+the byte count to what their 8-bit count field can hold.
+-}
+fits : ErrorCorrection -> Int -> List Int -> Bool
+fits level candidate bytes =
+    let
+        count =
+            List.length bytes
+    in
+    count < 2 ^ countBits candidate && count <= capacity level candidate
+
+
+{-| Bytes a version holds in byte mode after the mode and count fields
+-}
+capacity : ErrorCorrection -> Int -> Int
+capacity level candidate =
+    (dataCodewords level candidate * 8 - 4 - countBits candidate) // 8
+
+
+countBits : Int -> Int
+countBits candidate =
+    if candidate < 10 then
+        8
+
+    else
+        16
+
+
+{-| Modules left for codewords once the function patterns and format and
+version information are placed, including any remainder bits
+-}
+rawDataModules : Int -> Int
+rawDataModules candidate =
+    let
+        alignmentCount =
+            candidate // 7 + 2
+
+        allModules =
+            (16 * candidate + 128) * candidate + 64
+    in
+    if candidate < 2 then
+        allModules
+
+    else if candidate < 7 then
+        allModules - ((25 * alignmentCount - 10) * alignmentCount - 55)
+
+    else
+        allModules - ((25 * alignmentCount - 10) * alignmentCount - 55) - 36
+
+
+dataCodewords : ErrorCorrection -> Int -> Int
+dataCodewords level candidate =
+    rawDataModules candidate // 8 - eccPerBlock level candidate * blockCount level candidate
+
+
+{-| Error correction codewords in each block, by version
+-}
+eccPerBlock : ErrorCorrection -> Int -> Int
+eccPerBlock level candidate =
+    let
+        table =
+            case level of
+                Medium ->
+                    mediumEccPerBlock
+
+                Low ->
+                    lowEccPerBlock
+    in
+    Array.get (candidate - 1) table |> Maybe.withDefault 0
+
+
+{-| Reed-Solomon blocks the codewords are split into, by version
+-}
+blockCount : ErrorCorrection -> Int -> Int
+blockCount level candidate =
+    let
+        table =
+            case level of
+                Medium ->
+                    mediumBlockCount
+
+                Low ->
+                    lowBlockCount
+    in
+    Array.get (candidate - 1) table |> Maybe.withDefault 1
+
+
+lowEccPerBlock : Array Int
+lowEccPerBlock =
+    Array.fromList [ 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30 ]
+
+
+mediumEccPerBlock : Array Int
+mediumEccPerBlock =
+    Array.fromList [ 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28 ]
+
+
+lowBlockCount : Array Int
+lowBlockCount =
+    Array.fromList [ 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25 ]
+
+
+mediumBlockCount : Array Int
+mediumBlockCount =
+    Array.fromList [ 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49 ]
+
+
+
+-- CODEWORDS
+
+
+{-| Data codewords for the bytes: mode, count, the bytes themselves, a
+terminator and the alternating pad bytes
+-}
+dataCodewordsFor : ErrorCorrection -> Int -> List Int -> List Int
+dataCodewordsFor level candidate bytes =
+    let
+        available =
+            dataCodewords level candidate * 8
+
+        bits =
+            bitsOf 4 4 ++ bitsOf (countBits candidate) (List.length bytes) ++ List.concatMap (bitsOf 8) bytes
+
+        terminated =
+            bits ++ List.repeat (min 4 (available - List.length bits)) False
+
+        byteAligned =
+            terminated ++ List.repeat (modBy 8 (8 - modBy 8 (List.length terminated))) False
+
+        codewords =
+            toBytes byteAligned
+    in
+    codewords
+        ++ (List.range 0 (dataCodewords level candidate - List.length codewords - 1)
+                |> List.map
+                    (\index ->
+                        if modBy 2 index == 0 then
+                            0xEC
+
+                        else
+                            0x11
+                    )
+           )
+
+
+{-| Split the data codewords into blocks, add each block's error
+correction, and interleave the lot. Short blocks come first; long blocks
+carry one more data codeword.
+-}
+interleavedCodewords : ErrorCorrection -> Int -> List Int -> List Int
+interleavedCodewords level candidate codewords =
+    let
+        blocks =
+            blockCount level candidate
+
+        eccLength =
+            eccPerBlock level candidate
+
+        rawCodewords =
+            rawDataModules candidate // 8
+
+        shortBlocks =
+            blocks - modBy blocks rawCodewords
+
+        shortDataLength =
+            rawCodewords // blocks - eccLength
+
+        dataBlocks =
+            splitBlocks
+                (List.range 0 (blocks - 1)
+                    |> List.map
+                        (\index ->
+                            if index < shortBlocks then
+                                shortDataLength
+
+                            else
+                                shortDataLength + 1
+                        )
+                )
+                codewords
+
+        divisor =
+            reedSolomonDivisor eccLength
+    in
+    interleave dataBlocks ++ interleave (List.map (reedSolomonRemainder divisor) dataBlocks)
+
+
+splitBlocks : List Int -> List Int -> List (List Int)
+splitBlocks lengths codewords =
+    case lengths of
+        length :: rest ->
+            List.take length codewords :: splitBlocks rest (List.drop length codewords)
+
+        [] ->
+            []
+
+
+{-| First codeword of every block, then the second, and so on, skipping
+blocks that have run out
+-}
+interleave : List (List Int) -> List Int
+interleave blocks =
+    case List.filter (not << List.isEmpty) blocks of
+        [] ->
+            []
+
+        remaining ->
+            List.filterMap List.head remaining ++ interleave (List.map (List.drop 1) remaining)
+
+
+
+-- REED-SOLOMON
+
+
+{-| Powers of the generator 2 in GF(256) with the QR polynomial 0x11D
+-}
+exponents : Array Int
+exponents =
+    List.range 1 254
+        |> List.foldl
+            (\_ powers ->
+                case powers of
+                    previous :: _ ->
+                        let
+                            doubled =
+                                previous * 2
+                        in
+                        (if doubled >= 256 then
+                            Bitwise.xor doubled 0x011D
+
+                         else
+                            doubled
+                        )
+                            :: powers
+
+                    [] ->
+                        powers
+            )
+            [ 1 ]
+        |> List.reverse
+        |> Array.fromList
+
+
+logarithms : Array Int
+logarithms =
+    Array.foldl
+        (\power ( index, table ) -> ( index + 1, Array.set power index table ))
+        ( 0, Array.repeat 256 0 )
+        exponents
+        |> Tuple.second
+
+
+multiply : Int -> Int -> Int
+multiply a b =
+    if a == 0 || b == 0 then
+        0
+
+    else
+        Maybe.map2 (\logA logB -> Array.get (modBy 255 (logA + logB)) exponents |> Maybe.withDefault 0)
+            (Array.get a logarithms)
+            (Array.get b logarithms)
+            |> Maybe.withDefault 0
+
+
+{-| Generator polynomial of the given degree, highest power first with its
+leading 1 left out
+-}
+reedSolomonDivisor : Int -> List Int
+reedSolomonDivisor degree =
+    List.range 0 (degree - 1)
+        |> List.foldl
+            (\power coefficients ->
+                let
+                    root =
+                        Array.get power exponents |> Maybe.withDefault 1
+                in
+                List.map2 (\coefficient next -> Bitwise.xor (multiply coefficient root) next)
+                    coefficients
+                    (List.drop 1 coefficients ++ [ 0 ])
+            )
+            (List.repeat (degree - 1) 0 ++ [ 1 ])
+
+
+reedSolomonRemainder : List Int -> List Int -> List Int
+reedSolomonRemainder divisor codewords =
+    List.foldl
+        (\codeword remainder ->
+            case remainder of
+                first :: rest ->
+                    let
+                        factor =
+                            Bitwise.xor codeword first
+                    in
+                    List.map2 (\coefficient term -> Bitwise.xor term (multiply coefficient factor))
+                        divisor
+                        (rest ++ [ 0 ])
+
+                [] ->
+                    remainder
+        )
+        (List.repeat (List.length divisor) 0)
+        codewords
+
+
+
+-- SYMBOL
+
+
+type alias Grid =
+    { size : Int
+    , modules : Array Bool
+    , reserved : Array Bool -- function patterns, which masks and data leave alone
+    }
+
+
+build : ErrorCorrection -> Int -> List Int -> QrCode
+build level candidate bytes =
+    let
+        width =
+            candidate * 4 + 17
+
+        functionPatterns =
+            functionModules candidate width ++ formatModules width 0
+
+        blank =
+            { size = width
+            , modules = Array.repeat (width * width) False
+            , reserved = Array.repeat (width * width) False
+            }
+
+        withFunctions =
+            List.foldl
+                (\( position, dark ) grid ->
+                    { grid
+                        | modules = setAt width position dark grid.modules
+                        , reserved = setAt width position True grid.reserved
+                    }
+                )
+                blank
+                functionPatterns
+
+        unmasked =
+            placeData
+                (dataCodewordsFor level candidate bytes |> interleavedCodewords level candidate |> List.concatMap (bitsOf 8))
+                withFunctions
+
+        masked mask =
+            List.foldl (\( position, dark ) grid -> { grid | modules = setAt width position dark grid.modules })
+                (applyMask mask unmasked)
+                (formatModules width (formatBits level mask))
+
+        best =
+            List.range 0 7
+                |> List.map masked
+                |> List.map (\grid -> ( penalty grid, grid ))
+                |> List.foldl
+                    (\( score, grid ) chosen ->
+                        case chosen of
+                            Just ( bestScore, _ ) ->
+                                if score < bestScore then
+                                    Just ( score, grid )
+
+                                else
+                                    chosen
+
+                            Nothing ->
+                                Just ( score, grid )
+                    )
+                    Nothing
+                |> Maybe.map Tuple.second
+                |> Maybe.withDefault unmasked
+    in
+    QrCode
+        { version = candidate
+        , errorCorrection = level
+        , size = width
+        , modules = best.modules
+        }
+
+
+setAt : Int -> ( Int, Int ) -> Bool -> Array Bool -> Array Bool
+setAt width ( x, y ) dark modules =
+    if x >= 0 && y >= 0 && x < width && y < width then
+        Array.set (y * width + x) dark modules
+
+    else
+        modules
+
+
+gridRows : Int -> Array Bool -> List (List Bool)
+gridRows width modules =
+    List.range 0 (width - 1)
+        |> List.map (\y -> Array.toList (Array.slice (y * width) ((y + 1) * width) modules))
+
+
+isSet : Int -> Array Bool -> ( Int, Int ) -> Bool
+isSet width modules ( x, y ) =
+    Array.get (y * width + x) modules |> Maybe.withDefault False
+
+
+{-| Timing, finder, alignment and version patterns and the dark module, in
+the order they are drawn; later modules overwrite earlier ones
+-}
+functionModules : Int -> Int -> List ( ( Int, Int ), Bool )
+functionModules candidate width =
+    let
+        timing =
+            List.range 0 (width - 1)
+                |> List.concatMap (\i -> [ ( ( 6, i ), modBy 2 i == 0 ), ( ( i, 6 ), modBy 2 i == 0 ) ])
+
+        finder ( centerX, centerY ) =
+            squareAround 4
+                |> List.map (\( dx, dy ) -> ( ( centerX + dx, centerY + dy ), ring dx dy /= 2 && ring dx dy /= 4 ))
+                |> List.filter (\( ( x, y ), _ ) -> x >= 0 && y >= 0 && x < width && y < width)
+
+        alignment ( centerX, centerY ) =
+            squareAround 2
+                |> List.map (\( dx, dy ) -> ( ( centerX + dx, centerY + dy ), ring dx dy /= 1 ))
+
+        positions =
+            alignmentPositions candidate width
+
+        last =
+            List.length positions - 1
+
+        alignmentCenters =
+            positions
+                |> List.indexedMap (\i x -> List.indexedMap (\j y -> ( ( i, j ), ( x, y ) )) positions)
+                |> List.concat
+                |> List.filter (\( ( i, j ), _ ) -> not ((i == 0 && j == 0) || (i == 0 && j == last) || (i == last && j == 0)))
+                |> List.map Tuple.second
+    in
+    timing
+        ++ List.concatMap finder [ ( 3, 3 ), ( width - 4, 3 ), ( 3, width - 4 ) ]
+        ++ List.concatMap alignment alignmentCenters
+        ++ versionModules candidate width
+
+
+squareAround : Int -> List ( Int, Int )
+squareAround radius =
+    List.range -radius radius
+        |> List.concatMap (\dy -> List.map (\dx -> ( dx, dy )) (List.range -radius radius))
+
+
+ring : Int -> Int -> Int
+ring dx dy =
+    max (abs dx) (abs dy)
+
+
+{-| Centres of the alignment patterns along each axis
+-}
+alignmentPositions : Int -> Int -> List Int
+alignmentPositions candidate width =
+    if candidate == 1 then
+        []
+
+    else
+        let
+            count =
+                candidate // 7 + 2
+
+            step =
+                (candidate * 8 + count * 3 + 5) // (count * 4 - 4) * 2
+        in
+        6 :: List.reverse (List.map (\i -> width - 7 - i * step) (List.range 0 (count - 2)))
+
+
+{-| Both copies of the 15 format bits, and the dark module beside them
+-}
+formatModules : Int -> Int -> List ( ( Int, Int ), Bool )
+formatModules width bits =
+    let
+        bit i =
+            Bitwise.and (Bitwise.shiftRightZfBy i bits) 1 == 1
+    in
+    List.map (\i -> ( ( 8, i ), bit i )) (List.range 0 5)
+        ++ [ ( ( 8, 7 ), bit 6 ), ( ( 8, 8 ), bit 7 ), ( ( 7, 8 ), bit 8 ) ]
+        ++ List.map (\i -> ( ( 14 - i, 8 ), bit i )) (List.range 9 14)
+        ++ List.map (\i -> ( ( width - 1 - i, 8 ), bit i )) (List.range 0 7)
+        ++ List.map (\i -> ( ( 8, width - 15 + i ), bit i )) (List.range 8 14)
+        ++ [ ( ( 8, width - 8 ), True ) ]
+
+
+{-| Error correction level and mask, protected by a BCH code and masked so
+they are never all light
+-}
+formatBits : ErrorCorrection -> Int -> Int
+formatBits level mask =
+    let
+        levelBits =
+            case level of
+                Medium ->
+                    0
+
+                Low ->
+                    1
+
+        data =
+            Bitwise.or (Bitwise.shiftLeftBy 3 levelBits) mask
+    in
+    Bitwise.xor (Bitwise.or (Bitwise.shiftLeftBy 10 data) (bchRemainder 10 0x0537 data)) 0x5412
+
+
+{-| Both copies of the 18 version bits, carried from version 7 up
+-}
+versionModules : Int -> Int -> List ( ( Int, Int ), Bool )
+versionModules candidate width =
+    if candidate < 7 then
+        []
+
+    else
+        let
+            bits =
+                Bitwise.or (Bitwise.shiftLeftBy 12 candidate) (bchRemainder 12 0x1F25 candidate)
+        in
+        List.range 0 17
+            |> List.concatMap
+                (\i ->
+                    let
+                        dark =
+                            Bitwise.and (Bitwise.shiftRightZfBy i bits) 1 == 1
+
+                        across =
+                            width - 11 + modBy 3 i
+
+                        down =
+                            i // 3
+                    in
+                    [ ( ( across, down ), dark ), ( ( down, across ), dark ) ]
+                )
+
+
+{-| Remainder of the data, shifted up by the degree, divided by the
+generator polynomial
+-}
+bchRemainder : Int -> Int -> Int -> Int
+bchRemainder degree generator data =
+    List.foldl
+        (\_ remainder ->
+            Bitwise.xor (Bitwise.shiftLeftBy 1 remainder) (Bitwise.shiftRightZfBy (degree - 1) remainder * generator)
+        )
+        data
+        (List.range 1 degree)
+
+
+{-| Lay the codeword bits in pairs of columns from the right, moving up and
+down in turn and skipping the timing column. Modules left over stay light.
+-}
+placeData : List Bool -> Grid -> Grid
+placeData bits grid =
+    let
+        positions =
+            columnPairs (grid.size - 1)
+                |> List.concatMap
+                    (\right ->
+                        let
+                            upward =
+                                Bitwise.and (right + 1) 2 == 0
+                        in
+                        List.range 0 (grid.size - 1)
+                            |> List.concatMap
+                                (\vertical ->
+                                    let
+                                        y =
+                                            if upward then
+                                                grid.size - 1 - vertical
+
+                                            else
+                                                vertical
+                                    in
+                                    [ ( right, y ), ( right - 1, y ) ]
+                                )
+                    )
+                |> List.filter (not << isSet grid.size grid.reserved)
+    in
+    { grid
+        | modules =
+            List.map2 Tuple.pair positions (bits ++ List.repeat (List.length positions - List.length bits) False)
+                |> List.foldl (\( position, dark ) modules -> setAt grid.size position dark modules) grid.modules
+    }
+
+
+columnPairs : Int -> List Int
+columnPairs right =
+    if right < 1 then
+        []
+
+    else if right == 6 then
+        columnPairs 5
+
+    else
+        right :: columnPairs (right - 2)
+
+
+
+-- MASKING
+
+
+applyMask : Int -> Grid -> Grid
+applyMask mask grid =
+    { grid
+        | modules =
+            Array.indexedMap
+                (\index dark ->
+                    let
+                        x =
+                            modBy grid.size index
+
+                        y =
+                            index // grid.size
+                    in
+                    if isSet grid.size grid.reserved ( x, y ) then
+                        dark
+
+                    else
+                        xor dark (maskInverts mask x y)
+                )
+                grid.modules
+    }
+
+
+maskInverts : Int -> Int -> Int -> Bool
+maskInverts mask x y =
+    case mask of
+        0 ->
+            modBy 2 (x + y) == 0
+
+        1 ->
+            modBy 2 y == 0
+
+        2 ->
+            modBy 3 x == 0
+
+        3 ->
+            modBy 3 (x + y) == 0
+
+        4 ->
+            modBy 2 (x // 3 + y // 2) == 0
+
+        5 ->
+            modBy 2 (x * y) + modBy 3 (x * y) == 0
+
+        6 ->
+            modBy 2 (modBy 2 (x * y) + modBy 3 (x * y)) == 0
+
+        _ ->
+            modBy 2 (modBy 2 (x + y) + modBy 3 (x * y)) == 0
+
+
+{-| Penalty score for a masked symbol: long runs, 2 by 2 blocks, patterns
+that look like finders, and an uneven balance of dark and light
+-}
+penalty : Grid -> Int
+penalty grid =
+    let
+        symbolRows =
+            gridRows grid.size grid.modules
+
+        columns =
+            List.range 0 (grid.size - 1)
+                |> List.map (\x -> List.map (\y -> isSet grid.size grid.modules ( x, y )) (List.range 0 (grid.size - 1)))
+
+        lines =
+            symbolRows ++ columns
+
+        runPenalty =
+            lines
+                |> List.concatMap runLengths
+                |> List.filter (\run -> run >= 5)
+                |> List.map (\run -> run - 2)
+                |> List.sum
+
+        blockPenalty =
+            List.map2 blocksBetween symbolRows (List.drop 1 symbolRows)
+                |> List.sum
+                |> (*) 3
+
+        finderPenalty =
+            lines
+                |> List.map finderLikePatterns
+                |> List.sum
+                |> (*) 40
+
+        total =
+            grid.size * grid.size
+
+        dark =
+            Array.length (Array.filter identity grid.modules)
+
+        balancePenalty =
+            ((abs (dark * 20 - total * 10) + total - 1) // total - 1) * 10
+    in
+    runPenalty + blockPenalty + finderPenalty + balancePenalty
+
+
+runLengths : List Bool -> List Int
+runLengths line =
+    case line of
+        first :: rest ->
+            List.foldl
+                (\dark ( current, length, lengths ) ->
+                    if dark == current then
+                        ( current, length + 1, lengths )
+
+                    else
+                        ( dark, 1, length :: lengths )
+                )
+                ( first, 1, [] )
+                rest
+                |> (\( _, length, lengths ) -> length :: lengths)
+
+        [] ->
+            []
+
+
+{-| Two by two blocks of one colour across a pair of neighbouring rows
+-}
+blocksBetween : List Bool -> List Bool -> Int
+blocksBetween upper lower =
+    let
+        pairs =
+            List.map2 Tuple.pair upper lower
+    in
+    List.map2
+        (\( a, b ) ( c, d ) ->
+            if a == b && a == c && a == d then
+                1
+
+            else
+                0
+        )
+        pairs
+        (List.drop 1 pairs)
+        |> List.sum
+
+
+finderLikePatterns : List Bool -> Int
+finderLikePatterns line =
+    let
+        pattern =
+            [ True, False, True, True, True, False, True, False, False, False, False ]
+
+        reversed =
+            List.reverse pattern
+
+        count remaining found =
+            let
+                window =
+                    List.take 11 remaining
+            in
+            if List.length window < 11 then
+                found
+
+            else
+                count (List.drop 1 remaining)
+                    (if window == pattern || window == reversed then
+                        found + 1
+
+                     else
+                        found
+                    )
+    in
+    count line 0
+
+
+
+-- BITS
+
+
+bitsOf : Int -> Int -> List Bool
+bitsOf count value =
+    List.range 0 (count - 1)
+        |> List.reverse
+        |> List.map (\i -> Bitwise.and (Bitwise.shiftRightZfBy i value) 1 == 1)
+
+
+toBytes : List Bool -> List Int
+toBytes bits =
+    if List.isEmpty bits then
+        []
+
+    else
+        List.foldl
+            (\bit byte ->
+                Bitwise.or (Bitwise.shiftLeftBy 1 byte)
+                    (if bit then
+                        1
+
+                     else
+                        0
+                    )
+            )
+            0
+            (List.take 8 bits)
+            :: toBytes (List.drop 8 bits)
+
+
+utf8Bytes : String -> List Int
+utf8Bytes text =
+    String.toList text
+        |> List.concatMap
+            (\char ->
+                let
+                    code =
+                        Char.toCode char
+
+                    continuation shift =
+                        Bitwise.or 0x80 (Bitwise.and (Bitwise.shiftRightZfBy shift code) 0x3F)
+                in
+                if code < 0x80 then
+                    [ code ]
+
+                else if code < 0x0800 then
+                    [ Bitwise.or 0xC0 (Bitwise.shiftRightZfBy 6 code), continuation 0 ]
+
+                else if code < 0x00010000 then
+                    [ Bitwise.or 0xE0 (Bitwise.shiftRightZfBy 12 code), continuation 6, continuation 0 ]
+
+                else
+                    [ Bitwise.or 0xF0 (Bitwise.shiftRightZfBy 18 code), continuation 12, continuation 6, continuation 0 ]
+            )
@@ -0,0 +1,171 @@
+module Utils.Session exposing (fitToConfig)
+
+{-| Fitting a restored session or saved project to the current configuration
+
+Sessions and projects can be saved under one configuration and opened under
+another, for instance after the fleet limits are lowered or a soil type is
+retired.
+
+@docs fitToConfig
+
+-}
+
+import Types.Equipment exposing (machineCount)
+import Types.Project exposing (WorkingSession)
+import Utils.Config exposing (Config)
+
+
+
+-- FITTING
+
+
+{-| Bring a session within the current configuration. A row of several
+machines counts as that many toward the fleet limits. Machines beyond the
+limits are left out, along with any phase or haul cycle references to them,
+a retired soil type falls back to the default, and id counters move past
+every id in use. Each change is described in plain words so it can be
+shown to the user.
+-}
+fitToConfig : Config -> WorkingSession -> ( WorkingSession, List String )
+fitToConfig config session =
+    let
+        excavators =
+            takeMachines config.fleetLimits.maxExcavators session.excavators
+
+        excavatorIds =
+            List.map .id excavators
+
+        trucks =
+            takeMachines config.fleetLimits.maxTrucks session.trucks
+                |> List.map
+                    (\truck ->
+                        case truck.haulCycle of
+                            Just haulCycle ->
+                                if Maybe.map (\loader -> List.member loader excavatorIds) haulCycle.loadingExcavator == Just False then
+                                    { truck | haulCycle = Just { haulCycle | loadingExcavator = Nothing } }
+
+                                else
+                                    truck
+
+                            Nothing ->
+                                truck
+                    )
+
+        truckIds =
+            List.map .id trucks
+
+        phases =
+            List.map
+                (\phase ->
+                    { phase
+                        | excavatorIds = List.filter (\excavatorId -> List.member excavatorId excavatorIds) phase.excavatorIds
+                        , truckIds = List.filter (\truckId -> List.member truckId truckIds) phase.truckIds
+                    }
+                )
+                session.phases
+
+        formData =
+            session.formData
+
+        soilTypeKnown =
+            formData.soilType
+                == "custom"
+                || List.any (\soil -> soil.id == formData.soilType) config.defaults.soilTypes
+
+        droppedExcavators =
+            machineCount session.excavators - machineCount excavators
+
+        droppedTrucks =
+            machineCount session.trucks - machineCount trucks
+
+        notes =
+            List.filterMap identity
+                [ if droppedExcavators > 0 then
+                    Just (leftOut droppedExcavators "excavator" config.fleetLimits.maxExcavators)
+
+                  else
+                    Nothing
+                , if droppedTrucks > 0 then
+                    Just (leftOut droppedTrucks "truck" config.fleetLimits.maxTrucks)
+
+                  else
+                    Nothing
+                , if soilTypeKnown then
+                    Nothing
+
+                  else
+                    Just "The soil type is no longer offered, so the default soil type is used instead."
+                ]
+    in
+    ( { formData =
+            if soilTypeKnown then
+                formData
+
+            else
+                { formData | soilType = config.defaults.project.soilType }
+      , excavators = excavators
+      , trucks = trucks
+      , phases = phases
+      , nextExcavatorId = max session.nextExcavatorId (nextIdAfter "excavator-" excavatorIds)
+      , nextTruckId = max session.nextTruckId (nextIdAfter "truck-" truckIds)
+      , nextPhaseId = max session.nextPhaseId (nextIdAfter "phase-" (List.map .id phases))
+      }
+    , notes
+    )
+
+
+
+-- HELPERS
+
+
+{-| The rows that fit within a machine limit, in order. The row that crosses
+the limit keeps as many machines as there is room for.
+-}
+takeMachines : Int -> List { a | quantity : Int } -> List { a | quantity : Int }
+takeMachines limit rows =
+    case rows of
+        row :: rest ->
+            if limit <= 0 then
+                []
+
+            else if row.quantity > limit then
+                [ { row | quantity = limit } ]
+
+            else
+                row :: takeMachines (limit - row.quantity) rest
+
+        [] ->
+            []
+
+
+{-| The first number after every id with the given prefix
+-}
+nextIdAfter : String -> List String -> Int
+nextIdAfter prefix ids =
+    ids
+        |> List.filterMap (String.replace prefix "" >> String.toInt)
+        |> List.maximum
+        |> Maybe.withDefault 0
+        |> (+) 1
+
+
+leftOut : Int -> String -> Int -> String
+leftOut count machine limit =
+    let
+        counted number =
+            if number == 1 then
+                "1 " ++ machine
+
+            else
+                String.fromInt number ++ " " ++ machine ++ "s"
+    in
+    counted count
+        ++ (if count == 1 then
+                " was"
+
+            else
+                " were"
+           )
+        ++ " left out because the fleet is now limited to "
+        ++ counted limit
+        ++ "."
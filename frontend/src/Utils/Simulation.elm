@@ -0,0 +1,323 @@
+module Utils.Simulation exposing
+    ( SimulationSettings, SimulationResult, MachineUtilization
+    , defaultSettings, simulate
+    )
+
+{-| Discrete-event simulation of excavators loading trucks
+
+The analytic model in Utils.Calculations takes the slower of digging and
+hauling capacity and assumes both sides run flat out. This simulation plays
+the job out truck load by truck load instead: trucks queue at whichever
+excavator can start on them first, an excavator with no truck waiting sits
+idle, and every load and haul cycle varies slightly around its nominal time.
+The random variation is driven by a fixed seed so the same inputs always
+produce the same result.
+
+@docs SimulationSettings, SimulationResult, MachineUtilization
+@docs defaultSettings, simulate
+
+-}
+
+import Random
+import Types.Equipment exposing (CubicYards, EquipmentId, Excavator, Minutes, OperatorSkill, Truck, eachMachine)
+import Utils.Calculations exposing (operatorSkillFactor)
+
+
+
+-- TYPES
+
+
+{-| Seed for the random cycle variation and how far (as a fraction) each
+load and haul time may stray from its nominal value
+-}
+type alias SimulationSettings =
+    { seed : Int
+    , variability : Float
+    }
+
+
+{-| How busy a single machine was over the simulated job, from 0 to 1
+-}
+type alias MachineUtilization =
+    { id : EquipmentId
+    , name : String
+    , utilization : Float
+    }
+
+
+{-| Outcome of a simulated job. Queue wait is the average number of minutes
+a truck spent at an excavator before loading started. Very large jobs are
+only simulated for their first loads and the timeline is scaled up from
+there, which is flagged by `extrapolated`.
+-}
+type alias SimulationResult =
+    { totalHours : Float
+    , timelineInDays : Int
+    , loads : Int
+    , averageQueueWait : Minutes
+    , excavators : List MachineUtilization
+    , trucks : List MachineUtilization
+    , extrapolated : Bool
+    }
+
+
+type alias ExcavatorState =
+    { excavator : Excavator
+    , freeAt : Minutes
+    , busy : Minutes
+    }
+
+
+type alias TruckState =
+    { truck : Truck
+    , readyAt : Minutes
+    , busy : Minutes
+    }
+
+
+type alias State =
+    { excavators : List ExcavatorState
+    , trucks : List TruckState
+    , remaining : CubicYards
+    , loads : Int
+    , totalWait : Minutes
+    , finish : Minutes
+    , seed : Random.Seed
+    }
+
+
+
+-- CONSTANTS
+
+
+{-| Settings used by the results view
+-}
+defaultSettings : SimulationSettings
+defaultSettings =
+    { seed = 42
+    , variability = 0.1
+    }
+
+
+maxSimulatedLoads : Int
+maxSimulatedLoads =
+    5000
+
+
+
+-- SIMULATION
+
+
+{-| Simulate digging and hauling a bank volume with the active fleet.
+Takes the settings, the swell percentage, the fleet, the bank volume and the
+working hours per day. Rows of several machines are simulated one machine
+at a time. Returns Nothing when there is nothing to dig or no active
+excavator or truck to do it.
+-}
+simulate : SimulationSettings -> Float -> List Excavator -> List Truck -> CubicYards -> Float -> Maybe SimulationResult
+simulate settings swellPercent excavators trucks bankVolume workHoursPerDay =
+    let
+        activeExcavators =
+            eachMachine (List.filter .isActive excavators)
+                |> List.map (\excavator -> { excavator = excavator, freeAt = 0, busy = 0 })
+
+        activeTrucks =
+            eachMachine (List.filter .isActive trucks)
+                |> List.map (\truck -> { truck = truck, readyAt = 0, busy = 0 })
+
+        -- A truck that carries nothing would never finish the job
+        emptyTruck =
+            List.any (\state -> state.truck.capacity * state.truck.fillFactor <= 0) activeTrucks
+    in
+    if List.isEmpty activeExcavators || List.isEmpty activeTrucks || emptyTruck || bankVolume <= 0 || workHoursPerDay <= 0 then
+        Nothing
+
+    else
+        let
+            final =
+                run settings.variability
+                    (1 + swellPercent / 100)
+                    { excavators = activeExcavators
+                    , trucks = activeTrucks
+                    , remaining = bankVolume
+                    , loads = 0
+                    , totalWait = 0
+                    , finish = 0
+                    , seed = Random.initialSeed settings.seed
+                    }
+
+            extrapolated =
+                final.remaining > 0
+
+            scale =
+                if extrapolated then
+                    bankVolume / (bankVolume - final.remaining)
+
+                else
+                    1
+
+            totalHours =
+                final.finish * scale / 60
+
+            utilization busy =
+                if final.finish > 0 then
+                    busy / final.finish
+
+                else
+                    0
+        in
+        Just
+            { totalHours = totalHours
+            , timelineInDays = ceiling (totalHours / workHoursPerDay)
+            , loads = round (toFloat final.loads * scale)
+            , averageQueueWait = final.totalWait / toFloat (max 1 final.loads)
+            , excavators =
+                List.map
+                    (\state -> { id = state.excavator.id, name = state.excavator.name, utilization = utilization state.busy })
+                    final.excavators
+            , trucks =
+                List.map
+                    (\state -> { id = state.truck.id, name = state.truck.name, utilization = utilization state.busy })
+                    final.trucks
+            , extrapolated = extrapolated
+            }
+
+
+run : Float -> Float -> State -> State
+run variability swellFactor state =
+    if state.remaining <= 0 || state.loads >= maxSimulatedLoads then
+        state
+
+    else
+        case dispatchNextLoad variability swellFactor state of
+            Just next ->
+                run variability swellFactor next
+
+            Nothing ->
+                state
+
+
+{-| Send the truck that has been ready longest to the excavator that can
+start loading it soonest, then play out its load and haul cycle
+-}
+dispatchNextLoad : Float -> Float -> State -> Maybe State
+dispatchNextLoad variability swellFactor state =
+    earliest .readyAt state.trucks
+        |> Maybe.andThen
+            (\( truckIndex, truckState ) ->
+                earliest (\excavatorState -> max truckState.readyAt excavatorState.freeAt) state.excavators
+                    |> Maybe.map
+                        (\( excavatorIndex, excavatorState ) ->
+                            let
+                                excavator =
+                                    excavatorState.excavator
+
+                                truck =
+                                    truckState.truck
+
+                                ( loadJitter, seedAfterLoad ) =
+                                    Random.step (jitter variability) state.seed
+
+                                ( haulJitter, nextSeed ) =
+                                    Random.step (jitter variability) seedAfterLoad
+
+                                -- Bank yards carried per trip and dug per bucket pass
+                                payload =
+                                    truck.capacity * truck.fillFactor / swellFactor
+
+                                bucketPass =
+                                    excavator.bucketCapacity * excavator.fillFactor
+
+                                -- A partly filled last pass still takes a full cycle
+                                passes =
+                                    if bucketPass > 0 then
+                                        toFloat (max 1 (ceiling (payload / bucketPass)))
+
+                                    else
+                                        1
+
+                                nominalLoadTime =
+                                    passes * effectiveMinutes excavator.cycleTime excavator
+
+                                loadTime =
+                                    nominalLoadTime * loadJitter
+
+                                haulTime =
+                                    max 0 (effectiveMinutes truck.roundTripTime truck - nominalLoadTime) * haulJitter
+
+                                loadStart =
+                                    max truckState.readyAt excavatorState.freeAt
+
+                                loadEnd =
+                                    loadStart + loadTime
+
+                                returnTime =
+                                    loadEnd + haulTime
+                            in
+                            { state
+                                | excavators =
+                                    updateAt excavatorIndex
+                                        (\s -> { s | freeAt = loadEnd, busy = s.busy + loadTime })
+                                        state.excavators
+                                , trucks =
+                                    updateAt truckIndex
+                                        (\s -> { s | readyAt = returnTime, busy = s.busy + loadTime + haulTime })
+                                        state.trucks
+                                , remaining = state.remaining - payload
+                                , loads = state.loads + 1
+                                , totalWait = state.totalWait + (loadStart - truckState.readyAt)
+                                , finish = max state.finish returnTime
+                                , seed = nextSeed
+                            }
+                        )
+            )
+
+
+
+-- HELPERS
+
+
+{-| Nominal minutes stretched by the machine's efficiency and operator skill
+-}
+effectiveMinutes : Minutes -> { a | efficiency : Float, operatorSkill : OperatorSkill } -> Minutes
+effectiveMinutes minutes machine =
+    minutes / max 0.01 (machine.efficiency * operatorSkillFactor machine.operatorSkill)
+
+
+jitter : Float -> Random.Generator Float
+jitter variability =
+    Random.float (1 - variability) (1 + variability)
+
+
+{-| Index and value of the item with the smallest key; ties go to the first
+-}
+earliest : (a -> Float) -> List a -> Maybe ( Int, a )
+earliest key items =
+    List.foldl
+        (\( index, item ) best ->
+            case best of
+                Just ( _, bestItem ) ->
+                    if key item < key bestItem then
+                        Just ( index, item )
+
+                    else
+                        best
+
+                Nothing ->
+                    Just ( index, item )
+        )
+        Nothing
+        (List.indexedMap Tuple.pair items)
+
+
+updateAt : Int -> (a -> a) -> List a -> List a
+updateAt index fn items =
+    List.indexedMap
+        (\i item ->
+            if i == index then
+                fn item
+
+            else
+                item
+        )
+        items
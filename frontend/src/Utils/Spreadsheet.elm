@@ -0,0 +1,319 @@
+module Utils.Spreadsheet exposing
+    ( Sheet, Cell(..), File
+    , csv, workbook, columnName
+    )
+
+{-| Tables of figures written as CSV files or as an XLSX workbook, for
+pasting into spreadsheets
+
+A sheet is a header row and rows of cells. Number cells stay numbers in the
+workbook, so they can be summed and formatted there; text cells are written
+inline rather than through a shared string table. The header row is set in
+bold and frozen so it stays in view while scrolling.
+
+An XLSX workbook is a zip archive of XML parts. The parts are made here and
+zipped by JavaScript, since Elm has no zip of its own; CSV files are zipped
+the same way when several are saved together.
+
+@docs Sheet, Cell, File
+@docs csv, workbook, columnName
+
+-}
+
+-- TYPES
+
+
+{-| A named table. Names are shown on the workbook's tabs and should be at
+most 31 characters, without any of `[]:*?/\`.
+-}
+type alias Sheet =
+    { name : String
+    , header : List String
+    , rows : List (List Cell)
+    }
+
+
+{-| One cell of a row. Numbers that are not finite are left blank.
+-}
+type Cell
+    = Text String
+    | Number Float
+
+
+{-| A file to be put in an archive, at a path inside it
+-}
+type alias File =
+    { path : String
+    , content : String
+    }
+
+
+
+-- CSV
+
+
+{-| The sheet as CSV text, with the header as the first line. Lines end in
+CRLF and fields holding commas, quotes or line breaks are quoted, as
+RFC 4180 has it. The text starts with a byte order mark so spreadsheet
+programs read it as UTF-8 rather than guessing.
+-}
+csv : Sheet -> String
+csv sheet =
+    "\u{FEFF}"
+        ++ String.concat
+            (List.map (\fields -> String.join "," (List.map csvField fields) ++ "\u{000D}\n")
+                (sheet.header :: List.map (List.map cellText) sheet.rows)
+            )
+
+
+csvField : String -> String
+csvField field =
+    if String.any (\char -> char == ',' || char == '"' || char == '\n' || char == '\u{000D}') field then
+        "\"" ++ String.replace "\"" "\"\"" field ++ "\""
+
+    else
+        field
+
+
+cellText : Cell -> String
+cellText cell =
+    case cell of
+        Text text ->
+            text
+
+        Number figure ->
+            if isFinite figure then
+                String.fromFloat figure
+
+            else
+                ""
+
+
+isFinite : Float -> Bool
+isFinite figure =
+    not (isNaN figure || isInfinite figure)
+
+
+
+-- WORKBOOK
+
+
+{-| The parts of an XLSX workbook with a worksheet for each sheet, in order
+-}
+workbook : List Sheet -> List File
+workbook sheets =
+    let
+        numbered =
+            List.indexedMap (\index sheet -> ( index + 1, sheet )) sheets
+    in
+    [ { path = "[Content_Types].xml", content = contentTypes numbered }
+    , { path = "_rels/.rels", content = packageRelationships }
+    , { path = "xl/workbook.xml", content = workbookPart numbered }
+    , { path = "xl/_rels/workbook.xml.rels", content = workbookRelationships numbered }
+    , { path = "xl/styles.xml", content = styles }
+    ]
+        ++ List.map (\( number, sheet ) -> { path = "xl/worksheets/sheet" ++ String.fromInt number ++ ".xml", content = worksheet sheet }) numbered
+
+
+{-| Spreadsheet letters for a column, counting from 1: A to Z, then AA, AB
+and on
+-}
+columnName : Int -> String
+columnName column =
+    if column <= 26 then
+        String.fromChar (Char.fromCode (64 + max 1 column))
+
+    else
+        columnName ((column - 1) // 26) ++ columnName (modBy 26 (column - 1) + 1)
+
+
+contentTypes : List ( Int, Sheet ) -> String
+contentTypes numbered =
+    xmlDeclaration
+        ++ "<Types xmlns=\"http://schemas.openxmlformats.org/package/2006/content-types\">"
+        ++ "<Default Extension=\"rels\" ContentType=\"application/vnd.openxmlformats-package.relationships+xml\"/>"
+        ++ "<Default Extension=\"xml\" ContentType=\"application/xml\"/>"
+        ++ "<Override PartName=\"/xl/workbook.xml\" ContentType=\"application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml\"/>"
+        ++ "<Override PartName=\"/xl/styles.xml\" ContentType=\"application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml\"/>"
+        ++ String.concat
+            (List.map
+                (\( number, _ ) ->
+                    "<Override PartName=\"/xl/worksheets/sheet"
+                        ++ String.fromInt number
+                        ++ ".xml\" ContentType=\"application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml\"/>"
+                )
+                numbered
+            )
+        ++ "</Types>"
+
+
+packageRelationships : String
+packageRelationships =
+    xmlDeclaration
+        ++ "<Relationships xmlns=\"http://schemas.openxmlformats.org/package/2006/relationships\">"
+        ++ "<Relationship Id=\"rId1\" Type=\"http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument\" Target=\"xl/workbook.xml\"/>"
+        ++ "</Relationships>"
+
+
+workbookPart : List ( Int, Sheet ) -> String
+workbookPart numbered =
+    xmlDeclaration
+        ++ "<workbook xmlns=\"http://schemas.openxmlformats.org/spreadsheetml/2006/main\" xmlns:r=\"http://schemas.openxmlformats.org/officeDocument/2006/relationships\"><sheets>"
+        ++ String.concat
+            (List.map
+                (\( number, sheet ) ->
+                    "<sheet name=\""
+                        ++ escape sheet.name
+                        ++ "\" sheetId=\""
+                        ++ String.fromInt number
+                        ++ "\" r:id=\"rId"
+                        ++ String.fromInt number
+                        ++ "\"/>"
+                )
+                numbered
+            )
+        ++ "</sheets></workbook>"
+
+
+{-| Worksheets take the relationship ids from rId1 in order, and the styles
+the one after them
+-}
+workbookRelationships : List ( Int, Sheet ) -> String
+workbookRelationships numbered =
+    xmlDeclaration
+        ++ "<Relationships xmlns=\"http://schemas.openxmlformats.org/package/2006/relationships\">"
+        ++ String.concat
+            (List.map
+                (\( number, _ ) ->
+                    "<Relationship Id=\"rId"
+                        ++ String.fromInt number
+                        ++ "\" Type=\"http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet\" Target=\"worksheets/sheet"
+                        ++ String.fromInt number
+                        ++ ".xml\"/>"
+                )
+                numbered
+            )
+        ++ "<Relationship Id=\"rId"
+        ++ String.fromInt (List.length numbered + 1)
+        ++ "\" Type=\"http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles\" Target=\"styles.xml\"/>"
+        ++ "</Relationships>"
+
+
+{-| Two cell formats: plain, and bold for the header row
+-}
+styles : String
+styles =
+    xmlDeclaration
+        ++ "<styleSheet xmlns=\"http://schemas.openxmlformats.org/spreadsheetml/2006/main\">"
+        ++ "<fonts count=\"2\"><font><sz val=\"11\"/><name val=\"Calibri\"/></font><font><b/><sz val=\"11\"/><name val=\"Calibri\"/></font></fonts>"
+        ++ "<fills count=\"2\"><fill><patternFill patternType=\"none\"/></fill><fill><patternFill patternType=\"gray125\"/></fill></fills>"
+        ++ "<borders count=\"1\"><border><left/><right/><top/><bottom/><diagonal/></border></borders>"
+        ++ "<cellStyleXfs count=\"1\"><xf numFmtId=\"0\" fontId=\"0\" fillId=\"0\" borderId=\"0\"/></cellStyleXfs>"
+        ++ "<cellXfs count=\"2\"><xf numFmtId=\"0\" fontId=\"0\" fillId=\"0\" borderId=\"0\" xfId=\"0\"/><xf numFmtId=\"0\" fontId=\"1\" fillId=\"0\" borderId=\"0\" xfId=\"0\" applyFont=\"1\"/></cellXfs>"
+        ++ "<cellStyles count=\"1\"><cellStyle name=\"Normal\" xfId=\"0\" builtinId=\"0\"/></cellStyles>"
+        ++ "</styleSheet>"
+
+
+worksheet : Sheet -> String
+worksheet sheet =
+    xmlDeclaration
+        ++ "<worksheet xmlns=\"http://schemas.openxmlformats.org/spreadsheetml/2006/main\">"
+        ++ "<sheetViews><sheetView workbookViewId=\"0\"><pane ySplit=\"1\" topLeftCell=\"A2\" activePane=\"bottomLeft\" state=\"frozen\"/></sheetView></sheetViews>"
+        ++ columnWidths sheet
+        ++ "<sheetData>"
+        ++ row True 1 (List.map Text sheet.header)
+        ++ String.concat (List.indexedMap (\index cells -> row False (index + 2) cells) sheet.rows)
+        ++ "</sheetData></worksheet>"
+
+
+{-| Each column wide enough for its longest entry, within reason
+-}
+columnWidths : Sheet -> String
+columnWidths sheet =
+    let
+        widest column =
+            (sheet.header :: List.map (List.map cellText) sheet.rows)
+                |> List.filterMap (List.drop (column - 1) >> List.head)
+                |> List.map String.length
+                |> List.maximum
+                |> Maybe.withDefault 0
+
+        columnCount =
+            (List.length sheet.header :: List.map List.length sheet.rows)
+                |> List.maximum
+                |> Maybe.withDefault 0
+    in
+    if columnCount == 0 then
+        ""
+
+    else
+        "<cols>"
+            ++ String.concat
+                (List.map
+                    (\column ->
+                        "<col min=\""
+                            ++ String.fromInt column
+                            ++ "\" max=\""
+                            ++ String.fromInt column
+                            ++ "\" width=\""
+                            ++ String.fromInt (clamp 8 60 (widest column + 2))
+                            ++ "\" customWidth=\"1\"/>"
+                    )
+                    (List.range 1 columnCount)
+                )
+            ++ "</cols>"
+
+
+row : Bool -> Int -> List Cell -> String
+row isHeader rowNumber cells =
+    "<row r=\""
+        ++ String.fromInt rowNumber
+        ++ "\">"
+        ++ String.concat (List.indexedMap (\index cell -> cellXml isHeader (columnName (index + 1) ++ String.fromInt rowNumber) cell) cells)
+        ++ "</row>"
+
+
+{-| Empty text and figures that are not finite are left out, which leaves
+the cell blank
+-}
+cellXml : Bool -> String -> Cell -> String
+cellXml isHeader reference cell =
+    let
+        style =
+            if isHeader then
+                " s=\"1\""
+
+            else
+                ""
+    in
+    case cell of
+        Text "" ->
+            ""
+
+        Text text ->
+            "<c r=\"" ++ reference ++ "\" t=\"inlineStr\"" ++ style ++ "><is><t xml:space=\"preserve\">" ++ escape text ++ "</t></is></c>"
+
+        Number figure ->
+            if isFinite figure then
+                "<c r=\"" ++ reference ++ "\"" ++ style ++ "><v>" ++ String.fromFloat figure ++ "</v></c>"
+
+            else
+                ""
+
+
+xmlDeclaration : String
+xmlDeclaration =
+    "<?xml version=\"1.0\" encoding=\"UTF-8\" standalone=\"yes\"?>\n"
+
+
+{-| Text for XML content and attribute values. Control characters XML
+cannot hold are dropped.
+-}
+escape : String -> String
+escape text =
+    text
+        |> String.filter (\char -> Char.toCode char >= 32 || char == '\t' || char == '\n' || char == '\u{000D}')
+        |> String.replace "&" "&amp;"
+        |> String.replace "<" "&lt;"
+        |> String.replace ">" "&gt;"
+        |> String.replace "\"" "&quot;"
@@ -1,18 +1,34 @@
 module Utils.Storage exposing
-    ( saveToLocalStorage, loadFromLocalStorage, storageKey
+    ( saveToLocalStorage, loadFromLocalStorage, onStorageLoaded, storageKey
+    , unitSystemKey, saveUnitSystem, loadUnitSystem
+    , projectLibraryKey, saveProjectLibrary, loadProjectLibrary
+    , sessionStorageKey, saveSession, loadSession
+    , rosterKey, saveRoster, loadRoster
     , saveOnboardingState, loadOnboardingState, onboardingStorageKey, decodeOnboardingState
     )
 
 {-| Local storage operations for client-side persistence
 
-@docs saveToLocalStorage, loadFromLocalStorage, storageKey
+Reads are asynchronous: a load asks JavaScript for a key, and the stored text
+arrives later through onStorageLoaded along with the key it belongs to.
+
+@docs saveToLocalStorage, loadFromLocalStorage, onStorageLoaded, storageKey
+@docs unitSystemKey, saveUnitSystem, loadUnitSystem
+@docs projectLibraryKey, saveProjectLibrary, loadProjectLibrary
+@docs sessionStorageKey, saveSession, loadSession
+@docs rosterKey, saveRoster, loadRoster
 @docs saveOnboardingState, loadOnboardingState, onboardingStorageKey, decodeOnboardingState
 
 -}
 
 import Json.Decode as Decode
 import Json.Encode as Encode
+import Ports.Storage
 import Types.Onboarding exposing (OnboardingState(..))
+import Types.Project exposing (SavedProject, WorkingSession)
+import Types.Roster exposing (RosterUnit)
+import Utils.ProjectCodec as ProjectCodec
+import Utils.Units as Units exposing (UnitSystem)
 
 
 
@@ -24,24 +40,123 @@ storageKey =
     "pond-calculator-config"
 
 
-{-| Save configuration to local storage
-Note: In a real implementation, this would use ports to JavaScript
-For now, this is a placeholder for the storage interface
+{-| Save text to local storage under a key
+-}
+saveToLocalStorage : String -> String -> Cmd msg
+saveToLocalStorage key value =
+    Ports.Storage.setStorageItem { key = key, value = value }
+
+
+{-| Ask for the text stored under a key; it arrives through onStorageLoaded
+-}
+loadFromLocalStorage : String -> Cmd msg
+loadFromLocalStorage key =
+    Ports.Storage.requestStorageItem key
+
+
+{-| Stored text for each key loaded, or Nothing when the key holds nothing
+-}
+onStorageLoaded : (String -> Maybe String -> msg) -> Sub msg
+onStorageLoaded toMsg =
+    Ports.Storage.storageItemLoaded (\item -> toMsg item.key item.value)
+
+
+
+-- UNIT SYSTEM STORAGE
+
+
+unitSystemKey : String
+unitSystemKey =
+    "pondCalculator.unitSystem"
+
+
+{-| Save the units the user chose to see figures in
+-}
+saveUnitSystem : UnitSystem -> Cmd msg
+saveUnitSystem units =
+    saveToLocalStorage unitSystemKey (Units.unitSystemToString units)
+
+
+{-| Ask for the saved unit system
+-}
+loadUnitSystem : Cmd msg
+loadUnitSystem =
+    loadFromLocalStorage unitSystemKey
+
+
+
+-- PROJECT LIBRARY STORAGE
+
+
+projectLibraryKey : String
+projectLibraryKey =
+    "pondCalculator.projects"
+
+
+{-| Save every project in the library
 -}
-saveToLocalStorage : String -> Cmd msg
-saveToLocalStorage value =
-    -- TODO: Implement with ports when needed
-    Cmd.none
+saveProjectLibrary : List SavedProject -> Cmd msg
+saveProjectLibrary projects =
+    ProjectCodec.encodeLibrary projects
+        |> Encode.encode 0
+        |> saveToLocalStorage projectLibraryKey
 
 
-{-| Load configuration from local storage
-Note: In a real implementation, this would use ports to JavaScript
-For now, this is a placeholder for the storage interface
+{-| Ask for the saved project library
 -}
-loadFromLocalStorage : (Maybe String -> msg) -> Cmd msg
-loadFromLocalStorage toMsg =
-    -- TODO: Implement with ports when needed
-    Cmd.none
+loadProjectLibrary : Cmd msg
+loadProjectLibrary =
+    loadFromLocalStorage projectLibraryKey
+
+
+
+-- SESSION STORAGE
+
+
+sessionStorageKey : String
+sessionStorageKey =
+    "pondCalculator.session"
+
+
+{-| Autosave the working session
+-}
+saveSession : WorkingSession -> Cmd msg
+saveSession session =
+    ProjectCodec.encodeSession session
+        |> Encode.encode 0
+        |> saveToLocalStorage sessionStorageKey
+
+
+{-| Ask for the session autosaved on the last visit
+-}
+loadSession : Cmd msg
+loadSession =
+    loadFromLocalStorage sessionStorageKey
+
+
+
+-- ROSTER STORAGE
+
+
+rosterKey : String
+rosterKey =
+    "pondCalculator.roster"
+
+
+{-| Save every unit in the company's roster
+-}
+saveRoster : List RosterUnit -> Cmd msg
+saveRoster units =
+    ProjectCodec.encodeRoster units
+        |> Encode.encode 0
+        |> saveToLocalStorage rosterKey
+
+
+{-| Ask for the saved roster
+-}
+loadRoster : Cmd msg
+loadRoster =
+    loadFromLocalStorage rosterKey
 
 
 
@@ -57,26 +172,16 @@ onboardingStorageKey =
 -}
 saveOnboardingState : OnboardingState -> Cmd msg
 saveOnboardingState state =
-    let
-        jsonValue =
-            encodeOnboardingState state |> Encode.encode 0
-    in
-    -- TODO: Use ports to save to localStorage
-    -- For now, this is a placeholder
-    Cmd.none
-
-
-{-| Load onboarding state from local storage
--}
-loadOnboardingState : (Maybe String -> msg) -> Cmd msg
-loadOnboardingState toMsg =
-    -- TODO: Use ports to load from localStorage
-    -- For now, assume first-time user
-    toMsg Nothing
-        |> (\msg ->
-                -- Simulate immediate callback
-                Cmd.none
-           )
+    encodeOnboardingState state
+        |> Encode.encode 0
+        |> saveToLocalStorage onboardingStorageKey
+
+
+{-| Ask for the saved onboarding state
+-}
+loadOnboardingState : Cmd msg
+loadOnboardingState =
+    loadFromLocalStorage onboardingStorageKey
 
 
 
@@ -0,0 +1,463 @@
+module Utils.Units exposing
+    ( UnitSystem(..), Quantity(..), allUnitSystems, unitSystemToString, unitSystemFromString, unitSystemLabel
+    , toDisplay, fromDisplay, displayValue, displayInput, fromInput, describe
+    , unitSymbol, unitName, unitSingular, convertRange, convertRules
+    )
+
+{-| Imperial and metric units for display and input
+
+Every figure is stored and calculated in imperial units (feet, cubic yards,
+miles, tons, gallons). The metric system only changes what the user sees and
+types: values are converted on the way to the screen and back again on
+input, so switching units never changes the estimate.
+
+@docs UnitSystem, Quantity, allUnitSystems, unitSystemToString, unitSystemFromString, unitSystemLabel
+@docs toDisplay, fromDisplay, displayValue, displayInput, fromInput, describe
+@docs unitSymbol, unitName, unitSingular, convertRange, convertRules
+
+-}
+
+import Utils.Config exposing (ValidationRules)
+
+
+
+-- TYPES
+
+
+{-| The units figures are shown and entered in
+-}
+type UnitSystem
+    = Imperial
+    | Metric
+
+
+{-| The kind of measurement a figure is, which decides how it converts
+-}
+type Quantity
+    = Length -- feet / metres
+    | Area -- square feet / square metres
+    | Volume -- cubic yards / cubic metres
+    | Distance -- miles / kilometres
+    | Speed -- miles per hour / kilometres per hour
+    | Weight -- short tons / tonnes
+    | Density -- pounds per cubic yard / tonnes per cubic metre
+    | FuelVolume -- gallons / litres
+    | FuelPrice -- dollars per gallon / dollars per litre
+    | VolumePrice -- dollars per cubic yard / dollars per cubic metre
+
+
+{-| Every unit system, in the order offered to the user
+-}
+allUnitSystems : List UnitSystem
+allUnitSystems =
+    [ Imperial, Metric ]
+
+
+{-| Stable identifier for a unit system, used for form values
+-}
+unitSystemToString : UnitSystem -> String
+unitSystemToString units =
+    case units of
+        Imperial ->
+            "imperial"
+
+        Metric ->
+            "metric"
+
+
+{-| Parse a unit system identifier produced by unitSystemToString
+-}
+unitSystemFromString : String -> Maybe UnitSystem
+unitSystemFromString value =
+    allUnitSystems
+        |> List.filter (\units -> unitSystemToString units == value)
+        |> List.head
+
+
+{-| Human-readable name for a unit system
+-}
+unitSystemLabel : UnitSystem -> String
+unitSystemLabel units =
+    case units of
+        Imperial ->
+            "Imperial (ft, yd³)"
+
+        Metric ->
+            "Metric (m, m³)"
+
+
+
+-- CONVERSION
+
+
+{-| Metric units per imperial unit, all exact by definition of the foot,
+pound and gallon
+-}
+metricFactor : Quantity -> Float
+metricFactor quantity =
+    case quantity of
+        Length ->
+            0.3048
+
+        Area ->
+            0.09290304
+
+        Volume ->
+            0.764554857984
+
+        Distance ->
+            1.609344
+
+        Speed ->
+            1.609344
+
+        Weight ->
+            0.90718474
+
+        Density ->
+            -- 0.45359237 kg per lb, over 1000 kg per tonne and 0.7646 m³ per yd³
+            0.00045359237 / 0.764554857984
+
+        FuelVolume ->
+            3.785411784
+
+        FuelPrice ->
+            1 / 3.785411784
+
+        VolumePrice ->
+            1 / 0.764554857984
+
+
+{-| Convert a stored imperial figure to the units shown to the user
+-}
+toDisplay : UnitSystem -> Quantity -> Float -> Float
+toDisplay units quantity value =
+    case units of
+        Imperial ->
+            value
+
+        Metric ->
+            value * metricFactor quantity
+
+
+{-| Convert a figure entered by the user back to stored imperial units
+-}
+fromDisplay : UnitSystem -> Quantity -> Float -> Float
+fromDisplay units quantity value =
+    case units of
+        Imperial ->
+            value
+
+        Metric ->
+            value / metricFactor quantity
+
+
+{-| A stored figure as the text shown in an input. Metric figures are
+rounded to three decimals so converted values stay readable.
+-}
+displayValue : UnitSystem -> Quantity -> Float -> String
+displayValue units quantity value =
+    case units of
+        Imperial ->
+            String.fromFloat value
+
+        Metric ->
+            String.fromFloat (roundTo 3 (toDisplay units quantity value))
+
+
+{-| A stored form value as the text shown in its input. Text that is not a
+number, such as a blank field, is shown as it is.
+-}
+displayInput : UnitSystem -> Quantity -> String -> String
+displayInput units quantity stored =
+    case ( units, String.toFloat stored ) of
+        ( Metric, Just value ) ->
+            displayValue units quantity value
+
+        _ ->
+            stored
+
+
+{-| Text typed into an input as the stored imperial form value. Text that is
+not a number is kept as typed so validation can report it.
+-}
+fromInput : UnitSystem -> Quantity -> String -> String
+fromInput units quantity typed =
+    case ( units, String.toFloat typed ) of
+        ( Metric, Just value ) ->
+            String.fromFloat (fromDisplay units quantity value)
+
+        _ ->
+            typed
+
+
+{-| A stored figure written for prose such as help examples. Metric figures
+are rounded to two significant digits, since the imperial originals are
+themselves round numbers.
+-}
+describe : UnitSystem -> Quantity -> Float -> String
+describe units quantity value =
+    case units of
+        Imperial ->
+            String.fromFloat value
+
+        Metric ->
+            String.fromFloat (roundSignificant 2 (toDisplay units quantity value))
+
+
+roundTo : Int -> Float -> Float
+roundTo decimals value =
+    let
+        scale =
+            10 ^ toFloat decimals
+    in
+    toFloat (round (value * scale)) / scale
+
+
+roundSignificant : Int -> Float -> Float
+roundSignificant digits value =
+    if value == 0 then
+        0
+
+    else
+        let
+            decimals =
+                digits - 1 - floor (logBase 10 (abs value))
+        in
+        if decimals >= 0 then
+            roundTo decimals value
+
+        else
+            let
+                scale =
+                    10 ^ toFloat (negate decimals)
+            in
+            toFloat (round (value / scale)) * scale
+
+
+
+-- LABELS
+
+
+{-| Short unit symbol for labels and table figures
+-}
+unitSymbol : UnitSystem -> Quantity -> String
+unitSymbol units quantity =
+    case units of
+        Imperial ->
+            case quantity of
+                Length ->
+                    "ft"
+
+                Area ->
+                    "sq ft"
+
+                Volume ->
+                    "yd³"
+
+                Distance ->
+                    "mi"
+
+                Speed ->
+                    "mph"
+
+                Weight ->
+                    "tons"
+
+                Density ->
+                    "lb/yd³"
+
+                FuelVolume ->
+                    "gal"
+
+                FuelPrice ->
+                    "$/gal"
+
+                VolumePrice ->
+                    "$/yd³"
+
+        Metric ->
+            case quantity of
+                Length ->
+                    "m"
+
+                Area ->
+                    "m²"
+
+                Volume ->
+                    "m³"
+
+                Distance ->
+                    "km"
+
+                Speed ->
+                    "km/h"
+
+                Weight ->
+                    "t"
+
+                Density ->
+                    "t/m³"
+
+                FuelVolume ->
+                    "L"
+
+                FuelPrice ->
+                    "$/L"
+
+                VolumePrice ->
+                    "$/m³"
+
+
+{-| Unit written out in full, for sentences and help text
+-}
+unitName : UnitSystem -> Quantity -> String
+unitName units quantity =
+    case units of
+        Imperial ->
+            case quantity of
+                Length ->
+                    "feet"
+
+                Area ->
+                    "square feet"
+
+                Volume ->
+                    "cubic yards"
+
+                Distance ->
+                    "miles"
+
+                Speed ->
+                    "mph"
+
+                Weight ->
+                    "tons"
+
+                Density ->
+                    "lb per cubic yard"
+
+                FuelVolume ->
+                    "gallons"
+
+                FuelPrice ->
+                    "dollars per gallon"
+
+                VolumePrice ->
+                    "dollars per cubic yard"
+
+        Metric ->
+            case quantity of
+                Length ->
+                    "metres"
+
+                Area ->
+                    "square metres"
+
+                Volume ->
+                    "cubic metres"
+
+                Distance ->
+                    "kilometres"
+
+                Speed ->
+                    "km/h"
+
+                Weight ->
+                    "tonnes"
+
+                Density ->
+                    "tonnes per cubic metre"
+
+                FuelVolume ->
+                    "litres"
+
+                FuelPrice ->
+                    "dollars per litre"
+
+                VolumePrice ->
+                    "dollars per cubic metre"
+
+
+{-| Unit written out for a single item, as in "cost per cubic yard" or a
+"10-foot corner"
+-}
+unitSingular : UnitSystem -> Quantity -> String
+unitSingular units quantity =
+    case ( units, quantity ) of
+        ( Imperial, Length ) ->
+            "foot"
+
+        ( Imperial, Area ) ->
+            "square foot"
+
+        ( Imperial, Volume ) ->
+            "cubic yard"
+
+        ( Imperial, Distance ) ->
+            "mile"
+
+        ( Imperial, Weight ) ->
+            "ton"
+
+        ( Imperial, FuelVolume ) ->
+            "gallon"
+
+        ( Metric, Length ) ->
+            "metre"
+
+        ( Metric, Area ) ->
+            "square metre"
+
+        ( Metric, Volume ) ->
+            "cubic metre"
+
+        ( Metric, Distance ) ->
+            "kilometre"
+
+        ( Metric, Weight ) ->
+            "tonne"
+
+        ( Metric, FuelVolume ) ->
+            "litre"
+
+        _ ->
+            unitName units quantity
+
+
+
+-- VALIDATION RULES
+
+
+{-| A stored validation range in display units, rounded to three decimals
+-}
+convertRange : UnitSystem -> Quantity -> { min : Float, max : Float } -> { min : Float, max : Float }
+convertRange units quantity range =
+    case units of
+        Imperial ->
+            range
+
+        Metric ->
+            { min = roundTo 3 (toDisplay units quantity range.min)
+            , max = roundTo 3 (toDisplay units quantity range.max)
+            }
+
+
+{-| Validation rules with every unit-bearing range in display units, for
+input limits and help text. Validation itself always runs on the stored
+imperial rules.
+-}
+convertRules : UnitSystem -> ValidationRules -> ValidationRules
+convertRules units rules =
+    { rules
+        | excavatorCapacity = convertRange units Volume rules.excavatorCapacity
+        , truckCapacity = convertRange units Volume rules.truckCapacity
+        , pondDimensions = convertRange units Length rules.pondDimensions
+        , fuelBurn = convertRange units FuelVolume rules.fuelBurn
+        , fuelPrice = convertRange units FuelPrice rules.fuelPrice
+        , disposalFee = convertRange units VolumePrice rules.disposalFee
+        , haulDistance = convertRange units Distance rules.haulDistance
+        , haulSpeed = convertRange units Speed rules.haulSpeed
+        , payload = convertRange units Weight rules.payload
+        , soilDensity = convertRange units Density rules.soilDensity
+    }
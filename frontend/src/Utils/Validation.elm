@@ -1,8 +1,14 @@
 module Utils.Validation exposing
     ( validateExcavatorCapacity, validateCycleTime, validateTruckCapacity
     , validateRoundTripTime, validateWorkHours, validatePondDimensions
+    , validateSideSlope, validatePondGeometry, validateSlopeInput, validatePondShape
+    , validateSwellPercent, validateSwellInput, validateExportPercent
+    , validatePayload, validateSoilDensity
+    , validateEfficiency, validateFillFactor, validateCostRate, validateCostInput
+    , validateMeasuredInput, validateMeasuredCostInput
+    , validateTimeRange, validateHaulCycle, validatePhase
     , validateAllInputs, ProjectInputs
-    , validateExcavatorFleet, validateTruckFleet
+    , validateExcavatorFleet, validateTruckFleet, validateSingleExcavator, validateSingleTruck
     , ExcavatorField(..), TruckField(..)
     , errorToString, validateDecimalPrecision, validateStringInput, validateWithEdgeCases
     )
@@ -11,15 +17,25 @@ module Utils.Validation exposing
 
 @docs validateExcavatorCapacity, validateCycleTime, validateTruckCapacity
 @docs validateRoundTripTime, validateWorkHours, validatePondDimensions
+@docs validateSideSlope, validatePondGeometry, validateSlopeInput, validatePondShape
+@docs validateSwellPercent, validateSwellInput, validateExportPercent
+@docs validatePayload, validateSoilDensity
+@docs validateEfficiency, validateFillFactor, validateCostRate, validateCostInput
+@docs validateMeasuredInput, validateMeasuredCostInput
+@docs validateTimeRange, validateHaulCycle, validatePhase
 @docs validateAllInputs, ProjectInputs
-@docs validateExcavatorFleet, validateTruckFleet
+@docs validateExcavatorFleet, validateTruckFleet, validateSingleExcavator, validateSingleTruck
 @docs ExcavatorField, TruckField
 
 -}
 
-import Types.Equipment exposing (CubicYards, EquipmentId, Excavator, Minutes, Truck)
+import Types.Equipment exposing (CubicYards, EquipmentId, Excavator, HaulCycle, Minutes, TimeRange, Truck)
+import Types.Phase exposing (Phase, phaseExportPercent)
+import Types.Pond exposing (PondShape(..), SideSlopes)
 import Types.Validation exposing (ValidationError(..), ValidationResult)
 import Utils.Config exposing (ValidationRange, ValidationRules)
+import Utils.InputParser as InputParser
+import Utils.Units exposing (Quantity, UnitSystem(..))
 
 
 
@@ -29,11 +45,25 @@ import Utils.Config exposing (ValidationRange, ValidationRules)
 type ExcavatorField
     = ExcavatorBucketCapacity
     | ExcavatorCycleTime
+    | ExcavatorEfficiency
+    | ExcavatorFillFactor
+    | ExcavatorHourlyRate
+    | ExcavatorOperatorWage
+    | ExcavatorFuelBurn
+    | ExcavatorCycleTimeRange
 
 
 type TruckField
     = TruckFieldCapacity
     | TruckFieldRoundTripTime
+    | TruckFieldEfficiency
+    | TruckFieldFillFactor
+    | TruckFieldHourlyRate
+    | TruckFieldOperatorWage
+    | TruckFieldFuelBurn
+    | TruckFieldRoundTripTimeRange
+    | TruckFieldHaulCycle
+    | TruckFieldMaxPayload
 
 
 type alias ProjectInputs =
@@ -45,6 +75,16 @@ type alias ProjectInputs =
     , pondLength : Float
     , pondWidth : Float
     , pondDepth : Float
+    , sideSlopes : SideSlopes
+    , pondShape : PondShape
+    , cornerRadius : Float -- rounded rectangles only
+    , smallLobeDiameter : Float -- kidneys only
+    , swellPercent : Float -- bank to loose soil swell
+    , exportPercent : Float -- share of spoil trucked off site
+    , soilDensity : Float -- lb per bank cubic yard
+    , fuelPrice : Float -- $/gallon
+    , disposalFee : Float -- $/loose cubic yard
+    , workHoursRange : Maybe TimeRange -- shortest and longest day, for timeline ranges
     }
 
 
@@ -84,6 +124,132 @@ validateRoundTripTime rules roundTripTime =
     validateRange "Round Trip Time" rules roundTripTime
 
 
+{-| Validate a machine's efficiency, the fraction of each hour it is productive.
+Returns validated efficiency or specific validation error.
+-}
+validateEfficiency : ValidationRange -> Float -> ValidationResult Float
+validateEfficiency rules efficiency =
+    validateRange "Efficiency" rules efficiency
+
+
+{-| Validate a bucket or bed fill factor against realistic loading.
+Returns validated fill factor or specific validation error.
+-}
+validateFillFactor : ValidationRange -> Float -> ValidationResult Float
+validateFillFactor rules fillFactor =
+    validateRange "Fill Factor" rules fillFactor
+
+
+{-| Validate a cost rate such as a wage, fuel price or disposal fee.
+Zero is allowed for costs that do not apply to the job.
+-}
+validateCostRate : String -> ValidationRange -> Float -> ValidationResult Float
+validateCostRate fieldName rules rate =
+    if isInfinite rate || isNaN rate then
+        Err (EdgeCaseError { issue = "Invalid number format", guidance = "Please enter a valid numeric value" })
+
+    else if rate < 0 then
+        Err (EdgeCaseError { issue = "Negative values are not allowed", guidance = getNegativeValueGuidance fieldName })
+
+    else if rate < rules.min then
+        Err (ValueTooLow { actual = rate, minimum = rules.min, guidance = getValueTooLowGuidance fieldName rules })
+
+    else if rate > rules.max then
+        Err (ValueTooHigh { actual = rate, maximum = rules.max, guidance = getValueTooHighGuidance fieldName rules })
+
+    else
+        Ok rate
+
+
+{-| Validate the low and high ends of an uncertain time around its most likely
+value. Both ends must fall within the field's range and bracket the likely
+value. A missing range means the time is fixed and always passes.
+Returns the likely value or specific validation error.
+-}
+validateTimeRange : String -> ValidationRange -> Float -> Maybe TimeRange -> ValidationResult Float
+validateTimeRange fieldName rules likely range =
+    case range of
+        Nothing ->
+            Ok likely
+
+        Just ends ->
+            validateRange fieldName rules ends.min
+                |> Result.andThen (\_ -> validateRange fieldName rules ends.max)
+                |> Result.andThen
+                    (\_ ->
+                        if ends.min > likely then
+                            Err
+                                (EdgeCaseError
+                                    { issue = fieldName ++ " range starts above the likely value"
+                                    , guidance = "The fastest or shortest value must not exceed " ++ String.fromFloat likely ++ ". Lower it, or raise the likely value."
+                                    }
+                                )
+
+                        else if ends.max < likely then
+                            Err
+                                (EdgeCaseError
+                                    { issue = fieldName ++ " range ends below the likely value"
+                                    , guidance = "The slowest or longest value must be at least " ++ String.fromFloat likely ++ ". Raise it, or lower the likely value."
+                                    }
+                                )
+
+                        else
+                            Ok likely
+                    )
+
+
+{-| Validate the haul distance, speeds and delays of a truck's haul cycle.
+A truck without a haul cycle uses its entered round trip time and always passes.
+-}
+validateHaulCycle : ValidationRules -> Maybe HaulCycle -> ValidationResult (Maybe HaulCycle)
+validateHaulCycle rules haulCycle =
+    case haulCycle of
+        Nothing ->
+            Ok Nothing
+
+        Just cycle ->
+            validateRange "Haul Distance" rules.haulDistance cycle.distance
+                |> Result.andThen (\_ -> validateRange "Loaded Speed" rules.haulSpeed cycle.loadedSpeed)
+                |> Result.andThen (\_ -> validateRange "Empty Speed" rules.haulSpeed cycle.emptySpeed)
+                |> Result.andThen (\_ -> validateCostRate "Dump Time" rules.haulDelay cycle.dumpTime)
+                |> Result.andThen (\_ -> validateCostRate "Spot Time" rules.haulDelay cycle.spotTime)
+                |> Result.map (\_ -> haulCycle)
+
+
+{-| Validate a project phase: it needs something to move, at least one
+active excavator and, unless all its spoil stays on site, one active truck to
+move it, and a productivity within range. Takes the percentage of spoil
+trucked off site and the fleet, since parked machines do not work a phase.
+-}
+validatePhase : ValidationRules -> Float -> List Excavator -> List Truck -> Phase -> ValidationResult Phase
+validatePhase rules exportPercent excavators trucks phase =
+    let
+        working ids machine =
+            machine.isActive && List.member machine.id ids
+
+        needsTrucks =
+            phaseExportPercent exportPercent phase.kind > 0
+    in
+    if isInfinite phase.volume || isNaN phase.volume || phase.volume <= 0 then
+        Err (RequiredField { guidance = phase.name ++ " needs a volume greater than zero." })
+
+    else if List.isEmpty phase.excavatorIds then
+        Err (EdgeCaseError { issue = phase.name ++ " has no excavator", guidance = "Pick at least one excavator to work this phase." })
+
+    else if not (List.any (working phase.excavatorIds) excavators) then
+        Err (EdgeCaseError { issue = "Every excavator on " ++ phase.name ++ " is parked", guidance = "Put one back to work or pick an active excavator for this phase." })
+
+    else if needsTrucks && List.isEmpty phase.truckIds then
+        Err (EdgeCaseError { issue = phase.name ++ " has no truck", guidance = "Pick at least one truck to work this phase." })
+
+    else if needsTrucks && not (List.any (working phase.truckIds) trucks) then
+        Err (EdgeCaseError { issue = "Every truck on " ++ phase.name ++ " is parked", guidance = "Put one back to work or pick an active truck for this phase." })
+
+    else
+        validateRange "Phase Productivity" rules.phaseProductivity phase.productivity
+            |> Result.map (\_ -> phase)
+
+
 {-| Validate daily work hours against labor regulations.
 Returns validated work hours or specific validation error.
 -}
@@ -100,6 +266,193 @@ validatePondDimensions rules dimension =
     validateRange "Pond Dimension" rules dimension
 
 
+{-| Validate a bank slope ratio (horizontal run per unit of depth).
+Unlike the other inputs a slope of zero is valid: it means a vertical wall.
+-}
+validateSideSlope : ValidationRange -> Float -> ValidationResult Float
+validateSideSlope rules slope =
+    if isInfinite slope || isNaN slope then
+        Err (EdgeCaseError { issue = "Invalid number format", guidance = "Please enter a valid numeric value" })
+
+    else if slope < 0 then
+        Err (EdgeCaseError { issue = "Negative values are not allowed", guidance = getNegativeValueGuidance "Side Slope" })
+
+    else if slope < rules.min then
+        Err (ValueTooLow { actual = slope, minimum = rules.min, guidance = getValueTooLowGuidance "Side Slope" rules })
+
+    else if slope > rules.max then
+        Err (ValueTooHigh { actual = slope, maximum = rules.max, guidance = getValueTooHighGuidance "Side Slope" rules })
+
+    else
+        Ok slope
+
+
+{-| Validate a soil swell percentage. Zero is allowed for soil that hauls
+at its bank volume.
+-}
+validateSwellPercent : ValidationRange -> Float -> ValidationResult Float
+validateSwellPercent rules swell =
+    if isInfinite swell || isNaN swell then
+        Err (EdgeCaseError { issue = "Invalid number format", guidance = "Please enter a valid numeric value" })
+
+    else if swell < 0 then
+        Err (EdgeCaseError { issue = "Negative values are not allowed", guidance = getNegativeValueGuidance "Soil Swell" })
+
+    else if swell < rules.min then
+        Err (ValueTooLow { actual = swell, minimum = rules.min, guidance = getValueTooLowGuidance "Soil Swell" rules })
+
+    else if swell > rules.max then
+        Err (ValueTooHigh { actual = swell, maximum = rules.max, guidance = getValueTooHighGuidance "Soil Swell" rules })
+
+    else
+        Ok swell
+
+
+{-| Validate the percentage of spoil trucked off site. Zero is allowed for
+jobs that keep all their spoil on site.
+-}
+validateExportPercent : ValidationRange -> Float -> ValidationResult Float
+validateExportPercent rules exportPercent =
+    validateCostRate "Export Share" rules exportPercent
+
+
+{-| Validate a truck's legal payload in tons
+-}
+validatePayload : ValidationRange -> Float -> ValidationResult Float
+validatePayload rules payload =
+    validateRange "Max Payload" rules payload
+
+
+{-| Validate a soil density in pounds per bank cubic yard
+-}
+validateSoilDensity : ValidationRange -> Float -> ValidationResult Float
+validateSoilDensity rules density =
+    validateRange "Soil Density" rules density
+
+
+{-| Validate that the bank slopes leave a pond bottom at the requested depth.
+Each bank moves the bottom edge inward by depth × slope, so opposite banks
+together must stay narrower than the top dimension they cut into.
+-}
+validatePondGeometry : ProjectInputs -> ValidationResult ProjectInputs
+validatePondGeometry inputs =
+    let
+        lengthLost =
+            inputs.pondDepth * (inputs.sideSlopes.east + inputs.sideSlopes.west)
+
+        widthLost =
+            inputs.pondDepth * (inputs.sideSlopes.north + inputs.sideSlopes.south)
+
+        collapseError dimensionName topValue lost =
+            EdgeCaseError
+                { issue = "Side slopes leave no pond bottom"
+                , guidance =
+                    "At "
+                        ++ String.fromFloat inputs.pondDepth
+                        ++ " feet deep these banks need a top "
+                        ++ dimensionName
+                        ++ " greater than "
+                        ++ String.fromFloat lost
+                        ++ " feet, but the pond is only "
+                        ++ String.fromFloat topValue
+                        ++ " feet. Reduce the depth, use steeper banks (a smaller ratio), or enlarge the pond."
+                }
+    in
+    if lengthLost >= inputs.pondLength then
+        Err (collapseError "length" inputs.pondLength lengthLost)
+
+    else if widthLost >= inputs.pondWidth then
+        Err (collapseError "width" inputs.pondWidth widthLost)
+
+    else
+        Ok inputs
+
+
+{-| Validate the shape-specific dimensions of the pond outline.
+Pond length and width are the overall extents of the shape, so a circle
+needs them equal, a rounded rectangle needs corners that fit, and a
+kidney needs two lobes that overlap without one swallowing the other.
+-}
+validatePondShape : ValidationRange -> ProjectInputs -> ValidationResult ProjectInputs
+validatePondShape dimensionRange inputs =
+    case inputs.pondShape of
+        Rectangle ->
+            Ok inputs
+
+        Ellipse ->
+            Ok inputs
+
+        Circle ->
+            if inputs.pondLength /= inputs.pondWidth then
+                Err
+                    (EdgeCaseError
+                        { issue = "Circle length and width differ"
+                        , guidance = "A circular pond uses one diameter for both directions. Enter the diameter, or choose an ellipse for oval ponds."
+                        }
+                    )
+
+            else
+                Ok inputs
+
+        RoundedRectangle ->
+            let
+                largestRadius =
+                    min inputs.pondLength inputs.pondWidth / 2
+            in
+            validatePondDimensions dimensionRange inputs.cornerRadius
+                |> Result.andThen
+                    (\radius ->
+                        if radius > largestRadius then
+                            Err
+                                (EdgeCaseError
+                                    { issue = "Corner radius too large"
+                                    , guidance =
+                                        "Corners can round off at most half the shorter side ("
+                                            ++ String.fromFloat largestRadius
+                                            ++ " feet). Reduce the radius, or choose an ellipse for fully rounded ends."
+                                    }
+                                )
+
+                        else
+                            Ok inputs
+                    )
+
+        Kidney ->
+            validatePondDimensions dimensionRange inputs.smallLobeDiameter
+                |> Result.andThen
+                    (\smallLobe ->
+                        if smallLobe > inputs.pondWidth then
+                            Err
+                                (EdgeCaseError
+                                    { issue = "Small lobe larger than main lobe"
+                                    , guidance = "The pond width is the diameter of the large lobe. Swap the two diameters so the small lobe is the smaller one."
+                                    }
+                                )
+
+                        else if inputs.pondLength <= inputs.pondWidth then
+                            Err
+                                (EdgeCaseError
+                                    { issue = "Kidney lobes overlap completely"
+                                    , guidance = "The overall length must be longer than the large lobe diameter, otherwise the pond is a plain circle."
+                                    }
+                                )
+
+                        else if inputs.pondLength >= inputs.pondWidth + smallLobe then
+                            Err
+                                (EdgeCaseError
+                                    { issue = "Kidney lobes do not meet"
+                                    , guidance =
+                                        "With these lobes the overall length must be under "
+                                            ++ String.fromFloat (inputs.pondWidth + smallLobe)
+                                            ++ " feet so the two lobes join. Shorten the pond or enlarge a lobe."
+                                    }
+                                )
+
+                        else
+                            Ok inputs
+                    )
+
+
 {-| Validate all project inputs at once.
 Returns validated inputs or the first validation error encountered.
 -}
@@ -122,6 +475,7 @@ validateAllInputs rules inputs =
             (\_ ->
                 validateWorkHours rules.workHours inputs.workHoursPerDay
             )
+        |> Result.andThen (\_ -> validateTimeRange "Work Hours" rules.workHours inputs.workHoursPerDay inputs.workHoursRange)
         |> Result.andThen
             (\_ ->
                 validatePondDimensions rules.pondDimensions inputs.pondLength
@@ -134,7 +488,18 @@ validateAllInputs rules inputs =
             (\_ ->
                 validatePondDimensions rules.pondDimensions inputs.pondDepth
             )
-        |> Result.map (\_ -> inputs)
+        |> Result.andThen
+            (\_ ->
+                [ inputs.sideSlopes.north, inputs.sideSlopes.south, inputs.sideSlopes.east, inputs.sideSlopes.west ]
+                    |> List.foldl (\slope acc -> Result.andThen (\_ -> validateSideSlope rules.sideSlope slope) acc) (Ok 0)
+            )
+        |> Result.andThen (\_ -> validateSwellPercent rules.swellPercent inputs.swellPercent)
+        |> Result.andThen (\_ -> validateExportPercent rules.exportPercent inputs.exportPercent)
+        |> Result.andThen (\_ -> validateSoilDensity rules.soilDensity inputs.soilDensity)
+        |> Result.andThen (\_ -> validateCostRate "Fuel Price" rules.fuelPrice inputs.fuelPrice)
+        |> Result.andThen (\_ -> validateCostRate "Disposal Fee" rules.disposalFee inputs.disposalFee)
+        |> Result.andThen (\_ -> validatePondShape rules.pondDimensions inputs)
+        |> Result.andThen validatePondGeometry
 
 
 {-| Validate excavator fleet - each excavator independently
@@ -157,67 +522,137 @@ validateTruckFleet rules trucks =
 -}
 validateSingleExcavator : ValidationRules -> Excavator -> List ( EquipmentId, ExcavatorField, ValidationError )
 validateSingleExcavator rules excavator =
-    let
-        bucketCapacityResult =
-            validateExcavatorCapacity rules.excavatorCapacity excavator.bucketCapacity
+    [ ( ExcavatorBucketCapacity, validateExcavatorCapacity rules.excavatorCapacity excavator.bucketCapacity )
+    , ( ExcavatorCycleTime, validateCycleTime rules.cycleTime excavator.cycleTime )
+    , ( ExcavatorEfficiency, validateEfficiency rules.efficiency excavator.efficiency )
+    , ( ExcavatorFillFactor, validateFillFactor rules.fillFactor excavator.fillFactor )
+    , ( ExcavatorHourlyRate, validateCostRate "Hourly Rate" rules.hourlyRate excavator.hourlyRate )
+    , ( ExcavatorOperatorWage, validateCostRate "Operator Wage" rules.operatorWage excavator.operatorWage )
+    , ( ExcavatorFuelBurn, validateCostRate "Fuel Burn" rules.fuelBurn excavator.fuelBurn )
+    , ( ExcavatorCycleTimeRange, validateTimeRange "Cycle Time" rules.cycleTime excavator.cycleTime excavator.cycleTimeRange )
+    ]
+        |> List.filterMap (fieldError excavator.id)
 
-        cycleTimeResult =
-            validateCycleTime rules.cycleTime excavator.cycleTime
 
-        bucketCapacityErrors =
-            case bucketCapacityResult of
-                Err error ->
-                    [ ( excavator.id, ExcavatorBucketCapacity, error ) ]
+{-| Validate a single truck and return errors with ID and field
+-}
+validateSingleTruck : ValidationRules -> Truck -> List ( EquipmentId, TruckField, ValidationError )
+validateSingleTruck rules truck =
+    [ ( TruckFieldCapacity, validateTruckCapacity rules.truckCapacity truck.capacity )
+    , ( TruckFieldRoundTripTime, validateRoundTripTime rules.roundTripTime truck.roundTripTime )
+    , ( TruckFieldEfficiency, validateEfficiency rules.efficiency truck.efficiency )
+    , ( TruckFieldFillFactor, validateFillFactor rules.fillFactor truck.fillFactor )
+    , ( TruckFieldHourlyRate, validateCostRate "Hourly Rate" rules.hourlyRate truck.hourlyRate )
+    , ( TruckFieldOperatorWage, validateCostRate "Operator Wage" rules.operatorWage truck.operatorWage )
+    , ( TruckFieldFuelBurn, validateCostRate "Fuel Burn" rules.fuelBurn truck.fuelBurn )
+    , ( TruckFieldRoundTripTimeRange, validateTimeRange "Round Trip Time" rules.roundTripTime truck.roundTripTime truck.roundTripTimeRange )
+    , ( TruckFieldHaulCycle, validateHaulCycle rules truck.haulCycle |> Result.map (\_ -> truck.roundTripTime) )
+    , ( TruckFieldMaxPayload, validatePayload rules.payload truck.maxPayload )
+    ]
+        |> List.filterMap (fieldError truck.id)
+
+
+{-| Tag a failed field check with the equipment it belongs to
+-}
+fieldError : EquipmentId -> ( field, ValidationResult Float ) -> Maybe ( EquipmentId, field, ValidationError )
+fieldError equipmentId ( field, result ) =
+    case result of
+        Err error ->
+            Just ( equipmentId, field, error )
 
-                Ok _ ->
-                    []
+        Ok _ ->
+            Nothing
 
-        cycleTimeErrors =
-            case cycleTimeResult of
-                Err error ->
-                    [ ( excavator.id, ExcavatorCycleTime, error ) ]
 
-                Ok _ ->
-                    []
+{-| Validate string input with edge case handling.
+Reads the figure with the input parser, so arithmetic such as 2\*20+5 is
+accepted, and validates it against range with comprehensive error handling.
+-}
+validateStringInput : String -> ValidationRange -> String -> ValidationResult Float
+validateStringInput fieldName range input =
+    let
+        trimmedInput =
+            String.trim input
     in
-    bucketCapacityErrors ++ cycleTimeErrors
+    if String.isEmpty trimmedInput then
+        Err (RequiredField { guidance = getRequiredFieldGuidance fieldName })
+
+    else
+        readFigure fieldName False InputParser.parseNumber trimmedInput
+            |> Result.andThen (validateEdgeCases fieldName range)
 
 
-{-| Validate a single truck and return errors with ID and field
+{-| Validate a measurement held in form data, which may carry a unit such as
+40'6" or 12 m. Plain numbers there are already imperial; see
+InputParser.parseStored.
 -}
-validateSingleTruck : ValidationRules -> Truck -> List ( EquipmentId, TruckField, ValidationError )
-validateSingleTruck rules truck =
+validateMeasuredInput : UnitSystem -> Quantity -> String -> ValidationRange -> String -> ValidationResult Float
+validateMeasuredInput units quantity fieldName range input =
     let
-        capacityResult =
-            validateTruckCapacity rules.truckCapacity truck.capacity
+        trimmedInput =
+            String.trim input
+    in
+    if String.isEmpty trimmedInput then
+        Err (RequiredField { guidance = getRequiredFieldGuidance fieldName })
+
+    else
+        readFigure fieldName (units == Metric) (InputParser.parseStored units quantity) trimmedInput
+            |> Result.andThen (validateEdgeCases fieldName range)
 
-        roundTripTimeResult =
-            validateRoundTripTime rules.roundTripTime truck.roundTripTime
 
-        capacityErrors =
-            case capacityResult of
-                Err error ->
-                    [ ( truck.id, TruckFieldCapacity, error ) ]
+{-| Validate a side slope typed by the user. Empty input and zero are both
+treated as a vertical wall rather than as missing values.
+-}
+validateSlopeInput : ValidationRange -> String -> ValidationResult Float
+validateSlopeInput range input =
+    let
+        trimmedInput =
+            String.trim input
+    in
+    if String.isEmpty trimmedInput then
+        Ok 0
 
-                Ok _ ->
-                    []
+    else
+        readFigure "Side Slope" False InputParser.parseNumber trimmedInput
+            |> Result.andThen (validateSideSlope range)
 
-        roundTripTimeErrors =
-            case roundTripTimeResult of
-                Err error ->
-                    [ ( truck.id, TruckFieldRoundTripTime, error ) ]
 
-                Ok _ ->
-                    []
+{-| Validate a custom soil swell percentage typed by the user
+-}
+validateSwellInput : ValidationRange -> String -> ValidationResult Float
+validateSwellInput range input =
+    let
+        trimmedInput =
+            String.trim input
     in
-    capacityErrors ++ roundTripTimeErrors
+    if String.isEmpty trimmedInput then
+        Err (RequiredField { guidance = getRequiredFieldGuidance "Soil Swell" })
 
+    else
+        readFigure "Soil Swell" False InputParser.parseNumber trimmedInput
+            |> Result.andThen (validateSwellPercent range)
 
-{-| Validate string input with edge case handling.
-Converts string to float and validates against range with comprehensive error handling.
+
+{-| Validate a cost rate typed into the form.
 -}
-validateStringInput : String -> ValidationRange -> String -> ValidationResult Float
-validateStringInput fieldName range input =
+validateCostInput : String -> ValidationRange -> String -> ValidationResult Float
+validateCostInput fieldName range input =
+    let
+        trimmedInput =
+            String.trim input
+    in
+    if String.isEmpty trimmedInput then
+        Err (RequiredField { guidance = getRequiredFieldGuidance fieldName })
+
+    else
+        readFigure fieldName False InputParser.parseNumber trimmedInput
+            |> Result.andThen (validateCostRate fieldName range)
+
+
+{-| Validate a price per unit held in form data, such as 1.10/L for fuel
+-}
+validateMeasuredCostInput : UnitSystem -> Quantity -> String -> ValidationRange -> String -> ValidationResult Float
+validateMeasuredCostInput units quantity fieldName range input =
     let
         trimmedInput =
             String.trim input
@@ -226,37 +661,53 @@ validateStringInput fieldName range input =
         Err (RequiredField { guidance = getRequiredFieldGuidance fieldName })
 
     else
-        case String.toFloat trimmedInput of
-            Nothing ->
-                Err (InvalidFormat { input = trimmedInput, guidance = getInvalidFormatGuidance fieldName })
+        readFigure fieldName (units == Metric) (InputParser.parseStored units quantity) trimmedInput
+            |> Result.andThen (validateCostRate fieldName range)
+
 
-            Just value ->
-                validateWithEdgeCases fieldName range value
+{-| Read a non-empty input with the given parser. Only plain decimals the
+user typed as they are stored are held to the decimal precision limit;
+arithmetic and unit conversion produce long decimals of their own.
+-}
+readFigure : String -> Bool -> (String -> Result String Float) -> String -> ValidationResult Float
+readFigure fieldName converted parse trimmedInput =
+    case parse trimmedInput of
+        Err problem ->
+            Err (InvalidFormat { input = trimmedInput, guidance = getInvalidFormatGuidance fieldName problem })
+
+        Ok value ->
+            if InputParser.isPlainNumber trimmedInput && not converted then
+                validateDecimalPrecision value
+
+            else
+                Ok value
 
 
 {-| Validate with comprehensive edge case handling including decimal precision.
 -}
 validateWithEdgeCases : String -> ValidationRange -> Float -> ValidationResult Float
 validateWithEdgeCases fieldName range value =
-    -- First check decimal precision
-    case validateDecimalPrecision value of
-        Err error ->
-            Err error
+    -- First check decimal precision, then edge cases
+    validateDecimalPrecision value
+        |> Result.andThen (validateEdgeCases fieldName range)
 
-        Ok _ ->
-            -- Then check edge cases
-            if value < 0 then
-                Err (EdgeCaseError { issue = "Negative values are not allowed", guidance = getNegativeValueGuidance fieldName })
 
-            else if value == 0 then
-                Err (EdgeCaseError { issue = "Zero values are not practical", guidance = getZeroValueGuidance fieldName })
+{-| Sign, zero and range checks for a figure that has been read
+-}
+validateEdgeCases : String -> ValidationRange -> Float -> ValidationResult Float
+validateEdgeCases fieldName range value =
+    if value < 0 then
+        Err (EdgeCaseError { issue = "Negative values are not allowed", guidance = getNegativeValueGuidance fieldName })
 
-            else if isInfinite value || isNaN value then
-                Err (EdgeCaseError { issue = "Invalid number format", guidance = "Please enter a valid numeric value" })
+    else if value == 0 then
+        Err (EdgeCaseError { issue = "Zero values are not practical", guidance = getZeroValueGuidance fieldName })
 
-            else
-                -- Finally do standard range validation
-                validateRange fieldName range value
+    else if isInfinite value || isNaN value then
+        Err (EdgeCaseError { issue = "Invalid number format", guidance = "Please enter a valid numeric value" })
+
+    else
+        -- Finally do standard range validation
+        validateRange fieldName range value
 
 
 {-| Validate decimal precision (maximum 2 decimal places).
@@ -288,11 +739,12 @@ validateDecimalPrecision value =
             Ok value
 
 
-{-| Generate guidance for invalid format errors.
+{-| Generate guidance for invalid format errors, starting with what the input
+parser could not understand.
 -}
-getInvalidFormatGuidance : String -> String
-getInvalidFormatGuidance fieldName =
-    "Please enter a valid number for " ++ fieldName ++ ". Use decimal format (e.g., 2.5) without any letters or special characters."
+getInvalidFormatGuidance : String -> String -> String
+getInvalidFormatGuidance fieldName problem =
+    problem ++ " Please enter a valid number for " ++ fieldName ++ ", such as 2.5, 3/4 or 2*20+5, with a unit if needed (40'6\", 12 m)."
 
 
 {-| Generate guidance for negative value errors.
@@ -318,6 +770,12 @@ getNegativeValueGuidance fieldName =
         "Pond Dimension" ->
             "Pond dimensions cannot be negative. Please enter a positive value in feet."
 
+        "Side Slope" ->
+            "Side slopes cannot be negative. Enter the horizontal feet per foot of depth, or 0 for vertical walls."
+
+        "Soil Swell" ->
+            "Soil swell cannot be negative. Dug soil always takes up at least as much room as it did in the ground."
+
         _ ->
             fieldName ++ " cannot be negative. Please enter a positive value."
 
@@ -394,6 +852,15 @@ getRequiredFieldGuidance fieldName =
         "Pond Dimension" ->
             "Pond dimensions are required. Enter a value between 1.0 and 1000.0 feet. Most residential ponds are 10-100 feet in length/width."
 
+        "Soil Swell" ->
+            "Soil swell is required for custom soil. Enter the percent the soil grows when dug, such as 25 for common earth."
+
+        "Fuel Price" ->
+            "Fuel price is required. Enter the price per gallon of diesel, or 0 if fuel is supplied by the owner."
+
+        "Disposal Fee" ->
+            "Disposal fee is required. Enter the charge per loose cubic yard hauled away, or 0 if the spoil is dumped for free."
+
         _ ->
             fieldName ++ " is required and must be a positive number."
 
@@ -425,6 +892,12 @@ getValueTooLowGuidance fieldName range =
         "Pond Dimension" ->
             "Pond dimension is too small. " ++ rangeText ++ " feet. Practical excavation projects typically start at 1 foot minimum."
 
+        "Side Slope" ->
+            "Side slope is steeper than allowed. " ++ rangeText ++ " horizontal feet per foot of depth."
+
+        "Soil Swell" ->
+            "Soil swell is lower than allowed. " ++ rangeText ++ " percent."
+
         _ ->
             "Value is below the minimum of " ++ String.fromFloat range.min ++ "."
 
@@ -456,6 +929,27 @@ getValueTooHighGuidance fieldName range =
         "Pond Dimension" ->
             "Pond dimension is extremely large. " ++ rangeText ++ " feet. Projects over 1000 feet may require specialized equipment and permits."
 
+        "Side Slope" ->
+            "Side slope is flatter than allowed. " ++ rangeText ++ " horizontal feet per foot of depth. Very gentle banks are usually shaped separately as beaches."
+
+        "Soil Swell" ->
+            "Soil swell is higher than allowed. " ++ rangeText ++ " percent. Even blasted rock rarely swells more than 80%."
+
+        "Hourly Rate" ->
+            "Hourly rate is higher than allowed. " ++ rangeText ++ " dollars per hour. Check that the operator and fuel are not included in the machine rate."
+
+        "Operator Wage" ->
+            "Operator wage is higher than allowed. " ++ rangeText ++ " dollars per hour."
+
+        "Fuel Burn" ->
+            "Fuel burn is higher than allowed. " ++ rangeText ++ " gallons per hour."
+
+        "Fuel Price" ->
+            "Fuel price is higher than allowed. " ++ rangeText ++ " dollars per gallon."
+
+        "Disposal Fee" ->
+            "Disposal fee is higher than allowed. " ++ rangeText ++ " dollars per loose cubic yard."
+
         _ ->
             "Value exceeds the maximum of " ++ String.fromFloat range.max ++ "."
 
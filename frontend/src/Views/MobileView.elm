@@ -10,6 +10,7 @@ of the same shared state used by desktop and tablet views.
 -}
 
 import Components.ProjectForm exposing (FormData)
+import Components.UnitSystemToggle as UnitSystemToggle
 import Html exposing (Html, button, div, h1, input, span, text)
 import Html.Attributes exposing (class, placeholder, style, type_, value)
 import Html.Events exposing (onClick, onInput)
@@ -21,6 +22,7 @@ import Types.Messages exposing (Msg(..))
 import Types.Model exposing (Model)
 import Utils.Calculations exposing (CalculationResult)
 import Utils.Config exposing (Config)
+import Utils.Units as Units exposing (UnitSystem)
 
 
 {-| Mobile view that uses shared application state
@@ -33,8 +35,8 @@ view model =
                 [ class "min-h-screen bg-gray-100 flex flex-col"
                 , Html.Attributes.attribute "data-testid" "device-type"
                 ]
-                [ viewHeader
-                , viewResults model.calculationResult
+                [ viewHeader model.unitSystem
+                , viewResults model.unitSystem model.calculationResult
                 , viewInputSection formData model
                 , viewClearButton
                 ]
@@ -46,16 +48,18 @@ view model =
                 ]
 
 
-viewHeader : Html Msg
-viewHeader =
+viewHeader : UnitSystem -> Html Msg
+viewHeader unitSystem =
     div [ class "bg-white shadow-sm border-b border-gray-200 p-4" ]
         [ h1 [ class "text-2xl font-bold text-gray-900 text-center" ] [ text "Pond Calculator" ]
         , div [ class "text-sm text-gray-600 text-center mt-1" ] [ text "Professional Timeline Estimation Tool" ]
+        , div [ class "mt-3 flex justify-center" ]
+            [ UnitSystemToggle.view unitSystem SetUnitSystem ]
         ]
 
 
-viewResults : Maybe CalculationResult -> Html Msg
-viewResults maybeResult =
+viewResults : UnitSystem -> Maybe CalculationResult -> Html Msg
+viewResults unitSystem maybeResult =
     div [ class "bg-blue-50 mx-4 mt-4 rounded-lg border border-blue-200 p-6" ]
         [ case maybeResult of
             Just result ->
@@ -72,8 +76,8 @@ viewResults maybeResult =
                             , div [ class "text-blue-600 text-sm" ] [ text "Total Hours" ]
                             ]
                         , div [ class "text-center" ]
-                            [ div [ class "text-xl font-bold text-gray-900" ] [ text (String.fromInt (round result.excavationRate)) ]
-                            , div [ class "text-blue-600 text-sm" ] [ text "Yd³/Hour" ]
+                            [ div [ class "text-xl font-bold text-gray-900" ] [ text (String.fromInt (round (Units.toDisplay unitSystem Units.Volume result.excavationRate))) ]
+                            , div [ class "text-blue-600 text-sm" ] [ text (Units.unitSymbol unitSystem Units.Volume ++ "/Hour") ]
                             ]
                         ]
                     ]
@@ -88,11 +92,23 @@ viewResults maybeResult =
 
 viewInputSection : FormData -> Model -> Html Msg
 viewInputSection formData model =
+    let
+        units =
+            model.unitSystem
+
+        lengthInput labelText stored example low high toMsg =
+            viewMobileInputWithHelp labelText
+                (Units.unitSymbol units Units.Length)
+                (Units.displayInput units Units.Length stored)
+                (typicalPlaceholder units Units.Length example low high)
+                (toMsg << Units.fromInput units Units.Length)
+    in
     div [ class "flex-1 p-4 space-y-6 overflow-y-auto" ]
         [ viewInputGroup "Pond Dimensions"
-            [ viewMobileInputWithHelp "Pond Length" "ft" formData.pondLength "e.g., 100 (10-500 typical)" (PondFieldChanged PondLength)
-            , viewMobileInputWithHelp "Pond Width" "ft" formData.pondWidth "e.g., 50 (8-300 typical)" (PondFieldChanged PondWidth)
-            , viewMobileInputWithHelp "Pond Depth" "ft" formData.pondDepth "e.g., 10 (3-25 typical)" (PondFieldChanged PondDepth)
+            [ lengthInput "Pond Length" formData.pondLength 100 10 500 (PondFieldChanged PondLength)
+            , lengthInput "Pond Width" formData.pondWidth 50 8 300 (PondFieldChanged PondWidth)
+            , lengthInput "Pond Depth" formData.pondDepth 10 3 25 (PondFieldChanged PondDepth)
+            , viewMobileInputWithHelp "Side Slope" "H:V" formData.sideSlope "e.g., 3 for 3:1 banks, 0 for vertical" (PondFieldChanged SideSlope)
             ]
         , viewEquipmentSection model
         , viewInputGroup "Project Configuration"
@@ -104,6 +120,9 @@ viewInputSection formData model =
 viewEquipmentSection : Model -> Html Msg
 viewEquipmentSection model =
     let
+        units =
+            model.unitSystem
+
         -- Mobile shows only the first excavator and truck (simplified fleet view)
         firstExcavator =
             List.head model.excavators
@@ -115,13 +134,13 @@ viewEquipmentSection model =
         ( Just excavator, Just truck ) ->
             viewInputGroup "Equipment Specifications"
                 [ viewMobileInputWithHelp "Excavator Bucket Capacity"
-                    "yd³"
-                    (String.fromFloat excavator.bucketCapacity)
-                    "e.g., 2.5 (0.5-15 typical)"
+                    (Units.unitSymbol units Units.Volume)
+                    (Units.displayValue units Units.Volume excavator.bucketCapacity)
+                    (typicalPlaceholder units Units.Volume 2.5 0.5 15)
                     (\val ->
                         case String.toFloat val of
                             Just f ->
-                                UpdateExcavator excavator.id (Types.Messages.UpdateExcavatorBucketCapacity f)
+                                UpdateExcavator excavator.id (Types.Messages.UpdateExcavatorBucketCapacity (Units.fromDisplay units Units.Volume f))
 
                             Nothing ->
                                 NoOp
@@ -139,13 +158,13 @@ viewEquipmentSection model =
                                 NoOp
                     )
                 , viewMobileInputWithHelp "Truck Capacity"
-                    "yd³"
-                    (String.fromFloat truck.capacity)
-                    "e.g., 12 (5-50 typical)"
+                    (Units.unitSymbol units Units.Volume)
+                    (Units.displayValue units Units.Volume truck.capacity)
+                    (typicalPlaceholder units Units.Volume 12 5 50)
                     (\val ->
                         case String.toFloat val of
                             Just f ->
-                                UpdateTruck truck.id (Types.Messages.UpdateTruckCapacity f)
+                                UpdateTruck truck.id (Types.Messages.UpdateTruckCapacity (Units.fromDisplay units Units.Volume f))
 
                             Nothing ->
                                 NoOp
@@ -171,6 +190,20 @@ viewEquipmentSection model =
                 ]
 
 
+{-| Placeholder with an example value and the typical range, in the chosen
+units
+-}
+typicalPlaceholder : UnitSystem -> Units.Quantity -> Float -> Float -> Float -> String
+typicalPlaceholder units quantity example low high =
+    "e.g., "
+        ++ Units.describe units quantity example
+        ++ " ("
+        ++ Units.describe units quantity low
+        ++ "-"
+        ++ Units.describe units quantity high
+        ++ " typical)"
+
+
 viewInputGroup : String -> List (Html Msg) -> Html Msg
 viewInputGroup title inputs =
     div [ class "bg-white shadow-md rounded-lg p-6 space-y-4" ]
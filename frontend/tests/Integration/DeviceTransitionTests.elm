@@ -13,6 +13,7 @@ import Test exposing (Test, describe, test)
 import Types.DeviceType exposing (DeviceType(..))
 import Types.Messages exposing (Msg(..))
 import Types.Model exposing (Model)
+import Types.Pond exposing (PondShape(..))
 import Types.Validation exposing (ValidationError(..))
 import Utils.Calculations as Calculations
 import Utils.Config as Config
@@ -295,6 +296,22 @@ validationErrorPreservationTests =
                         , roundTripTime = { min = 5.0, max = 60.0 }
                         , workHours = { min = 1.0, max = 16.0 }
                         , pondDimensions = { min = 1.0, max = 1000.0 }
+                        , sideSlope = { min = 0.0, max = 10.0 }
+                        , swellPercent = { min = 0.0, max = 100.0 }
+                        , efficiency = { min = 0.3, max = 1.0 }
+                        , fillFactor = { min = 0.5, max = 1.3 }
+                        , hourlyRate = { min = 0.0, max = 1000.0 }
+                        , operatorWage = { min = 0.0, max = 200.0 }
+                        , fuelBurn = { min = 0.0, max = 50.0 }
+                        , fuelPrice = { min = 0.0, max = 20.0 }
+                        , disposalFee = { min = 0.0, max = 200.0 }
+                        , haulDistance = { min = 0.05, max = 50.0 }
+                        , haulSpeed = { min = 3.0, max = 65.0 }
+                        , haulDelay = { min = 0.0, max = 30.0 }
+                        , phaseProductivity = { min = 0.1, max = 1.5 }
+                        , exportPercent = { min = 0.0, max = 100.0 }
+                        , payload = { min = 1.0, max = 60.0 }
+                        , soilDensity = { min = 1000.0, max = 5000.0 }
                         }
 
                     invalidInputs =
@@ -306,6 +323,16 @@ validationErrorPreservationTests =
                         , pondLength = 40.0 -- Valid
                         , pondWidth = 25.0 -- Valid
                         , pondDepth = 5.0 -- Valid
+                        , sideSlopes = { north = 0.0, south = 0.0, east = 0.0, west = 0.0 }
+                        , pondShape = Rectangle
+                        , cornerRadius = 0
+                        , smallLobeDiameter = 0
+                        , swellPercent = 0.0
+                        , exportPercent = 100.0
+                        , soilDensity = 3000.0
+                        , fuelPrice = 4.0
+                        , disposalFee = 8.0
+                        , workHoursRange = Nothing
                         }
 
                     -- Validation should fail consistently across device types
@@ -7,18 +7,15 @@ module Integration.FleetOperationsTests exposing (suite)
 -}
 
 import Components.ProjectForm as ProjectForm
-import Dict
 import Expect
 import Test exposing (Test, describe, test)
-import Types.DeviceType exposing (DeviceType(..))
-import Types.Equipment exposing (EquipmentId, Excavator, Truck)
+import TestModel exposing (testModel)
+import Types.Equipment exposing (EquipmentId, Excavator, OperatorSkill(..), Truck)
 import Types.Messages exposing (ExcavatorUpdate(..), Msg(..), TruckUpdate(..))
 import Types.Model exposing (Model)
-import Types.Onboarding
+import Types.Pond exposing (PondShape(..))
+import Types.Spoil exposing (SpoilPlacement(..))
 import Utils.Calculations exposing (calculateExcavatorFleetProductivity, calculateTruckFleetProductivity, performCalculation)
-import Utils.Config
-import Utils.Debounce
-import Utils.Performance
 
 
 suite : Test
@@ -30,11 +27,11 @@ suite =
                     let
                         initialModel =
                             createIntegrationModel
-                                [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Initial", isActive = True } ]
-                                [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Truck", isActive = True } ]
+                                [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Initial", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing } ]
+                                [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Truck", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing } ]
 
                         newExcavator =
-                            { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.8, name = "Added", isActive = True }
+                            { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.8, name = "Added", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
 
                         updatedModel =
                             { initialModel
@@ -56,10 +53,10 @@ suite =
                     let
                         initialModel =
                             createIntegrationModel
-                                [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Keep", isActive = True }
-                                , { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.8, name = "Remove", isActive = True }
+                                [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Keep", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+                                , { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.8, name = "Remove", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
                                 ]
-                                [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Truck", isActive = True } ]
+                                [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Truck", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing } ]
 
                         -- Remove one excavator (should work since we have 2)
                         updatedModel =
@@ -89,11 +86,11 @@ suite =
                     let
                         initialModel =
                             createIntegrationModel
-                                [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Excavator", isActive = True } ]
-                                [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Initial Truck", isActive = True } ]
+                                [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Excavator", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing } ]
+                                [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Initial Truck", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing } ]
 
                         newTruck =
-                            { id = "truck2", capacity = 15.0, roundTripTime = 12.0, name = "Added Truck", isActive = True }
+                            { id = "truck2", capacity = 15.0, roundTripTime = 12.0, name = "Added Truck", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
 
                         updatedModel =
                             { initialModel
@@ -117,13 +114,13 @@ suite =
                 \_ ->
                     let
                         initialExcavators =
-                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Update Me", isActive = True }
-                            , { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.8, name = "Stay Same", isActive = True }
+                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Update Me", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+                            , { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.8, name = "Stay Same", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
                             ]
 
                         initialModel =
                             createIntegrationModel initialExcavators
-                                [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Truck", isActive = True } ]
+                                [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Truck", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing } ]
 
                         updatedModel =
                             { initialModel
@@ -158,14 +155,14 @@ suite =
                 \_ ->
                     let
                         mixedExcavators =
-                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Active 1", isActive = True }
-                            , { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.8, name = "Inactive", isActive = False }
-                            , { id = "exc3", bucketCapacity = 2.2, cycleTime = 2.1, name = "Active 2", isActive = True }
+                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Active 1", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+                            , { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.8, name = "Inactive", isActive = False, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+                            , { id = "exc3", bucketCapacity = 2.2, cycleTime = 2.1, name = "Active 2", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
                             ]
 
                         mixedTrucks =
-                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Active", isActive = True }
-                            , { id = "truck2", capacity = 18.0, roundTripTime = 12.0, name = "Inactive", isActive = False }
+                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Active", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
+                            , { id = "truck2", capacity = 18.0, roundTripTime = 12.0, name = "Inactive", isActive = False, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
                             ]
 
                         model =
@@ -191,8 +188,8 @@ suite =
                     let
                         smallFleet =
                             createIntegrationModel
-                                [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Solo", isActive = True } ]
-                                [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Solo", isActive = True } ]
+                                [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Solo", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing } ]
+                                [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Solo", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing } ]
 
                         largeFleet =
                             createIntegrationModel
@@ -204,6 +201,15 @@ suite =
                                             , cycleTime = 2.0
                                             , name = "Excavator " ++ String.fromInt i
                                             , isActive = True
+                                            , quantity = 1
+                                            , efficiency = 0.85
+                                            , fillFactor = 1.0
+                                            , operatorSkill = Average
+                                            , hourlyRate = 95.0
+                                            , operatorWage = 35.0
+                                            , fuelBurn = 4.5
+                                            , cycleTimeRange = Nothing
+                                            , rosterUnit = Nothing
                                             }
                                         )
                                 )
@@ -215,6 +221,17 @@ suite =
                                             , roundTripTime = 15.0
                                             , name = "Truck " ++ String.fromInt i
                                             , isActive = True
+                                            , quantity = 1
+                                            , efficiency = 0.8
+                                            , fillFactor = 1.0
+                                            , operatorSkill = Average
+                                            , hourlyRate = 65.0
+                                            , operatorWage = 28.0
+                                            , fuelBurn = 5.0
+                                            , roundTripTimeRange = Nothing
+                                            , haulCycle = Nothing
+                                            , maxPayload = 14.0
+                                            , rosterUnit = Nothing
                                             }
                                         )
                                 )
@@ -241,7 +258,7 @@ suite =
                     let
                         excavationBottleneckFleet =
                             createIntegrationModel
-                                [ { id = "exc1", bucketCapacity = 1.0, cycleTime = 4.0, name = "Slow Excavator", isActive = True } ]
+                                [ { id = "exc1", bucketCapacity = 1.0, cycleTime = 4.0, name = "Slow Excavator", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing } ]
                                 -- Low productivity
                                 (List.range 1 3
                                     |> List.map
@@ -251,6 +268,17 @@ suite =
                                             , roundTripTime = 8.0
                                             , name = "Fast Truck " ++ String.fromInt i
                                             , isActive = True
+                                            , quantity = 1
+                                            , efficiency = 0.8
+                                            , fillFactor = 1.0
+                                            , operatorSkill = Average
+                                            , hourlyRate = 65.0
+                                            , operatorWage = 28.0
+                                            , fuelBurn = 5.0
+                                            , roundTripTimeRange = Nothing
+                                            , haulCycle = Nothing
+                                            , maxPayload = 14.0
+                                            , rosterUnit = Nothing
                                             }
                                         )
                                 )
@@ -265,10 +293,19 @@ suite =
                                             , cycleTime = 1.0
                                             , name = "Fast Excavator " ++ String.fromInt i
                                             , isActive = True
+                                            , quantity = 1
+                                            , efficiency = 0.85
+                                            , fillFactor = 1.0
+                                            , operatorSkill = Average
+                                            , hourlyRate = 95.0
+                                            , operatorWage = 35.0
+                                            , fuelBurn = 4.5
+                                            , cycleTimeRange = Nothing
+                                            , rosterUnit = Nothing
                                             }
                                         )
                                 )
-                                [ { id = "truck1", capacity = 6.0, roundTripTime = 30.0, name = "Slow Truck", isActive = True } ]
+                                [ { id = "truck1", capacity = 6.0, roundTripTime = 30.0, name = "Slow Truck", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing } ]
 
                         -- Low productivity
                         excavationResult =
@@ -294,12 +331,12 @@ suite =
                     let
                         initialModel =
                             createIntegrationModelWithCalculation
-                                [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Excavator", isActive = True } ]
-                                [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Truck", isActive = True } ]
+                                [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Excavator", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing } ]
+                                [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Truck", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing } ]
 
                         -- Add equipment and trigger recalculation
                         newExcavator =
-                            { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.8, name = "Added", isActive = True }
+                            { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.8, name = "Added", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
 
                         updatedModel =
                             { initialModel
@@ -328,13 +365,13 @@ suite =
                     let
                         validModel =
                             createIntegrationModel
-                                [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Valid", isActive = True } ]
-                                [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Valid", isActive = True } ]
+                                [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Valid", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing } ]
+                                [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Valid", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing } ]
 
                         invalidModel =
                             createIntegrationModel
-                                [ { id = "exc1", bucketCapacity = -1.0, cycleTime = -2.0, name = "Invalid", isActive = True } ]
-                                [ { id = "truck1", capacity = -5.0, roundTripTime = -10.0, name = "Invalid", isActive = True } ]
+                                [ { id = "exc1", bucketCapacity = -1.0, cycleTime = -2.0, name = "Invalid", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing } ]
+                                [ { id = "truck1", capacity = -5.0, roundTripTime = -10.0, name = "Invalid", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing } ]
 
                         validResult =
                             performCalculation validModel.excavators validModel.trucks 5000.0 8.0
@@ -372,6 +409,15 @@ suite =
                                             , cycleTime = 1.8 + toFloat (modBy 2 i) * 0.4
                                             , name = "Excavator " ++ String.fromInt i
                                             , isActive = True
+                                            , quantity = 1
+                                            , efficiency = 0.85
+                                            , fillFactor = 1.0
+                                            , operatorSkill = Average
+                                            , hourlyRate = 95.0
+                                            , operatorWage = 35.0
+                                            , fuelBurn = 4.5
+                                            , cycleTimeRange = Nothing
+                                            , rosterUnit = Nothing
                                             }
                                         )
                                 )
@@ -383,6 +429,17 @@ suite =
                                             , roundTripTime = 12.0 + toFloat (modBy 3 i) * 5.0
                                             , name = "Truck " ++ String.fromInt i
                                             , isActive = True
+                                            , quantity = 1
+                                            , efficiency = 0.8
+                                            , fillFactor = 1.0
+                                            , operatorSkill = Average
+                                            , hourlyRate = 65.0
+                                            , operatorWage = 28.0
+                                            , fuelBurn = 5.0
+                                            , roundTripTimeRange = Nothing
+                                            , haulCycle = Nothing
+                                            , maxPayload = 14.0
+                                            , rosterUnit = Nothing
                                             }
                                         )
                                 )
@@ -407,11 +464,11 @@ suite =
                 \_ ->
                     let
                         fleet1 =
-                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Solo", isActive = True } ]
+                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Solo", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing } ]
 
                         fleet2 =
-                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "One", isActive = True }
-                            , { id = "exc2", bucketCapacity = 2.5, cycleTime = 2.0, name = "Two", isActive = True }
+                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "One", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+                            , { id = "exc2", bucketCapacity = 2.5, cycleTime = 2.0, name = "Two", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
                             ]
 
                         fleet5 =
@@ -423,6 +480,15 @@ suite =
                                         , cycleTime = 2.0
                                         , name = "Excavator " ++ String.fromInt i
                                         , isActive = True
+                                        , quantity = 1
+                                        , efficiency = 0.85
+                                        , fillFactor = 1.0
+                                        , operatorSkill = Average
+                                        , hourlyRate = 95.0
+                                        , operatorWage = 35.0
+                                        , fuelBurn = 4.5
+                                        , cycleTimeRange = Nothing
+                                        , rosterUnit = Nothing
                                         }
                                     )
 
@@ -458,35 +524,36 @@ createIntegrationModel excavators trucks =
             , pondWidth = "25.0"
             , pondDepth = "5.0"
             , errors = []
+            , sideSlope = "0"
+            , perSideSlopes = False
+            , northSlope = "0"
+            , southSlope = "0"
+            , eastSlope = "0"
+            , westSlope = "0"
+            , pondShape = Rectangle
+            , cornerRadius = "6.25"
+            , smallLobeDiameter = "20"
+            , soilType = "topsoil"
+            , customSwellPercent = "25"
+            , customDensity = "2300"
+            , spoilPlacement = ExportAll
+            , exportPercent = "50"
+            , fuelPrice = "4"
+            , disposalFee = "8"
+            , workHoursMin = "6"
+            , workHoursMax = "10"
+            , startDate = ""
+            , workDays = [ "mon", "tue", "wed", "thu", "fri" ]
+            , holidays = []
             }
     in
-    { message = "Integration Test Model"
-    , config = Just Utils.Config.fallbackConfig
-    , formData = Just formData
-    , calculationResult = Nothing
-    , lastValidResult = Nothing
-    , hasValidationErrors = False
-    , deviceType = Desktop
-    , calculationInProgress = False
-    , performanceMetrics = Utils.Performance.initMetrics
-    , debounceState = Utils.Debounce.initDebounce
-    , excavators = excavators
-    , trucks = trucks
-    , nextExcavatorId = List.length excavators + 1
-    , nextTruckId = List.length trucks + 1
-    , helpTooltipState = Nothing
-    , showHelpPanel = False
-    , currentContextualHelp = Nothing
-    , realTimeValidation = False
-    , fieldValidationErrors = Dict.empty
-    , validationDebounce = Dict.empty
-
-    -- Onboarding state
-    , onboardingState = Types.Onboarding.Completed
-    , showWelcomeOverlay = False
-    , currentTourStep = Nothing
-    , isFirstTimeUser = False
-    , exampleScenarioLoaded = False
+    { testModel
+        | message = "Integration Test Model"
+        , formData = Just formData
+        , excavators = excavators
+        , trucks = trucks
+        , nextExcavatorId = List.length excavators + 1
+        , nextTruckId = List.length trucks + 1
     }
 
 
@@ -505,6 +572,18 @@ createIntegrationModelWithCalculation excavators trucks =
             , confidence = Utils.Calculations.Medium
             , assumptions = [ "Test calculation" ]
             , warnings = []
+            , pondGeometry = Nothing
+            , bankVolume = 0.0
+            , looseVolume = 0.0
+            , exportedVolume = 0.0
+            , tonsHauled = 0
+            , truckLoads = 0
+            , cost = Nothing
+            , timelineRange = Nothing
+            , schedule = Nothing
+            , haulCycles = []
+            , phases = []
+            , fleet = { excavators = [], trucks = [] }
             }
     in
     { baseModel
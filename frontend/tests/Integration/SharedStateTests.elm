@@ -10,18 +10,16 @@ shared state as desktop/tablet views, only with different presentation.
 -}
 
 import Components.ProjectForm as ProjectForm
-import Dict
 import Expect
 import Test exposing (Test, describe, test)
+import TestModel exposing (testModel)
 import Types.DeviceType exposing (DeviceType(..))
 import Types.Fields exposing (ExcavatorField(..), PondField(..), ProjectField(..), TruckField(..))
 import Types.Messages exposing (Msg(..))
 import Types.Model exposing (Model)
-import Types.Onboarding
+import Types.Pond exposing (PondShape(..))
+import Types.Spoil exposing (SpoilPlacement(..))
 import Utils.Calculations exposing (Bottleneck(..), CalculationResult, ConfidenceLevel(..))
-import Utils.Config as Config
-import Utils.Debounce
-import Utils.Performance
 
 
 suite : Test
@@ -192,33 +190,9 @@ deviceSwitchingTests =
 
 createTestModel : DeviceType -> Model
 createTestModel deviceType =
-    { message = "Test Model"
-    , config = Just Config.fallbackConfig
-    , formData = Just createTestFormData
-    , calculationResult = Nothing
-    , lastValidResult = Nothing
-    , hasValidationErrors = False
-    , deviceType = deviceType
-    , calculationInProgress = False
-    , performanceMetrics = Utils.Performance.initMetrics
-    , debounceState = Utils.Debounce.initDebounce
-    , excavators = []
-    , trucks = []
-    , nextExcavatorId = 1
-    , nextTruckId = 1
-    , helpTooltipState = Nothing
-    , showHelpPanel = False
-    , currentContextualHelp = Nothing
-    , realTimeValidation = False
-    , fieldValidationErrors = Dict.empty
-    , validationDebounce = Dict.empty
-
-    -- Onboarding state
-    , onboardingState = Types.Onboarding.Completed
-    , showWelcomeOverlay = False
-    , currentTourStep = Nothing
-    , isFirstTimeUser = False
-    , exampleScenarioLoaded = False
+    { testModel
+        | formData = Just createTestFormData
+        , deviceType = deviceType
     }
 
 
@@ -247,6 +221,27 @@ createTestFormData =
     , pondWidth = "40.0"
     , pondDepth = "7.0"
     , errors = []
+    , sideSlope = "0"
+    , perSideSlopes = False
+    , northSlope = "0"
+    , southSlope = "0"
+    , eastSlope = "0"
+    , westSlope = "0"
+    , pondShape = Rectangle
+    , cornerRadius = "6.25"
+    , smallLobeDiameter = "20"
+    , soilType = "topsoil"
+    , customSwellPercent = "25"
+    , customDensity = "2300"
+    , spoilPlacement = ExportAll
+    , exportPercent = "50"
+    , fuelPrice = "4"
+    , disposalFee = "8"
+    , workHoursMin = "6"
+    , workHoursMax = "10"
+    , startDate = ""
+    , workDays = [ "mon", "tue", "wed", "thu", "fri" ]
+    , holidays = []
     }
 
 
@@ -260,6 +255,18 @@ createTestCalculationResult =
     , confidence = Utils.Calculations.High
     , assumptions = []
     , warnings = []
+    , pondGeometry = Nothing
+    , bankVolume = 0.0
+    , looseVolume = 0.0
+    , exportedVolume = 0.0
+    , tonsHauled = 0
+    , truckLoads = 0
+    , cost = Nothing
+    , timelineRange = Nothing
+    , schedule = Nothing
+    , haulCycles = []
+    , phases = []
+    , fleet = { excavators = [], trucks = [] }
     }
 
 
@@ -15,6 +15,8 @@ import Html exposing (Html)
 import Html.Attributes exposing (class)
 import Test exposing (Test, describe, test)
 import Types.DeviceType exposing (DeviceType(..))
+import Types.Pond exposing (PondShape(..))
+import Types.Spoil exposing (SpoilPlacement(..))
 import Utils.Config as Config
 import Views.MobileView as MobileView
 
@@ -199,4 +201,25 @@ createTestFormData =
     , pondWidth = "25.0"
     , pondDepth = "5.0"
     , errors = []
+    , sideSlope = "0"
+    , perSideSlopes = False
+    , northSlope = "0"
+    , southSlope = "0"
+    , eastSlope = "0"
+    , westSlope = "0"
+    , pondShape = Rectangle
+    , cornerRadius = "6.25"
+    , smallLobeDiameter = "20"
+    , soilType = "topsoil"
+    , customSwellPercent = "25"
+    , customDensity = "2300"
+    , spoilPlacement = ExportAll
+    , exportPercent = "50"
+    , fuelPrice = "4"
+    , disposalFee = "8"
+    , workHoursMin = "6"
+    , workHoursMax = "10"
+    , startDate = ""
+    , workDays = [ "mon", "tue", "wed", "thu", "fri" ]
+    , holidays = []
     }
@@ -0,0 +1,72 @@
+module TestModel exposing (testModel)
+
+{-| Application state shared by the tests that build a whole Model
+
+Each component starts from its own initial state, so tests only spell out
+the fields they care about with a record update.
+
+@docs testModel
+
+-}
+
+import Components.FleetImportPanel as FleetImportPanel
+import Components.FleetOptimizerPanel as FleetOptimizerPanel
+import Components.FleetRoster as FleetRoster
+import Components.ModelPicker as ModelPicker
+import Components.ProjectLibrary as ProjectLibrary
+import Components.ShareLink as ShareLink
+import Dict
+import Types.DeviceType exposing (DeviceType(..))
+import Types.Model exposing (Model)
+import Types.Onboarding exposing (OnboardingState(..))
+import Types.Project exposing (SessionRecovery(..))
+import Utils.Config
+import Utils.Debounce
+import Utils.Performance
+import Utils.Units exposing (UnitSystem(..))
+
+
+{-| A desktop session past onboarding and any autosaved session, with the
+fallback configuration, no form data, no fleet and nothing calculated yet
+-}
+testModel : Model
+testModel =
+    { message = "Test Model"
+    , config = Just Utils.Config.fallbackConfig
+    , formData = Nothing
+    , calculationResult = Nothing
+    , lastValidResult = Nothing
+    , hasValidationErrors = False
+    , useSimulation = False
+    , simulationResult = Nothing
+    , unitSystem = Imperial
+    , deviceType = Desktop
+    , calculationInProgress = False
+    , performanceMetrics = Utils.Performance.initMetrics
+    , debounceState = Utils.Debounce.initDebounce
+    , excavators = []
+    , trucks = []
+    , nextExcavatorId = 1
+    , nextTruckId = 1
+    , phases = []
+    , nextPhaseId = 1
+    , fleetOptimizer = FleetOptimizerPanel.initState
+    , fleetImport = FleetImportPanel.initState
+    , modelPicker = ModelPicker.initState
+    , fleetRoster = FleetRoster.initState
+    , projectLibrary = ProjectLibrary.initState
+    , sessionRecovery = SessionSettled
+    , shareLink = ShareLink.initState
+    , helpTooltipState = Nothing
+    , showHelpPanel = False
+    , currentContextualHelp = Nothing
+    , realTimeValidation = False
+    , fieldValidationErrors = Dict.empty
+    , validationDebounce = Dict.empty
+    , numberDrafts = Dict.empty
+    , onboardingState = Completed
+    , showWelcomeOverlay = False
+    , currentTourStep = Nothing
+    , isFirstTimeUser = False
+    , exampleScenarioLoaded = False
+    }
@@ -2,6 +2,9 @@ module Unit.CalculationTests exposing (..)
 
 import Expect
 import Test exposing (..)
+import Types.Equipment exposing (Excavator, OperatorSkill(..), Truck)
+import Types.Phase exposing (Phase, PhaseKind(..))
+import Types.Pond exposing (PondOutline, PondShape(..))
 import Utils.Calculations as Calculations
 
 
@@ -354,4 +357,487 @@ suite =
                         Err _ ->
                             Expect.fail "Should handle minimum work hours"
             ]
+        , describe "Soil Swell"
+            [ test "should_grow_bank_volume_by_swell_percent" <|
+                \_ ->
+                    Calculations.calculateLooseVolume 25.0 100.0
+                        |> Expect.within (Expect.Absolute 0.01) 125.0
+            , test "should_match_performCalculation_when_soil_does_not_swell" <|
+                \_ ->
+                    Calculations.performCalculationWithSwell 0.0 [ swellTestExcavator ] [ swellTestTruck ] 100.0 8.0
+                        |> Expect.equal (Calculations.performCalculation [ swellTestExcavator ] [ swellTestTruck ] 100.0 8.0)
+            , test "should_haul_loose_volume_and_count_truck_loads" <|
+                \_ ->
+                    case Calculations.performCalculationWithSwell 25.0 [ swellTestExcavator ] [ swellTestTruck ] 100.0 8.0 of
+                        Ok result ->
+                            -- 38.4 loose cy/hr of hauling is 30.72 bank cy/hr
+                            Expect.all
+                                [ \r -> Expect.within (Expect.Absolute 0.01) 100.0 r.bankVolume
+                                , \r -> Expect.within (Expect.Absolute 0.01) 125.0 r.looseVolume
+                                , \r -> Expect.equal 11 r.truckLoads
+                                , \r -> Expect.within (Expect.Absolute 0.01) 30.72 r.haulingRate
+                                , \r -> Expect.within (Expect.Absolute 0.01) (100.0 / 30.72) r.totalHours
+                                ]
+                                result
+
+                        Err _ ->
+                            Expect.fail "Expected calculation to succeed"
+            , test "should_reject_negative_swell" <|
+                \_ ->
+                    case Calculations.performCalculationWithSwell -5.0 [ swellTestExcavator ] [ swellTestTruck ] 100.0 8.0 of
+                        Err (Calculations.InvalidConfiguration _) ->
+                            Expect.pass
+
+                        _ ->
+                            Expect.fail "Expected InvalidConfiguration error"
+            ]
+        , describe "Spoil Placement"
+            [ test "should_dig_without_trucks_when_spoil_stays_on_site" <|
+                \_ ->
+                    -- 637.5 bank yards at 63.75 yards an hour
+                    case Calculations.performCalculationWithSpoil 0.0 0.0 [ swellTestExcavator ] [] 637.5 8.0 of
+                        Ok result ->
+                            Expect.all
+                                [ \r -> Expect.within (Expect.Absolute 0.001) 10.0 r.totalHours
+                                , \r -> Expect.equal 2 r.timelineInDays
+                                , \r -> Expect.equal 0 r.truckLoads
+                                , \r -> Expect.within (Expect.Absolute 0.001) 0.0 r.exportedVolume
+                                , \r -> Expect.equal Calculations.ExcavationBottleneck r.bottleneck
+                                ]
+                                result
+
+                        Err _ ->
+                            Expect.fail "Should calculate an excavator-only job"
+            , test "should_haul_only_exported_share" <|
+                \_ ->
+                    -- Half of 1000 bank yards hauled at 38.4 / 1.25 bank yards an hour, half dug at 63.75
+                    case Calculations.performCalculationWithSpoil 25.0 50.0 [ swellTestExcavator ] [ swellTestTruck ] 1000.0 8.0 of
+                        Ok result ->
+                            Expect.all
+                                [ \r -> Expect.within (Expect.Absolute 0.001) (500 / 30.72 + 500 / 63.75) r.totalHours
+                                , \r -> Expect.within (Expect.Absolute 0.001) 1250.0 r.looseVolume
+                                , \r -> Expect.within (Expect.Absolute 0.001) 625.0 r.exportedVolume
+                                ]
+                                result
+
+                        Err _ ->
+                            Expect.fail "Should calculate a split job"
+            , test "should_need_trucks_for_exported_share" <|
+                \_ ->
+                    case Calculations.performCalculationWithSpoil 0.0 50.0 [ swellTestExcavator ] [ { swellTestTruck | isActive = False } ] 1000.0 8.0 of
+                        Err Calculations.InsufficientEquipment ->
+                            Expect.pass
+
+                        _ ->
+                            Expect.fail "Should need a truck to export spoil"
+            , test "should_range_excavator_only_timeline" <|
+                \_ ->
+                    Calculations.calculatePhasedTimelineDistribution Calculations.defaultMonteCarloSettings 0 0.0 0.0 [ swellTestExcavator ] [] 637.5 8.0 Nothing
+                        |> Maybe.map .p50
+                        |> Expect.equal (Just 2)
+            , test "should_work_phase_without_trucks_when_spoil_stays_on_site" <|
+                \_ ->
+                    Calculations.calculatePhase 0.0 0.0 [ swellTestExcavator ] [ swellTestTruck ] 8.0 Nothing testPhase
+                        |> Result.map .truckCount
+                        |> Expect.equal (Ok 0)
+            ]
+        , describe "Truck Payloads"
+            [ test "should_fill_bed_when_soil_is_light" <|
+                \_ ->
+                    -- Topsoil at 25% swell weighs 1840 lb a loose yard; 14 tons is 15.2 yards
+                    Calculations.calculateTruckLoad 25.0 2300.0 swellTestTruck
+                        |> Expect.within (Expect.Absolute 0.001) 12.0
+            , test "should_limit_load_by_payload_when_soil_is_heavy" <|
+                \_ ->
+                    Calculations.calculateTruckLoad 0.0 3400.0 swellTestTruck
+                        |> Expect.within (Expect.Absolute 0.001) (28000.0 / 3400.0)
+            , test "should_lower_fill_factor_to_payload" <|
+                \_ ->
+                    Calculations.resolvePayloads 0.0 3400.0 [ swellTestTruck ]
+                        |> List.map .fillFactor
+                        |> List.head
+                        |> Maybe.map (\fill -> fill * 12.0)
+                        |> Maybe.withDefault 0
+                        |> Expect.within (Expect.Absolute 0.001) (28000.0 / 3400.0)
+            , test "should_report_tons_and_flag_overweight_truck" <|
+                \_ ->
+                    case Calculations.performCalculationWithSpoil 0.0 100.0 [ swellTestExcavator ] (Calculations.resolvePayloads 0.0 3400.0 [ swellTestTruck ]) 100.0 8.0 of
+                        Ok result ->
+                            Expect.all
+                                [ \r -> Expect.within (Expect.Absolute 0.001) 170.0 r.tonsHauled
+                                , \r -> Expect.equal 13 r.truckLoads
+                                , \r -> Expect.equal True (List.any (String.startsWith "Test Truck: a full bed weighs 20.4 tons") r.warnings)
+                                ]
+                                (Calculations.withPayloads 0.0 3400.0 [ swellTestTruck ] result)
+
+                        Err _ ->
+                            Expect.fail "Should calculate a payload-limited job"
+            , test "should_not_flag_truck_within_payload" <|
+                \_ ->
+                    case Calculations.performCalculationWithSpoil 25.0 100.0 [ swellTestExcavator ] [ swellTestTruck ] 100.0 8.0 of
+                        Ok result ->
+                            Calculations.withPayloads 25.0 2300.0 [ swellTestTruck ] result
+                                |> .warnings
+                                |> Expect.equal result.warnings
+
+                        Err _ ->
+                            Expect.fail "Should calculate a light-soil job"
+            , test "should_weigh_spoil_exported_by_other_phases" <|
+                \_ ->
+                    -- 100 yd³ from the pond and 200 yd³ from clearing at 3400 lb/yd³
+                    case ( Calculations.performCalculationWithSpoil 0.0 100.0 [ swellTestExcavator ] [ swellTestTruck ] 100.0 8.0, Calculations.calculatePhase 0.0 100.0 [ swellTestExcavator ] [ swellTestTruck ] 8.0 Nothing testPhase ) of
+                        ( Ok bulk, Ok phase ) ->
+                            Calculations.withPhases 8.0 [ swellTestExcavator ] [ swellTestTruck ] [ phase ] bulk
+                                |> Calculations.withPayloads 0.0 3400.0 [ swellTestTruck ]
+                                |> .tonsHauled
+                                |> Expect.within (Expect.Absolute 0.001) 510.0
+
+                        _ ->
+                            Expect.fail "Should calculate the pond and the phase"
+            ]
+        , describe "Machine Productivity Factors"
+            [ test "should_match_default_rates_for_default_factors" <|
+                \_ ->
+                    Expect.all
+                        [ \_ -> Expect.within (Expect.Absolute 0.01) (Calculations.calculateExcavatorRate 2.5 2.0) (Calculations.calculateMachineExcavatorRate swellTestExcavator)
+                        , \_ -> Expect.within (Expect.Absolute 0.01) (Calculations.calculateTruckRate 12.0 15.0) (Calculations.calculateMachineTruckRate swellTestTruck)
+                        ]
+                        ()
+            , test "should_scale_excavator_rate_by_efficiency_and_fill_factor" <|
+                \_ ->
+                    -- 30 cycles/hr x 2.5 cy x 0.8 fill x 0.75 efficiency
+                    Calculations.calculateMachineExcavatorRate { swellTestExcavator | efficiency = 0.75, fillFactor = 0.8 }
+                        |> Expect.within (Expect.Absolute 0.01) 45.0
+            , test "should_scale_rates_by_operator_skill" <|
+                \_ ->
+                    Expect.all
+                        [ \_ -> Expect.within (Expect.Absolute 0.01) (63.75 * 1.1) (Calculations.calculateMachineExcavatorRate { swellTestExcavator | operatorSkill = Expert })
+                        , \_ -> Expect.within (Expect.Absolute 0.01) (38.4 * 0.85) (Calculations.calculateMachineTruckRate { swellTestTruck | operatorSkill = Novice })
+                        ]
+                        ()
+            , test "should_list_factors_used_for_each_active_machine" <|
+                \_ ->
+                    case Calculations.performCalculation [ { swellTestExcavator | operatorSkill = Expert } ] [ swellTestTruck, { swellTestTruck | id = "truck2", name = "Parked Truck", isActive = False } ] 100.0 8.0 of
+                        Ok result ->
+                            Expect.all
+                                [ \r -> Expect.equal True (List.member "Test Excavator: 85% efficiency, 100% fill, expert operator" r.assumptions)
+                                , \r -> Expect.equal True (List.member "Test Truck: 80% efficiency, 100% fill, average operator" r.assumptions)
+                                , \r -> Expect.equal False (List.any (String.startsWith "Parked Truck") r.assumptions)
+                                ]
+                                result
+
+                        Err _ ->
+                            Expect.fail "Expected calculation to succeed"
+            ]
+        , describe "calculateTimelineDistribution"
+            [ test "should_match_analytic_timeline_when_times_are_fixed" <|
+                \_ ->
+                    let
+                        analyticDays =
+                            Calculations.performCalculation [ swellTestExcavator ] [ swellTestTruck ] 1000.0 8.0
+                                |> Result.map .timelineInDays
+                                |> Result.toMaybe
+
+                        distribution =
+                            Calculations.calculateTimelineDistribution Calculations.defaultMonteCarloSettings 0.0 [ swellTestExcavator ] [ swellTestTruck ] 1000.0 8.0 Nothing
+                    in
+                    Expect.all
+                        [ \d -> Expect.equal analyticDays (Maybe.map .p10 d)
+                        , \d -> Expect.equal analyticDays (Maybe.map .p90 d)
+                        , \d -> Expect.equal 1 (Maybe.withDefault 0 (Maybe.map (.histogram >> List.length) d))
+                        ]
+                        distribution
+            , test "should_spread_timeline_across_ranges" <|
+                \_ ->
+                    case Calculations.calculateTimelineDistribution Calculations.defaultMonteCarloSettings 25.0 [ rangedExcavator ] [ rangedTruck ] 2000.0 8.0 (Just { min = 6.0, max = 10.0 }) of
+                        Just distribution ->
+                            Expect.all
+                                [ \d -> Expect.atMost d.p50 d.p10
+                                , \d -> Expect.atMost d.p90 d.p50
+                                , \d -> Expect.lessThan d.p90 d.p10
+                                , \d -> Expect.equal d.runs (List.sum (List.map Tuple.second d.histogram))
+                                ]
+                                distribution
+
+                        Nothing ->
+                            Expect.fail "Expected a timeline distribution"
+            , test "should_repeat_for_same_seed" <|
+                \_ ->
+                    let
+                        run _ =
+                            Calculations.calculateTimelineDistribution { seed = 7, runs = 200 } 25.0 [ rangedExcavator ] [ rangedTruck ] 2000.0 8.0 (Just { min = 6.0, max = 10.0 })
+                    in
+                    Expect.equal (run ()) (run ())
+            , test "should_need_active_equipment" <|
+                \_ ->
+                    Calculations.calculateTimelineDistribution Calculations.defaultMonteCarloSettings 0.0 [ swellTestExcavator ] [ { swellTestTruck | isActive = False } ] 1000.0 8.0 Nothing
+                        |> Expect.equal Nothing
+            ]
+        , describe "calculatePondGeometry"
+            [ test "should_match_rectangular_box_for_vertical_walls" <|
+                \_ ->
+                    Calculations.calculatePondVolume 40.0 25.0 5.0 (Types.Pond.uniformSlopes 0.0)
+                        |> Expect.within (Expect.Absolute 0.01) (40.0 * 25.0 * 5.0 / 27.0)
+            , test "should_calculate_truncated_pyramid_for_uniform_slopes" <|
+                \_ ->
+                    let
+                        -- 2:1 banks: bottom is 20 x 5 feet at 5 feet deep
+                        geometry =
+                            Calculations.calculatePondGeometry 40.0 25.0 5.0 (Types.Pond.uniformSlopes 2.0)
+                    in
+                    Expect.all
+                        [ \g -> Expect.within (Expect.Absolute 0.01) 20.0 g.bottomLength
+                        , \g -> Expect.within (Expect.Absolute 0.01) 5.0 g.bottomWidth
+                        , \g -> Expect.within (Expect.Absolute 0.01) (2416.667 / 27.0) g.volume
+                        ]
+                        geometry
+            , test "should_apply_each_bank_slope_to_its_own_side" <|
+                \_ ->
+                    let
+                        geometry =
+                            Calculations.calculatePondGeometry 40.0 25.0 5.0 { north = 0.0, south = 0.0, east = 3.0, west = 1.0 }
+                    in
+                    Expect.all
+                        [ \g -> Expect.within (Expect.Absolute 0.01) 20.0 g.bottomLength
+                        , \g -> Expect.within (Expect.Absolute 0.01) 25.0 g.bottomWidth
+                        , \g -> Expect.within (Expect.Absolute 0.01) (30.0 * 25.0 * 5.0 / 27.0) g.volume
+                        ]
+                        geometry
+            , test "should_dig_less_than_box_when_banks_slope" <|
+                \_ ->
+                    Calculations.calculatePondVolume 100.0 50.0 8.0 (Types.Pond.uniformSlopes 3.0)
+                        |> Expect.lessThan (Calculations.calculatePondVolume 100.0 50.0 8.0 (Types.Pond.uniformSlopes 0.0))
+            ]
+        , describe "calculateShapedPondGeometry"
+            [ test "should_calculate_circular_pond_volume" <|
+                \_ ->
+                    (Calculations.calculateShapedPondGeometry (testOutline Circle 40.0 40.0) 5.0 (Types.Pond.uniformSlopes 0.0)).volume
+                        |> Expect.within (Expect.Absolute 0.01) (pi * 20.0 * 20.0 * 5.0 / 27.0)
+            , test "should_calculate_elliptical_pond_volume" <|
+                \_ ->
+                    (Calculations.calculateShapedPondGeometry (testOutline Ellipse 40.0 20.0) 5.0 (Types.Pond.uniformSlopes 0.0)).volume
+                        |> Expect.within (Expect.Absolute 0.01) (pi / 4 * 40.0 * 20.0 * 5.0 / 27.0)
+            , test "should_calculate_circular_cone_frustum_with_sloped_banks" <|
+                \_ ->
+                    -- 40 foot circle with 2:1 banks narrows to 20 feet at 5 feet deep
+                    (Calculations.calculateShapedPondGeometry (testOutline Circle 40.0 40.0) 5.0 (Types.Pond.uniformSlopes 2.0)).volume
+                        |> Expect.within (Expect.Absolute 0.01) 135.748
+            , test "should_remove_corner_dirt_for_rounded_rectangle" <|
+                \_ ->
+                    let
+                        outline =
+                            testOutline RoundedRectangle 40.0 25.0
+                    in
+                    (Calculations.calculateShapedPondGeometry { outline | cornerRadius = 5.0 } 5.0 (Types.Pond.uniformSlopes 0.0)).volume
+                        |> Expect.within (Expect.Absolute 0.01) ((40.0 * 25.0 - (4 - pi) * 25.0) * 5.0 / 27.0)
+            , test "should_calculate_kidney_as_two_overlapping_lobes" <|
+                \_ ->
+                    let
+                        outline =
+                            testOutline Kidney 40.0 25.0
+
+                        geometry =
+                            Calculations.calculateShapedPondGeometry { outline | smallLobeDiameter = 20.0 } 4.0 (Types.Pond.uniformSlopes 0.0)
+                    in
+                    Expect.all
+                        [ \g -> Expect.within (Expect.Absolute 0.01) 757.137 g.topArea
+                        , \g -> Expect.within (Expect.Absolute 0.01) 40.0 g.topLength
+                        , \g -> Expect.within (Expect.Absolute 0.01) 112.169 g.volume
+                        ]
+                        geometry
+            , test "should_match_rectangle_helper_for_rectangular_outline" <|
+                \_ ->
+                    (Calculations.calculateShapedPondGeometry (testOutline Rectangle 40.0 25.0) 5.0 (Types.Pond.uniformSlopes 2.0)).volume
+                        |> Expect.within (Expect.Absolute 0.01) (Calculations.calculatePondVolume 40.0 25.0 5.0 (Types.Pond.uniformSlopes 2.0))
+            ]
+        , describe "Project Phases"
+            [ test "should_only_use_machines_assigned_to_phase" <|
+                \_ ->
+                    let
+                        secondTruck =
+                            { swellTestTruck | id = "truck2" }
+
+                        withBothTrucks =
+                            Calculations.calculatePhase 0.0 100 [ swellTestExcavator ] [ swellTestTruck, secondTruck ] 8.0 Nothing { testPhase | truckIds = [ "truck1", "truck2" ] }
+
+                        withOneTruck =
+                            Calculations.calculatePhase 0.0 100 [ swellTestExcavator ] [ swellTestTruck, secondTruck ] 8.0 Nothing testPhase
+                    in
+                    Expect.all
+                        [ \_ -> Expect.equal (Ok 2) (Result.map .truckCount withBothTrucks)
+                        , \_ -> Expect.equal (Ok 1) (Result.map .truckCount withOneTruck)
+                        ]
+                        ()
+            , test "should_leave_parked_machines_out_of_phase" <|
+                \_ ->
+                    let
+                        parkedTruck =
+                            { swellTestTruck | id = "truck2", isActive = False }
+                    in
+                    Calculations.calculatePhase 0.0 100 [ swellTestExcavator ] [ swellTestTruck, parkedTruck ] 8.0 Nothing { testPhase | truckIds = [ "truck1", "truck2" ] }
+                        |> Result.map .truckCount
+                        |> Expect.equal (Ok 1)
+            , test "should_stockpile_topsoil_on_site" <|
+                \_ ->
+                    Calculations.calculatePhase 0.0 100 [ swellTestExcavator ] [ swellTestTruck ] 8.0 (Just { fuelPrice = 4.0, disposalFee = 8.0 }) { testPhase | kind = TopsoilStrip }
+                        |> Result.map (\phase -> ( phase.truckCount, Maybe.map .disposal phase.cost ))
+                        |> Expect.equal (Ok ( 0, Just 0 ))
+            , test "should_scale_hours_by_productivity" <|
+                \_ ->
+                    let
+                        hoursAt productivity =
+                            Calculations.calculatePhase 0.0 100 [ swellTestExcavator ] [ swellTestTruck ] 8.0 Nothing { testPhase | productivity = productivity }
+                                |> Result.map .totalHours
+                                |> Result.withDefault 0
+                    in
+                    Expect.within (Expect.Absolute 0.001) (2 * hoursAt 1.0) (hoursAt 0.5)
+            , test "should_fail_phase_without_machines" <|
+                \_ ->
+                    case Calculations.calculatePhase 0.0 100 [ swellTestExcavator ] [ swellTestTruck ] 8.0 Nothing { testPhase | truckIds = [] } of
+                        Err Calculations.InsufficientEquipment ->
+                            Expect.pass
+
+                        _ ->
+                            Expect.fail "Should need at least one truck"
+            , test "should_add_phase_hours_to_project_total" <|
+                \_ ->
+                    case ( Calculations.performCalculation [ swellTestExcavator ] [ swellTestTruck ] 1000.0 8.0, Calculations.calculatePhase 0.0 100 [ swellTestExcavator ] [ swellTestTruck ] 8.0 Nothing testPhase ) of
+                        ( Ok bulk, Ok phase ) ->
+                            let
+                                combined =
+                                    Calculations.withPhases 8.0 [ swellTestExcavator ] [ swellTestTruck ] [ phase ] bulk
+                            in
+                            Expect.all
+                                [ \r -> Expect.within (Expect.Absolute 0.001) (bulk.totalHours + phase.totalHours) r.totalHours
+                                , \r -> Expect.equal (ceiling ((bulk.totalHours + phase.totalHours) / 8.0)) r.timelineInDays
+                                , \r -> Expect.equal [ Clearing, BulkDig ] (List.map .kind r.phases)
+                                ]
+                                combined
+
+                        _ ->
+                            Expect.fail "Should calculate bulk dig and phase"
+            , test "should_leave_result_unchanged_without_phases" <|
+                \_ ->
+                    case Calculations.performCalculation [ swellTestExcavator ] [ swellTestTruck ] 1000.0 8.0 of
+                        Ok bulk ->
+                            Calculations.withPhases 8.0 [ swellTestExcavator ] [ swellTestTruck ] [] bulk
+                                |> Expect.equal bulk
+
+                        Err _ ->
+                            Expect.fail "Should calculate bulk dig"
+            , test "should_widen_range_by_phase_hours" <|
+                \_ ->
+                    let
+                        p50 phaseHours =
+                            Calculations.calculatePhasedTimelineDistribution Calculations.defaultMonteCarloSettings phaseHours 0.0 100 [ swellTestExcavator ] [ swellTestTruck ] 1000.0 8.0 Nothing
+                                |> Maybe.map .p50
+                    in
+                    -- Fixed times, so every run takes the same number of days
+                    Expect.equal (Maybe.map ((+) 2) (p50 0)) (p50 16.0)
+            ]
+        , describe "calculateHaulCycle"
+            [ test "should_sum_loading_travel_and_delay_times" <|
+                \_ ->
+                    -- 10 bank yards per load at 20% swell takes four 2.5 yard passes
+                    case Calculations.calculateHaulCycle 20.0 [ swellTestExcavator ] haulCycleTruck of
+                        Just breakdown ->
+                            Expect.all
+                                [ \b -> Expect.equal 4 b.passes
+                                , \b -> Expect.within (Expect.Absolute 0.001) 8.0 b.loadTime
+                                , \b -> Expect.within (Expect.Absolute 0.001) 6.0 b.haulTime
+                                , \b -> Expect.within (Expect.Absolute 0.001) 4.0 b.returnTime
+                                , \b -> Expect.within (Expect.Absolute 0.001) 20.0 b.roundTripTime
+                                ]
+                                breakdown
+
+                        Nothing ->
+                            Expect.fail "Should calculate a haul cycle"
+            , test "should_load_from_chosen_excavator" <|
+                \_ ->
+                    let
+                        bigExcavator =
+                            { swellTestExcavator | id = "exc2", bucketCapacity = 5.0 }
+
+                        truck =
+                            { haulCycleTruck | haulCycle = Maybe.map (\cycle -> { cycle | loadingExcavator = Just "exc2" }) haulCycleTruck.haulCycle }
+                    in
+                    Calculations.calculateHaulCycle 20.0 [ swellTestExcavator, bigExcavator ] truck
+                        |> Maybe.map .passes
+                        |> Expect.equal (Just 2)
+            , test "should_skip_trucks_without_haul_cycle" <|
+                \_ ->
+                    Calculations.calculateHaulCycle 20.0 [ swellTestExcavator ] swellTestTruck
+                        |> Expect.equal Nothing
+            , test "should_skip_haul_cycle_without_active_excavator" <|
+                \_ ->
+                    Calculations.calculateHaulCycle 20.0 [ { swellTestExcavator | isActive = False } ] haulCycleTruck
+                        |> Expect.equal Nothing
+            , test "should_replace_entered_round_trip_when_resolving" <|
+                \_ ->
+                    Calculations.resolveHaulCycles 20.0 [ swellTestExcavator ] [ haulCycleTruck, swellTestTruck ]
+                        |> List.map .roundTripTime
+                        |> Expect.equal [ 20.0, 15.0 ]
+            , test "should_scale_round_trip_range_with_derived_time" <|
+                \_ ->
+                    Calculations.resolveHaulCycles 20.0 [ swellTestExcavator ] [ { haulCycleTruck | roundTripTimeRange = Just { min = 12.0, max = 30.0 } } ]
+                        |> List.map .roundTripTimeRange
+                        |> Expect.equal [ Just { min = 16.0, max = 40.0 } ]
+            ]
         ]
+
+
+testOutline : PondShape -> Float -> Float -> PondOutline
+testOutline shape length width =
+    { shape = shape
+    , length = length
+    , width = width
+    , cornerRadius = 0
+    , smallLobeDiameter = 0
+    }
+
+
+swellTestExcavator : Excavator
+swellTestExcavator =
+    { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Test Excavator", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+
+
+swellTestTruck : Truck
+swellTestTruck =
+    { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Test Truck", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
+
+
+rangedExcavator : Excavator
+rangedExcavator =
+    { swellTestExcavator | cycleTimeRange = Just { min = 1.6, max = 3.0 } }
+
+
+rangedTruck : Truck
+rangedTruck =
+    { swellTestTruck | roundTripTimeRange = Just { min = 12.0, max = 25.0 } }
+
+
+haulCycleTruck : Truck
+haulCycleTruck =
+    { swellTestTruck
+        | haulCycle =
+            Just
+                { distance = 2.0
+                , loadedSpeed = 20.0
+                , emptySpeed = 30.0
+                , dumpTime = 1.5
+                , spotTime = 0.5
+                , loadingExcavator = Nothing
+                }
+    }
+
+
+testPhase : Phase
+testPhase =
+    { id = "phase-1"
+    , kind = Clearing
+    , name = "Site Clearing"
+    , volume = 200.0
+    , excavatorIds = [ "exc1" ]
+    , truckIds = [ "truck1" ]
+    , productivity = 0.8
+    }
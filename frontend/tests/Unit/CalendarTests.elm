@@ -0,0 +1,124 @@
+module Unit.CalendarTests exposing (suite)
+
+{-| Unit tests for the working calendar and completion date scheduling
+
+@docs suite
+
+-}
+
+import Expect
+import Test exposing (Test, describe, test)
+import Time exposing (Weekday(..))
+import Utils.Calendar as Calendar exposing (WorkCalendar)
+
+
+suite : Test
+suite =
+    describe "Working Calendar Tests"
+        [ describe "dates"
+            [ test "should_round_trip_iso_dates" <|
+                \_ ->
+                    Calendar.fromIsoString "2024-02-29"
+                        |> Maybe.map Calendar.toIsoString
+                        |> Expect.equal (Just "2024-02-29")
+            , test "should_reject_impossible_dates" <|
+                \_ ->
+                    [ "2025-02-29", "2026-13-01", "2026-04-31", "June 1" ]
+                        |> List.filterMap Calendar.fromIsoString
+                        |> Expect.equal []
+            , test "should_find_day_of_week" <|
+                \_ ->
+                    [ "2026-10-19", "2000-01-01", "1970-01-01" ]
+                        |> List.filterMap Calendar.fromIsoString
+                        |> List.map Calendar.weekday
+                        |> Expect.equal [ Mon, Sat, Thu ]
+            , test "should_add_days_across_month_and_year_ends" <|
+                \_ ->
+                    [ "2026-12-31", "2028-02-28", "2027-02-28" ]
+                        |> List.filterMap Calendar.fromIsoString
+                        |> List.map (Calendar.addDays 1 >> Calendar.toIsoString)
+                        |> Expect.equal [ "2027-01-01", "2028-02-29", "2027-03-01" ]
+            , test "should_take_the_day_from_a_moment_in_a_time_zone" <|
+                \_ ->
+                    Expect.all
+                        [ \_ ->
+                            Calendar.fromPosix Time.utc (Time.millisToPosix 1781481600000)
+                                |> Calendar.toIsoString
+                                |> Expect.equal "2026-06-15"
+                        , \_ ->
+                            Calendar.fromPosix (Time.customZone -300 []) (Time.millisToPosix 1781492400000)
+                                |> Calendar.toIsoString
+                                |> Expect.equal "2026-06-14"
+                        ]
+                        ()
+            ]
+        , describe "splitWorkingTime"
+            [ test "should_report_partial_last_day_in_hours" <|
+                \_ ->
+                    Calendar.splitWorkingTime 8.0 35.0
+                        |> Expect.equal { fullDays = 4, extraHours = 3.0 }
+            , test "should_not_add_partial_day_when_hours_divide_evenly" <|
+                \_ ->
+                    Calendar.splitWorkingTime 8.0 32.0
+                        |> Expect.equal { fullDays = 4, extraHours = 0 }
+            , test "should_ignore_floating_point_noise" <|
+                \_ ->
+                    Calendar.splitWorkingTime 8.0 31.9999999
+                        |> Expect.equal { fullDays = 4, extraHours = 0 }
+            ]
+        , describe "completionDate"
+            [ test "should_skip_weekends_in_five_day_week" <|
+                \_ ->
+                    completionFrom mondayToFriday "2026-10-19" 6
+                        |> Expect.equal (Just "2026-10-26")
+            , test "should_work_saturdays_in_six_day_week" <|
+                \_ ->
+                    completionFrom { mondayToFriday | workDays = [ Mon, Tue, Wed, Thu, Fri, Sat ] } "2026-10-19" 6
+                        |> Expect.equal (Just "2026-10-24")
+            , test "should_skip_holidays" <|
+                \_ ->
+                    completionFrom { mondayToFriday | holidays = List.filterMap Calendar.fromIsoString [ "2026-10-21" ] } "2026-10-19" 3
+                        |> Expect.equal (Just "2026-10-22")
+            , test "should_start_on_next_working_day" <|
+                \_ ->
+                    completionFrom mondayToFriday "2026-10-24" 1
+                        |> Expect.equal (Just "2026-10-26")
+            , test "should_return_nothing_for_empty_work_week" <|
+                \_ ->
+                    completionFrom { mondayToFriday | workDays = [] } "2026-10-19" 3
+                        |> Expect.equal Nothing
+            ]
+        , describe "schedule"
+            [ test "should_finish_on_partial_day" <|
+                \_ ->
+                    let
+                        result =
+                            Calendar.schedule mondayToFriday (Calendar.fromIsoString "2026-10-19") 8.0 35.0
+                    in
+                    Expect.all
+                        [ \r -> Expect.equal 4 r.fullDays
+                        , \r -> Expect.within (Expect.Absolute 0.001) 3.0 r.extraHours
+                        , \r -> Expect.equal (Just "2026-10-23") (Maybe.map Calendar.toIsoString r.completionDate)
+                        ]
+                        result
+            , test "should_leave_completion_open_without_start_date" <|
+                \_ ->
+                    Calendar.schedule mondayToFriday Nothing 8.0 35.0
+                        |> .completionDate
+                        |> Expect.equal Nothing
+            ]
+        ]
+
+
+mondayToFriday : WorkCalendar
+mondayToFriday =
+    { workDays = [ Mon, Tue, Wed, Thu, Fri ]
+    , holidays = []
+    }
+
+
+completionFrom : WorkCalendar -> String -> Int -> Maybe String
+completionFrom calendar start workingDays =
+    Calendar.fromIsoString start
+        |> Maybe.andThen (\date -> Calendar.completionDate calendar date workingDays)
+        |> Maybe.map Calendar.toIsoString
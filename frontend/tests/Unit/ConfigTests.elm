@@ -4,6 +4,7 @@ import Expect
 import Test exposing (..)
 import Utils.Config as Config
 import Utils.ConfigGenerated as ConfigGenerated
+import Utils.Validation as Validation
 
 
 suite : Test
@@ -38,6 +39,28 @@ suite =
                         , \c -> Expect.equal 20 c.fleetLimits.maxTrucks
                         ]
                         config
+            , test "default soil type is one of the configured soil types" <|
+                \_ ->
+                    let
+                        config =
+                            Config.getConfig
+                    in
+                    config.defaults.soilTypes
+                        |> List.map .id
+                        |> List.member config.defaults.project.soilType
+                        |> Expect.equal True
+            , test "soil swell percentages are within validation range" <|
+                \_ ->
+                    let
+                        config =
+                            Config.getConfig
+                    in
+                    config.defaults.soilTypes
+                        |> List.all
+                            (\soil ->
+                                soil.swellPercent >= config.validation.swellPercent.min && soil.swellPercent <= config.validation.swellPercent.max
+                            )
+                        |> Expect.equal True
             , test "excavator defaults are valid" <|
                 \_ ->
                     let
@@ -204,4 +227,77 @@ suite =
                         ]
                         limits
             ]
+        , describe "Equipment Catalog"
+            [ test "catalog models make machines that pass fleet validation" <|
+                \_ ->
+                    let
+                        config =
+                            Config.getConfig
+                    in
+                    Expect.all
+                        [ \_ ->
+                            config.catalog.excavators
+                                |> List.concatMap (Config.excavatorFromCatalog "excavator-1" config.defaults >> Validation.validateSingleExcavator config.validation)
+                                |> Expect.equal []
+                        , \_ ->
+                            config.catalog.trucks
+                                |> List.concatMap (Config.truckFromCatalog "truck-1" config.defaults >> Validation.validateSingleTruck config.validation)
+                                |> Expect.equal []
+                        ]
+                        ()
+            , test "catalog model sets the machine's size and keeps the crew factors" <|
+                \_ ->
+                    let
+                        defaultModel =
+                            Config.defaultExcavator "excavator-2" Config.fallbackConfig.defaults
+
+                        excavator =
+                            Config.excavatorFromCatalog "excavator-2"
+                                Config.fallbackConfig.defaults
+                                { make = "Caterpillar"
+                                , model = "320"
+                                , operatingWeight = 24.8
+                                , bucketCapacity = 1.4
+                                , cycleTime = 1.8
+                                , cycleTimeMin = 1.5
+                                , cycleTimeMax = 2.4
+                                , fuelBurn = 4.0
+                                , hourlyRate = 90.0
+                                }
+                    in
+                    Expect.all
+                        [ \_ -> Expect.equal "Caterpillar 320" excavator.name
+                        , \_ -> Expect.equal ( 1.4, 1.8 ) ( excavator.bucketCapacity, excavator.cycleTime )
+                        , \_ -> Expect.equal (Just { min = 1.5, max = 2.4 }) excavator.cycleTimeRange
+                        , \_ -> Expect.equal ( defaultModel.efficiency, defaultModel.operatorWage ) ( excavator.efficiency, excavator.operatorWage )
+                        ]
+                        ()
+            , test "default machines come from the built-in models when none are configured" <|
+                \_ ->
+                    let
+                        defaults =
+                            Config.fallbackConfig.defaults
+
+                        unconfigured =
+                            { defaults | excavators = [], trucks = [] }
+                    in
+                    Expect.all
+                        [ \_ -> Expect.equal (Config.defaultExcavator "excavator-1" defaults) (Config.defaultExcavator "excavator-1" unconfigured)
+                        , \_ -> Expect.equal (Config.defaultTruck "truck-1" defaults) (Config.defaultTruck "truck-1" unconfigured)
+                        ]
+                        ()
+            , test "help examples are catalog models" <|
+                \_ ->
+                    Config.getConfig.catalog.excavators
+                        |> List.filter (\catalogModel -> catalogModel.make == "Caterpillar")
+                        |> List.filterMap
+                            (\catalogModel ->
+                                if List.member catalogModel.model [ "305 CR", "320", "374" ] then
+                                    Just catalogModel.bucketCapacity
+
+                                else
+                                    Nothing
+                            )
+                        |> Expect.equal [ 0.7, 1.4, 4.2 ]
+            ]
         ]
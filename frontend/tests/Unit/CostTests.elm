@@ -0,0 +1,92 @@
+module Unit.CostTests exposing (suite)
+
+{-| Unit tests for project cost estimating
+
+@docs suite
+
+-}
+
+import Expect
+import Test exposing (Test, describe, test)
+import Types.Equipment exposing (Excavator, OperatorSkill(..), Truck)
+import Utils.Cost exposing (calculateProjectCost, combineCosts)
+
+
+suite : Test
+suite =
+    describe "Cost Estimating Tests"
+        [ describe "calculateProjectCost"
+            [ test "should_break_down_cost_for_single_excavator_and_truck" <|
+                \_ ->
+                    let
+                        -- 10 hours of one excavator and one truck, 100 bank / 125 loose yards
+                        cost =
+                            calculateProjectCost { fuelPrice = 4.0, disposalFee = 8.0 } [ testExcavator ] [ testTruck ] 10.0 100.0 125.0
+                    in
+                    Expect.all
+                        [ \c -> Expect.within (Expect.Absolute 0.01) 1600.0 c.equipment
+                        , \c -> Expect.within (Expect.Absolute 0.01) 630.0 c.labor
+                        , \c -> Expect.within (Expect.Absolute 0.01) 380.0 c.fuel
+                        , \c -> Expect.within (Expect.Absolute 0.01) 1000.0 c.disposal
+                        , \c -> Expect.within (Expect.Absolute 0.01) 3610.0 c.total
+                        , \c -> Expect.within (Expect.Absolute 0.01) 36.1 c.costPerCubicYard
+                        ]
+                        cost
+            , test "should_ignore_inactive_equipment" <|
+                \_ ->
+                    let
+                        withParkedTruck =
+                            calculateProjectCost { fuelPrice = 4.0, disposalFee = 8.0 } [ testExcavator ] [ testTruck, { testTruck | id = "truck2", isActive = False } ] 10.0 100.0 125.0
+
+                        withoutParkedTruck =
+                            calculateProjectCost { fuelPrice = 4.0, disposalFee = 8.0 } [ testExcavator ] [ testTruck ] 10.0 100.0 125.0
+                    in
+                    Expect.equal withoutParkedTruck withParkedTruck
+            , test "should_bill_every_machine_of_a_row" <|
+                \_ ->
+                    let
+                        rowOfThree =
+                            calculateProjectCost { fuelPrice = 4.0, disposalFee = 8.0 } [ testExcavator ] [ { testTruck | quantity = 3 } ] 10.0 100.0 125.0
+
+                        threeRows =
+                            calculateProjectCost { fuelPrice = 4.0, disposalFee = 8.0 } [ testExcavator ] [ testTruck, { testTruck | id = "truck2" }, { testTruck | id = "truck3" } ] 10.0 100.0 125.0
+                    in
+                    Expect.equal threeRows rowOfThree
+            , test "should_charge_disposal_on_loose_volume" <|
+                \_ ->
+                    (calculateProjectCost { fuelPrice = 0.0, disposalFee = 10.0 } [] [] 0.0 100.0 130.0).disposal
+                        |> Expect.within (Expect.Absolute 0.01) 1300.0
+            , test "should_report_zero_unit_cost_without_volume" <|
+                \_ ->
+                    (calculateProjectCost { fuelPrice = 4.0, disposalFee = 8.0 } [ testExcavator ] [ testTruck ] 10.0 0.0 0.0).costPerCubicYard
+                        |> Expect.within (Expect.Absolute 0.01) 0.0
+            ]
+        , describe "combineCosts"
+            [ test "should_add_up_each_category" <|
+                \_ ->
+                    let
+                        part =
+                            calculateProjectCost { fuelPrice = 4.0, disposalFee = 8.0 } [ testExcavator ] [ testTruck ] 10.0 100.0 125.0
+                    in
+                    Expect.all
+                        [ \c -> Expect.within (Expect.Absolute 0.01) 3200.0 c.equipment
+                        , \c -> Expect.within (Expect.Absolute 0.01) 2000.0 c.disposal
+                        , \c -> Expect.within (Expect.Absolute 0.01) 7220.0 c.total
+                        ]
+                        (combineCosts 100.0 [ part, part ])
+            , test "should_spread_total_over_given_volume" <|
+                \_ ->
+                    (combineCosts 200.0 [ calculateProjectCost { fuelPrice = 4.0, disposalFee = 8.0 } [ testExcavator ] [ testTruck ] 10.0 100.0 125.0 ]).costPerCubicYard
+                        |> Expect.within (Expect.Absolute 0.01) 18.05
+            ]
+        ]
+
+
+testExcavator : Excavator
+testExcavator =
+    { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Test Excavator", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+
+
+testTruck : Truck
+testTruck =
+    { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Test Truck", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
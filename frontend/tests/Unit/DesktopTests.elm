@@ -1,7 +1,6 @@
 module Unit.DesktopTests exposing (suite)
 
 import Components.ProjectForm exposing (FormData)
-import Dict
 import Expect
 import Html
 import Html.Attributes
@@ -9,14 +8,13 @@ import Pages.Desktop as Desktop
 import Test exposing (..)
 import Test.Html.Query as Query
 import Test.Html.Selector exposing (..)
+import TestModel exposing (testModel)
 import Types.DeviceType exposing (DeviceType(..))
 import Types.Equipment
 import Types.Model exposing (Model)
-import Types.Onboarding
+import Types.Pond exposing (PondShape(..))
+import Types.Spoil exposing (SpoilPlacement(..))
 import Utils.Calculations exposing (Bottleneck(..), CalculationResult, ConfidenceLevel(..))
-import Utils.Config
-import Utils.Debounce exposing (DebounceState)
-import Utils.Performance exposing (PerformanceMetrics)
 
 
 suite : Test
@@ -207,7 +205,7 @@ suite =
                     let
                         model =
                             createTestModel Desktop
-                                |> (\m -> { m | excavators = [ { id = "1", bucketCapacity = 2.5, cycleTime = 3.0, name = "Test", isActive = True } ] })
+                                |> (\m -> { m | excavators = [ { id = "1", bucketCapacity = 2.5, cycleTime = 3.0, name = "Test", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Types.Equipment.Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing } ] })
 
                         result =
                             Desktop.view model
@@ -314,33 +312,11 @@ suite =
 
 createTestModel : DeviceType -> Model
 createTestModel deviceType =
-    { message = ""
-    , config = Just Utils.Config.fallbackConfig
-    , formData = Just createTestFormData
-    , calculationResult = Just createTestCalculationResult
-    , lastValidResult = Nothing
-    , hasValidationErrors = False
-    , deviceType = deviceType
-    , calculationInProgress = False
-    , performanceMetrics = Utils.Performance.initMetrics
-    , debounceState = Utils.Debounce.initDebounce
-    , excavators = []
-    , trucks = []
-    , nextExcavatorId = 1
-    , nextTruckId = 1
-    , helpTooltipState = Nothing
-    , showHelpPanel = False
-    , currentContextualHelp = Nothing
-    , realTimeValidation = False
-    , fieldValidationErrors = Dict.empty
-    , validationDebounce = Dict.empty
-
-    -- Onboarding state
-    , onboardingState = Types.Onboarding.Completed
-    , showWelcomeOverlay = False
-    , currentTourStep = Nothing
-    , isFirstTimeUser = False
-    , exampleScenarioLoaded = False
+    { testModel
+        | message = ""
+        , formData = Just createTestFormData
+        , calculationResult = Just createTestCalculationResult
+        , deviceType = deviceType
     }
 
 
@@ -355,6 +331,27 @@ createTestFormData =
     , pondWidth = "50.0"
     , pondDepth = "8.0"
     , errors = []
+    , sideSlope = "0"
+    , perSideSlopes = False
+    , northSlope = "0"
+    , southSlope = "0"
+    , eastSlope = "0"
+    , westSlope = "0"
+    , pondShape = Rectangle
+    , cornerRadius = "6.25"
+    , smallLobeDiameter = "20"
+    , soilType = "topsoil"
+    , customSwellPercent = "25"
+    , customDensity = "2300"
+    , spoilPlacement = ExportAll
+    , exportPercent = "50"
+    , fuelPrice = "4"
+    , disposalFee = "8"
+    , workHoursMin = "6"
+    , workHoursMax = "10"
+    , startDate = ""
+    , workDays = [ "mon", "tue", "wed", "thu", "fri" ]
+    , holidays = []
     }
 
 
@@ -372,4 +369,16 @@ createTestCalculationResult =
     , confidence = Medium
     , assumptions = [ "Standard soil conditions assumed", "No weather delays factored" ]
     , warnings = [ "Consider adding more trucks to improve efficiency" ]
+    , pondGeometry = Nothing
+    , bankVolume = 0.0
+    , looseVolume = 0.0
+    , exportedVolume = 0.0
+    , tonsHauled = 0
+    , truckLoads = 0
+    , cost = Nothing
+    , timelineRange = Nothing
+    , schedule = Nothing
+    , haulCycles = []
+    , phases = []
+    , fleet = { excavators = [], trucks = [] }
     }
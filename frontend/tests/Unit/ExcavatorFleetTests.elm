@@ -8,7 +8,7 @@ module Unit.ExcavatorFleetTests exposing (suite)
 
 import Expect
 import Test exposing (Test, describe, test)
-import Types.Equipment exposing (EquipmentId, Excavator)
+import Types.Equipment exposing (EquipmentId, Excavator, OperatorSkill(..))
 import Utils.Calculations exposing (calculateExcavatorFleetProductivity, calculateExcavatorRate)
 
 
@@ -25,6 +25,15 @@ suite =
                               , cycleTime = 2.0
                               , name = "CAT 320"
                               , isActive = True
+                              , quantity = 1
+                              , efficiency = 0.85
+                              , fillFactor = 1.0
+                              , operatorSkill = Average
+                              , hourlyRate = 95.0
+                              , operatorWage = 35.0
+                              , fuelBurn = 4.5
+                              , cycleTimeRange = Nothing
+                              , rosterUnit = Nothing
                               }
                             ]
 
@@ -39,9 +48,9 @@ suite =
                 \_ ->
                     let
                         uniformFleet =
-                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "CAT 320", isActive = True }
-                            , { id = "exc2", bucketCapacity = 2.5, cycleTime = 2.0, name = "CAT 320", isActive = True }
-                            , { id = "exc3", bucketCapacity = 2.5, cycleTime = 2.0, name = "CAT 320", isActive = True }
+                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "CAT 320", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+                            , { id = "exc2", bucketCapacity = 2.5, cycleTime = 2.0, name = "CAT 320", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+                            , { id = "exc3", bucketCapacity = 2.5, cycleTime = 2.0, name = "CAT 320", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
                             ]
 
                         singleExcavatorRate =
@@ -54,13 +63,20 @@ suite =
                             calculateExcavatorFleetProductivity uniformFleet
                     in
                     Expect.within (Expect.Absolute 0.001) expectedFleetRate actualFleetRate
+            , test "counts a row of several excavators as that many machines" <|
+                \_ ->
+                    let
+                        rowOfThree =
+                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "CAT 320", isActive = True, quantity = 3, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing } ]
+                    in
+                    Expect.within (Expect.Absolute 0.001) (calculateExcavatorRate 2.5 2.0 * 3) (calculateExcavatorFleetProductivity rowOfThree)
             , test "calculates productivity for mixed excavator fleet with varying capacities" <|
                 \_ ->
                     let
                         mixedFleet =
-                            [ { id = "exc1", bucketCapacity = 1.5, cycleTime = 1.8, name = "Small Excavator", isActive = True }
-                            , { id = "exc2", bucketCapacity = 2.5, cycleTime = 2.0, name = "Medium Excavator", isActive = True }
-                            , { id = "exc3", bucketCapacity = 4.0, cycleTime = 2.5, name = "Large Excavator", isActive = True }
+                            [ { id = "exc1", bucketCapacity = 1.5, cycleTime = 1.8, name = "Small Excavator", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+                            , { id = "exc2", bucketCapacity = 2.5, cycleTime = 2.0, name = "Medium Excavator", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+                            , { id = "exc3", bucketCapacity = 4.0, cycleTime = 2.5, name = "Large Excavator", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
                             ]
 
                         expectedRate1 =
@@ -83,9 +99,9 @@ suite =
                 \_ ->
                     let
                         mixedCycleFleet =
-                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 1.5, name = "Fast Excavator", isActive = True }
-                            , { id = "exc2", bucketCapacity = 2.5, cycleTime = 2.0, name = "Standard Excavator", isActive = True }
-                            , { id = "exc3", bucketCapacity = 2.5, cycleTime = 3.0, name = "Slow Excavator", isActive = True }
+                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 1.5, name = "Fast Excavator", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+                            , { id = "exc2", bucketCapacity = 2.5, cycleTime = 2.0, name = "Standard Excavator", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+                            , { id = "exc3", bucketCapacity = 2.5, cycleTime = 3.0, name = "Slow Excavator", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
                             ]
 
                         expectedFast =
@@ -108,9 +124,9 @@ suite =
                 \_ ->
                     let
                         fleetWithInactive =
-                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Active Excavator", isActive = True }
-                            , { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.5, name = "Inactive Excavator", isActive = False }
-                            , { id = "exc3", bucketCapacity = 2.0, cycleTime = 2.5, name = "Active Excavator 2", isActive = True }
+                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Active Excavator", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+                            , { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.5, name = "Inactive Excavator", isActive = False, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+                            , { id = "exc3", bucketCapacity = 2.0, cycleTime = 2.5, name = "Active Excavator 2", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
                             ]
 
                         expectedActiveRate1 =
@@ -140,8 +156,8 @@ suite =
                 \_ ->
                     let
                         allInactiveFleet =
-                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Inactive 1", isActive = False }
-                            , { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.5, name = "Inactive 2", isActive = False }
+                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Inactive 1", isActive = False, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+                            , { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.5, name = "Inactive 2", isActive = False, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
                             ]
 
                         actualProductivity =
@@ -154,7 +170,7 @@ suite =
                 \_ ->
                     let
                         singleFleet =
-                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Solo Excavator", isActive = True } ]
+                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Solo Excavator", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing } ]
 
                         productivity =
                             calculateExcavatorFleetProductivity singleFleet
@@ -172,6 +188,15 @@ suite =
                                         , cycleTime = 2.0
                                         , name = "Excavator " ++ String.fromInt i
                                         , isActive = True
+                                        , quantity = 1
+                                        , efficiency = 0.85
+                                        , fillFactor = 1.0
+                                        , operatorSkill = Average
+                                        , hourlyRate = 95.0
+                                        , operatorWage = 35.0
+                                        , fuelBurn = 4.5
+                                        , cycleTimeRange = Nothing
+                                        , rosterUnit = Nothing
                                         }
                                     )
 
@@ -197,6 +222,15 @@ suite =
                                         , cycleTime = 2.0 + toFloat (modBy 2 i) * 0.3
                                         , name = "Excavator " ++ String.fromInt i
                                         , isActive = True
+                                        , quantity = 1
+                                        , efficiency = 0.85
+                                        , fillFactor = 1.0
+                                        , operatorSkill = Average
+                                        , hourlyRate = 95.0
+                                        , operatorWage = 35.0
+                                        , fuelBurn = 4.5
+                                        , cycleTimeRange = Nothing
+                                        , rosterUnit = Nothing
                                         }
                                     )
 
@@ -218,6 +252,15 @@ suite =
                                         , cycleTime = 2.0
                                         , name = "Excavator " ++ String.fromInt i
                                         , isActive = True
+                                        , quantity = 1
+                                        , efficiency = 0.85
+                                        , fillFactor = 1.0
+                                        , operatorSkill = Average
+                                        , hourlyRate = 95.0
+                                        , operatorWage = 35.0
+                                        , fuelBurn = 4.5
+                                        , cycleTimeRange = Nothing
+                                        , rosterUnit = Nothing
                                         }
                                     )
 
@@ -245,10 +288,10 @@ suite =
                 \_ ->
                     let
                         highPerformanceExcavator =
-                            { id = "exc1", bucketCapacity = 4.0, cycleTime = 1.5, name = "High Performance", isActive = True }
+                            { id = "exc1", bucketCapacity = 4.0, cycleTime = 1.5, name = "High Performance", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
 
                         lowPerformanceExcavator =
-                            { id = "exc2", bucketCapacity = 1.5, cycleTime = 3.0, name = "Low Performance", isActive = True }
+                            { id = "exc2", bucketCapacity = 1.5, cycleTime = 3.0, name = "Low Performance", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
 
                         mixedFleet =
                             [ highPerformanceExcavator, lowPerformanceExcavator ]
@@ -0,0 +1,236 @@
+module Unit.ExportTests exposing (suite)
+
+{-| Unit tests for exporting the estimate as CSV files and an XLSX workbook
+
+@docs suite
+
+-}
+
+import Components.ProjectForm as ProjectForm
+import Expect exposing (Expectation)
+import Test exposing (Test, describe, test)
+import Utils.Calculations as Calculations
+import Utils.Calendar as Calendar
+import Utils.Config exposing (fallbackConfig)
+import Utils.EstimateExport as EstimateExport exposing (Format(..))
+import Utils.EstimateReport exposing (Estimate)
+import Utils.Spreadsheet as Spreadsheet exposing (Cell(..), Sheet)
+import Utils.Units exposing (UnitSystem(..))
+
+
+suite : Test
+suite =
+    describe "Export Tests"
+        [ describe "Spreadsheet.csv"
+            [ test "should_quote_fields_that_need_it" <|
+                \_ ->
+                    Spreadsheet.csv sampleSheet
+                        |> Expect.equal "\u{FEFF}Name,Hours\u{000D}\n\"Ex, 1 & <2>\",1.5\u{000D}\n\"say \"\"hi\"\"\",\u{000D}\n"
+            ]
+        , describe "Spreadsheet.workbook"
+            [ test "should_write_a_part_for_each_sheet" <|
+                \_ ->
+                    Spreadsheet.workbook [ sampleSheet, { sampleSheet | name = "Second" } ]
+                        |> List.map .path
+                        |> Expect.equal
+                            [ "[Content_Types].xml"
+                            , "_rels/.rels"
+                            , "xl/workbook.xml"
+                            , "xl/_rels/workbook.xml.rels"
+                            , "xl/styles.xml"
+                            , "xl/worksheets/sheet1.xml"
+                            , "xl/worksheets/sheet2.xml"
+                            ]
+            , test "should_name_the_sheets_and_declare_their_parts" <|
+                \_ ->
+                    let
+                        parts =
+                            Spreadsheet.workbook [ sampleSheet, { sampleSheet | name = "Second" } ]
+                    in
+                    Expect.all
+                        [ \_ -> Expect.equal 1 (occurrences "<sheet name=\"Second\" sheetId=\"2\" r:id=\"rId2\"/>" (partContent "xl/workbook.xml" parts))
+                        , \_ -> Expect.equal 1 (occurrences "Target=\"worksheets/sheet2.xml\"" (partContent "xl/_rels/workbook.xml.rels" parts))
+                        , \_ -> Expect.equal 1 (occurrences "Id=\"rId3\" Type=\"http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles\"" (partContent "xl/_rels/workbook.xml.rels" parts))
+                        , \_ -> Expect.equal 1 (occurrences "PartName=\"/xl/worksheets/sheet2.xml\"" (partContent "[Content_Types].xml" parts))
+                        ]
+                        ()
+            , test "should_write_text_inline_and_numbers_as_values" <|
+                \_ ->
+                    let
+                        worksheet =
+                            partContent "xl/worksheets/sheet1.xml" (Spreadsheet.workbook [ sampleSheet ])
+                    in
+                    Expect.all
+                        [ \_ -> Expect.equal 1 (occurrences "<c r=\"A1\" t=\"inlineStr\" s=\"1\"><is><t xml:space=\"preserve\">Name</t></is></c>" worksheet)
+                        , \_ -> Expect.equal 1 (occurrences "<c r=\"A2\" t=\"inlineStr\"><is><t xml:space=\"preserve\">Ex, 1 &amp; &lt;2&gt;</t></is></c>" worksheet)
+                        , \_ -> Expect.equal 1 (occurrences "<c r=\"B2\"><v>1.5</v></c>" worksheet)
+                        , \_ -> Expect.equal 0 (occurrences "r=\"B3\"" worksheet)
+                        ]
+                        ()
+            , test "should_letter_columns_past_z" <|
+                \_ ->
+                    List.map Spreadsheet.columnName [ 1, 26, 27, 52, 53, 702, 703 ]
+                        |> Expect.equal [ "A", "Z", "AA", "AZ", "BA", "ZZ", "AAA" ]
+            ]
+        , describe "EstimateExport"
+            [ test "should_make_a_table_for_inputs_fleets_and_summary" <|
+                \_ ->
+                    withEstimate Imperial
+                        (\estimate ->
+                            EstimateExport.sheets estimate
+                                |> List.map .name
+                                |> Expect.equal [ "Project Inputs", "Excavators", "Trucks", "Summary" ]
+                        )
+            , test "should_give_each_machine_its_rate" <|
+                \_ ->
+                    withEstimate Imperial
+                        (\estimate ->
+                            let
+                                swellFactor =
+                                    estimate.result.looseVolume / estimate.result.bankVolume
+
+                                roomyTrucks =
+                                    List.map (\truck -> { truck | maxPayload = 40.0 }) estimate.trucks
+                            in
+                            Expect.all
+                                [ \_ ->
+                                    lastCells "Excavators" estimate
+                                        |> expectRate (List.sum (List.map Calculations.calculateMachineExcavatorRate estimate.excavators))
+                                , \_ ->
+                                    lastCells "Trucks" { estimate | trucks = roomyTrucks }
+                                        |> expectRate (List.sum (List.map Calculations.calculateMachineTruckRate roomyTrucks) / swellFactor)
+                                ]
+                                ()
+                        )
+            , test "should_cap_truck_rates_at_their_payload" <|
+                \_ ->
+                    withEstimate Imperial
+                        (\estimate ->
+                            let
+                                rateWithPayload payload =
+                                    lastCells "Trucks" { estimate | trucks = List.map (\truck -> { truck | maxPayload = payload }) estimate.trucks }
+                                        |> List.head
+                            in
+                            case ( rateWithPayload 2.0, rateWithPayload 40.0 ) of
+                                ( Just (Number capped), Just (Number full) ) ->
+                                    Expect.lessThan full capped
+
+                                _ ->
+                                    Expect.fail "expected one truck with a rate"
+                        )
+            , test "should_give_figures_in_the_chosen_units" <|
+                \_ ->
+                    withEstimate Metric
+                        (\estimate ->
+                            Expect.all
+                                [ \_ ->
+                                    sheetNamed "Project Inputs" estimate
+                                        |> Maybe.map (.rows >> List.filter (List.head >> (==) (Just (Text "Pond Length"))))
+                                        |> Expect.equal (Just [ [ Text "Pond Length", Number 12.192, Text "m" ] ])
+                                , \_ ->
+                                    sheetNamed "Excavators" estimate
+                                        |> Maybe.map (\sheet -> List.take 3 sheet.header)
+                                        |> Expect.equal (Just [ "Name", "Active", "Bucket Capacity (m³)" ])
+                                , \_ ->
+                                    sheetNamed "Excavators" estimate
+                                        |> Maybe.map (.rows >> List.concatMap (List.drop 2 >> List.take 1))
+                                        |> Expect.equal (Just [ Number 1.911 ])
+                                ]
+                                ()
+                        )
+            , test "should_save_a_csv_file_for_each_table" <|
+                \_ ->
+                    withEstimate Imperial
+                        (\estimate ->
+                            EstimateExport.files Csv estimate
+                                |> List.map .path
+                                |> Expect.equal [ "project-inputs.csv", "excavators.csv", "trucks.csv", "summary.csv" ]
+                        )
+            , test "should_name_the_file_after_the_project" <|
+                \_ ->
+                    case Calendar.fromCalendarDate 2026 6 15 of
+                        Just preparedOn ->
+                            Expect.all
+                                [ \_ -> Expect.equal "north-field-pond-estimate-2026-06-15.xlsx" (EstimateExport.fileName Xlsx "North Field" preparedOn)
+                                , \_ -> Expect.equal "pond-estimate-2026-06-15-csv.zip" (EstimateExport.fileName Csv "" preparedOn)
+                                ]
+                                ()
+
+                        Nothing ->
+                            Expect.fail "2026-06-15 should be a date"
+            ]
+        ]
+
+
+
+-- HELPERS
+
+
+sampleSheet : Sheet
+sampleSheet =
+    { name = "Sample"
+    , header = [ "Name", "Hours" ]
+    , rows =
+        [ [ Text "Ex, 1 & <2>", Number 1.5 ]
+        , [ Text "say \"hi\"", Number (0 / 0) ]
+        ]
+    }
+
+
+occurrences : String -> String -> Int
+occurrences needle haystack =
+    List.length (String.indexes needle haystack)
+
+
+partContent : String -> List Spreadsheet.File -> String
+partContent path parts =
+    parts
+        |> List.filter (\part -> part.path == path)
+        |> List.map .content
+        |> String.concat
+
+
+sheetNamed : String -> Estimate -> Maybe Sheet
+sheetNamed sheetName estimate =
+    EstimateExport.sheets estimate
+        |> List.filter (\sheet -> sheet.name == sheetName)
+        |> List.head
+
+
+{-| The last cell of every row of a table
+-}
+lastCells : String -> Estimate -> List Cell
+lastCells sheetName estimate =
+    sheetNamed sheetName estimate
+        |> Maybe.map (.rows >> List.filterMap (List.reverse >> List.head))
+        |> Maybe.withDefault []
+
+
+expectRate : Float -> List Cell -> Expectation
+expectRate expected cells =
+    case cells of
+        [ Number actual ] ->
+            Expect.within (Expect.Absolute 0.001) expected actual
+
+        _ ->
+            Expect.fail "expected one machine with a rate"
+
+
+withEstimate : UnitSystem -> (Estimate -> Expectation) -> Expectation
+withEstimate unitSystem check =
+    case ( Calendar.fromCalendarDate 2026 6 15, Calculations.calculateTimeline 2.5 2.0 12.0 15.0 1000 8 ) of
+        ( Just preparedOn, Ok result ) ->
+            check
+                { config = fallbackConfig
+                , projectName = "North Field"
+                , preparedOn = preparedOn
+                , unitSystem = unitSystem
+                , formData = ProjectForm.initFormData fallbackConfig.defaults
+                , excavators = [ Utils.Config.defaultExcavator "excavator-1" fallbackConfig.defaults ]
+                , trucks = [ Utils.Config.defaultTruck "truck-1" fallbackConfig.defaults ]
+                , result = result
+                , simulation = Nothing
+                }
+
+        _ ->
+            Expect.fail "the sample estimate should calculate"
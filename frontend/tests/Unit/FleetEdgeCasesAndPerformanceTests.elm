@@ -8,7 +8,7 @@ module Unit.FleetEdgeCasesAndPerformanceTests exposing (suite)
 
 import Expect
 import Test exposing (Test, describe, test)
-import Types.Equipment exposing (EquipmentId, Excavator, Truck)
+import Types.Equipment exposing (EquipmentId, Excavator, OperatorSkill(..), Truck)
 import Utils.Calculations exposing (CalculationError(..), calculateExcavatorFleetProductivity, calculateTruckFleetProductivity, performCalculation)
 import Utils.Config exposing (fallbackConfig)
 import Utils.Validation exposing (validateExcavatorFleet, validateTruckFleet)
@@ -22,10 +22,10 @@ suite =
                 \_ ->
                     let
                         noActiveExcavators =
-                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Inactive", isActive = False } ]
+                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Inactive", isActive = False, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing } ]
 
                         activeTrucks =
-                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Active", isActive = True } ]
+                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Active", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing } ]
 
                         result =
                             performCalculation noActiveExcavators activeTrucks 5000.0 8.0
@@ -43,10 +43,10 @@ suite =
                 \_ ->
                     let
                         activeExcavators =
-                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Active", isActive = True } ]
+                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Active", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing } ]
 
                         noActiveTrucks =
-                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Inactive", isActive = False } ]
+                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Inactive", isActive = False, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing } ]
 
                         result =
                             performCalculation activeExcavators noActiveTrucks 5000.0 8.0
@@ -82,10 +82,10 @@ suite =
                 \_ ->
                     let
                         singleExcavator =
-                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Solo", isActive = True } ]
+                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Solo", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing } ]
 
                         singleTruck =
-                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Solo", isActive = True } ]
+                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Solo", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing } ]
 
                         result =
                             performCalculation singleExcavator singleTruck 5000.0 8.0
@@ -111,13 +111,13 @@ suite =
                             fallbackConfig.validation
 
                         extremeButValidExcavators =
-                            [ { id = "exc1", bucketCapacity = validationRules.excavatorCapacity.min, cycleTime = validationRules.cycleTime.max, name = "Min/Max", isActive = True }
-                            , { id = "exc2", bucketCapacity = validationRules.excavatorCapacity.max, cycleTime = validationRules.cycleTime.min, name = "Max/Min", isActive = True }
+                            [ { id = "exc1", bucketCapacity = validationRules.excavatorCapacity.min, cycleTime = validationRules.cycleTime.max, name = "Min/Max", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+                            , { id = "exc2", bucketCapacity = validationRules.excavatorCapacity.max, cycleTime = validationRules.cycleTime.min, name = "Max/Min", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
                             ]
 
                         extremeButValidTrucks =
-                            [ { id = "truck1", capacity = validationRules.truckCapacity.min, roundTripTime = validationRules.roundTripTime.max, name = "Min/Max", isActive = True }
-                            , { id = "truck2", capacity = validationRules.truckCapacity.max, roundTripTime = validationRules.roundTripTime.min, name = "Max/Min", isActive = True }
+                            [ { id = "truck1", capacity = validationRules.truckCapacity.min, roundTripTime = validationRules.roundTripTime.max, name = "Min/Max", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
+                            , { id = "truck2", capacity = validationRules.truckCapacity.max, roundTripTime = validationRules.roundTripTime.min, name = "Max/Min", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
                             ]
 
                         excavatorErrors =
@@ -144,15 +144,15 @@ suite =
                 \_ ->
                     let
                         mixedExcavators =
-                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Active 1", isActive = True }
-                            , { id = "exc2", bucketCapacity = 50.0, cycleTime = 0.1, name = "Inactive Super", isActive = False } -- Would be invalid if active
-                            , { id = "exc3", bucketCapacity = 3.0, cycleTime = 1.8, name = "Active 2", isActive = True }
-                            , { id = "exc4", bucketCapacity = -1.0, cycleTime = -2.0, name = "Inactive Invalid", isActive = False } -- Invalid values but inactive
+                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Active 1", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+                            , { id = "exc2", bucketCapacity = 50.0, cycleTime = 0.1, name = "Inactive Super", isActive = False, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing } -- Would be invalid if active
+                            , { id = "exc3", bucketCapacity = 3.0, cycleTime = 1.8, name = "Active 2", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+                            , { id = "exc4", bucketCapacity = -1.0, cycleTime = -2.0, name = "Inactive Invalid", isActive = False, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing } -- Invalid values but inactive
                             ]
 
                         mixedTrucks =
-                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Active", isActive = True }
-                            , { id = "truck2", capacity = -5.0, roundTripTime = -10.0, name = "Inactive Invalid", isActive = False }
+                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Active", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
+                            , { id = "truck2", capacity = -5.0, roundTripTime = -10.0, name = "Inactive Invalid", isActive = False, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
                             ]
 
                         activeOnlyProductivity =
@@ -178,10 +178,10 @@ suite =
                 \_ ->
                     let
                         validExcavators =
-                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Excavator", isActive = True } ]
+                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Excavator", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing } ]
 
                         validTrucks =
-                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Truck", isActive = True } ]
+                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Truck", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing } ]
 
                         result =
                             performCalculation validExcavators validTrucks 0.0 8.0
@@ -196,10 +196,10 @@ suite =
                 \_ ->
                     let
                         validExcavators =
-                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Excavator", isActive = True } ]
+                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Excavator", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing } ]
 
                         validTrucks =
-                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Truck", isActive = True } ]
+                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Truck", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing } ]
 
                         result =
                             performCalculation validExcavators validTrucks 5000.0 0.0
@@ -224,6 +224,15 @@ suite =
                                         , cycleTime = 1.5 + toFloat (modBy 2 i) * 0.5 -- Varied cycle times
                                         , name = "Max Fleet Excavator " ++ String.fromInt i
                                         , isActive = True
+                                        , quantity = 1
+                                        , efficiency = 0.85
+                                        , fillFactor = 1.0
+                                        , operatorSkill = Average
+                                        , hourlyRate = 95.0
+                                        , operatorWage = 35.0
+                                        , fuelBurn = 4.5
+                                        , cycleTimeRange = Nothing
+                                        , rosterUnit = Nothing
                                         }
                                     )
 
@@ -236,6 +245,17 @@ suite =
                                         , roundTripTime = 15.0
                                         , name = "Truck " ++ String.fromInt i
                                         , isActive = True
+                                        , quantity = 1
+                                        , efficiency = 0.8
+                                        , fillFactor = 1.0
+                                        , operatorSkill = Average
+                                        , hourlyRate = 65.0
+                                        , operatorWage = 28.0
+                                        , fuelBurn = 5.0
+                                        , roundTripTimeRange = Nothing
+                                        , haulCycle = Nothing
+                                        , maxPayload = 14.0
+                                        , rosterUnit = Nothing
                                         }
                                     )
 
@@ -269,6 +289,15 @@ suite =
                                         , cycleTime = 2.0
                                         , name = "Excavator " ++ String.fromInt i
                                         , isActive = True
+                                        , quantity = 1
+                                        , efficiency = 0.85
+                                        , fillFactor = 1.0
+                                        , operatorSkill = Average
+                                        , hourlyRate = 95.0
+                                        , operatorWage = 35.0
+                                        , fuelBurn = 4.5
+                                        , cycleTimeRange = Nothing
+                                        , rosterUnit = Nothing
                                         }
                                     )
 
@@ -281,6 +310,17 @@ suite =
                                         , roundTripTime = 12.0 + toFloat (modBy 3 i) * 4.0 -- Varied round trip times
                                         , name = "Max Fleet Truck " ++ String.fromInt i
                                         , isActive = True
+                                        , quantity = 1
+                                        , efficiency = 0.8
+                                        , fillFactor = 1.0
+                                        , operatorSkill = Average
+                                        , hourlyRate = 65.0
+                                        , operatorWage = 28.0
+                                        , fuelBurn = 5.0
+                                        , roundTripTimeRange = Nothing
+                                        , haulCycle = Nothing
+                                        , maxPayload = 14.0
+                                        , rosterUnit = Nothing
                                         }
                                     )
 
@@ -314,6 +354,15 @@ suite =
                                         , cycleTime = 1.5 + toFloat (modBy 3 i) * 0.2
                                         , name = "Max Excavator " ++ String.fromInt i
                                         , isActive = True
+                                        , quantity = 1
+                                        , efficiency = 0.85
+                                        , fillFactor = 1.0
+                                        , operatorSkill = Average
+                                        , hourlyRate = 95.0
+                                        , operatorWage = 35.0
+                                        , fuelBurn = 4.5
+                                        , cycleTimeRange = Nothing
+                                        , rosterUnit = Nothing
                                         }
                                     )
 
@@ -326,6 +375,17 @@ suite =
                                         , roundTripTime = 10.0 + toFloat (modBy 4 i) * 2.0
                                         , name = "Max Truck " ++ String.fromInt i
                                         , isActive = True
+                                        , quantity = 1
+                                        , efficiency = 0.8
+                                        , fillFactor = 1.0
+                                        , operatorSkill = Average
+                                        , hourlyRate = 65.0
+                                        , operatorWage = 28.0
+                                        , fuelBurn = 5.0
+                                        , roundTripTimeRange = Nothing
+                                        , haulCycle = Nothing
+                                        , maxPayload = 14.0
+                                        , rosterUnit = Nothing
                                         }
                                     )
 
@@ -369,6 +429,15 @@ suite =
                                         , cycleTime = 2.0
                                         , name = "Excavator " ++ String.fromInt i
                                         , isActive = True
+                                        , quantity = 1
+                                        , efficiency = 0.85
+                                        , fillFactor = 1.0
+                                        , operatorSkill = Average
+                                        , hourlyRate = 95.0
+                                        , operatorWage = 35.0
+                                        , fuelBurn = 4.5
+                                        , cycleTimeRange = Nothing
+                                        , rosterUnit = Nothing
                                         }
                                     )
 
@@ -417,6 +486,15 @@ suite =
                                         , cycleTime = 1.8 + toFloat (modBy 3 i) * 0.3
                                         , name = "Large Fleet Excavator " ++ String.fromInt i
                                         , isActive = True
+                                        , quantity = 1
+                                        , efficiency = 0.85
+                                        , fillFactor = 1.0
+                                        , operatorSkill = Average
+                                        , hourlyRate = 95.0
+                                        , operatorWage = 35.0
+                                        , fuelBurn = 4.5
+                                        , cycleTimeRange = Nothing
+                                        , rosterUnit = Nothing
                                         }
                                     )
 
@@ -429,6 +507,17 @@ suite =
                                         , roundTripTime = 12.0 + toFloat (modBy 4 i) * 2.5
                                         , name = "Large Fleet Truck " ++ String.fromInt i
                                         , isActive = True
+                                        , quantity = 1
+                                        , efficiency = 0.8
+                                        , fillFactor = 1.0
+                                        , operatorSkill = Average
+                                        , hourlyRate = 65.0
+                                        , operatorWage = 28.0
+                                        , fuelBurn = 5.0
+                                        , roundTripTimeRange = Nothing
+                                        , haulCycle = Nothing
+                                        , maxPayload = 14.0
+                                        , rosterUnit = Nothing
                                         }
                                     )
 
@@ -468,6 +557,17 @@ suite =
                                         , roundTripTime = 15.0
                                         , name = "Truck " ++ String.fromInt i
                                         , isActive = True
+                                        , quantity = 1
+                                        , efficiency = 0.8
+                                        , fillFactor = 1.0
+                                        , operatorSkill = Average
+                                        , hourlyRate = 65.0
+                                        , operatorWage = 28.0
+                                        , fuelBurn = 5.0
+                                        , roundTripTimeRange = Nothing
+                                        , haulCycle = Nothing
+                                        , maxPayload = 14.0
+                                        , rosterUnit = Nothing
                                         }
                                     )
 
@@ -480,6 +580,17 @@ suite =
                                         , roundTripTime = 15.0
                                         , name = "Truck " ++ String.fromInt i
                                         , isActive = True
+                                        , quantity = 1
+                                        , efficiency = 0.8
+                                        , fillFactor = 1.0
+                                        , operatorSkill = Average
+                                        , hourlyRate = 65.0
+                                        , operatorWage = 28.0
+                                        , fuelBurn = 5.0
+                                        , roundTripTimeRange = Nothing
+                                        , haulCycle = Nothing
+                                        , maxPayload = 14.0
+                                        , rosterUnit = Nothing
                                         }
                                     )
 
@@ -503,13 +614,13 @@ suite =
                 \_ ->
                     let
                         extremeExcavators =
-                            [ { id = "exc1", bucketCapacity = 0.5, cycleTime = 5.0, name = "Very Slow", isActive = True } -- Very low productivity
-                            , { id = "exc2", bucketCapacity = 5.0, cycleTime = 1.0, name = "Very Fast", isActive = True } -- Very high productivity
+                            [ { id = "exc1", bucketCapacity = 0.5, cycleTime = 5.0, name = "Very Slow", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing } -- Very low productivity
+                            , { id = "exc2", bucketCapacity = 5.0, cycleTime = 1.0, name = "Very Fast", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing } -- Very high productivity
                             ]
 
                         extremeTrucks =
-                            [ { id = "truck1", capacity = 5.0, roundTripTime = 30.0, name = "Very Slow", isActive = True } -- Very low productivity
-                            , { id = "truck2", capacity = 25.0, roundTripTime = 8.0, name = "Very Fast", isActive = True } -- Very high productivity
+                            [ { id = "truck1", capacity = 5.0, roundTripTime = 30.0, name = "Very Slow", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing } -- Very low productivity
+                            , { id = "truck2", capacity = 25.0, roundTripTime = 8.0, name = "Very Fast", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing } -- Very high productivity
                             ]
 
                         result =
@@ -530,16 +641,16 @@ suite =
                 \_ ->
                     let
                         mixedExcavators =
-                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Only Active", isActive = True }
-                            , { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.8, name = "Inactive 1", isActive = False }
-                            , { id = "exc3", bucketCapacity = 2.8, cycleTime = 1.9, name = "Inactive 2", isActive = False }
-                            , { id = "exc4", bucketCapacity = 3.2, cycleTime = 1.7, name = "Inactive 3", isActive = False }
+                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Only Active", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+                            , { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.8, name = "Inactive 1", isActive = False, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+                            , { id = "exc3", bucketCapacity = 2.8, cycleTime = 1.9, name = "Inactive 2", isActive = False, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+                            , { id = "exc4", bucketCapacity = 3.2, cycleTime = 1.7, name = "Inactive 3", isActive = False, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
                             ]
 
                         mixedTrucks =
-                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Only Active", isActive = True }
-                            , { id = "truck2", capacity = 18.0, roundTripTime = 12.0, name = "Inactive 1", isActive = False }
-                            , { id = "truck3", capacity = 15.0, roundTripTime = 14.0, name = "Inactive 2", isActive = False }
+                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Only Active", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
+                            , { id = "truck2", capacity = 18.0, roundTripTime = 12.0, name = "Inactive 1", isActive = False, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
+                            , { id = "truck3", capacity = 15.0, roundTripTime = 14.0, name = "Inactive 2", isActive = False, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
                             ]
 
                         result =
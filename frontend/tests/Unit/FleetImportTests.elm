@@ -0,0 +1,188 @@
+module Unit.FleetImportTests exposing (suite)
+
+{-| Unit tests for importing a fleet from CSV and JSON files
+
+@docs suite
+
+-}
+
+import Expect exposing (Expectation)
+import Test exposing (Test, describe, test)
+import Types.Equipment exposing (Excavator, Truck)
+import Utils.Config exposing (fallbackConfig)
+import Utils.FleetImport as FleetImport exposing (ImportRow, Machine(..))
+import Utils.Units as Units exposing (Quantity(..), UnitSystem(..))
+
+
+suite : Test
+suite =
+    describe "Fleet Import Tests"
+        [ describe "parse"
+            [ test "should_read_excavators_and_trucks_from_csv" <|
+                \_ ->
+                    withRows Imperial
+                        "fleet.csv"
+                        "Name,Type,Capacity,Cycle Time,Round Trip Time,Active\u{000D}\n\"Big Digger, 2\",excavator,3,2.5,,yes\u{000D}\nHauler,Truck,14,,18,no\u{000D}\n"
+                        (\rows ->
+                            Expect.all
+                                [ \_ -> Expect.equal [ 2, 3 ] (List.map .number rows)
+                                , \_ ->
+                                    excavatorsOf rows
+                                        |> List.map (\excavator -> ( excavator.name, excavator.bucketCapacity, excavator.cycleTime ))
+                                        |> Expect.equal [ ( "Big Digger, 2", 3, 2.5 ) ]
+                                , \_ ->
+                                    trucksOf rows
+                                        |> List.map (\truck -> ( truck.name, truck.capacity, truck.isActive ))
+                                        |> Expect.equal [ ( "Hauler", 14, False ) ]
+                                ]
+                                ()
+                        )
+            , test "should_tell_the_type_from_the_columns_and_accept_semicolons" <|
+                \_ ->
+                    withRows Imperial
+                        "fleet.csv"
+                        "name;bucket capacity;cycle time\nSmall;2;2\n\nMid;lots;2\n"
+                        (\rows ->
+                            Expect.all
+                                [ \_ -> Expect.equal [ 2, 4 ] (List.map .number rows)
+                                , \_ -> Expect.equal [ "Small" ] (List.map .name (excavatorsOf rows))
+                                , \_ -> Expect.equal 1 (List.length (List.filter hasProblems rows))
+                                ]
+                                ()
+                        )
+            , test "should_list_problems_for_each_row" <|
+                \_ ->
+                    withRows Imperial
+                        "fleet.csv"
+                        "name,type,capacity,cycle time\nTiny,excavator,0.1,2\nOdd,crane,3,2\nSlow,excavator,2,\n"
+                        (\rows ->
+                            rows
+                                |> List.map problemsOf
+                                |> Expect.all
+                                    [ \problems -> Expect.equal 3 (List.length problems)
+                                    , \problems -> Expect.equal [ True ] (List.map (String.startsWith "Bucket capacity: ") (List.concat (List.take 1 problems)))
+                                    , \problems -> Expect.equal [ [ "Type must be excavator or truck, not 'crane'." ] ] (List.take 1 (List.drop 1 problems))
+                                    , \problems -> Expect.equal [ [ "Cycle time is missing." ] ] (List.drop 2 problems)
+                                    ]
+                        )
+            , test "should_refuse_a_file_without_known_columns" <|
+                \_ ->
+                    FleetImport.parse fallbackConfig Imperial "fleet.csv" "colour,weight\nred,12\n"
+                        |> Result.map List.length
+                        |> Expect.err
+            , test "should_read_json_lists_by_type" <|
+                \_ ->
+                    withRows Imperial
+                        "fleet.json"
+                        "{ \"excavators\": [ { \"name\": \"Digger\", \"bucketCapacity\": 2.5, \"cycleTime\": 2 } ], \"trucks\": [ { \"name\": \"Hauler\", \"capacity\": 12, \"roundTripTime\": 15, \"active\": false } ] }"
+                        (\rows ->
+                            Expect.all
+                                [ \_ -> Expect.equal [ 1, 2 ] (List.map .number rows)
+                                , \_ -> Expect.equal [ "Digger" ] (List.map .name (excavatorsOf rows))
+                                , \_ -> Expect.equal [ ( "Hauler", False ) ] (List.map (\truck -> ( truck.name, truck.isActive )) (trucksOf rows))
+                                ]
+                                ()
+                        )
+            , test "should_read_capacities_in_the_chosen_units" <|
+                \_ ->
+                    withRows Metric
+                        "fleet.csv"
+                        "name,bucket capacity,cycle time\nDigger,2,2\n"
+                        (\rows ->
+                            case excavatorsOf rows of
+                                [ excavator ] ->
+                                    Expect.within (Expect.Absolute 0.0001) (Units.fromDisplay Metric Volume 2) excavator.bucketCapacity
+
+                                _ ->
+                                    Expect.fail "expected one excavator"
+                        )
+            ]
+        , describe "withinLimits"
+            [ test "should_turn_away_machines_the_fleet_has_no_room_for" <|
+                \_ ->
+                    withRows Imperial
+                        "fleet.csv"
+                        "name,bucket capacity,cycle time\nFirst,2,2\nSecond,2,2\n"
+                        (\rows ->
+                            FleetImport.withinLimits { maxExcavators = 2, maxTrucks = 20 } { excavators = 1, trucks = 0 } rows
+                                |> List.map problemsOf
+                                |> Expect.equal [ [], [ "The fleet is full: it holds at most 2 excavators." ] ]
+                        )
+            ]
+        , describe "toFleet"
+            [ test "should_give_imported_machines_fresh_ids" <|
+                \_ ->
+                    withRows Imperial
+                        "fleet.csv"
+                        "name,type,capacity,cycle time,round trip time\nDigger,excavator,2,2,\n,excavator,3,2,\nBroken,excavator,,2,\nHauler,truck,12,,15\n"
+                        (\rows ->
+                            let
+                                fleet =
+                                    FleetImport.toFleet { nextExcavatorId = 4, nextTruckId = 2 } rows
+                            in
+                            Expect.all
+                                [ \_ -> Expect.equal [ ( "excavator-4", "Digger" ), ( "excavator-5", "CAT 320 Excavator 5" ) ] (List.map (\excavator -> ( excavator.id, excavator.name )) fleet.excavators)
+                                , \_ -> Expect.equal [ "truck-2" ] (List.map .id fleet.trucks)
+                                , \_ -> Expect.equal ( 6, 3 ) ( fleet.nextExcavatorId, fleet.nextTruckId )
+                                ]
+                                ()
+                        )
+            ]
+        ]
+
+
+
+-- HELPERS
+
+
+withRows : UnitSystem -> String -> String -> (List ImportRow -> Expectation) -> Expectation
+withRows units fileName content check =
+    case FleetImport.parse fallbackConfig units fileName content of
+        Ok rows ->
+            check rows
+
+        Err problem ->
+            Expect.fail problem
+
+
+excavatorsOf : List ImportRow -> List Excavator
+excavatorsOf rows =
+    List.filterMap
+        (\row ->
+            case row.machine of
+                Ok (ImportedExcavator excavator) ->
+                    Just excavator
+
+                _ ->
+                    Nothing
+        )
+        rows
+
+
+trucksOf : List ImportRow -> List Truck
+trucksOf rows =
+    List.filterMap
+        (\row ->
+            case row.machine of
+                Ok (ImportedTruck truck) ->
+                    Just truck
+
+                _ ->
+                    Nothing
+        )
+        rows
+
+
+problemsOf : ImportRow -> List String
+problemsOf row =
+    case row.machine of
+        Ok _ ->
+            []
+
+        Err problems ->
+            problems
+
+
+hasProblems : ImportRow -> Bool
+hasProblems row =
+    not (List.isEmpty (problemsOf row))
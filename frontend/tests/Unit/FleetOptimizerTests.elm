@@ -0,0 +1,148 @@
+module Unit.FleetOptimizerTests exposing (suite)
+
+{-| Unit tests for the solve-for-deadline fleet search
+
+@docs suite
+
+-}
+
+import Expect
+import Test exposing (Test, describe, test)
+import Types.Equipment exposing (defaultHaulCycle)
+import Types.Phase exposing (PhaseKind(..), newPhase)
+import Utils.Calculations exposing (Bottleneck(..))
+import Utils.Config exposing (catalogName, fallbackConfig)
+import Utils.FleetOptimizer exposing (FleetOption, OptimizerInputs, catalogExcavators, catalogTrucks, maxOptions, optimizeFleet)
+
+
+suite : Test
+suite =
+    describe "Fleet Optimizer Tests"
+        [ describe "optimizeFleet"
+            [ test "should_only_return_fleets_that_meet_deadline" <|
+                \_ ->
+                    search testInputs
+                        |> List.map .timelineInDays
+                        |> List.all (\days -> days <= testInputs.targetDays)
+                        |> Expect.equal True
+            , test "should_rank_fastest_fleet_first" <|
+                \_ ->
+                    let
+                        days =
+                            search testInputs
+                                |> List.map .timelineInDays
+                    in
+                    Expect.all
+                        [ \d -> Expect.equal False (List.isEmpty d)
+                        , \d -> Expect.equal (List.sort d) d
+                        ]
+                        days
+            , test "should_rank_cheaper_of_equally_fast_fleets_first" <|
+                \_ ->
+                    let
+                        options =
+                            search { testInputs | targetDays = 1000 }
+
+                        inOrder ( first, second ) =
+                            first.timelineInDays
+                                /= second.timelineInDays
+                                || first.bottleneck
+                                /= second.bottleneck
+                                || Maybe.withDefault 0 first.cost
+                                <= Maybe.withDefault 0 second.cost
+                    in
+                    List.map2 Tuple.pair options (List.drop 1 options)
+                        |> List.all inOrder
+                        |> Expect.equal True
+            , test "should_return_at_most_max_options" <|
+                \_ ->
+                    search { testInputs | targetDays = 1000 }
+                        |> List.length
+                        |> Expect.atMost maxOptions
+            , test "should_stop_adding_trucks_once_hauling_keeps_up" <|
+                \_ ->
+                    let
+                        options =
+                            search { testInputs | targetDays = 1000 }
+
+                        moreTrucksOnSameFleet option other =
+                            ( other.excavatorModel, other.truckModel, other.excavatorCount ) == ( option.excavatorModel, option.truckModel, option.excavatorCount ) && other.truckCount > option.truckCount
+
+                        idleTrucksAdded option =
+                            option.bottleneck /= HaulingBottleneck && List.any (moreTrucksOnSameFleet option) options
+                    in
+                    Expect.all
+                        [ \o -> Expect.equal False (List.isEmpty o)
+                        , \o -> Expect.equal False (List.any idleTrucksAdded o)
+                        ]
+                        options
+            , test "should_return_nothing_for_impossible_deadline" <|
+                \_ ->
+                    search { testInputs | bankVolume = 1000000.0, targetDays = 1 }
+                        |> Expect.equal []
+            , test "should_run_trucks_on_the_haul_route" <|
+                \_ ->
+                    let
+                        fastest inputs =
+                            search { inputs | targetDays = 1000 }
+                                |> List.map .timelineInDays
+                                |> List.minimum
+                    in
+                    Expect.greaterThan (Maybe.withDefault 0 (fastest testInputs))
+                        (Maybe.withDefault 0 (fastest { testInputs | haulRoute = Just { defaultHaulCycle | distance = 20.0 } }))
+            , test "should_include_phase_hours_in_the_timeline" <|
+                \_ ->
+                    let
+                        fastest inputs =
+                            search { inputs | targetDays = 1000 }
+                                |> List.map .totalHours
+                                |> List.minimum
+                    in
+                    Expect.greaterThan (Maybe.withDefault 0 (fastest testInputs))
+                        (Maybe.withDefault 0 (fastest { testInputs | phases = [ newPhase "phase-1" Shaping [] [] ] }))
+            , test "should_stay_within_fleet_limits" <|
+                \_ ->
+                    search { testInputs | targetDays = 1000 }
+                        |> List.all (\option -> option.excavatorCount <= 2 && option.truckCount <= 4)
+                        |> Expect.equal True
+            , test "should_try_excavators_only_when_spoil_stays_on_site" <|
+                \_ ->
+                    let
+                        options =
+                            search { testInputs | exportPercent = 0, targetDays = 1000 }
+                    in
+                    Expect.all
+                        [ \o -> Expect.equal False (List.isEmpty o)
+                        , \o -> Expect.equal True (List.all (\option -> option.truckCount == 0) o)
+                        ]
+                        options
+            ]
+        , describe "catalogExcavators"
+            [ test "should_offer_every_catalog_model" <|
+                \_ ->
+                    catalogExcavators fallbackConfig
+                        |> List.map .name
+                        |> Expect.equal (List.map catalogName fallbackConfig.catalog.excavators)
+            ]
+        ]
+
+
+testInputs : OptimizerInputs
+testInputs =
+    { targetDays = 3
+    , swellPercent = 25.0
+    , exportPercent = 100.0
+    , soilDensity = 3000.0
+    , bankVolume = 500.0
+    , workHoursPerDay = 8.0
+    , haulRoute = Nothing
+    , phases = []
+    , costRates = Just { fuelPrice = 4.0, disposalFee = 8.0 }
+    }
+
+
+search : OptimizerInputs -> List FleetOption
+search =
+    optimizeFleet { maxExcavators = 2, maxTrucks = 4 }
+        (catalogExcavators fallbackConfig)
+        (catalogTrucks fallbackConfig)
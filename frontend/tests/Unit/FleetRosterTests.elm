@@ -0,0 +1,193 @@
+module Unit.FleetRosterTests exposing (suite)
+
+{-| Unit tests for the roster of the company's own machines and its storage
+format
+
+@docs suite
+
+-}
+
+import Components.FleetRoster as FleetRoster exposing (RosterMsg(..))
+import Expect
+import Json.Encode as Encode
+import Test exposing (Test, describe, test)
+import Types.Equipment exposing (Excavator, OperatorSkill(..), Truck, defaultHaulCycle)
+import Types.Roster exposing (RosterMachine(..), RosterUnit, isUnit, unitName)
+import Utils.ProjectCodec as ProjectCodec
+
+
+suite : Test
+suite =
+    describe "Fleet Roster Tests"
+        [ describe "ProjectCodec"
+            [ test "should_read_back_the_roster_it_saves" <|
+                \_ ->
+                    testUnits
+                        |> ProjectCodec.encodeRoster
+                        |> Encode.encode 0
+                        |> ProjectCodec.decodeRoster
+                        |> Expect.equal (Ok testUnits)
+            , test "should_read_machines_saved_before_they_were_tied_to_units" <|
+                \_ ->
+                    testUnits
+                        |> ProjectCodec.encodeRoster
+                        |> Encode.encode 0
+                        |> String.replace ("\"version\":" ++ String.fromInt ProjectCodec.currentVersion) "\"version\":1"
+                        |> String.replace ",\"rosterUnit\":null" ""
+                        |> ProjectCodec.decodeRoster
+                        |> Expect.equal (Ok testUnits)
+            , test "should_refuse_rosters_from_newer_versions" <|
+                \_ ->
+                    ProjectCodec.decodeRoster ("{\"version\":" ++ String.fromInt (ProjectCodec.currentVersion + 1) ++ ",\"units\":[]}")
+                        |> Expect.err
+            ]
+        , describe "unit names"
+            [ test "should_name_a_unit_by_its_number_and_description" <|
+                \_ ->
+                    List.map unitName testUnits
+                        |> Expect.equal [ "EX-07 CAT 320 w/ 1.5yd bucket", "T-12 Kenworth tri-axle" ]
+            , test "should_know_a_unit_by_the_number_it_was_added_under" <|
+                \_ ->
+                    List.map (isUnit testExcavatorUnit) [ Just "EX-07", Just "ex-07", Just "EX-070", Nothing ]
+                        |> Expect.equal [ True, True, False, False ]
+            , test "should_not_take_machines_named_alike_for_the_unit" <|
+                \_ ->
+                    let
+                        catUnit =
+                            { testExcavatorUnit | unitNumber = "CAT", description = "320" }
+
+                        fromRoster =
+                            { testExcavator | name = "CAT 320", rosterUnit = Just "CAT" }
+
+                        fromCatalog =
+                            { testExcavator | id = "excavator-4", name = "CAT 336", rosterUnit = Nothing }
+                    in
+                    List.map (.rosterUnit >> isUnit catUnit) [ fromRoster, fromCatalog ]
+                        |> Expect.equal [ True, False ]
+            ]
+        , describe "saveUnit"
+            [ test "should_save_a_machine_under_the_number_typed" <|
+                \_ ->
+                    FleetRoster.initState
+                        |> FleetRoster.updateState (StartSaving "truck-2" "Kenworth" Nothing)
+                        |> FleetRoster.updateState (SetUnitNumber " T-12 ")
+                        |> FleetRoster.updateState (SetDescription "Kenworth tri-axle ")
+                        |> FleetRoster.saveUnit (RosterTruck testTruck)
+                        |> Expect.all
+                            [ \roster -> Expect.equal [ ( "T-12", "Kenworth tri-axle", True ) ] (List.map (\unit -> ( unit.unitNumber, unit.description, unit.available )) roster.units)
+                            , \roster -> Expect.equal Nothing roster.saving
+                            ]
+            , test "should_update_a_unit_saved_again_keeping_its_availability" <|
+                \_ ->
+                    testRoster
+                        |> FleetRoster.updateState (SetAvailable "EX-07" False)
+                        |> FleetRoster.updateState (StartSaving "excavator-9" "Renamed on site" (Just "EX-07"))
+                        |> FleetRoster.saveUnit (RosterExcavator { testExcavator | cycleTime = 1.6 })
+                        |> .units
+                        |> List.map (\unit -> ( unit.unitNumber, unit.available, cycleTimeOf unit ))
+                        |> Expect.equal [ ( "EX-07", False, Just 1.6 ), ( "T-12", True, Nothing ) ]
+            , test "should_refuse_a_unit_number_of_more_than_one_word" <|
+                \_ ->
+                    testRoster
+                        |> FleetRoster.updateState (StartSaving "excavator-1" "Mini" Nothing)
+                        |> FleetRoster.updateState (SetUnitNumber "EX 08")
+                        |> FleetRoster.saveUnit (RosterExcavator testExcavator)
+                        |> Expect.all
+                            [ \roster -> Expect.equal testUnits roster.units
+                            , \roster -> Expect.notEqual Nothing (Maybe.andThen .problem roster.saving)
+                            ]
+            ]
+        , describe "updateState"
+            [ test "should_only_remove_once_confirmed" <|
+                \_ ->
+                    testRoster
+                        |> FleetRoster.updateState (RemoveUnit "T-12")
+                        |> Expect.all
+                            [ \roster -> Expect.equal 2 (List.length roster.units)
+                            , \roster -> Expect.equal [ "EX-07" ] (List.map .unitNumber (FleetRoster.updateState (ConfirmRemove "T-12") roster).units)
+                            ]
+            ]
+        ]
+
+
+
+-- TEST DATA
+
+
+testExcavator : Excavator
+testExcavator =
+    { id = "excavator-3"
+    , bucketCapacity = 1.5
+    , cycleTime = 1.8
+    , name = "CAT 320"
+    , isActive = True
+    , quantity = 1
+    , efficiency = 0.85
+    , fillFactor = 1.0
+    , operatorSkill = Average
+    , hourlyRate = 95.0
+    , operatorWage = 35.0
+    , fuelBurn = 4.5
+    , cycleTimeRange = Just { min = 1.5, max = 2.4 }
+    , rosterUnit = Nothing
+    }
+
+
+testTruck : Truck
+testTruck =
+    { id = "truck-2"
+    , capacity = 18.0
+    , roundTripTime = 22.0
+    , name = "Kenworth"
+    , isActive = True
+    , quantity = 1
+    , efficiency = 0.8
+    , fillFactor = 1.0
+    , operatorSkill = Expert
+    , hourlyRate = 85.0
+    , operatorWage = 30.0
+    , fuelBurn = 6.0
+    , roundTripTimeRange = Nothing
+    , haulCycle = Just defaultHaulCycle
+    , maxPayload = 25.0
+    , rosterUnit = Nothing
+    }
+
+
+testExcavatorUnit : RosterUnit
+testExcavatorUnit =
+    { unitNumber = "EX-07"
+    , description = "CAT 320 w/ 1.5yd bucket"
+    , available = True
+    , machine = RosterExcavator testExcavator
+    }
+
+
+testUnits : List RosterUnit
+testUnits =
+    [ testExcavatorUnit
+    , { unitNumber = "T-12"
+      , description = "Kenworth tri-axle"
+      , available = True
+      , machine = RosterTruck testTruck
+      }
+    ]
+
+
+testRoster : FleetRoster.State
+testRoster =
+    let
+        roster =
+            FleetRoster.initState
+    in
+    { roster | units = testUnits }
+
+
+cycleTimeOf : RosterUnit -> Maybe Float
+cycleTimeOf unit =
+    case unit.machine of
+        RosterExcavator excavator ->
+            Just excavator.cycleTime
+
+        RosterTruck _ ->
+            Nothing
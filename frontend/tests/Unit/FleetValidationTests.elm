@@ -8,7 +8,7 @@ module Unit.FleetValidationTests exposing (suite)
 
 import Expect
 import Test exposing (Test, describe, test)
-import Types.Equipment exposing (EquipmentId, Excavator, Truck)
+import Types.Equipment exposing (EquipmentId, Excavator, OperatorSkill(..), Truck)
 import Types.Validation exposing (ValidationError(..))
 import Utils.Config exposing (ValidationRange, ValidationRules, fallbackConfig)
 import Utils.Validation exposing (ExcavatorField(..), TruckField(..), validateExcavatorFleet, validateTruckFleet)
@@ -25,10 +25,10 @@ suite =
                             fallbackConfig.validation
 
                         mixedFleet =
-                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Valid 1", isActive = True }
-                            , { id = "exc2", bucketCapacity = -1.0, cycleTime = 1.8, name = "Invalid Capacity", isActive = True }
-                            , { id = "exc3", bucketCapacity = 3.0, cycleTime = -0.5, name = "Invalid Cycle", isActive = True }
-                            , { id = "exc4", bucketCapacity = 2.2, cycleTime = 2.1, name = "Valid 2", isActive = True }
+                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Valid 1", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+                            , { id = "exc2", bucketCapacity = -1.0, cycleTime = 1.8, name = "Invalid Capacity", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+                            , { id = "exc3", bucketCapacity = 3.0, cycleTime = -0.5, name = "Invalid Cycle", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+                            , { id = "exc4", bucketCapacity = 2.2, cycleTime = 2.1, name = "Valid 2", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
                             ]
 
                         validationErrors =
@@ -55,9 +55,9 @@ suite =
                             fallbackConfig.validation
 
                         validFleet =
-                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Valid 1", isActive = True }
-                            , { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.8, name = "Valid 2", isActive = True }
-                            , { id = "exc3", bucketCapacity = 1.5, cycleTime = 2.5, name = "Valid 3", isActive = True }
+                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Valid 1", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+                            , { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.8, name = "Valid 2", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+                            , { id = "exc3", bucketCapacity = 1.5, cycleTime = 2.5, name = "Valid 3", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
                             ]
 
                         validationErrors =
@@ -71,8 +71,8 @@ suite =
                             fallbackConfig.validation
 
                         fleetWithNegativeCapacity =
-                            [ { id = "exc1", bucketCapacity = -2.5, cycleTime = 2.0, name = "Negative Capacity", isActive = True }
-                            , { id = "exc2", bucketCapacity = -0.1, cycleTime = 1.8, name = "Slightly Negative", isActive = True }
+                            [ { id = "exc1", bucketCapacity = -2.5, cycleTime = 2.0, name = "Negative Capacity", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+                            , { id = "exc2", bucketCapacity = -0.1, cycleTime = 1.8, name = "Slightly Negative", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
                             ]
 
                         validationErrors =
@@ -93,8 +93,8 @@ suite =
                             fallbackConfig.validation
 
                         fleetWithNegativeCycleTime =
-                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = -1.0, name = "Negative Cycle", isActive = True }
-                            , { id = "exc2", bucketCapacity = 3.0, cycleTime = -0.5, name = "Slightly Negative Cycle", isActive = True }
+                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = -1.0, name = "Negative Cycle", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+                            , { id = "exc2", bucketCapacity = 3.0, cycleTime = -0.5, name = "Slightly Negative Cycle", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
                             ]
 
                         validationErrors =
@@ -115,10 +115,10 @@ suite =
                             fallbackConfig.validation
 
                         fleetWithOutOfRangeValues =
-                            [ { id = "exc1", bucketCapacity = 0.05, cycleTime = 2.0, name = "Too Small Capacity", isActive = True } -- Below min (0.1)
-                            , { id = "exc2", bucketCapacity = 20.0, cycleTime = 1.8, name = "Too Large Capacity", isActive = True } -- Above max (15.0)
-                            , { id = "exc3", bucketCapacity = 2.5, cycleTime = 0.1, name = "Too Fast Cycle", isActive = True } -- Below min (0.5)
-                            , { id = "exc4", bucketCapacity = 3.0, cycleTime = 15.0, name = "Too Slow Cycle", isActive = True } -- Above max (10.0)
+                            [ { id = "exc1", bucketCapacity = 0.05, cycleTime = 2.0, name = "Too Small Capacity", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing } -- Below min (0.1)
+                            , { id = "exc2", bucketCapacity = 20.0, cycleTime = 1.8, name = "Too Large Capacity", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing } -- Above max (15.0)
+                            , { id = "exc3", bucketCapacity = 2.5, cycleTime = 0.1, name = "Too Fast Cycle", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing } -- Below min (0.5)
+                            , { id = "exc4", bucketCapacity = 3.0, cycleTime = 15.0, name = "Too Slow Cycle", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing } -- Above max (10.0)
                             ]
 
                         validationErrors =
@@ -155,6 +155,23 @@ suite =
                             validateExcavatorFleet validationRules emptyFleet
                     in
                     Expect.equal [] validationErrors
+            , test "validates excavator efficiency and fill factor" <|
+                \_ ->
+                    let
+                        validationRules =
+                            fallbackConfig.validation
+
+                        excavatorFleet =
+                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Idle Most Of The Day", isActive = True, quantity = 1, efficiency = 0.1, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+                            , { id = "exc2", bucketCapacity = 2.5, cycleTime = 2.0, name = "Overfilled", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 2.0, operatorSkill = Expert, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+                            ]
+
+                        validationErrors =
+                            validateExcavatorFleet validationRules excavatorFleet
+                    in
+                    Expect.equal
+                        [ ( "exc1", ExcavatorEfficiency ), ( "exc2", ExcavatorFillFactor ) ]
+                        (List.map (\( id, field, _ ) -> ( id, field )) validationErrors)
             ]
         , describe "Truck Fleet Validation"
             [ test "validates all trucks in fleet independently" <|
@@ -164,10 +181,10 @@ suite =
                             fallbackConfig.validation
 
                         mixedFleet =
-                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Valid 1", isActive = True }
-                            , { id = "truck2", capacity = -5.0, roundTripTime = 12.0, name = "Invalid Capacity", isActive = True }
-                            , { id = "truck3", capacity = 18.0, roundTripTime = -10.0, name = "Invalid Round Trip", isActive = True }
-                            , { id = "truck4", capacity = 15.0, roundTripTime = 18.0, name = "Valid 2", isActive = True }
+                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Valid 1", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
+                            , { id = "truck2", capacity = -5.0, roundTripTime = 12.0, name = "Invalid Capacity", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
+                            , { id = "truck3", capacity = 18.0, roundTripTime = -10.0, name = "Invalid Round Trip", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
+                            , { id = "truck4", capacity = 15.0, roundTripTime = 18.0, name = "Valid 2", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
                             ]
 
                         validationErrors =
@@ -194,10 +211,10 @@ suite =
                             fallbackConfig.validation
 
                         validFleet =
-                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Valid 1", isActive = True }
-                            , { id = "truck2", capacity = 18.0, roundTripTime = 12.0, name = "Valid 2", isActive = True }
-                            , { id = "truck3", capacity = 8.0, roundTripTime = 20.0, name = "Valid 3", isActive = True }
-                            , { id = "truck4", capacity = 25.0, roundTripTime = 25.0, name = "Valid 4", isActive = True }
+                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Valid 1", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
+                            , { id = "truck2", capacity = 18.0, roundTripTime = 12.0, name = "Valid 2", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
+                            , { id = "truck3", capacity = 8.0, roundTripTime = 20.0, name = "Valid 3", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
+                            , { id = "truck4", capacity = 25.0, roundTripTime = 25.0, name = "Valid 4", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
                             ]
 
                         validationErrors =
@@ -211,8 +228,8 @@ suite =
                             fallbackConfig.validation
 
                         fleetWithNegativeCapacity =
-                            [ { id = "truck1", capacity = -12.0, roundTripTime = 15.0, name = "Negative Capacity", isActive = True }
-                            , { id = "truck2", capacity = -0.5, roundTripTime = 12.0, name = "Slightly Negative", isActive = True }
+                            [ { id = "truck1", capacity = -12.0, roundTripTime = 15.0, name = "Negative Capacity", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
+                            , { id = "truck2", capacity = -0.5, roundTripTime = 12.0, name = "Slightly Negative", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
                             ]
 
                         validationErrors =
@@ -233,8 +250,8 @@ suite =
                             fallbackConfig.validation
 
                         fleetWithNegativeRoundTrip =
-                            [ { id = "truck1", capacity = 12.0, roundTripTime = -15.0, name = "Negative Round Trip", isActive = True }
-                            , { id = "truck2", capacity = 18.0, roundTripTime = -1.0, name = "Slightly Negative RT", isActive = True }
+                            [ { id = "truck1", capacity = 12.0, roundTripTime = -15.0, name = "Negative Round Trip", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
+                            , { id = "truck2", capacity = 18.0, roundTripTime = -1.0, name = "Slightly Negative RT", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
                             ]
 
                         validationErrors =
@@ -255,10 +272,10 @@ suite =
                             fallbackConfig.validation
 
                         fleetWithOutOfRangeValues =
-                            [ { id = "truck1", capacity = 2.0, roundTripTime = 15.0, name = "Too Small Capacity", isActive = True } -- Below min (5.0)
-                            , { id = "truck2", capacity = 60.0, roundTripTime = 12.0, name = "Too Large Capacity", isActive = True } -- Above max (50.0)
-                            , { id = "truck3", capacity = 15.0, roundTripTime = 2.0, name = "Too Fast Round Trip", isActive = True } -- Below min (5.0)
-                            , { id = "truck4", capacity = 12.0, roundTripTime = 150.0, name = "Too Slow Round Trip", isActive = True } -- Above max (120.0)
+                            [ { id = "truck1", capacity = 2.0, roundTripTime = 15.0, name = "Too Small Capacity", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing } -- Below min (5.0)
+                            , { id = "truck2", capacity = 60.0, roundTripTime = 12.0, name = "Too Large Capacity", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing } -- Above max (50.0)
+                            , { id = "truck3", capacity = 15.0, roundTripTime = 2.0, name = "Too Fast Round Trip", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing } -- Below min (5.0)
+                            , { id = "truck4", capacity = 12.0, roundTripTime = 150.0, name = "Too Slow Round Trip", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing } -- Above max (120.0)
                             ]
 
                         validationErrors =
@@ -304,15 +321,15 @@ suite =
                             fallbackConfig.validation
 
                         problematicExcavatorFleet =
-                            [ { id = "exc1", bucketCapacity = -2.5, cycleTime = -1.0, name = "Double Invalid", isActive = True }
-                            , { id = "exc2", bucketCapacity = 50.0, cycleTime = 20.0, name = "Double Out of Range", isActive = True }
-                            , { id = "exc3", bucketCapacity = 2.5, cycleTime = 2.0, name = "Valid", isActive = True }
+                            [ { id = "exc1", bucketCapacity = -2.5, cycleTime = -1.0, name = "Double Invalid", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+                            , { id = "exc2", bucketCapacity = 50.0, cycleTime = 20.0, name = "Double Out of Range", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+                            , { id = "exc3", bucketCapacity = 2.5, cycleTime = 2.0, name = "Valid", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
                             ]
 
                         problematicTruckFleet =
-                            [ { id = "truck1", capacity = -12.0, roundTripTime = -15.0, name = "Double Invalid", isActive = True }
-                            , { id = "truck2", capacity = 60.0, roundTripTime = 150.0, name = "Double Out of Range", isActive = True } -- Above max (50.0, 120.0)
-                            , { id = "truck3", capacity = 12.0, roundTripTime = 15.0, name = "Valid", isActive = True }
+                            [ { id = "truck1", capacity = -12.0, roundTripTime = -15.0, name = "Double Invalid", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
+                            , { id = "truck2", capacity = 60.0, roundTripTime = 150.0, name = "Double Out of Range", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing } -- Above max (50.0, 120.0)
+                            , { id = "truck3", capacity = 12.0, roundTripTime = 15.0, name = "Valid", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
                             ]
 
                         excavatorErrors =
@@ -345,16 +362,16 @@ suite =
                             fallbackConfig.validation
 
                         excavatorWithCapacityError =
-                            [ { id = "exc1", bucketCapacity = -1.0, cycleTime = 2.0, name = "Capacity Error", isActive = True } ]
+                            [ { id = "exc1", bucketCapacity = -1.0, cycleTime = 2.0, name = "Capacity Error", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing } ]
 
                         excavatorWithCycleError =
-                            [ { id = "exc2", bucketCapacity = 2.5, cycleTime = -1.0, name = "Cycle Error", isActive = True } ]
+                            [ { id = "exc2", bucketCapacity = 2.5, cycleTime = -1.0, name = "Cycle Error", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing } ]
 
                         truckWithCapacityError =
-                            [ { id = "truck1", capacity = -5.0, roundTripTime = 15.0, name = "Capacity Error", isActive = True } ]
+                            [ { id = "truck1", capacity = -5.0, roundTripTime = 15.0, name = "Capacity Error", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing } ]
 
                         truckWithRoundTripError =
-                            [ { id = "truck2", capacity = 12.0, roundTripTime = -5.0, name = "Round Trip Error", isActive = True } ]
+                            [ { id = "truck2", capacity = 12.0, roundTripTime = -5.0, name = "Round Trip Error", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing } ]
 
                         capacityErrors =
                             validateExcavatorFleet validationRules excavatorWithCapacityError
@@ -432,6 +449,15 @@ suite =
                                         , cycleTime = 1.8 + toFloat i * 0.1
                                         , name = "Excavator " ++ String.fromInt i
                                         , isActive = True
+                                        , quantity = 1
+                                        , efficiency = 0.85
+                                        , fillFactor = 1.0
+                                        , operatorSkill = Average
+                                        , hourlyRate = 95.0
+                                        , operatorWage = 35.0
+                                        , fuelBurn = 4.5
+                                        , cycleTimeRange = Nothing
+                                        , rosterUnit = Nothing
                                         }
                                     )
 
@@ -468,6 +494,17 @@ suite =
                                         -- Every 4th truck has invalid round trip
                                         , name = "Truck " ++ String.fromInt i
                                         , isActive = True
+                                        , quantity = 1
+                                        , efficiency = 0.8
+                                        , fillFactor = 1.0
+                                        , operatorSkill = Average
+                                        , hourlyRate = 65.0
+                                        , operatorWage = 28.0
+                                        , fuelBurn = 5.0
+                                        , roundTripTimeRange = Nothing
+                                        , haulCycle = Nothing
+                                        , maxPayload = 14.0
+                                        , rosterUnit = Nothing
                                         }
                                     )
 
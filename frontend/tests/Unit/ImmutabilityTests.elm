@@ -6,17 +6,13 @@ module Unit.ImmutabilityTests exposing (suite)
 
 -}
 
-import Dict
 import Expect
 import Test exposing (Test, describe, test)
+import TestModel exposing (testModel)
 import Types.DeviceType exposing (DeviceType(..))
-import Types.Equipment exposing (EquipmentId, Excavator, Truck)
+import Types.Equipment exposing (EquipmentId, Excavator, OperatorSkill(..), Truck)
 import Types.Messages exposing (ExcavatorUpdate(..), Msg(..), TruckUpdate(..))
 import Types.Model exposing (Model)
-import Types.Onboarding
-import Utils.Config
-import Utils.Debounce
-import Utils.Performance
 
 
 suite : Test
@@ -27,8 +23,8 @@ suite =
                 \_ ->
                     let
                         originalExcavators =
-                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Original", isActive = True }
-                            , { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.8, name = "Original 2", isActive = True }
+                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Original", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+                            , { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.8, name = "Original 2", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
                             ]
 
                         originalModel =
@@ -36,7 +32,7 @@ suite =
 
                         -- Simulate adding an excavator
                         newExcavator =
-                            { id = "exc3", bucketCapacity = 2.2, cycleTime = 2.1, name = "New Excavator", isActive = True }
+                            { id = "exc3", bucketCapacity = 2.2, cycleTime = 2.1, name = "New Excavator", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
 
                         updatedModel =
                             { originalModel | excavators = originalModel.excavators ++ [ newExcavator ] }
@@ -55,9 +51,9 @@ suite =
                 \_ ->
                     let
                         originalExcavators =
-                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Keep", isActive = True }
-                            , { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.8, name = "Remove", isActive = True }
-                            , { id = "exc3", bucketCapacity = 2.2, cycleTime = 2.1, name = "Keep 2", isActive = True }
+                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Keep", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+                            , { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.8, name = "Remove", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+                            , { id = "exc3", bucketCapacity = 2.2, cycleTime = 2.1, name = "Keep 2", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
                             ]
 
                         originalModel =
@@ -87,8 +83,8 @@ suite =
                 \_ ->
                     let
                         originalExcavators =
-                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Original Name", isActive = True }
-                            , { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.8, name = "Unchanged", isActive = True }
+                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Original Name", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+                            , { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.8, name = "Unchanged", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
                             ]
 
                         originalModel =
@@ -139,7 +135,7 @@ suite =
                 \_ ->
                     let
                         originalTrucks =
-                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Original", isActive = True }
+                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Original", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
                             ]
 
                         originalModel =
@@ -147,7 +143,7 @@ suite =
 
                         -- Simulate adding a truck
                         newTruck =
-                            { id = "truck2", capacity = 15.0, roundTripTime = 12.0, name = "New Truck", isActive = True }
+                            { id = "truck2", capacity = 15.0, roundTripTime = 12.0, name = "New Truck", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
 
                         updatedModel =
                             { originalModel | trucks = originalModel.trucks ++ [ newTruck ] }
@@ -162,8 +158,8 @@ suite =
                 \_ ->
                     let
                         originalTrucks =
-                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Keep", isActive = True }
-                            , { id = "truck2", capacity = 15.0, roundTripTime = 12.0, name = "Remove", isActive = True }
+                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Keep", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
+                            , { id = "truck2", capacity = 15.0, roundTripTime = 12.0, name = "Remove", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
                             ]
 
                         originalModel =
@@ -188,7 +184,7 @@ suite =
                 \_ ->
                     let
                         originalTrucks =
-                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Original", isActive = True }
+                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Original", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
                             ]
 
                         originalModel =
@@ -240,8 +236,8 @@ suite =
                     let
                         originalModel =
                             createTestModel
-                                [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Test", isActive = True } ]
-                                [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Test", isActive = True } ]
+                                [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Test", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing } ]
+                                [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Test", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing } ]
 
                         originalMessage =
                             originalModel.message
@@ -255,8 +251,8 @@ suite =
                         -- Simulate adding equipment
                         updatedModel =
                             { originalModel
-                                | excavators = originalModel.excavators ++ [ { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.8, name = "New", isActive = True } ]
-                                , trucks = originalModel.trucks ++ [ { id = "truck2", capacity = 15.0, roundTripTime = 12.0, name = "New", isActive = True } ]
+                                | excavators = originalModel.excavators ++ [ { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.8, name = "New", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing } ]
+                                , trucks = originalModel.trucks ++ [ { id = "truck2", capacity = 15.0, roundTripTime = 12.0, name = "New", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing } ]
                             }
                     in
                     Expect.all
@@ -299,7 +295,7 @@ suite =
                 \_ ->
                     let
                         originalExcavator =
-                            { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Original", isActive = True }
+                            { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Original", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
 
                         originalList =
                             [ originalExcavator ]
@@ -323,10 +319,10 @@ suite =
                 \_ ->
                     let
                         equipment1 =
-                            { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Equipment 1", isActive = True }
+                            { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Equipment 1", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
 
                         equipment2 =
-                            { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.8, name = "Equipment 2", isActive = True }
+                            { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.8, name = "Equipment 2", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
 
                         originalList =
                             [ equipment1, equipment2 ]
@@ -339,7 +335,7 @@ suite =
                             List.map (\exc -> { exc | isActive = False }) originalList
 
                         appendedList =
-                            originalList ++ [ { id = "exc3", bucketCapacity = 2.2, cycleTime = 2.1, name = "Equipment 3", isActive = True } ]
+                            originalList ++ [ { id = "exc3", bucketCapacity = 2.2, cycleTime = 2.1, name = "Equipment 3", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing } ]
                     in
                     Expect.all
                         [ \_ -> Expect.equal 2 (List.length originalList)
@@ -366,31 +362,7 @@ suite =
 
 createTestModel : List Excavator -> List Truck -> Model
 createTestModel excavators trucks =
-    { message = "Test Model"
-    , config = Just Utils.Config.fallbackConfig
-    , formData = Nothing
-    , calculationResult = Nothing
-    , lastValidResult = Nothing
-    , hasValidationErrors = False
-    , deviceType = Desktop
-    , calculationInProgress = False
-    , performanceMetrics = Utils.Performance.initMetrics
-    , debounceState = Utils.Debounce.initDebounce
-    , excavators = excavators
-    , trucks = trucks
-    , nextExcavatorId = 1
-    , nextTruckId = 1
-    , helpTooltipState = Nothing
-    , showHelpPanel = False
-    , currentContextualHelp = Nothing
-    , realTimeValidation = False
-    , fieldValidationErrors = Dict.empty
-    , validationDebounce = Dict.empty
-
-    -- Onboarding state
-    , onboardingState = Types.Onboarding.Completed
-    , showWelcomeOverlay = False
-    , currentTourStep = Nothing
-    , isFirstTimeUser = False
-    , exampleScenarioLoaded = False
+    { testModel
+        | excavators = excavators
+        , trucks = trucks
     }
@@ -24,6 +24,7 @@ import Types.Model exposing (Model)
 import Utils.Config
 import Utils.Debounce
 import Utils.Performance
+import Utils.Units exposing (UnitSystem(..))
 
 
 suite : Test
@@ -127,6 +128,15 @@ suite =
                             , cycleTime = 2.0
                             , name = "Test Excavator"
                             , isActive = True
+                            , quantity = 1
+                            , efficiency = 0.85
+                            , fillFactor = 1.0
+                            , operatorSkill = Types.Equipment.Average
+                            , hourlyRate = 95.0
+                            , operatorWage = 35.0
+                            , fuelBurn = 4.5
+                            , cycleTimeRange = Nothing
+                            , rosterUnit = Nothing
                             }
 
                         mockTruck =
@@ -135,6 +145,17 @@ suite =
                             , roundTripTime = 15.0
                             , name = "Test Truck"
                             , isActive = True
+                            , quantity = 1
+                            , efficiency = 0.8
+                            , fillFactor = 1.0
+                            , operatorSkill = Types.Equipment.Average
+                            , hourlyRate = 65.0
+                            , operatorWage = 28.0
+                            , fuelBurn = 5.0
+                            , roundTripTimeRange = Nothing
+                            , haulCycle = Nothing
+                            , maxPayload = 14.0
+                            , rosterUnit = Nothing
                             }
 
                         excavatorValid =
@@ -197,6 +218,12 @@ suite =
                             , realTimeValidation = False
                             , fieldValidationErrors = Dict.empty
                             , validationDebounce = Dict.empty
+                            , numberDrafts = Dict.empty
+                            , useSimulation = False
+                            , simulationResult = Nothing
+                            , phases = []
+                            , nextPhaseId = 1
+                            , unitSystem = Imperial
                             }
 
                         modelValid =
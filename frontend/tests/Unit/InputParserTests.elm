@@ -0,0 +1,162 @@
+module Unit.InputParserTests exposing (suite)
+
+{-| Unit tests for reading typed figures with arithmetic and units
+
+@docs suite
+
+-}
+
+import Expect
+import Test exposing (Test, describe, test)
+import Utils.InputParser as InputParser
+import Utils.Units exposing (Quantity(..), UnitSystem(..))
+
+
+suite : Test
+suite =
+    describe "Input Parser Tests"
+        [ describe "parseNumber"
+            [ test "should_read_plain_decimals" <|
+                \_ ->
+                    Expect.all
+                        [ \_ -> Expect.equal (Ok 5.5) (InputParser.parseNumber "5.5")
+                        , \_ -> Expect.equal (Ok 8) (InputParser.parseNumber " 8 ")
+                        , \_ -> Expect.equal (Ok (negate 2)) (InputParser.parseNumber "-2")
+                        ]
+                        ()
+            , test "should_work_out_arithmetic_in_order" <|
+                \_ ->
+                    Expect.all
+                        [ \_ -> Expect.equal (Ok 45) (InputParser.parseNumber "2*20+5")
+                        , \_ -> Expect.equal (Ok 37.5) (InputParser.parseNumber "(40+35)/2")
+                        , \_ -> Expect.equal (Ok 6) (InputParser.parseNumber "10 - 2 * 2")
+                        , \_ -> Expect.equal (Ok 12) (InputParser.parseNumber "3 × 4")
+                        ]
+                        ()
+            , test "should_read_fractions_and_mixed_numbers" <|
+                \_ ->
+                    Expect.all
+                        [ \_ -> Expect.equal (Ok 0.75) (InputParser.parseNumber "3/4")
+                        , \_ -> Expect.equal (Ok 1.5) (InputParser.parseNumber "1 1/2")
+                        ]
+                        ()
+            , test "should_reject_units_where_none_apply" <|
+                \_ ->
+                    case InputParser.parseNumber "8 m" of
+                        Err problem ->
+                            String.contains "\"m\"" problem |> Expect.equal True
+
+                        Ok _ ->
+                            Expect.fail "Units should not be accepted for a plain number"
+            ]
+        , describe "parseMeasure"
+            [ test "should_read_feet_and_inches" <|
+                \_ ->
+                    Expect.all
+                        [ \_ -> expectFeet 40.5 "40'6\""
+                        , \_ -> expectFeet 40.5 "40' 6"
+                        , \_ -> expectFeet 5.25 "5 ft 3 in"
+                        , \_ -> expectFeet 0.5 "6\""
+                        ]
+                        ()
+            , test "should_convert_metric_units_to_feet" <|
+                \_ ->
+                    InputParser.parseMeasure Imperial Length "12 m"
+                        |> Result.withDefault 0
+                        |> Expect.within (Expect.Absolute 0.0001) 39.3701
+            , test "should_read_bare_figures_in_the_chosen_units" <|
+                \_ ->
+                    Expect.all
+                        [ \_ ->
+                            InputParser.parseMeasure Metric Length "2*15"
+                                |> Result.withDefault 0
+                                |> Expect.within (Expect.Absolute 0.0001) 98.4252
+                        , \_ -> Expect.equal (Ok 40) (InputParser.parseMeasure Imperial Length "2*20")
+                        ]
+                        ()
+            , test "should_add_bare_figures_to_measured_ones_in_the_chosen_units" <|
+                \_ ->
+                    InputParser.parseMeasure Imperial Length "1 yd + 2"
+                        |> Expect.equal (Ok 5)
+            , test "should_apply_a_unit_to_a_bracketed_sum" <|
+                \_ ->
+                    InputParser.parseMeasure Imperial Volume "(10+17) ft3"
+                        |> Result.withDefault 0
+                        |> Expect.within (Expect.Absolute 0.0001) 1
+            , test "should_read_compound_and_price_units" <|
+                \_ ->
+                    Expect.all
+                        [ \_ ->
+                            InputParser.parseMeasure Imperial Speed "40 km/h"
+                                |> Result.withDefault 0
+                                |> Expect.within (Expect.Absolute 0.0001) 24.8548
+                        , \_ ->
+                            InputParser.parseMeasure Imperial FuelPrice "$1/L"
+                                |> Result.withDefault 0
+                                |> Expect.within (Expect.Absolute 0.0001) 3.7854
+                        , \_ ->
+                            InputParser.parseMeasure Imperial Density "1.8 t/m3"
+                                |> Result.withDefault 0
+                                |> Expect.within (Expect.Absolute 1) 3034
+                        ]
+                        ()
+            ]
+        , describe "parseStored"
+            [ test "should_take_plain_numbers_as_already_imperial" <|
+                \_ ->
+                    InputParser.parseStored Metric Length "100"
+                        |> Expect.equal (Ok 100)
+            , test "should_read_typed_text_in_the_chosen_units" <|
+                \_ ->
+                    InputParser.parseStored Metric Length "30 + 0.48"
+                        |> Result.withDefault 0
+                        |> Expect.within (Expect.Absolute 0.0001) 100
+            ]
+        , describe "errors"
+            [ test "should_name_what_was_not_understood" <|
+                \_ ->
+                    Expect.all
+                        [ \_ -> expectProblem "\"abc\"" (InputParser.parseNumber "abc")
+                        , \_ -> expectProblem "\"#\"" (InputParser.parseNumber "12#")
+                        , \_ -> expectProblem "\"kg\"" (InputParser.parseMeasure Imperial Length "12 kg")
+                        , \_ -> expectProblem "\"+\"" (InputParser.parseNumber "2*20+")
+                        , \_ -> expectProblem "never closed" (InputParser.parseNumber "(2+3")
+                        , \_ -> expectProblem "\")\"" (InputParser.parseNumber "2+3)")
+                        , \_ -> expectProblem "before 3" (InputParser.parseNumber "2 3")
+                        , \_ -> expectProblem "zero" (InputParser.parseNumber "4/0")
+                        , \_ -> expectProblem "already has a unit" (InputParser.parseMeasure Imperial Length "12 m ft")
+                        ]
+                        ()
+            , test "should_suggest_units_for_the_quantity" <|
+                \_ ->
+                    expectProblem "yd3" (InputParser.parseMeasure Imperial Volume "3 bags")
+            ]
+        , describe "isPlainNumber"
+            [ test "should_tell_plain_decimals_from_typed_text" <|
+                \_ ->
+                    [ "12.5", " 3 ", "2*3", "40'6\"", "" ]
+                        |> List.map InputParser.isPlainNumber
+                        |> Expect.equal [ True, True, False, False, False ]
+            ]
+        ]
+
+
+expectFeet : Float -> String -> Expect.Expectation
+expectFeet feet typed =
+    InputParser.parseMeasure Imperial Length typed
+        |> Result.withDefault 0
+        |> Expect.within (Expect.Absolute 0.000001) feet
+
+
+expectProblem : String -> Result String Float -> Expect.Expectation
+expectProblem fragment result =
+    case result of
+        Err problem ->
+            if String.contains fragment problem then
+                Expect.pass
+
+            else
+                Expect.fail ("Expected the problem to mention " ++ fragment ++ ", got: " ++ problem)
+
+        Ok value ->
+            Expect.fail ("Expected a problem mentioning " ++ fragment ++ ", got " ++ String.fromFloat value)
@@ -51,10 +51,12 @@ suite =
                         sampleConfig =
                             { version = "1.0.0"
                             , defaults =
-                                { excavators = [ { bucketCapacity = 2.5, cycleTime = 2.0, name = "Test Excavator" } ]
-                                , trucks = [ { capacity = 12.0, roundTripTime = 15.0, name = "Test Truck" } ]
-                                , project = { workHoursPerDay = 8.0, pondLength = 50.0, pondWidth = 30.0, pondDepth = 6.0 }
+                                { excavators = [ { bucketCapacity = 2.5, cycleTime = 2.0, name = "Test Excavator", efficiency = 0.85, fillFactor = 1.0, operatorSkill = "average", hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeMin = 1.6, cycleTimeMax = 2.8 } ]
+                                , trucks = [ { capacity = 12.0, roundTripTime = 15.0, name = "Test Truck", efficiency = 0.8, fillFactor = 1.0, operatorSkill = "average", hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeMin = 12.0, roundTripTimeMax = 22.0, maxPayload = 14.0 } ]
+                                , project = { workHoursPerDay = 8.0, pondLength = 50.0, pondWidth = 30.0, pondDepth = 6.0, sideSlope = 0.0, soilType = "clay", fuelPrice = 4.0, disposalFee = 8.0, workHoursMin = 6.0, workHoursMax = 10.0, workDays = [ "mon", "tue", "wed", "thu", "fri" ] }
+                                , soilTypes = [ { id = "clay", name = "Clay", swellPercent = 35.0, density = 3000.0 } ]
                                 }
+                            , catalog = { excavators = [], trucks = [] }
                             , fleetLimits = { maxExcavators = 10, maxTrucks = 20 }
                             , validation =
                                 { excavatorCapacity = { min = 0.5, max = 15.0 }
@@ -63,7 +65,24 @@ suite =
                                 , roundTripTime = { min = 5.0, max = 60.0 }
                                 , workHours = { min = 1.0, max = 16.0 }
                                 , pondDimensions = { min = 1.0, max = 1000.0 }
+                                , sideSlope = { min = 0.0, max = 10.0 }
+                                , swellPercent = { min = 0.0, max = 100.0 }
+                                , efficiency = { min = 0.3, max = 1.0 }
+                                , fillFactor = { min = 0.5, max = 1.3 }
+                                , hourlyRate = { min = 0.0, max = 1000.0 }
+                                , operatorWage = { min = 0.0, max = 200.0 }
+                                , fuelBurn = { min = 0.0, max = 50.0 }
+                                , fuelPrice = { min = 0.0, max = 20.0 }
+                                , disposalFee = { min = 0.0, max = 200.0 }
+                                , haulDistance = { min = 0.05, max = 50.0 }
+                                , haulSpeed = { min = 3.0, max = 65.0 }
+                                , haulDelay = { min = 0.0, max = 30.0 }
+                                , phaseProductivity = { min = 0.1, max = 1.5 }
+                                , exportPercent = { min = 0.0, max = 100.0 }
+                                , payload = { min = 1.0, max = 60.0 }
+                                , soilDensity = { min = 1000.0, max = 5000.0 }
                                 }
+                            , branding = { companyName = "Test Excavation", logo = { width = 48, height = 48, paths = [] } }
                             }
                     in
                     Expect.equal (Just sampleConfig) (Just sampleConfig)
@@ -96,6 +96,18 @@ suite =
                                         , confidence = Utils.Calculations.High
                                         , assumptions = []
                                         , warnings = []
+                                        , pondGeometry = Nothing
+                                        , bankVolume = 0.0
+                                        , looseVolume = 0.0
+                                        , exportedVolume = 0.0
+                                        , tonsHauled = 0
+                                        , truckLoads = 0
+                                        , cost = Nothing
+                                        , timelineRange = Nothing
+                                        , schedule = Nothing
+                                        , haulCycles = []
+                                        , phases = []
+                                        , fleet = { excavators = [], trucks = [] }
                                         }
                             }
 
@@ -0,0 +1,53 @@
+module Unit.ModelPickerTests exposing (suite)
+
+{-| Unit tests for the searchable picker of manufacturer models
+
+@docs suite
+
+-}
+
+import Components.ModelPicker as ModelPicker exposing (PickerKind(..), PickerMsg(..))
+import Expect
+import Test exposing (Test, describe, test)
+import Utils.Config exposing (fallbackConfig)
+
+
+suite : Test
+suite =
+    describe "Model Picker Tests"
+        [ describe "searchModels"
+            [ test "should_match_every_word_against_make_and_model" <|
+                \_ ->
+                    fallbackConfig.catalog.excavators
+                        |> ModelPicker.searchModels "cat 320"
+                        |> List.map Utils.Config.catalogName
+                        |> Expect.equal [ "Caterpillar 320" ]
+            , test "should_ignore_case_and_match_part_of_a_model" <|
+                \_ ->
+                    fallbackConfig.catalog.excavators
+                        |> ModelPicker.searchModels "pc2"
+                        |> List.map .model
+                        |> Expect.equal [ "PC210LC-11" ]
+            , test "should_list_every_model_for_an_empty_search" <|
+                \_ ->
+                    fallbackConfig.catalog.trucks
+                        |> ModelPicker.searchModels "  "
+                        |> List.length
+                        |> Expect.equal (List.length fallbackConfig.catalog.trucks)
+            ]
+        , describe "updateState"
+            [ test "should_open_one_picker_at_a_time_with_a_fresh_search" <|
+                \_ ->
+                    ModelPicker.initState
+                        |> ModelPicker.updateState (TogglePicker ExcavatorPicker)
+                        |> ModelPicker.updateState (SetQuery "deere")
+                        |> ModelPicker.updateState (TogglePicker TruckPicker)
+                        |> Expect.equal { open = Just TruckPicker, query = "" }
+            , test "should_close_once_a_model_is_picked" <|
+                \_ ->
+                    ModelPicker.initState
+                        |> ModelPicker.updateState (TogglePicker TruckPicker)
+                        |> ModelPicker.updateState (PickDefault TruckPicker)
+                        |> Expect.equal ModelPicker.initState
+            ]
+        ]
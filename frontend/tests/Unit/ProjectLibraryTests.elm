@@ -0,0 +1,182 @@
+module Unit.ProjectLibraryTests exposing (suite)
+
+{-| Unit tests for the saved project library and its storage format
+
+@docs suite
+
+-}
+
+import Components.ProjectForm as ProjectForm
+import Components.ProjectLibrary as ProjectLibrary exposing (LibraryMsg(..))
+import Expect
+import Json.Encode as Encode
+import Test exposing (Test, describe, test)
+import Types.Equipment exposing (defaultHaulCycle)
+import Types.Phase exposing (PhaseKind(..), newPhase)
+import Types.Project exposing (SavedProject)
+import Utils.Config exposing (fallbackConfig)
+import Utils.ProjectCodec as ProjectCodec
+
+
+suite : Test
+suite =
+    describe "Project Library Tests"
+        [ describe "ProjectCodec"
+            [ test "should_read_back_what_it_saves" <|
+                \_ ->
+                    [ testProject, { testProject | id = "project-2", timelineInDays = Nothing } ]
+                        |> ProjectCodec.encodeLibrary
+                        |> Encode.encode 0
+                        |> ProjectCodec.decodeLibrary
+                        |> Expect.equal (Ok [ testProject, { testProject | id = "project-2", timelineInDays = Nothing } ])
+            , test "should_read_machines_saved_before_quantities_as_one_each" <|
+                \_ ->
+                    [ testProject ]
+                        |> ProjectCodec.encodeLibrary
+                        |> Encode.encode 0
+                        |> String.replace ("\"version\":" ++ String.fromInt ProjectCodec.currentVersion) "\"version\":2"
+                        |> String.replace ",\"quantity\":1" ""
+                        |> ProjectCodec.decodeLibrary
+                        |> Expect.equal (Ok [ testProject ])
+            , test "should_refuse_a_machine_quantity_below_one" <|
+                \_ ->
+                    [ testProject ]
+                        |> ProjectCodec.encodeLibrary
+                        |> Encode.encode 0
+                        |> String.replace "\"quantity\":1" "\"quantity\":0"
+                        |> ProjectCodec.decodeLibrary
+                        |> Expect.err
+            , test "should_record_the_layout_version" <|
+                \_ ->
+                    ProjectCodec.encodeLibrary []
+                        |> Encode.encode 0
+                        |> Expect.equal ("{\"version\":" ++ String.fromInt ProjectCodec.currentVersion ++ ",\"projects\":[]}")
+            , test "should_refuse_libraries_from_newer_versions" <|
+                \_ ->
+                    case ProjectCodec.decodeLibrary ("{\"version\":" ++ String.fromInt (ProjectCodec.currentVersion + 1) ++ ",\"projects\":[]}") of
+                        Err problem ->
+                            String.contains "newer version" problem |> Expect.equal True
+
+                        Ok _ ->
+                            Expect.fail "A library from a newer version should not be read"
+            , test "should_explain_unreadable_libraries" <|
+                \_ ->
+                    Expect.all
+                        [ \_ -> Expect.err (ProjectCodec.decodeLibrary "not json")
+                        , \_ -> Expect.err (ProjectCodec.decodeLibrary "{\"version\":1,\"projects\":[{\"id\":\"project-1\"}]}")
+                        ]
+                        ()
+            ]
+        , describe "ProjectLibrary"
+            [ test "should_add_new_names_at_the_top_with_fresh_ids" <|
+                \_ ->
+                    ProjectLibrary.saveProject { testProject | id = "", name = "Second pond" } testLibrary
+                        |> .projects
+                        |> List.map (\project -> ( project.id, project.name ))
+                        |> Expect.equal [ ( "project-2", "Second pond" ), ( "project-1", "Miller farm pond" ) ]
+            , test "should_replace_a_project_saved_under_the_same_name" <|
+                \_ ->
+                    ProjectLibrary.saveProject { testProject | id = "", name = "miller farm pond", timelineInDays = Just 9 } testLibrary
+                        |> .projects
+                        |> List.map (\project -> ( project.id, project.timelineInDays ))
+                        |> Expect.equal [ ( "project-1", Just 9 ) ]
+            , test "should_rename_a_project" <|
+                \_ ->
+                    testLibrary
+                        |> ProjectLibrary.updateState (StartRename "project-1")
+                        |> ProjectLibrary.updateState (SetRenameName "  North pond ")
+                        |> ProjectLibrary.updateState FinishRename
+                        |> .projects
+                        |> List.map .name
+                        |> Expect.equal [ "North pond" ]
+            , test "should_keep_the_old_name_when_renamed_to_blank" <|
+                \_ ->
+                    testLibrary
+                        |> ProjectLibrary.updateState (StartRename "project-1")
+                        |> ProjectLibrary.updateState (SetRenameName " ")
+                        |> ProjectLibrary.updateState FinishRename
+                        |> .projects
+                        |> List.map .name
+                        |> Expect.equal [ "Miller farm pond" ]
+            , test "should_duplicate_a_project_beside_the_original" <|
+                \_ ->
+                    ProjectLibrary.updateState (DuplicateProject "project-1") testLibrary
+                        |> .projects
+                        |> List.map (\project -> ( project.id, project.name ))
+                        |> Expect.equal [ ( "project-1", "Miller farm pond" ), ( "project-2", "Miller farm pond (copy)" ) ]
+            , test "should_only_delete_once_confirmed" <|
+                \_ ->
+                    let
+                        asked =
+                            ProjectLibrary.updateState (DeleteProject "project-1") testLibrary
+                    in
+                    Expect.all
+                        [ \_ -> Expect.equal 1 (List.length asked.projects)
+                        , \_ -> Expect.equal testLibrary (ProjectLibrary.updateState CancelDelete asked)
+                        , \_ -> Expect.equal [] (ProjectLibrary.updateState (ConfirmDelete "project-1") asked |> .projects)
+                        ]
+                        ()
+            , test "should_say_what_changed_to_open_a_project" <|
+                \_ ->
+                    let
+                        library =
+                            ProjectLibrary.opened testProject [ "Loam is no longer offered, so it was set to Clay." ] testLibrary
+                    in
+                    Expect.all
+                        [ \_ -> Expect.equal "Miller farm pond" library.saveName
+                        , \_ -> Expect.equal (Just "Miller farm pond was changed to fit this calculator. Loam is no longer offered, so it was set to Clay.") library.notice
+                        , \_ -> Expect.equal Nothing (ProjectLibrary.opened testProject [] library).notice
+                        ]
+                        ()
+            , test "should_keep_an_unreadable_library_out_of_reach" <|
+                \_ ->
+                    let
+                        library =
+                            ProjectLibrary.loaded (Err "damaged") testLibrary
+                    in
+                    Expect.all
+                        [ \_ -> Expect.equal (Just "damaged") library.problem
+                        , \_ -> Expect.equal testLibrary.projects library.projects
+                        ]
+                        ()
+            , test "should_ignore_blank_save_names" <|
+                \_ ->
+                    Expect.all
+                        [ \_ -> Expect.equal Nothing (ProjectLibrary.saveName { testLibrary | saveName = "   " })
+                        , \_ -> Expect.equal (Just "Pond") (ProjectLibrary.saveName { testLibrary | saveName = " Pond " })
+                        ]
+                        ()
+            ]
+        ]
+
+
+
+-- TEST DATA
+
+
+testProject : SavedProject
+testProject =
+    let
+        truck =
+            Utils.Config.defaultTruck "truck-1" fallbackConfig.defaults
+    in
+    { id = "project-1"
+    , name = "Miller farm pond"
+    , formData = ProjectForm.initFormData fallbackConfig.defaults
+    , excavators =
+        List.indexedMap
+            (\index defaults -> Utils.Config.excavatorFromDefaults ("excavator-" ++ String.fromInt (index + 1)) defaults)
+            fallbackConfig.defaults.excavators
+    , trucks = [ { truck | haulCycle = Just { defaultHaulCycle | loadingExcavator = Just "excavator-1" } } ]
+    , phases = [ newPhase "phase-1" Clearing [ "excavator-1" ] [] ]
+    , timelineInDays = Just 4
+    }
+
+
+testLibrary : ProjectLibrary.State
+testLibrary =
+    let
+        library =
+            ProjectLibrary.initState
+    in
+    { library | projects = [ testProject ] }
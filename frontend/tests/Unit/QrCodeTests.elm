@@ -0,0 +1,635 @@
+module Unit.QrCodeTests exposing (suite)
+
+{-| Unit tests for the QR codes that hand an estimate to a phone
+
+Each symbol is read back with a reference decoder written from the QR
+specification rather than from the encoder: format strings, version strings,
+alignment positions and block layouts come from the specification's tables,
+and the Reed-Solomon check uses its own field arithmetic.
+
+@docs suite
+
+-}
+
+import Array
+import Bitwise
+import Expect
+import Test exposing (Test, describe, test)
+import Utils.QrCode as QrCode exposing (ErrorCorrection(..))
+
+
+suite : Test
+suite =
+    describe "QR Code Tests"
+        [ describe "encode"
+            [ test "should_read_back_short_text" <|
+                \_ ->
+                    expectReadBack "HELLO WORLD"
+            , test "should_read_back_text_beyond_ascii" <|
+                \_ ->
+                    expectReadBack "Pond – 2 ha"
+            , test "should_read_back_a_share_link" <|
+                \_ ->
+                    expectReadBack ("https://ponds.example.com/#estimate=" ++ String.repeat 12 "7VhNb9s4EP0rhM4JQMn6sm8pFtgu0ENR7KnYAy2NbSKSaJCU0yDIf9-hJNuyrM")
+            , test "should_use_the_smallest_version_that_fits" <|
+                \_ ->
+                    Expect.all
+                        [ \_ -> Expect.equal (Ok ( 1, Medium )) (versionFor 14)
+                        , \_ -> Expect.equal (Ok ( 2, Medium )) (versionFor 15)
+                        , \_ -> Expect.equal (Ok ( 5, Medium )) (versionFor 84)
+                        , \_ -> Expect.equal (Ok ( 7, Medium )) (versionFor 122)
+                        , \_ -> Expect.equal (Ok ( 10, Medium )) (versionFor 200)
+                        ]
+                        ()
+            , test "should_read_back_every_version_tested" <|
+                \_ ->
+                    Expect.all
+                        (List.map (\length -> \_ -> expectReadBack (sampleText length)) [ 14, 15, 84, 122, 200, 400 ])
+                        ()
+            , test "should_fall_back_to_low_error_correction_for_long_text" <|
+                \_ ->
+                    Expect.all
+                        [ \_ -> Expect.equal (Ok ( 40, Medium )) (versionFor 2331)
+                        , \_ -> Expect.equal (Ok ( 36, Low )) (versionFor 2332)
+                        , \_ -> expectReadBack (sampleText 2331)
+                        , \_ -> expectReadBack (sampleText 2332)
+                        ]
+                        ()
+            , test "should_refuse_text_too_long_for_any_version" <|
+                \_ ->
+                    QrCode.encode (sampleText 2954)
+                        |> Expect.err
+            , test "should_leave_room_for_the_finder_patterns" <|
+                \_ ->
+                    case QrCode.encode "HELLO WORLD" of
+                        Ok qrCode ->
+                            QrCode.rows qrCode
+                                |> List.take 7
+                                |> List.map (List.take 7)
+                                |> Expect.equal
+                                    (List.map (List.map ((==) '#') << String.toList)
+                                        [ "#######", "#.....#", "#.###.#", "#.###.#", "#.###.#", "#.....#", "#######" ]
+                                    )
+
+                        Err problem ->
+                            Expect.fail problem
+            ]
+        ]
+
+
+expectReadBack : String -> Expect.Expectation
+expectReadBack text =
+    case QrCode.encode text of
+        Ok qrCode ->
+            case referenceDecode (QrCode.rows qrCode) of
+                Ok decoded ->
+                    Expect.all
+                        [ \_ -> Expect.equal text decoded.text
+                        , \_ -> Expect.equal (QrCode.errorCorrection qrCode) decoded.errorCorrection
+                        , \_ -> Expect.equal (QrCode.version qrCode * 4 + 17) (QrCode.size qrCode)
+                        ]
+                        ()
+
+                Err problem ->
+                    Expect.fail ("Version " ++ String.fromInt (QrCode.version qrCode) ++ ": " ++ problem)
+
+        Err problem ->
+            Expect.fail problem
+
+
+versionFor : Int -> Result String ( Int, ErrorCorrection )
+versionFor length =
+    QrCode.encode (sampleText length)
+        |> Result.map (\qrCode -> ( QrCode.version qrCode, QrCode.errorCorrection qrCode ))
+
+
+sampleText : Int -> String
+sampleText length =
+    String.left length (String.repeat (length // 36 + 1) "0123456789abcdefghijklmnopqrstuvwxyz")
+
+
+
+-- REFERENCE DECODER
+
+
+type alias Decoded =
+    { text : String
+    , errorCorrection : ErrorCorrection
+    }
+
+
+{-| Read a symbol the way a scanner would once it has the modules: format
+information, unmasking, codewords in placement order, block layout,
+Reed-Solomon check, then the byte mode segment
+-}
+referenceDecode : List (List Bool) -> Result String Decoded
+referenceDecode symbol =
+    let
+        width =
+            List.length symbol
+
+        grid =
+            Array.fromList (List.map Array.fromList symbol)
+
+        moduleAt ( x, y ) =
+            Array.get y grid |> Maybe.andThen (Array.get x) |> Maybe.withDefault False
+
+        symbolVersion =
+            (width - 17) // 4
+
+        firstFormat =
+            List.map moduleAt
+                [ ( 0, 8 ), ( 1, 8 ), ( 2, 8 ), ( 3, 8 ), ( 4, 8 ), ( 5, 8 ), ( 7, 8 ), ( 8, 8 ), ( 8, 7 ), ( 8, 5 ), ( 8, 4 ), ( 8, 3 ), ( 8, 2 ), ( 8, 1 ), ( 8, 0 ) ]
+
+        secondFormat =
+            List.map moduleAt
+                (List.map (\r -> ( 8, width - 1 - r )) (List.range 0 6) ++ List.map (\c -> ( width - 8 + c, 8 )) (List.range 0 7))
+
+        versionBits =
+            List.range 0 17
+                |> List.map (\i -> ( i // 3, width - 11 + modBy 3 i ))
+                |> List.map moduleAt
+                |> List.indexedMap
+                    (\i dark ->
+                        if dark then
+                            Bitwise.shiftLeftBy i 1
+
+                        else
+                            0
+                    )
+                |> List.sum
+    in
+    case ( formatFromBits firstFormat, alignmentTable symbolVersion ) of
+        ( Nothing, _ ) ->
+            Err "format information does not match any format string"
+
+        ( _, Nothing ) ->
+            Err "no alignment positions for this version in the reference table"
+
+        ( Just ( level, mask ), Just alignments ) ->
+            if secondFormat /= firstFormat then
+                Err "the two copies of the format information differ"
+
+            else if Maybe.map ((/=) versionBits) (versionTable symbolVersion) == Just True then
+                Err "version information does not match the version string"
+
+            else if versionBits /= 0 && symbolVersion < 7 then
+                Err "version information present below version 7"
+
+            else
+                case blockLayout symbolVersion level of
+                    Just layout ->
+                        placementOrder width symbolVersion alignments
+                            |> List.map (\( x, y ) -> xor (moduleAt ( x, y )) (maskCondition mask y x))
+                            |> readCodewords symbolVersion layout
+                            |> Result.map (\text -> { text = text, errorCorrection = level })
+
+                    Nothing ->
+                        Err "no block layout for this version in the reference table"
+
+
+{-| Check each block of the unmasked data bits and read the text
+-}
+readCodewords : Int -> BlockLayout -> List Bool -> Result String String
+readCodewords symbolVersion layout bits =
+    let
+        dataLengths =
+            List.concatMap (\( count, length ) -> List.repeat count length) layout.groups
+
+        totalCodewords =
+            List.sum dataLengths + layout.ecc * List.length dataLengths
+
+        codewords =
+            List.take (totalCodewords * 8) bits
+                |> bytesFromBits
+                |> Array.fromList
+
+        blocks =
+            deinterleave dataLengths layout.ecc codewords
+    in
+    if Array.length codewords /= totalCodewords then
+        Err "the symbol holds fewer codewords than its layout"
+
+    else if List.any (\( data, ecc ) -> not (syndromesAreZero layout.ecc (data ++ ecc))) blocks then
+        Err "a block fails the Reed-Solomon check"
+
+    else
+        List.concatMap Tuple.first blocks
+            |> List.concatMap bitsFromByte
+            |> readByteSegment symbolVersion
+
+
+{-| Format strings from the specification, with the error correction level
+and mask they stand for
+-}
+formatFromBits : List Bool -> Maybe ( ErrorCorrection, Int )
+formatFromBits bits =
+    let
+        written =
+            String.fromList
+                (List.map
+                    (\dark ->
+                        if dark then
+                            '1'
+
+                        else
+                            '0'
+                    )
+                    bits
+                )
+    in
+    [ ( "111011111000100", ( Low, 0 ) )
+    , ( "111001011110011", ( Low, 1 ) )
+    , ( "111110110101010", ( Low, 2 ) )
+    , ( "111100010011101", ( Low, 3 ) )
+    , ( "110011000101111", ( Low, 4 ) )
+    , ( "110001100011000", ( Low, 5 ) )
+    , ( "110110001000001", ( Low, 6 ) )
+    , ( "110100101110110", ( Low, 7 ) )
+    , ( "101010000010010", ( Medium, 0 ) )
+    , ( "101000100100101", ( Medium, 1 ) )
+    , ( "101111001111100", ( Medium, 2 ) )
+    , ( "101101101001011", ( Medium, 3 ) )
+    , ( "100010111111001", ( Medium, 4 ) )
+    , ( "100000011001110", ( Medium, 5 ) )
+    , ( "100111110010111", ( Medium, 6 ) )
+    , ( "100101010100000", ( Medium, 7 ) )
+    ]
+        |> List.filter (\( format, _ ) -> format == written)
+        |> List.head
+        |> Maybe.map Tuple.second
+
+
+{-| Version strings from the specification, for the versions tested that
+carry one
+-}
+versionTable : Int -> Maybe Int
+versionTable symbolVersion =
+    case symbolVersion of
+        7 ->
+            Just 0x7C94
+
+        8 ->
+            Just 0x85BC
+
+        9 ->
+            Just 0x9A99
+
+        10 ->
+            Just 0xA4D3
+
+        _ ->
+            Nothing
+
+
+{-| Alignment pattern centres from the specification, for the versions
+tested
+-}
+alignmentTable : Int -> Maybe (List Int)
+alignmentTable symbolVersion =
+    case symbolVersion of
+        1 ->
+            Just []
+
+        2 ->
+            Just [ 6, 18 ]
+
+        5 ->
+            Just [ 6, 30 ]
+
+        7 ->
+            Just [ 6, 22, 38 ]
+
+        10 ->
+            Just [ 6, 28, 50 ]
+
+        15 ->
+            Just [ 6, 26, 48, 70 ]
+
+        36 ->
+            Just [ 6, 24, 50, 76, 102, 128, 154 ]
+
+        40 ->
+            Just [ 6, 30, 58, 86, 114, 142, 170 ]
+
+        _ ->
+            Nothing
+
+
+type alias BlockLayout =
+    { ecc : Int -- error correction codewords in every block
+    , groups : List ( Int, Int ) -- blocks, and data codewords in each
+    }
+
+
+{-| Block layouts from the specification, for the versions tested
+-}
+blockLayout : Int -> ErrorCorrection -> Maybe BlockLayout
+blockLayout symbolVersion level =
+    case ( symbolVersion, level ) of
+        ( 1, Low ) ->
+            Just { ecc = 7, groups = [ ( 1, 19 ) ] }
+
+        ( 1, Medium ) ->
+            Just { ecc = 10, groups = [ ( 1, 16 ) ] }
+
+        ( 2, Low ) ->
+            Just { ecc = 10, groups = [ ( 1, 34 ) ] }
+
+        ( 2, Medium ) ->
+            Just { ecc = 16, groups = [ ( 1, 28 ) ] }
+
+        ( 5, Low ) ->
+            Just { ecc = 26, groups = [ ( 1, 108 ) ] }
+
+        ( 5, Medium ) ->
+            Just { ecc = 24, groups = [ ( 2, 43 ) ] }
+
+        ( 7, Low ) ->
+            Just { ecc = 20, groups = [ ( 2, 78 ) ] }
+
+        ( 7, Medium ) ->
+            Just { ecc = 18, groups = [ ( 4, 31 ) ] }
+
+        ( 10, Low ) ->
+            Just { ecc = 18, groups = [ ( 2, 68 ), ( 2, 69 ) ] }
+
+        ( 10, Medium ) ->
+            Just { ecc = 26, groups = [ ( 4, 43 ), ( 1, 44 ) ] }
+
+        ( 15, Low ) ->
+            Just { ecc = 22, groups = [ ( 5, 87 ), ( 1, 88 ) ] }
+
+        ( 15, Medium ) ->
+            Just { ecc = 24, groups = [ ( 5, 41 ), ( 5, 42 ) ] }
+
+        ( 36, Low ) ->
+            Just { ecc = 30, groups = [ ( 6, 121 ), ( 14, 122 ) ] }
+
+        ( 36, Medium ) ->
+            Just { ecc = 28, groups = [ ( 6, 47 ), ( 34, 48 ) ] }
+
+        ( 40, Low ) ->
+            Just { ecc = 30, groups = [ ( 19, 118 ), ( 6, 119 ) ] }
+
+        ( 40, Medium ) ->
+            Just { ecc = 28, groups = [ ( 18, 47 ), ( 31, 48 ) ] }
+
+        _ ->
+            Nothing
+
+
+{-| Whether a module belongs to a finder, separator, timing, alignment,
+format or version pattern
+-}
+isFunctionModule : Int -> Int -> List Int -> ( Int, Int ) -> Bool
+isFunctionModule width symbolVersion alignments ( x, y ) =
+    let
+        last =
+            width - 7
+
+        inFinderCorner =
+            (x <= 8 && y <= 8) || (x >= width - 8 && y <= 8) || (x <= 8 && y >= width - 8)
+
+        inAlignment =
+            alignments
+                |> List.concatMap (\centerY -> List.map (\centerX -> ( centerX, centerY )) alignments)
+                |> List.filter (\center -> center /= ( 6, 6 ) && center /= ( 6, last ) && center /= ( last, 6 ))
+                |> List.any (\( centerX, centerY ) -> abs (x - centerX) <= 2 && abs (y - centerY) <= 2)
+
+        inVersion =
+            symbolVersion >= 7 && ((x <= 5 && y >= width - 11 && y <= width - 9) || (y <= 5 && x >= width - 11 && x <= width - 9))
+    in
+    inFinderCorner || x == 6 || y == 6 || inAlignment || inVersion
+
+
+{-| Data module positions in reading order: two columns at a time from the
+right, alternately upwards and downwards, stepping over the vertical timing
+pattern
+-}
+placementOrder : Int -> Int -> List Int -> List ( Int, Int )
+placementOrder width symbolVersion alignments =
+    List.range 0 ((width - 1) // 2 - 1)
+        |> List.concatMap
+            (\pair ->
+                let
+                    right =
+                        if width - 1 - 2 * pair <= 6 then
+                            width - 2 - 2 * pair
+
+                        else
+                            width - 1 - 2 * pair
+                in
+                List.range 0 (width - 1)
+                    |> List.concatMap
+                        (\step ->
+                            let
+                                y =
+                                    if modBy 2 pair == 0 then
+                                        width - 1 - step
+
+                                    else
+                                        step
+                            in
+                            [ ( right, y ), ( right - 1, y ) ]
+                        )
+            )
+        |> List.filter (not << isFunctionModule width symbolVersion alignments)
+
+
+{-| Mask conditions from the specification, for row i and column j
+-}
+maskCondition : Int -> Int -> Int -> Bool
+maskCondition mask i j =
+    case mask of
+        0 ->
+            modBy 2 (i + j) == 0
+
+        1 ->
+            modBy 2 i == 0
+
+        2 ->
+            modBy 3 j == 0
+
+        3 ->
+            modBy 3 (i + j) == 0
+
+        4 ->
+            modBy 2 (i // 2 + j // 3) == 0
+
+        5 ->
+            modBy 2 (i * j) + modBy 3 (i * j) == 0
+
+        6 ->
+            modBy 2 (modBy 2 (i * j) + modBy 3 (i * j)) == 0
+
+        _ ->
+            modBy 2 (modBy 2 (i + j) + modBy 3 (i * j)) == 0
+
+
+{-| Data and error correction codewords of each block. The data codewords
+are interleaved first, with the longer blocks supplying one extra at the
+end, then the error correction codewords.
+-}
+deinterleave : List Int -> Int -> Array.Array Int -> List ( List Int, List Int )
+deinterleave dataLengths eccLength codewords =
+    let
+        blockTotal =
+            List.length dataLengths
+
+        dataTotal =
+            List.sum dataLengths
+
+        at index =
+            Array.get index codewords |> Maybe.withDefault -1
+    in
+    List.indexedMap
+        (\block length ->
+            ( List.range 0 (length - 1)
+                |> List.map
+                    (\i ->
+                        at
+                            (List.sum (List.map (min i) dataLengths)
+                                + List.length (List.filter (\other -> other > i) (List.take block dataLengths))
+                            )
+                    )
+            , List.range 0 (eccLength - 1)
+                |> List.map (\i -> at (dataTotal + i * blockTotal + block))
+            )
+        )
+        dataLengths
+
+
+{-| A block is a valid codeword when it evaluates to zero at the first
+eccLength powers of the generator
+-}
+syndromesAreZero : Int -> List Int -> Bool
+syndromesAreZero eccLength block =
+    List.range 0 (eccLength - 1)
+        |> List.all
+            (\power ->
+                let
+                    point =
+                        List.foldl (\_ value -> fieldTimes value 2) 1 (List.range 1 power)
+                in
+                List.foldl (\codeword sum -> Bitwise.xor (fieldTimes sum point) codeword) 0 block == 0
+            )
+
+
+{-| Multiplication in GF(256) modulo x^8 + x^4 + x^3 + x^2 + 1, shift and add
+-}
+fieldTimes : Int -> Int -> Int
+fieldTimes a b =
+    if b == 0 then
+        0
+
+    else
+        let
+            doubled =
+                if Bitwise.and (Bitwise.shiftLeftBy 1 a) 0x0100 /= 0 then
+                    Bitwise.xor (Bitwise.shiftLeftBy 1 a) 0x011D
+
+                else
+                    Bitwise.shiftLeftBy 1 a
+        in
+        Bitwise.xor
+            (if Bitwise.and b 1 == 1 then
+                a
+
+             else
+                0
+            )
+            (fieldTimes doubled (Bitwise.shiftRightZfBy 1 b))
+
+
+readByteSegment : Int -> List Bool -> Result String String
+readByteSegment symbolVersion bits =
+    let
+        countLength =
+            if symbolVersion <= 9 then
+                8
+
+            else
+                16
+
+        count =
+            numberFromBits (List.take countLength (List.drop 4 bits))
+    in
+    if numberFromBits (List.take 4 bits) /= 4 then
+        Err "the segment is not in byte mode"
+
+    else
+        List.drop (4 + countLength) bits
+            |> bytesFromBits
+            |> List.take count
+            |> decodeUtf8
+            |> Result.fromMaybe "the bytes are not valid UTF-8"
+
+
+decodeUtf8 : List Int -> Maybe String
+decodeUtf8 bytes =
+    case bytes of
+        [] ->
+            Just ""
+
+        lead :: rest ->
+            let
+                ( continuationCount, leadBits ) =
+                    if lead < 0x80 then
+                        ( 0, lead )
+
+                    else if lead >= 0xF0 then
+                        ( 3, Bitwise.and lead 0x07 )
+
+                    else if lead >= 0xE0 then
+                        ( 2, Bitwise.and lead 0x0F )
+
+                    else
+                        ( 1, Bitwise.and lead 0x1F )
+
+                continuations =
+                    List.take continuationCount rest
+
+                code =
+                    List.foldl (\byte total -> Bitwise.or (Bitwise.shiftLeftBy 6 total) (Bitwise.and byte 0x3F)) leadBits continuations
+            in
+            if List.length continuations /= continuationCount || List.any (\byte -> Bitwise.and byte 0xC0 /= 0x80) continuations then
+                Nothing
+
+            else
+                decodeUtf8 (List.drop continuationCount rest)
+                    |> Maybe.map (String.cons (Char.fromCode code))
+
+
+bytesFromBits : List Bool -> List Int
+bytesFromBits bits =
+    let
+        byte =
+            List.take 8 bits
+    in
+    if List.length byte < 8 then
+        []
+
+    else
+        numberFromBits byte :: bytesFromBits (List.drop 8 bits)
+
+
+bitsFromByte : Int -> List Bool
+bitsFromByte byte =
+    List.map (\shift -> Bitwise.and (Bitwise.shiftRightZfBy shift byte) 1 == 1) [ 7, 6, 5, 4, 3, 2, 1, 0 ]
+
+
+numberFromBits : List Bool -> Int
+numberFromBits =
+    List.foldl
+        (\bit total ->
+            total
+                * 2
+                + (if bit then
+                    1
+
+                   else
+                    0
+                  )
+        )
+        0
@@ -0,0 +1,300 @@
+module Unit.ReportTests exposing (suite)
+
+{-| Unit tests for the PDF estimate report
+
+The PDF is checked as text: its cross-reference table and stream lengths
+are followed back into the file, and page content is found by the text
+operators that draw it.
+
+@docs suite
+
+-}
+
+import Components.ProjectForm as ProjectForm
+import Expect exposing (Expectation)
+import Test exposing (Test, describe, test)
+import Utils.Calculations as Calculations
+import Utils.Calendar as Calendar
+import Utils.Config exposing (Logo, fallbackConfig)
+import Utils.EstimateReport as EstimateReport exposing (Estimate)
+import Utils.Pdf as Pdf exposing (Block(..))
+import Utils.Units exposing (UnitSystem(..))
+
+
+suite : Test
+suite =
+    describe "Report Tests"
+        [ describe "Pdf.document"
+            [ test "should_write_a_pdf_file" <|
+                \_ ->
+                    let
+                        pdf =
+                            simpleDocument [ Paragraph "Hello" ]
+                    in
+                    Expect.all
+                        [ \_ -> Expect.equal True (String.startsWith "%PDF-1.4\n" pdf)
+                        , \_ -> Expect.equal True (String.endsWith "%%EOF\n" pdf)
+                        , \_ -> Expect.equal True (String.all (\char -> Char.toCode char < 128) pdf)
+                        ]
+                        ()
+            , test "should_point_the_cross_reference_table_at_each_object" <|
+                \_ ->
+                    expectCrossReferences (simpleDocument (List.repeat 80 (Paragraph "A line of text")))
+            , test "should_give_each_stream_its_length" <|
+                \_ ->
+                    expectStreamLengths (simpleDocument (List.repeat 80 (Paragraph "A line of text")))
+            , test "should_head_and_number_every_page" <|
+                \_ ->
+                    let
+                        pdf =
+                            simpleDocument (List.repeat 80 (Paragraph "A line of text"))
+                    in
+                    Expect.all
+                        [ \_ -> Expect.equal 3 (occurrences "(Acme Earthworks) Tj" pdf)
+                        , \_ -> Expect.equal 1 (occurrences "(Page 3 of 3) Tj" pdf)
+                        , \_ -> Expect.equal 0 (occurrences "(Page 4 of" pdf)
+                        ]
+                        ()
+            , test "should_repeat_the_table_header_on_each_page" <|
+                \_ ->
+                    let
+                        pdf =
+                            simpleDocument
+                                [ Table [ { title = "Machine", share = 2 }, { title = "Hours", share = 1 } ]
+                                    (List.repeat 100 [ "Excavator", "8" ])
+                                ]
+                    in
+                    Expect.equal (occurrences "(Page " pdf) (occurrences "(Machine) Tj" pdf)
+            , test "should_wrap_paragraphs_to_the_page_width" <|
+                \_ ->
+                    simpleDocument [ Paragraph (String.join " " (List.repeat 100 "word")) ]
+                        |> occurrences "Td (word"
+                        |> Expect.equal 5
+            , test "should_escape_brackets_and_write_other_characters_in_octal" <|
+                \_ ->
+                    let
+                        pdf =
+                            simpleDocument [ Paragraph "Clay (wet) 3 yd³ → 5 \\ ok", Paragraph "Bottleneck 🏗️ found" ]
+                    in
+                    Expect.all
+                        [ \_ -> Expect.equal 1 (occurrences "(Clay \\(wet\\) 3 yd\\263 -> 5 \\\\ ok) Tj" pdf)
+                        , \_ -> Expect.equal 1 (occurrences "(Bottleneck found) Tj" pdf)
+                        ]
+                        ()
+            , test "should_draw_the_logo_in_its_colors" <|
+                \_ ->
+                    simpleDocument [ Paragraph "Hello" ]
+                        |> occurrences "0.15 0.39 0.92 rg"
+                        |> Expect.equal 1
+            ]
+        , describe "Pdf.pathOperators"
+            [ test "should_draw_absolute_path_commands" <|
+                \_ ->
+                    Pdf.pathOperators "M0 0 L10 0 H15 V5 C15 8 12 10 10 10 Z"
+                        |> Expect.equal (Just "0 0 m 10 0 l 15 0 l 15 5 l 15 8 12 10 10 10 c h")
+            , test "should_draw_relative_path_commands" <|
+                \_ ->
+                    Pdf.pathOperators "m1 1 2 2h3v-1c1 0 1 1 1 1z"
+                        |> Expect.equal (Just "1 1 m 3 3 l 6 3 l 6 2 l 7 2 7 3 7 3 c h")
+            , test "should_read_numbers_run_together" <|
+                \_ ->
+                    Pdf.pathOperators "M-1-2.5.5.5"
+                        |> Expect.equal (Just "-1 -2.5 m 0.5 0.5 l")
+            , test "should_draw_the_configured_logo" <|
+                \_ ->
+                    Utils.Config.getConfig.branding.logo.paths
+                        |> List.filter (\logoPath -> Pdf.pathOperators logoPath.d == Nothing)
+                        |> Expect.equal []
+            , test "should_refuse_unsupported_commands" <|
+                \_ ->
+                    Expect.all
+                        [ \_ -> Expect.equal Nothing (Pdf.pathOperators "M0 0 A1 1 0 0 0 4 4")
+                        , \_ -> Expect.equal Nothing (Pdf.pathOperators "M0 0 L1")
+                        , \_ -> Expect.equal Nothing (Pdf.pathOperators "10 10")
+                        ]
+                        ()
+            ]
+        , describe "EstimateReport"
+            [ test "should_include_every_section" <|
+                \_ ->
+                    withEstimate
+                        (\estimate ->
+                            let
+                                pdf =
+                                    EstimateReport.report estimate
+                            in
+                            [ "(North Field) Tj"
+                            , "(Pond Excavation Estimate \\267 Prepared Mon, Jun 15, 2026) Tj"
+                            , "(Project Details) Tj"
+                            , "(Pond Dimensions and Volume) Tj"
+                            , "(Fleet) Tj"
+                            , "(CAT 320 Excavator) Tj"
+                            , "(Standard Dump Truck) Tj"
+                            , "(Timeline) Tj"
+                            , "(Bottleneck Analysis) Tj"
+                            , "(Assumptions) Tj"
+                            , "(How This Timeline Was Calculated) Tj"
+                            ]
+                                |> List.filter (\expected -> occurrences expected pdf == 0)
+                                |> Expect.equal []
+                        )
+            , test "should_report_the_simulated_timeline_when_chosen" <|
+                \_ ->
+                    withEstimate
+                        (\estimate ->
+                            EstimateReport.report
+                                { estimate
+                                    | simulation =
+                                        Just
+                                            { totalHours = 30
+                                            , timelineInDays = 4
+                                            , loads = 120
+                                            , averageQueueWait = 2.5
+                                            , excavators = []
+                                            , trucks = []
+                                            , extrapolated = False
+                                            }
+                                }
+                                |> occurrences "(Loading Queue Simulation) Tj"
+                                |> Expect.equal 1
+                        )
+            , test "should_name_the_file_after_the_project" <|
+                \_ ->
+                    case Calendar.fromCalendarDate 2026 6 15 of
+                        Just preparedOn ->
+                            Expect.all
+                                [ \_ -> Expect.equal "north-field-pond-estimate-2026-06-15.pdf" (EstimateReport.fileName "North Field!" preparedOn)
+                                , \_ -> Expect.equal "pond-estimate-2026-06-15.pdf" (EstimateReport.fileName "" preparedOn)
+                                ]
+                                ()
+
+                        Nothing ->
+                            Expect.fail "2026-06-15 should be a date"
+            ]
+        ]
+
+
+
+-- HELPERS
+
+
+simpleDocument : List Block -> String
+simpleDocument blocks =
+    Pdf.document
+        { companyName = "Acme Earthworks"
+        , logo = testLogo
+        , title = "Test Report"
+        , subtitle = "Prepared today"
+        }
+        blocks
+
+
+testLogo : Logo
+testLogo =
+    { width = 48
+    , height = 48
+    , paths = [ { d = "M0 34 L48 34 V48 H0 Z", color = "#2563eb" } ]
+    }
+
+
+occurrences : String -> String -> Int
+occurrences needle haystack =
+    List.length (String.indexes needle haystack)
+
+
+{-| Every entry in the cross-reference table gives the offset of its object,
+and startxref gives the offset of the table
+-}
+expectCrossReferences : String -> Expectation
+expectCrossReferences pdf =
+    let
+        tableOffset =
+            String.indexes "\nxref\n" pdf
+                |> List.head
+                |> Maybe.map ((+) 1)
+                |> Maybe.withDefault 0
+
+        tableLines =
+            String.lines (String.dropLeft tableOffset pdf)
+
+        entryCount =
+            tableLines
+                |> List.drop 1
+                |> List.head
+                |> Maybe.andThen (String.words >> List.drop 1 >> List.head)
+                |> Maybe.andThen String.toInt
+                |> Maybe.withDefault 0
+
+        offsets =
+            tableLines
+                |> List.drop 3
+                |> List.take (entryCount - 1)
+                |> List.filterMap (String.left 10 >> String.toInt)
+
+        startxref =
+            String.indexes "startxref\n" pdf
+                |> List.head
+                |> Maybe.map (\index -> String.dropLeft (index + 10) pdf)
+                |> Maybe.andThen (String.lines >> List.head)
+                |> Maybe.andThen String.toInt
+    in
+    Expect.all
+        [ \_ -> Expect.equal (Just tableOffset) startxref
+        , \_ -> Expect.equal True (entryCount > 7)
+        , \_ -> Expect.equal (entryCount - 1) (List.length offsets)
+        , \_ ->
+            offsets
+                |> List.indexedMap (\index offset -> String.startsWith (String.fromInt (index + 1) ++ " 0 obj\n") (String.dropLeft offset pdf))
+                |> List.all identity
+                |> Expect.equal True
+        ]
+        ()
+
+
+{-| Each stream ends exactly where its /Length says
+-}
+expectStreamLengths : String -> Expectation
+expectStreamLengths pdf =
+    let
+        streamEnds =
+            String.indexes "/Length " pdf
+                |> List.filterMap
+                    (\index ->
+                        let
+                            rest =
+                                String.dropLeft (index + 8) pdf
+
+                            length =
+                                String.toInt (String.join "" (List.take 1 (String.words rest)))
+
+                            start =
+                                String.indexes "stream\n" rest |> List.head |> Maybe.map ((+) 7)
+                        in
+                        Maybe.map2 (\streamLength streamStart -> String.slice (streamStart + streamLength) (streamStart + streamLength + 10) rest) length start
+                    )
+    in
+    Expect.all
+        [ \_ -> Expect.equal 3 (List.length streamEnds)
+        , \_ -> Expect.equal [] (List.filter ((/=) "\nendstream") streamEnds)
+        ]
+        ()
+
+
+withEstimate : (Estimate -> Expectation) -> Expectation
+withEstimate check =
+    case ( Calendar.fromCalendarDate 2026 6 15, Calculations.calculateTimeline 2.5 2.0 12.0 15.0 1000 8 ) of
+        ( Just preparedOn, Ok result ) ->
+            check
+                { config = { fallbackConfig | branding = { companyName = "Acme Earthworks", logo = testLogo } }
+                , projectName = "North Field"
+                , preparedOn = preparedOn
+                , unitSystem = Imperial
+                , formData = ProjectForm.initFormData fallbackConfig.defaults
+                , excavators = [ Utils.Config.defaultExcavator "excavator-1" fallbackConfig.defaults ]
+                , trucks = [ Utils.Config.defaultTruck "truck-1" fallbackConfig.defaults ]
+                , result = result
+                , simulation = Nothing
+                }
+
+        _ ->
+            Expect.fail "the sample estimate should calculate"
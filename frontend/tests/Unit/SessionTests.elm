@@ -0,0 +1,197 @@
+module Unit.SessionTests exposing (suite)
+
+{-| Unit tests for autosaving and restoring the working session, and for
+share links
+
+@docs suite
+
+-}
+
+import Components.ProjectForm as ProjectForm
+import Expect
+import Json.Encode as Encode
+import Test exposing (Test, describe, test)
+import Types.Equipment exposing (defaultHaulCycle)
+import Types.Phase exposing (PhaseKind(..), newPhase)
+import Types.Project exposing (WorkingSession)
+import Utils.Config exposing (Config, fallbackConfig)
+import Utils.ProjectCodec as ProjectCodec
+import Utils.Session as Session
+
+
+suite : Test
+suite =
+    describe "Session Tests"
+        [ describe "ProjectCodec"
+            [ test "should_read_back_an_autosaved_session" <|
+                \_ ->
+                    ProjectCodec.encodeSession testSession
+                        |> Encode.encode 0
+                        |> ProjectCodec.decodeSession
+                        |> Expect.equal (Ok testSession)
+            , test "should_not_read_a_project_library_as_a_session" <|
+                \_ ->
+                    ProjectCodec.encodeLibrary []
+                        |> Encode.encode 0
+                        |> ProjectCodec.decodeSession
+                        |> Expect.err
+            , test "should_read_back_a_shared_estimate" <|
+                \_ ->
+                    ProjectCodec.encodeShared testSession
+                        |> ProjectCodec.decodeShared fallbackConfig
+                        |> Expect.equal (Ok ( testSession, [] ))
+            , test "should_refuse_a_shared_estimate_without_a_fleet" <|
+                \_ ->
+                    ProjectCodec.encodeShared { testSession | trucks = [] }
+                        |> ProjectCodec.decodeShared fallbackConfig
+                        |> Expect.err
+            , test "should_explain_a_link_that_could_not_be_unpacked" <|
+                \_ ->
+                    ProjectCodec.decodeShared fallbackConfig ""
+                        |> Expect.equal (Err "The shared estimate could not be read because the data is not in a format the calculator recognises.")
+            , test "should_leave_out_a_shared_machine_outside_the_limits" <|
+                \_ ->
+                    let
+                        oversized =
+                            List.map (\excavator -> { excavator | bucketCapacity = 500 }) (List.take 1 testSession.excavators)
+                    in
+                    ProjectCodec.encodeShared { testSession | excavators = oversized ++ List.drop 1 testSession.excavators }
+                        |> ProjectCodec.decodeShared fallbackConfig
+                        |> Result.map (\( shared, notes ) -> ( List.map .id shared.excavators, List.length notes ))
+                        |> Expect.equal (Ok ( [ "excavator-2" ], 1 ))
+            , test "should_refuse_a_shared_fleet_entirely_outside_the_limits" <|
+                \_ ->
+                    ProjectCodec.encodeShared { testSession | trucks = List.map (\truck -> { truck | efficiency = 7 }) testSession.trucks }
+                        |> ProjectCodec.decodeShared fallbackConfig
+                        |> Expect.equal (Err "The shared estimate could not be read because its fleet is outside the calculator's limits.")
+            , test "should_put_a_shared_figure_outside_the_limits_back_to_its_default" <|
+                \_ ->
+                    let
+                        formData =
+                            testSession.formData
+                    in
+                    ProjectCodec.encodeShared { testSession | formData = { formData | pondLength = "-40", workHoursPerDay = "30" } }
+                        |> ProjectCodec.decodeShared fallbackConfig
+                        |> Result.map (\( shared, notes ) -> ( ( shared.formData.pondLength, shared.formData.workHoursPerDay ), notes ))
+                        |> Expect.equal
+                            (Ok
+                                ( ( formData.pondLength, formData.workHoursPerDay )
+                                , [ "The daily work hours was outside the calculator's limits, so the default is used instead."
+                                  , "The pond length was outside the calculator's limits, so the default is used instead."
+                                  ]
+                                )
+                            )
+            , test "should_leave_out_a_shared_phase_outside_the_limits" <|
+                \_ ->
+                    ProjectCodec.encodeShared { testSession | phases = List.map (\phase -> { phase | volume = -50 }) testSession.phases }
+                        |> ProjectCodec.decodeShared fallbackConfig
+                        |> Result.map (\( shared, notes ) -> ( shared.phases, notes ))
+                        |> Expect.equal (Ok ( [], [ "Clearing was left out because it cannot be worked as shared." ] ))
+            , test "should_refuse_a_shared_estimate_edited_by_hand" <|
+                \_ ->
+                    ProjectCodec.encodeShared testSession
+                        |> String.replace "\"excavators\"" "\"diggers\""
+                        |> ProjectCodec.decodeShared fallbackConfig
+                        |> Expect.err
+            ]
+        , describe "fitToConfig"
+            [ test "should_leave_a_session_that_fits_alone" <|
+                \_ ->
+                    Session.fitToConfig fallbackConfig testSession
+                        |> Expect.equal ( testSession, [] )
+            , test "should_leave_out_machines_beyond_lowered_fleet_limits" <|
+                \_ ->
+                    let
+                        ( fitted, notes ) =
+                            Session.fitToConfig (withFleetLimits 1 1) testSession
+                    in
+                    Expect.all
+                        [ \_ -> Expect.equal [ "excavator-1" ] (List.map .id fitted.excavators)
+                        , \_ -> Expect.equal [ "truck-1" ] (List.map .id fitted.trucks)
+                        , \_ -> Expect.equal 2 (List.length notes)
+                        , \_ ->
+                            notes
+                                |> List.head
+                                |> Maybe.map (String.contains "1 excavator was left out")
+                                |> Expect.equal (Just True)
+                        ]
+                        ()
+            , test "should_count_every_machine_of_a_row_against_the_limits" <|
+                \_ ->
+                    let
+                        ( fitted, notes ) =
+                            Session.fitToConfig (withFleetLimits 3 2) { testSession | excavators = List.map (\excavator -> { excavator | quantity = 2 }) testSession.excavators }
+                    in
+                    Expect.all
+                        [ \_ -> Expect.equal [ 2, 1 ] (List.map .quantity fitted.excavators)
+                        , \_ -> Expect.equal [ "1 excavator was left out because the fleet is now limited to 3 excavators." ] notes
+                        ]
+                        ()
+            , test "should_drop_references_to_machines_left_out" <|
+                \_ ->
+                    let
+                        ( fitted, _ ) =
+                            Session.fitToConfig (withFleetLimits 1 2) testSession
+                    in
+                    Expect.all
+                        [ \_ -> Expect.equal [ [ "excavator-1" ] ] (List.map .excavatorIds fitted.phases)
+                        , \_ ->
+                            fitted.trucks
+                                |> List.map (.haulCycle >> Maybe.andThen .loadingExcavator)
+                                |> Expect.equal [ Nothing, Nothing ]
+                        ]
+                        ()
+            , test "should_fall_back_from_a_retired_soil_type" <|
+                \_ ->
+                    let
+                        formData =
+                            testSession.formData
+
+                        ( fitted, notes ) =
+                            Session.fitToConfig fallbackConfig { testSession | formData = { formData | soilType = "peat" } }
+                    in
+                    Expect.all
+                        [ \_ -> Expect.equal fallbackConfig.defaults.project.soilType fitted.formData.soilType
+                        , \_ -> Expect.equal 1 (List.length notes)
+                        ]
+                        ()
+            , test "should_move_id_counters_past_ids_in_use" <|
+                \_ ->
+                    Session.fitToConfig fallbackConfig { testSession | nextExcavatorId = 1, nextTruckId = 1, nextPhaseId = 1 }
+                        |> Tuple.first
+                        |> (\fitted -> ( fitted.nextExcavatorId, fitted.nextTruckId, fitted.nextPhaseId ))
+                        |> Expect.equal ( 3, 3, 2 )
+            ]
+        ]
+
+
+
+-- TEST DATA
+
+
+testSession : WorkingSession
+testSession =
+    let
+        excavator number =
+            Utils.Config.defaultExcavator ("excavator-" ++ String.fromInt number) fallbackConfig.defaults
+
+        truck number =
+            let
+                base =
+                    Utils.Config.defaultTruck ("truck-" ++ String.fromInt number) fallbackConfig.defaults
+            in
+            { base | haulCycle = Just { defaultHaulCycle | loadingExcavator = Just "excavator-2" } }
+    in
+    { formData = ProjectForm.initFormData fallbackConfig.defaults
+    , excavators = [ excavator 1, excavator 2 ]
+    , trucks = [ truck 1, truck 2 ]
+    , phases = [ newPhase "phase-1" Clearing [ "excavator-1", "excavator-2" ] [ "truck-1" ] ]
+    , nextExcavatorId = 3
+    , nextTruckId = 3
+    , nextPhaseId = 2
+    }
+
+
+withFleetLimits : Int -> Int -> Config
+withFleetLimits maxExcavators maxTrucks =
+    { fallbackConfig | fleetLimits = { maxExcavators = maxExcavators, maxTrucks = maxTrucks } }
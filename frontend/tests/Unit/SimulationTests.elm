@@ -0,0 +1,84 @@
+module Unit.SimulationTests exposing (suite)
+
+{-| Unit tests for the excavator and truck loading queue simulation
+
+@docs suite
+
+-}
+
+import Expect
+import Test exposing (Test, describe, test)
+import Types.Equipment exposing (Excavator, OperatorSkill(..), Truck)
+import Utils.Simulation exposing (defaultSettings, simulate)
+
+
+suite : Test
+suite =
+    describe "Loading Queue Simulation Tests"
+        [ describe "simulate"
+            [ test "should_produce_identical_results_for_same_seed" <|
+                \_ ->
+                    let
+                        run _ =
+                            simulate defaultSettings 25.0 [ testExcavator ] (List.map truckNumbered (List.range 1 4)) 1000.0 8.0
+                    in
+                    Expect.equal (run ()) (run ())
+            , test "should_match_truck_cycle_without_variability" <|
+                \_ ->
+                    -- 10 loads of 12 yards, each truck cycle 15 / 0.8 = 18.75 minutes
+                    simulate { seed = 1, variability = 0 } 0.0 [ testExcavator ] [ testTruck ] 120.0 8.0
+                        |> Maybe.map .totalHours
+                        |> Maybe.withDefault 0
+                        |> Expect.within (Expect.Absolute 0.001) 3.125
+            , test "should_not_queue_single_truck" <|
+                \_ ->
+                    case simulate defaultSettings 0.0 [ testExcavator ] [ testTruck ] 500.0 8.0 of
+                        Just result ->
+                            Expect.all
+                                [ \r -> Expect.within (Expect.Absolute 0.001) 0.0 r.averageQueueWait
+                                , \r -> Expect.equal False r.extrapolated
+                                , \r -> Expect.lessThan 1.0 (List.sum (List.map .utilization r.excavators))
+                                ]
+                                result
+
+                        Nothing ->
+                            Expect.fail "Expected a simulation result"
+            , test "should_queue_trucks_at_overloaded_excavator" <|
+                \_ ->
+                    case simulate defaultSettings 0.0 [ testExcavator ] (List.map truckNumbered (List.range 1 8)) 500.0 8.0 of
+                        Just result ->
+                            Expect.all
+                                [ \r -> Expect.greaterThan 0.0 r.averageQueueWait
+                                , \r -> Expect.greaterThan 0.9 (List.sum (List.map .utilization r.excavators))
+                                , \r -> Expect.equal 8 (List.length r.trucks)
+                                ]
+                                result
+
+                        Nothing ->
+                            Expect.fail "Expected a simulation result"
+            , test "should_skip_inactive_equipment" <|
+                \_ ->
+                    simulate defaultSettings 0.0 [ testExcavator ] [ { testTruck | isActive = False } ] 500.0 8.0
+                        |> Expect.equal Nothing
+            , test "should_extrapolate_very_large_jobs" <|
+                \_ ->
+                    simulate defaultSettings 0.0 [ testExcavator ] [ testTruck ] 100000.0 8.0
+                        |> Maybe.map .extrapolated
+                        |> Expect.equal (Just True)
+            ]
+        ]
+
+
+testExcavator : Excavator
+testExcavator =
+    { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Test Excavator", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+
+
+testTruck : Truck
+testTruck =
+    { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Test Truck", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
+
+
+truckNumbered : Int -> Truck
+truckNumbered n =
+    { testTruck | id = "truck" ++ String.fromInt n, name = "Truck " ++ String.fromInt n }
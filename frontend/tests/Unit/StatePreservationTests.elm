@@ -7,18 +7,15 @@ module Unit.StatePreservationTests exposing (suite)
 -}
 
 import Components.ProjectForm as ProjectForm
-import Dict
 import Expect
 import Test exposing (Test, describe, test)
-import Types.DeviceType exposing (DeviceType(..))
-import Types.Equipment exposing (EquipmentId, Excavator, Truck)
+import TestModel exposing (testModel)
+import Types.Equipment exposing (EquipmentId, Excavator, OperatorSkill(..), Truck)
 import Types.Messages exposing (ExcavatorUpdate(..), Msg(..), TruckUpdate(..))
 import Types.Model exposing (Model)
-import Types.Onboarding
+import Types.Pond exposing (PondShape(..))
+import Types.Spoil exposing (SpoilPlacement(..))
 import Utils.Calculations exposing (Bottleneck(..), CalculationResult, ConfidenceLevel(..))
-import Utils.Config
-import Utils.Debounce
-import Utils.Performance
 
 
 suite : Test
@@ -29,19 +26,19 @@ suite =
                 \_ ->
                     let
                         originalTrucks =
-                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Truck 1", isActive = True }
-                            , { id = "truck2", capacity = 15.0, roundTripTime = 12.0, name = "Truck 2", isActive = True }
+                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Truck 1", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
+                            , { id = "truck2", capacity = 15.0, roundTripTime = 12.0, name = "Truck 2", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
                             ]
 
                         originalExcavators =
-                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Excavator 1", isActive = True } ]
+                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Excavator 1", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing } ]
 
                         originalModel =
                             createTestModelWithState originalExcavators originalTrucks
 
                         -- Simulate adding an excavator
                         newExcavator =
-                            { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.8, name = "New Excavator", isActive = True }
+                            { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.8, name = "New Excavator", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
 
                         updatedModel =
                             { originalModel
@@ -64,11 +61,11 @@ suite =
                 \_ ->
                     let
                         originalTrucks =
-                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Truck 1", isActive = True } ]
+                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Truck 1", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing } ]
 
                         originalExcavators =
-                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Keep", isActive = True }
-                            , { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.8, name = "Remove", isActive = True }
+                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Keep", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+                            , { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.8, name = "Remove", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
                             ]
 
                         originalModel =
@@ -91,12 +88,12 @@ suite =
                 \_ ->
                     let
                         originalExcavators =
-                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Update Me", isActive = True }
-                            , { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.8, name = "Don't Change", isActive = True }
+                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Update Me", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+                            , { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.8, name = "Don't Change", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
                             ]
 
                         originalTrucks =
-                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Truck", isActive = True } ]
+                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Truck", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing } ]
 
                         originalModel =
                             createTestModelWithState originalExcavators originalTrucks
@@ -145,19 +142,19 @@ suite =
                 \_ ->
                     let
                         originalExcavators =
-                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Excavator 1", isActive = True }
-                            , { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.8, name = "Excavator 2", isActive = True }
+                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Excavator 1", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+                            , { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.8, name = "Excavator 2", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
                             ]
 
                         originalTrucks =
-                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Truck 1", isActive = True } ]
+                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Truck 1", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing } ]
 
                         originalModel =
                             createTestModelWithState originalExcavators originalTrucks
 
                         -- Simulate adding a truck
                         newTruck =
-                            { id = "truck2", capacity = 18.0, roundTripTime = 12.0, name = "New Truck", isActive = True }
+                            { id = "truck2", capacity = 18.0, roundTripTime = 12.0, name = "New Truck", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
 
                         updatedModel =
                             { originalModel
@@ -180,11 +177,11 @@ suite =
                 \_ ->
                     let
                         originalExcavators =
-                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Excavator", isActive = True } ]
+                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Excavator", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing } ]
 
                         originalTrucks =
-                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Keep", isActive = True }
-                            , { id = "truck2", capacity = 18.0, roundTripTime = 12.0, name = "Remove", isActive = True }
+                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Keep", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
+                            , { id = "truck2", capacity = 18.0, roundTripTime = 12.0, name = "Remove", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
                             ]
 
                         originalModel =
@@ -206,11 +203,11 @@ suite =
                 \_ ->
                     let
                         originalExcavators =
-                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Excavator", isActive = True } ]
+                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Excavator", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing } ]
 
                         originalTrucks =
-                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Update Me", isActive = True }
-                            , { id = "truck2", capacity = 18.0, roundTripTime = 12.0, name = "Don't Change", isActive = True }
+                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Update Me", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
+                            , { id = "truck2", capacity = 18.0, roundTripTime = 12.0, name = "Don't Change", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
                             ]
 
                         originalModel =
@@ -260,10 +257,10 @@ suite =
                 \_ ->
                     let
                         singleExcavator =
-                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Last Excavator", isActive = True } ]
+                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Last Excavator", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing } ]
 
                         trucks =
-                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Truck", isActive = True } ]
+                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Truck", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing } ]
 
                         model =
                             createTestModelWithState singleExcavator trucks
@@ -286,10 +283,10 @@ suite =
                 \_ ->
                     let
                         excavators =
-                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Excavator", isActive = True } ]
+                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Excavator", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing } ]
 
                         singleTruck =
-                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Last Truck", isActive = True } ]
+                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Last Truck", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing } ]
 
                         model =
                             createTestModelWithState excavators singleTruck
@@ -312,13 +309,13 @@ suite =
                 \_ ->
                     let
                         excavators =
-                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Keep", isActive = True }
-                            , { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.8, name = "Remove", isActive = True }
+                            [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Keep", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+                            , { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.8, name = "Remove", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
                             ]
 
                         trucks =
-                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Keep", isActive = True }
-                            , { id = "truck2", capacity = 18.0, roundTripTime = 12.0, name = "Remove", isActive = True }
+                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Keep", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
+                            , { id = "truck2", capacity = 18.0, roundTripTime = 12.0, name = "Remove", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
                             ]
 
                         model =
@@ -350,12 +347,12 @@ suite =
                     let
                         originalModel =
                             createTestModelWithState
-                                [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Excavator", isActive = True } ]
-                                [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Truck", isActive = True } ]
+                                [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Excavator", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing } ]
+                                [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Truck", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing } ]
 
                         -- Simulate adding equipment and triggering recalculation
                         newExcavator =
-                            { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.8, name = "New", isActive = True }
+                            { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.8, name = "New", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
 
                         updatedModel =
                             { originalModel
@@ -382,14 +379,26 @@ suite =
                             , confidence = High
                             , assumptions = [ "Test assumption" ]
                             , warnings = [ "Test warning" ]
+                            , pondGeometry = Nothing
+                            , bankVolume = 0.0
+                            , looseVolume = 0.0
+                            , exportedVolume = 0.0
+                            , tonsHauled = 0
+                            , truckLoads = 0
+                            , cost = Nothing
+                            , timelineRange = Nothing
+                            , schedule = Nothing
+                            , haulCycles = []
+                            , phases = []
+                            , fleet = { excavators = [], trucks = [] }
                             }
 
                         baseModel =
                             createTestModelWithState
-                                [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Keep", isActive = True }
-                                , { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.8, name = "Remove", isActive = True }
+                                [ { id = "exc1", bucketCapacity = 2.5, cycleTime = 2.0, name = "Keep", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
+                                , { id = "exc2", bucketCapacity = 3.0, cycleTime = 1.8, name = "Remove", isActive = True, quantity = 1, efficiency = 0.85, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 95.0, operatorWage = 35.0, fuelBurn = 4.5, cycleTimeRange = Nothing, rosterUnit = Nothing }
                                 ]
-                                [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Truck", isActive = True } ]
+                                [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Truck", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing } ]
 
                         originalModel =
                             { baseModel | lastValidResult = Just testCalculationResult }
@@ -420,33 +429,34 @@ createTestModelWithState excavators trucks =
             , pondWidth = "25.0"
             , pondDepth = "5.0"
             , errors = []
+            , sideSlope = "0"
+            , perSideSlopes = False
+            , northSlope = "0"
+            , southSlope = "0"
+            , eastSlope = "0"
+            , westSlope = "0"
+            , pondShape = Rectangle
+            , cornerRadius = "6.25"
+            , smallLobeDiameter = "20"
+            , soilType = "topsoil"
+            , customSwellPercent = "25"
+            , customDensity = "2300"
+            , spoilPlacement = ExportAll
+            , exportPercent = "50"
+            , fuelPrice = "4"
+            , disposalFee = "8"
+            , workHoursMin = "6"
+            , workHoursMax = "10"
+            , startDate = ""
+            , workDays = [ "mon", "tue", "wed", "thu", "fri" ]
+            , holidays = []
             }
     in
-    { message = "Test Model With State"
-    , config = Just Utils.Config.fallbackConfig
-    , formData = Just testFormData
-    , calculationResult = Nothing
-    , lastValidResult = Nothing
-    , hasValidationErrors = False
-    , deviceType = Desktop
-    , calculationInProgress = False
-    , performanceMetrics = Utils.Performance.initMetrics
-    , debounceState = Utils.Debounce.initDebounce
-    , excavators = excavators
-    , trucks = trucks
-    , nextExcavatorId = List.length excavators + 1
-    , nextTruckId = List.length trucks + 1
-    , helpTooltipState = Nothing
-    , showHelpPanel = False
-    , currentContextualHelp = Nothing
-    , realTimeValidation = False
-    , fieldValidationErrors = Dict.empty
-    , validationDebounce = Dict.empty
-
-    -- Onboarding state
-    , onboardingState = Types.Onboarding.Completed
-    , showWelcomeOverlay = False
-    , currentTourStep = Nothing
-    , isFirstTimeUser = False
-    , exampleScenarioLoaded = False
+    { testModel
+        | message = "Test Model With State"
+        , formData = Just testFormData
+        , excavators = excavators
+        , trucks = trucks
+        , nextExcavatorId = List.length excavators + 1
+        , nextTruckId = List.length trucks + 1
     }
@@ -8,7 +8,7 @@ module Unit.TruckFleetTests exposing (suite)
 
 import Expect
 import Test exposing (Test, describe, test)
-import Types.Equipment exposing (EquipmentId, Truck)
+import Types.Equipment exposing (EquipmentId, OperatorSkill(..), Truck)
 import Utils.Calculations exposing (calculateTruckFleetProductivity, calculateTruckRate)
 
 
@@ -25,6 +25,17 @@ suite =
                               , roundTripTime = 15.0
                               , name = "Standard Dump Truck"
                               , isActive = True
+                              , quantity = 1
+                              , efficiency = 0.8
+                              , fillFactor = 1.0
+                              , operatorSkill = Average
+                              , hourlyRate = 65.0
+                              , operatorWage = 28.0
+                              , fuelBurn = 5.0
+                              , roundTripTimeRange = Nothing
+                              , haulCycle = Nothing
+                              , maxPayload = 14.0
+                              , rosterUnit = Nothing
                               }
                             ]
 
@@ -39,10 +50,10 @@ suite =
                 \_ ->
                     let
                         uniformFleet =
-                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Truck 1", isActive = True }
-                            , { id = "truck2", capacity = 12.0, roundTripTime = 15.0, name = "Truck 2", isActive = True }
-                            , { id = "truck3", capacity = 12.0, roundTripTime = 15.0, name = "Truck 3", isActive = True }
-                            , { id = "truck4", capacity = 12.0, roundTripTime = 15.0, name = "Truck 4", isActive = True }
+                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Truck 1", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
+                            , { id = "truck2", capacity = 12.0, roundTripTime = 15.0, name = "Truck 2", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
+                            , { id = "truck3", capacity = 12.0, roundTripTime = 15.0, name = "Truck 3", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
+                            , { id = "truck4", capacity = 12.0, roundTripTime = 15.0, name = "Truck 4", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
                             ]
 
                         singleTruckRate =
@@ -55,14 +66,21 @@ suite =
                             calculateTruckFleetProductivity uniformFleet
                     in
                     Expect.within (Expect.Absolute 0.001) expectedFleetRate actualFleetRate
+            , test "counts a row of several trucks as that many machines" <|
+                \_ ->
+                    let
+                        rowOfFour =
+                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Standard Dump Truck", isActive = True, quantity = 4, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing } ]
+                    in
+                    Expect.within (Expect.Absolute 0.001) (calculateTruckRate 12.0 15.0 * 4) (calculateTruckFleetProductivity rowOfFour)
             , test "calculates hauling capacity for mixed truck fleet with varying capacities" <|
                 \_ ->
                     let
                         mixedCapacityFleet =
-                            [ { id = "truck1", capacity = 8.0, roundTripTime = 12.0, name = "Small Truck", isActive = True }
-                            , { id = "truck2", capacity = 12.0, roundTripTime = 15.0, name = "Medium Truck", isActive = True }
-                            , { id = "truck3", capacity = 18.0, roundTripTime = 20.0, name = "Large Truck", isActive = True }
-                            , { id = "truck4", capacity = 25.0, roundTripTime = 25.0, name = "Heavy Truck", isActive = True }
+                            [ { id = "truck1", capacity = 8.0, roundTripTime = 12.0, name = "Small Truck", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
+                            , { id = "truck2", capacity = 12.0, roundTripTime = 15.0, name = "Medium Truck", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
+                            , { id = "truck3", capacity = 18.0, roundTripTime = 20.0, name = "Large Truck", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
+                            , { id = "truck4", capacity = 25.0, roundTripTime = 25.0, name = "Heavy Truck", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
                             ]
 
                         expectedRate1 =
@@ -88,9 +106,9 @@ suite =
                 \_ ->
                     let
                         mixedTimeFleet =
-                            [ { id = "truck1", capacity = 12.0, roundTripTime = 10.0, name = "Fast Truck", isActive = True }
-                            , { id = "truck2", capacity = 12.0, roundTripTime = 15.0, name = "Standard Truck", isActive = True }
-                            , { id = "truck3", capacity = 12.0, roundTripTime = 20.0, name = "Slow Truck", isActive = True }
+                            [ { id = "truck1", capacity = 12.0, roundTripTime = 10.0, name = "Fast Truck", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
+                            , { id = "truck2", capacity = 12.0, roundTripTime = 15.0, name = "Standard Truck", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
+                            , { id = "truck3", capacity = 12.0, roundTripTime = 20.0, name = "Slow Truck", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
                             ]
 
                         expectedFast =
@@ -113,9 +131,9 @@ suite =
                 \_ ->
                     let
                         fleetWithInactive =
-                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Active Truck 1", isActive = True }
-                            , { id = "truck2", capacity = 18.0, roundTripTime = 12.0, name = "Inactive Truck", isActive = False }
-                            , { id = "truck3", capacity = 10.0, roundTripTime = 18.0, name = "Active Truck 2", isActive = True }
+                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Active Truck 1", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
+                            , { id = "truck2", capacity = 18.0, roundTripTime = 12.0, name = "Inactive Truck", isActive = False, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
+                            , { id = "truck3", capacity = 10.0, roundTripTime = 18.0, name = "Active Truck 2", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
                             ]
 
                         expectedActiveRate1 =
@@ -145,8 +163,8 @@ suite =
                 \_ ->
                     let
                         allInactiveFleet =
-                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Inactive 1", isActive = False }
-                            , { id = "truck2", capacity = 15.0, roundTripTime = 12.0, name = "Inactive 2", isActive = False }
+                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Inactive 1", isActive = False, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
+                            , { id = "truck2", capacity = 15.0, roundTripTime = 12.0, name = "Inactive 2", isActive = False, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
                             ]
 
                         actualCapacity =
@@ -159,7 +177,7 @@ suite =
                 \_ ->
                     let
                         singleFleet =
-                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Solo Truck", isActive = True } ]
+                            [ { id = "truck1", capacity = 12.0, roundTripTime = 15.0, name = "Solo Truck", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing } ]
 
                         capacity =
                             calculateTruckFleetProductivity singleFleet
@@ -177,6 +195,17 @@ suite =
                                         , roundTripTime = 15.0
                                         , name = "Truck " ++ String.fromInt i
                                         , isActive = True
+                                        , quantity = 1
+                                        , efficiency = 0.8
+                                        , fillFactor = 1.0
+                                        , operatorSkill = Average
+                                        , hourlyRate = 65.0
+                                        , operatorWage = 28.0
+                                        , fuelBurn = 5.0
+                                        , roundTripTimeRange = Nothing
+                                        , haulCycle = Nothing
+                                        , maxPayload = 14.0
+                                        , rosterUnit = Nothing
                                         }
                                     )
 
@@ -202,6 +231,17 @@ suite =
                                         , roundTripTime = 15.0 + toFloat (modBy 3 i) * 3.0
                                         , name = "Truck " ++ String.fromInt i
                                         , isActive = True
+                                        , quantity = 1
+                                        , efficiency = 0.8
+                                        , fillFactor = 1.0
+                                        , operatorSkill = Average
+                                        , hourlyRate = 65.0
+                                        , operatorWage = 28.0
+                                        , fuelBurn = 5.0
+                                        , roundTripTimeRange = Nothing
+                                        , haulCycle = Nothing
+                                        , maxPayload = 14.0
+                                        , rosterUnit = Nothing
                                         }
                                     )
 
@@ -221,6 +261,17 @@ suite =
                                         , roundTripTime = 12.0 + toFloat (modBy 4 i) * 4.0
                                         , name = "Truck " ++ String.fromInt i
                                         , isActive = True
+                                        , quantity = 1
+                                        , efficiency = 0.8
+                                        , fillFactor = 1.0
+                                        , operatorSkill = Average
+                                        , hourlyRate = 65.0
+                                        , operatorWage = 28.0
+                                        , fuelBurn = 5.0
+                                        , roundTripTimeRange = Nothing
+                                        , haulCycle = Nothing
+                                        , maxPayload = 14.0
+                                        , rosterUnit = Nothing
                                         }
                                     )
 
@@ -242,6 +293,17 @@ suite =
                                         , roundTripTime = 15.0
                                         , name = "Truck " ++ String.fromInt i
                                         , isActive = True
+                                        , quantity = 1
+                                        , efficiency = 0.8
+                                        , fillFactor = 1.0
+                                        , operatorSkill = Average
+                                        , hourlyRate = 65.0
+                                        , operatorWage = 28.0
+                                        , fuelBurn = 5.0
+                                        , roundTripTimeRange = Nothing
+                                        , haulCycle = Nothing
+                                        , maxPayload = 14.0
+                                        , rosterUnit = Nothing
                                         }
                                     )
 
@@ -269,10 +331,10 @@ suite =
                 \_ ->
                     let
                         fastTruck =
-                            { id = "truck1", capacity = 12.0, roundTripTime = 10.0, name = "Fast Truck", isActive = True }
+                            { id = "truck1", capacity = 12.0, roundTripTime = 10.0, name = "Fast Truck", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
 
                         slowTruck =
-                            { id = "truck2", capacity = 12.0, roundTripTime = 20.0, name = "Slow Truck", isActive = True }
+                            { id = "truck2", capacity = 12.0, roundTripTime = 20.0, name = "Slow Truck", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
 
                         mixedFleet =
                             [ fastTruck, slowTruck ]
@@ -298,10 +360,10 @@ suite =
                 \_ ->
                     let
                         smallTruck =
-                            { id = "truck1", capacity = 8.0, roundTripTime = 15.0, name = "Small Truck", isActive = True }
+                            { id = "truck1", capacity = 8.0, roundTripTime = 15.0, name = "Small Truck", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
 
                         largeTruck =
-                            { id = "truck2", capacity = 20.0, roundTripTime = 15.0, name = "Large Truck", isActive = True }
+                            { id = "truck2", capacity = 20.0, roundTripTime = 15.0, name = "Large Truck", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
 
                         mixedFleet =
                             [ smallTruck, largeTruck ]
@@ -330,15 +392,15 @@ suite =
                     let
                         -- Fleet with only very fast but small trucks
                         fastSmallFleet =
-                            List.repeat 4 { id = "truck1", capacity = 6.0, roundTripTime = 8.0, name = "Fast Small", isActive = True }
+                            List.repeat 4 { id = "truck1", capacity = 6.0, roundTripTime = 8.0, name = "Fast Small", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
 
                         -- Fleet with only slow but large trucks
                         slowLargeFleet =
-                            List.repeat 4 { id = "truck2", capacity = 24.0, roundTripTime = 30.0, name = "Slow Large", isActive = True }
+                            List.repeat 4 { id = "truck2", capacity = 24.0, roundTripTime = 30.0, name = "Slow Large", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
 
                         -- Balanced fleet with medium capacity and medium speed
                         balancedFleet =
-                            List.repeat 4 { id = "truck3", capacity = 12.0, roundTripTime = 15.0, name = "Balanced", isActive = True }
+                            List.repeat 4 { id = "truck3", capacity = 12.0, roundTripTime = 15.0, name = "Balanced", isActive = True, quantity = 1, efficiency = 0.8, fillFactor = 1.0, operatorSkill = Average, hourlyRate = 65.0, operatorWage = 28.0, fuelBurn = 5.0, roundTripTimeRange = Nothing, haulCycle = Nothing, maxPayload = 14.0, rosterUnit = Nothing }
 
                         fastSmallCapacity =
                             calculateTruckFleetProductivity fastSmallFleet
@@ -0,0 +1,99 @@
+module Unit.UnitsTests exposing (suite)
+
+{-| Unit tests for imperial and metric display units
+
+@docs suite
+
+-}
+
+import Expect
+import Test exposing (Test, describe, test)
+import Utils.Config exposing (fallbackConfig)
+import Utils.Units as Units exposing (Quantity(..), UnitSystem(..))
+
+
+suite : Test
+suite =
+    describe "Units Tests"
+        [ describe "toDisplay"
+            [ test "should_leave_imperial_figures_unchanged" <|
+                \_ ->
+                    Units.toDisplay Imperial Volume 12.5
+                        |> Expect.equal 12.5
+            , test "should_convert_to_metric" <|
+                \_ ->
+                    Expect.all
+                        [ \_ -> Expect.within (Expect.Absolute 0.0001) 30.48 (Units.toDisplay Metric Length 100)
+                        , \_ -> Expect.within (Expect.Absolute 0.0001) 7.6455 (Units.toDisplay Metric Volume 10)
+                        , \_ -> Expect.within (Expect.Absolute 0.0001) 3.2187 (Units.toDisplay Metric Distance 2)
+                        , \_ -> Expect.within (Expect.Absolute 0.0001) 12.7006 (Units.toDisplay Metric Weight 14)
+                        , \_ -> Expect.within (Expect.Absolute 0.0001) 1.7798 (Units.toDisplay Metric Density 3000)
+                        , \_ -> Expect.within (Expect.Absolute 0.0001) 1.0567 (Units.toDisplay Metric FuelPrice 4)
+                        ]
+                        ()
+            , test "should_round_trip_through_metric" <|
+                \_ ->
+                    Units.toDisplay Metric Volume 185.185
+                        |> Units.fromDisplay Metric Volume
+                        |> Expect.within (Expect.Absolute 0.000001) 185.185
+            ]
+        , describe "form values"
+            [ test "should_show_stored_feet_in_metres" <|
+                \_ ->
+                    Units.displayInput Metric Length "100"
+                        |> Expect.equal "30.48"
+            , test "should_store_typed_metres_as_feet" <|
+                \_ ->
+                    Units.fromInput Metric Length "30.48"
+                        |> String.toFloat
+                        |> Maybe.withDefault 0
+                        |> Expect.within (Expect.Absolute 0.000001) 100
+            , test "should_pass_text_that_is_not_a_number_through" <|
+                \_ ->
+                    Expect.all
+                        [ \_ -> Expect.equal "" (Units.fromInput Metric Length "")
+                        , \_ -> Expect.equal "abc" (Units.displayInput Metric Length "abc")
+                        ]
+                        ()
+            , test "should_keep_imperial_text_as_typed" <|
+                \_ ->
+                    Units.fromInput Imperial Length "40.50"
+                        |> Expect.equal "40.50"
+            ]
+        , describe "describe"
+            [ test "should_round_metric_prose_to_two_significant_digits" <|
+                \_ ->
+                    Expect.all
+                        [ \_ -> Expect.equal "150" (Units.describe Metric Length 500)
+                        , \_ -> Expect.equal "0.54" (Units.describe Metric Volume 0.7)
+                        , \_ -> Expect.equal "3" (Units.describe Metric Length 10)
+                        ]
+                        ()
+            ]
+        , describe "convertRules"
+            [ test "should_keep_imperial_rules" <|
+                \_ ->
+                    Units.convertRules Imperial fallbackConfig.validation
+                        |> Expect.equal fallbackConfig.validation
+            , test "should_convert_unit_ranges_and_leave_times_alone" <|
+                \_ ->
+                    let
+                        rules =
+                            Units.convertRules Metric fallbackConfig.validation
+                    in
+                    Expect.all
+                        [ \r -> Expect.within (Expect.Absolute 0.001) (fallbackConfig.validation.pondDimensions.max * 0.3048) r.pondDimensions.max
+                        , \r -> Expect.within (Expect.Absolute 0.001) (fallbackConfig.validation.truckCapacity.max * 0.764554857984) r.truckCapacity.max
+                        , \r -> Expect.equal fallbackConfig.validation.cycleTime r.cycleTime
+                        , \r -> Expect.equal fallbackConfig.validation.exportPercent r.exportPercent
+                        ]
+                        rules
+            ]
+        , describe "unitSystemFromString"
+            [ test "should_parse_its_own_identifiers" <|
+                \_ ->
+                    Units.allUnitSystems
+                        |> List.map (Units.unitSystemToString >> Units.unitSystemFromString)
+                        |> Expect.equal [ Just Imperial, Just Metric ]
+            ]
+        ]
@@ -14,17 +14,15 @@ was displayed constantly even with valid inputs.
 -}
 
 import Components.ProjectForm as ProjectForm
-import Dict
 import Expect
 import Test exposing (Test, describe, test)
+import TestModel exposing (testModel)
 import Types.DeviceType exposing (DeviceType(..))
 import Types.Messages exposing (Msg(..))
 import Types.Model exposing (Model)
-import Types.Onboarding
+import Types.Pond exposing (PondShape(..))
+import Types.Spoil exposing (SpoilPlacement(..))
 import Utils.Calculations exposing (CalculationResult)
-import Utils.Config
-import Utils.Debounce
-import Utils.Performance
 
 
 suite : Test
@@ -287,65 +285,16 @@ suite =
 
 createModelWithValidData : Model
 createModelWithValidData =
-    { message = "Test Model"
-    , config = Just Utils.Config.fallbackConfig
-    , formData = Just createValidFormData
-    , calculationResult = Nothing
-    , lastValidResult = Nothing
-    , hasValidationErrors = False
-    , deviceType = Desktop
-    , calculationInProgress = False
-    , performanceMetrics = Utils.Performance.initMetrics
-    , debounceState = Utils.Debounce.initDebounce
-    , excavators = []
-    , trucks = []
-    , nextExcavatorId = 1
-    , nextTruckId = 1
-    , helpTooltipState = Nothing
-    , showHelpPanel = False
-    , currentContextualHelp = Nothing
-    , realTimeValidation = False
-    , fieldValidationErrors = Dict.empty
-    , validationDebounce = Dict.empty
-
-    -- Onboarding state
-    , onboardingState = Types.Onboarding.Completed
-    , showWelcomeOverlay = False
-    , currentTourStep = Nothing
-    , isFirstTimeUser = False
-    , exampleScenarioLoaded = False
+    { testModel
+        | formData = Just createValidFormData
     }
 
 
 createModelWithInvalidData : Model
 createModelWithInvalidData =
-    { message = "Test Model"
-    , config = Just Utils.Config.fallbackConfig
-    , formData = Just createInvalidFormData
-    , calculationResult = Nothing
-    , lastValidResult = Nothing
-    , hasValidationErrors = False -- Will be set to true by update
-    , deviceType = Desktop
-    , calculationInProgress = False
-    , performanceMetrics = Utils.Performance.initMetrics
-    , debounceState = Utils.Debounce.initDebounce
-    , excavators = []
-    , trucks = []
-    , nextExcavatorId = 1
-    , nextTruckId = 1
-    , helpTooltipState = Nothing
-    , showHelpPanel = False
-    , currentContextualHelp = Nothing
-    , realTimeValidation = False
-    , fieldValidationErrors = Dict.empty
-    , validationDebounce = Dict.empty
-
-    -- Onboarding state
-    , onboardingState = Types.Onboarding.Completed
-    , showWelcomeOverlay = False
-    , currentTourStep = Nothing
-    , isFirstTimeUser = False
-    , exampleScenarioLoaded = False
+    { testModel
+        | formData = Just createInvalidFormData
+        , hasValidationErrors = False -- Will be set to true by update
     }
 
 
@@ -356,6 +305,27 @@ createValidFormData =
     , pondWidth = "50.0"
     , pondDepth = "6.0"
     , errors = []
+    , sideSlope = "0"
+    , perSideSlopes = False
+    , northSlope = "0"
+    , southSlope = "0"
+    , eastSlope = "0"
+    , westSlope = "0"
+    , pondShape = Rectangle
+    , cornerRadius = "6.25"
+    , smallLobeDiameter = "20"
+    , soilType = "topsoil"
+    , customSwellPercent = "25"
+    , customDensity = "2300"
+    , spoilPlacement = ExportAll
+    , exportPercent = "50"
+    , fuelPrice = "4"
+    , disposalFee = "8"
+    , workHoursMin = "6"
+    , workHoursMax = "10"
+    , startDate = ""
+    , workDays = [ "mon", "tue", "wed", "thu", "fri" ]
+    , holidays = []
     }
 
 
@@ -366,6 +336,27 @@ createInvalidFormData =
     , pondWidth = "50.0"
     , pondDepth = "6.0"
     , errors = []
+    , sideSlope = "0"
+    , perSideSlopes = False
+    , northSlope = "0"
+    , southSlope = "0"
+    , eastSlope = "0"
+    , westSlope = "0"
+    , pondShape = Rectangle
+    , cornerRadius = "6.25"
+    , smallLobeDiameter = "20"
+    , soilType = "topsoil"
+    , customSwellPercent = "25"
+    , customDensity = "2300"
+    , spoilPlacement = ExportAll
+    , exportPercent = "50"
+    , fuelPrice = "4"
+    , disposalFee = "8"
+    , workHoursMin = "6"
+    , workHoursMax = "10"
+    , startDate = ""
+    , workDays = [ "mon", "tue", "wed", "thu", "fri" ]
+    , holidays = []
     }
 
 
@@ -379,4 +370,16 @@ createValidCalculationResult =
     , confidence = Utils.Calculations.High
     , assumptions = [ "Test assumption" ]
     , warnings = []
+    , pondGeometry = Nothing
+    , bankVolume = 0.0
+    , looseVolume = 0.0
+    , exportedVolume = 0.0
+    , tonsHauled = 0
+    , truckLoads = 0
+    , cost = Nothing
+    , timelineRange = Nothing
+    , schedule = Nothing
+    , haulCycles = []
+    , phases = []
+    , fleet = { excavators = [], trucks = [] }
     }
@@ -3,7 +3,11 @@ module Unit.ValidationTests exposing (..)
 import Expect
 import Test exposing (..)
 import Types.DeviceType exposing (DeviceType(..))
+import Types.Equipment exposing (Excavator, Truck, defaultHaulCycle)
+import Types.Phase exposing (PhaseKind(..), newPhase)
+import Types.Pond exposing (PondShape(..))
 import Types.Validation exposing (ValidationError(..))
+import Utils.Config
 import Utils.Validation as Validation
 
 
@@ -16,6 +20,23 @@ validationRules =
     { min = 1.0, max = 10.0 }
 
 
+{-| One excavator and one truck from the configured defaults, as assigned to
+the phases under test
+-}
+phaseExcavators : List Excavator
+phaseExcavators =
+    Utils.Config.fallbackConfig.defaults.excavators
+        |> List.take 1
+        |> List.map (Utils.Config.excavatorFromDefaults "excavator-1")
+
+
+phaseTrucks : List Truck
+phaseTrucks =
+    Utils.Config.fallbackConfig.defaults.trucks
+        |> List.take 1
+        |> List.map (Utils.Config.truckFromDefaults "truck-1")
+
+
 testProjectInputs : Validation.ProjectInputs
 testProjectInputs =
     { excavatorCapacity = 2.5
@@ -26,6 +47,16 @@ testProjectInputs =
     , pondLength = 50.0
     , pondWidth = 30.0
     , pondDepth = 6.0
+    , sideSlopes = { north = 0.0, south = 0.0, east = 0.0, west = 0.0 }
+    , pondShape = Rectangle
+    , cornerRadius = 0
+    , smallLobeDiameter = 0
+    , swellPercent = 0.0
+    , exportPercent = 100.0
+    , soilDensity = 3000.0
+    , fuelPrice = 4.0
+    , disposalFee = 8.0
+    , workHoursRange = Nothing
     }
 
 
@@ -188,6 +219,339 @@ suite =
                         _ ->
                             Expect.fail "Should return RequiredField error"
             ]
+        , describe "validateSideSlope"
+            [ test "should_accept_vertical_walls" <|
+                \_ ->
+                    Validation.validateSideSlope { min = 0.0, max = 10.0 } 0.0
+                        |> Expect.equal (Ok 0.0)
+            , test "should_reject_negative_slope" <|
+                \_ ->
+                    case Validation.validateSideSlope { min = 0.0, max = 10.0 } -1.0 of
+                        Err (EdgeCaseError _) ->
+                            Expect.pass
+
+                        _ ->
+                            Expect.fail "Should return EdgeCaseError"
+            , test "should_reject_slope_above_maximum" <|
+                \_ ->
+                    case Validation.validateSideSlope { min = 0.0, max = 10.0 } 12.0 of
+                        Err (ValueTooHigh _) ->
+                            Expect.pass
+
+                        _ ->
+                            Expect.fail "Should return ValueTooHigh error"
+            , test "should_treat_blank_slope_input_as_vertical" <|
+                \_ ->
+                    Validation.validateSlopeInput { min = 0.0, max = 10.0 } "  "
+                        |> Expect.equal (Ok 0.0)
+            ]
+        , describe "validateSwellPercent"
+            [ test "should_accept_soil_without_swell" <|
+                \_ ->
+                    Validation.validateSwellPercent { min = 0.0, max = 100.0 } 0.0
+                        |> Expect.equal (Ok 0.0)
+            , test "should_reject_swell_above_maximum" <|
+                \_ ->
+                    case Validation.validateSwellPercent { min = 0.0, max = 100.0 } 120.0 of
+                        Err (ValueTooHigh _) ->
+                            Expect.pass
+
+                        _ ->
+                            Expect.fail "Should return ValueTooHigh error"
+            , test "should_require_custom_swell_input" <|
+                \_ ->
+                    case Validation.validateSwellInput { min = 0.0, max = 100.0 } "" of
+                        Err (RequiredField _) ->
+                            Expect.pass
+
+                        _ ->
+                            Expect.fail "Should return RequiredField error"
+            ]
+        , describe "validateExportPercent"
+            [ test "should_accept_keeping_all_spoil_on_site" <|
+                \_ ->
+                    Validation.validateExportPercent { min = 0.0, max = 100.0 } 0.0
+                        |> Expect.equal (Ok 0.0)
+            , test "should_reject_export_above_whole_volume" <|
+                \_ ->
+                    case Validation.validateExportPercent { min = 0.0, max = 100.0 } 120.0 of
+                        Err (ValueTooHigh _) ->
+                            Expect.pass
+
+                        _ ->
+                            Expect.fail "Should return ValueTooHigh error"
+            ]
+        , describe "validatePayload"
+            [ test "should_accept_tandem_dump_truck_payload" <|
+                \_ ->
+                    Validation.validatePayload { min = 1.0, max = 60.0 } 14.0
+                        |> Expect.equal (Ok 14.0)
+            , test "should_reject_payload_above_maximum" <|
+                \_ ->
+                    case Validation.validatePayload { min = 1.0, max = 60.0 } 80.0 of
+                        Err (ValueTooHigh _) ->
+                            Expect.pass
+
+                        _ ->
+                            Expect.fail "Should return ValueTooHigh error"
+            ]
+        , describe "validateSoilDensity"
+            [ test "should_accept_clay_density" <|
+                \_ ->
+                    Validation.validateSoilDensity { min = 1000.0, max = 5000.0 } 3000.0
+                        |> Expect.equal (Ok 3000.0)
+            , test "should_reject_density_below_minimum" <|
+                \_ ->
+                    case Validation.validateSoilDensity { min = 1000.0, max = 5000.0 } 500.0 of
+                        Err (ValueTooLow _) ->
+                            Expect.pass
+
+                        _ ->
+                            Expect.fail "Should return ValueTooLow error"
+            ]
+        , describe "validateCostRate"
+            [ test "should_accept_zero_cost" <|
+                \_ ->
+                    Validation.validateCostRate "Disposal Fee" { min = 0.0, max = 200.0 } 0.0
+                        |> Expect.equal (Ok 0.0)
+            , test "should_reject_negative_cost" <|
+                \_ ->
+                    case Validation.validateCostRate "Fuel Price" { min = 0.0, max = 20.0 } -1.0 of
+                        Err (EdgeCaseError _) ->
+                            Expect.pass
+
+                        _ ->
+                            Expect.fail "Should return EdgeCaseError"
+            , test "should_reject_cost_above_maximum" <|
+                \_ ->
+                    case Validation.validateCostRate "Hourly Rate" { min = 0.0, max = 1000.0 } 1500.0 of
+                        Err (ValueTooHigh _) ->
+                            Expect.pass
+
+                        _ ->
+                            Expect.fail "Should return ValueTooHigh error"
+            , test "should_require_cost_input" <|
+                \_ ->
+                    case Validation.validateCostInput "Fuel Price" { min = 0.0, max = 20.0 } "  " of
+                        Err (RequiredField _) ->
+                            Expect.pass
+
+                        _ ->
+                            Expect.fail "Should return RequiredField error"
+            ]
+        , describe "validateTimeRange"
+            [ test "should_accept_fixed_time" <|
+                \_ ->
+                    Validation.validateTimeRange "Cycle Time" { min = 0.5, max = 10.0 } 2.0 Nothing
+                        |> Expect.equal (Ok 2.0)
+            , test "should_accept_range_around_likely_value" <|
+                \_ ->
+                    Validation.validateTimeRange "Cycle Time" { min = 0.5, max = 10.0 } 2.0 (Just { min = 1.6, max = 2.8 })
+                        |> Expect.equal (Ok 2.0)
+            , test "should_reject_range_starting_above_likely_value" <|
+                \_ ->
+                    case Validation.validateTimeRange "Round Trip Time" { min = 5.0, max = 60.0 } 15.0 (Just { min = 18.0, max = 25.0 }) of
+                        Err (EdgeCaseError _) ->
+                            Expect.pass
+
+                        _ ->
+                            Expect.fail "Should return EdgeCaseError"
+            , test "should_reject_range_end_outside_limits" <|
+                \_ ->
+                    case Validation.validateTimeRange "Work Hours" { min = 1.0, max = 16.0 } 8.0 (Just { min = 6.0, max = 20.0 }) of
+                        Err (ValueTooHigh _) ->
+                            Expect.pass
+
+                        _ ->
+                            Expect.fail "Should return ValueTooHigh error"
+            ]
+        , describe "validateHaulCycle"
+            [ test "should_accept_truck_without_haul_cycle" <|
+                \_ ->
+                    Validation.validateHaulCycle Utils.Config.fallbackConfig.validation Nothing
+                        |> Expect.equal (Ok Nothing)
+            , test "should_accept_typical_haul_cycle" <|
+                \_ ->
+                    Validation.validateHaulCycle Utils.Config.fallbackConfig.validation (Just defaultHaulCycle)
+                        |> Expect.equal (Ok (Just defaultHaulCycle))
+            , test "should_reject_haul_distance_out_of_range" <|
+                \_ ->
+                    case Validation.validateHaulCycle Utils.Config.fallbackConfig.validation (Just { defaultHaulCycle | distance = 500.0 }) of
+                        Err (ValueTooHigh _) ->
+                            Expect.pass
+
+                        _ ->
+                            Expect.fail "Should return ValueTooHigh error"
+            , test "should_reject_empty_speed_below_minimum" <|
+                \_ ->
+                    case Validation.validateHaulCycle Utils.Config.fallbackConfig.validation (Just { defaultHaulCycle | emptySpeed = 1.0 }) of
+                        Err (ValueTooLow _) ->
+                            Expect.pass
+
+                        _ ->
+                            Expect.fail "Should return ValueTooLow error"
+            , test "should_reject_negative_dump_time" <|
+                \_ ->
+                    case Validation.validateHaulCycle Utils.Config.fallbackConfig.validation (Just { defaultHaulCycle | dumpTime = -1.0 }) of
+                        Err (EdgeCaseError _) ->
+                            Expect.pass
+
+                        _ ->
+                            Expect.fail "Should return EdgeCaseError"
+            ]
+        , describe "validatePhase"
+            [ test "should_accept_new_phase" <|
+                \_ ->
+                    let
+                        phase =
+                            newPhase "phase-1" Shaping [ "excavator-1" ] [ "truck-1" ]
+                    in
+                    Validation.validatePhase Utils.Config.fallbackConfig.validation 100 phaseExcavators phaseTrucks phase
+                        |> Expect.equal (Ok phase)
+            , test "should_reject_phase_without_trucks" <|
+                \_ ->
+                    case Validation.validatePhase Utils.Config.fallbackConfig.validation 100 phaseExcavators phaseTrucks (newPhase "phase-1" Clearing [ "excavator-1" ] []) of
+                        Err (EdgeCaseError _) ->
+                            Expect.pass
+
+                        _ ->
+                            Expect.fail "Should return EdgeCaseError"
+            , test "should_reject_phase_with_only_parked_excavators" <|
+                \_ ->
+                    let
+                        parked =
+                            List.map (\excavator -> { excavator | isActive = False }) phaseExcavators
+                    in
+                    case Validation.validatePhase Utils.Config.fallbackConfig.validation 100 parked phaseTrucks (newPhase "phase-1" TopsoilStrip [ "excavator-1" ] [ "truck-1" ]) of
+                        Err error ->
+                            Expect.equal "Every excavator on Topsoil Strip is parked. Put one back to work or pick an active excavator for this phase." (Validation.errorToString error)
+
+                        Ok _ ->
+                            Expect.fail "Should reject a phase with no active excavator"
+            , test "should_accept_topsoil_strip_without_trucks" <|
+                \_ ->
+                    let
+                        phase =
+                            newPhase "phase-1" TopsoilStrip [ "excavator-1" ] []
+                    in
+                    Validation.validatePhase Utils.Config.fallbackConfig.validation 100 phaseExcavators phaseTrucks phase
+                        |> Expect.equal (Ok phase)
+            , test "should_accept_phase_without_trucks_when_spoil_stays_on_site" <|
+                \_ ->
+                    let
+                        phase =
+                            newPhase "phase-1" Clearing [ "excavator-1" ] []
+                    in
+                    Validation.validatePhase Utils.Config.fallbackConfig.validation 0 phaseExcavators [] phase
+                        |> Expect.equal (Ok phase)
+            , test "should_reject_empty_phase_volume" <|
+                \_ ->
+                    let
+                        phase =
+                            newPhase "phase-1" TopsoilStrip [ "excavator-1" ] [ "truck-1" ]
+                    in
+                    case Validation.validatePhase Utils.Config.fallbackConfig.validation 100 phaseExcavators phaseTrucks { phase | volume = 0 } of
+                        Err (RequiredField _) ->
+                            Expect.pass
+
+                        _ ->
+                            Expect.fail "Should return RequiredField error"
+            , test "should_reject_productivity_above_range" <|
+                \_ ->
+                    let
+                        phase =
+                            newPhase "phase-1" TopsoilStrip [ "excavator-1" ] [ "truck-1" ]
+                    in
+                    case Validation.validatePhase Utils.Config.fallbackConfig.validation 100 phaseExcavators phaseTrucks { phase | productivity = 3.0 } of
+                        Err (ValueTooHigh _) ->
+                            Expect.pass
+
+                        _ ->
+                            Expect.fail "Should return ValueTooHigh error"
+            ]
+        , describe "validatePondShape"
+            [ test "should_accept_valid_kidney" <|
+                \_ ->
+                    let
+                        -- 50 feet long with 30 and 25 foot lobes
+                        inputs =
+                            { testProjectInputs | pondShape = Kidney, smallLobeDiameter = 25.0 }
+                    in
+                    Validation.validatePondShape { min = 1.0, max = 1000.0 } inputs
+                        |> Expect.equal (Ok inputs)
+            , test "should_reject_kidney_lobes_that_do_not_meet" <|
+                \_ ->
+                    case Validation.validatePondShape { min = 1.0, max = 1000.0 } { testProjectInputs | pondShape = Kidney, smallLobeDiameter = 15.0 } of
+                        Err (EdgeCaseError { issue }) ->
+                            Expect.equal "Kidney lobes do not meet" issue
+
+                        _ ->
+                            Expect.fail "Should return EdgeCaseError for separated lobes"
+            , test "should_reject_small_lobe_larger_than_width" <|
+                \_ ->
+                    case Validation.validatePondShape { min = 1.0, max = 1000.0 } { testProjectInputs | pondShape = Kidney, smallLobeDiameter = 35.0 } of
+                        Err (EdgeCaseError { issue }) ->
+                            Expect.equal "Small lobe larger than main lobe" issue
+
+                        _ ->
+                            Expect.fail "Should return EdgeCaseError for oversized small lobe"
+            , test "should_reject_corner_radius_beyond_half_width" <|
+                \_ ->
+                    case Validation.validatePondShape { min = 1.0, max = 1000.0 } { testProjectInputs | pondShape = RoundedRectangle, cornerRadius = 16.0 } of
+                        Err (EdgeCaseError { issue }) ->
+                            Expect.equal "Corner radius too large" issue
+
+                        _ ->
+                            Expect.fail "Should return EdgeCaseError for oversized corner radius"
+            , test "should_reject_circle_with_unequal_sides" <|
+                \_ ->
+                    case Validation.validatePondShape { min = 1.0, max = 1000.0 } { testProjectInputs | pondShape = Circle } of
+                        Err (EdgeCaseError _) ->
+                            Expect.pass
+
+                        _ ->
+                            Expect.fail "Should return EdgeCaseError for unequal circle dimensions"
+            ]
+        , describe "validatePondGeometry"
+            [ test "should_accept_slopes_that_leave_a_bottom" <|
+                \_ ->
+                    let
+                        -- 50 x 30 x 6 with 2:1 banks leaves a 26 x 6 foot bottom
+                        inputs =
+                            { testProjectInputs | sideSlopes = { north = 2.0, south = 2.0, east = 2.0, west = 2.0 } }
+                    in
+                    Validation.validatePondGeometry inputs
+                        |> Expect.equal (Ok inputs)
+            , test "should_reject_slopes_that_collapse_the_bottom_width" <|
+                \_ ->
+                    let
+                        -- 3:1 banks on both sides eat 36 feet of a 30 foot width
+                        inputs =
+                            { testProjectInputs | sideSlopes = { north = 3.0, south = 3.0, east = 3.0, west = 3.0 } }
+                    in
+                    case Validation.validatePondGeometry inputs of
+                        Err (EdgeCaseError { issue, guidance }) ->
+                            Expect.all
+                                [ \_ -> String.contains "no pond bottom" issue |> Expect.equal True
+                                , \_ -> String.contains "width" guidance |> Expect.equal True
+                                ]
+                                ()
+
+                        _ ->
+                            Expect.fail "Should return EdgeCaseError for collapsed bottom"
+            , test "should_reject_collapse_through_validate_all_inputs" <|
+                \_ ->
+                    let
+                        inputs =
+                            { testProjectInputs | sideSlopes = { north = 0.0, south = 0.0, east = 5.0, west = 5.0 } }
+                    in
+                    case Validation.validateAllInputs Utils.Config.fallbackConfig.validation inputs of
+                        Err (EdgeCaseError _) ->
+                            Expect.pass
+
+                        _ ->
+                            Expect.fail "Should reject slopes that collapse the pond length"
+            ]
         , describe "validateAllInputs"
             [ test "should_accept_all_valid_inputs" <|
                 \_ ->
@@ -199,6 +563,22 @@ suite =
                             , roundTripTime = { min = 5.0, max = 60.0 }
                             , workHours = { min = 1.0, max = 16.0 }
                             , pondDimensions = { min = 1.0, max = 1000.0 }
+                            , sideSlope = { min = 0.0, max = 10.0 }
+                            , swellPercent = { min = 0.0, max = 100.0 }
+                            , efficiency = { min = 0.3, max = 1.0 }
+                            , fillFactor = { min = 0.5, max = 1.3 }
+                            , hourlyRate = { min = 0.0, max = 1000.0 }
+                            , operatorWage = { min = 0.0, max = 200.0 }
+                            , fuelBurn = { min = 0.0, max = 50.0 }
+                            , fuelPrice = { min = 0.0, max = 20.0 }
+                            , disposalFee = { min = 0.0, max = 200.0 }
+                            , haulDistance = { min = 0.05, max = 50.0 }
+                            , haulSpeed = { min = 3.0, max = 65.0 }
+                            , haulDelay = { min = 0.0, max = 30.0 }
+                            , phaseProductivity = { min = 0.1, max = 1.5 }
+                            , exportPercent = { min = 0.0, max = 100.0 }
+                            , payload = { min = 1.0, max = 60.0 }
+                            , soilDensity = { min = 1000.0, max = 5000.0 }
                             }
                     in
                     case Validation.validateAllInputs allRules testProjectInputs of
@@ -217,6 +597,22 @@ suite =
                             , roundTripTime = { min = 5.0, max = 60.0 }
                             , workHours = { min = 1.0, max = 16.0 }
                             , pondDimensions = { min = 1.0, max = 1000.0 }
+                            , sideSlope = { min = 0.0, max = 10.0 }
+                            , swellPercent = { min = 0.0, max = 100.0 }
+                            , efficiency = { min = 0.3, max = 1.0 }
+                            , fillFactor = { min = 0.5, max = 1.3 }
+                            , hourlyRate = { min = 0.0, max = 1000.0 }
+                            , operatorWage = { min = 0.0, max = 200.0 }
+                            , fuelBurn = { min = 0.0, max = 50.0 }
+                            , fuelPrice = { min = 0.0, max = 20.0 }
+                            , disposalFee = { min = 0.0, max = 200.0 }
+                            , haulDistance = { min = 0.05, max = 50.0 }
+                            , haulSpeed = { min = 3.0, max = 65.0 }
+                            , haulDelay = { min = 0.0, max = 30.0 }
+                            , phaseProductivity = { min = 0.1, max = 1.5 }
+                            , exportPercent = { min = 0.0, max = 100.0 }
+                            , payload = { min = 1.0, max = 60.0 }
+                            , soilDensity = { min = 1000.0, max = 5000.0 }
                             }
 
                         invalidInputs =
@@ -238,6 +634,22 @@ suite =
                             , roundTripTime = { min = 5.0, max = 60.0 }
                             , workHours = { min = 1.0, max = 16.0 }
                             , pondDimensions = { min = 1.0, max = 1000.0 }
+                            , sideSlope = { min = 0.0, max = 10.0 }
+                            , swellPercent = { min = 0.0, max = 100.0 }
+                            , efficiency = { min = 0.3, max = 1.0 }
+                            , fillFactor = { min = 0.5, max = 1.3 }
+                            , hourlyRate = { min = 0.0, max = 1000.0 }
+                            , operatorWage = { min = 0.0, max = 200.0 }
+                            , fuelBurn = { min = 0.0, max = 50.0 }
+                            , fuelPrice = { min = 0.0, max = 20.0 }
+                            , disposalFee = { min = 0.0, max = 200.0 }
+                            , haulDistance = { min = 0.05, max = 50.0 }
+                            , haulSpeed = { min = 3.0, max = 65.0 }
+                            , haulDelay = { min = 0.0, max = 30.0 }
+                            , phaseProductivity = { min = 0.1, max = 1.5 }
+                            , exportPercent = { min = 0.0, max = 100.0 }
+                            , payload = { min = 1.0, max = 60.0 }
+                            , soilDensity = { min = 1000.0, max = 5000.0 }
                             }
 
                         invalidInputs =
@@ -259,6 +671,22 @@ suite =
                             , roundTripTime = { min = 5.0, max = 60.0 }
                             , workHours = { min = 1.0, max = 16.0 }
                             , pondDimensions = { min = 1.0, max = 1000.0 }
+                            , sideSlope = { min = 0.0, max = 10.0 }
+                            , swellPercent = { min = 0.0, max = 100.0 }
+                            , efficiency = { min = 0.3, max = 1.0 }
+                            , fillFactor = { min = 0.5, max = 1.3 }
+                            , hourlyRate = { min = 0.0, max = 1000.0 }
+                            , operatorWage = { min = 0.0, max = 200.0 }
+                            , fuelBurn = { min = 0.0, max = 50.0 }
+                            , fuelPrice = { min = 0.0, max = 20.0 }
+                            , disposalFee = { min = 0.0, max = 200.0 }
+                            , haulDistance = { min = 0.05, max = 50.0 }
+                            , haulSpeed = { min = 3.0, max = 65.0 }
+                            , haulDelay = { min = 0.0, max = 30.0 }
+                            , phaseProductivity = { min = 0.1, max = 1.5 }
+                            , exportPercent = { min = 0.0, max = 100.0 }
+                            , payload = { min = 1.0, max = 60.0 }
+                            , soilDensity = { min = 1000.0, max = 5000.0 }
                             }
 
                         invalidInputs =
@@ -282,6 +710,22 @@ suite =
                             , roundTripTime = { min = 5.0, max = 60.0 }
                             , workHours = { min = 1.0, max = 16.0 }
                             , pondDimensions = { min = 1.0, max = 1000.0 }
+                            , sideSlope = { min = 0.0, max = 10.0 }
+                            , swellPercent = { min = 0.0, max = 100.0 }
+                            , efficiency = { min = 0.3, max = 1.0 }
+                            , fillFactor = { min = 0.5, max = 1.3 }
+                            , hourlyRate = { min = 0.0, max = 1000.0 }
+                            , operatorWage = { min = 0.0, max = 200.0 }
+                            , fuelBurn = { min = 0.0, max = 50.0 }
+                            , fuelPrice = { min = 0.0, max = 20.0 }
+                            , disposalFee = { min = 0.0, max = 200.0 }
+                            , haulDistance = { min = 0.05, max = 50.0 }
+                            , haulSpeed = { min = 3.0, max = 65.0 }
+                            , haulDelay = { min = 0.0, max = 30.0 }
+                            , phaseProductivity = { min = 0.1, max = 1.5 }
+                            , exportPercent = { min = 0.0, max = 100.0 }
+                            , payload = { min = 1.0, max = 60.0 }
+                            , soilDensity = { min = 1000.0, max = 5000.0 }
                             }
 
                         realisticInputs =
@@ -293,6 +737,16 @@ suite =
                             , pondLength = 75.0 -- Large residential pond
                             , pondWidth = 45.0
                             , pondDepth = 8.0
+                            , sideSlopes = { north = 0.0, south = 0.0, east = 0.0, west = 0.0 }
+                            , pondShape = Rectangle
+                            , cornerRadius = 0
+                            , smallLobeDiameter = 0
+                            , swellPercent = 0.0
+                            , exportPercent = 100.0
+                            , soilDensity = 3000.0
+                            , fuelPrice = 4.0
+                            , disposalFee = 8.0
+                            , workHoursRange = Nothing
                             }
                     in
                     case Validation.validateAllInputs allRules realisticInputs of
@@ -431,6 +885,22 @@ suite =
                             , roundTripTime = { min = 5.0, max = 60.0 }
                             , workHours = { min = 1.0, max = 16.0 }
                             , pondDimensions = { min = 1.0, max = 1000.0 }
+                            , sideSlope = { min = 0.0, max = 10.0 }
+                            , swellPercent = { min = 0.0, max = 100.0 }
+                            , efficiency = { min = 0.3, max = 1.0 }
+                            , fillFactor = { min = 0.5, max = 1.3 }
+                            , hourlyRate = { min = 0.0, max = 1000.0 }
+                            , operatorWage = { min = 0.0, max = 200.0 }
+                            , fuelBurn = { min = 0.0, max = 50.0 }
+                            , fuelPrice = { min = 0.0, max = 20.0 }
+                            , disposalFee = { min = 0.0, max = 200.0 }
+                            , haulDistance = { min = 0.05, max = 50.0 }
+                            , haulSpeed = { min = 3.0, max = 65.0 }
+                            , haulDelay = { min = 0.0, max = 30.0 }
+                            , phaseProductivity = { min = 0.1, max = 1.5 }
+                            , exportPercent = { min = 0.0, max = 100.0 }
+                            , payload = { min = 1.0, max = 60.0 }
+                            , soilDensity = { min = 1000.0, max = 5000.0 }
                             }
 
                         validInputs =
@@ -522,6 +992,22 @@ suite =
                             , roundTripTime = { min = 5.0, max = 60.0 }
                             , workHours = { min = 1.0, max = 16.0 }
                             , pondDimensions = { min = 1.0, max = 1000.0 }
+                            , sideSlope = { min = 0.0, max = 10.0 }
+                            , swellPercent = { min = 0.0, max = 100.0 }
+                            , efficiency = { min = 0.3, max = 1.0 }
+                            , fillFactor = { min = 0.5, max = 1.3 }
+                            , hourlyRate = { min = 0.0, max = 1000.0 }
+                            , operatorWage = { min = 0.0, max = 200.0 }
+                            , fuelBurn = { min = 0.0, max = 50.0 }
+                            , fuelPrice = { min = 0.0, max = 20.0 }
+                            , disposalFee = { min = 0.0, max = 200.0 }
+                            , haulDistance = { min = 0.05, max = 50.0 }
+                            , haulSpeed = { min = 3.0, max = 65.0 }
+                            , haulDelay = { min = 0.0, max = 30.0 }
+                            , phaseProductivity = { min = 0.1, max = 1.5 }
+                            , exportPercent = { min = 0.0, max = 100.0 }
+                            , payload = { min = 1.0, max = 60.0 }
+                            , soilDensity = { min = 1000.0, max = 5000.0 }
                             }
 
                         invalidInputs =
@@ -590,6 +1076,21 @@ suite =
 
                         _ ->
                             Expect.fail "Should return InvalidFormat error for non-numeric string"
+            , test "should_work_out_arithmetic_typed_into_string_input" <|
+                \_ ->
+                    Expect.all
+                        [ \_ -> Expect.equal (Ok 45) (Validation.validateStringInput "Test Field" { min = 1.0, max = 100.0 } "2*20+5")
+                        , \_ -> Expect.equal (Ok 1.5) (Validation.validateStringInput "Test Field" { min = 1.0, max = 100.0 } "1 1/2")
+                        ]
+                        ()
+            , test "should_name_the_problem_in_invalid_format_guidance" <|
+                \_ ->
+                    case Validation.validateStringInput "Test Field" { min = 1.0, max = 100.0 } "2*20+" of
+                        Err (InvalidFormat { guidance }) ->
+                            String.contains "missing after \"+\"" guidance |> Expect.equal True
+
+                        _ ->
+                            Expect.fail "Should explain what is wrong with the typed arithmetic"
             , test "should_validate_decimal_precision_within_limit" <|
                 \_ ->
                     Validation.validateDecimalPrecision 5.25